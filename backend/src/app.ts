@@ -0,0 +1,64 @@
+import compression from 'compression';
+import cors from 'cors';
+import express, { Express } from 'express';
+import rateLimit from 'express-rate-limit';
+import helmet from 'helmet';
+import { environment } from './config';
+import { errorHandler, notFoundHandler } from './middleware/errorHandler';
+import { authRouter } from './routes/auth';
+import { savesRouter } from './routes/saves';
+import { SYNC_PROTOCOL_HEADER, SYNC_PROTOCOL_VERSION } from './sync/protocol';
+
+export function createApp(): Express {
+  const app = express();
+  const apiBase = `${environment.apiPrefix}/${environment.apiVersion}`;
+
+  app.use(helmet());
+  app.use(cors({
+    origin: environment.corsOrigins,
+    allowedHeaders: ['Content-Type', 'Authorization', SYNC_PROTOCOL_HEADER],
+    exposedHeaders: [SYNC_PROTOCOL_HEADER]
+  }));
+  app.use(compression());
+  app.use(express.json({ limit: environment.maxSaveSizeBytes }));
+  app.use(apiBase, rateLimit({
+    windowMs: environment.rateLimitWindowMs,
+    max: environment.rateLimitMaxRequests,
+    standardHeaders: true,
+    legacyHeaders: false
+  }));
+
+  app.get('/health', (req, res) => {
+    res.json({
+      status: 'ok',
+      environment: environment.nodeEnv,
+      uptime: process.uptime(),
+      memory: process.memoryUsage().rss,
+      timestamp: Date.now()
+    });
+  });
+
+  app.get(apiBase, (req, res) => {
+    res.json({
+      version: environment.apiVersion,
+      syncProtocol: SYNC_PROTOCOL_VERSION,
+      endpoints: [
+        `POST ${apiBase}/auth/register`,
+        `POST ${apiBase}/auth/login`,
+        `GET ${apiBase}/saves`,
+        `GET ${apiBase}/saves/:slot/meta`,
+        `GET ${apiBase}/saves/:slot`,
+        `PUT ${apiBase}/saves/:slot`,
+        `DELETE ${apiBase}/saves/:slot`
+      ]
+    });
+  });
+
+  app.use(`${apiBase}/auth`, authRouter);
+  app.use(`${apiBase}/saves`, savesRouter);
+
+  app.use(notFoundHandler);
+  app.use(errorHandler);
+
+  return app;
+}
@@ -0,0 +1,58 @@
+import dotenv from 'dotenv';
+
+dotenv.config();
+
+export type NodeEnvironment = 'development' | 'staging' | 'production' | 'test';
+
+export interface Environment {
+  nodeEnv: NodeEnvironment;
+  port: number;
+  host: string;
+  apiPrefix: string;
+  apiVersion: string;
+  corsOrigins: string[];
+  rateLimitWindowMs: number;
+  rateLimitMaxRequests: number;
+  jwtSecret: string;
+  jwtExpiresIn: string;
+  bcryptRounds: number;
+  logLevel: string;
+  logFormat: 'simple' | 'json';
+  maxSaveSizeBytes: number;
+}
+
+function readNumber(name: string, fallback: number): number {
+  const value = Number(process.env[name]);
+  return Number.isFinite(value) && value > 0 ? value : fallback;
+}
+
+function readList(name: string, fallback: string[]): string[] {
+  const value = process.env[name];
+  if (!value) {
+    return fallback;
+  }
+  return value.split(',').map((item) => item.trim()).filter(Boolean);
+}
+
+const nodeEnv = (process.env.NODE_ENV || 'development') as NodeEnvironment;
+
+if (nodeEnv === 'production' && !process.env.JWT_SECRET) {
+  throw new Error('JWT_SECRET must be set in production');
+}
+
+export const environment: Environment = {
+  nodeEnv,
+  port: readNumber('PORT', 3000),
+  host: process.env.HOST || '0.0.0.0',
+  apiPrefix: process.env.API_PREFIX || '/api',
+  apiVersion: process.env.API_VERSION || 'v1',
+  corsOrigins: readList('CORS_ORIGIN', ['http://localhost:3000']),
+  rateLimitWindowMs: readNumber('RATE_LIMIT_WINDOW_MS', 15 * 60 * 1000),
+  rateLimitMaxRequests: readNumber('RATE_LIMIT_MAX_REQUESTS', 100),
+  jwtSecret: process.env.JWT_SECRET || 'development-only-secret',
+  jwtExpiresIn: process.env.JWT_EXPIRES_IN || '24h',
+  bcryptRounds: readNumber('BCRYPT_ROUNDS', 12),
+  logLevel: process.env.LOG_LEVEL || 'info',
+  logFormat: process.env.LOG_FORMAT === 'json' || nodeEnv === 'production' ? 'json' : 'simple',
+  maxSaveSizeBytes: readNumber('MAX_SAVE_SIZE_BYTES', 10 * 1024 * 1024)
+};
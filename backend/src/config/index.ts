@@ -0,0 +1,3 @@
+export { environment } from './environment';
+export type { Environment, NodeEnvironment } from './environment';
+export { logger } from './logger';
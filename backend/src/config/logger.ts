@@ -0,0 +1,32 @@
+import winston from 'winston';
+import { environment } from './environment';
+
+const developmentFormat = winston.format.combine(
+  winston.format.colorize(),
+  winston.format.timestamp({ format: 'HH:mm:ss' }),
+  winston.format.printf(({ timestamp, level, message, ...meta }) => {
+    const details = Object.keys(meta).length > 0 ? ` ${JSON.stringify(meta)}` : '';
+    return `${timestamp} ${level}: ${message}${details}`;
+  })
+);
+
+const productionFormat = winston.format.combine(
+  winston.format.timestamp(),
+  winston.format.errors({ stack: true }),
+  winston.format.json()
+);
+
+const transports: winston.transport[] = [new winston.transports.Console()];
+
+if (environment.nodeEnv === 'production') {
+  transports.push(
+    new winston.transports.File({ filename: 'logs/error.log', level: 'error' }),
+    new winston.transports.File({ filename: 'logs/combined.log' })
+  );
+}
+
+export const logger = winston.createLogger({
+  level: environment.logLevel,
+  format: environment.logFormat === 'json' ? productionFormat : developmentFormat,
+  transports
+});
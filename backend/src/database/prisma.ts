@@ -0,0 +1,11 @@
+import { PrismaClient } from '../generated/prisma';
+import { environment } from '../config';
+
+// One client per process; Prisma pools connections internally
+export const prisma = new PrismaClient({
+  log: environment.nodeEnv === 'development' ? ['warn', 'error'] : ['error']
+});
+
+export async function disconnectDatabase(): Promise<void> {
+  await prisma.$disconnect();
+}
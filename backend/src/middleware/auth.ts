@@ -0,0 +1,27 @@
+import { NextFunction, Request, Response } from 'express';
+import { AuthTokenPayload, verifyToken } from '../services/authService';
+import { HttpError } from '../sync/protocol';
+
+/**
+ * Require a Bearer token; the decoded payload is stored on res.locals.auth
+ */
+export function requireAuth(req: Request, res: Response, next: NextFunction): void {
+  const header = req.headers.authorization || '';
+  const [scheme, token] = header.split(' ');
+
+  if (scheme !== 'Bearer' || !token) {
+    next(new HttpError(401, 'unauthorized', 'Missing Bearer token'));
+    return;
+  }
+
+  try {
+    res.locals.auth = verifyToken(token);
+    next();
+  } catch (error) {
+    next(error);
+  }
+}
+
+export function getAuth(res: Response): AuthTokenPayload {
+  return res.locals.auth as AuthTokenPayload;
+}
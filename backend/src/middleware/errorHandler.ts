@@ -0,0 +1,34 @@
+import { NextFunction, Request, Response } from 'express';
+import { environment, logger } from '../config';
+import { HttpError } from '../sync/protocol';
+
+export function notFoundHandler(req: Request, res: Response): void {
+  res.status(404).json({ error: 'not_found', message: `No route for ${req.method} ${req.path}` });
+}
+
+// Express recognises error middleware by its four parameters
+// eslint-disable-next-line @typescript-eslint/no-unused-vars
+export function errorHandler(error: unknown, req: Request, res: Response, next: NextFunction): void {
+  if (error instanceof HttpError) {
+    res.status(error.status).json({ error: error.code, message: error.message, ...error.details });
+    return;
+  }
+
+  const status = (error as { status?: number }).status;
+  if (status === 413 || status === 400) {
+    // Body parser errors: payload too large or malformed JSON
+    res.status(status).json({ error: 'bad_request', message: (error as Error).message });
+    return;
+  }
+
+  logger.error('Unhandled request error', {
+    method: req.method,
+    path: req.path,
+    error: error instanceof Error ? error.stack : String(error)
+  });
+
+  res.status(500).json({
+    error: 'internal_error',
+    message: environment.nodeEnv === 'production' ? 'Internal server error' : String((error as Error)?.message || error)
+  });
+}
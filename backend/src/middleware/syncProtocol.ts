@@ -0,0 +1,25 @@
+import { NextFunction, Request, Response } from 'express';
+import {
+  HttpError,
+  SUPPORTED_PROTOCOL_VERSIONS,
+  SYNC_PROTOCOL_HEADER,
+  SYNC_PROTOCOL_VERSION
+} from '../sync/protocol';
+
+/**
+ * Reject clients speaking a sync protocol this server does not implement
+ * Responses always advertise the server's protocol version
+ */
+export function requireSyncProtocol(req: Request, res: Response, next: NextFunction): void {
+  res.setHeader(SYNC_PROTOCOL_HEADER, String(SYNC_PROTOCOL_VERSION));
+
+  const requested = Number(req.headers[SYNC_PROTOCOL_HEADER]);
+  if (!SUPPORTED_PROTOCOL_VERSIONS.includes(requested)) {
+    next(new HttpError(426, 'protocol_mismatch', 'Unsupported sync protocol version', {
+      supported: SUPPORTED_PROTOCOL_VERSIONS
+    }));
+    return;
+  }
+
+  next();
+}
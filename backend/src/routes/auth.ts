@@ -0,0 +1,38 @@
+import { Router } from 'express';
+import { login, register } from '../services/authService';
+import { HttpError } from '../sync/protocol';
+import { asyncHandler } from './asyncHandler';
+
+const USERNAME_PATTERN = /^[A-Za-z0-9_]{3,50}$/;
+const EMAIL_PATTERN = /^[^\s@]+@[^\s@]+\.[^\s@]+$/;
+
+export const authRouter = Router();
+
+authRouter.post('/register', asyncHandler(async (req, res) => {
+  const { username, email, password, displayName } = req.body || {};
+
+  if (typeof username !== 'string' || !USERNAME_PATTERN.test(username)) {
+    throw new HttpError(400, 'bad_request', 'Username must be 3-50 letters, digits or underscores');
+  }
+  if (typeof email !== 'string' || !EMAIL_PATTERN.test(email) || email.length > 255) {
+    throw new HttpError(400, 'bad_request', 'A valid email is required');
+  }
+  if (typeof password !== 'string' || password.length < 8) {
+    throw new HttpError(400, 'bad_request', 'Password must be at least 8 characters');
+  }
+  if (displayName !== undefined && (typeof displayName !== 'string' || displayName.length > 100)) {
+    throw new HttpError(400, 'bad_request', 'Display name must be at most 100 characters');
+  }
+
+  res.status(201).json(await register({ username, email, password, displayName }));
+}));
+
+authRouter.post('/login', asyncHandler(async (req, res) => {
+  const { username, password } = req.body || {};
+
+  if (typeof username !== 'string' || typeof password !== 'string') {
+    throw new HttpError(400, 'bad_request', 'Username and password are required');
+  }
+
+  res.json(await login(username, password));
+}));
@@ -0,0 +1,75 @@
+import { Request, Router } from 'express';
+import { getAuth, requireAuth } from '../middleware/auth';
+import { requireSyncProtocol } from '../middleware/syncProtocol';
+import {
+  deleteSnapshot,
+  getSnapshot,
+  getSnapshotMeta,
+  listSnapshots,
+  pushSnapshot
+} from '../services/saveSyncService';
+import { HttpError, PushRequest, SLOT_PATTERN } from '../sync/protocol';
+import { asyncHandler } from './asyncHandler';
+
+export const savesRouter = Router();
+
+savesRouter.use(requireSyncProtocol, requireAuth);
+
+function readSlot(req: Request): string {
+  const { slot } = req.params;
+  if (!SLOT_PATTERN.test(slot)) {
+    throw new HttpError(400, 'bad_request', 'Slot must be 1-50 letters, digits, dashes or underscores');
+  }
+  return slot;
+}
+
+function readPushRequest(body: unknown): PushRequest {
+  const request = (body || {}) as Partial<PushRequest>;
+
+  if (request.baseRevision !== null && !Number.isInteger(request.baseRevision)) {
+    throw new HttpError(400, 'bad_request', 'baseRevision must be an integer or null');
+  }
+  if (typeof request.deviceId !== 'string' || request.deviceId.length === 0 || request.deviceId.length > 100) {
+    throw new HttpError(400, 'bad_request', 'deviceId is required');
+  }
+  if (!Number.isFinite(request.savedAt)) {
+    throw new HttpError(400, 'bad_request', 'savedAt must be a timestamp in milliseconds');
+  }
+  if (!request.data || typeof request.data !== 'object' || Array.isArray(request.data)) {
+    throw new HttpError(400, 'bad_request', 'data must be a save object');
+  }
+  if (request.checksum !== undefined && request.checksum !== null && typeof request.checksum !== 'string') {
+    throw new HttpError(400, 'bad_request', 'checksum must be a string');
+  }
+
+  return {
+    baseRevision: request.baseRevision as number | null,
+    checksum: request.checksum || null,
+    deviceId: request.deviceId,
+    savedAt: request.savedAt as number,
+    data: request.data,
+    force: request.force === true
+  };
+}
+
+savesRouter.get('/', asyncHandler(async (req, res) => {
+  res.json({ slots: await listSnapshots(getAuth(res).sub) });
+}));
+
+savesRouter.get('/:slot/meta', asyncHandler(async (req, res) => {
+  res.json(await getSnapshotMeta(getAuth(res).sub, readSlot(req)));
+}));
+
+savesRouter.get('/:slot', asyncHandler(async (req, res) => {
+  res.json(await getSnapshot(getAuth(res).sub, readSlot(req)));
+}));
+
+savesRouter.put('/:slot', asyncHandler(async (req, res) => {
+  const auth = getAuth(res);
+  res.json(await pushSnapshot(auth.sub, auth.username, readSlot(req), readPushRequest(req.body)));
+}));
+
+savesRouter.delete('/:slot', asyncHandler(async (req, res) => {
+  await deleteSnapshot(getAuth(res).sub, readSlot(req));
+  res.status(204).end();
+}));
@@ -0,0 +1,28 @@
+import { createApp } from './app';
+import { environment, logger } from './config';
+import { disconnectDatabase } from './database/prisma';
+
+const app = createApp();
+
+const server = app.listen(environment.port, environment.host, () => {
+  logger.info(`Server listening on http://${environment.host}:${environment.port}`, {
+    environment: environment.nodeEnv,
+    api: `${environment.apiPrefix}/${environment.apiVersion}`
+  });
+});
+
+function shutdown(signal: string): void {
+  logger.info(`${signal} received, shutting down`);
+
+  server.close(async () => {
+    await disconnectDatabase();
+    logger.info('Server closed');
+    process.exit(0);
+  });
+
+  // Don't hang forever on keep-alive connections
+  setTimeout(() => process.exit(1), 10000).unref();
+}
+
+process.on('SIGTERM', () => shutdown('SIGTERM'));
+process.on('SIGINT', () => shutdown('SIGINT'));
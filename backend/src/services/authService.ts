@@ -0,0 +1,79 @@
+import bcrypt from 'bcrypt';
+import jwt from 'jsonwebtoken';
+import { environment } from '../config';
+import { prisma } from '../database/prisma';
+import { HttpError } from '../sync/protocol';
+
+export interface AuthTokenPayload {
+  sub: string;
+  username: string;
+}
+
+export interface AuthResult {
+  token: string;
+  user: {
+    id: string;
+    username: string;
+    displayName: string;
+  };
+}
+
+export interface RegisterInput {
+  username: string;
+  email: string;
+  password: string;
+  displayName?: string;
+}
+
+function issueToken(user: { id: string; username: string }): string {
+  const payload: AuthTokenPayload = { sub: user.id, username: user.username };
+  return jwt.sign(payload, environment.jwtSecret, { expiresIn: environment.jwtExpiresIn } as jwt.SignOptions);
+}
+
+export async function register(input: RegisterInput): Promise<AuthResult> {
+  const existing = await prisma.user.findFirst({
+    where: { OR: [{ username: input.username }, { email: input.email }] },
+    select: { id: true }
+  });
+  if (existing) {
+    throw new HttpError(409, 'username_taken', 'Username or email is already registered');
+  }
+
+  const passwordHash = await bcrypt.hash(input.password, environment.bcryptRounds);
+  const user = await prisma.user.create({
+    data: {
+      username: input.username,
+      email: input.email,
+      passwordHash,
+      displayName: input.displayName || input.username
+    }
+  });
+
+  return {
+    token: issueToken(user),
+    user: { id: user.id, username: user.username, displayName: user.displayName }
+  };
+}
+
+export async function login(username: string, password: string): Promise<AuthResult> {
+  const user = await prisma.user.findUnique({ where: { username } });
+  const valid = user ? await bcrypt.compare(password, user.passwordHash) : false;
+  if (!user || !valid) {
+    throw new HttpError(401, 'unauthorized', 'Invalid username or password');
+  }
+
+  await prisma.user.update({ where: { id: user.id }, data: { lastActiveAt: new Date() } });
+
+  return {
+    token: issueToken(user),
+    user: { id: user.id, username: user.username, displayName: user.displayName }
+  };
+}
+
+export function verifyToken(token: string): AuthTokenPayload {
+  try {
+    return jwt.verify(token, environment.jwtSecret) as AuthTokenPayload;
+  } catch (error) {
+    throw new HttpError(401, 'unauthorized', 'Invalid or expired token');
+  }
+}
@@ -0,0 +1,243 @@
+import crypto from 'crypto';
+import { CultivationRealm, Prisma, SaveSnapshot } from '../generated/prisma';
+import { prisma } from '../database/prisma';
+import { HttpError, PushRequest, Snapshot, SnapshotMeta, SYNC_PROTOCOL_VERSION } from '../sync/protocol';
+
+// Client realm names (js/data/cultivation-data.js) to the schema enum
+const REALM_MAP: Record<string, CultivationRealm> = {
+  'Body Refinement': CultivationRealm.MORTAL,
+  'Qi Gathering': CultivationRealm.QI_REFINING,
+  'Foundation Building': CultivationRealm.FOUNDATION_ESTABLISHMENT,
+  'Core Formation': CultivationRealm.CORE_FORMATION,
+  'Nascent Soul': CultivationRealm.NASCENT_SOUL,
+  'Soul Transformation': CultivationRealm.SOUL_TRANSFORMATION,
+  'Void Refining': CultivationRealm.VOID_REFINEMENT,
+  'Body Integration': CultivationRealm.BODY_INTEGRATION,
+  'Mahayana': CultivationRealm.MAHAYANA,
+  'True Immortal': CultivationRealm.TRANSCENDENCE
+};
+
+type Row = Record<string, unknown>;
+
+function asRecord(value: unknown): Row {
+  return value && typeof value === 'object' && !Array.isArray(value) ? (value as Row) : {};
+}
+
+function asNumber(value: unknown, fallback = 0): number {
+  const number = Number(value);
+  return Number.isFinite(number) ? number : fallback;
+}
+
+function asBigInt(value: unknown): bigint {
+  return BigInt(Math.max(0, Math.floor(asNumber(value))));
+}
+
+/**
+ * JSON with object keys sorted at every level
+ * Snapshots are stored as jsonb, which reorders keys, so checksums use this form
+ */
+export function canonicalJson(value: unknown): string {
+  if (Array.isArray(value)) {
+    return `[${value.map((item) => (item === undefined ? 'null' : canonicalJson(item))).join(',')}]`;
+  }
+  if (value && typeof value === 'object') {
+    const record = value as Row;
+    if (typeof record.toJSON === 'function') {
+      return canonicalJson((record.toJSON as () => unknown)());
+    }
+    const entries = Object.keys(record)
+      .filter((key) => record[key] !== undefined && typeof record[key] !== 'function')
+      .sort()
+      .map((key) => `${JSON.stringify(key)}:${canonicalJson(record[key])}`);
+    return `{${entries.join(',')}}`;
+  }
+  return JSON.stringify(value === undefined ? null : value);
+}
+
+/**
+ * Checksum the client computes over the canonical JSON of a save before pushing
+ */
+export function computeChecksum(data: unknown): string {
+  return crypto.createHash('sha256').update(canonicalJson(data)).digest('hex');
+}
+
+function toMeta(snapshot: SaveSnapshot): SnapshotMeta {
+  return {
+    slot: snapshot.slot,
+    revision: snapshot.revision,
+    checksum: snapshot.checksum,
+    deviceId: snapshot.deviceId,
+    savedAt: snapshot.savedAt.getTime(),
+    updatedAt: snapshot.updatedAt.getTime()
+  };
+}
+
+function toSnapshot(snapshot: SaveSnapshot): Snapshot {
+  return {
+    ...toMeta(snapshot),
+    protocolVersion: snapshot.protocolVersion,
+    data: snapshot.data as Record<string, unknown>
+  };
+}
+
+function conflict(existing: SaveSnapshot): HttpError {
+  return new HttpError(409, 'conflict', 'Slot has changed since the client last synced', {
+    remote: toSnapshot(existing)
+  });
+}
+
+/**
+ * Mirror the parts of a save the server models know about, so server-side
+ * features (leaderboards, support tooling) read current values
+ */
+async function projectGameModels(
+  tx: Prisma.TransactionClient,
+  userId: string,
+  fallbackName: string,
+  snapshotData: Row,
+  savedAt: Date
+): Promise<void> {
+  // GameState.save() wraps the state as { state, timestamp, version }; GameSaveSystem saves it bare
+  const data = snapshotData.state ? asRecord(snapshotData.state) : snapshotData;
+  const player = asRecord(data.player);
+  const character = asRecord(data.character);
+  const qi = asRecord(asRecord(data.cultivation).qi);
+  const realm = asRecord(data.realm);
+
+  const name = String(player.name || character.name || fallbackName).slice(0, 100);
+  const realmValue = REALM_MAP[String(realm.current)] || CultivationRealm.MORTAL;
+
+  const characterFields = {
+    name,
+    realm: realmValue,
+    level: Math.max(1, Math.floor(asNumber(realm.stage, 1))),
+    experience: asBigInt(qi.experience),
+    experienceToNext: asBigInt(qi.experienceRequired || 100)
+  };
+  await tx.character.upsert({
+    where: { userId },
+    create: { userId, ...characterFields },
+    update: characterFields
+  });
+
+  const cultivationFields = {
+    qiAmount: asBigInt(qi.experience),
+    qiCapacity: asBigInt(qi.experienceRequired || 100),
+    cultivationSpeed: asNumber(qi.baseRate, 1) * asNumber(qi.multiplier, 1),
+    bottleneckProgress: Math.min(100, asNumber(realm.breakthroughProgress) / Math.max(1, asNumber(realm.breakthroughRequired, 1)) * 100),
+    lastCalculatedAt: savedAt
+  };
+  await tx.cultivationProgress.upsert({
+    where: { userId },
+    create: { userId, ...cultivationFields },
+    update: cultivationFields
+  });
+
+  const resourceFields = {
+    spiritStones: asBigInt(player.spiritStones),
+    materials: {
+      jade: asNumber(player.jade),
+      spiritCrystals: asNumber(player.spiritCrystals),
+      shards: asNumber(player.shards)
+    },
+    lastUpdated: savedAt
+  };
+  await tx.resources.upsert({
+    where: { userId },
+    create: { userId, ...resourceFields },
+    update: resourceFields
+  });
+}
+
+export async function listSnapshots(userId: string): Promise<SnapshotMeta[]> {
+  const snapshots = await prisma.saveSnapshot.findMany({
+    where: { userId },
+    orderBy: { updatedAt: 'desc' }
+  });
+  return snapshots.map(toMeta);
+}
+
+async function findSnapshot(userId: string, slot: string): Promise<SaveSnapshot> {
+  const snapshot = await prisma.saveSnapshot.findUnique({ where: { userId_slot: { userId, slot } } });
+  if (!snapshot) {
+    throw new HttpError(404, 'not_found', `No cloud save in slot '${slot}'`);
+  }
+  return snapshot;
+}
+
+export async function getSnapshotMeta(userId: string, slot: string): Promise<SnapshotMeta> {
+  return toMeta(await findSnapshot(userId, slot));
+}
+
+export async function getSnapshot(userId: string, slot: string): Promise<Snapshot> {
+  return toSnapshot(await findSnapshot(userId, slot));
+}
+
+/**
+ * Store a snapshot if the client is up to date with the slot
+ * @throws HttpError 409 with the server snapshot when baseRevision is stale
+ */
+export async function pushSnapshot(
+  userId: string,
+  username: string,
+  slot: string,
+  request: PushRequest
+): Promise<SnapshotMeta> {
+  if (request.checksum && request.checksum !== computeChecksum(request.data)) {
+    throw new HttpError(400, 'checksum_mismatch', 'Snapshot checksum does not match its data');
+  }
+
+  const savedAt = new Date(request.savedAt);
+  const data = request.data as Prisma.InputJsonObject;
+
+  try {
+    const stored = await prisma.$transaction(async (tx) => {
+      const existing = await tx.saveSnapshot.findUnique({ where: { userId_slot: { userId, slot } } });
+
+      if (existing && !request.force && request.baseRevision !== existing.revision) {
+        throw conflict(existing);
+      }
+
+      const fields = {
+        checksum: request.checksum || null,
+        deviceId: request.deviceId,
+        protocolVersion: SYNC_PROTOCOL_VERSION,
+        data,
+        savedAt
+      };
+
+      let snapshot: SaveSnapshot;
+      if (existing) {
+        // Compare-and-swap on the revision so a concurrent push cannot be lost
+        const updated = await tx.saveSnapshot.updateMany({
+          where: { id: existing.id, revision: existing.revision },
+          data: { ...fields, revision: existing.revision + 1 }
+        });
+        if (updated.count !== 1) {
+          throw conflict(await tx.saveSnapshot.findUniqueOrThrow({ where: { id: existing.id } }));
+        }
+        snapshot = await tx.saveSnapshot.findUniqueOrThrow({ where: { id: existing.id } });
+      } else {
+        snapshot = await tx.saveSnapshot.create({ data: { userId, slot, revision: 1, ...fields } });
+      }
+
+      await projectGameModels(tx, userId, username, request.data, savedAt);
+      return snapshot;
+    });
+
+    return toMeta(stored);
+  } catch (error) {
+    // Two first pushes to the same slot raced on the unique index
+    if (error instanceof Prisma.PrismaClientKnownRequestError && error.code === 'P2002') {
+      throw conflict(await findSnapshot(userId, slot));
+    }
+    throw error;
+  }
+}
+
+export async function deleteSnapshot(userId: string, slot: string): Promise<void> {
+  const result = await prisma.saveSnapshot.deleteMany({ where: { userId, slot } });
+  if (result.count === 0) {
+    throw new HttpError(404, 'not_found', `No cloud save in slot '${slot}'`);
+  }
+}
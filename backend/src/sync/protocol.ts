@@ -0,0 +1,60 @@
+/**
+ * Cloud save sync protocol, version 1
+ *
+ * Every /saves request carries the X-Sync-Protocol header. A snapshot is the
+ * client's full save for one slot plus sync metadata. Writes are optimistic:
+ * the client sends the revision it last synced from (baseRevision) and the
+ * server answers 409 with its own snapshot when the slot has moved on since.
+ */
+
+export const SYNC_PROTOCOL_VERSION = 1;
+export const SUPPORTED_PROTOCOL_VERSIONS = [1];
+export const SYNC_PROTOCOL_HEADER = 'x-sync-protocol';
+
+export const SLOT_PATTERN = /^[A-Za-z0-9_-]{1,50}$/;
+
+export interface SnapshotMeta {
+  slot: string;
+  revision: number;
+  checksum: string | null;
+  deviceId: string;
+  savedAt: number;
+  updatedAt: number;
+}
+
+export interface Snapshot extends SnapshotMeta {
+  protocolVersion: number;
+  data: Record<string, unknown>;
+}
+
+export interface PushRequest {
+  baseRevision: number | null;
+  checksum?: string | null;
+  deviceId: string;
+  savedAt: number;
+  data: Record<string, unknown>;
+  // Overwrite regardless of baseRevision; used after the client resolved a conflict
+  force?: boolean;
+}
+
+export type SyncErrorCode =
+  | 'bad_request'
+  | 'unauthorized'
+  | 'not_found'
+  | 'conflict'
+  | 'checksum_mismatch'
+  | 'username_taken'
+  | 'protocol_mismatch'
+  | 'internal_error';
+
+export class HttpError extends Error {
+  constructor(
+    public readonly status: number,
+    public readonly code: SyncErrorCode,
+    message: string,
+    public readonly details?: Record<string, unknown>
+  ) {
+    super(message);
+    this.name = 'HttpError';
+  }
+}
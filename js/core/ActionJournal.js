@@ -0,0 +1,396 @@
+/**
+ * ActionJournal - Opt-in recorder of player-initiated commands
+ * Wraps command methods on the game systems and logs each call with its arguments,
+ * timing and RandomManager state, next to a baseline snapshot of the save. A journal
+ * can be replayed headlessly (scripts/simulation/replay-journal.js) to reproduce a bug.
+ */
+class ActionJournal {
+    constructor() {
+        this.formatVersion = 1;
+
+        this.config = {
+            enabled: false,      // Start recording automatically when the game boots
+            maxEntries: 5000,    // Past this the journal restarts from a fresh baseline (and is marked truncated)
+            captureRng: true     // Store RandomManager stream positions with every entry
+        };
+
+        this.settingsStorageKey = 'idleCultivationActionJournal';
+
+        // systemName -> { target, originals: Map<command, Function> }
+        this.targets = new Map();
+
+        this.gameState = null;
+        this.eventManager = null;
+        this.randomManager = null;
+
+        this.journal = null;
+        this.isRecording = false;
+        this.nextSeq = 1;
+
+        // Commands issued by other commands (e.g. reincarnate() stopping cultivation) are not player input
+        this.callDepth = 0;
+
+        this._loadSettings();
+    }
+
+    /**
+     * Commands recorded per system when track() is called without a list
+     */
+    static get DEFAULT_COMMANDS() {
+        return {
+            cultivationSystem: ['startCultivation', 'stopCultivation', 'attemptBreakthrough'],
+            realmManager: ['attemptBreakthrough'],
+            techniqueManager: ['activateTechnique', 'deactivateTechnique'],
+            reincarnationManager: ['reincarnate', 'purchaseUpgrade'],
+            craftingSystem: ['startCrafting', 'cancelCrafting'],
+            gachaSystem: ['pullSingle', 'pullMultiple', 'switchPool'],
+            questSystem: ['completeQuest', 'abandonQuest'],
+            combatSystem: ['startCombat', 'executeAction', 'attemptRetreat', 'simulateCombat'],
+            shopManager: ['purchaseItem', 'sellItem'],
+            sectSystem: ['createSect', 'joinSect', 'leaveSect', 'contributeResources'],
+            scriptureManager: ['equipScripture', 'unequipScripture', 'autoEquip'],
+            enhancementSystem: ['enhanceScripture', 'awakenScripture', 'breakthroughScripture'],
+            daoScriptEngine: ['addRule', 'updateRule', 'removeRule', 'moveRule', 'setRuleEnabled', 'setEnabled']
+        };
+    }
+
+    /**
+     * Set up the journal with the core systems
+     * @param {Object} systems - { gameState, eventManager, randomManager }
+     */
+    initialize(systems = {}) {
+        this.gameState = systems.gameState || null;
+        this.eventManager = systems.eventManager || null;
+        this.randomManager = systems.randomManager || (typeof randomManager !== 'undefined' ? randomManager : null);
+    }
+
+    /**
+     * Update configuration; the enabled flag is remembered across reloads
+     * @param {Object} options - Config overrides
+     */
+    configure(options = {}) {
+        this.config = { ...this.config, ...options };
+        this._saveSettings();
+    }
+
+    /**
+     * Record calls to a system's command methods
+     * @param {string} name - System name used in the journal, e.g. 'gachaSystem'
+     * @param {Object} target - System instance
+     * @param {Array<string>} commands - Method names; defaults to DEFAULT_COMMANDS[name]
+     */
+    track(name, target, commands = ActionJournal.DEFAULT_COMMANDS[name] || []) {
+        if (!target) {
+            return;
+        }
+
+        this.untrack(name);
+
+        const originals = new Map();
+        for (const command of commands) {
+            const original = target[command];
+            if (typeof original !== 'function') {
+                continue;
+            }
+
+            originals.set(command, original);
+            target[command] = this._wrapCommand(name, command, original);
+        }
+
+        this.targets.set(name, { target, originals });
+    }
+
+    /**
+     * Restore a system's original methods
+     * @param {string} name - System name
+     */
+    untrack(name) {
+        const tracked = this.targets.get(name);
+        if (!tracked) {
+            return;
+        }
+
+        tracked.originals.forEach((original, command) => {
+            tracked.target[command] = original;
+        });
+        this.targets.delete(name);
+    }
+
+    /**
+     * Run a callback whose commands are not player input, such as an automation rule firing.
+     * Replays recreate those calls themselves, so recording them would run them twice.
+     * @param {Function} callback - Work to run unrecorded
+     * @returns {*} The callback's result
+     */
+    unrecorded(callback) {
+        this.callDepth++;
+        try {
+            return callback();
+        } finally {
+            this.callDepth--;
+        }
+    }
+
+    /**
+     * Start a new journal from a snapshot of the current state
+     * @param {Object} options - { label }
+     * @returns {Object} The new journal
+     */
+    start(options = {}) {
+        if (!this.gameState) {
+            throw new Error('ActionJournal: Not initialized');
+        }
+
+        const startedAt = Date.now();
+        this.nextSeq = 1;
+        this.journal = {
+            formatVersion: this.formatVersion,
+            label: options.label || null,
+            gameVersion: this.gameState.get('meta.version') || null,
+            userAgent: typeof navigator !== 'undefined' ? navigator.userAgent : null,
+            startedAt,
+            endedAt: null,
+            truncated: false,
+            systems: Array.from(this.targets.keys()),
+            baseline: this._snapshot(),
+            entries: [],
+            final: null
+        };
+        this.isRecording = true;
+
+        this._emit('journal:started', { startedAt, systems: this.journal.systems });
+        return this.journal;
+    }
+
+    /**
+     * Stop recording and capture the final state the replay is compared against
+     * @returns {Object|null} The finished journal
+     */
+    stop() {
+        if (!this.journal) {
+            return null;
+        }
+
+        if (this.isRecording) {
+            this.isRecording = false;
+            this.journal.endedAt = Date.now();
+            this.journal.final = this._snapshot();
+
+            this._emit('journal:stopped', {
+                endedAt: this.journal.endedAt,
+                entries: this.journal.entries.length
+            });
+        }
+
+        return this.journal;
+    }
+
+    /**
+     * Serialize the journal for a bug report; a running journal is snapshotted but keeps recording
+     * @returns {string} Journal JSON
+     */
+    export() {
+        if (!this.journal) {
+            throw new Error('ActionJournal: Nothing recorded');
+        }
+
+        const journal = this.isRecording
+            ? { ...this.journal, endedAt: Date.now(), final: this._snapshot() }
+            : this.journal;
+
+        return JSON.stringify(journal);
+    }
+
+    /**
+     * Save the journal as a file (browser only)
+     * @param {string} filename - Download file name
+     */
+    download(filename = `action-journal-${Date.now()}.json`) {
+        const blob = new Blob([this.export()], { type: 'application/json' });
+        const url = URL.createObjectURL(blob);
+
+        const link = document.createElement('a');
+        link.href = url;
+        link.download = filename;
+        document.body.appendChild(link);
+        link.click();
+        link.remove();
+
+        setTimeout(() => URL.revokeObjectURL(url), 0);
+    }
+
+    /**
+     * Get recording status for debugging
+     * @returns {Object} Status
+     */
+    getStatus() {
+        return {
+            enabled: this.config.enabled,
+            recording: this.isRecording,
+            systems: Array.from(this.targets.keys()),
+            entries: this.journal ? this.journal.entries.length : 0,
+            truncated: this.journal ? this.journal.truncated : false,
+            startedAt: this.journal ? this.journal.startedAt : null
+        };
+    }
+
+    // Private methods
+
+    _wrapCommand(system, command, original) {
+        const journal = this;
+
+        return function(...args) {
+            if (!journal.isRecording || journal.callDepth > 0) {
+                return original.apply(this, args);
+            }
+
+            const entry = journal._record(system, command, args);
+
+            journal.callDepth++;
+            let result;
+            try {
+                result = original.apply(this, args);
+            } catch (error) {
+                journal.callDepth--;
+                entry.error = error.message;
+                throw error;
+            }
+
+            // Async commands stay "in progress" until settled so their inner awaits are not recorded
+            if (result && typeof result.then === 'function') {
+                result.then(
+                    value => {
+                        journal.callDepth--;
+                        entry.result = journal._summarizeResult(value);
+                    },
+                    error => {
+                        journal.callDepth--;
+                        entry.error = error && error.message ? error.message : String(error);
+                    }
+                );
+            } else {
+                journal.callDepth--;
+                entry.result = journal._summarizeResult(result);
+            }
+
+            return result;
+        };
+    }
+
+    _record(system, command, args) {
+        // A replay needs its baseline right before the first entry, so rebase rather than drop old entries
+        if (this.journal.entries.length >= this.config.maxEntries) {
+            this.journal.startedAt = Date.now();
+            this.journal.baseline = this._snapshot();
+            this.journal.entries = [];
+            this.journal.truncated = true;
+        }
+
+        const now = Date.now();
+        const entry = {
+            seq: this.nextSeq++,
+            at: now,
+            elapsed: now - this.journal.startedAt,
+            system,
+            command,
+            args: this._serialize(args)
+        };
+
+        if (this.config.captureRng && this.randomManager) {
+            entry.rng = this.randomManager.getState();
+        }
+
+        this.journal.entries.push(entry);
+
+        this._emit('journal:recorded', { seq: entry.seq, system, command });
+        return entry;
+    }
+
+    /**
+     * Flush tracked systems into GameState, then copy the state and RNG positions
+     */
+    _snapshot() {
+        this.targets.forEach(({ target }) => {
+            if (typeof target.saveState === 'function') {
+                try {
+                    target.saveState();
+                } catch (error) {
+                    console.warn('ActionJournal: Could not flush system state:', error);
+                }
+            }
+        });
+
+        return {
+            takenAt: Date.now(),
+            state: this.gameState.getState(),
+            rng: this.randomManager ? this.randomManager.getState() : null
+        };
+    }
+
+    /**
+     * Keep only what a replay can pass back in: plain data, no functions or cycles
+     */
+    _serialize(value) {
+        const seen = new WeakSet();
+        return JSON.parse(JSON.stringify(value, (key, item) => {
+            if (typeof item === 'function') {
+                return undefined;
+            }
+            if (item && typeof item === 'object') {
+                if (seen.has(item)) {
+                    return '[Circular]';
+                }
+                seen.add(item);
+            }
+            return item;
+        }) ?? 'null');
+    }
+
+    _summarizeResult(value) {
+        if (value === undefined || value === null || typeof value !== 'object') {
+            return value ?? null;
+        }
+        if ('success' in value) {
+            return { success: value.success, reason: value.reason || value.error || null };
+        }
+        return Array.isArray(value) ? { count: value.length } : { type: 'object' };
+    }
+
+    _emit(eventType, data) {
+        if (this.eventManager) {
+            this.eventManager.emit(eventType, data);
+        }
+    }
+
+    _loadSettings() {
+        try {
+            const stored = typeof localStorage !== 'undefined' ? localStorage.getItem(this.settingsStorageKey) : null;
+            if (stored) {
+                this.config = { ...this.config, ...JSON.parse(stored) };
+            }
+        } catch (error) {
+            console.warn('ActionJournal: Could not read settings:', error);
+        }
+    }
+
+    _saveSettings() {
+        try {
+            if (typeof localStorage !== 'undefined') {
+                localStorage.setItem(this.settingsStorageKey, JSON.stringify(this.config));
+            }
+        } catch (error) {
+            console.warn('ActionJournal: Could not store settings:', error);
+        }
+    }
+}
+
+// Create singleton instance
+const actionJournal = new ActionJournal();
+
+// Export for ES6 modules and global usage
+if (typeof module !== 'undefined' && module.exports) {
+    module.exports = { ActionJournal, actionJournal };
+} else if (typeof window !== 'undefined') {
+    window.ActionJournal = ActionJournal;
+    window.actionJournal = actionJournal;
+}
@@ -81,6 +81,10 @@ class BalanceManager {
             engagement: []
         };
 
+        // Temporary multipliers layered over the config, keyed by source (e.g. 'event:lantern_festival')
+        // Never saved; the owner re-applies them after a reload
+        this.overrides = new Map();
+
         // Balance presets for different player types
         this.presets = {
             casual: {
@@ -154,6 +158,13 @@ class BalanceManager {
             modifiedValue *= categoryConfig[metric + 'Multiplier'];
         }
 
+        // Apply temporary overrides
+        for (const override of this.overrides.values()) {
+            if (override[category] && override[category][metric + 'Multiplier']) {
+                modifiedValue *= override[category][metric + 'Multiplier'];
+            }
+        }
+
         // Apply realm-specific adjustments for progression
         if (category === 'progression' && context.realm) {
             const realmAdjustment = this.config.realmAdjustments[context.realm];
@@ -319,6 +330,51 @@ class BalanceManager {
         }
     }
 
+    /**
+     * Layer temporary multipliers over the config until cleared
+     * @param {string} sourceId - Owner of the override, replaces any earlier override from it
+     * @param {Object} override - Same shape as the config, e.g. { progression: { cultivationSpeedMultiplier: 1.2 } }
+     */
+    setOverride(sourceId, override) {
+        if (!this._validateConfig(override)) {
+            throw new Error('Invalid balance override');
+        }
+
+        this.overrides.set(sourceId, JSON.parse(JSON.stringify(override)));
+
+        console.log(`BalanceManager: Override "${sourceId}" applied`);
+
+        if (this.eventManager) {
+            this.eventManager.emit('balance:overrideChanged', { sourceId, override, active: true });
+        }
+    }
+
+    /**
+     * Remove a temporary override
+     * @param {string} sourceId - Owner of the override
+     * @returns {boolean} Whether an override was removed
+     */
+    clearOverride(sourceId) {
+        if (!this.overrides.delete(sourceId)) {
+            return false;
+        }
+
+        console.log(`BalanceManager: Override "${sourceId}" cleared`);
+
+        if (this.eventManager) {
+            this.eventManager.emit('balance:overrideChanged', { sourceId, override: null, active: false });
+        }
+        return true;
+    }
+
+    /**
+     * Get the active temporary overrides
+     * @returns {Object} sourceId -> override
+     */
+    getOverrides() {
+        return JSON.parse(JSON.stringify(Object.fromEntries(this.overrides)));
+    }
+
     /**
      * Get current balance configuration
      * @returns {Object} Current balance configuration
@@ -606,7 +662,7 @@ class BalanceManager {
 
         // Analyze progression and generate recommendations
         const progressionHealth = this._analyzeProgressionHealth();
-        if (progressionHealth.score < 60) {
+        if (progressionHealth.score < 60 && progressionHealth.metrics) {
             if (progressionHealth.metrics.avgTimeBetweenLevels > 600000) {
                 recommendations.progression.push({
                     type: 'increase_speed',
@@ -0,0 +1,568 @@
+/**
+ * CloudSyncManager - Pushes and pulls save snapshots to the cloud save server
+ * Speaks sync protocol v1 (backend/src/sync/protocol.ts): writes carry the revision
+ * they were based on, and a stale write comes back as a conflict that is settled by
+ * last-writer-wins or, when a conflict handler is set, a manual merge prompt
+ */
+class CloudSyncManager {
+    constructor() {
+        this.protocolVersion = 1;
+
+        this.config = {
+            enabled: false,
+            baseUrl: 'http://localhost:3000/api/v1',
+            conflictStrategy: 'prompt', // 'prompt' or 'last-writer-wins'
+            syncOnSave: true,
+            syncDebounce: 10000,        // Wait this long after a local save before syncing
+            requestTimeout: 15000
+        };
+
+        // Sync bookkeeping lives outside the SaveManager prefix so it is never listed as a slot
+        this.stateStorageKey = 'idleCultivationCloudSync';
+        this.token = null;
+        this.user = null;
+        this.deviceId = null;
+        this.slotState = {}; // slot -> { revision, checksum, syncedAt }
+
+        this.saveSystem = null;
+        this.eventManager = null;
+        this.conflictHandler = null;
+
+        this.activeSyncs = new Map(); // slot -> Promise
+        this.pendingSyncTimer = null;
+        this.lastError = null;
+
+        this.stats = {
+            pushes: 0,
+            pulls: 0,
+            conflicts: 0,
+            failures: 0,
+            lastSyncTime: 0
+        };
+
+        this._loadState();
+    }
+
+    /**
+     * Attach to the save system
+     * @param {GameSaveSystem} saveSystem - Save system providing the current slot
+     * @param {EventManager} eventManager - Event manager for sync events
+     */
+    initialize(saveSystem, eventManager = null) {
+        this.saveSystem = saveSystem;
+        this.eventManager = eventManager || (typeof window !== 'undefined' ? window.eventManager : null);
+
+        if (!this.conflictHandler && typeof window !== 'undefined' && window.SyncConflictModal) {
+            this.setConflictHandler((conflict) => new window.SyncConflictModal().prompt(conflict));
+        }
+    }
+
+    /**
+     * Update configuration
+     * @param {Object} options - Partial config
+     */
+    configure(options = {}) {
+        this.config = { ...this.config, ...options };
+        this.config.baseUrl = this.config.baseUrl.replace(/\/+$/, '');
+        this._saveState();
+    }
+
+    /**
+     * Set the function asked to settle conflicts when conflictStrategy is 'prompt'
+     * It receives { slot, local, remote, sections } and resolves to
+     * { resolution: 'local' | 'remote' | 'merge' | 'postpone', sections? } where
+     * sections maps each differing state section to 'local' or 'remote' for a merge.
+     * Resolving to null falls back to last-writer-wins.
+     * @param {Function|null} handler - Conflict handler
+     */
+    setConflictHandler(handler) {
+        this.conflictHandler = handler;
+    }
+
+    /**
+     * Create an account on the sync server and sign in
+     * @param {Object} credentials - { username, email, password, displayName }
+     * @returns {Promise<Object>} Signed-in user
+     */
+    async register(credentials) {
+        const result = await this._request('POST', '/auth/register', credentials, { auth: false });
+        return this._setSession(result);
+    }
+
+    /**
+     * Sign in to the sync server
+     * @param {Object} credentials - { username, password }
+     * @returns {Promise<Object>} Signed-in user
+     */
+    async login(credentials) {
+        const result = await this._request('POST', '/auth/login', credentials, { auth: false });
+        return this._setSession(result);
+    }
+
+    /**
+     * Sign out; sync history is dropped since it belongs to the account
+     */
+    logout() {
+        this.token = null;
+        this.user = null;
+        this.slotState = {};
+        this._saveState();
+    }
+
+    /**
+     * @returns {boolean} Whether syncing can run
+     */
+    isAvailable() {
+        return this.config.enabled && !!this.token && typeof fetch === 'function';
+    }
+
+    /**
+     * Reconcile a slot with the server
+     * Pushes when only the local save changed since the last sync, pulls when only the
+     * cloud save changed, and resolves a conflict when both did.
+     * @param {string} slot - Save slot
+     * @returns {Promise<Object>} { action, revision, resolution? }
+     */
+    async sync(slot = this._currentSlot()) {
+        if (!this.isAvailable()) {
+            return { action: 'skipped', reason: this.token ? 'disabled' : 'signed_out' };
+        }
+
+        if (this.activeSyncs.has(slot)) {
+            return this.activeSyncs.get(slot);
+        }
+
+        const run = this._sync(slot).finally(() => this.activeSyncs.delete(slot));
+        this.activeSyncs.set(slot, run);
+        return run;
+    }
+
+    /**
+     * Upload the local save, overwriting the cloud copy only if it has not moved on
+     * @param {string} slot - Save slot
+     * @returns {Promise<Object>} Sync result
+     */
+    async push(slot = this._currentSlot()) {
+        const local = await this._readLocal(slot);
+        if (!local) {
+            throw new Error(`No local save in slot '${slot}'`);
+        }
+        const known = this.slotState[slot];
+        return await this._push(slot, local, known ? known.revision : null);
+    }
+
+    /**
+     * Replace the local save with the cloud copy
+     * @param {string} slot - Save slot
+     * @returns {Promise<Object>} Sync result
+     */
+    async pull(slot = this._currentSlot()) {
+        return await this._pull(slot, await this._request('GET', `/saves/${encodeURIComponent(slot)}`));
+    }
+
+    /**
+     * Sync a slot shortly after it was saved locally
+     * @param {string} slot - Save slot
+     */
+    onLocalSave(slot) {
+        if (!this.config.syncOnSave || !this.isAvailable()) {
+            return;
+        }
+
+        clearTimeout(this.pendingSyncTimer);
+        this.pendingSyncTimer = setTimeout(() => {
+            this.pendingSyncTimer = null;
+            this.sync(slot).catch(() => {});
+        }, this.config.syncDebounce);
+    }
+
+    /**
+     * Build a merged save from two snapshots, section by section
+     * @param {Object} localData - Local save
+     * @param {Object} remoteData - Cloud save
+     * @param {Object} choices - Section name -> 'local' | 'remote'; unlisted sections stay local
+     * @returns {Object} Merged save in the local save's format
+     */
+    mergeSnapshots(localData, remoteData, choices = {}) {
+        const localState = this._unwrapState(localData);
+        const remoteState = this._unwrapState(remoteData);
+        const merged = JSON.parse(JSON.stringify(localState));
+
+        for (const [section, side] of Object.entries(choices)) {
+            if (side !== 'remote') {
+                continue;
+            }
+            if (section in remoteState) {
+                merged[section] = JSON.parse(JSON.stringify(remoteState[section]));
+            } else {
+                delete merged[section];
+            }
+        }
+
+        const now = Date.now();
+        merged.meta = { ...merged.meta, lastSave: now };
+
+        return localData && localData.state ? { ...localData, state: merged, timestamp: now } : merged;
+    }
+
+    /**
+     * Get sync status for display
+     * @returns {Object} Status
+     */
+    getStatus() {
+        return {
+            enabled: this.config.enabled,
+            signedIn: !!this.token,
+            user: this.user,
+            deviceId: this.deviceId,
+            syncing: this.activeSyncs.size > 0,
+            slots: { ...this.slotState },
+            lastError: this.lastError,
+            stats: { ...this.stats }
+        };
+    }
+
+    // Private methods
+
+    async _sync(slot) {
+        this._emit('cloudSync:started', { slot });
+
+        try {
+            const local = await this._readLocal(slot);
+            const remoteMeta = await this._fetchMeta(slot);
+            const known = this.slotState[slot] || null;
+            let result;
+
+            if (!local && !remoteMeta) {
+                result = { action: 'up-to-date', revision: null };
+            } else if (!remoteMeta) {
+                result = await this._push(slot, local, null);
+            } else if (!local) {
+                result = await this.pull(slot);
+            } else if (remoteMeta.checksum && remoteMeta.checksum === local.checksum) {
+                this._recordSync(slot, remoteMeta.revision, local.checksum);
+                result = { action: 'up-to-date', revision: remoteMeta.revision };
+            } else {
+                // Without a sync record both sides count as changed, so a first sync never overwrites silently
+                const localChanged = !known || known.checksum !== local.checksum;
+                const remoteChanged = !known || known.revision !== remoteMeta.revision;
+
+                if (localChanged && !remoteChanged) {
+                    result = await this._push(slot, local, remoteMeta.revision);
+                } else if (remoteChanged && !localChanged) {
+                    result = await this.pull(slot);
+                } else if (!localChanged && !remoteChanged) {
+                    result = { action: 'up-to-date', revision: remoteMeta.revision };
+                } else {
+                    const remote = await this._request('GET', `/saves/${encodeURIComponent(slot)}`);
+                    result = await this._resolveConflict(slot, local, remote);
+                }
+            }
+
+            this.lastError = null;
+            this.stats.lastSyncTime = Date.now();
+            this._emit('cloudSync:completed', { slot, ...result });
+            return result;
+
+        } catch (error) {
+            console.error('CloudSyncManager: Sync failed:', error);
+            this.stats.failures++;
+            this.lastError = error.message;
+            this._emit('cloudSync:failed', { slot, error: error.message, code: error.code || null });
+            throw error;
+        }
+    }
+
+    async _push(slot, local, baseRevision, force = false) {
+        try {
+            const meta = await this._request('PUT', `/saves/${encodeURIComponent(slot)}`, {
+                baseRevision,
+                checksum: local.verifiable ? local.checksum : null,
+                deviceId: this.deviceId,
+                savedAt: local.savedAt,
+                data: local.data,
+                force
+            });
+
+            this.stats.pushes++;
+            this._recordSync(slot, meta.revision, local.checksum);
+            return { action: 'pushed', revision: meta.revision };
+
+        } catch (error) {
+            if (error.status === 409 && error.body && error.body.remote && !force) {
+                return await this._resolveConflict(slot, local, error.body.remote);
+            }
+            throw error;
+        }
+    }
+
+    async _pull(slot, snapshot) {
+        const fingerprint = await this._fingerprint(snapshot.data);
+        if (snapshot.checksum && fingerprint.verifiable && snapshot.checksum !== fingerprint.checksum) {
+            throw new Error(`Cloud save for '${slot}' failed checksum validation`);
+        }
+
+        await this._writeLocal(slot, snapshot.data);
+
+        this.stats.pulls++;
+        this._recordSync(slot, snapshot.revision, fingerprint.checksum);
+        return { action: 'pulled', revision: snapshot.revision };
+    }
+
+    async _resolveConflict(slot, local, remote) {
+        this.stats.conflicts++;
+
+        const conflict = {
+            slot,
+            local: { savedAt: local.savedAt, deviceId: this.deviceId, data: local.data },
+            remote: { savedAt: remote.savedAt, deviceId: remote.deviceId, revision: remote.revision, data: remote.data },
+            sections: this._diffSections(local.data, remote.data)
+        };
+
+        let decision = null;
+        if (this.config.conflictStrategy === 'prompt' && this.conflictHandler) {
+            try {
+                decision = await this.conflictHandler(conflict);
+            } catch (error) {
+                console.warn('CloudSyncManager: Conflict prompt failed, using last writer:', error);
+            }
+        }
+
+        const automatic = !decision;
+        if (automatic) {
+            decision = { resolution: local.savedAt >= remote.savedAt ? 'local' : 'remote' };
+        }
+
+        this._emit('cloudSync:conflict', { slot, resolution: decision.resolution, automatic });
+
+        switch (decision.resolution) {
+            case 'local': {
+                const result = await this._push(slot, local, remote.revision, true);
+                return { ...result, action: 'resolved', resolution: 'local' };
+            }
+            case 'remote': {
+                const result = await this._pull(slot, remote);
+                return { ...result, action: 'resolved', resolution: 'remote' };
+            }
+            case 'merge': {
+                const merged = this.mergeSnapshots(local.data, remote.data, decision.sections || {});
+                await this._writeLocal(slot, merged);
+                const result = await this._push(slot, await this._describeLocal(merged), remote.revision, true);
+                return { ...result, action: 'resolved', resolution: 'merge' };
+            }
+            default:
+                return { action: 'conflict', revision: remote.revision, resolution: 'postpone' };
+        }
+    }
+
+    /**
+     * List top-level state sections whose contents differ between two saves
+     */
+    _diffSections(localData, remoteData) {
+        const localState = this._unwrapState(localData);
+        const remoteState = this._unwrapState(remoteData);
+        const names = new Set([...Object.keys(localState), ...Object.keys(remoteState)]);
+        names.delete('meta');
+
+        return Array.from(names).filter(name =>
+            JSON.stringify(localState[name]) !== JSON.stringify(remoteState[name])
+        );
+    }
+
+    /**
+     * GameState.save() stores { state, timestamp, version }; GameSaveSystem stores the state itself
+     */
+    _unwrapState(data) {
+        if (!data || typeof data !== 'object') {
+            return {};
+        }
+        return data.state && typeof data.state === 'object' ? data.state : data;
+    }
+
+    async _readLocal(slot) {
+        if (typeof window === 'undefined' || !window.saveManager) {
+            throw new Error('SaveManager is not available');
+        }
+
+        const data = await window.saveManager.load(slot);
+        return data ? await this._describeLocal(data) : null;
+    }
+
+    async _describeLocal(data) {
+        const fingerprint = await this._fingerprint(data);
+        const state = this._unwrapState(data);
+
+        return {
+            data,
+            checksum: fingerprint.checksum,
+            verifiable: fingerprint.verifiable,
+            savedAt: data.timestamp || (state.meta && (state.meta.lastSave || state.meta.lastPlayed)) || 0
+        };
+    }
+
+    async _writeLocal(slot, data) {
+        const saved = await window.saveManager.save(slot, data, { validate: false, backup: true });
+        if (!saved) {
+            throw new Error(`Could not write cloud save into slot '${slot}'`);
+        }
+
+        if (window.gameState && slot === this._currentSlot()) {
+            await window.gameState.load();
+        }
+
+        this._emit('cloudSync:applied', { slot });
+    }
+
+    async _fetchMeta(slot) {
+        try {
+            return await this._request('GET', `/saves/${encodeURIComponent(slot)}/meta`);
+        } catch (error) {
+            if (error.status === 404) {
+                return null;
+            }
+            throw error;
+        }
+    }
+
+    /**
+     * SHA-256 of the canonical JSON of data, matching the server's check
+     * Falls back to an unverifiable local hash where Web Crypto is missing (insecure origins)
+     */
+    async _fingerprint(data) {
+        const json = SaveManager.canonicalJson(data);
+
+        if (typeof crypto !== 'undefined' && crypto.subtle && typeof TextEncoder !== 'undefined') {
+            const hashBuffer = await crypto.subtle.digest('SHA-256', new TextEncoder().encode(json));
+            const checksum = Array.from(new Uint8Array(hashBuffer))
+                .map(byte => byte.toString(16).padStart(2, '0'))
+                .join('');
+            return { checksum, verifiable: true };
+        }
+
+        let hash = 0;
+        for (let i = 0; i < json.length; i++) {
+            hash = ((hash << 5) - hash + json.charCodeAt(i)) | 0;
+        }
+        return { checksum: `local:${json.length}:${hash}`, verifiable: false };
+    }
+
+    async _request(method, path, body = null, options = {}) {
+        const headers = {
+            'Content-Type': 'application/json',
+            'X-Sync-Protocol': String(this.protocolVersion)
+        };
+        if (options.auth !== false && this.token) {
+            headers.Authorization = `Bearer ${this.token}`;
+        }
+
+        const controller = typeof AbortController !== 'undefined' ? new AbortController() : null;
+        const timeout = controller ? setTimeout(() => controller.abort(), this.config.requestTimeout) : null;
+
+        try {
+            const response = await fetch(this.config.baseUrl + path, {
+                method,
+                headers,
+                body: body ? JSON.stringify(body) : undefined,
+                signal: controller ? controller.signal : undefined
+            });
+
+            const text = await response.text();
+            const payload = text ? JSON.parse(text) : null;
+
+            if (!response.ok) {
+                const error = new Error((payload && payload.message) || `Request failed with status ${response.status}`);
+                error.status = response.status;
+                error.code = payload && payload.error;
+                error.body = payload;
+
+                if (response.status === 401 && options.auth !== false) {
+                    // Token expired or revoked; make the player sign in again
+                    this.token = null;
+                    this._saveState();
+                }
+                throw error;
+            }
+
+            return payload;
+
+        } catch (error) {
+            if (error.name === 'AbortError') {
+                throw new Error(`Sync server did not respond within ${this.config.requestTimeout}ms`);
+            }
+            throw error;
+        } finally {
+            clearTimeout(timeout);
+        }
+    }
+
+    _setSession(result) {
+        this.token = result.token;
+        this.user = result.user;
+        // Revisions are per account, so history from another account does not apply
+        this.slotState = {};
+        this._saveState();
+
+        this._emit('cloudSync:signedIn', { user: this.user });
+        return this.user;
+    }
+
+    _recordSync(slot, revision, checksum) {
+        this.slotState[slot] = { revision, checksum, syncedAt: Date.now() };
+        this._saveState();
+    }
+
+    _currentSlot() {
+        return (this.saveSystem && this.saveSystem.currentSlot) || 'main';
+    }
+
+    _emit(eventType, data) {
+        if (this.eventManager) {
+            this.eventManager.emit(eventType, data);
+        }
+    }
+
+    _loadState() {
+        try {
+            const saved = JSON.parse(localStorage.getItem(this.stateStorageKey) || 'null');
+            if (saved) {
+                this.config = { ...this.config, ...saved.config };
+                this.token = saved.token || null;
+                this.user = saved.user || null;
+                this.deviceId = saved.deviceId || null;
+                this.slotState = saved.slotState || {};
+            }
+        } catch (error) {
+            console.warn('CloudSyncManager: Could not read sync state:', error);
+        }
+
+        if (!this.deviceId) {
+            this.deviceId = `device_${Date.now().toString(36)}_${Math.random().toString(36).slice(2, 10)}`;
+            this._saveState();
+        }
+    }
+
+    _saveState() {
+        try {
+            localStorage.setItem(this.stateStorageKey, JSON.stringify({
+                config: this.config,
+                token: this.token,
+                user: this.user,
+                deviceId: this.deviceId,
+                slotState: this.slotState
+            }));
+        } catch (error) {
+            console.warn('CloudSyncManager: Could not persist sync state:', error);
+        }
+    }
+}
+
+// Create singleton instance
+const cloudSyncManager = new CloudSyncManager();
+
+// Export for ES6 modules and global usage
+if (typeof module !== 'undefined' && module.exports) {
+    module.exports = { CloudSyncManager, cloudSyncManager };
+} else if (typeof window !== 'undefined') {
+    window.CloudSyncManager = CloudSyncManager;
+    window.cloudSyncManager = cloudSyncManager;
+}
@@ -0,0 +1,446 @@
+/**
+ * ContentPackLoader - Loads versioned JSON content packs into the game's registries
+ * A pack adds recipes, shop items, mounts, wings, runes, constellations and scriptures
+ * without touching system code. Packs are listed in content/packs/manifest.json, each
+ * entry is validated against a DataValidator schema, and packs are applied in manifest
+ * order: an entry whose id matches a built-in (or earlier pack) entry replaces it.
+ *
+ * Pack format:
+ *   {
+ *     "formatVersion": 1,
+ *     "id": "spring-festival",
+ *     "name": "Spring Festival",
+ *     "version": "1.0.0",
+ *     "content": { "recipes": [...], "items": [...], "mounts": [...], ... }
+ *   }
+ */
+class ContentPackLoader {
+    constructor() {
+        this.formatVersion = 1;
+
+        // contentType -> Map<entryId, entry>
+        this.registries = {};
+        for (const type of Object.keys(ContentPackLoader.CONTENT_TYPES)) {
+            this.registries[type] = new Map();
+        }
+
+        // packId -> { id, name, version, source, counts, errors }
+        this.packs = new Map();
+
+        this.dataValidator = null;
+        this.eventManager = null;
+        this.schemasRegistered = false;
+    }
+
+    /**
+     * Content types a pack may contain, and the schema every entry is checked against
+     */
+    static get CONTENT_TYPES() {
+        return {
+            recipes: { schema: 'contentPack.recipe' },
+            items: { schema: 'contentPack.item' },
+            mounts: { schema: 'contentPack.mount' },
+            wings: { schema: 'contentPack.wing' },
+            runes: { schema: 'contentPack.rune' },
+            constellations: { schema: 'contentPack.constellation' },
+            scriptures: { schema: 'contentPack.scripture' }
+        };
+    }
+
+    /**
+     * Set up the loader with the core systems
+     * @param {Object} systems - { dataValidator, eventManager }
+     */
+    initialize(systems = {}) {
+        this.dataValidator = systems.dataValidator || (typeof dataValidator !== 'undefined' ? dataValidator : null);
+        this.eventManager = systems.eventManager || null;
+
+        if (!this.dataValidator) {
+            throw new Error('ContentPackLoader: DataValidator is required');
+        }
+
+        this._registerSchemas();
+    }
+
+    /**
+     * Load every pack listed in a manifest ({ packs: ['pack.json', ...] })
+     * A missing manifest is not an error: the game simply runs with its built-in content.
+     * @param {string} manifestUrl - Manifest location
+     * @returns {Promise<Array<Object>>} One registerPack() result per listed pack
+     */
+    async loadManifest(manifestUrl) {
+        let manifest;
+        try {
+            manifest = await this._fetchJson(manifestUrl);
+        } catch (error) {
+            console.warn(`ContentPackLoader: No content packs loaded (${error.message})`);
+            return [];
+        }
+
+        const packUrls = Array.isArray(manifest.packs) ? manifest.packs : [];
+        const results = [];
+
+        for (const packUrl of packUrls) {
+            results.push(await this.loadPackFromUrl(this._resolveUrl(packUrl, manifestUrl)));
+        }
+
+        console.log(`ContentPackLoader: Loaded ${results.filter(result => result.success).length}/${packUrls.length} content packs`);
+        return results;
+    }
+
+    /**
+     * Fetch and register one pack
+     * @param {string} url - Pack location
+     * @returns {Promise<Object>} registerPack() result
+     */
+    async loadPackFromUrl(url) {
+        try {
+            return this.registerPack(await this._fetchJson(url), url);
+        } catch (error) {
+            return this._reject(null, url, [error.message]);
+        }
+    }
+
+    /**
+     * Validate a pack and merge its entries into the registries
+     * Entries that fail validation are skipped; the rest of the pack still applies.
+     * @param {Object} pack - Parsed pack
+     * @param {string} source - Where the pack came from, for diagnostics
+     * @returns {Object} { success, packId, counts, errors }
+     */
+    registerPack(pack, source = 'inline') {
+        if (!this.schemasRegistered) {
+            throw new Error('ContentPackLoader: Not initialized');
+        }
+
+        // The schema validator only reports typeof, so nulls and arrays are caught here first
+        if (!ContentPackLoader._isObject(pack)) {
+            return this._reject(null, source, ['Pack must be a JSON object']);
+        }
+        if (!ContentPackLoader._isObject(pack.content)) {
+            return this._reject(pack.id, source, ['content: Expected an object of content types']);
+        }
+
+        const header = this.dataValidator.validate(pack, 'contentPack', { sanitize: false, logErrors: false });
+        if (!header.isValid) {
+            return this._reject(pack.id, source, header.errors);
+        }
+        if (pack.formatVersion > this.formatVersion) {
+            return this._reject(pack.id, source, [`Format version ${pack.formatVersion} is newer than supported (${this.formatVersion})`]);
+        }
+        if (this.packs.has(pack.id)) {
+            return this._reject(pack.id, source, [`Pack '${pack.id}' is already loaded (version ${this.packs.get(pack.id).version})`]);
+        }
+
+        const counts = {};
+        const errors = [];
+
+        for (const [type, entries] of Object.entries(pack.content)) {
+            const contentType = ContentPackLoader.CONTENT_TYPES[type];
+            if (!contentType) {
+                errors.push(`content.${type}: Unknown content type`);
+                continue;
+            }
+            if (!Array.isArray(entries)) {
+                errors.push(`content.${type}: Expected an array of entries`);
+                continue;
+            }
+
+            counts[type] = 0;
+            entries.forEach((entry, index) => {
+                const result = this.dataValidator.validate(entry, contentType.schema, { sanitize: false, logErrors: false });
+                if (!result.isValid) {
+                    const label = entry && entry.id ? entry.id : `#${index}`;
+                    errors.push(...result.errors.map(error => `content.${type}[${label}] ${error.replace(/^: /, '')}`));
+                    return;
+                }
+
+                this._applyEntry(type, { ...entry, contentPack: pack.id });
+                counts[type]++;
+            });
+        }
+
+        this.packs.set(pack.id, {
+            id: pack.id,
+            name: pack.name,
+            version: pack.version,
+            source,
+            counts,
+            errors
+        });
+
+        if (errors.length > 0) {
+            console.warn(`ContentPackLoader: Pack '${pack.id}' skipped ${errors.length} invalid entries:`, errors);
+        }
+        console.log(`ContentPackLoader: Registered pack '${pack.id}' v${pack.version}`, counts);
+
+        this._emit('content:pack_loaded', { packId: pack.id, version: pack.version, counts, errors });
+        return { success: true, packId: pack.id, counts, errors };
+    }
+
+    /**
+     * Get a pack entry by id
+     * @param {string} type - Content type, e.g. 'mounts'
+     * @param {string} id - Entry id
+     * @returns {Object|null} Entry
+     */
+    get(type, id) {
+        const registry = this.registries[type];
+        return (registry && registry.get(id)) || null;
+    }
+
+    /**
+     * Get every pack entry of a type
+     * @param {string} type - Content type
+     * @returns {Array<Object>} Entries
+     */
+    getAll(type) {
+        const registry = this.registries[type];
+        return registry ? Array.from(registry.values()) : [];
+    }
+
+    /**
+     * Resolve an id against the packs first and the built-in definition second
+     * @param {string} type - Content type
+     * @param {string} id - Entry id
+     * @param {Object|undefined} builtIn - Built-in definition
+     * @returns {Object|null} Definition
+     */
+    lookup(type, id, builtIn) {
+        return this.get(type, id) || builtIn || null;
+    }
+
+    /**
+     * Get loaded packs for debugging and the settings screen
+     * @returns {Array<Object>} Pack summaries
+     */
+    getLoadedPacks() {
+        return Array.from(this.packs.values()).map(pack => ({ ...pack }));
+    }
+
+    // Private methods
+
+    _applyEntry(type, entry) {
+        this.registries[type].set(entry.id, entry);
+
+        // The scripture database is keyed by name and read directly by the gacha and scripture systems
+        if (type === 'scriptures' && typeof SCRIPTURE_DATABASE !== 'undefined') {
+            SCRIPTURE_DATABASE[entry.name] = entry;
+        }
+    }
+
+    static _isObject(value) {
+        return value !== null && typeof value === 'object' && !Array.isArray(value);
+    }
+
+    _reject(packId, source, errors) {
+        console.error(`ContentPackLoader: Rejected pack '${packId || source}':`, errors);
+        this._emit('content:pack_rejected', { packId: packId || null, source, errors });
+        return { success: false, packId: packId || null, counts: {}, errors };
+    }
+
+    async _fetchJson(url) {
+        const response = await fetch(url, { cache: 'no-cache' });
+        if (!response.ok) {
+            throw new Error(`${url}: HTTP ${response.status}`);
+        }
+        return response.json();
+    }
+
+    _resolveUrl(url, baseUrl) {
+        if (/^[a-z]+:|^\//i.test(url)) {
+            return url;
+        }
+        return baseUrl.slice(0, baseUrl.lastIndexOf('/') + 1) + url;
+    }
+
+    _emit(eventType, data) {
+        if (this.eventManager) {
+            this.eventManager.emit(eventType, data);
+        }
+    }
+
+    /**
+     * Register the pack and entry schemas with DataValidator
+     */
+    _registerSchemas() {
+        if (this.schemasRegistered) {
+            return;
+        }
+
+        const text = { type: 'string' };
+        const optionalText = { type: 'string', optional: true };
+        const positive = { type: 'number', minimum: 0 };
+        const amounts = { type: 'object', additionalProperties: { type: 'number', minimum: 0 } };
+        const id = { type: 'string' };
+
+        this.dataValidator.registerSchema('contentPack', {
+            type: 'object',
+            required: ['formatVersion', 'id', 'name', 'version', 'content'],
+            properties: {
+                formatVersion: { type: 'number', minimum: 1 },
+                id: text,
+                name: text,
+                version: text,
+                description: optionalText,
+                content: { type: 'object' }
+            }
+        });
+
+        this.dataValidator.registerSchema('contentPack.recipe', {
+            type: 'object',
+            required: ['id', 'name', 'category', 'requiredLevel', 'materials', 'result', 'craftingTime', 'baseSuccessRate'],
+            properties: {
+                id,
+                name: text,
+                description: optionalText,
+                category: { type: 'string', enum: ['alchemy', 'smithing', 'inscription', 'cooking', 'enchanting'] },
+                requiredLevel: { type: 'number', minimum: 1 },
+                materials: { type: 'object', additionalProperties: { type: 'number', minimum: 1 } },
+                result: {
+                    type: 'object',
+                    required: ['id', 'name', 'type'],
+                    properties: {
+                        id,
+                        name: text,
+                        type: text,
+                        value: { type: 'number', minimum: 0, optional: true }
+                    }
+                },
+                craftingTime: { type: 'number', minimum: 1000 },
+                baseSuccessRate: { type: 'number', minimum: 0, maximum: 1 },
+                experienceGain: { type: 'number', minimum: 0, optional: true }
+            }
+        });
+
+        this.dataValidator.registerSchema('contentPack.item', {
+            type: 'object',
+            required: ['id', 'shop', 'name', 'type', 'prices', 'value'],
+            properties: {
+                id,
+                shop: { type: 'string', enum: ['general', 'scripture', 'equipment', 'alchemy', 'rare'] },
+                name: text,
+                type: { type: 'string', enum: ['material', 'consumable', 'equipment', 'scripture'] },
+                description: optionalText,
+                prices: amounts,
+                value: positive,
+                effect: { type: 'object', optional: true },
+                stats: { type: 'object', optional: true }
+            }
+        });
+
+        this.dataValidator.registerSchema('contentPack.mount', {
+            type: 'object',
+            required: ['id', 'name', 'rarity', 'basePower', 'powerPerLevel', 'baseExpRequirement', 'expGrowthRate', 'baseTrainingTime', 'baseExpGain'],
+            properties: {
+                id,
+                name: text,
+                description: optionalText,
+                rarity: text,
+                basePower: positive,
+                powerPerLevel: positive,
+                experienceBonus: { type: 'number', minimum: 0, optional: true },
+                baseExpRequirement: { type: 'number', minimum: 1 },
+                expGrowthRate: { type: 'number', minimum: 1 },
+                baseTrainingTime: { type: 'number', minimum: 1000 },
+                baseExpGain: positive,
+                unlockRequirement: optionalText,
+                type: optionalText,
+                element: optionalText
+            }
+        });
+
+        this.dataValidator.registerSchema('contentPack.wing', {
+            type: 'object',
+            required: ['id', 'name', 'rarity', 'basePower', 'powerPerLevel', 'baseUpgradeTime', 'primaryMaterial'],
+            properties: {
+                id,
+                name: text,
+                description: optionalText,
+                rarity: text,
+                basePower: positive,
+                powerPerLevel: positive,
+                baseUpgradeTime: { type: 'number', minimum: 1000 },
+                primaryMaterial: text,
+                unlockRequirement: optionalText,
+                type: optionalText,
+                element: optionalText
+            }
+        });
+
+        this.dataValidator.registerSchema('contentPack.rune', {
+            type: 'object',
+            required: ['id', 'name', 'rarity', 'type', 'basePower', 'powerPerLevel', 'fusionCost', 'baseFusionTime', 'setType'],
+            properties: {
+                id,
+                name: text,
+                description: optionalText,
+                rarity: text,
+                type: text,
+                basePower: positive,
+                powerPerLevel: positive,
+                fusionCost: positive,
+                baseFusionTime: { type: 'number', minimum: 1000 },
+                unlockRequirement: optionalText,
+                setType: text,
+                setBonus2: { type: 'number', minimum: 0, optional: true },
+                setBonus4: { type: 'number', minimum: 0, optional: true },
+                setBonus6: { type: 'number', minimum: 0, optional: true },
+                element: optionalText
+            }
+        });
+
+        // Constellation stars refer to the star ids SoulSystem already defines
+        this.dataValidator.registerSchema('contentPack.constellation', {
+            type: 'object',
+            required: ['id', 'name', 'basePower', 'minPurity', 'minDensity', 'stars', 'fullSetBonus', 'requirements'],
+            properties: {
+                id,
+                name: text,
+                description: optionalText,
+                basePower: positive,
+                minPurity: positive,
+                minDensity: positive,
+                stars: { type: 'array', items: text },
+                fullSetBonus: positive,
+                requirements: amounts,
+                element: optionalText
+            }
+        });
+
+        this.dataValidator.registerSchema('contentPack.scripture', {
+            type: 'object',
+            required: ['id', 'name', 'rarity', 'category', 'description', 'baseStats'],
+            properties: {
+                id,
+                name: text,
+                rarity: typeof SCRIPTURE_RARITIES !== 'undefined'
+                    ? { type: 'string', enum: Object.keys(SCRIPTURE_RARITIES) }
+                    : text,
+                category: typeof SCRIPTURE_CATEGORIES !== 'undefined'
+                    ? { type: 'string', enum: Object.keys(SCRIPTURE_CATEGORIES) }
+                    : text,
+                description: text,
+                lore: optionalText,
+                unlockRequirements: { type: 'object', optional: true },
+                baseStats: { type: 'object', additionalProperties: { type: 'number' } },
+                specialEffects: { type: 'object', optional: true },
+                school: optionalText,
+                element: optionalText
+            }
+        });
+
+        this.schemasRegistered = true;
+    }
+}
+
+// Create singleton instance
+const contentPackLoader = new ContentPackLoader();
+
+// Export for ES6 modules and global usage
+if (typeof module !== 'undefined' && module.exports) {
+    module.exports = { ContentPackLoader, contentPackLoader };
+} else if (typeof window !== 'undefined') {
+    window.ContentPackLoader = ContentPackLoader;
+    window.contentPackLoader = contentPackLoader;
+}
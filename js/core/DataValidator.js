@@ -282,6 +282,62 @@ class DataValidator {
         };
     }
 
+    /**
+     * Replay the premium currency ledger and compare it with the balances in the state
+     * Every entry must continue the running total of its resource, and the final totals
+     * must equal the balances; anything else means a balance was edited outside the game.
+     * @param {Object} state - Game state with a ledger (see ResourceLedger)
+     * @param {Object} options - { resources: ledger resource -> state path, tolerance }
+     * @returns {Object} { isReconciled, mismatches: [{ resource, expected, actual, seq? }] }
+     */
+    reconcileLedger(state, options = {}) {
+        const config = {
+            resources: typeof resourceLedger !== 'undefined' ? resourceLedger.resources : null,
+            tolerance: 1e-6,
+            ...options
+        };
+
+        const ledger = state && state.ledger;
+        if (!ledger || !ledger.opening || typeof ledger.opening !== 'object' || !Array.isArray(ledger.entries)) {
+            return { isReconciled: false, mismatches: [{ resource: null, reason: 'malformed_ledger' }] };
+        }
+
+        const resources = config.resources ||
+            Object.fromEntries(Object.keys(ledger.opening).map(resource => [resource, `player.${resource}`]));
+        const matches = (a, b) => Math.abs(a - b) <= config.tolerance * Math.max(1, Math.abs(b));
+        const mismatches = [];
+
+        for (const [resource, path] of Object.entries(resources)) {
+            let running = Number(ledger.opening[resource]) || 0;
+            let brokenAt = null;
+
+            for (const entry of ledger.entries) {
+                if (entry.resource !== resource) {
+                    continue;
+                }
+                running += Number(entry.delta) || 0;
+                if (brokenAt === null && !matches(running, Number(entry.balance))) {
+                    brokenAt = entry.seq;
+                }
+            }
+
+            const actual = path.split('.').reduce((current, key) => current ? current[key] : undefined, state);
+            const balance = typeof actual === 'number' ? actual : 0;
+
+            if (brokenAt !== null) {
+                mismatches.push({ resource, expected: running, actual: balance, seq: brokenAt, reason: 'broken_history' });
+            } else if (!matches(balance, running)) {
+                mismatches.push({ resource, expected: running, actual: balance, reason: 'balance_mismatch' });
+            }
+        }
+
+        if (mismatches.length > 0) {
+            this.stats.corruptionDetected++;
+        }
+
+        return { isReconciled: mismatches.length === 0, mismatches };
+    }
+
     /**
      * Attempt to repair corrupted data
      * @param {*} data - Corrupted data
@@ -403,6 +459,46 @@ class DataValidator {
                         dual: { $ref: '#/definitions/cultivationPath' }
                     }
                 },
+                reincarnation: {
+                    type: 'object',
+                    properties: {
+                        count: { type: 'number', minimum: 0 },
+                        daoMarks: { type: 'number', minimum: 0 },
+                        totalDaoMarks: { type: 'number', minimum: 0 },
+                        upgrades: { type: 'object' },
+                        history: { type: 'array' },
+                        lastReincarnationTime: { type: 'number', minimum: 0 }
+                    }
+                },
+                ledger: {
+                    type: 'object',
+                    optional: true,
+                    properties: {
+                        opening: { type: 'object' },
+                        entries: {
+                            type: 'array',
+                            items: {
+                                type: 'object',
+                                required: ['seq', 'resource', 'delta', 'balance'],
+                                properties: {
+                                    seq: { type: 'number', minimum: 1 },
+                                    delta: { type: 'number' },
+                                    balance: { type: 'number' },
+                                    source: { type: 'string', optional: true }
+                                }
+                            }
+                        },
+                        nextSeq: { type: 'number', minimum: 1 }
+                    }
+                },
+                integrity: {
+                    type: 'object',
+                    optional: true,
+                    properties: {
+                        flagged: { type: 'boolean' },
+                        reasons: { type: 'array', items: { type: 'string' } }
+                    }
+                },
                 meta: {
                     type: 'object',
                     required: ['createdAt', 'lastPlayed', 'version'],
@@ -513,6 +609,11 @@ class DataValidator {
         const warnings = [];
         let sanitizedValue = value;
 
+        // Optional properties are only checked when present
+        if (value === undefined && schema.optional) {
+            return { isValid: true, errors, warnings, sanitizedValue: undefined };
+        }
+
         // Type validation
         if (schema.type) {
             const typeValid = this._validateType(value, schema.type);
@@ -555,6 +656,11 @@ class DataValidator {
             }
         }
 
+        // Allowed values validation
+        if (schema.enum && !schema.enum.includes(sanitizedValue)) {
+            errors.push(`${path}: Value ${JSON.stringify(sanitizedValue)} is not one of ${schema.enum.join(', ')}`);
+        }
+
         // Object properties validation
         if (schema.type === 'object' && schema.properties && typeof sanitizedValue === 'object') {
             for (const [propKey, propSchema] of Object.entries(schema.properties)) {
@@ -570,6 +676,38 @@ class DataValidator {
             }
         }
 
+        // Map-like objects: every key not listed in properties follows additionalProperties
+        if (schema.type === 'object' && schema.additionalProperties && typeof schema.additionalProperties === 'object' &&
+            sanitizedValue && typeof sanitizedValue === 'object') {
+            for (const propKey of Object.keys(sanitizedValue)) {
+                if (schema.properties && propKey in schema.properties) continue;
+
+                const propPath = path ? `${path}.${propKey}` : propKey;
+                const propResult = this._validateValue(sanitizedValue[propKey], schema.additionalProperties, propPath, config);
+
+                errors.push(...propResult.errors);
+                warnings.push(...propResult.warnings);
+
+                if (config.sanitize && propResult.sanitizedValue !== undefined) {
+                    sanitizedValue[propKey] = propResult.sanitizedValue;
+                }
+            }
+        }
+
+        // Array items validation
+        if (schema.type === 'array' && schema.items && Array.isArray(sanitizedValue)) {
+            sanitizedValue.forEach((item, index) => {
+                const itemResult = this._validateValue(item, schema.items, `${path}[${index}]`, config);
+
+                errors.push(...itemResult.errors);
+                warnings.push(...itemResult.warnings);
+
+                if (config.sanitize && itemResult.sanitizedValue !== undefined) {
+                    sanitizedValue[index] = itemResult.sanitizedValue;
+                }
+            });
+        }
+
         return {
             isValid: errors.length === 0,
             errors,
@@ -0,0 +1,486 @@
+/**
+ * EventCalendar - Schedules seasonal and other limited-time events
+ * Owned and ticked by the TimeManager. When an event's window opens it opens the event's gacha banner,
+ * quests, shop rotation and balance overrides; when it closes it takes them down again and converts
+ * leftover event currency into regular resources.
+ */
+class EventCalendar {
+    constructor() {
+        this.gameState = null;
+        this.eventManager = null;
+
+        // Systems an event drives; any of them may be missing
+        this.systems = {
+            gachaSystem: null,
+            questSystem: null,
+            shopManager: null,
+            balanceManager: null
+        };
+
+        // eventId -> definition (see js/data/event-data.js for the format)
+        this.definitions = new Map();
+
+        // Saved as the 'events' GameState section. Active records carry everything needed to end
+        // the event, so an event removed from the definitions still winds down cleanly
+        this.state = {
+            active: [],
+            currencies: {},
+            history: []
+        };
+
+        this.checkInterval = 1000; // TimeManager ticks every frame; schedules only need checking once a second
+        this.lastCheck = 0;
+        this.maxHistory = 20;
+
+        this.isInitialized = false;
+        this.isConnected = false;
+    }
+
+    /**
+     * Load saved event state and register the event definitions
+     * @param {Object} context - { gameState, eventManager, events }
+     */
+    initialize(context = {}) {
+        this.gameState = context.gameState;
+        this.eventManager = context.eventManager;
+
+        const saved = this.gameState.get('events');
+        if (saved) {
+            this.state = { ...this.state, ...saved };
+        }
+
+        Object.values(context.events || {}).forEach(definition => this.registerEvent(definition));
+
+        this.eventManager.on('questSystem:questCompleted', (event) => {
+            this._onQuestCompleted(event.data);
+        });
+
+        this.isInitialized = true;
+        console.log(`EventCalendar: Initialized with ${this.definitions.size} events`);
+    }
+
+    /**
+     * Hand over the systems events drive and start scheduling
+     * Re-applies what running events change but nothing saves (shop stock, balance overrides),
+     * then ends events that finished while the game was closed
+     * @param {Object} systems - { gachaSystem, questSystem, shopManager, balanceManager }
+     */
+    connect(systems = {}) {
+        this.systems = { ...this.systems, ...systems };
+        this.isConnected = true;
+
+        const now = Date.now();
+        this.state.active
+            .filter(record => now < record.endTime)
+            .forEach(record => this._applyEffects(record));
+
+        this.update(now, true);
+    }
+
+    /**
+     * Add an event to the calendar
+     * @param {Object} definition - Event definition
+     * @returns {boolean} Success status
+     */
+    registerEvent(definition) {
+        const error = this._validateDefinition(definition);
+        if (error) {
+            throw new Error(`EventCalendar: Invalid event ${definition && definition.id}: ${error}`);
+        }
+
+        this.definitions.set(definition.id, definition);
+        return true;
+    }
+
+    /**
+     * Start and end events whose windows opened or closed
+     * @param {number} now - Current timestamp
+     * @param {boolean} force - Skip the once-a-second throttle
+     */
+    update(now = Date.now(), force = false) {
+        if (!this.isConnected) {
+            return;
+        }
+        if (!force && now - this.lastCheck < this.checkInterval) {
+            return;
+        }
+        this.lastCheck = now;
+
+        this.state.active
+            .filter(record => now >= record.endTime)
+            .forEach(record => this._endEvent(record, now));
+
+        for (const definition of this.definitions.values()) {
+            if (this.isActive(definition.id)) {
+                continue;
+            }
+
+            const occurrence = this._getWindow(definition, now);
+            if (occurrence && !this._hasRun(definition.id, occurrence.startTime)) {
+                this._startEvent(definition, occurrence);
+            }
+        }
+    }
+
+    /**
+     * End a running event before its scheduled time
+     * @param {string} eventId - Event id
+     * @returns {boolean} Whether the event was running
+     */
+    endEvent(eventId) {
+        const record = this._getActiveRecord(eventId);
+        if (!record) {
+            return false;
+        }
+
+        this._endEvent(record, Date.now());
+        return true;
+    }
+
+    /**
+     * Check whether an event is running
+     * @param {string} eventId - Event id
+     * @returns {boolean} Is running
+     */
+    isActive(eventId) {
+        return !!this._getActiveRecord(eventId);
+    }
+
+    /**
+     * Get the running events
+     * @returns {Array} Active event records with time remaining
+     */
+    getActiveEvents() {
+        const now = Date.now();
+        return this.state.active.map(record => ({
+            ...record,
+            currencyBalance: record.currency ? this.getCurrencyBalance(record.currency.id) : 0,
+            timeRemaining: Math.max(0, record.endTime - now)
+        }));
+    }
+
+    /**
+     * Get the next scheduled events that are not running yet
+     * @param {number} limit - Maximum number of events
+     * @returns {Array} { eventId, name, description, startTime, endTime } sorted by start time
+     */
+    getUpcomingEvents(limit = 5) {
+        const now = Date.now();
+        const upcoming = [];
+
+        for (const definition of this.definitions.values()) {
+            if (this.isActive(definition.id)) {
+                continue;
+            }
+
+            const occurrence = this._getNextWindow(definition, now);
+            if (occurrence) {
+                upcoming.push({
+                    eventId: definition.id,
+                    name: definition.name,
+                    description: definition.description || '',
+                    startTime: occurrence.startTime,
+                    endTime: occurrence.endTime
+                });
+            }
+        }
+
+        return upcoming.sort((a, b) => a.startTime - b.startTime).slice(0, limit);
+    }
+
+    /**
+     * Get past events, most recent first
+     * @returns {Array} History entries with leftover currency and what it converted into
+     */
+    getHistory() {
+        return this.state.history.slice().reverse();
+    }
+
+    /**
+     * Check whether a currency belongs to a running event
+     * @param {string} currencyId - Currency id
+     * @returns {boolean} Is a spendable event currency
+     */
+    isEventCurrency(currencyId) {
+        return this.state.active.some(record => record.currency && record.currency.id === currencyId);
+    }
+
+    /**
+     * Get the balance of an event currency
+     * @param {string} currencyId - Currency id
+     * @returns {number} Balance
+     */
+    getCurrencyBalance(currencyId) {
+        return this.state.currencies[currencyId] || 0;
+    }
+
+    /**
+     * Add to or spend an event currency
+     * @param {string} currencyId - Currency id
+     * @param {number} amount - Amount to add (negative to spend)
+     * @returns {number} New balance
+     */
+    adjustCurrency(currencyId, amount) {
+        if (!this.isEventCurrency(currencyId)) {
+            throw new Error(`EventCalendar: ${currencyId} is not the currency of a running event`);
+        }
+
+        const balance = Math.max(0, this.getCurrencyBalance(currencyId) + amount);
+        this.state.currencies[currencyId] = balance;
+        this.saveState();
+
+        this.eventManager.emit('events:currencyChanged', { currencyId, amount, balance });
+        return balance;
+    }
+
+    /**
+     * Save event state to game state
+     */
+    saveState() {
+        this.gameState.update({ events: this.state }, { source: 'events:save' });
+    }
+
+    // Private methods
+
+    _startEvent(definition, occurrence) {
+        const record = {
+            eventId: definition.id,
+            name: definition.name,
+            description: definition.description || '',
+            startTime: occurrence.startTime,
+            endTime: occurrence.endTime,
+            pool: definition.banner ? definition.banner.pool : null,
+            currency: definition.currency || null,
+            quests: definition.quests || [],
+            shop: definition.shop ? { ...definition.shop, id: `event_${definition.id}` } : null,
+            balanceOverrides: definition.balanceOverrides || null
+        };
+
+        this.state.active.push(record);
+        if (record.currency && this.state.currencies[record.currency.id] === undefined) {
+            this.state.currencies[record.currency.id] = 0;
+        }
+
+        this._applyEffects(record);
+        this.saveState();
+
+        this.eventManager.emit('events:started', { event: record });
+        console.log(`EventCalendar: ${record.name} started, ends ${new Date(record.endTime).toISOString()}`);
+    }
+
+    /**
+     * Open everything the event drives; each step is safe to repeat
+     */
+    _applyEffects(record) {
+        const { gachaSystem, questSystem, shopManager, balanceManager } = this.systems;
+
+        if (record.pool && gachaSystem) {
+            gachaSystem.openEventPool(record.pool, record.endTime);
+        }
+
+        if (record.quests.length > 0 && questSystem) {
+            questSystem.startEventQuests(record.eventId, record.quests, record.endTime);
+        }
+
+        if (record.shop && shopManager) {
+            shopManager.openEventShop({
+                id: record.shop.id,
+                name: record.shop.name,
+                description: record.shop.description,
+                eventId: record.eventId,
+                currency: record.currency ? record.currency.id : null,
+                items: record.shop.items || [],
+                startsAt: record.startTime,
+                endsAt: record.endTime
+            });
+        }
+
+        if (record.balanceOverrides && balanceManager) {
+            balanceManager.setOverride(`event:${record.eventId}`, record.balanceOverrides);
+        }
+    }
+
+    _endEvent(record, now) {
+        const { gachaSystem, questSystem, shopManager, balanceManager } = this.systems;
+
+        this.state.active = this.state.active.filter(active => active.eventId !== record.eventId);
+
+        // Overlapping events may share a banner or currency; leave those to the event still running
+        if (record.pool && gachaSystem) {
+            const next = this.state.active.find(active => active.pool === record.pool);
+            if (next) {
+                gachaSystem.openEventPool(record.pool, next.endTime);
+            } else {
+                gachaSystem.closeEventPool(record.pool);
+            }
+        }
+
+        const failedQuests = questSystem ? questSystem.endEventQuests(record.eventId) : [];
+
+        if (record.shop && shopManager) {
+            shopManager.closeEventShop(record.shop.id);
+        }
+
+        if (record.balanceOverrides && balanceManager) {
+            balanceManager.clearOverride(`event:${record.eventId}`);
+        }
+
+        const leftover = record.currency && !this.isEventCurrency(record.currency.id)
+            ? this.getCurrencyBalance(record.currency.id)
+            : 0;
+        const converted = this._convertCurrency(record.currency, leftover);
+
+        this.state.history.push({
+            eventId: record.eventId,
+            name: record.name,
+            startTime: record.startTime,
+            endTime: record.endTime,
+            endedAt: now,
+            leftoverCurrency: leftover,
+            converted: converted
+        });
+        if (this.state.history.length > this.maxHistory) {
+            this.state.history = this.state.history.slice(-this.maxHistory);
+        }
+
+        this.saveState();
+
+        this.eventManager.emit('events:ended', {
+            event: record,
+            leftoverCurrency: leftover,
+            converted: converted,
+            failedQuests: failedQuests.length
+        });
+        console.log(`EventCalendar: ${record.name} ended (${leftover} ${record.currency ? record.currency.name : 'currency'} converted)`);
+    }
+
+    /**
+     * Turn leftover event currency into regular resources at the event's conversion rates
+     * @returns {Object} resource -> amount granted
+     */
+    _convertCurrency(currency, amount) {
+        const converted = {};
+        if (!currency || amount <= 0) {
+            return converted;
+        }
+
+        for (const [resource, rate] of Object.entries(currency.conversion || {})) {
+            const gained = Math.floor(amount * rate);
+            if (gained > 0) {
+                this.gameState.increment(`player.${resource}`, gained, { source: 'events:conversion' });
+                converted[resource] = gained;
+            }
+        }
+
+        this.state.currencies[currency.id] = 0;
+        return converted;
+    }
+
+    _onQuestCompleted(data) {
+        const quest = data && data.quest;
+        if (!quest || !quest.eventId || !data.rewards || !data.rewards.eventCurrency) {
+            return;
+        }
+
+        const record = this._getActiveRecord(quest.eventId);
+        if (record && record.currency) {
+            this.adjustCurrency(record.currency.id, data.rewards.eventCurrency);
+        }
+    }
+
+    _getActiveRecord(eventId) {
+        return this.state.active.find(record => record.eventId === eventId) || null;
+    }
+
+    /**
+     * Whether this occurrence already ran (it may have been ended early)
+     */
+    _hasRun(eventId, startTime) {
+        return this.state.history.some(entry => entry.eventId === eventId && entry.startTime === startTime);
+    }
+
+    /**
+     * Get the occurrence of an event that contains the given time
+     * @returns {Object|null} { startTime, endTime }
+     */
+    _getWindow(definition, now) {
+        return this._getOccurrences(definition, now)
+            .find(occurrence => occurrence.startTime <= now && now < occurrence.endTime) || null;
+    }
+
+    /**
+     * Get the first occurrence of an event that starts after the given time
+     * @returns {Object|null} { startTime, endTime }
+     */
+    _getNextWindow(definition, now) {
+        return this._getOccurrences(definition, now)
+            .find(occurrence => occurrence.startTime > now) || null;
+    }
+
+    /**
+     * Occurrences around the given time: last year's through next year's for annual events,
+     * so windows that run over New Year are found from either side
+     */
+    _getOccurrences(definition, now) {
+        const schedule = definition.schedule;
+
+        if (schedule.type === 'fixed') {
+            return [{ startTime: schedule.startTime, endTime: schedule.endTime }];
+        }
+
+        const [month, day] = schedule.start.split('-').map(Number);
+        const year = new Date(now).getFullYear();
+
+        return [year - 1, year, year + 1].map(y => ({
+            startTime: new Date(y, month - 1, day).getTime(),
+            endTime: new Date(y, month - 1, day + schedule.days).getTime()
+        }));
+    }
+
+    /**
+     * @returns {string|null} What is wrong with the definition, or null if it is valid
+     */
+    _validateDefinition(definition) {
+        if (!definition || typeof definition.id !== 'string' || !definition.id) {
+            return 'missing id';
+        }
+        if (typeof definition.name !== 'string') {
+            return 'missing name';
+        }
+
+        const schedule = definition.schedule;
+        if (!schedule) {
+            return 'missing schedule';
+        }
+        if (schedule.type === 'annual') {
+            if (!/^\d{2}-\d{2}$/.test(schedule.start || '') || !(schedule.days > 0)) {
+                return 'annual schedules need start "MM-DD" and a positive number of days';
+            }
+        } else if (schedule.type === 'fixed') {
+            if (!(schedule.startTime < schedule.endTime)) {
+                return 'fixed schedules need startTime before endTime';
+            }
+        } else {
+            return `unknown schedule type ${schedule.type}`;
+        }
+
+        if (definition.banner && (typeof GACHA_POOLS === 'undefined' || !GACHA_POOLS[definition.banner.pool])) {
+            return `unknown gacha pool ${definition.banner.pool}`;
+        }
+        if (definition.currency && (!definition.currency.id || !definition.currency.name)) {
+            return 'currency needs an id and a name';
+        }
+        if (definition.shop && !definition.currency) {
+            return 'an event shop needs an event currency';
+        }
+
+        return null;
+    }
+}
+
+// Export for ES6 modules and global usage
+if (typeof module !== 'undefined' && module.exports) {
+    module.exports = { EventCalendar };
+} else if (typeof window !== 'undefined') {
+    window.EventCalendar = EventCalendar;
+}
@@ -35,6 +35,9 @@ class GameSaveSystem {
         this.significantEvents = new Set();
         this.lastSave = 0;
 
+        // Optional cloud sync (CloudSyncManager)
+        this.cloudSync = null;
+
         console.log('GameSaveSystem initialized');
     }
 
@@ -71,6 +74,12 @@ class GameSaveSystem {
             // Set up event listeners for save triggers
             this.setupEventListeners();
 
+            // Hook up cloud sync; it stays idle until the player signs in
+            if (window.cloudSyncManager) {
+                this.cloudSync = window.cloudSyncManager;
+                this.cloudSync.initialize(this, window.eventManager);
+            }
+
             this.isInitialized = true;
             console.log('GameSaveSystem: Initialized successfully');
 
@@ -163,6 +172,10 @@ class GameSaveSystem {
                         method: window.saveManager ? 'SaveManager' : 'localStorage'
                     });
                 }
+
+                if (this.cloudSync) {
+                    this.cloudSync.onLocalSave(config.slot);
+                }
             } else {
                 console.error('GameSaveSystem: Save operation failed');
             }
@@ -181,6 +194,20 @@ class GameSaveSystem {
         }
     }
 
+    /**
+     * Save locally, then reconcile the slot with the cloud save server
+     * @param {string} slot - Save slot
+     * @returns {Promise<Object>} Sync result from CloudSyncManager
+     */
+    async syncWithCloud(slot = this.currentSlot) {
+        if (!this.cloudSync) {
+            return { action: 'skipped', reason: 'unavailable' };
+        }
+
+        await this.saveGame({ slot, force: true });
+        return await this.cloudSync.sync(slot);
+    }
+
     /**
      * Load game state from storage
      * @param {Object} options - Load options
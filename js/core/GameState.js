@@ -19,6 +19,7 @@ class GameState {
         this._saveKey = 'main'; // Key for SaveManager
         this._eventManager = null; // Will be injected
         this._saveManager = null; // Will be injected
+        this._resourceLedger = typeof resourceLedger !== 'undefined' ? resourceLedger : null;
 
         // State snapshot system for rollback
         this._snapshots = [];
@@ -60,6 +61,9 @@ class GameState {
 
         // Initialize with default state
         this._state = this._getDefaultState();
+        if (this._resourceLedger) {
+            this._resourceLedger.ensure(this._state);
+        }
         this._previousState = this._deepClone(this._state);
 
         // Set up validation rules for skills data
@@ -150,6 +154,22 @@ class GameState {
         this._initializeAutoSave();
     }
 
+    /**
+     * Choose the SaveManager key this state saves to and loads from (one per character profile)
+     * @param {string} saveKey - Storage key
+     */
+    setSaveKey(saveKey) {
+        this._saveKey = saveKey;
+    }
+
+    /**
+     * Get the SaveManager key in use
+     * @returns {string} Storage key
+     */
+    getSaveKey() {
+        return this._saveKey;
+    }
+
     /**
      * Configure auto-save settings
      * @param {Object} config - Auto-save configuration
@@ -242,6 +262,15 @@ class GameState {
                 this._validateState(newState);
             }
 
+            // Log premium currency changes; a replaced state brings its own ledger
+            if (this._resourceLedger) {
+                if (typeof updates === 'function') {
+                    this._resourceLedger.ensure(newState);
+                } else {
+                    this._resourceLedger.record(this._previousState, newState, config.source);
+                }
+            }
+
             // Update state
             this._state = newState;
             this._isDirty = true;
@@ -359,6 +388,8 @@ class GameState {
                 return true; // Nothing to save
             }
 
+            this._captureRandomState();
+
             const saveData = {
                 state: this._state,
                 timestamp: Date.now(),
@@ -464,6 +495,9 @@ class GameState {
             this._previousState = this._deepClone(this._state);
             this._isDirty = false;
 
+            this._restoreRandomState();
+            this._checkIntegrity(this._saveManager ? this._saveManager.getIntegrity(this._saveKey) : null);
+
             if (this._eventManager) {
                 this._eventManager.emit('gameState:loaded', {
                     timestamp: timestamp,
@@ -523,11 +557,18 @@ class GameState {
             };
 
             if (this._saveManager) {
+                // Signed by this install's key, or it came from somewhere else
+                const signature = await this._saveManager.verifyExport(jsonData);
+
                 // Use SaveManager's import functionality
                 const success = await this._saveManager.import(jsonData, this._saveKey, config);
                 if (success) {
                     // Reload the state from the imported data
                     await this.load({ validate: config.validate });
+
+                    if (signature.status !== 'valid') {
+                        this.flagIntegrity([`import_${signature.status}`]);
+                    }
                 }
                 return success;
             } else {
@@ -544,6 +585,86 @@ class GameState {
         }
     }
 
+    /**
+     * Get the save's integrity status
+     * @returns {Object} { flagged, reasons, flaggedAt }
+     */
+    getIntegrity() {
+        return this._deepClone(this._state.integrity || { flagged: false, reasons: [], flaggedAt: null });
+    }
+
+    /**
+     * Check whether the player may receive ranked rewards; a flagged save never can
+     * @returns {boolean} Whether the save is unflagged
+     */
+    isRankedEligible() {
+        return !(this._state.integrity && this._state.integrity.flagged);
+    }
+
+    /**
+     * Mark the save as tampered with. The flag is stored in the save and is never cleared.
+     * @param {Array<string>} reasons - Reason codes, e.g. 'signature_mismatch'
+     * @param {Object} details - Extra data for the integrity:flagged event
+     */
+    flagIntegrity(reasons, details = {}) {
+        const integrity = this._state.integrity || { flagged: false, reasons: [], flaggedAt: null };
+        const flaggedAt = integrity.flaggedAt || Date.now();
+
+        this.update(state => ({
+            ...state,
+            integrity: {
+                flagged: true,
+                reasons: [...new Set([...integrity.reasons, ...reasons])],
+                flaggedAt
+            }
+        }), { source: 'integrity' });
+
+        console.warn('GameState: Save integrity flagged:', reasons, details);
+
+        if (this._eventManager) {
+            this._eventManager.emit('integrity:flagged', { reasons, flaggedAt, ...details });
+        }
+    }
+
+    /**
+     * Check the loaded save's signature and replay its ledger against the balances
+     * @param {Object|null} signature - SaveManager.getIntegrity() result for the save
+     */
+    _checkIntegrity(signature) {
+        const reasons = [];
+        const details = {};
+
+        if (signature && signature.status === 'invalid') {
+            reasons.push('signature_mismatch');
+        } else if (signature && signature.status === 'unsigned' && signature.expected) {
+            reasons.push('signature_missing');
+        }
+
+        if (typeof window !== 'undefined' && window.dataValidator && this._state.ledger) {
+            const reconciliation = window.dataValidator.reconcileLedger(this._state);
+            if (!reconciliation.isReconciled) {
+                reasons.push('ledger_mismatch');
+                details.mismatches = reconciliation.mismatches;
+            }
+        }
+
+        if (this._resourceLedger) {
+            // A ledger that no longer adds up restarts from the balances as loaded; the flag keeps the record
+            const state = this._deepClone(this._state);
+            if (details.mismatches) {
+                delete state.ledger;
+            }
+            this._resourceLedger.ensure(state);
+
+            this._state = state;
+            this._previousState = this._deepClone(state);
+        }
+
+        if (reasons.length > 0) {
+            this.flagIntegrity(reasons, details);
+        }
+    }
+
     /**
      * Check if the state has unsaved changes
      * @returns {boolean} Whether the state is dirty
@@ -669,6 +790,14 @@ class GameState {
                 breakthroughProgress: 0,
                 breakthroughRequired: 1000
             },
+            reincarnation: {
+                count: 0,
+                daoMarks: 0,
+                totalDaoMarks: 0,
+                upgrades: {},
+                history: [],
+                lastReincarnationTime: 0
+            },
             character: {
                 origin: null,
                 vow: null,
@@ -797,6 +926,7 @@ class GameState {
                 criticalHits: 0,
                 perfectVictories: 0
             },
+            combatReplays: [],
             // Ranking System Data
             playerRanking: {
                 currentRating: 1000,
@@ -829,6 +959,11 @@ class GameState {
                 highestRating: 1000,
                 seasonsCompleted: 0
             },
+            rankingLeague: {
+                rivals: [],
+                lastSimulationTime: 0,
+                roundsSimulated: 0
+            },
             // Duel System Data
             duelStats: {
                 totalDuels: 0,
@@ -855,6 +990,7 @@ class GameState {
                 completionRate: 0
             },
             tournamentHistory: [],
+            activeTournaments: [],
             // Combat Integration Data
             combatIntegrationStats: {
                 totalCombats: 0,
@@ -945,6 +1081,37 @@ class GameState {
                 totalRewardValue: 0,
                 crossSystemEvents: 0
             },
+            // Seasonal events (see EventCalendar)
+            events: {
+                active: [],
+                currencies: {},
+                history: []
+            },
+            // Timed jobs of the idle systems and speed-up items (see JobScheduler)
+            jobs: {
+                active: [],
+                items: {},
+                nextJobId: 1
+            },
+            // Dao Script automation rules (see DaoScriptEngine)
+            automation: {
+                enabled: true,
+                rules: [],
+                log: [],
+                nextRuleId: 1,
+                lastEvaluatedAt: null
+            },
+            // Tamper detection; flagged saves get no ranked rewards
+            integrity: {
+                flagged: false,
+                reasons: [],
+                flaggedAt: null
+            },
+            // Seeded RNG stream positions (see RandomManager)
+            rng: {
+                seed: null,
+                streams: {}
+            },
             settings: {
                 autoSave: true,
                 notifications: true,
@@ -964,7 +1131,9 @@ class GameState {
                 unlockedCategories: [],
                 lastUnlockTime: 0,
                 prestigeLevel: 0,
-                prestigePoints: 0
+                prestigePoints: 0,
+                synergiesUnlocked: {},
+                evolutionProgress: { counters: {}, notified: {} }
             },
             skillsStats: {
                 totalSkillsUnlocked: 0,
@@ -982,7 +1151,7 @@ class GameState {
                 createdAt: Date.now(),
                 lastPlayed: Date.now(),
                 totalPlayTime: 0,
-                version: '1.0.0'
+                version: '1.2.0'
             }
         };
     }
@@ -1288,8 +1457,28 @@ class GameState {
         return `listener_${Date.now()}_${Math.random().toString(36).substr(2, 9)}`;
     }
 
+    /**
+     * Copy the shared RandomManager stream positions into the state
+     * Written directly rather than through update() since draws happen every tick
+     */
+    _captureRandomState() {
+        if (typeof randomManager !== 'undefined') {
+            this._state.rng = randomManager.getState();
+        }
+    }
+
+    /**
+     * Restore RandomManager stream positions from the loaded state
+     * Saves without RNG data keep the current seed, which is captured on next save
+     */
+    _restoreRandomState() {
+        if (typeof randomManager !== 'undefined' && this._state.rng) {
+            randomManager.setState(this._state.rng);
+        }
+    }
+
     _getSaveVersion() {
-        return '1.0.0';
+        return '1.2.0';
     }
 
     async _migrateState(state, version) {
@@ -1517,6 +1706,8 @@ class GameState {
                 if (this._isDirty) {
                     // Synchronous save for page unload
                     try {
+                        this._captureRandomState();
+
                         const saveData = {
                             state: this._state,
                             timestamp: Date.now(),
@@ -1639,8 +1830,11 @@ class GameState {
             // Store current state for rollback if validation fails
             const currentState = this._deepClone(this._state);
 
-            // Apply snapshot state
+            // Apply snapshot state; an integrity flag raised since the snapshot stays
             this._state = this._deepClone(snapshot.state);
+            if (currentState.integrity && currentState.integrity.flagged) {
+                this._state.integrity = currentState.integrity;
+            }
 
             // Validate if requested
             if (config.validate) {
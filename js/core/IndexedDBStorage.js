@@ -0,0 +1,454 @@
+/**
+ * IndexedDBStorage - IndexedDB backend behind the synchronous Storage interface
+ * Entries are mirrored in memory so SaveManager can keep its getItem/setItem/key/length
+ * calls; writes are committed to IndexedDB in readwrite transactions, in the order made.
+ */
+class IndexedDBStorage {
+    /**
+     * @param {Object} options
+     * @param {string} options.dbName - Database name
+     * @param {string} options.storeName - Object store holding the entries
+     */
+    constructor(options = {}) {
+        this.dbName = options.dbName || 'idleCultivationGame';
+        this.storeName = options.storeName || 'saves';
+        this.metaStoreName = 'meta';
+        this.dbVersion = 1;
+
+        this.db = null;
+        this.isOpen = false;
+        this.openPromise = null;
+
+        // In-memory mirror of the object store
+        this.cache = new Map();
+
+        // Writes made outside a transaction() call, committed together on the next microtask.
+        // A null value marks a delete.
+        this.pendingWrites = new Map();
+        this.flushScheduled = false;
+
+        // Keys written before open() finished, which the stored copy must not overwrite
+        this.writtenBeforeOpen = new Set();
+
+        // Open transaction() batch: { writes, previous }
+        this.activeBatch = null;
+
+        // Commits are chained so they reach the database in the order they were made
+        this.writeChain = Promise.resolve();
+
+        this.stats = {
+            transactions: 0,
+            failedTransactions: 0,
+            entriesWritten: 0,
+            entriesDeleted: 0,
+            lastError: null
+        };
+    }
+
+    /**
+     * Check whether IndexedDB exists in this environment
+     * @returns {boolean} Whether IndexedDB can be used
+     */
+    static isAvailable() {
+        try {
+            return typeof indexedDB !== 'undefined' && indexedDB !== null;
+        } catch (error) {
+            return false;
+        }
+    }
+
+    /**
+     * Open the database and load every entry into memory
+     * Writes made before the database opened are kept and committed afterwards
+     * @returns {Promise<IndexedDBStorage>} This storage
+     */
+    open() {
+        if (!this.openPromise) {
+            this.openPromise = this._openDatabase().then(async (db) => {
+                this.db = db;
+
+                const entries = await this._readAllEntries();
+                for (const [key, value] of entries) {
+                    if (!this.writtenBeforeOpen.has(key)) {
+                        this.cache.set(key, value);
+                    }
+                }
+
+                this.writtenBeforeOpen.clear();
+                this.isOpen = true;
+                this._scheduleFlush();
+                return this;
+            });
+        }
+        return this.openPromise;
+    }
+
+    /**
+     * Close the database connection
+     */
+    close() {
+        if (this.db) {
+            this.db.close();
+        }
+        this.db = null;
+        this.isOpen = false;
+        this.openPromise = null;
+    }
+
+    // ===== Storage interface =====
+
+    /**
+     * @param {string} key - Entry key
+     * @returns {string|null} Stored value
+     */
+    getItem(key) {
+        return this.cache.has(key) ? this.cache.get(key) : null;
+    }
+
+    /**
+     * @param {string} key - Entry key
+     * @param {string} value - Value to store
+     */
+    setItem(key, value) {
+        this._write(key, String(value));
+    }
+
+    /**
+     * @param {string} key - Entry key
+     */
+    removeItem(key) {
+        // Before open() the key may exist in the database without being mirrored yet
+        if (!this.isOpen || this.cache.has(key) || this.pendingWrites.has(key)) {
+            this._write(key, null);
+        }
+    }
+
+    /**
+     * Remove every entry
+     */
+    clear() {
+        for (const key of Array.from(this.cache.keys())) {
+            this._write(key, null);
+        }
+    }
+
+    /**
+     * @param {number} index - Entry index
+     * @returns {string|null} Key at the index
+     */
+    key(index) {
+        return Array.from(this.cache.keys())[index] ?? null;
+    }
+
+    get length() {
+        return this.cache.size;
+    }
+
+    // ===== Transactions =====
+
+    /**
+     * Run a set of writes as one IndexedDB transaction
+     * The work runs synchronously against the in-memory mirror; if the transaction
+     * aborts (quota exceeded, database closed) every entry it touched is restored.
+     * Nested calls join the outer transaction.
+     * @param {Function} work - Receives this storage and performs setItem/removeItem calls
+     * @returns {Promise<boolean>} Resolves once the transaction has committed
+     */
+    async transaction(work) {
+        if (this.activeBatch) {
+            work(this);
+            return true;
+        }
+
+        const batch = { writes: new Map(), previous: new Map() };
+        this.activeBatch = batch;
+
+        try {
+            work(this);
+        } catch (error) {
+            this._restore(batch.previous);
+            throw error;
+        } finally {
+            this.activeBatch = null;
+        }
+
+        if (batch.writes.size === 0) {
+            return true;
+        }
+
+        // Earlier loose writes go first so the batch cannot be overtaken by them
+        this._takePendingWrites().forEach((value, key) => {
+            if (!batch.writes.has(key)) {
+                batch.writes.set(key, value);
+            }
+        });
+
+        try {
+            await this._enqueueCommit(batch.writes);
+            return true;
+        } catch (error) {
+            this._restore(batch.previous);
+            throw error;
+        }
+    }
+
+    /**
+     * Commit any loose writes and wait for every queued transaction
+     * @returns {Promise<void>}
+     */
+    async flush() {
+        const writes = this._takePendingWrites();
+        if (writes.size > 0) {
+            this._enqueueCommit(writes).catch(error => {
+                console.error('IndexedDBStorage: Write failed:', error);
+            });
+        }
+        await this.writeChain;
+    }
+
+    // ===== Metadata =====
+
+    /**
+     * Read a value from the metadata store
+     * @param {string} key - Metadata key
+     * @returns {Promise<*>} Stored value or null
+     */
+    async getMeta(key) {
+        await this.open();
+
+        return new Promise((resolve, reject) => {
+            const request = this.db
+                .transaction(this.metaStoreName, 'readonly')
+                .objectStore(this.metaStoreName)
+                .get(key);
+            request.onsuccess = () => resolve(request.result ?? null);
+            request.onerror = () => reject(request.error);
+        });
+    }
+
+    /**
+     * Copy entries with the given prefix out of another Storage, once
+     * The copy and the completion marker are written in a single transaction, so an
+     * interrupted migration is retried on the next start. Keys already present here are
+     * left alone. Copied entries are removed from the source afterwards.
+     * @param {Storage} source - Storage to migrate from (usually localStorage)
+     * @param {string} prefix - Key prefix to migrate
+     * @returns {Promise<Object>} { migrated, skipped }
+     */
+    async migrateFrom(source, prefix) {
+        await this.open();
+
+        const marker = `migration:${prefix}`;
+        if (await this.getMeta(marker)) {
+            return { migrated: 0, skipped: true };
+        }
+
+        const keys = [];
+        for (let i = 0; i < source.length; i++) {
+            const key = source.key(i);
+            if (key && key.startsWith(prefix)) {
+                keys.push(key);
+            }
+        }
+
+        const writes = new Map();
+        for (const key of keys) {
+            const value = source.getItem(key);
+            if (value !== null && !this.cache.has(key)) {
+                writes.set(key, value);
+            }
+        }
+
+        await this._enqueueCommit(writes, new Map([[marker, { migratedAt: Date.now(), keys: keys.length }]]));
+        writes.forEach((value, key) => this.cache.set(key, value));
+
+        for (const key of keys) {
+            try {
+                source.removeItem(key);
+            } catch (error) {
+                console.warn('IndexedDBStorage: Could not remove migrated key', key, error);
+            }
+        }
+
+        return { migrated: writes.size, skipped: false };
+    }
+
+    // ===== Private methods =====
+
+    /**
+     * Apply a write to the mirror and route it to the open batch or the loose queue
+     */
+    _write(key, value) {
+        if (!this.isOpen) {
+            this.writtenBeforeOpen.add(key);
+        }
+
+        const batch = this.activeBatch;
+        if (batch && !batch.previous.has(key)) {
+            batch.previous.set(key, this.cache.has(key) ? this.cache.get(key) : null);
+        }
+
+        if (value === null) {
+            this.cache.delete(key);
+        } else {
+            this.cache.set(key, value);
+        }
+
+        if (batch) {
+            batch.writes.set(key, value);
+            return;
+        }
+
+        this.pendingWrites.set(key, value);
+        this._scheduleFlush();
+    }
+
+    _scheduleFlush() {
+        if (this.flushScheduled || !this.isOpen) {
+            return;
+        }
+
+        this.flushScheduled = true;
+        Promise.resolve().then(() => {
+            this.flushScheduled = false;
+            return this.flush();
+        });
+    }
+
+    _takePendingWrites() {
+        const writes = this.pendingWrites;
+        this.pendingWrites = new Map();
+        return writes;
+    }
+
+    _restore(previous) {
+        previous.forEach((value, key) => {
+            if (value === null) {
+                this.cache.delete(key);
+            } else {
+                this.cache.set(key, value);
+            }
+        });
+    }
+
+    _enqueueCommit(writes, metaWrites) {
+        const commit = this.writeChain.then(async () => {
+            await this.open();
+            return this._commit(writes, metaWrites);
+        });
+        this.writeChain = commit.catch(() => {});
+        return commit;
+    }
+
+    /**
+     * Write entries and metadata in one readwrite transaction
+     * @param {Map} writes - key -> value, null to delete
+     * @param {Map} metaWrites - Metadata key -> value
+     * @returns {Promise<boolean>} Resolves when the transaction completes
+     */
+    _commit(writes, metaWrites = new Map()) {
+        return new Promise((resolve, reject) => {
+            const storeNames = metaWrites.size > 0 ? [this.storeName, this.metaStoreName] : [this.storeName];
+            let transaction;
+
+            try {
+                transaction = this.db.transaction(storeNames, 'readwrite');
+                const store = transaction.objectStore(this.storeName);
+
+                writes.forEach((value, key) => {
+                    if (value === null) {
+                        store.delete(key);
+                    } else {
+                        store.put(value, key);
+                    }
+                });
+
+                if (metaWrites.size > 0) {
+                    const metaStore = transaction.objectStore(this.metaStoreName);
+                    metaWrites.forEach((value, key) => metaStore.put(value, key));
+                }
+            } catch (error) {
+                this._recordFailure(error);
+                if (transaction) {
+                    try { transaction.abort(); } catch (abortError) { /* already finished */ }
+                }
+                reject(error);
+                return;
+            }
+
+            transaction.oncomplete = () => {
+                this.stats.transactions++;
+                writes.forEach(value => {
+                    if (value === null) {
+                        this.stats.entriesDeleted++;
+                    } else {
+                        this.stats.entriesWritten++;
+                    }
+                });
+                resolve(true);
+            };
+            transaction.onabort = () => {
+                const error = transaction.error || new Error('IndexedDB transaction aborted');
+                this._recordFailure(error);
+                reject(error);
+            };
+        });
+    }
+
+    _recordFailure(error) {
+        this.stats.failedTransactions++;
+        this.stats.lastError = error && error.message ? error.message : String(error);
+    }
+
+    _openDatabase() {
+        return new Promise((resolve, reject) => {
+            const request = indexedDB.open(this.dbName, this.dbVersion);
+
+            request.onupgradeneeded = () => {
+                const db = request.result;
+                if (!db.objectStoreNames.contains(this.storeName)) {
+                    db.createObjectStore(this.storeName);
+                }
+                if (!db.objectStoreNames.contains(this.metaStoreName)) {
+                    db.createObjectStore(this.metaStoreName);
+                }
+            };
+            request.onsuccess = () => {
+                const db = request.result;
+                // Another tab upgrading the schema needs this connection out of the way
+                db.onversionchange = () => this.close();
+                resolve(db);
+            };
+            request.onerror = () => reject(request.error);
+            request.onblocked = () => console.warn('IndexedDBStorage: Open blocked by another tab');
+        });
+    }
+
+    _readAllEntries() {
+        return new Promise((resolve, reject) => {
+            const entries = [];
+            const request = this.db
+                .transaction(this.storeName, 'readonly')
+                .objectStore(this.storeName)
+                .openCursor();
+
+            request.onsuccess = () => {
+                const cursor = request.result;
+                if (cursor) {
+                    entries.push([cursor.key, cursor.value]);
+                    cursor.continue();
+                } else {
+                    resolve(entries);
+                }
+            };
+            request.onerror = () => reject(request.error);
+        });
+    }
+}
+
+// Export for ES6 modules and global usage
+if (typeof module !== 'undefined' && module.exports) {
+    module.exports = { IndexedDBStorage };
+} else if (typeof window !== 'undefined') {
+    window.IndexedDBStorage = IndexedDBStorage;
+}
@@ -0,0 +1,410 @@
+/**
+ * JobScheduler - Persisted timed jobs for the idle systems
+ * Owned and ticked by the TimeManager. Systems schedule a job (mount training, rune fusion, dantian
+ * expansion...) and register a completion handler for its type; the scheduler finishes every due job
+ * while playing, on request during offline simulation, and after speed-up items shorten it.
+ * Each job type runs one job at a time, as the systems did with their own timers.
+ */
+class JobScheduler {
+    constructor() {
+        this.gameState = null;
+        this.eventManager = null;
+
+        // type -> { label, complete(job, now) -> result, describe(job, result) -> string }
+        // Handlers are not saved; jobs whose handler is not registered yet wait for it
+        this.handlers = new Map();
+
+        // Saved as the 'jobs' GameState section
+        this.state = {
+            active: [],
+            items: {},
+            nextJobId: 1
+        };
+
+        // Legacy timer fields to take over, checked again whenever a save is loaded
+        this.adoptedTimers = [];
+
+        this.checkInterval = 1000; // TimeManager ticks every frame; jobs last minutes or hours
+        this.retryDelay = 60000; // Wait before running a failed completion handler again
+        this.lastCheck = 0;
+
+        this.isInitialized = false;
+    }
+
+    /**
+     * Load saved jobs and speed-up items
+     * @param {Object} context - { gameState, eventManager }
+     */
+    initialize(context = {}) {
+        this.gameState = context.gameState;
+        this.eventManager = context.eventManager;
+
+        this._loadState();
+        this._adoptTimers();
+
+        // A loaded save or a switched profile brings its own jobs, and maybe timers from before the scheduler
+        this.eventManager.on('gameState:loaded', () => {
+            this._loadState();
+            this._adoptTimers();
+        });
+
+        this.isInitialized = true;
+        console.log(`JobScheduler: Initialized with ${this.state.active.length} jobs`);
+    }
+
+    /**
+     * Register what happens when a job type finishes
+     * @param {string} type - Job type, '<owner>.<job>' (e.g. 'mounts.training')
+     * @param {Object} handler - { label, complete(job, now), describe(job, result) }
+     */
+    registerHandler(type, handler) {
+        if (typeof handler.complete !== 'function') {
+            throw new Error(`JobScheduler: Handler for ${type} needs a complete function`);
+        }
+
+        this.handlers.set(type, handler);
+    }
+
+    /**
+     * Start a job
+     * @param {string} type - Job type
+     * @param {Object} data - What the completion handler needs
+     * @param {number} duration - Length in milliseconds
+     * @param {Object} options - { now: start time }
+     * @returns {Object|null} The job, or null when a job of this type is already running
+     */
+    schedule(type, data, duration, options = {}) {
+        if (this.isBusy(type)) {
+            console.warn(`JobScheduler: A ${type} job is already running`);
+            return null;
+        }
+
+        const startTime = options.now !== undefined ? options.now : Date.now();
+        const job = {
+            id: `job_${this.state.nextJobId}`,
+            type: type,
+            owner: type.split('.')[0],
+            data: { ...data },
+            startTime: startTime,
+            duration: duration,
+            endsAt: startTime + duration,
+            speedUps: []
+        };
+
+        this.state.nextJobId++;
+        this.state.active.push(job);
+        this._saveState('jobScheduler:scheduled');
+
+        this.eventManager.emit('jobScheduler:jobScheduled', { job: { ...job } });
+        return job;
+    }
+
+    /**
+     * Take over a timer a system kept in its own state section before it used the scheduler,
+     * now and in every save loaded later
+     * @param {string} type - Job type
+     * @param {string} section - GameState section holding the timer
+     * @param {string} field - Field of the timer ({ startTime, duration, ...data })
+     * @returns {Object|null} The adopted job
+     */
+    adoptTimer(type, section, field) {
+        if (!this.adoptedTimers.some(entry => entry.type === type && entry.section === section && entry.field === field)) {
+            this.adoptedTimers.push({ type, section, field });
+        }
+
+        return this.gameState ? this._adoptTimer(type, section, field) : null;
+    }
+
+    /**
+     * @param {string} jobId - Job ID
+     * @returns {Object|null} Job copy
+     */
+    getJob(jobId) {
+        const job = this.state.active.find(entry => entry.id === jobId);
+        return job ? { ...job } : null;
+    }
+
+    /**
+     * Running job of a type
+     * @param {string} type - Job type
+     * @returns {Object|null} Job copy
+     */
+    findJob(type) {
+        const job = this.state.active.find(entry => entry.type === type);
+        return job ? { ...job } : null;
+    }
+
+    /**
+     * Running jobs, soonest first
+     * @param {Object} filter - { owner, type }
+     * @returns {Array} Job copies
+     */
+    getJobs(filter = {}) {
+        return this._select(filter).map(job => ({ ...job }));
+    }
+
+    /**
+     * @param {string} type - Job type
+     * @returns {boolean} Whether a job of this type is running
+     */
+    isBusy(type) {
+        return this.state.active.some(job => job.type === type);
+    }
+
+    /**
+     * Milliseconds until a job finishes
+     * @param {Object} job - Job
+     * @param {number} now - Current time
+     * @returns {number} Remaining time, 0 when due
+     */
+    getRemaining(job, now = Date.now()) {
+        return job ? Math.max(0, job.endsAt - now) : 0;
+    }
+
+    /**
+     * Drop a running job without completing it; the owning system decides on refunds
+     * @param {string} jobId - Job ID
+     * @returns {Object|null} The cancelled job
+     */
+    cancel(jobId) {
+        const index = this.state.active.findIndex(job => job.id === jobId);
+        if (index === -1) {
+            return null;
+        }
+
+        const [job] = this.state.active.splice(index, 1);
+        this._saveState('jobScheduler:cancelled');
+
+        this.eventManager.emit('jobScheduler:jobCancelled', { job: { ...job } });
+        return job;
+    }
+
+    /**
+     * Add speed-up items to the player's stock
+     * @param {string} itemId - Item ID from JOB_SPEEDUP_ITEMS
+     * @param {number} quantity - Amount to add
+     * @returns {boolean} Whether the item exists
+     */
+    addSpeedUpItems(itemId, quantity = 1) {
+        if (!this._getSpeedUpItem(itemId) || !(quantity > 0)) {
+            return false;
+        }
+
+        this.state.items[itemId] = (this.state.items[itemId] || 0) + quantity;
+        this._saveState('jobScheduler:itemsAdded');
+
+        this.eventManager.emit('jobScheduler:itemsChanged', { itemId, quantity: this.state.items[itemId] });
+        return true;
+    }
+
+    /**
+     * Speed-up items the player owns
+     * @returns {Array} [{ ...definition, quantity }]
+     */
+    getSpeedUpItems() {
+        return Object.entries(this.state.items)
+            .filter(([, quantity]) => quantity > 0)
+            .map(([itemId, quantity]) => ({ ...this._getSpeedUpItem(itemId), quantity }));
+    }
+
+    /**
+     * Use a speed-up item on a running job, finishing it at once when no time is left
+     * @param {string} jobId - Job ID
+     * @param {string} itemId - Item ID
+     * @param {number} now - Current time
+     * @returns {Object} { success, reason?, job?, result? }
+     */
+    speedUp(jobId, itemId, now = Date.now()) {
+        const job = this.state.active.find(entry => entry.id === jobId);
+        if (!job) {
+            return { success: false, reason: 'job_not_found' };
+        }
+
+        const item = this._getSpeedUpItem(itemId);
+        if (!item) {
+            return { success: false, reason: 'unknown_item' };
+        }
+        if (!(this.state.items[itemId] > 0)) {
+            return { success: false, reason: 'no_items' };
+        }
+
+        const remaining = this.getRemaining(job, now);
+        if (remaining <= 0) {
+            return { success: false, reason: 'already_done' };
+        }
+
+        const reduction = Math.min(remaining, item.fraction ? Math.ceil(remaining * item.fraction) : item.reduction);
+        this.state.items[itemId]--;
+        job.duration -= reduction;
+        job.endsAt -= reduction;
+        job.speedUps.push({ itemId, reduction, at: now });
+        this._saveState('jobScheduler:speedUp');
+
+        this.eventManager.emit('jobScheduler:jobSpedUp', { job: { ...job }, itemId, reduction });
+
+        if (job.endsAt <= now) {
+            const [completed] = this.completeDue(now, { type: job.type });
+            return { success: true, job: { ...job }, result: completed ? completed.result : null };
+        }
+        return { success: true, job: { ...job } };
+    }
+
+    /**
+     * Finish due jobs while playing
+     * @param {number} now - Current timestamp
+     * @param {boolean} force - Skip the once-a-second throttle
+     */
+    update(now = Date.now(), force = false) {
+        if (!this.isInitialized) {
+            return;
+        }
+        if (!force && now - this.lastCheck < this.checkInterval) {
+            return;
+        }
+        this.lastCheck = now;
+
+        this.completeDue(now, {}, { notify: true });
+    }
+
+    /**
+     * Run the completion handler of every job that is due, in the order they finished
+     * @param {number} now - Current time
+     * @param {Object} filter - { owner, type }
+     * @param {Object} options - { notify: show a notification per job }
+     * @returns {Array} [{ job, result }]
+     */
+    completeDue(now = Date.now(), filter = {}, options = {}) {
+        const due = this._select(filter).filter(job =>
+            job.endsAt <= now && this.handlers.has(job.type) && !(job.retryAt > now));
+        const completed = [];
+
+        for (const job of due) {
+            const handler = this.handlers.get(job.type);
+
+            // A failed job stays with what it cost and is tried again later
+            let result = null;
+            try {
+                result = handler.complete(job, now);
+            } catch (error) {
+                console.error(`JobScheduler: Completing ${job.type} job ${job.id} failed:`, error);
+                job.retryAt = now + this.retryDelay;
+                this.eventManager.emit('jobScheduler:jobFailed', { job: { ...job }, error: error.message });
+                continue;
+            }
+
+            this.state.active = this.state.active.filter(entry => entry.id !== job.id);
+            completed.push({ job, result });
+            this.eventManager.emit('jobScheduler:jobCompleted', { job: { ...job }, result });
+
+            if (options.notify) {
+                this._notify(job, handler, result);
+            }
+        }
+
+        if (due.length > 0) {
+            this._saveState('jobScheduler:completed');
+        }
+
+        return completed;
+    }
+
+    /**
+     * Finish an owner's due jobs during offline simulation
+     * @param {string} owner - Owning system, the first part of the job type
+     * @param {number} now - End of the simulated segment
+     * @returns {Object} Idle report { completed, gains } as OfflineCalculator expects from processIdleGains
+     */
+    processIdleJobs(owner, now) {
+        const completed = this.completeDue(now, { owner }).map(({ job, result }) => ({
+            type: job.type.slice(owner.length + 1),
+            completedAt: job.endsAt,
+            ...result
+        }));
+
+        return { completed, gains: {} };
+    }
+
+    /**
+     * End times of running jobs, for offline simulation to stop at
+     * @param {Object} filter - { owner, type }
+     * @returns {Array} [{ type, endsAt, jobId }]
+     */
+    getTimers(filter = {}) {
+        return this._select(filter).map(job => ({ type: job.type, endsAt: job.endsAt, jobId: job.id }));
+    }
+
+    // Private methods
+
+    _select(filter) {
+        return this.state.active
+            .filter(job => (!filter.owner || job.owner === filter.owner) && (!filter.type || job.type === filter.type))
+            .sort((a, b) => a.endsAt - b.endsAt);
+    }
+
+    _adoptTimers() {
+        for (const { type, section, field } of this.adoptedTimers) {
+            this._adoptTimer(type, section, field);
+        }
+    }
+
+    _adoptTimer(type, section, field) {
+        const sectionState = this.gameState.get(section);
+        if (!sectionState || !(field in sectionState)) {
+            return null;
+        }
+
+        const timer = sectionState[field];
+        delete sectionState[field];
+        this.gameState.set(section, sectionState);
+
+        if (!timer || typeof timer.startTime !== 'number' || typeof timer.duration !== 'number') {
+            return null;
+        }
+
+        const { startTime, duration, ...data } = timer;
+        console.log(`JobScheduler: Adopted ${type} timer from the ${section} section`);
+        return this.schedule(type, data, duration, { now: startTime });
+    }
+
+    _getSpeedUpItem(itemId) {
+        return typeof JOB_SPEEDUP_ITEMS !== 'undefined' ? JOB_SPEEDUP_ITEMS[itemId] || null : null;
+    }
+
+    _notify(job, handler, result) {
+        if (this.gameState.get('settings.notifications') === false) {
+            return;
+        }
+
+        this.eventManager.emit('ui:notification', {
+            type: 'success',
+            title: `${handler.label || job.type} complete`,
+            message: typeof handler.describe === 'function' ? handler.describe(job, result) : '',
+            duration: 4000
+        });
+    }
+
+    _loadState() {
+        const saved = this.gameState.get('jobs');
+        this.state = {
+            active: [],
+            items: {},
+            nextJobId: 1,
+            ...(saved && Array.isArray(saved.active) ? JSON.parse(JSON.stringify(saved)) : {})
+        };
+    }
+
+    _saveState(source) {
+        this.gameState.set('jobs', JSON.parse(JSON.stringify(this.state)), { source });
+    }
+}
+
+// Create singleton instance
+const jobScheduler = new JobScheduler();
+
+// Export for ES6 modules and global usage
+if (typeof module !== 'undefined' && module.exports) {
+    module.exports = { JobScheduler, jobScheduler };
+} else if (typeof window !== 'undefined') {
+    window.JobScheduler = JobScheduler;
+    window.jobScheduler = jobScheduler;
+}
@@ -421,6 +421,37 @@ class MigrationManager {
             return data;
         });
 
+        // Migration from 1.1.0 to 1.2.0 - reincarnation layer
+        this.registerMigration('1.1.0', '1.2.0', (data) => {
+            console.log('Migrating from 1.1.0 to 1.2.0: Adding reincarnation system');
+
+            if (!data.reincarnation) {
+                data.reincarnation = {
+                    count: 0,
+                    daoMarks: 0,
+                    totalDaoMarks: 0,
+                    upgrades: {},
+                    history: [],
+                    lastReincarnationTime: 0
+                };
+            }
+
+            // Ensure all reincarnation fields exist on partially written saves
+            if (!data.reincarnation.upgrades) {
+                data.reincarnation.upgrades = {};
+            }
+            if (!Array.isArray(data.reincarnation.history)) {
+                data.reincarnation.history = [];
+            }
+
+            // Update version
+            if (data.meta) {
+                data.meta.version = '1.2.0';
+            }
+
+            return data;
+        });
+
         console.log('MigrationManager: Built-in migrations initialized');
     }
 
@@ -0,0 +1,615 @@
+/**
+ * ProfileManager - Several characters per player, plus unlocks shared by all of them
+ * Each profile is one character (its Memory Fragments choices) with its own save key.
+ * The account record lists the profiles and holds the account-wide unlock store:
+ * achievements, cosmetic titles and the gacha collection log.
+ */
+class ProfileManager {
+    constructor() {
+        this.formatVersion = 1;
+        this.exportFormat = 'idleCultivationProfile';
+
+        this.accountKey = 'account';         // SaveManager key of the account record
+        this.legacySaveKey = 'main';         // Saves from before profiles become the first profile
+        this.fallbackStorageKey = 'idleCultivationAccount';
+        this.maxProfiles = 6;
+
+        this.gameState = null;
+        this.eventManager = null;
+        this.saveManager = null;
+
+        this.account = null;
+        this.isLoaded = false;
+    }
+
+    /**
+     * Set up the manager with the core systems
+     * @param {Object} systems - { gameState, eventManager, saveManager }
+     */
+    initialize(systems = {}) {
+        this.gameState = systems.gameState || null;
+        this.eventManager = systems.eventManager || null;
+        this.saveManager = systems.saveManager || null;
+
+        if (this.saveManager) {
+            this.saveManager.reserveKey(this.accountKey);
+        }
+
+        this._setupEventListeners();
+    }
+
+    /**
+     * Read the account record and point GameState at the active profile's save
+     * Call before GameState.load()
+     * @returns {Promise<Object>} Active profile
+     */
+    async load() {
+        let account = null;
+        try {
+            account = await this._readAccount();
+        } catch (error) {
+            console.error('ProfileManager: Could not read account, starting a new one:', error);
+        }
+
+        this.account = account && Array.isArray(account.profiles) && account.profiles.length > 0
+            ? this._normalizeAccount(account)
+            : this._createAccount();
+
+        if (!this.getProfile(this.account.activeProfileId)) {
+            this.account.activeProfileId = this.account.profiles[0].id;
+        }
+
+        this._useSaveKey(this.getActiveProfile().saveKey);
+        this.isLoaded = true;
+
+        console.log(`ProfileManager: ${this.account.profiles.length} profile(s), playing '${this.getActiveProfile().name}'`);
+        return this.getActiveProfile();
+    }
+
+    /**
+     * Bring the account-wide unlocks into the loaded character
+     * Call once the game systems are up
+     * @param {Object} systems - { achievementManager }
+     */
+    connect(systems = {}) {
+        const profile = this.getActiveProfile();
+        if (!profile || !this.gameState) {
+            return;
+        }
+
+        this._syncProfileFromState(profile);
+
+        // Titles earned by any character can be worn by all of them
+        const titles = this.gameState.get('player.availableTitles') || [];
+        const shared = Object.keys(this.account.unlocks.titles);
+        const merged = [...new Set([...titles, ...shared])];
+        if (merged.length !== titles.length) {
+            this.gameState.set('player.availableTitles', merged, { source: 'profiles:shared' });
+        }
+        this._recordTitles(titles);
+
+        if (systems.achievementManager && typeof systems.achievementManager.applySharedUnlocks === 'function') {
+            systems.achievementManager.applySharedUnlocks(this.account.unlocks.achievements);
+        }
+
+        // Integrity problems found when the profile was imported are raised once its save is loaded
+        if (profile.pendingIntegrity && profile.pendingIntegrity.length > 0) {
+            if (typeof this.gameState.flagIntegrity === 'function') {
+                this.gameState.flagIntegrity(profile.pendingIntegrity, { profileId: profile.id });
+            }
+            profile.pendingIntegrity = [];
+        }
+
+        this.save();
+    }
+
+    /**
+     * List profiles, most recently played first
+     * @returns {Array} Profile copies
+     */
+    listProfiles() {
+        if (!this.account) {
+            return [];
+        }
+        return this.account.profiles
+            .map(profile => ({ ...profile, active: profile.id === this.account.activeProfileId }))
+            .sort((a, b) => (b.lastPlayed || 0) - (a.lastPlayed || 0));
+    }
+
+    /**
+     * @param {string} profileId - Profile ID
+     * @returns {Object|null} Profile
+     */
+    getProfile(profileId) {
+        return this.account ? this.account.profiles.find(profile => profile.id === profileId) || null : null;
+    }
+
+    /**
+     * @returns {Object|null} The profile being played
+     */
+    getActiveProfile() {
+        return this.account ? this.getProfile(this.account.activeProfileId) : null;
+    }
+
+    /**
+     * Add an empty profile; its character is created through Memory Fragments when first played
+     * @param {Object} options - { name }
+     * @returns {Promise<Object>} { success, profile?, reason? }
+     */
+    async createProfile(options = {}) {
+        this._requireLoaded();
+
+        if (this.account.profiles.length >= this.maxProfiles) {
+            return { success: false, reason: 'profile_limit' };
+        }
+
+        const profile = this._createProfile(this._generateProfileId(), options.name);
+        this.account.profiles.push(profile);
+        await this.save();
+
+        this._emit('profile:created', { profile: { ...profile } });
+        return { success: true, profile: { ...profile } };
+    }
+
+    /**
+     * Make another profile active. The game reloads, since every system holds the current character's state.
+     * @param {string} profileId - Profile ID
+     * @param {Object} options - { reload: false to only switch the save key (tests, tools) }
+     * @returns {Promise<Object>} { success, reason? }
+     */
+    async switchProfile(profileId, options = {}) {
+        this._requireLoaded();
+
+        const profile = this.getProfile(profileId);
+        if (!profile) {
+            return { success: false, reason: 'profile_not_found' };
+        }
+        if (profileId === this.account.activeProfileId) {
+            return { success: true, unchanged: true };
+        }
+
+        // Leave the current character saved before its state is replaced
+        if (this.gameState && typeof this.gameState.save === 'function') {
+            this._syncProfileFromState(this.getActiveProfile());
+            await this.gameState.save({ force: true });
+        }
+
+        const previousProfileId = this.account.activeProfileId;
+        this.account.activeProfileId = profileId;
+        profile.lastPlayed = Date.now();
+        await this.save();
+
+        this._emit('profile:switched', { previousProfileId, profileId });
+
+        // Until the reload the old character is still in memory, and unload saves must go to its own key
+        if (options.reload === false || typeof window === 'undefined' || !window.location) {
+            this._useSaveKey(profile.saveKey);
+        } else {
+            window.location.reload();
+        }
+        return { success: true };
+    }
+
+    /**
+     * Rename a profile
+     * @param {string} profileId - Profile ID
+     * @param {string} name - New name
+     * @returns {Promise<Object>} { success, reason? }
+     */
+    async renameProfile(profileId, name) {
+        this._requireLoaded();
+
+        const profile = this.getProfile(profileId);
+        const trimmed = typeof name === 'string' ? name.trim().slice(0, 24) : '';
+        if (!profile) {
+            return { success: false, reason: 'profile_not_found' };
+        }
+        if (!trimmed) {
+            return { success: false, reason: 'invalid_name' };
+        }
+
+        profile.name = trimmed;
+        await this.save();
+        return { success: true };
+    }
+
+    /**
+     * Delete a profile and its save. Account-wide unlocks it earned are kept.
+     * @param {string} profileId - Profile ID
+     * @returns {Promise<Object>} { success, reason? }
+     */
+    async deleteProfile(profileId) {
+        this._requireLoaded();
+
+        const profile = this.getProfile(profileId);
+        if (!profile) {
+            return { success: false, reason: 'profile_not_found' };
+        }
+        if (profileId === this.account.activeProfileId) {
+            return { success: false, reason: 'profile_active' };
+        }
+
+        if (this.saveManager) {
+            this.saveManager.delete(profile.saveKey);
+        }
+        this.account.profiles = this.account.profiles.filter(entry => entry.id !== profileId);
+        await this.save();
+
+        this._emit('profile:deleted', { profileId });
+        return { success: true };
+    }
+
+    /**
+     * Export one profile with its save
+     * @param {string} profileId - Profile ID; defaults to the active profile
+     * @returns {Promise<string>} Profile JSON
+     */
+    async exportProfile(profileId = this.account && this.account.activeProfileId) {
+        this._requireLoaded();
+
+        const profile = this.getProfile(profileId);
+        if (!profile) {
+            throw new Error(`ProfileManager: Unknown profile ${profileId}`);
+        }
+        if (!this.saveManager) {
+            throw new Error('ProfileManager: Export needs SaveManager');
+        }
+
+        if (profileId === this.account.activeProfileId && this.gameState) {
+            this._syncProfileFromState(profile);
+            await this.gameState.save({ force: true });
+        }
+
+        const { id, saveKey, pendingIntegrity, ...details } = profile;
+        return JSON.stringify({
+            format: this.exportFormat,
+            formatVersion: this.formatVersion,
+            exportedAt: Date.now(),
+            profile: details,
+            save: await this.saveManager.export(saveKey, { compress: false })
+        }, null, 2);
+    }
+
+    /**
+     * Import an exported profile as a new profile
+     * A save not signed by this install imports, but is flagged when first played
+     * @param {string} jsonData - Profile JSON from exportProfile()
+     * @returns {Promise<Object>} { success, profile?, reason? }
+     */
+    async importProfile(jsonData) {
+        this._requireLoaded();
+
+        let imported;
+        try {
+            imported = JSON.parse(jsonData);
+        } catch (error) {
+            return { success: false, reason: 'invalid_format' };
+        }
+
+        if (!imported || imported.format !== this.exportFormat || typeof imported.save !== 'string' || !imported.profile) {
+            return { success: false, reason: 'invalid_format' };
+        }
+        if (imported.formatVersion > this.formatVersion) {
+            return { success: false, reason: 'unsupported_version' };
+        }
+        if (this.account.profiles.length >= this.maxProfiles) {
+            return { success: false, reason: 'profile_limit' };
+        }
+        if (!this.saveManager) {
+            return { success: false, reason: 'no_storage' };
+        }
+
+        const profile = {
+            ...this._createProfile(this._generateProfileId(), imported.profile.name),
+            origin: imported.profile.origin || null,
+            vow: imported.profile.vow || null,
+            mark: imported.profile.mark || null,
+            createdAt: imported.profile.createdAt || Date.now(),
+            summary: imported.profile.summary || null
+        };
+
+        const signature = await this.saveManager.verifyExport(imported.save);
+        if (signature.status !== 'valid') {
+            profile.pendingIntegrity = [`import_${signature.status}`];
+        }
+
+        try {
+            const success = await this.saveManager.import(imported.save, profile.saveKey, { overwrite: true, backup: false });
+            if (!success) {
+                return { success: false, reason: 'import_failed' };
+            }
+        } catch (error) {
+            console.error('ProfileManager: Profile import failed:', error);
+            return { success: false, reason: 'import_failed' };
+        }
+
+        this.account.profiles.push(profile);
+        await this.save();
+
+        this._emit('profile:imported', { profile: { ...profile }, signature: signature.status });
+        return { success: true, profile: { ...profile } };
+    }
+
+    /**
+     * Get the account-wide unlock store
+     * @returns {Object} { achievements, titles, collection }
+     */
+    getSharedUnlocks() {
+        return this.account ? JSON.parse(JSON.stringify(this.account.unlocks)) : { achievements: {}, titles: {}, collection: {} };
+    }
+
+    /**
+     * Check an achievement against the account store
+     * @param {string} achievementId - Achievement ID
+     * @returns {boolean} Whether any character unlocked it
+     */
+    hasSharedAchievement(achievementId) {
+        return !!(this.account && this.account.unlocks.achievements[achievementId]);
+    }
+
+    /**
+     * Get the collection log, rarest finds first
+     * @returns {Array} Entries { name, rarity, category, count, firstObtainedAt, firstProfileId }
+     */
+    getCollectionLog() {
+        if (!this.account) {
+            return [];
+        }
+        const order = ['Mythical', 'Legendary', 'Epic', 'Rare', 'Uncommon', 'Common'];
+        return Object.entries(this.account.unlocks.collection)
+            .map(([name, entry]) => ({ name, ...entry }))
+            .sort((a, b) => {
+                const rank = (entry) => order.includes(entry.rarity) ? order.indexOf(entry.rarity) : order.length;
+                return rank(a) - rank(b) || a.firstObtainedAt - b.firstObtainedAt;
+            });
+    }
+
+    /**
+     * Persist the account record
+     * @returns {Promise<boolean>} Success status
+     */
+    async save() {
+        if (!this.account) {
+            return false;
+        }
+
+        this.account.updatedAt = Date.now();
+
+        try {
+            if (this.saveManager) {
+                return await this.saveManager.save(this.accountKey, this.account, { validate: false, compress: false });
+            }
+            if (typeof localStorage !== 'undefined') {
+                localStorage.setItem(this.fallbackStorageKey, JSON.stringify(this.account));
+                return true;
+            }
+        } catch (error) {
+            console.error('ProfileManager: Could not save account:', error);
+        }
+        return false;
+    }
+
+    // Private methods
+
+    _setupEventListeners() {
+        if (!this.eventManager) {
+            return;
+        }
+
+        this.eventManager.on('achievementManager:achievementUnlocked', (event) => {
+            const data = event.data;
+            if (data && data.achievement && !data.shared) {
+                this._recordAchievement(data.achievement.id, data.unlockData);
+            }
+        });
+
+        this.eventManager.on('gameState:changed', (event) => {
+            const data = event.data;
+            const updates = data && data.updates;
+            if (updates && typeof updates === 'object' && updates.player && Array.isArray(updates.player.availableTitles)) {
+                this._recordTitles(updates.player.availableTitles);
+            }
+        });
+
+        this.eventManager.on('gacha:pull_complete', (event) => {
+            const data = event.data;
+            if (data && data.result) {
+                this._recordCollection([data.result]);
+            }
+        });
+
+        this.eventManager.on('gacha:multi_pull_complete', (event) => {
+            const data = event.data;
+            if (data && Array.isArray(data.results)) {
+                this._recordCollection(data.results);
+            }
+        });
+
+        // Ride along with the character's saves
+        this.eventManager.on('gameState:saved', () => {
+            if (this.isLoaded) {
+                this._syncProfileFromState(this.getActiveProfile());
+                this.save();
+            }
+        });
+
+        this.eventManager.on('character:created', (event) => {
+            const data = event.data;
+            const profile = this.getActiveProfile();
+            if (profile && data) {
+                profile.origin = data.origin || profile.origin;
+                profile.vow = data.vow || profile.vow;
+                profile.mark = data.mark || profile.mark;
+                this.save();
+            }
+        });
+    }
+
+    _recordAchievement(achievementId, unlockData = {}) {
+        const profile = this.getActiveProfile();
+        if (!this.account || this.account.unlocks.achievements[achievementId]) {
+            return;
+        }
+
+        this.account.unlocks.achievements[achievementId] = {
+            unlockedAt: unlockData.timestamp || Date.now(),
+            profileId: profile ? profile.id : null
+        };
+        this._emit('profile:sharedUnlock', { type: 'achievement', id: achievementId });
+    }
+
+    _recordTitles(titles) {
+        const profile = this.getActiveProfile();
+        if (!this.account) {
+            return;
+        }
+
+        for (const title of titles) {
+            if (typeof title === 'string' && !this.account.unlocks.titles[title]) {
+                this.account.unlocks.titles[title] = {
+                    unlockedAt: Date.now(),
+                    profileId: profile ? profile.id : null
+                };
+                this._emit('profile:sharedUnlock', { type: 'title', id: title });
+            }
+        }
+    }
+
+    _recordCollection(results) {
+        const profile = this.getActiveProfile();
+        if (!this.account) {
+            return;
+        }
+
+        for (const result of results) {
+            if (!result || !result.name) {
+                continue;
+            }
+
+            const entry = this.account.unlocks.collection[result.name];
+            if (entry) {
+                entry.count++;
+                continue;
+            }
+
+            this.account.unlocks.collection[result.name] = {
+                rarity: result.rarity || null,
+                category: result.category || null,
+                count: 1,
+                firstObtainedAt: result.obtainedAt || Date.now(),
+                firstProfileId: profile ? profile.id : null
+            };
+            this._emit('profile:sharedUnlock', { type: 'collection', id: result.name });
+        }
+    }
+
+    /**
+     * Copy the character's choices and progress into its profile entry for the select screen
+     */
+    _syncProfileFromState(profile) {
+        if (!profile || !this.gameState) {
+            return;
+        }
+
+        const character = this.gameState.get('player.character') || this.gameState.get('character') || {};
+        profile.origin = character.origin || profile.origin;
+        profile.vow = character.vow || profile.vow;
+        profile.mark = character.mark || profile.mark;
+        profile.lastPlayed = Date.now();
+        profile.summary = {
+            realm: this.gameState.get('realm.current') || null,
+            stage: this.gameState.get('realm.stage') || 0,
+            power: this.gameState.get('player.power') || 0,
+            reincarnations: this.gameState.get('reincarnation.count') || 0
+        };
+    }
+
+    _useSaveKey(saveKey) {
+        if (this.gameState && typeof this.gameState.setSaveKey === 'function') {
+            this.gameState.setSaveKey(saveKey);
+        }
+        if (typeof window !== 'undefined' && window.gameSaveSystem) {
+            window.gameSaveSystem.currentSlot = saveKey;
+        }
+    }
+
+    async _readAccount() {
+        if (this.saveManager) {
+            return await this.saveManager.load(this.accountKey, { validate: false, migrate: false, repair: false });
+        }
+        if (typeof localStorage !== 'undefined') {
+            const stored = localStorage.getItem(this.fallbackStorageKey);
+            return stored ? JSON.parse(stored) : null;
+        }
+        return null;
+    }
+
+    _createAccount() {
+        // The first profile keeps the pre-profile save key, so an existing character carries over as-is
+        const profile = this._createProfile(this.legacySaveKey, 'Cultivator');
+        profile.saveKey = this.legacySaveKey;
+
+        return {
+            formatVersion: this.formatVersion,
+            activeProfileId: profile.id,
+            profiles: [profile],
+            unlocks: { achievements: {}, titles: {}, collection: {} },
+            createdAt: Date.now(),
+            updatedAt: Date.now()
+        };
+    }
+
+    _normalizeAccount(account) {
+        const unlocks = account.unlocks || {};
+        return {
+            ...account,
+            unlocks: {
+                achievements: unlocks.achievements || {},
+                titles: unlocks.titles || {},
+                collection: unlocks.collection || {}
+            }
+        };
+    }
+
+    _createProfile(id, name) {
+        return {
+            id,
+            name: (typeof name === 'string' && name.trim()) ? name.trim().slice(0, 24) : `Cultivator ${this.account ? this.account.profiles.length + 1 : 1}`,
+            saveKey: `profile_${id}`,
+            origin: null,
+            vow: null,
+            mark: null,
+            createdAt: Date.now(),
+            lastPlayed: 0,
+            summary: null,
+            pendingIntegrity: []
+        };
+    }
+
+    _generateProfileId() {
+        return `${Date.now().toString(36)}${randomManager.random('ids').toString(36).slice(2, 7)}`;
+    }
+
+    _requireLoaded() {
+        if (!this.isLoaded) {
+            throw new Error('ProfileManager: Not loaded');
+        }
+    }
+
+    _emit(eventType, data) {
+        if (this.eventManager) {
+            this.eventManager.emit(eventType, data);
+        }
+    }
+}
+
+// Create singleton instance
+const profileManager = new ProfileManager();
+
+// Export for ES6 modules and global usage
+if (typeof module !== 'undefined' && module.exports) {
+    module.exports = { ProfileManager, profileManager };
+} else if (typeof window !== 'undefined') {
+    window.ProfileManager = ProfileManager;
+    window.profileManager = profileManager;
+}
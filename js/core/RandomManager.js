@@ -0,0 +1,254 @@
+/**
+ * RandomManager - Deterministic seeded random number generation
+ * Provides named per-system streams whose state is persisted in GameState,
+ * so a save plus its seed always replays the same pulls, duels and crafts
+ */
+class RandomStream {
+    /**
+     * @param {string} name - Stream name (usually the owning system)
+     * @param {number} state - 32-bit generator state
+     */
+    constructor(name, state) {
+        this.name = name;
+        this.state = state >>> 0;
+        this.draws = 0;
+    }
+
+    /**
+     * Get the next float in [0, 1) - drop-in replacement for Math.random()
+     * @returns {number} Random float
+     */
+    random() {
+        // mulberry32
+        this.state = (this.state + 0x6D2B79F5) >>> 0;
+        let t = this.state;
+        t = Math.imul(t ^ (t >>> 15), t | 1);
+        t ^= t + Math.imul(t ^ (t >>> 7), t | 61);
+        this.draws++;
+        return ((t ^ (t >>> 14)) >>> 0) / 4294967296;
+    }
+
+    /**
+     * Get a float in [min, max)
+     * @param {number} min - Lower bound
+     * @param {number} max - Upper bound
+     * @returns {number} Random float
+     */
+    float(min, max) {
+        return min + this.random() * (max - min);
+    }
+
+    /**
+     * Get an integer in [min, max] (inclusive)
+     * @param {number} min - Lower bound
+     * @param {number} max - Upper bound
+     * @returns {number} Random integer
+     */
+    int(min, max) {
+        return min + Math.floor(this.random() * (max - min + 1));
+    }
+
+    /**
+     * Roll against a probability
+     * @param {number} probability - Chance of success (0-1)
+     * @returns {boolean} Whether the roll succeeded
+     */
+    chance(probability) {
+        return this.random() < probability;
+    }
+
+    /**
+     * Pick a random element from an array
+     * @param {Array} array - Source array
+     * @returns {*} Random element, or undefined for an empty array
+     */
+    pick(array) {
+        if (!array || array.length === 0) return undefined;
+        return array[Math.floor(this.random() * array.length)];
+    }
+
+    /**
+     * Shuffle an array in place (Fisher-Yates)
+     * @param {Array} array - Array to shuffle
+     * @returns {Array} The same array, shuffled
+     */
+    shuffle(array) {
+        for (let i = array.length - 1; i > 0; i--) {
+            const j = Math.floor(this.random() * (i + 1));
+            [array[i], array[j]] = [array[j], array[i]];
+        }
+        return array;
+    }
+}
+
+class RandomManager {
+    constructor(seed = null) {
+        this.seed = null;
+        this.streams = new Map(); // name -> RandomStream
+
+        // Event manager reference (will be injected)
+        this._eventManager = null;
+
+        this.setSeed(seed === null ? RandomManager.generateSeed() : seed);
+    }
+
+    /**
+     * Set the event manager for this random manager
+     * @param {EventManager} eventManager - The event manager instance
+     */
+    setEventManager(eventManager) {
+        this._eventManager = eventManager;
+    }
+
+    /**
+     * Reseed every stream from a new master seed
+     * @param {number|string} seed - Master seed
+     */
+    setSeed(seed) {
+        this.seed = RandomManager.normalizeSeed(seed);
+
+        // Keep existing stream objects so systems holding references stay in sync
+        for (const [name, stream] of this.streams) {
+            stream.state = this._deriveStreamState(name);
+            stream.draws = 0;
+        }
+
+        if (this._eventManager) {
+            this._eventManager.emit('rng:seeded', { seed: this.seed });
+        }
+    }
+
+    /**
+     * Get (or lazily create) a named stream
+     * @param {string} name - Stream name, e.g. 'gacha' or 'combat'
+     * @returns {RandomStream} The stream
+     */
+    getStream(name = 'default') {
+        if (!this.streams.has(name)) {
+            this.streams.set(name, new RandomStream(name, this._deriveStreamState(name)));
+        }
+        return this.streams.get(name);
+    }
+
+    /**
+     * Draw a float in [0, 1) from a named stream
+     * @param {string} name - Stream name
+     * @returns {number} Random float
+     */
+    random(name = 'default') {
+        return this.getStream(name).random();
+    }
+
+    /**
+     * Get a serializable snapshot of the seed and every stream position
+     * @returns {Object} RNG state for GameState
+     */
+    getState() {
+        const streams = {};
+        for (const [name, stream] of this.streams) {
+            streams[name] = { state: stream.state, draws: stream.draws };
+        }
+        return { seed: this.seed, streams };
+    }
+
+    /**
+     * Restore a snapshot produced by getState()
+     * Streams missing from the snapshot are rewound to their seeded start
+     * @param {Object} state - RNG state
+     * @returns {boolean} Whether the state was applied
+     */
+    setState(state) {
+        if (!state || typeof state.seed !== 'number') {
+            return false;
+        }
+
+        this.seed = state.seed >>> 0;
+        const saved = state.streams || {};
+
+        for (const [name, stream] of this.streams) {
+            if (!saved[name]) {
+                stream.state = this._deriveStreamState(name);
+                stream.draws = 0;
+            }
+        }
+
+        for (const [name, data] of Object.entries(saved)) {
+            const stream = this.getStream(name);
+            stream.state = data.state >>> 0;
+            stream.draws = data.draws || 0;
+        }
+
+        if (this._eventManager) {
+            this._eventManager.emit('rng:restored', { seed: this.seed, streams: Object.keys(saved) });
+        }
+
+        return true;
+    }
+
+    /**
+     * Get debug information about the streams
+     * @returns {Object} Debug information
+     */
+    getDebugInfo() {
+        const streams = {};
+        for (const [name, stream] of this.streams) {
+            streams[name] = stream.draws;
+        }
+        return { seed: this.seed, streamCount: this.streams.size, draws: streams };
+    }
+
+    /**
+     * Create a fresh non-deterministic seed
+     * @returns {number} 32-bit seed
+     */
+    static generateSeed() {
+        return (Date.now() ^ Math.floor(Math.random() * 0xFFFFFFFF)) >>> 0;
+    }
+
+    /**
+     * Convert a number or string seed into a 32-bit integer
+     * @param {number|string} seed - Seed value
+     * @returns {number} 32-bit seed
+     */
+    static normalizeSeed(seed) {
+        if (typeof seed === 'number' && Number.isFinite(seed)) {
+            return seed >>> 0;
+        }
+        if (typeof seed === 'string' && /^\d+$/.test(seed)) {
+            return Number(seed) >>> 0;
+        }
+        return RandomManager.hashString(String(seed));
+    }
+
+    /**
+     * Hash a string into a 32-bit integer (FNV-1a)
+     * @param {string} str - Input string
+     * @returns {number} 32-bit hash
+     */
+    static hashString(str) {
+        let hash = 0x811C9DC5;
+        for (let i = 0; i < str.length; i++) {
+            hash ^= str.charCodeAt(i);
+            hash = Math.imul(hash, 0x01000193);
+        }
+        return hash >>> 0;
+    }
+
+    // Private methods
+
+    _deriveStreamState(name) {
+        return RandomManager.hashString(`${this.seed}:${name}`);
+    }
+}
+
+// Create singleton instance
+const randomManager = new RandomManager();
+
+// Export for ES6 modules and global usage
+if (typeof module !== 'undefined' && module.exports) {
+    module.exports = { RandomManager, RandomStream, randomManager };
+} else if (typeof window !== 'undefined') {
+    window.RandomManager = RandomManager;
+    window.RandomStream = RandomStream;
+    window.randomManager = randomManager;
+}
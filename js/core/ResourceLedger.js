@@ -0,0 +1,146 @@
+/**
+ * ResourceLedger - Append-only audit trail of premium currency changes
+ * GameState passes every update through record(), which logs each change to a tracked
+ * balance with the update source. DataValidator.reconcileLedger() replays the ledger on
+ * load; a balance edited outside the game no longer matches its own history.
+ */
+class ResourceLedger {
+    constructor() {
+        this.formatVersion = 1;
+
+        // Ledger resource -> GameState path
+        this.resources = {
+            jade: 'player.jade',
+            spiritCrystals: 'player.spiritCrystals'
+        };
+
+        // Oldest entries are folded into the opening balances past this size
+        this.maxEntries = 250;
+    }
+
+    /**
+     * Start a ledger whose opening balances are the state's current totals
+     * @param {Object} state - Game state
+     * @returns {Object} New ledger
+     */
+    create(state) {
+        const opening = {};
+        for (const resource of Object.keys(this.resources)) {
+            opening[resource] = this._readBalance(state, resource);
+        }
+
+        return {
+            formatVersion: this.formatVersion,
+            opening,
+            entries: [],
+            nextSeq: 1,
+            compacted: 0
+        };
+    }
+
+    /**
+     * Make sure a state carries a ledger, starting one from its totals if it does not
+     * @param {Object} state - Game state (modified in place)
+     * @returns {Object} The state's ledger
+     */
+    ensure(state) {
+        if (!state.ledger || !Array.isArray(state.ledger.entries) || !state.ledger.opening) {
+            state.ledger = this.create(state);
+        }
+        return state.ledger;
+    }
+
+    /**
+     * Append an entry for every tracked balance that differs between two states
+     * @param {Object} previousState - State before the update
+     * @param {Object} newState - State after the update (its ledger is appended to)
+     * @param {string} source - Update source, e.g. 'gacha:pull'
+     * @param {number} at - Timestamp
+     * @returns {Array} Entries added
+     */
+    record(previousState, newState, source = 'unknown', at = Date.now()) {
+        const added = [];
+
+        for (const resource of Object.keys(this.resources)) {
+            const before = this._readBalance(previousState, resource);
+            const after = this._readBalance(newState, resource);
+            if (after === before) {
+                continue;
+            }
+
+            if (added.length === 0) {
+                // Without a ledger yet, start one at the old totals so this change is still logged
+                const ledger = newState.ledger || this.create(previousState);
+                newState.ledger = { ...ledger, entries: ledger.entries.slice() };
+            }
+
+            const ledger = newState.ledger;
+            const entry = {
+                seq: ledger.nextSeq++,
+                at,
+                resource,
+                delta: after - before,
+                balance: after,
+                source
+            };
+            ledger.entries.push(entry);
+            added.push(entry);
+        }
+
+        if (added.length > 0) {
+            this._compact(newState.ledger);
+        }
+
+        return added;
+    }
+
+    /**
+     * Get a resource's entries, newest last
+     * @param {Object} state - Game state
+     * @param {string} resource - Ledger resource; all resources when omitted
+     * @returns {Array} Entries
+     */
+    getEntries(state, resource = null) {
+        const entries = state && state.ledger ? state.ledger.entries : [];
+        return resource ? entries.filter(entry => entry.resource === resource) : entries.slice();
+    }
+
+    // Private methods
+
+    _readBalance(state, resource) {
+        const value = this.resources[resource].split('.').reduce((current, key) => {
+            return current && current[key] !== undefined ? current[key] : undefined;
+        }, state);
+        return typeof value === 'number' ? value : 0;
+    }
+
+    /**
+     * Fold the oldest entries into the opening balances; each entry's balance is the running total
+     */
+    _compact(ledger) {
+        const excess = ledger.entries.length - this.maxEntries;
+        if (excess <= 0) {
+            return;
+        }
+
+        const folded = ledger.entries.slice(0, excess);
+        ledger.opening = { ...ledger.opening };
+        for (const entry of folded) {
+            ledger.opening[entry.resource] = entry.balance;
+        }
+
+        ledger.entries = ledger.entries.slice(excess);
+        ledger.compacted = (ledger.compacted || 0) + excess;
+    }
+}
+
+// Create singleton instance
+const resourceLedger = new ResourceLedger();
+
+// Export for ES6 modules and global usage
+if (typeof module !== 'undefined' && module.exports) {
+    module.exports = { ResourceLedger, resourceLedger };
+} else if (typeof window !== 'undefined') {
+    window.ResourceLedger = ResourceLedger;
+    window.resourceLedger = resourceLedger;
+}
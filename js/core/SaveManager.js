@@ -1,6 +1,6 @@
 /**
  * SaveManager - Robust save system with compression, versioning, and data integrity
- * Handles LocalStorage with fallback, chunked storage, and atomic operations
+ * Handles IndexedDB with localStorage and memory fallbacks, chunked storage, and atomic operations
  */
 class SaveManager {
     constructor() {
@@ -11,6 +11,17 @@ class SaveManager {
         this.compressionEnabled = true;
         this.encryptionEnabled = false; // Will be implemented later
 
+        // Saves are signed with a random key kept on this install. The key is stored next to
+        // the saves it signs, so the signature catches corruption and hand-edited saves or
+        // exports, not a player who reads the key out of storage and re-signs.
+        this.installKeyName = 'installKey';
+        this.installKey = null;
+        this.installKeyIsNew = false;
+        this.integrity = new Map(); // key -> last signature check
+
+        // Keys stored through SaveManager that are not save slots
+        this.reservedKeys = new Set([this.installKeyName]);
+
         // Storage statistics
         this.stats = {
             totalSaves: 0,
@@ -56,6 +67,8 @@ class SaveManager {
         this.criticalCheckpoints = new Set();
 
         // Storage backend with fallback
+        this.storageType = 'memory';
+        this.storageEstimate = null;
         this.storage = this._initializeStorage();
 
         // Save operation queue for atomic operations
@@ -65,9 +78,34 @@ class SaveManager {
         // Initialize checkpoint system
         this._initializeCheckpointSystem();
 
+        // IndexedDB opens asynchronously; saves and loads wait for it
+        this.storageReady = this._openStorage();
+
         console.log('SaveManager initialized with checkpoint system');
     }
 
+    /**
+     * JSON with object keys sorted at every level, so a signature or checksum covers nested
+     * values and does not depend on key order (the sync server's jsonb does not keep it)
+     * @param {*} value - Value to serialize
+     * @returns {string} Canonical JSON
+     */
+    static canonicalJson(value) {
+        if (Array.isArray(value)) {
+            return '[' + value.map(item => item === undefined ? 'null' : SaveManager.canonicalJson(item)).join(',') + ']';
+        }
+        if (value && typeof value === 'object') {
+            if (typeof value.toJSON === 'function') {
+                return SaveManager.canonicalJson(value.toJSON());
+            }
+            const entries = Object.keys(value).sort()
+                .filter(key => value[key] !== undefined && typeof value[key] !== 'function')
+                .map(key => JSON.stringify(key) + ':' + SaveManager.canonicalJson(value[key]));
+            return '{' + entries.join(',') + '}';
+        }
+        return JSON.stringify(value) ?? 'null';
+    }
+
     /**
      * Save data to storage with compression and chunking
      * @param {string} key - Storage key
@@ -109,6 +147,7 @@ class SaveManager {
         };
 
         try {
+            await this.ready();
             this.stats.lastLoadTime = Date.now();
 
             const saveData = await this._loadFromStorage(key);
@@ -125,6 +164,9 @@ class SaveManager {
                 }
             }
 
+            // A bad signature does not block the load; GameState flags the save instead
+            await this._recordSignatureCheck(key, saveData);
+
             // Validate data integrity using DataValidator
             if (config.validate && typeof window !== 'undefined' && window.dataValidator) {
                 const validation = window.dataValidator.validateGameState(saveData.data, { sanitize: false });
@@ -178,14 +220,18 @@ class SaveManager {
      */
     delete(key) {
         try {
-            // Delete main save
-            this.storage.removeItem(this._getStorageKey(key));
+            this._writeTransaction(() => {
+                // Delete main save
+                this.storage.removeItem(this._getStorageKey(key));
 
-            // Delete chunks if they exist
-            this._deleteChunks(key);
+                // Delete chunks if they exist
+                this._deleteChunks(key);
 
-            // Delete backups
-            this._deleteBackups(key);
+                // Delete backups
+                this._deleteBackups(key);
+            }).catch(error => {
+                console.error('SaveManager: Delete failed to commit:', error);
+            });
 
             return true;
         } catch (error) {
@@ -217,6 +263,7 @@ class SaveManager {
                 version: this._getCurrentVersion(),
                 timestamp: Date.now(),
                 checksum: await this._generateChecksum(data),
+                signature: await this._sign(data),
                 metadata: config.includeMetadata ? this._getExportMetadata() : null,
                 data: data
             };
@@ -306,6 +353,41 @@ class SaveManager {
         }
     }
 
+    /**
+     * Get the signature check from the last load of a save
+     * @param {string} key - Storage key
+     * @returns {Object|null} { status: 'valid'|'invalid'|'unsigned', expected, checkedAt } or null if not loaded
+     */
+    getIntegrity(key) {
+        const check = this.integrity.get(key);
+        return check ? { ...check } : null;
+    }
+
+    /**
+     * Check whether an exported save was signed by this install
+     * @param {string} jsonData - Exported data as JSON string
+     * @returns {Promise<Object>} { status: 'valid'|'invalid'|'unsigned'|'unreadable' }
+     */
+    async verifyExport(jsonData) {
+        try {
+            if (this._isCompressed(jsonData)) {
+                jsonData = await this._decompress(jsonData);
+            }
+            const exportData = JSON.parse(jsonData);
+            return await this._verifySignature(exportData);
+        } catch (error) {
+            return { status: 'unreadable' };
+        }
+    }
+
+    /**
+     * Keep a key that is not a save slot (e.g. an account record) out of listSaveSlots
+     * @param {string} key - Storage key
+     */
+    reserveKey(key) {
+        this.reservedKeys.add(key);
+    }
+
     /**
      * List all available save slots
      * @returns {Array} Array of save slot information
@@ -318,7 +400,7 @@ class SaveManager {
                 const key = this.storage.key(i);
                 if (key && key.startsWith(this.storagePrefix)) {
                     const saveKey = key.substring(this.storagePrefix.length);
-                    if (!saveKey.includes('_chunk_') && !saveKey.includes('_backup_')) {
+                    if (!saveKey.includes('_chunk_') && !saveKey.includes('_backup_') && !this.reservedKeys.has(saveKey)) {
                         slots.push({
                             key: saveKey,
                             size: this._getStorageSize(key),
@@ -343,7 +425,7 @@ class SaveManager {
         const info = {
             stats: { ...this.stats },
             isEnabled: this.isEnabled,
-            storageType: this.storage === localStorage ? 'localStorage' : 'memory',
+            storageType: this.storageType,
             compressionEnabled: this.compressionEnabled,
             maxChunkSize: this.maxChunkSize,
             maxSaveSlots: this.maxSaveSlots
@@ -362,13 +444,18 @@ class SaveManager {
                 }
             }
 
+            const quota = this._getStorageQuota();
             info.usage = {
                 totalUsed,
                 totalKeys,
-                quota: this._getStorageQuota(),
-                usagePercent: this._getStorageQuota() > 0 ? (totalUsed / this._getStorageQuota() * 100) : 0
+                quota,
+                usagePercent: quota > 0 ? (totalUsed / quota * 100) : 0
             };
 
+            if (this.storageEstimate) {
+                info.estimate = { ...this.storageEstimate };
+            }
+
         } catch (error) {
             console.error('SaveManager: Failed to get storage info:', error);
             info.usage = { error: error.message };
@@ -389,17 +476,23 @@ class SaveManager {
 
         try {
             const keysToDelete = [];
+            const installKey = this._getStorageKey(this.installKeyName);
 
             for (let i = 0; i < this.storage.length; i++) {
                 const key = this.storage.key(i);
-                if (key && key.startsWith(this.storagePrefix)) {
+                // The signing key outlives the saves, or saves made afterwards could not be verified
+                if (key && key.startsWith(this.storagePrefix) && key !== installKey) {
                     keysToDelete.push(key);
                 }
             }
 
-            for (const key of keysToDelete) {
-                this.storage.removeItem(key);
-            }
+            this._writeTransaction(() => {
+                for (const key of keysToDelete) {
+                    this.storage.removeItem(key);
+                }
+            }).catch(error => {
+                console.error('SaveManager: Clearing data failed to commit:', error);
+            });
 
             console.log(`SaveManager: Cleared ${keysToDelete.length} save entries`);
             return true;
@@ -419,6 +512,33 @@ class SaveManager {
         console.log(`SaveManager: ${enabled ? 'Enabled' : 'Disabled'}`);
     }
 
+    /**
+     * Wait until the storage backend is open and any localStorage migration has run
+     * @returns {Promise<void>}
+     */
+    async ready() {
+        await this.storageReady;
+    }
+
+    /**
+     * Refresh the browser's storage estimate used for IndexedDB quota reporting
+     * @returns {Promise<Object|null>} { usage, quota } or null if unavailable
+     */
+    async refreshStorageEstimate() {
+        try {
+            if (typeof navigator !== 'undefined' && navigator.storage && navigator.storage.estimate) {
+                const estimate = await navigator.storage.estimate();
+                this.storageEstimate = {
+                    usage: estimate.usage || 0,
+                    quota: estimate.quota || 0
+                };
+            }
+        } catch (error) {
+            console.warn('SaveManager: Storage estimate unavailable:', error);
+        }
+        return this.storageEstimate;
+    }
+
     // ===== CHECKPOINT SYSTEM METHODS =====
 
     /**
@@ -650,7 +770,7 @@ class SaveManager {
 
             // Remove from storage
             const storageKey = this._getCheckpointStorageKey(checkpointId);
-            this.storage.removeItem(storageKey);
+            await this._writeTransaction(() => this.storage.removeItem(storageKey));
 
             // Remove from memory
             this.checkpoints.delete(checkpointId);
@@ -905,6 +1025,8 @@ class SaveManager {
      * Store checkpoint to storage
      */
     async _storeCheckpoint(checkpoint) {
+        await this.ready();
+
         const storageKey = this._getCheckpointStorageKey(checkpoint.id);
         let dataToStore = JSON.stringify(checkpoint);
 
@@ -917,7 +1039,7 @@ class SaveManager {
         if (dataToStore.length > this.maxChunkSize) {
             await this._storeCheckpointChunked(checkpoint.id, dataToStore);
         } else {
-            this.storage.setItem(storageKey, dataToStore);
+            await this._writeTransaction(() => this.storage.setItem(storageKey, dataToStore));
         }
 
         // Store in memory for quick access
@@ -931,18 +1053,20 @@ class SaveManager {
         const chunks = this._createChunks(data, this.maxChunkSize);
         const chunkPrefix = this._getCheckpointStorageKey(checkpointId) + '_chunk_';
 
-        // Store chunks
-        for (let i = 0; i < chunks.length; i++) {
-            this.storage.setItem(chunkPrefix + i, chunks[i]);
-        }
-
         // Store metadata
         const metadata = {
             chunked: true,
             chunkCount: chunks.length,
             totalSize: data.length
         };
-        this.storage.setItem(this._getCheckpointStorageKey(checkpointId), JSON.stringify(metadata));
+
+        // Chunks and metadata land together or not at all
+        await this._writeTransaction(() => {
+            for (let i = 0; i < chunks.length; i++) {
+                this.storage.setItem(chunkPrefix + i, chunks[i]);
+            }
+            this.storage.setItem(this._getCheckpointStorageKey(checkpointId), JSON.stringify(metadata));
+        });
     }
 
     /**
@@ -976,6 +1100,9 @@ class SaveManager {
         }
 
         // Check storage quota if available
+        if (this.storageType === 'indexedDB') {
+            await this.refreshStorageEstimate();
+        }
         const usage = this.getStorageInfo().usage;
         if (usage && usage.usagePercent > 80) {
             console.warn('Storage usage high, cleaning up old checkpoints');
@@ -1042,6 +1169,7 @@ class SaveManager {
 
         // Load from storage
         try {
+            await this.ready();
             const storageKey = this._getCheckpointStorageKey(checkpointId);
             const data = this.storage.getItem(storageKey);
 
@@ -1276,10 +1404,24 @@ class SaveManager {
     // Private methods
 
     /**
-     * Initialize storage backend with fallback to memory
+     * Initialize storage backend, preferring IndexedDB, then localStorage, then memory
      * @returns {Storage} Storage interface
      */
     _initializeStorage() {
+        if (typeof window !== 'undefined' && window.IndexedDBStorage && window.IndexedDBStorage.isAvailable()) {
+            console.log('SaveManager: Using IndexedDB');
+            this.storageType = 'indexedDB';
+            return new window.IndexedDBStorage({ dbName: 'idleCultivationGame', storeName: 'saves' });
+        }
+
+        return this._initializeFallbackStorage();
+    }
+
+    /**
+     * Initialize localStorage with fallback to memory
+     * @returns {Storage} Storage interface
+     */
+    _initializeFallbackStorage() {
         try {
             // Test localStorage availability
             const testKey = this.storagePrefix + 'test';
@@ -1287,16 +1429,74 @@ class SaveManager {
             localStorage.removeItem(testKey);
 
             console.log('SaveManager: Using localStorage');
+            this.storageType = 'localStorage';
             return localStorage;
 
         } catch (error) {
             console.warn('SaveManager: localStorage unavailable, using memory storage');
 
             // Fallback to in-memory storage
+            this.storageType = 'memory';
             return this._createMemoryStorage();
         }
     }
 
+    /**
+     * Open the IndexedDB backend and migrate localStorage saves into it once
+     * Falls back to localStorage if the database cannot be opened (e.g. private browsing)
+     */
+    async _openStorage() {
+        if (this.storageType !== 'indexedDB') {
+            return;
+        }
+
+        const indexedStorage = this.storage;
+
+        try {
+            await indexedStorage.open();
+        } catch (error) {
+            console.warn('SaveManager: IndexedDB failed to open, falling back:', error);
+
+            // Carry over anything written while the database was opening
+            this.storage = this._initializeFallbackStorage();
+            for (let i = 0; i < indexedStorage.length; i++) {
+                const key = indexedStorage.key(i);
+                this.storage.setItem(key, indexedStorage.getItem(key));
+            }
+            return;
+        }
+
+        try {
+            const localStorageAvailable = typeof localStorage !== 'undefined' && localStorage !== null;
+            if (localStorageAvailable) {
+                const result = await indexedStorage.migrateFrom(localStorage, this.storagePrefix);
+                if (!result.skipped) {
+                    console.log(`SaveManager: Migrated ${result.migrated} entries from localStorage to IndexedDB`);
+                }
+            }
+        } catch (error) {
+            // localStorage entries are left in place, so the migration is retried next start
+            console.error('SaveManager: localStorage migration failed:', error);
+        }
+
+        this._loadExistingCheckpoints();
+        await this._cleanupOldCheckpoints();
+        await this.refreshStorageEstimate();
+    }
+
+    /**
+     * Run storage writes as one transaction when the backend supports it
+     * @param {Function} work - Performs the setItem/removeItem calls
+     * @returns {Promise<void>} Resolves when the writes are durable
+     */
+    async _writeTransaction(work) {
+        if (typeof this.storage.transaction === 'function') {
+            await this.storage.transaction(work);
+        } else {
+            work(this.storage);
+        }
+    }
+
     /**
      * Create in-memory storage fallback
      * @returns {Object} Memory storage interface
@@ -1345,6 +1545,12 @@ class SaveManager {
 
         this.isSaving = true;
 
+        try {
+            await this.ready();
+        } catch (error) {
+            console.error('SaveManager: Storage failed to open:', error);
+        }
+
         while (this.saveQueue.length > 0) {
             const operation = this.saveQueue.shift();
 
@@ -1404,6 +1610,7 @@ class SaveManager {
             version: this._getCurrentVersion(),
             timestamp: Date.now(),
             checksum: await this._generateChecksum(data),
+            signature: await this._sign(data),
             data: data
         };
 
@@ -1439,7 +1646,7 @@ class SaveManager {
      */
     async _saveDirect(key, data) {
         try {
-            this.storage.setItem(this._getStorageKey(key), data);
+            await this._writeTransaction(() => this.storage.setItem(this._getStorageKey(key), data));
             this.stats.totalSaves++;
             return true;
         } catch (error) {
@@ -1459,15 +1666,6 @@ class SaveManager {
         try {
             const chunks = this._createChunks(data, this.maxChunkSize);
 
-            // Delete existing chunks first
-            this._deleteChunks(key);
-
-            // Save chunks
-            for (let i = 0; i < chunks.length; i++) {
-                const chunkKey = this._getChunkKey(key, i);
-                this.storage.setItem(chunkKey, chunks[i]);
-            }
-
             // Save metadata with chunk info
             const chunkMetadata = {
                 ...metadata,
@@ -1476,15 +1674,28 @@ class SaveManager {
                 totalSize: data.length
             };
 
-            this.storage.setItem(this._getStorageKey(key), JSON.stringify(chunkMetadata));
+            await this._writeTransaction(() => {
+                // Delete existing chunks first
+                this._deleteChunks(key);
+
+                // Save chunks
+                for (let i = 0; i < chunks.length; i++) {
+                    const chunkKey = this._getChunkKey(key, i);
+                    this.storage.setItem(chunkKey, chunks[i]);
+                }
+
+                this.storage.setItem(this._getStorageKey(key), JSON.stringify(chunkMetadata));
+            });
             this.stats.totalSaves++;
 
             return true;
 
         } catch (error) {
             console.error('SaveManager: Chunked save failed:', error);
-            // Clean up partial chunks on failure
-            this._deleteChunks(key);
+            // Clean up partial chunks on failure; a transactional backend has already rolled back
+            if (typeof this.storage.transaction !== 'function') {
+                this._deleteChunks(key);
+            }
             throw error;
         }
     }
@@ -1688,7 +1899,7 @@ class SaveManager {
             const existingData = this.storage.getItem(this._getStorageKey(key));
             if (existingData) {
                 const backupKey = this._getBackupKey(key);
-                this.storage.setItem(backupKey, existingData);
+                await this._writeTransaction(() => this.storage.setItem(backupKey, existingData));
                 return true;
             }
             return false;
@@ -1728,6 +1939,7 @@ class SaveManager {
                 if (backupData) {
                     console.log('SaveManager: Recovered from backup:', latestBackup);
                     const recoveredData = await this._loadDirect(backupData);
+                    await this._recordSignatureCheck(key, recoveredData);
                     return recoveredData.data;
                 }
             }
@@ -1794,15 +2006,12 @@ class SaveManager {
      * @returns {number} Storage quota in bytes
      */
     _getStorageQuota() {
-        try {
-            if ('storage' in navigator && 'estimate' in navigator.storage) {
-                return navigator.storage.estimate().then(estimate => estimate.quota || 0);
-            }
-            // Fallback estimate for localStorage (usually 5-10MB)
-            return 5 * 1024 * 1024;
-        } catch (error) {
-            return 0;
+        if (this.storageType === 'indexedDB') {
+            // Known once navigator.storage.estimate() has resolved, see refreshStorageEstimate()
+            return this.storageEstimate ? this.storageEstimate.quota : 0;
         }
+        // Fallback estimate for localStorage (usually 5-10MB)
+        return 5 * 1024 * 1024;
     }
 
     /**
@@ -1869,6 +2078,94 @@ class SaveManager {
         }
     }
 
+    /**
+     * Get this install's signing key, creating it on first use
+     * Kept in the save storage itself; see the constructor for what that does and does not protect
+     * @returns {Promise<string>} Hex-encoded key
+     */
+    async _getInstallKey() {
+        if (this.installKey) {
+            return this.installKey;
+        }
+
+        await this.ready();
+        const storageKey = this._getStorageKey(this.installKeyName);
+        let installKey = this.storage.getItem(storageKey);
+
+        if (!installKey) {
+            const bytes = new Uint8Array(32);
+            if (typeof crypto !== 'undefined' && crypto.getRandomValues) {
+                crypto.getRandomValues(bytes);
+            } else {
+                for (let i = 0; i < bytes.length; i++) {
+                    bytes[i] = Math.floor(Math.random() * 256);
+                }
+            }
+            installKey = Array.from(bytes).map(b => b.toString(16).padStart(2, '0')).join('');
+
+            await this._writeTransaction(() => this.storage.setItem(storageKey, installKey));
+            this.installKeyIsNew = true;
+            console.log('SaveManager: Created install signing key');
+        }
+
+        this.installKey = installKey;
+        return installKey;
+    }
+
+    /**
+     * Sign save data with the install key (HMAC-SHA256, keyed hash fallback)
+     * @param {Object} data - Data to sign
+     * @returns {Promise<string>} Signature
+     */
+    async _sign(data) {
+        const installKey = await this._getInstallKey();
+        const payload = SaveManager.canonicalJson(data);
+
+        if (typeof crypto !== 'undefined' && crypto.subtle) {
+            const encoder = new TextEncoder();
+            const cryptoKey = await crypto.subtle.importKey(
+                'raw', encoder.encode(installKey), { name: 'HMAC', hash: 'SHA-256' }, false, ['sign']
+            );
+            const signature = await crypto.subtle.sign('HMAC', cryptoKey, encoder.encode(payload));
+            return 'hmac-sha256:' + Array.from(new Uint8Array(signature)).map(b => b.toString(16).padStart(2, '0')).join('');
+        }
+
+        return 'keyed-hash:' + this._simpleHash(installKey + payload + installKey);
+    }
+
+    /**
+     * Check a save or export envelope's signature against the install key
+     * @param {Object} envelope - { data, signature }
+     * @returns {Promise<Object>} { status, expected, checkedAt }
+     */
+    async _verifySignature(envelope) {
+        await this._getInstallKey();
+
+        // An unsigned save is only suspicious once this install has been signing its saves
+        const result = { status: 'unsigned', expected: !this.installKeyIsNew, checkedAt: Date.now() };
+        if (!envelope || !envelope.signature) {
+            return result;
+        }
+
+        try {
+            result.status = envelope.signature === await this._sign(envelope.data) ? 'valid' : 'invalid';
+        } catch (error) {
+            console.error('SaveManager: Signature check error:', error);
+            result.status = 'invalid';
+        }
+        return result;
+    }
+
+    async _recordSignatureCheck(key, envelope) {
+        const check = await this._verifySignature(envelope);
+        this.integrity.set(key, check);
+
+        if (check.status !== 'valid') {
+            console.warn(`SaveManager: Save signature ${check.status} for`, key);
+        }
+        return check;
+    }
+
     /**
      * Compress data using built-in compression or fallback
      * @param {string} data - Data to compress
@@ -21,6 +21,12 @@ class TimeManager {
         // Event manager reference (will be injected)
         this._eventManager = null;
 
+        // Seasonal / limited-time events, checked on every update
+        this.eventCalendar = typeof EventCalendar !== 'undefined' ? new EventCalendar() : null;
+
+        // Timed jobs of the idle systems, finished as they come due
+        this.jobScheduler = typeof jobScheduler !== 'undefined' ? jobScheduler : null;
+
         // Visibility change handling
         this._setupVisibilityHandling();
 
@@ -76,6 +82,14 @@ class TimeManager {
             this._eventManager.emit('time:update', timeData);
         }
 
+        if (this.eventCalendar) {
+            this.eventCalendar.update(currentTime);
+        }
+
+        if (this.jobScheduler) {
+            this.jobScheduler.update(currentTime);
+        }
+
         return timeData;
     }
 
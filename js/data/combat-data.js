@@ -110,6 +110,17 @@ const COMBAT_STATUS_EFFECTS = {
     }
 };
 
+// Combat replay recording and sharing
+const COMBAT_REPLAY_CONFIG = {
+    version: 1,
+    maxReplays: 20, // Oldest replays are dropped past this
+    maxEvents: 400, // Recording stops here on very long fights; the result is still kept
+    recordSimulated: false, // Simulated fights run in bulk for balancing and auto-battle
+    exportPrefix: 'XWREPLAY1:',
+    playbackInterval: 1000, // Milliseconds per event at 1x speed
+    playbackSpeeds: [0.5, 1, 2, 4]
+};
+
 // Power calculation formulas
 const COMBAT_FORMULAS = {
     // Base power calculation from cultivation levels
@@ -256,9 +267,9 @@ const COMBAT_FORMULAS = {
         let baseDamage = (attackerPower - defenderPower * 0.3) * actionData.baseDamageMultiplier;
         baseDamage = Math.max(1, baseDamage); // Minimum 1 damage
 
-        // Critical hit
+        // Critical hit (skills can raise the multiplier)
         if (critical) {
-            baseDamage *= 2.0;
+            baseDamage *= 2.0 + (modifiers.critDamageBonus || 0);
         }
 
         // Apply modifiers
@@ -270,7 +281,7 @@ const COMBAT_FORMULAS = {
         }
 
         // Reduced randomness for better accuracy (±5%)
-        const randomFactor = 0.95 + (Math.random() * 0.1);
+        const randomFactor = 0.95 + (randomManager.random('combat') * 0.1);
 
         return Math.round(baseDamage * randomFactor);
     },
@@ -286,7 +297,7 @@ const COMBAT_FORMULAS = {
         }
 
         // Add randomness
-        total += Math.random() * 20;
+        total += randomManager.random('combat') * 20;
 
         return total;
     }
@@ -572,13 +583,28 @@ const TOURNAMENT_CONFIG = {
             id: 'double_elimination',
             name: 'Double Elimination',
             description: 'Participants must lose twice to be eliminated',
-            allowedParticipants: [8, 16, 32, 64]
+            allowedParticipants: [8, 16, 32, 64],
+            grandFinalReset: true // A losers bracket champion who wins the grand final forces a deciding rematch
         },
         ROUND_ROBIN: {
             id: 'round_robin',
             name: 'Round Robin',
-            description: 'Everyone fights everyone else',
-            allowedParticipants: [4, 6, 8, 12, 16]
+            description: 'Everyone fights everyone else in their group; group leaders meet in a knockout playoff',
+            allowedParticipants: [4, 6, 8, 12, 16],
+            groupSize: 4,
+            advancePerGroup: 2,
+            pointsPerWin: 3,
+            tieBreakers: ['headToHead', 'sonnebornBerger']
+        },
+        SWISS: {
+            id: 'swiss',
+            name: 'Swiss System',
+            description: 'Fighters with equal scores are paired each round; nobody is eliminated',
+            allowedParticipants: [8, 16, 32, 64],
+            rounds: null, // log2 of the field when null
+            pointsPerWin: 1,
+            pointsPerBye: 1,
+            tieBreakers: ['buchholz', 'sonnebornBerger']
         }
     }
 };
@@ -610,6 +636,38 @@ const RANKING_CONFIG = {
         MASTER: { jade: 4000, spiritCrystals: 200, title: 'Combat Master' },
         GRANDMASTER: { jade: 8000, spiritCrystals: 400, title: 'Combat Grandmaster' },
         LEGEND: { jade: 15000, spiritCrystals: 750, title: 'Legendary Fighter', technique: 'legend_exclusive' }
+    },
+
+    // Final league placement multiplies the tier rewards above
+    PLACEMENT_REWARDS: [
+        { maxRank: 1, multiplier: 2.0, title: 'League Champion' },
+        { maxRank: 3, multiplier: 1.6 },
+        { maxRank: 10, multiplier: 1.3 },
+        { maxPercentile: 0.5, multiplier: 1.0 },
+        { maxPercentile: 1.0, multiplier: 0.75 }
+    ],
+
+    // Simulated league of AI rivals built from COMBAT_OPPONENTS templates
+    LEAGUE: {
+        SIZE: 49, // Rivals, excluding the player
+        MATCH_INTERVAL: 60 * 60 * 1000, // One league round per hour
+        MAX_CATCHUP_ROUNDS: 24 * 7, // Offline simulation cap (one week)
+        K_FACTOR: 24,
+        SKILL_GROWTH: { min: 0, max: 3 }, // Hidden skill gained per round
+        COMPOSITION: {
+            weak: 0.35,
+            medium: 0.35,
+            strong: 0.22,
+            legendary: 0.08
+        },
+        RATING_BANDS: {
+            weak: { min: 700, max: 1100 },
+            medium: { min: 1000, max: 1450 },
+            strong: { min: 1350, max: 1900 },
+            legendary: { min: 1800, max: 2500 }
+        },
+        SURNAMES: ['Li', 'Wang', 'Zhang', 'Liu', 'Chen', 'Yang', 'Zhao', 'Huang', 'Zhou', 'Wu', 'Xu', 'Sun', 'Lin', 'Mo', 'Bai', 'Ye', 'Xiao', 'Long'],
+        GIVEN_NAMES: ['Wei', 'Feng', 'Yun', 'Jian', 'Lan', 'Hao', 'Mei', 'Chen', 'Xuan', 'Tian', 'Ling', 'Rui', 'Shan', 'Yu', 'Qing', 'Zhi', 'Han', 'Yue']
     }
 };
 
@@ -618,6 +676,7 @@ if (typeof module !== 'undefined' && module.exports) {
     module.exports = {
         COMBAT_ACTIONS,
         COMBAT_STATUS_EFFECTS,
+        COMBAT_REPLAY_CONFIG,
         COMBAT_FORMULAS,
         COMBAT_OPPONENTS,
         TOURNAMENT_CONFIG,
@@ -626,6 +685,7 @@ if (typeof module !== 'undefined' && module.exports) {
 } else if (typeof window !== 'undefined') {
     window.COMBAT_ACTIONS = COMBAT_ACTIONS;
     window.COMBAT_STATUS_EFFECTS = COMBAT_STATUS_EFFECTS;
+    window.COMBAT_REPLAY_CONFIG = COMBAT_REPLAY_CONFIG;
     window.COMBAT_FORMULAS = COMBAT_FORMULAS;
     window.COMBAT_OPPONENTS = COMBAT_OPPONENTS;
     window.TOURNAMENT_CONFIG = TOURNAMENT_CONFIG;
@@ -591,6 +591,152 @@ const CULTIVATION_ACHIEVEMENTS = {
     }
 };
 
+// Reincarnation (prestige) configuration
+const REINCARNATION_CONFIG = {
+    // Earliest realm from which a cultivator may reincarnate
+    minimumRealm: "Foundation Building",
+
+    // Dao Marks earned per realm reached (index in CULTIVATION_REALMS)
+    realmMarkBase: 10,
+    realmMarkGrowth: 1.8,
+
+    // Dao Marks earned per completed minor stage in the current realm
+    stageMarks: 2,
+
+    // Bonus Dao Marks per combined qi/body level above the minimum realm requirements
+    levelMarkRate: 0.05,
+
+    // Number of past lives kept in the history log
+    historyLimit: 20
+};
+
+// Permanent upgrade tree bought with Dao Marks
+const REINCARNATION_UPGRADES = {
+    "Dao Heart": {
+        id: "dao_heart",
+        description: "Every past life sharpens your comprehension of the Dao",
+        maxLevel: 25,
+        cost: { base: 5, multiplier: 1.35 },
+        effect: { type: "cultivationSpeed", perLevel: 0.10 },
+        requires: {}
+    },
+    "Meridian Memory": {
+        id: "meridian_memory",
+        description: "Your meridians remember the flow of qi from former lives",
+        maxLevel: 20,
+        cost: { base: 8, multiplier: 1.4 },
+        effect: { type: "qiSpeed", perLevel: 0.15 },
+        requires: { dao_heart: 3 }
+    },
+    "Tempered Bones": {
+        id: "tempered_bones",
+        description: "Bones tempered across lifetimes endure greater refinement",
+        maxLevel: 20,
+        cost: { base: 8, multiplier: 1.4 },
+        effect: { type: "bodySpeed", perLevel: 0.15 },
+        requires: { dao_heart: 3 }
+    },
+    "Harmony of Yin and Yang": {
+        id: "yin_yang_harmony",
+        description: "Dual cultivation flows naturally for a reborn soul",
+        maxLevel: 15,
+        cost: { base: 15, multiplier: 1.5 },
+        effect: { type: "dualSpeed", perLevel: 0.20 },
+        requires: { meridian_memory: 5, tempered_bones: 5 }
+    },
+    "Dreaming Cultivation": {
+        id: "dreaming_cultivation",
+        description: "Cultivation continues while your body rests",
+        maxLevel: 10,
+        cost: { base: 10, multiplier: 1.6 },
+        effect: { type: "offlineEfficiency", perLevel: 0.10 },
+        requires: { dao_heart: 5 }
+    },
+    "Inherited Fortune": {
+        id: "inherited_fortune",
+        description: "Begin each new life with spirit stones from a hidden cache",
+        maxLevel: 10,
+        cost: { base: 6, multiplier: 1.5 },
+        effect: { type: "startingSpiritStones", perLevel: 500 },
+        requires: {}
+    }
+};
+
+// Reincarnation formulas
+const REINCARNATION_FORMULAS = {
+    // Cost of the next level of an upgrade
+    upgradeCost: (upgrade, currentLevel) => {
+        return Math.floor(upgrade.cost.base * Math.pow(upgrade.cost.multiplier, currentLevel));
+    },
+
+    // Dao Marks awarded for giving up the given realm progress
+    daoMarks: (realmName, stage, qiLevel, bodyLevel) => {
+        const realmOrder = Object.keys(CULTIVATION_REALMS);
+        const realmIndex = realmOrder.indexOf(realmName);
+        const minimumIndex = realmOrder.indexOf(REINCARNATION_CONFIG.minimumRealm);
+
+        if (realmIndex < minimumIndex) {
+            return 0;
+        }
+
+        let marks = 0;
+        for (let i = minimumIndex; i <= realmIndex; i++) {
+            marks += REINCARNATION_CONFIG.realmMarkBase * Math.pow(REINCARNATION_CONFIG.realmMarkGrowth, i - minimumIndex);
+        }
+
+        marks += Math.max(0, stage - 1) * REINCARNATION_CONFIG.stageMarks;
+
+        const requirements = CULTIVATION_REALMS[realmName].requirements;
+        const surplusLevels = Math.max(0, qiLevel - (requirements.qi?.level || 0)) +
+            Math.max(0, bodyLevel - (requirements.body?.level || 0));
+        marks += surplusLevels * REINCARNATION_CONFIG.levelMarkRate;
+
+        return Math.floor(marks);
+    },
+
+    // Permanent multipliers from purchased upgrade levels (upgrade id -> level)
+    getMultipliers: (upgradeLevels = {}) => {
+        const multipliers = {
+            qi: 1.0,
+            body: 1.0,
+            dual: 1.0,
+            offlineEfficiency: 1.0,
+            startingSpiritStones: 0
+        };
+
+        Object.values(REINCARNATION_UPGRADES).forEach(upgrade => {
+            const level = upgradeLevels[upgrade.id] || 0;
+            if (level <= 0) return;
+
+            const value = upgrade.effect.perLevel * level;
+            switch (upgrade.effect.type) {
+                case 'cultivationSpeed':
+                    multipliers.qi *= 1 + value;
+                    multipliers.body *= 1 + value;
+                    multipliers.dual *= 1 + value;
+                    break;
+                case 'qiSpeed':
+                    multipliers.qi *= 1 + value;
+                    break;
+                case 'bodySpeed':
+                    multipliers.body *= 1 + value;
+                    break;
+                case 'dualSpeed':
+                    multipliers.dual *= 1 + value;
+                    break;
+                case 'offlineEfficiency':
+                    multipliers.offlineEfficiency *= 1 + value;
+                    break;
+                case 'startingSpiritStones':
+                    multipliers.startingSpiritStones += value;
+                    break;
+            }
+        });
+
+        return multipliers;
+    }
+};
+
 // Export all data structures
 if (typeof module !== 'undefined' && module.exports) {
     module.exports = {
@@ -599,7 +745,10 @@ if (typeof module !== 'undefined' && module.exports) {
         CULTIVATION_RESOURCES,
         CULTIVATION_FORMULAS,
         CULTIVATION_BOTTLENECKS,
-        CULTIVATION_ACHIEVEMENTS
+        CULTIVATION_ACHIEVEMENTS,
+        REINCARNATION_CONFIG,
+        REINCARNATION_UPGRADES,
+        REINCARNATION_FORMULAS
     };
 } else if (typeof window !== 'undefined') {
     window.CULTIVATION_REALMS = CULTIVATION_REALMS;
@@ -608,4 +757,7 @@ if (typeof module !== 'undefined' && module.exports) {
     window.CULTIVATION_FORMULAS = CULTIVATION_FORMULAS;
     window.CULTIVATION_BOTTLENECKS = CULTIVATION_BOTTLENECKS;
     window.CULTIVATION_ACHIEVEMENTS = CULTIVATION_ACHIEVEMENTS;
+    window.REINCARNATION_CONFIG = REINCARNATION_CONFIG;
+    window.REINCARNATION_UPGRADES = REINCARNATION_UPGRADES;
+    window.REINCARNATION_FORMULAS = REINCARNATION_FORMULAS;
 }
\ No newline at end of file
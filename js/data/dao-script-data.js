@@ -0,0 +1,160 @@
+/**
+ * Dao Script Data - Conditions, actions and realm unlocks for the automation rules engine
+ * A rule is { name, conditions: [{ metric, op, value, ...params }], action: { type, ...params }, cooldown }
+ * and fires its action when every condition holds (see DaoScriptEngine)
+ */
+
+const DAO_SCRIPT_CONFIG = {
+    evaluationInterval: 1000,                   // Rules are checked this often while playing (ms)
+    offlineEvaluationInterval: 5 * 60 * 1000,   // and this often across offline time (ms)
+    defaultCooldown: 30,                        // Seconds before a rule may fire again
+    minCooldown: 5,
+    maxConditions: 4,
+    maxNameLength: 32,
+    maxLogEntries: 50
+};
+
+const DAO_SCRIPT_OPERATORS = ['>=', '>', '<=', '<', '==', '!='];
+
+// Values a condition compares; params are the extra fields the condition must carry
+const DAO_SCRIPT_METRICS = {
+    path_progress: {
+        name: 'Path progress (%)',
+        description: 'Experience toward the next level of a cultivation path',
+        params: { path: ['qi', 'body', 'dual'] }
+    },
+    path_level: {
+        name: 'Path level',
+        description: 'Level of a cultivation path',
+        params: { path: ['qi', 'body', 'dual'] }
+    },
+    breakthrough_chance: {
+        name: 'Breakthrough stability (%)',
+        description: 'Chance the next path breakthrough succeeds',
+        params: {}
+    },
+    resource: {
+        name: 'Resource',
+        description: 'Amount of a player resource',
+        params: { resource: ['jade', 'spiritCrystals', 'shards', 'spiritStones'] }
+    },
+    material: {
+        name: 'Material',
+        description: 'Crafting material in storage',
+        params: { materialId: 'string' }
+    },
+    realm_ready: {
+        name: 'Realm breakthrough ready',
+        description: '1 when the next realm\'s requirements are met, otherwise 0',
+        params: {}
+    },
+    free_workbench_slots: {
+        name: 'Free workbench slots',
+        description: 'Idle slots on a crafting workbench',
+        params: { category: ['alchemy', 'smithing', 'inscription', 'cooking', 'enchanting'] }
+    },
+    quests_ready: {
+        name: 'Quests ready',
+        description: 'Active quests whose objective is met',
+        params: {}
+    },
+    minutes_since_shop_refresh: {
+        name: 'Minutes since shop refresh',
+        description: 'Time since a shop last restocked',
+        params: { shopId: 'string' }
+    },
+    state_value: {
+        name: 'State value',
+        description: 'Any numeric value in the save, by dot path',
+        params: { path: 'string' }
+    }
+};
+
+// offline: false marks actions the OfflineCalculator already simulates on its own
+const DAO_SCRIPT_ACTIONS = {
+    path_breakthrough: {
+        name: 'Attempt path breakthrough',
+        params: { path: ['qi', 'body', 'dual'] },
+        offline: false
+    },
+    realm_breakthrough: {
+        name: 'Attempt realm breakthrough',
+        params: {},
+        offline: false
+    },
+    craft: {
+        name: 'Craft',
+        params: { recipeId: 'string', quantity: 'integer' },
+        offline: true
+    },
+    complete_quests: {
+        name: 'Turn in ready quests',
+        params: {},
+        offline: true
+    },
+    refresh_shop: {
+        name: 'Refresh shop',
+        params: { shopId: 'string' },
+        offline: true
+    },
+    train_mount: {
+        name: 'Train mount',
+        params: { mountId: 'string' },
+        offline: true
+    },
+    fuse_runes: {
+        name: 'Fuse runes',
+        params: { runeId: 'string', quantity: 'integer' },
+        offline: true
+    },
+    expand_dantian: {
+        name: 'Expand dantian',
+        params: { centerType: ['lower', 'middle', 'upper'] },
+        offline: true
+    }
+};
+
+// Cumulative: reaching a realm grants its tier on top of every earlier one
+const DAO_SCRIPT_UNLOCKS = [
+    {
+        realm: 'Body Refinement',
+        maxRules: 1,
+        metrics: ['path_progress', 'path_level', 'breakthrough_chance', 'resource', 'material'],
+        actions: ['path_breakthrough', 'craft']
+    },
+    {
+        realm: 'Qi Gathering',
+        maxRules: 3,
+        metrics: ['realm_ready', 'free_workbench_slots', 'quests_ready'],
+        actions: ['realm_breakthrough', 'complete_quests']
+    },
+    {
+        realm: 'Foundation Building',
+        maxRules: 5,
+        metrics: ['minutes_since_shop_refresh'],
+        actions: ['refresh_shop', 'train_mount']
+    },
+    {
+        realm: 'Core Formation',
+        maxRules: 8,
+        metrics: [],
+        actions: ['fuse_runes', 'expand_dantian']
+    },
+    {
+        realm: 'Nascent Soul',
+        maxRules: 12,
+        metrics: ['state_value'],
+        actions: []
+    }
+];
+
+// Export for ES6 modules and global usage
+if (typeof module !== 'undefined' && module.exports) {
+    module.exports = { DAO_SCRIPT_CONFIG, DAO_SCRIPT_OPERATORS, DAO_SCRIPT_METRICS, DAO_SCRIPT_ACTIONS, DAO_SCRIPT_UNLOCKS };
+} else if (typeof window !== 'undefined') {
+    window.DAO_SCRIPT_CONFIG = DAO_SCRIPT_CONFIG;
+    window.DAO_SCRIPT_OPERATORS = DAO_SCRIPT_OPERATORS;
+    window.DAO_SCRIPT_METRICS = DAO_SCRIPT_METRICS;
+    window.DAO_SCRIPT_ACTIONS = DAO_SCRIPT_ACTIONS;
+    window.DAO_SCRIPT_UNLOCKS = DAO_SCRIPT_UNLOCKS;
+}
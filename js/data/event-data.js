@@ -0,0 +1,198 @@
+/**
+ * Event Data - Seasonal limited-time events run by the EventCalendar
+ * Each event opens a gacha banner, an event currency, event quests, a shop rotation and balance overrides
+ */
+
+// schedule: { type: 'annual', start: 'MM-DD', days } repeats every year from local midnight,
+// { type: 'fixed', startTime, endTime } runs once
+// balanceOverrides use the BalanceManager config shape and only last while the event runs
+const SEASONAL_EVENTS = {
+    lantern_festival: {
+        id: 'lantern_festival',
+        name: 'Lantern Festival',
+        description: 'Lanterns light the sect grounds and Qi flows freely through the night.',
+        schedule: { type: 'annual', start: '02-10', days: 14 },
+        banner: { pool: 'Event Limited' },
+        currency: {
+            id: 'lantern_tokens',
+            name: 'Lantern Tokens',
+            conversion: { spiritCrystals: 0.5 } // Per leftover token when the event ends
+        },
+        quests: ['event_moonlit_meditation', 'event_banner_pulls', 'event_offerings'],
+        shop: {
+            name: 'Lantern Market',
+            description: 'Festival wares, traded for Lantern Tokens',
+            items: [
+                {
+                    name: 'Spirit Essence',
+                    type: 'material',
+                    description: 'Essence distilled from lantern-lit spirit herbs',
+                    prices: { lantern_tokens: 40 },
+                    value: 60,
+                    stock: 10
+                },
+                {
+                    name: 'Lantern Qi Pill',
+                    type: 'consumable',
+                    description: 'Burns slowly, like a festival lantern',
+                    prices: { lantern_tokens: 80 },
+                    value: 120,
+                    stock: 5,
+                    effect: { qiMultiplier: 1.5, duration: 600000 }
+                },
+                {
+                    name: 'Lantern Light Sutra',
+                    type: 'scripture',
+                    scriptureType: 'qi',
+                    rarity: 3,
+                    description: 'A sutra read by lantern light',
+                    prices: { lantern_tokens: 300 },
+                    value: 500,
+                    stock: 1,
+                    stats: { damageMultiplier: 0.2 }
+                }
+            ]
+        },
+        balanceOverrides: {
+            progression: { cultivationSpeedMultiplier: 1.2 }
+        }
+    },
+
+    dragon_boat_festival: {
+        id: 'dragon_boat_festival',
+        name: 'Dragon Boat Festival',
+        description: 'Sects race their dragon boats and settle rivalries in the arena.',
+        schedule: { type: 'annual', start: '06-01', days: 10 },
+        banner: { pool: 'Event Limited' },
+        currency: {
+            id: 'dragon_scales',
+            name: 'Dragon Scales',
+            conversion: { jade: 2 }
+        },
+        quests: ['event_festival_duels', 'event_tempered_body', 'event_banner_pulls'],
+        shop: {
+            name: 'Riverside Stalls',
+            description: 'Racing prizes, traded for Dragon Scales',
+            items: [
+                {
+                    name: 'Dragon Scale',
+                    type: 'material',
+                    description: 'Shed by the river dragon that leads the race',
+                    prices: { dragon_scales: 60 },
+                    value: 90,
+                    stock: 5
+                },
+                {
+                    name: 'Rowing Stamina Pill',
+                    type: 'consumable',
+                    description: 'Keeps the body strong through the longest race',
+                    prices: { dragon_scales: 50 },
+                    value: 70,
+                    stock: 5,
+                    effect: { bodyMultiplier: 1.5, duration: 600000 }
+                },
+                {
+                    name: 'Dragon Oar Form',
+                    type: 'scripture',
+                    scriptureType: 'body',
+                    rarity: 3,
+                    description: 'The rowing strokes of champion crews, turned into a body technique',
+                    prices: { dragon_scales: 300 },
+                    value: 500,
+                    stock: 1,
+                    stats: { flatDamage: 25, damageReduction: 0.03 }
+                }
+            ]
+        },
+        balanceOverrides: {
+            progression: { cultivationSpeedMultiplier: 1.1 }
+        }
+    },
+
+    mid_autumn_festival: {
+        id: 'mid_autumn_festival',
+        name: 'Mid-Autumn Moon Gathering',
+        description: 'The full moon draws cultivators together to meditate under its light.',
+        schedule: { type: 'annual', start: '09-15', days: 14 },
+        banner: { pool: 'Event Limited' },
+        currency: {
+            id: 'mooncakes',
+            name: 'Mooncakes',
+            conversion: { spiritCrystals: 0.5 }
+        },
+        quests: ['event_moonlit_meditation', 'event_tempered_body', 'event_offerings'],
+        shop: {
+            name: 'Moon Pavilion',
+            description: 'Moon-blessed goods, traded for Mooncakes',
+            items: [
+                {
+                    name: 'Mystic Crystal',
+                    type: 'material',
+                    description: 'Clear as the autumn moon',
+                    prices: { mooncakes: 70 },
+                    value: 100,
+                    stock: 5
+                },
+                {
+                    name: 'Moonlight Dew',
+                    type: 'consumable',
+                    description: 'Collected from lotus leaves at midnight',
+                    prices: { mooncakes: 60 },
+                    value: 90,
+                    stock: 5,
+                    effect: { cultivationBoost: 1.3, duration: 900000 }
+                }
+            ]
+        },
+        balanceOverrides: {
+            progression: { cultivationSpeedMultiplier: 1.15 }
+        }
+    },
+
+    winter_solstice: {
+        id: 'winter_solstice',
+        name: 'Winter Solstice Trial',
+        description: 'The longest night tests every cultivator, and rewards those who endure.',
+        schedule: { type: 'annual', start: '12-20', days: 21 },
+        banner: { pool: 'Event Limited' },
+        currency: {
+            id: 'frost_sigils',
+            name: 'Frost Sigils',
+            conversion: { spiritCrystals: 0.75 }
+        },
+        quests: ['event_festival_duels', 'event_moonlit_meditation', 'event_banner_pulls'],
+        shop: {
+            name: 'Frozen Treasury',
+            description: 'Relics pulled from the ice, traded for Frost Sigils',
+            items: [
+                {
+                    name: 'Void Crystal',
+                    type: 'material',
+                    description: 'Forms only on the longest night',
+                    prices: { frost_sigils: 150 },
+                    value: 250,
+                    stock: 2
+                },
+                {
+                    name: 'Solstice Breakthrough Pill',
+                    type: 'consumable',
+                    description: 'Steadies the mind through a breakthrough',
+                    prices: { frost_sigils: 120 },
+                    value: 180,
+                    stock: 3,
+                    effect: { breakthroughBonus: 0.1, duration: 1800000 }
+                }
+            ]
+        },
+        balanceOverrides: {
+            progression: { experienceMultiplier: 0.9 } // Less experience needed per level
+        }
+    }
+};
+
+// Export for ES6 modules and global usage
+if (typeof module !== 'undefined' && module.exports) {
+    module.exports = { SEASONAL_EVENTS };
+} else if (typeof window !== 'undefined') {
+    window.SEASONAL_EVENTS = SEASONAL_EVENTS;
+}
@@ -0,0 +1,38 @@
+/**
+ * Job Data - Speed-up items for timed jobs run by the JobScheduler
+ * An item either cuts a fixed amount of time (reduction, ms) or a share of what is left (fraction)
+ */
+
+const JOB_SPEEDUP_ITEMS = {
+    minor_time_talisman: {
+        id: 'minor_time_talisman',
+        name: 'Minor Time Talisman',
+        description: 'Shortens a job by 5 minutes',
+        reduction: 5 * 60 * 1000
+    },
+    time_talisman: {
+        id: 'time_talisman',
+        name: 'Time Talisman',
+        description: 'Shortens a job by 30 minutes',
+        reduction: 30 * 60 * 1000
+    },
+    greater_time_talisman: {
+        id: 'greater_time_talisman',
+        name: 'Greater Time Talisman',
+        description: 'Shortens a job by 2 hours',
+        reduction: 2 * 60 * 60 * 1000
+    },
+    hourglass_of_stillness: {
+        id: 'hourglass_of_stillness',
+        name: 'Hourglass of Stillness',
+        description: 'Halves the time a job has left',
+        fraction: 0.5
+    }
+};
+
+// Export for ES6 modules and global usage
+if (typeof module !== 'undefined' && module.exports) {
+    module.exports = { JOB_SPEEDUP_ITEMS };
+} else if (typeof window !== 'undefined') {
+    window.JOB_SPEEDUP_ITEMS = JOB_SPEEDUP_ITEMS;
+}
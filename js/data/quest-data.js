@@ -318,6 +318,102 @@ const QUEST_TEMPLATES = {
                 tutorial: true
             }
         }
+    ],
+
+    // Only started by the EventCalendar for the events that list them (see event-data.js)
+    [QUEST_CATEGORIES.SPECIAL]: [
+        {
+            id: 'event_moonlit_meditation',
+            name: 'Moonlit Meditation',
+            description: 'Gather {target} Qi experience while the festival lanterns burn',
+            type: QUEST_TYPES.EVENT,
+            objective: {
+                type: OBJECTIVE_TYPES.GAIN_QI_EXP,
+                target: [2000, 5000, 10000, 25000],
+                current: 0
+            },
+            rewards: {
+                jade: [100, 200, 400, 800],
+                eventCurrency: [30, 60, 100, 160]
+            },
+            requirements: {
+                minLevel: 0
+            }
+        },
+        {
+            id: 'event_tempered_body',
+            name: 'Festival Tempering',
+            description: 'Gain {target} body cultivation experience during the festival',
+            type: QUEST_TYPES.EVENT,
+            objective: {
+                type: OBJECTIVE_TYPES.GAIN_BODY_EXP,
+                target: [2000, 5000, 10000, 25000],
+                current: 0
+            },
+            rewards: {
+                jade: [100, 200, 400, 800],
+                eventCurrency: [30, 60, 100, 160]
+            },
+            requirements: {
+                minLevel: 0
+            }
+        },
+        {
+            id: 'event_banner_pulls',
+            name: 'Festival Fortunes',
+            description: 'Perform {target} scripture pulls',
+            type: QUEST_TYPES.EVENT,
+            objective: {
+                type: OBJECTIVE_TYPES.GACHA_PULLS,
+                target: [3, 5, 10, 20],
+                current: 0
+            },
+            rewards: {
+                jade: [50, 100, 200, 400],
+                spiritCrystals: [20, 40, 80, 150],
+                eventCurrency: [40, 80, 120, 200]
+            },
+            requirements: {
+                minLevel: 0
+            }
+        },
+        {
+            id: 'event_festival_duels',
+            name: 'Festival Duels',
+            description: 'Win {target} duels in the festival arena',
+            type: QUEST_TYPES.EVENT,
+            objective: {
+                type: OBJECTIVE_TYPES.WIN_DUELS,
+                target: [3, 5, 10, 15],
+                current: 0
+            },
+            rewards: {
+                jade: [150, 300, 600, 1200],
+                eventCurrency: [40, 80, 120, 200]
+            },
+            requirements: {
+                minLevel: 5
+            }
+        },
+        {
+            id: 'event_offerings',
+            name: 'Festival Offerings',
+            description: 'Collect {target} jade to offer at the shrine',
+            type: QUEST_TYPES.EVENT,
+            objective: {
+                type: OBJECTIVE_TYPES.COLLECT_JADE,
+                target: [1000, 2500, 5000, 10000],
+                current: 0
+            },
+            rewards: {
+                jade: [50, 100, 200, 400],
+                spiritCrystals: [20, 40, 80, 150],
+                eventCurrency: [30, 60, 100, 160]
+            },
+            requirements: {
+                minLevel: 0
+            }
+        }
     ]
 };
 
@@ -844,6 +844,33 @@ const SCRIPTURE_SETS = {
     }
 };
 
+// What ScriptureManager.autoEquip can optimize a loadout for
+const SCRIPTURE_LOADOUT_OBJECTIVES = {
+    qiRate: {
+        id: "qiRate",
+        name: "Qi Cultivation Rate",
+        description: "Fastest qi cultivation: qi bonus and cultivation speed"
+    },
+    bodyPower: {
+        id: "bodyPower",
+        name: "Body Cultivation",
+        description: "Fastest body tempering: body bonus and cultivation speed"
+    },
+    combatPower: {
+        id: "combatPower",
+        name: "Combat Power",
+        description: "Highest combat power: the PowerCalculator rating without scriptures plus scripture and set power"
+    }
+};
+
+// What a saved scripture loadout preset is meant for
+const SCRIPTURE_PRESET_PURPOSES = {
+    cultivation: { id: "cultivation", name: "Cultivation" },
+    pvp: { id: "pvp", name: "PvP" },
+    tournament: { id: "tournament", name: "Tournament" },
+    custom: { id: "custom", name: "Custom" }
+};
+
 // Enhancement formulas and mechanics
 const ENHANCEMENT_FORMULAS = {
     // Calculate enhancement cost
@@ -942,6 +969,8 @@ if (typeof module !== 'undefined' && module.exports) {
         SCRIPTURE_DATABASE,
         GACHA_POOLS,
         SCRIPTURE_SETS,
+        SCRIPTURE_LOADOUT_OBJECTIVES,
+        SCRIPTURE_PRESET_PURPOSES,
         ENHANCEMENT_FORMULAS
     };
 } else if (typeof window !== 'undefined') {
@@ -950,5 +979,7 @@ if (typeof module !== 'undefined' && module.exports) {
     window.SCRIPTURE_DATABASE = SCRIPTURE_DATABASE;
     window.GACHA_POOLS = GACHA_POOLS;
     window.SCRIPTURE_SETS = SCRIPTURE_SETS;
+    window.SCRIPTURE_LOADOUT_OBJECTIVES = SCRIPTURE_LOADOUT_OBJECTIVES;
+    window.SCRIPTURE_PRESET_PURPOSES = SCRIPTURE_PRESET_PURPOSES;
     window.ENHANCEMENT_FORMULAS = ENHANCEMENT_FORMULAS;
 }
\ No newline at end of file
@@ -5,8 +5,9 @@
 
 // Sect role hierarchy with permissions and benefits
 const SECT_ROLES = {
-    "Sect Master": {
+    "sect_master": {
         id: "sect_master",
+        name: "Sect Master",
         level: 5,
         maxMembers: 1,
         permissions: [
@@ -34,8 +35,9 @@ const SECT_ROLES = {
             founder: true
         }
     },
-    "Elder": {
+    "elder": {
         id: "elder",
+        name: "Elder",
         level: 4,
         maxMembers: 5,
         permissions: [
@@ -60,8 +62,9 @@ const SECT_ROLES = {
             timeInSect: 7 * 24 * 60 * 60 * 1000 // 7 days
         }
     },
-    "Core Disciple": {
+    "core_disciple": {
         id: "core_disciple",
+        name: "Core Disciple",
         level: 3,
         maxMembers: 20,
         permissions: [
@@ -83,8 +86,9 @@ const SECT_ROLES = {
             timeInSect: 3 * 24 * 60 * 60 * 1000 // 3 days
         }
     },
-    "Outer Disciple": {
+    "outer_disciple": {
         id: "outer_disciple",
+        name: "Outer Disciple",
         level: 2,
         maxMembers: 100,
         permissions: [
@@ -105,8 +109,9 @@ const SECT_ROLES = {
             timeInSect: 0
         }
     },
-    "Probationary Disciple": {
+    "probationary": {
         id: "probationary",
+        name: "Probationary Disciple",
         level: 1,
         maxMembers: 50,
         permissions: [
@@ -130,8 +135,9 @@ const SECT_ROLES = {
 
 // Sect types with different focuses and bonuses
 const SECT_TYPES = {
-    "Orthodox Sect": {
+    "orthodox": {
         id: "orthodox",
+        name: "Orthodox Sect",
         description: "Traditional cultivation sect focused on balanced progression",
         maxMembers: 200,
         foundingCost: {
@@ -151,8 +157,9 @@ const SECT_TYPES = {
             optional: ["library", "alchemy_lab", "training_grounds", "treasury"]
         }
     },
-    "Demonic Sect": {
+    "demonic": {
         id: "demonic",
+        name: "Demonic Sect",
         description: "Aggressive sect focused on power and conquest",
         maxMembers: 150,
         foundingCost: {
@@ -172,8 +179,9 @@ const SECT_TYPES = {
             optional: ["torture_chambers", "demon_altar", "blood_pool", "arsenal"]
         }
     },
-    "Righteous Alliance": {
+    "righteous": {
         id: "righteous",
+        name: "Righteous Alliance",
         description: "Cooperative alliance focused on justice and protection",
         maxMembers: 300,
         foundingCost: {
@@ -193,8 +201,9 @@ const SECT_TYPES = {
             optional: ["shrine", "meditation_garden", "academy", "guest_quarters"]
         }
     },
-    "Merchant Guild": {
+    "merchant": {
         id: "merchant",
+        name: "Merchant Guild",
         description: "Commerce-focused organization emphasizing trade and wealth",
         maxMembers: 250,
         foundingCost: {
@@ -214,8 +223,9 @@ const SECT_TYPES = {
             optional: ["marketplace", "caravan_station", "bank", "auction_house"]
         }
     },
-    "Hermit Sect": {
+    "hermit": {
         id: "hermit",
+        name: "Hermit Sect",
         description: "Secluded sect focused on personal enlightenment",
         maxMembers: 50,
         foundingCost: {
@@ -779,6 +789,288 @@ const SECT_ACHIEVEMENTS = {
     }
 };
 
+// Procedurally generated NPC disciples who fill each sect's roster
+const SECT_NPC_DISCIPLES = {
+    surnames: [
+        "Li", "Wang", "Zhang", "Chen", "Liu", "Yang", "Zhao", "Huang", "Zhou", "Wu",
+        "Xu", "Sun", "Ma", "Zhu", "Hu", "Lin", "Guo", "He", "Gao", "Luo",
+        "Ye", "Bai", "Mo", "Han", "Xiao", "Shen", "Qin", "Lu", "Su", "Yan"
+    ],
+    givenNames: [
+        "Wei", "Feng", "Yun", "Jian", "Hao", "Lan", "Mei", "Chen", "Xuan", "Ling",
+        "Yi", "Tian", "Rui", "Shan", "Qing", "Bo", "Jing", "Xin", "Lei", "Ming",
+        "Yu", "Hua", "Zhen", "Long", "Xue", "Fei", "Han", "Kai", "Ning", "Shuang"
+    ],
+
+    // Disciples a new sect starts with, by role; a sect without a master also gets one
+    initialRoster: {
+        elder: 1,
+        core_disciple: 2,
+        outer_disciple: 5,
+        probationary: 4
+    },
+
+    // Cultivation level range disciples of each role are generated with
+    levelRanges: {
+        sect_master: { min: 120, max: 650 },
+        elder: { min: 75, max: 320 },
+        core_disciple: { min: 50, max: 160 },
+        outer_disciple: { min: 10, max: 60 },
+        probationary: { min: 0, max: 15 }
+    },
+
+    // Days in the sect a generated disciple of each role has already served
+    tenureDays: {
+        sect_master: { min: 60, max: 365 },
+        elder: { min: 30, max: 200 },
+        core_disciple: { min: 7, max: 90 },
+        outer_disciple: { min: 1, max: 30 },
+        probationary: { min: 0, max: 3 }
+    },
+
+    // Loyalty runs from 0 to 100; disciples drift toward the sect's pull and leave below departureThreshold
+    loyalty: {
+        initial: { min: 45, max: 85 },
+        basePull: 55,
+        pullPerCohesion: 0.5,
+        maxPull: 90,
+        driftPerHour: 0.5,
+        activityGain: 4,
+        donationGain: 0.5,
+        promotionGain: 10,
+        departureThreshold: 15,
+        departureChancePerHour: 0.05
+    },
+
+    // Roster growth; the target size scales with sect level and prestige up to the sect's capacity
+    growth: {
+        baseRosterSize: 20,
+        rosterSizePerLevel: 6,
+        rosterSizePerPrestige: 0.01,
+        recruitChancePerHour: 0.05,
+        invitationRecruitMultiplier: 0.5,
+        levelsPerHour: { min: 0.05, max: 0.6 },
+        bodyLevelRatio: { min: 0.6, max: 1.0 }
+    },
+
+    // Treasury donations, rolled per disciple per hour and scaled by loyalty
+    donations: {
+        chancePerHour: 0.1,
+        jadePerLevel: 3,
+        minJade: 10,
+        crystalChance: 0.25,
+        crystalsPerLevel: 0.2
+    },
+
+    // Chance for each eligible disciple to join an activity when it starts, scaled by loyalty
+    activityJoinChance: 0.7,
+
+    // Contribution a disciple earns for each completed activity
+    activityContribution: 25,
+
+    // Share of disciples seen online each simulated hour
+    onlineChance: 0.3,
+
+    // Offline catch-up stops after this much simulated time
+    maxCatchUpHours: 24 * 7
+};
+
+// World map of regions sects fight over, laid out as a hex grid in axial (q, r) coordinates
+const SECT_TERRITORIES = {
+    // Region kinds: hourly treasury yield and the bonus the holding sect's members receive
+    types: {
+        spirit_vein: {
+            id: "spirit_vein",
+            name: "Spirit Vein",
+            yields: { spiritCrystals: 6 },
+            bonuses: { cultivationSpeed: 0.03 }
+        },
+        mountain: {
+            id: "mountain",
+            name: "Mountain",
+            yields: { jade: 40 },
+            bonuses: { combatPower: 0.02 }
+        },
+        forest: {
+            id: "forest",
+            name: "Spirit Forest",
+            yields: { jade: 25, spiritCrystals: 1 },
+            bonuses: { resourceGeneration: 0.02 }
+        },
+        lake: {
+            id: "lake",
+            name: "Spirit Lake",
+            yields: { jade: 60 },
+            bonuses: { resourceGeneration: 0.03 }
+        },
+        ruins: {
+            id: "ruins",
+            name: "Ancient Ruins",
+            yields: { jade: 10, spiritCrystals: 2 },
+            bonuses: { breakthroughChance: 0.01 }
+        }
+    },
+
+    // Richness multiplies both the yields and the bonuses of a region
+    regions: {
+        "frostcrown_peak": { id: "frostcrown_peak", name: "Frostcrown Peak", type: "mountain", q: 0, r: -2, richness: 1.0 },
+        "azure_summit": { id: "azure_summit", name: "Azure Cloud Summit", type: "mountain", q: 1, r: -2, richness: 1.2 },
+        "heavenpiercer_ridge": { id: "heavenpiercer_ridge", name: "Heavenpiercer Ridge", type: "mountain", q: 2, r: -2, richness: 1.0 },
+        "whispering_pines": { id: "whispering_pines", name: "Whispering Pines", type: "forest", q: -1, r: -1, richness: 1.0 },
+        "moonwell_vein": { id: "moonwell_vein", name: "Moonwell Vein", type: "spirit_vein", q: 0, r: -1, richness: 1.0 },
+        "cloudsea_terraces": { id: "cloudsea_terraces", name: "Cloudsea Terraces", type: "forest", q: 1, r: -1, richness: 1.2 },
+        "thunderclap_cliffs": { id: "thunderclap_cliffs", name: "Thunderclap Cliffs", type: "mountain", q: 2, r: -1, richness: 1.1 },
+        "blood_lotus_marsh": { id: "blood_lotus_marsh", name: "Blood Lotus Marsh", type: "lake", q: -2, r: 0, richness: 1.0 },
+        "sunken_jade_vein": { id: "sunken_jade_vein", name: "Sunken Jade Vein", type: "spirit_vein", q: -1, r: 0, richness: 1.0 },
+        "dragon_heart_vein": { id: "dragon_heart_vein", name: "Heart of the Dragon Vein", type: "spirit_vein", q: 0, r: 0, richness: 2.0 },
+        "crimson_ember_vein": { id: "crimson_ember_vein", name: "Crimson Ember Vein", type: "spirit_vein", q: 1, r: 0, richness: 1.1 },
+        "silverstream_lake": { id: "silverstream_lake", name: "Silverstream Lake", type: "lake", q: 2, r: 0, richness: 1.0 },
+        "ashen_wastes": { id: "ashen_wastes", name: "Ashen Wastes", type: "ruins", q: -2, r: 1, richness: 1.0 },
+        "nine_serpent_valley": { id: "nine_serpent_valley", name: "Nine Serpent Valley", type: "forest", q: -1, r: 1, richness: 1.1 },
+        "fallen_immortal_ruins": { id: "fallen_immortal_ruins", name: "Fallen Immortal Ruins", type: "ruins", q: 0, r: 1, richness: 1.5 },
+        "jadeleaf_forest": { id: "jadeleaf_forest", name: "Jadeleaf Forest", type: "forest", q: 1, r: 1, richness: 1.0 },
+        "withered_bone_hills": { id: "withered_bone_hills", name: "Withered Bone Hills", type: "mountain", q: -2, r: 2, richness: 0.9 },
+        "misty_lotus_lake": { id: "misty_lotus_lake", name: "Misty Lotus Lake", type: "lake", q: -1, r: 2, richness: 1.2 },
+        "golden_sand_delta": { id: "golden_sand_delta", name: "Golden Sand Delta", type: "lake", q: 0, r: 2, richness: 1.1 }
+    },
+
+    // NPC sects seeded into the sect registry with the regions they start with
+    rivalSects: [
+        {
+            id: "sect_rival_azure_cloud",
+            name: "Azure Cloud Sect",
+            type: "orthodox",
+            description: "An ancient orthodox sect whose halls sit above the clouds of the northern peaks",
+            level: 3,
+            prestige: 4000,
+            homeRegions: ["azure_summit", "heavenpiercer_ridge"]
+        },
+        {
+            id: "sect_rival_blood_lotus",
+            name: "Blood Lotus Sect",
+            type: "demonic",
+            description: "Demonic cultivators who draw power from the crimson marshes of the west",
+            level: 3,
+            prestige: 3500,
+            homeRegions: ["blood_lotus_marsh", "ashen_wastes"]
+        },
+        {
+            id: "sect_rival_golden_abacus",
+            name: "Golden Abacus Pavilion",
+            type: "merchant",
+            description: "A merchant sect controlling the trade routes of the southern delta",
+            level: 2,
+            prestige: 2500,
+            homeRegions: ["golden_sand_delta", "misty_lotus_lake"]
+        },
+        {
+            id: "sect_rival_heavenly_sword",
+            name: "Heavenly Sword Sect",
+            type: "righteous",
+            description: "Righteous sword cultivators guarding the eastern cliffs",
+            level: 2,
+            prestige: 3000,
+            homeRegions: ["thunderclap_cliffs", "silverstream_lake"]
+        }
+    ],
+
+    // Unclaimed regions bordering a sect's holdings can be settled for this price
+    claimCost: { jade: 20000, spiritCrystals: 1000 },
+
+    // Regions a newly founded sect settles for free, picked from the pool while any of it is unclaimed
+    startingRegions: 1,
+    startingRegionPool: [
+        "moonwell_vein", "sunken_jade_vein", "crimson_ember_vein", "nine_serpent_valley",
+        "cloudsea_terraces", "jadeleaf_forest", "whispering_pines", "frostcrown_peak"
+    ],
+
+    // Chance per day for an NPC sect to settle an unclaimed neighbouring region
+    npcClaimChancePerDay: 0.1,
+
+    // Territory income is paid per full hour held, catching up at most this many hours
+    maxIncomeHours: 24 * 7
+};
+
+// Battle rounds that decide a sect war once it starts
+const SECT_WAR_RESOLUTION = {
+    // One battle a day; a war without a rout ends after its last round
+    roundInterval: 24 * 60 * 60 * 1000,
+
+    // Fighting intensity of each war phase; scales points, casualties and morale swings
+    phaseIntensity: {
+        "Preparation": 0.5,
+        "Skirmishes": 1.0,
+        "Final Battle": 1.5
+    },
+
+    // Share of each rank sent to the front every round
+    fieldedShare: {
+        sect_master: 1.0,
+        elder: 1.0,
+        core_disciple: 0.9,
+        outer_disciple: 0.7,
+        probationary: 0.4
+    },
+
+    // Battle rolls swing this far either side of a side's strength
+    rollVariance: 0.25,
+
+    // Facility benefits that count in war, multiplied by the listed weight
+    facilityEffects: {
+        combatSkillGain: { effect: "strength", weight: 0.4 },
+        sparringBonuses: { effect: "strength", weight: 0.2 },
+        injuryReduction: { effect: "casualties", weight: 1.0 },
+        pillEfficiency: { effect: "recovery", weight: 1.0 },
+        administrationEfficiency: { effect: "morale", weight: 5 },
+        resourceSecurity: { effect: "reparations", weight: 0.5 }
+    },
+
+    // Allies bound by defenseMutualAid send this share of their strength
+    allyAidShare: 0.25,
+
+    // Attacker bonus from sect type combatPower, defender bonus from defenseBonus
+    typeBonuses: {
+        aggressor: "combatPower",
+        defender: "defenseBonus"
+    },
+
+    morale: {
+        initial: 60,
+        perCohesion: 0.2,
+        roundWon: 6,
+        roundLost: 10,
+        perCasualty: 1.5,
+        routThreshold: 15,
+        lowStrength: 0.5
+    },
+
+    // Share of the fielded force lost each round, before intensity and the battle margin
+    casualties: {
+        loserRate: 0.12,
+        winnerRate: 0.04,
+        deathChance: 0.2,
+        woundedRounds: 2
+    },
+
+    // Strength a unit of donated resources adds to the next battle
+    warEffort: {
+        jade: 0.1,
+        spiritCrystals: 2
+    },
+
+    // Peace offers are accepted once the enemy's morale falls this low or its score trails
+    peaceAcceptanceMorale: 40,
+
+    // Terms imposed on the loser
+    terms: {
+        reparationsShare: { victory: 0.15, surrender: 0.1, peace: 0 },
+        truceDuration: 30 * 24 * 60 * 60 * 1000
+    },
+
+    // Finished war reports kept
+    maxReports: 20
+};
+
 // Sect data exported via window object below for browser compatibility
 
 // Global window exports for non-module environments
@@ -790,4 +1082,7 @@ if (typeof window !== 'undefined') {
     window.COMPETITION_EVENTS = COMPETITION_EVENTS;
     window.DIPLOMACY_RELATIONS = DIPLOMACY_RELATIONS;
     window.SECT_ACHIEVEMENTS = SECT_ACHIEVEMENTS;
+    window.SECT_NPC_DISCIPLES = SECT_NPC_DISCIPLES;
+    window.SECT_TERRITORIES = SECT_TERRITORIES;
+    window.SECT_WAR_RESOLUTION = SECT_WAR_RESOLUTION;
 }
\ No newline at end of file
@@ -424,6 +424,77 @@ const SKILL_DEFINITIONS = {
         },
         icon: '☯️',
         tags: ['passive', 'universal', 'transcendent']
+    },
+
+    // === EVOLVED SKILLS ===
+    // Reached only by evolving their source skill (see SKILL_EVOLUTIONS)
+
+    advanced_strike: {
+        id: 'advanced_strike',
+        name: 'Advanced Strike',
+        category: 'combat',
+        rarity: 'uncommon',
+        description: 'A refined strike that finds gaps in any guard',
+        maxLevel: 8,
+        evolvedFrom: 'basic_strike',
+        effects: {
+            combat: {
+                flatDamage: { base: 12, perLevel: 5 },
+                attackSpeed: { base: 0.04, perLevel: 0.01 },
+                criticalChance: { base: 0.03, perLevel: 0.01 }
+            }
+        },
+        costs: {
+            fragments: { base: 25, perLevel: 5 },
+            skillPoints: { base: 2, perLevel: 2 }
+        },
+        icon: '🥊',
+        tags: ['active', 'damage', 'evolved']
+    },
+
+    perfect_qi_circulation: {
+        id: 'perfect_qi_circulation',
+        name: 'Perfect Qi Circulation',
+        category: 'cultivation',
+        rarity: 'rare',
+        description: 'Qi flows through every meridian without loss',
+        maxLevel: 10,
+        evolvedFrom: 'qi_flow_enhancement',
+        effects: {
+            cultivation: {
+                qiSpeedMultiplier: { base: 0.20, perLevel: 0.05 },
+                qiEfficiency: { base: 0.05, perLevel: 0.02 }
+            }
+        },
+        costs: {
+            fragments: { base: 50, perLevel: 8 },
+            skillPoints: { base: 3, perLevel: 3 }
+        },
+        icon: '🌀',
+        tags: ['passive', 'qi', 'speed', 'evolved']
+    },
+
+    enlightened_meditation: {
+        id: 'enlightened_meditation',
+        name: 'Enlightened Meditation',
+        category: 'cultivation',
+        rarity: 'epic',
+        description: 'Meditation that touches the edge of the Dao itself',
+        maxLevel: 12,
+        evolvedFrom: 'meditation_mastery',
+        effects: {
+            cultivation: {
+                meditationDuration: { base: 1.5, perLevel: 0.1 },
+                meditationPower: { base: 1.35, perLevel: 0.05 },
+                breakthroughBonus: { base: 0.05, perLevel: 0.01 }
+            }
+        },
+        costs: {
+            fragments: { base: 100, perLevel: 12 },
+            skillPoints: { base: 5, perLevel: 4 }
+        },
+        icon: '🪷',
+        tags: ['active', 'meditation', 'enhancement', 'evolved']
     }
 };
 
@@ -515,7 +586,8 @@ const SKILL_EVOLUTIONS = {
             requirements: {
                 level: 5,
                 realm: 'foundation',
-                conditions: ['win_10_combats']
+                conditions: ['win_10_combats'],
+                materials: { fragments: 30, jade: 500 }
             }
         },
         {
@@ -524,7 +596,8 @@ const SKILL_EVOLUTIONS = {
                 level: 5,
                 realm: 'core_formation',
                 skills: ['qi_flow_enhancement'],
-                attributes: { qi: 50 }
+                attributes: { qi: 50 },
+                materials: { fragments: 50, jade: 1500 }
             }
         }
     ],
@@ -535,7 +608,8 @@ const SKILL_EVOLUTIONS = {
             requirements: {
                 level: 5,
                 realm: 'core_formation',
-                skills: ['meditation_mastery']
+                skills: ['meditation_mastery'],
+                materials: { fragments: 60, jade: 2000 }
             }
         }
     ],
@@ -546,12 +620,60 @@ const SKILL_EVOLUTIONS = {
             requirements: {
                 level: 8,
                 realm: 'nascent_soul',
-                conditions: ['complete_100_meditations']
+                conditions: ['complete_100_meditations'],
+                materials: { fragments: 120, spiritCrystals: 20 }
             }
         }
     ]
 };
 
+// Evolution conditions - 'win_10_combats' reads as condition 'win_combats' with a count of 10,
+// checked against a progress counter the skill system keeps
+const SKILL_EVOLUTION_CONDITIONS = {
+    win_combats: {
+        counter: 'combatWins',
+        label: 'Win {count} combat matches'
+    },
+    complete_meditations: {
+        counter: 'meditations',
+        label: 'Complete {count} group meditations'
+    }
+};
+
+// Materials an evolution can consume, and where the player's stock is kept
+const SKILL_EVOLUTION_MATERIALS = {
+    fragments: { name: 'Skill Fragments', path: 'skills.fragments' },
+    skillPoints: { name: 'Skill Points', path: 'skills.skillPoints' },
+    jade: { name: 'Jade', path: 'player.jade' },
+    spiritCrystals: { name: 'Spirit Crystals', path: 'player.spiritCrystals' }
+};
+
+// Skill realm IDs mapped to cultivation realm names
+const SKILL_REALMS = {
+    body_refinement: 'Body Refinement',
+    foundation: 'Foundation Building',
+    core_formation: 'Core Formation',
+    nascent_soul: 'Nascent Soul',
+    soul_transformation: 'Soul Transformation',
+    void_refinement: 'Void Refining'
+};
+
+// How combat skill effects become combat modifiers
+// add: summed into the modifier; multiply: applied as (1 + value)
+// power: share of core power (base + scriptures + equipment) per point, or flatPower per point
+const SKILL_COMBAT_EFFECTS = {
+    flatDamage: { modifier: 'flatDamageBonus', mode: 'add', flatPower: 2 },
+    damageBonus: { modifier: 'damageMultiplier', mode: 'multiply', power: 1.0 },
+    elementalBonus: { modifier: 'damageMultiplier', mode: 'multiply', power: 0.5 },
+    criticalChance: { modifier: 'critChanceBonus', mode: 'add', power: 1.0 },
+    criticalDamage: { modifier: 'critDamageBonus', mode: 'add', power: 0.1 },
+    attackSpeed: { modifier: 'initiativeBonus', mode: 'add', scale: 100, power: 0.5 },
+    damageReduction: { modifier: 'damageReduction', mode: 'add', power: 0.5 },
+    healthBonus: { modifier: 'healthMultiplier', mode: 'multiply', power: 0.5 },
+    survivalBonus: { modifier: 'healthMultiplier', mode: 'multiply', power: 0.5 },
+    stunChance: { modifier: 'stunChance', mode: 'add', power: 0.5 }
+};
+
 // Skill Acquisition Methods and Rates
 const SKILL_ACQUISITION = {
     // Fragment drop rates by activity
@@ -640,6 +762,10 @@ if (typeof window !== 'undefined') {
         SKILL_DEFINITIONS,
         SKILL_SYNERGIES,
         SKILL_EVOLUTIONS,
+        SKILL_EVOLUTION_CONDITIONS,
+        SKILL_EVOLUTION_MATERIALS,
+        SKILL_REALMS,
+        SKILL_COMBAT_EFFECTS,
         SKILL_ACQUISITION,
         BALANCE_CONFIG
     };
@@ -653,6 +779,10 @@ if (typeof module !== 'undefined' && module.exports) {
         SKILL_DEFINITIONS,
         SKILL_SYNERGIES,
         SKILL_EVOLUTIONS,
+        SKILL_EVOLUTION_CONDITIONS,
+        SKILL_EVOLUTION_MATERIALS,
+        SKILL_REALMS,
+        SKILL_COMBAT_EFFECTS,
         SKILL_ACQUISITION,
         BALANCE_CONFIG
     };
@@ -13,6 +13,7 @@ class IdleCultivationGame {
         this.gameState = null;
         this.timeManager = null;
         this.gameLoop = null;
+        this.daoScriptEngine = null;
         this.moduleManager = null;
         this.progressiveLoader = null;
         this.loadingProgress = null;
@@ -24,7 +25,10 @@ this.errorAnalytics = null;        this.errorDashboard = null;
             enableHotReload: false,
             autoSave: true,
             gameTickRate: 10,
-            maxOfflineHours: 24
+            maxOfflineHours: 24,
+            rngSeed: null, // Force a master RNG seed (bug reproduction)
+            actionJournal: false, // Record player commands for replay (bug reproduction)
+            contentPackManifest: 'content/packs/manifest.json' // null to run with built-in content only
         };
 
         // Bind methods
@@ -295,6 +299,21 @@ this.errorAnalytics = null;        this.errorDashboard = null;
             console.log('🔧 SaveManager integrated with GameState');
         }
 
+        // Point GameState at the active character profile's save before loading it
+        if (typeof profileManager !== 'undefined') {
+            profileManager.initialize({
+                gameState: this.gameState,
+                eventManager: this.eventManager,
+                saveManager: window.saveManager || null
+            });
+            await profileManager.load();
+        }
+
+        // Wire the shared RNG before loading so saved stream positions are restored
+        if (typeof randomManager !== 'undefined') {
+            randomManager.setEventManager(this.eventManager);
+        }
+
         // Try to load existing save data
         const loadSuccess = await this.gameState.load();
         if (loadSuccess) {
@@ -303,10 +322,33 @@ this.errorAnalytics = null;        this.errorDashboard = null;
             console.log('🆕 Starting with new game state');
         }
 
+        if (this.config.rngSeed !== null && typeof randomManager !== 'undefined') {
+            randomManager.setSeed(this.config.rngSeed);
+            console.log(`🎲 RNG seeded with ${randomManager.seed}`);
+        }
+
         // Initialize TimeManager
         this.timeManager = new TimeManager();
         this.timeManager.setEventManager(this.eventManager);
 
+        // Events only start once _startGame connects the systems they drive
+        if (this.timeManager.eventCalendar) {
+            this.timeManager.eventCalendar.initialize({
+                gameState: this.gameState,
+                eventManager: this.eventManager,
+                events: typeof SEASONAL_EVENTS !== 'undefined' ? SEASONAL_EVENTS : {}
+            });
+            window.eventCalendar = this.timeManager.eventCalendar;
+        }
+
+        // Before the modules load, since the idle systems register their job handlers on construction
+        if (this.timeManager.jobScheduler) {
+            this.timeManager.jobScheduler.initialize({
+                gameState: this.gameState,
+                eventManager: this.eventManager
+            });
+        }
+
         // Initialize BalanceManager
         if (typeof BalanceManager !== 'undefined') {
             this.balanceManager = new BalanceManager();
@@ -319,6 +361,12 @@ this.errorAnalytics = null;        this.errorDashboard = null;
             console.log('🔧 BalanceManager initialized');
         }
 
+        // Load content packs before any module builds its registries from them
+        if (typeof contentPackLoader !== 'undefined' && this.config.contentPackManifest) {
+            contentPackLoader.initialize({ eventManager: this.eventManager });
+            await contentPackLoader.loadManifest(this.config.contentPackManifest);
+        }
+
         // Initialize AnimationManager
         if (typeof AnimationManager !== 'undefined') {
             this.animationManager = new AnimationManager();
@@ -519,8 +567,8 @@ this.errorAnalytics = null;        this.errorDashboard = null;
     }
 
     _registerGameModules() {
-        // For now, we'll register placeholder modules that will be implemented later
-        // These modules will contain the actual game logic
+        // Each module wraps a system stack; dependencies are loaded first and handed in
+        // through context.dependencies, and update() is driven by the game loop
 
         // UI Module - handles all UI updates and interactions
         this.moduleManager.registerModule('ui', {
@@ -583,6 +631,11 @@ this.errorAnalytics = null;        this.errorDashboard = null;
                         // Initialize the cultivation system
                         await this.cultivationIntegration.initialize(context.gameState, context.eventManager);
 
+                        // Materials from shops and loot are routed through window.craftingSystem
+                        if (this.cultivationIntegration.craftingSystem) {
+                            window.craftingSystem = this.cultivationIntegration.craftingSystem;
+                        }
+
                         console.log('Cultivation Module initialized');
                     },
                     update: function(deltaTime) {
@@ -728,43 +781,169 @@ this.errorAnalytics = null;        this.errorDashboard = null;
             priority: 85
         });
 
-        // Combat Module - handles combat mechanics
-        this.moduleManager.registerModule('combat', { priority: 80,
+        // Combat Module - power calculation, turn-based combat, duels, rankings and tournaments
+        this.moduleManager.registerModule('combat', {
+            priority: 80,
             factory: async (context) => {
-                return {
+                const module = {
                     name: 'Combat Module',
+                    combatIntegration: null,
                     init: async () => {
-                        console.log('Combat Module initialized');
-                        // Initialize combat systems
+                        console.log('Combat Module initializing...');
+
+                        if (typeof CombatIntegration === 'undefined') {
+                            console.warn('Combat Module: CombatIntegration not loaded, skipping initialization');
+                            return;
+                        }
+
+                        try {
+                            module.combatIntegration = new CombatIntegration(context.gameState, context.eventManager);
+                            await module.combatIntegration.initialize();
+
+                            console.log('Combat Module initialized');
+                        } catch (error) {
+                            console.error('Combat Module initialization failed:', error);
+                            // Don't throw - allow game to continue without combat
+                        }
                     },
                     update: (deltaTime) => {
-                        // Update combat calculations
+                        const combatSystem = module.combatIntegration?.combatSystem;
+                        if (combatSystem) {
+                            combatSystem.update(deltaTime);
+                        }
                     }
                 };
+                return module;
             },
             dependencies: ['cultivation'],
             priority: 80
         });
 
-        // Gacha Module - handles scripture gacha system
+        // Gacha Module - scripture gacha, collection, enhancement and scripture effects
         this.moduleManager.registerModule('gacha', {
             priority: 70,
             factory: async (context) => {
-                return {
+                const module = {
                     name: 'Gacha Module',
+                    gachaSystem: null,
+                    scriptureManager: null,
+                    enhancementSystem: null,
+                    scriptureIntegration: null,
                     init: async () => {
-                        console.log('Gacha Module initialized');
-                        // Initialize gacha systems
+                        console.log('Gacha Module initializing...');
+
+                        if (typeof GachaSystem === 'undefined' ||
+                            typeof ScriptureManager === 'undefined' ||
+                            typeof EnhancementSystem === 'undefined' ||
+                            typeof ScriptureIntegration === 'undefined') {
+                            console.warn('Gacha Module: Required classes not loaded, skipping initialization');
+                            return;
+                        }
+
+                        try {
+                            module.gachaSystem = new GachaSystem(context.gameState, context.eventManager);
+                            module.scriptureManager = new ScriptureManager(context.gameState, context.eventManager);
+                            module.enhancementSystem = new EnhancementSystem(context.gameState, context.eventManager);
+
+                            await module.gachaSystem.initialize();
+                            await module.scriptureManager.initialize();
+                            await module.enhancementSystem.initialize();
+
+                            // Scripture effects feed into the cultivation rates
+                            const cultivationIntegration = context.dependencies.cultivation?.cultivationIntegration;
+                            module.scriptureIntegration = new ScriptureIntegration(
+                                context.gameState,
+                                context.eventManager,
+                                cultivationIntegration?.cultivationSystem || null
+                            );
+                            await module.scriptureIntegration.initialize();
+                            module.scriptureIntegration.injectSystems({
+                                gachaSystem: module.gachaSystem,
+                                scriptureManager: module.scriptureManager,
+                                enhancementSystem: module.enhancementSystem
+                            });
+
+                            console.log('Gacha Module initialized');
+                        } catch (error) {
+                            console.error('Gacha Module initialization failed:', error);
+                            // Don't throw - allow game to continue without scriptures
+                        }
                     },
                     update: (deltaTime) => {
-                        // Update gacha-related mechanics
+                        // Scripture systems are event driven; forward the tick to any that keep time
+                        [module.gachaSystem, module.scriptureManager, module.enhancementSystem, module.scriptureIntegration]
+                            .forEach(system => {
+                                if (system && typeof system.update === 'function') {
+                                    system.update(deltaTime);
+                                }
+                            });
                     }
                 };
+                return module;
             },
-            dependencies: [],
+            dependencies: ['cultivation'],
             priority: 70
         });
 
+        // Quest Module - quests, achievements and rewards
+        this.moduleManager.registerModule('quest', {
+            priority: 68,
+            factory: async (context) => {
+                const module = {
+                    name: 'Quest Module',
+                    questSystem: null,
+                    achievementManager: null,
+                    rewardManager: null,
+                    questIntegration: null,
+                    init: async () => {
+                        console.log('Quest Module initializing...');
+
+                        if (typeof QuestSystem === 'undefined' ||
+                            typeof AchievementManager === 'undefined' ||
+                            typeof RewardManager === 'undefined' ||
+                            typeof QuestIntegration === 'undefined') {
+                            console.warn('Quest Module: Required classes not loaded, skipping initialization');
+                            return;
+                        }
+
+                        try {
+                            // The script-level singletons were built before the game's GameState existed,
+                            // so bind fresh instances and publish them where QuestIntegration looks them up
+                            module.rewardManager = new RewardManager(context.gameState, context.eventManager, window.saveManager);
+                            module.questSystem = new QuestSystem(context.gameState, context.eventManager, window.saveManager);
+                            module.achievementManager = new AchievementManager(context.gameState, context.eventManager, window.saveManager);
+
+                            window.rewardManager = module.rewardManager;
+                            window.questSystem = module.questSystem;
+                            window.achievementManager = module.achievementManager;
+
+                            module.questIntegration = new QuestIntegration(context.gameState, context.eventManager, window.saveManager);
+                            window.questIntegration = module.questIntegration;
+
+                            const ready = await module.questIntegration.initialize();
+                            if (!ready) {
+                                console.warn('Quest Module: QuestIntegration did not start');
+                                return;
+                            }
+
+                            console.log('Quest Module initialized');
+                        } catch (error) {
+                            console.error('Quest Module initialization failed:', error);
+                            // Don't throw - allow game to continue without quests
+                        }
+                    },
+                    update: (deltaTime) => {
+                        if (module.questSystem) {
+                            module.questSystem.update(deltaTime);
+                        }
+                    }
+                };
+                return module;
+            },
+            dependencies: ['cultivation'],
+            priority: 68
+        });
+
         // Sect Module - handles sect system mechanics
         this.moduleManager.registerModule('sect', {
             priority: 65,
@@ -775,6 +954,8 @@ this.errorAnalytics = null;        this.errorDashboard = null;
                     sectManager: null,
                     sectActivities: null,
                     sectCompetition: null,
+                    sectRoster: null,
+                    sectWarfare: null,
                     sectIntegration: null,
                     init: async function() {
                         console.log('Sect Module initializing...');
@@ -795,13 +976,21 @@ this.errorAnalytics = null;        this.errorDashboard = null;
                             this.sectManager = new SectManager(context.gameState, context.eventManager, this.sectSystem);
                             this.sectActivities = new SectActivities(context.gameState, context.eventManager, this.sectSystem, this.sectManager);
                             this.sectCompetition = new SectCompetition(context.gameState, context.eventManager, this.sectSystem, this.sectManager);
+                            if (typeof SectRoster !== 'undefined') {
+                                this.sectRoster = new SectRoster(context.gameState, context.eventManager, this.sectSystem, this.sectManager, this.sectActivities);
+                            }
+                            if (typeof SectWarfare !== 'undefined') {
+                                const powerCalculator = context.dependencies.combat?.combatIntegration?.powerCalculator || null;
+                                this.sectWarfare = new SectWarfare(context.gameState, context.eventManager, this.sectSystem, this.sectManager, this.sectCompetition, powerCalculator);
+                            }
 
                             // Initialize integration last
                             this.sectIntegration = new SectIntegration();
 
                             // Get other system references for integration
-                            const cultivationModule = context.moduleManager?.getModule('cultivation');
+                            const cultivationModule = context.dependencies.cultivation;
                             const cultivationSystem = cultivationModule?.cultivationIntegration;
+                            const gachaModule = context.dependencies.gacha;
 
                             await this.sectIntegration.initialize({
                                 gameState: context.gameState,
@@ -812,8 +1001,8 @@ this.errorAnalytics = null;        this.errorDashboard = null;
                                 sectActivities: this.sectActivities,
                                 sectCompetition: this.sectCompetition,
                                 cultivationSystem: cultivationSystem,
-                                enhancementSystem: null, // Will be added when enhancement system exists
-                                scriptureSystem: null // Will be added when scripture system exists
+                                enhancementSystem: gachaModule?.enhancementSystem || null,
+                                scriptureSystem: gachaModule?.scriptureManager || null
                             });
 
                             // Initialize individual components
@@ -821,6 +1010,8 @@ this.errorAnalytics = null;        this.errorDashboard = null;
                             await this.sectManager.initialize();
                             await this.sectActivities.initialize();
                             await this.sectCompetition.initialize();
+                            if (this.sectRoster) await this.sectRoster.initialize();
+                            if (this.sectWarfare) await this.sectWarfare.initialize();
 
                             console.log('Sect Module initialized');
                         } catch (error) {
@@ -833,6 +1024,8 @@ this.errorAnalytics = null;        this.errorDashboard = null;
                         if (this.sectSystem) this.sectSystem.update(deltaTime);
                         if (this.sectActivities) this.sectActivities.update(deltaTime);
                         if (this.sectCompetition) this.sectCompetition.update(deltaTime);
+                        if (this.sectRoster) this.sectRoster.update(deltaTime);
+                        if (this.sectWarfare) this.sectWarfare.update(deltaTime);
                         if (this.sectIntegration) this.sectIntegration.update(deltaTime);
                     },
                     shutdown: () => {
@@ -842,7 +1035,7 @@ this.errorAnalytics = null;        this.errorDashboard = null;
                 };
                 return module; // CRITICAL FIX: Module must be returned
             },
-            dependencies: ['cultivation'],
+            dependencies: ['cultivation', 'gacha', 'combat'],
             priority: 65
         });
 
@@ -874,6 +1067,7 @@ this.errorAnalytics = null;        this.errorDashboard = null;
         const skillsModule = this.moduleManager.getModule('skills');
         const combatModule = this.moduleManager.getModule('combat');
         const gachaModule = this.moduleManager.getModule('gacha');
+        const questModule = this.moduleManager.getModule('quest');
         const sectModule = this.moduleManager.getModule('sect');
         const saveModule = this.moduleManager.getModule('save');
 
@@ -895,6 +1089,9 @@ this.errorAnalytics = null;        this.errorDashboard = null;
         if (gachaModule) {
             this.gameLoop.registerGameSystem(gachaModule);
         }
+        if (questModule) {
+            this.gameLoop.registerGameSystem(questModule);
+        }
         if (sectModule) {
             this.gameLoop.registerGameSystem(sectModule);
         }
@@ -904,10 +1101,129 @@ this.errorAnalytics = null;        this.errorDashboard = null;
             this.gameLoop.registerSaveSystem(saveModule);
         }
 
+        this._connectEventCalendar();
+        this._connectDaoScripts();
+        this._attachActionJournal();
+        this._connectProfiles();
+
         // Update last played time
         this.gameState.set('meta.lastPlayed', Date.now());
     }
 
+    /**
+     * Give the event calendar the systems its events open banners, quests, shops and overrides in
+     */
+    _connectEventCalendar() {
+        const eventCalendar = this.timeManager && this.timeManager.eventCalendar;
+        if (!eventCalendar || !eventCalendar.isInitialized) {
+            return;
+        }
+
+        eventCalendar.connect({
+            gachaSystem: this.moduleManager.getModule('gacha')?.gachaSystem || null,
+            questSystem: this.moduleManager.getModule('quest')?.questSystem || null,
+            shopManager: window.shopManager || null,
+            balanceManager: this.balanceManager || null
+        });
+    }
+
+    /**
+     * Start the Dao Script rules engine on the loaded systems, online through the game loop
+     * and offline through the cultivation module's offline calculator
+     */
+    _connectDaoScripts() {
+        if (typeof DaoScriptEngine === 'undefined') {
+            return;
+        }
+
+        const cultivationIntegration = this.moduleManager.getModule('cultivation')?.cultivationIntegration;
+        const idleSystems = cultivationIntegration?.idleSystems || {};
+
+        this.daoScriptEngine = new DaoScriptEngine(this.gameState, this.eventManager);
+        this.daoScriptEngine.initialize();
+        this.daoScriptEngine.connect({
+            cultivationSystem: cultivationIntegration?.cultivationSystem,
+            realmManager: cultivationIntegration?.realmManager,
+            craftingSystem: cultivationIntegration?.craftingSystem,
+            questSystem: this.moduleManager.getModule('quest')?.questSystem,
+            shopManager: window.shopManager,
+            mountSystem: idleSystems.mounts,
+            runeSystem: idleSystems.runes,
+            dantianSystem: idleSystems.dantian
+        });
+
+        this.gameLoop.registerGameSystem(this.daoScriptEngine);
+        if (cultivationIntegration?.offlineCalculator) {
+            cultivationIntegration.offlineCalculator.registerIdleSystem('daoScripts', this.daoScriptEngine, 'Dao Scripts');
+        }
+
+        window.daoScriptEngine = this.daoScriptEngine;
+    }
+
+    /**
+     * Share account-wide unlocks with the loaded character and start recording its own
+     */
+    _connectProfiles() {
+        if (typeof profileManager === 'undefined' || !profileManager.isLoaded) {
+            return;
+        }
+
+        profileManager.connect({
+            achievementManager: this.moduleManager.getModule('quest')?.achievementManager || null
+        });
+    }
+
+    /**
+     * Hook the action journal onto the loaded systems and start recording when enabled
+     */
+    _attachActionJournal() {
+        if (typeof actionJournal === 'undefined') {
+            return;
+        }
+
+        actionJournal.initialize({ gameState: this.gameState, eventManager: this.eventManager });
+
+        // Underlying systems rather than CultivationIntegration, so the replay can call the same methods
+        const cultivationIntegration = this.moduleManager.getModule('cultivation')?.cultivationIntegration;
+        if (cultivationIntegration) {
+            actionJournal.track('cultivationSystem', cultivationIntegration.cultivationSystem);
+            actionJournal.track('realmManager', cultivationIntegration.realmManager);
+            actionJournal.track('techniqueManager', cultivationIntegration.techniqueManager);
+            actionJournal.track('reincarnationManager', cultivationIntegration.reincarnationManager);
+            actionJournal.track('craftingSystem', cultivationIntegration.craftingSystem);
+        }
+
+        const sectModule = this.moduleManager.getModule('sect');
+        if (sectModule && sectModule.sectSystem) {
+            actionJournal.track('sectSystem', sectModule.sectSystem);
+        }
+
+        if (this.daoScriptEngine) {
+            actionJournal.track('daoScriptEngine', this.daoScriptEngine);
+        }
+
+        const gachaModule = this.moduleManager.getModule('gacha');
+        const moduleSystems = {
+            gachaSystem: gachaModule?.gachaSystem,
+            scriptureManager: gachaModule?.scriptureManager,
+            enhancementSystem: gachaModule?.enhancementSystem,
+            combatSystem: this.moduleManager.getModule('combat')?.combatIntegration?.combatSystem,
+            questSystem: this.moduleManager.getModule('quest')?.questSystem
+        };
+
+        ['gachaSystem', 'questSystem', 'combatSystem', 'shopManager', 'scriptureManager', 'enhancementSystem'].forEach(name => {
+            const system = moduleSystems[name] || window[name];
+            if (system) {
+                actionJournal.track(name, system);
+            }
+        });
+
+        if (this.config.actionJournal || actionJournal.config.enabled) {
+            actionJournal.start();
+            console.log(`📼 Action journal recording (${actionJournal.getStatus().systems.join(', ')})`);
+        }
+    }
+
     _setupErrorHandling() {
         // Global error handling
         window.addEventListener('error', (event) => {
@@ -1032,9 +1348,14 @@ document.addEventListener('DOMContentLoaded', async () => {
         // Initialize with debug mode if in development
         const isDebug = window.location.hostname === 'localhost' || window.location.search.includes('debug=true');
 
+        const params = new URLSearchParams(window.location.search);
+        const seedParam = params.get('seed');
+
         await window.game.init({
             debugMode: isDebug,
-            enableHotReload: isDebug
+            enableHotReload: isDebug,
+            rngSeed: seedParam,
+            actionJournal: params.get('journal') === '1'
         });
 
         console.log('🚀 Idle Cultivation Game is ready!');
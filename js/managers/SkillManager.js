@@ -31,6 +31,10 @@ class SkillManager {
         this.validationCache = new Map();
         this.cacheExpirationTime = 30000; // 30 seconds
 
+        // Evolution readiness is re-checked on this interval rather than every frame
+        this.evolutionCheckInterval = 5000;
+        this.lastEvolutionCheck = 0;
+
         console.log('SkillManager: Initialized');
     }
 
@@ -81,6 +85,13 @@ class SkillManager {
 
         // Clear expired validation cache
         this._cleanupValidationCache();
+
+        // Announce evolutions that became possible
+        const now = Date.now();
+        if (now - this.lastEvolutionCheck >= this.evolutionCheckInterval) {
+            this.lastEvolutionCheck = now;
+            this._checkEvolutionReadiness();
+        }
     }
 
     /**
@@ -254,6 +265,7 @@ class SkillManager {
 
             // Store old loadout
             const oldLoadout = [...this.currentLoadout];
+            const oldSynergyIds = this.resolveSynergies(oldLoadout).map(synergy => synergy.id);
 
             // Update loadout
             this.currentLoadout = [...skillIds];
@@ -261,13 +273,21 @@ class SkillManager {
             // Save to game state
             this._saveCurrentLoadout();
 
+            // Resolve synergies of the new loadout
+            const synergies = this.resolveSynergies(this.currentLoadout);
+            const synergyIds = synergies.map(synergy => synergy.id);
+            this.recordSynergyUnlocks(synergies);
+
             // Mark state as changed
             this._markStateChanged();
 
             return {
                 success: true,
                 oldLoadout,
-                newLoadout: [...this.currentLoadout]
+                newLoadout: [...this.currentLoadout],
+                synergies,
+                synergiesGained: synergyIds.filter(id => !oldSynergyIds.includes(id)),
+                synergiesLost: oldSynergyIds.filter(id => !synergyIds.includes(id))
             };
 
         } catch (error) {
@@ -323,6 +343,125 @@ class SkillManager {
         return [...this.currentLoadout];
     }
 
+    /**
+     * Find the synergies a loadout activates
+     * A synergy is active when all its skills are in the loadout at their minimum levels;
+     * its effects scale with how far those skills are levelled
+     * @param {string[]} loadout - Skill IDs, the current loadout by default
+     * @returns {Array} Active synergies with scaled effects
+     */
+    resolveSynergies(loadout = this.currentLoadout) {
+        if (!this.skillSynergies || loadout.length < 2) {
+            return [];
+        }
+
+        const synergies = [];
+
+        for (const [synergyId, synergyData] of Object.entries(this.skillSynergies)) {
+            const requiredSkills = synergyData.requiredSkills || [];
+
+            if (!requiredSkills.every(skillId => loadout.includes(skillId) && this._isSkillUnlocked(skillId))) {
+                continue;
+            }
+
+            if (!this._checkSynergyLevelRequirements(synergyData, requiredSkills)) {
+                continue;
+            }
+
+            const strength = this._calculateSynergyStrength(requiredSkills);
+
+            synergies.push({
+                ...synergyData,
+                id: synergyId,
+                strength,
+                effects: this._applySynergyMultiplier(synergyData.effects || {}, strength),
+                activeSkills: [...requiredSkills]
+            });
+        }
+
+        return synergies;
+    }
+
+    /**
+     * Remember synergies the first time they activate
+     * @param {Array} synergies - Active synergies from resolveSynergies
+     * @returns {string[]} IDs of synergies unlocked by this call
+     */
+    recordSynergyUnlocks(synergies) {
+        const skillsState = this.gameState.get('skills');
+        if (!skillsState) {
+            return [];
+        }
+
+        if (!skillsState.synergiesUnlocked) {
+            skillsState.synergiesUnlocked = {};
+        }
+
+        const unlocked = synergies.filter(synergy => !skillsState.synergiesUnlocked[synergy.id]);
+        if (unlocked.length === 0) {
+            return [];
+        }
+
+        for (const synergy of unlocked) {
+            skillsState.synergiesUnlocked[synergy.id] = { unlockedAt: Date.now() };
+        }
+        this.gameState.set('skills', skillsState);
+
+        for (const synergy of unlocked) {
+            console.log(`SkillManager: Synergy '${synergy.name}' unlocked`);
+            this.eventManager.emit('skillSystem:synergyUnlocked', {
+                synergyId: synergy.id,
+                synergy
+            });
+        }
+
+        return unlocked.map(synergy => synergy.id);
+    }
+
+    /**
+     * Status of every synergy for display
+     * @returns {Array} [{ id, name, description, icon, isActive, isUnlocked, strength, effects, skills: [...] }]
+     */
+    getSynergyProgress() {
+        if (!this.skillSynergies) {
+            return [];
+        }
+
+        const active = new Map(this.resolveSynergies().map(synergy => [synergy.id, synergy]));
+        const skillsState = this.gameState.get('skills') || {};
+        const unlockedSynergies = skillsState.synergiesUnlocked || {};
+
+        return Object.entries(this.skillSynergies).map(([synergyId, synergyData]) => {
+            const activeSynergy = active.get(synergyId);
+
+            return {
+                id: synergyId,
+                name: synergyData.name,
+                description: synergyData.description,
+                icon: synergyData.icon,
+                isActive: !!activeSynergy,
+                isUnlocked: !!unlockedSynergies[synergyId],
+                strength: activeSynergy ? activeSynergy.strength : 0,
+                effects: activeSynergy ? activeSynergy.effects : synergyData.effects,
+                skills: (synergyData.requiredSkills || []).map(skillId => {
+                    const level = this._getSkillLevel(skillId);
+                    const requiredLevel = synergyData.minLevels?.[skillId] || 1;
+                    const skillDef = this.skillDefinitions.get(skillId);
+
+                    return {
+                        skillId,
+                        name: skillDef ? skillDef.name : skillId,
+                        isUnlocked: this._isSkillUnlocked(skillId),
+                        isInLoadout: this.isSkillInLoadout(skillId),
+                        level,
+                        requiredLevel,
+                        met: this._isSkillUnlocked(skillId) && this.isSkillInLoadout(skillId) && level >= requiredLevel
+                    };
+                })
+            };
+        });
+    }
+
     /**
      * Evolve a skill to its next form
      * @param {string} skillId - ID of the skill to evolve
@@ -403,16 +542,40 @@ class SkillManager {
 
         for (const evolution of evolutions) {
             const isAvailable = this._checkEvolutionAvailability(skillId, evolution);
+            const targetDef = this.skillDefinitions.get(evolution.target);
             availableEvolutions.push({
                 ...evolution,
+                targetName: targetDef ? targetDef.name : evolution.target,
                 isAvailable,
-                requirementsMet: this._validateEvolutionRequirements(skillId, evolution).valid
+                requirementsMet: this._validateEvolutionRequirements(skillId, evolution).valid,
+                progress: this._getEvolutionRequirementStatus(skillId, evolution)
             });
         }
 
         return availableEvolutions;
     }
 
+    /**
+     * Count progress toward evolution conditions (combat wins, meditations...)
+     * @param {string} counter - Counter name from SKILL_EVOLUTION_CONDITIONS
+     * @param {number} amount - Amount to add
+     * @returns {number} New counter value
+     */
+    recordEvolutionProgress(counter, amount = 1) {
+        const skillsState = this.gameState.get('skills');
+        if (!skillsState) {
+            return 0;
+        }
+
+        const progress = this._getEvolutionProgressState(skillsState);
+        progress.counters[counter] = (progress.counters[counter] || 0) + amount;
+        this.gameState.set('skills', skillsState);
+
+        this._checkEvolutionReadiness();
+
+        return progress.counters[counter];
+    }
+
     /**
      * Check if state has changed since last check
      * @returns {boolean} Whether state has changed
@@ -608,7 +771,9 @@ class SkillManager {
      */
     _isSkillUnlocked(skillId) {
         const skillsState = this.gameState.get('skills');
-        return skillsState && skillsState.unlocked && skillsState.unlocked[skillId] === true;
+        const unlocked = skillsState && skillsState.unlocked ? skillsState.unlocked[skillId] : null;
+        // Saves migrate 'true' into unlock records ({ unlockedAt, unlockedBy })
+        return unlocked === true || (typeof unlocked === 'object' && unlocked !== null);
     }
 
     /**
@@ -657,7 +822,16 @@ class SkillManager {
      * @returns {Object} Validation result
      */
     _validateSkillRequirements(skillId, context) {
-        // Placeholder validation logic
+        // Evolved forms are only reached through evolveSkill
+        const skillDef = this.skillDefinitions.get(skillId);
+        if (skillDef && skillDef.evolvedFrom) {
+            const sourceDef = this.skillDefinitions.get(skillDef.evolvedFrom);
+            return {
+                valid: false,
+                reason: `${skillDef.name} is unlocked by evolving ${sourceDef ? sourceDef.name : skillDef.evolvedFrom}`
+            };
+        }
+
         return { valid: true };
     }
 
@@ -838,6 +1012,63 @@ class SkillManager {
         }
     }
 
+    // Synergy methods
+
+    /**
+     * Check if synergy level requirements are met
+     * @param {Object} synergyData - Synergy definition
+     * @param {string[]} requiredSkills - Required skill IDs
+     * @returns {boolean} Whether level requirements are met
+     */
+    _checkSynergyLevelRequirements(synergyData, requiredSkills) {
+        if (!synergyData.minLevels) {
+            return true;
+        }
+
+        return requiredSkills.every(skillId => this._getSkillLevel(skillId) >= (synergyData.minLevels[skillId] || 1));
+    }
+
+    /**
+     * Calculate synergy strength based on skill levels
+     * @param {string[]} requiredSkills - Required skill IDs
+     * @returns {number} Synergy strength multiplier
+     */
+    _calculateSynergyStrength(requiredSkills) {
+        let totalLevels = 0;
+        let maxPossibleLevels = 0;
+
+        for (const skillId of requiredSkills) {
+            const skillDef = this.skillDefinitions.get(skillId);
+
+            totalLevels += this._getSkillLevel(skillId);
+            maxPossibleLevels += skillDef ? skillDef.maxLevel : 10;
+        }
+
+        // Base strength is 1.0, with bonus based on skill levels
+        const levelRatio = maxPossibleLevels > 0 ? totalLevels / maxPossibleLevels : 0;
+        return 1.0 + (levelRatio * 0.5); // Up to 50% bonus at max levels
+    }
+
+    /**
+     * Apply synergy strength multiplier to effects
+     * @param {Object} effects - Base synergy effects
+     * @param {number} strength - Synergy strength multiplier
+     * @returns {Object} Scaled synergy effects
+     */
+    _applySynergyMultiplier(effects, strength) {
+        const scaledEffects = {};
+
+        for (const [category, categoryEffects] of Object.entries(effects)) {
+            scaledEffects[category] = {};
+
+            for (const [effectType, value] of Object.entries(categoryEffects)) {
+                scaledEffects[category][effectType] = typeof value === 'number' ? value * strength : value;
+            }
+        }
+
+        return scaledEffects;
+    }
+
     // Evolution system methods
 
     /**
@@ -862,76 +1093,207 @@ class SkillManager {
      * @returns {Object} Validation result
      */
     _validateEvolutionRequirements(skillId, evolutionPath) {
+        const unmet = this._getEvolutionRequirementStatus(skillId, evolutionPath).find(requirement => !requirement.met);
+
+        if (unmet) {
+            return {
+                valid: false,
+                reason: `Requires ${unmet.label}` +
+                    (typeof unmet.current === 'number' && unmet.type !== 'skill' ? ` (${unmet.current}/${unmet.required})` : '')
+            };
+        }
+
+        return { valid: true };
+    }
+
+    /**
+     * Check every requirement of an evolution path
+     * @param {string} skillId - Source skill ID
+     * @param {Object} evolutionPath - Evolution path data
+     * @returns {Array} [{ type, key, label, current, required, met }]
+     */
+    _getEvolutionRequirementStatus(skillId, evolutionPath) {
         const requirements = evolutionPath.requirements || {};
+        const skillsState = this.gameState.get('skills') || {};
+        const status = [];
 
-        // Check skill level requirement
+        // Skill level
         if (requirements.level) {
             const currentLevel = this._getSkillLevel(skillId);
-            if (currentLevel < requirements.level) {
-                return {
-                    valid: false,
-                    reason: `Skill must be level ${requirements.level} (currently ${currentLevel})`
-                };
-            }
+            status.push({
+                type: 'level',
+                key: 'level',
+                label: `skill level ${requirements.level}`,
+                current: currentLevel,
+                required: requirements.level,
+                met: currentLevel >= requirements.level
+            });
         }
 
-        // Check cultivation realm requirement
+        // Cultivation realm
         if (requirements.realm) {
-            const cultivationSystem = this._getCultivationSystem();
-            if (cultivationSystem) {
-                const currentRealm = cultivationSystem.getCurrentRealm();
-                if (!this._checkRealmRequirement(currentRealm, requirements.realm)) {
-                    return {
-                        valid: false,
-                        reason: `Requires ${requirements.realm} cultivation realm`
-                    };
-                }
-            }
+            const currentRealm = this.gameState.get('realm.current');
+            const requiredRealm = window.SkillData?.SKILL_REALMS?.[requirements.realm] || requirements.realm;
+            status.push({
+                type: 'realm',
+                key: requirements.realm,
+                label: `the ${requiredRealm} realm`,
+                current: currentRealm,
+                required: requiredRealm,
+                met: this._checkRealmRequirement(currentRealm, requiredRealm)
+            });
         }
 
-        // Check prerequisite skills
-        if (requirements.skills) {
-            for (const requiredSkillId of requirements.skills) {
-                if (!this._isSkillUnlocked(requiredSkillId)) {
-                    const skillDef = this.skillDefinitions.get(requiredSkillId);
-                    const skillName = skillDef ? skillDef.name : requiredSkillId;
-                    return {
-                        valid: false,
-                        reason: `Requires skill: ${skillName}`
-                    };
-                }
-            }
+        // Prerequisite skills
+        for (const requiredSkillId of requirements.skills || []) {
+            const skillDef = this.skillDefinitions.get(requiredSkillId);
+            const isUnlocked = this._isSkillUnlocked(requiredSkillId);
+            status.push({
+                type: 'skill',
+                key: requiredSkillId,
+                label: `skill: ${skillDef ? skillDef.name : requiredSkillId}`,
+                current: isUnlocked ? 1 : 0,
+                required: 1,
+                met: isUnlocked
+            });
         }
 
-        // Check attribute requirements
-        if (requirements.attributes) {
-            const cultivationSystem = this._getCultivationSystem();
-            if (cultivationSystem) {
-                for (const [attribute, requiredValue] of Object.entries(requirements.attributes)) {
-                    const currentValue = cultivationSystem.getAttributeValue(attribute);
-                    if (currentValue < requiredValue) {
-                        return {
-                            valid: false,
-                            reason: `Requires ${attribute}: ${requiredValue} (currently ${currentValue})`
-                        };
-                    }
-                }
-            }
+        // Cultivation attributes
+        for (const [attribute, requiredValue] of Object.entries(requirements.attributes || {})) {
+            const currentValue = this.gameState.get(`cultivation.${attribute}.level`) || 0;
+            status.push({
+                type: 'attribute',
+                key: attribute,
+                label: `${attribute} level ${requiredValue}`,
+                current: currentValue,
+                required: requiredValue,
+                met: currentValue >= requiredValue
+            });
         }
 
-        // Check condition requirements (e.g., achievements, combat victories)
-        if (requirements.conditions) {
-            for (const condition of requirements.conditions) {
-                if (!this._checkConditionRequirement(condition)) {
-                    return {
-                        valid: false,
-                        reason: `Requires: ${this._formatConditionRequirement(condition)}`
-                    };
+        // Conditions tracked by progress counters
+        const counters = skillsState.evolutionProgress?.counters || {};
+        for (const condition of requirements.conditions || []) {
+            const parsed = this._parseEvolutionCondition(condition);
+            const current = parsed ? counters[parsed.counter] || 0 : 0;
+            status.push({
+                type: 'condition',
+                key: condition,
+                label: parsed ? parsed.label : condition.replace(/_/g, ' '),
+                current,
+                required: parsed ? parsed.count : 1,
+                met: !!parsed && current >= parsed.count
+            });
+        }
+
+        // Materials consumed by the evolution
+        const materials = window.SkillData?.SKILL_EVOLUTION_MATERIALS || {};
+        for (const [materialId, amount] of Object.entries(requirements.materials || {})) {
+            const material = materials[materialId];
+            const current = material ? this.gameState.get(material.path) || 0 : 0;
+            status.push({
+                type: 'material',
+                key: materialId,
+                label: `${amount} ${material ? material.name : materialId}`,
+                current,
+                required: amount,
+                met: !!material && current >= amount
+            });
+        }
+
+        return status;
+    }
+
+    /**
+     * Parse a condition such as 'win_10_combats'
+     * @param {string} condition - Condition string
+     * @returns {Object|null} { counter, count, label }
+     */
+    _parseEvolutionCondition(condition) {
+        const match = condition.match(/^([a-z]+)_(\d+)_([a-z_]+)$/);
+        const conditions = window.SkillData?.SKILL_EVOLUTION_CONDITIONS || {};
+        const definition = match ? conditions[`${match[1]}_${match[3]}`] : null;
+
+        if (!definition) {
+            return null;
+        }
+
+        const count = parseInt(match[2], 10);
+        return {
+            counter: definition.counter,
+            count,
+            label: definition.label.replace('{count}', count)
+        };
+    }
+
+    /**
+     * Get the evolution progress section of the skills state, creating it when missing
+     * @param {Object} skillsState - Skills state
+     * @returns {Object} { counters, notified }
+     */
+    _getEvolutionProgressState(skillsState) {
+        if (!skillsState.evolutionProgress) {
+            skillsState.evolutionProgress = {};
+        }
+        skillsState.evolutionProgress.counters = skillsState.evolutionProgress.counters || {};
+        skillsState.evolutionProgress.notified = skillsState.evolutionProgress.notified || {};
+        return skillsState.evolutionProgress;
+    }
+
+    /**
+     * Announce each evolution path once, when all its requirements are first met
+     */
+    _checkEvolutionReadiness() {
+        const evolutions = window.SkillData?.SKILL_EVOLUTIONS;
+        const skillsState = this.gameState.get('skills');
+        if (!evolutions || !skillsState) {
+            return;
+        }
+
+        const ready = [];
+        for (const [skillId, paths] of Object.entries(evolutions)) {
+            if (!this._isSkillUnlocked(skillId)) {
+                continue;
+            }
+
+            for (const path of paths) {
+                const pathKey = `${skillId}>${path.target}`;
+                if (skillsState.evolutionProgress?.notified?.[pathKey] ||
+                    !this._checkEvolutionAvailability(skillId, path) ||
+                    !this._validateEvolutionRequirements(skillId, path).valid) {
+                    continue;
                 }
+                ready.push({ skillId, path, pathKey });
             }
         }
 
-        return { valid: true };
+        if (ready.length === 0) {
+            return;
+        }
+
+        const progress = this._getEvolutionProgressState(skillsState);
+        for (const { pathKey } of ready) {
+            progress.notified[pathKey] = true;
+        }
+        this.gameState.set('skills', skillsState);
+
+        for (const { skillId, path } of ready) {
+            const sourceDef = this.skillDefinitions.get(skillId);
+            const targetDef = this.skillDefinitions.get(path.target);
+            const sourceName = sourceDef ? sourceDef.name : skillId;
+            const targetName = targetDef ? targetDef.name : path.target;
+
+            this.eventManager.emit('skillSystem:evolutionReady', {
+                skillId,
+                targetSkillId: path.target
+            });
+            this.eventManager.emit('ui:notification', {
+                type: 'info',
+                title: 'Skill evolution ready',
+                message: `${sourceName} can evolve into ${targetName}`,
+                duration: 5000
+            });
+        }
     }
 
     /**
@@ -955,6 +1317,14 @@ class SkillManager {
      */
     async _performSkillEvolution(sourceSkillId, targetSkillId, evolutionPath, context) {
         try {
+            // Consume materials (requirements already checked that they are in stock)
+            const materials = window.SkillData?.SKILL_EVOLUTION_MATERIALS || {};
+            for (const [materialId, amount] of Object.entries(evolutionPath.requirements?.materials || {})) {
+                if (materials[materialId]) {
+                    this.gameState.increment(materials[materialId].path, -amount, { source: 'skillEvolution' });
+                }
+            }
+
             const skillsState = this.gameState.get('skills');
             const sourceLevel = skillsState.levels[sourceSkillId] || 0;
 
@@ -965,11 +1335,11 @@ class SkillManager {
             skillsState.unlocked[sourceSkillId] = false;
             delete skillsState.levels[sourceSkillId];
 
-            // Remove from loadout if present
+            // The evolved skill takes over the source's loadout slot
             const loadoutIndex = this.currentLoadout.indexOf(sourceSkillId);
             if (loadoutIndex !== -1) {
-                this.currentLoadout.splice(loadoutIndex, 1);
-                this._saveCurrentLoadout();
+                this.currentLoadout[loadoutIndex] = targetSkillId;
+                skillsState.loadout = [...this.currentLoadout];
             }
 
             // Add target skill
@@ -983,7 +1353,8 @@ class SkillManager {
             skillsState.evolutions[targetSkillId] = {
                 from: sourceSkillId,
                 timestamp: Date.now(),
-                transferredLevel: targetLevel
+                transferredLevel: targetLevel,
+                materials: { ...(evolutionPath.requirements?.materials || {}) }
             };
 
             // Save state
@@ -996,6 +1367,7 @@ class SkillManager {
                     targetSkillId,
                     sourceLevel,
                     targetLevel,
+                    inLoadout: loadoutIndex !== -1,
                     timestamp: Date.now()
                 }
             };
@@ -1043,83 +1415,22 @@ class SkillManager {
         return Math.max(1, targetLevel);
     }
 
-    /**
-     * Get cultivation system reference
-     * @returns {Object|null} Cultivation system instance
-     */
-    _getCultivationSystem() {
-        // Try to get cultivation system from global scope
-        if (typeof window.game !== 'undefined' && window.game.moduleManager) {
-            const cultivationModule = window.game.moduleManager.getModule('cultivation');
-            return cultivationModule?.cultivationIntegration;
-        }
-        return null;
-    }
-
     /**
      * Check realm requirement
-     * @param {string} currentRealm - Current cultivation realm
-     * @param {string} requiredRealm - Required cultivation realm
+     * @param {string} currentRealm - Current cultivation realm name
+     * @param {string} requiredRealm - Required cultivation realm name
      * @returns {boolean} Whether requirement is met
      */
     _checkRealmRequirement(currentRealm, requiredRealm) {
-        // Simplified realm comparison - would be more sophisticated in practice
-        const realmOrder = [
-            'body_refinement',
-            'foundation',
-            'core_formation',
-            'nascent_soul',
-            'soul_transformation',
-            'void_refinement'
-        ];
+        if (currentRealm === requiredRealm) {
+            return true;
+        }
 
+        const realmOrder = window.CULTIVATION_REALMS ? Object.keys(window.CULTIVATION_REALMS) : [];
         const currentIndex = realmOrder.indexOf(currentRealm);
         const requiredIndex = realmOrder.indexOf(requiredRealm);
 
-        return currentIndex >= requiredIndex;
-    }
-
-    /**
-     * Check condition requirement (achievements, etc.)
-     * @param {string} condition - Condition string
-     * @returns {boolean} Whether condition is met
-     */
-    _checkConditionRequirement(condition) {
-        // Placeholder implementation - would check various game conditions
-        // Examples: 'win_10_combats', 'complete_100_meditations', etc.
-
-        if (condition.startsWith('win_') && condition.endsWith('_combats')) {
-            const requiredWins = parseInt(condition.match(/\d+/)[0]);
-            // Check combat system for wins
-            return false; // Placeholder
-        }
-
-        if (condition.startsWith('complete_') && condition.endsWith('_meditations')) {
-            const requiredMeditations = parseInt(condition.match(/\d+/)[0]);
-            // Check meditation count
-            return false; // Placeholder
-        }
-
-        return false;
-    }
-
-    /**
-     * Format condition requirement for display
-     * @param {string} condition - Condition string
-     * @returns {string} Formatted condition text
-     */
-    _formatConditionRequirement(condition) {
-        if (condition.startsWith('win_') && condition.endsWith('_combats')) {
-            const requiredWins = parseInt(condition.match(/\d+/)[0]);
-            return `Win ${requiredWins} combat matches`;
-        }
-
-        if (condition.startsWith('complete_') && condition.endsWith('_meditations')) {
-            const requiredMeditations = parseInt(condition.match(/\d+/)[0]);
-            return `Complete ${requiredMeditations} meditation sessions`;
-        }
-
-        return condition.replace(/_/g, ' ');
+        return currentIndex !== -1 && requiredIndex !== -1 && currentIndex >= requiredIndex;
     }
 }
 
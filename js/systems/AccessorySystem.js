@@ -7,8 +7,12 @@ class AccessorySystem {
         this.gameState = gameState;
         this.eventManager = eventManager;
 
+        // Enhancements run as jobs on the shared scheduler
+        this.scheduler = jobScheduler;
+
         // Initialize accessory system state
         this.initializeState();
+        this.registerJobHandlers();
 
         console.log('AccessorySystem: Initialized');
     }
@@ -26,13 +30,24 @@ class AccessorySystem {
                     bracelet: null,
                     pendant: null
                 },
-                enhancing: null,
                 materials: {},
                 unlocked: false
             });
         }
     }
 
+    /**
+     * Let the scheduler finish accessory enhancements, taking over a timer from saves made before it existed
+     */
+    registerJobHandlers() {
+        this.scheduler.registerHandler('accessories.enhancing', {
+            label: 'Accessory enhancement',
+            complete: job => this.completeEnhancement(job),
+            describe: (job, result) => `${this.getAccessoryData(result.accessoryId)?.name || result.accessoryId} reached +${result.newLevel}`
+        });
+        this.scheduler.adoptTimer('accessories.enhancing', 'accessories', 'enhancing');
+    }
+
     /**
      * Unlock the accessory system (typically at Qi Condensation realm)
      */
@@ -171,6 +186,11 @@ class AccessorySystem {
             return false;
         }
 
+        if (this.scheduler.isBusy('accessories.enhancing')) {
+            console.warn(`AccessorySystem: Another enhancement is in progress`);
+            return false;
+        }
+
         const currentEnhancement = accessories.inventory[accessoryId].enhancement || 0;
         const requirements = this.getEnhancementRequirements(accessoryId, currentEnhancement);
 
@@ -183,14 +203,11 @@ class AccessorySystem {
         // Consume materials
         this.consumeMaterials(requirements);
 
-        accessories.enhancing = {
+        this.scheduler.schedule('accessories.enhancing', {
             accessoryId: accessoryId,
-            targetLevel: currentEnhancement + 1,
-            startTime: Date.now(),
-            duration: this.getEnhancementDuration(accessoryId, currentEnhancement)
-        };
+            targetLevel: currentEnhancement + 1
+        }, this.getEnhancementDuration(accessoryId, currentEnhancement));
 
-        this.gameState.set('accessories', accessories);
         this.eventManager.emit('accessoryEnhancementStarted', { accessoryId, targetLevel: currentEnhancement + 1 });
 
         console.log(`AccessorySystem: Started enhancing ${accessoryId} to level ${currentEnhancement + 1}`);
@@ -198,30 +215,18 @@ class AccessorySystem {
     }
 
     /**
-     * Complete accessory enhancement
+     * Complete accessory enhancement; run by the scheduler when the job is due
+     * @param {Object} job - Finished 'accessories.enhancing' job
      */
-    completeEnhancement() {
+    completeEnhancement(job) {
         const accessories = this.gameState.get('accessories');
-
-        if (!accessories.enhancing) {
-            return null;
-        }
-
-        const { accessoryId, targetLevel, startTime, duration } = accessories.enhancing;
-        const now = Date.now();
-
-        if (now - startTime < duration) {
-            return null; // Enhancement not complete
-        }
+        const { accessoryId, targetLevel } = job.data;
 
         // Apply enhancement increase
         if (accessories.inventory[accessoryId]) {
             accessories.inventory[accessoryId].enhancement = targetLevel;
         }
 
-        // Clear enhancing
-        accessories.enhancing = null;
-
         this.gameState.set('accessories', accessories);
         this.eventManager.emit('accessoryEnhancementCompleted', { accessoryId, newLevel: targetLevel });
 
@@ -369,6 +374,8 @@ class AccessorySystem {
             return [];
         }
 
+        const enhancing = this.scheduler.findJob('accessories.enhancing');
+
         return Object.keys(accessories.inventory).map(accessoryId => {
             const data = this.getAccessoryData(accessoryId);
             const inventoryData = accessories.inventory[accessoryId];
@@ -380,7 +387,7 @@ class AccessorySystem {
                 ...inventoryData,
                 power: power,
                 isEquipped: Object.values(accessories.equipped).includes(accessoryId),
-                isEnhancing: accessories.enhancing?.accessoryId === accessoryId,
+                isEnhancing: enhancing?.data.accessoryId === accessoryId,
                 enhancementRequirements: this.getEnhancementRequirements(accessoryId, inventoryData.enhancement || 0),
                 canEnhance: this.hasRequiredMaterials(this.getEnhancementRequirements(accessoryId, inventoryData.enhancement || 0))
             };
@@ -491,42 +498,36 @@ class AccessorySystem {
      */
     getSystemStatus() {
         const accessories = this.gameState.get('accessories');
+        const enhancing = this.scheduler.findJob('accessories.enhancing');
 
         return {
             unlocked: this.isUnlocked(),
             equipped: accessories?.equipped || {},
             totalEquippedPower: this.getEquippedAccessoriesPower(),
-            enhancementInProgress: !!accessories?.enhancing,
-            enhancingAccessory: accessories?.enhancing?.accessoryId || null,
-            enhancementTimeRemaining: accessories?.enhancing ?
-                Math.max(0, (accessories.enhancing.startTime + accessories.enhancing.duration) - Date.now()) : 0,
+            enhancementInProgress: !!enhancing,
+            enhancingAccessory: enhancing?.data.accessoryId || null,
+            enhancementTimeRemaining: this.scheduler.getRemaining(enhancing),
             inventoryCount: accessories?.inventory ? Object.keys(accessories.inventory).length : 0,
             materials: accessories?.materials || {}
         };
     }
 
     /**
-     * Process accessory-related idle gains
+     * Timers that finish on their own, so offline simulation can stop at each one
+     * @returns {Array<Object>} [{ type, endsAt }]
      */
-    processIdleGains(timeElapsed) {
-        const accessories = this.gameState.get('accessories');
-
-        if (!accessories?.enhancing) {
-            return;
-        }
-
-        // Check if enhancement completed during idle time
-        const enhancing = accessories.enhancing;
-        const enhancementEndTime = enhancing.startTime + enhancing.duration;
-        const now = Date.now();
+    getIdleTimers() {
+        return this.scheduler.getTimers({ owner: 'accessories' });
+    }
 
-        if (now >= enhancementEndTime) {
-            // Enhancement completed during idle time
-            const result = this.completeEnhancement();
-            if (result) {
-                console.log(`AccessorySystem: Auto-completed enhancement for ${result.accessoryId} to level ${result.newLevel} during idle time`);
-            }
-        }
+    /**
+     * Process idle time, finishing the enhancement if it ended by `now`
+     * @param {number} timeElapsed - Length of the idle period in milliseconds
+     * @param {number} now - End of the idle period (defaults to the current time)
+     * @returns {Object} Idle report { completed, gains }
+     */
+    processIdleGains(timeElapsed, now = Date.now()) {
+        return this.scheduler.processIdleJobs('accessories', now);
     }
 }
 
@@ -356,6 +356,42 @@ class AchievementManager {
         }
     }
 
+    /**
+     * Mark achievements earned by another character on the account as unlocked.
+     * Points count toward this character's total; rewards stay with the character that earned them.
+     * @param {Object} sharedAchievements - Achievement ID -> { unlockedAt, profileId }
+     * @returns {Array} Achievement IDs newly applied
+     */
+    applySharedUnlocks(sharedAchievements = {}) {
+        const applied = [];
+
+        for (const [achievementId, record] of Object.entries(sharedAchievements)) {
+            const achievement = window.ACHIEVEMENTS && window.ACHIEVEMENTS[achievementId];
+            if (!achievement || this.achievementState.unlockedAchievements.has(achievementId)) {
+                continue;
+            }
+
+            this.achievementState.unlockedAchievements.set(achievementId, {
+                timestamp: record.unlockedAt || Date.now(),
+                shared: true,
+                profileId: record.profileId || null
+            });
+            this.achievementState.achievementPoints += achievement.rarity.points;
+            this._updateCategoryProgress(achievement.category);
+            applied.push(achievementId);
+        }
+
+        if (applied.length > 0) {
+            this._saveAchievementState();
+            this.eventManager.emit('achievementManager:sharedUnlocksApplied', {
+                achievementIds: applied
+            });
+            console.log(`AchievementManager: Applied ${applied.length} account-wide achievements`);
+        }
+
+        return applied;
+    }
+
     /**
      * Get debug information
      * @returns {Object} Debug information
@@ -727,10 +763,10 @@ class AchievementManager {
         for (const [rewardType, amount] of Object.entries(rewards)) {
             switch (rewardType) {
                 case 'jade':
-                    this.gameState.increment('player.jade', amount);
+                    this.gameState.increment('player.jade', amount, { source: 'achievement:reward' });
                     break;
                 case 'spiritCrystals':
-                    this.gameState.increment('player.spiritCrystals', amount);
+                    this.gameState.increment('player.spiritCrystals', amount, { source: 'achievement:reward' });
                     break;
                 case 'shards':
                     this.gameState.increment('player.shards', amount);
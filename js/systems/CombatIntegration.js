@@ -451,7 +451,8 @@ class CombatIntegration {
      */
     _setupCrossSystemEvents() {
         // Combat end events should update rankings
-        this.eventManager.on('combat:ended', (data) => {
+        this.eventManager.on('combat:ended', (event) => {
+            const data = event.data;
             if (data.result === 'victory' || data.result === 'defeat') {
                 // This is handled by individual systems, but we can add integration logic here
                 this._handleCombatEnd(data);
@@ -7,10 +7,12 @@ class CombatSystem {
         this.gameState = gameState;
         this.eventManager = eventManager;
         this.powerCalculator = powerCalculator;
+        this.rng = randomManager.getStream('combat');
 
         // Combat state
         this.currentCombat = null;
-        this.combatId = 0;
+        this.combatId = 0; // ID of the current or last combat
+        this.nextCombatId = 1; // Never reused, so a simulation during a live combat gets its own ID
 
         // Combat statistics
         this.statistics = {
@@ -24,6 +26,16 @@ class CombatSystem {
             perfectVictories: 0 // No damage taken
         };
 
+        // Recorded fights, oldest first
+        this.replayConfig = window.COMBAT_REPLAY_CONFIG || {
+            version: 1,
+            maxReplays: 20,
+            maxEvents: 400,
+            recordSimulated: false,
+            exportPrefix: 'XWREPLAY1:'
+        };
+        this.replays = [];
+
         this.isInitialized = false;
 
         console.log('CombatSystem: Initialized');
@@ -43,6 +55,10 @@ class CombatSystem {
                 };
             }
 
+            // Own copy; the stored history only changes through gameState.set.
+            // Replays stored before import checked every event field are dropped rather than replayed
+            this.replays = (this.gameState.get('combatReplays') || []).filter(replay => this._isValidReplay(replay));
+
             // Set up event listeners
             this._setupEventListeners();
 
@@ -79,28 +95,39 @@ class CombatSystem {
             type: 'pve', // 'pve' or 'pvp'
             allowRetreat: true,
             timeLimit: 300000, // 5 minutes
+            grantRewards: true, // Victory loot is paid to the player
+            recordStatistics: true, // Result counts toward the combat statistics
             ...options
         };
 
         // Create combat instance
-        this.combatId++;
+        this.combatId = this.nextCombatId++;
         this.currentCombat = this._createCombatInstance(opponent, config);
 
         // Update statistics
-        this.statistics.combatsStarted++;
+        if (config.recordStatistics) {
+            this.statistics.combatsStarted++;
+        }
 
         // Initialize combat
         this._initializeCombatants();
         this._calculateTurnOrder();
+        this._startReplay();
 
         this.eventManager.emit('combat:started', {
             combatId: this.combatId,
+            simulated: this.currentCombat.simulated,
             player: this.currentCombat.player,
             opponent: this.currentCombat.opponent,
             turnOrder: this.currentCombat.turnOrder,
             config: config
         });
 
+        // Faster opponents open the fight
+        if (this.currentCombat.turnOrder[0] === 'opponent') {
+            this._scheduleAITurn();
+        }
+
         console.log(`CombatSystem: Combat ${this.combatId} started against ${opponent.name}`);
 
         return {
@@ -139,14 +166,129 @@ class CombatSystem {
 
         // Process AI turn if combat continues
         if (this.currentCombat && this.currentCombat.state === 'in_progress') {
-            setTimeout(() => {
-                this._processAITurn();
-            }, 1000); // 1 second delay for AI action
+            this._scheduleAITurn();
         }
 
         return actionResult;
     }
 
+    /**
+     * Fight a combat to completion synchronously
+     * The player's turns are chosen by a policy and the opponent acts immediately instead of
+     * after a timer. A virtual clock advances by turnDuration per action, so cooldowns and the
+     * time limit behave as they would in live play.
+     * @param {Object} opponent - Opponent data
+     * @param {Object} options - Combat options plus policy, maxTurns and turnDuration
+     * @param {Function|Array|Object} options.policy - (combatState, player, opponent) => { action, data },
+     *        a priority list, or { priorities }; defaults to getLoadoutPolicy()
+     * @param {number} options.maxTurns - Rounds before the fight is called a timeout
+     * @param {number} options.turnDuration - Virtual milliseconds per action
+     * @param {boolean} options.grantRewards - Pay victory loot; off by default beside a live combat
+     * @param {boolean} options.recordStatistics - Count the result in the combat statistics; off by default beside a live combat
+     * @returns {Object} Simulation result with the full turn log
+     */
+    simulateCombat(opponent, options = {}) {
+        // A live combat is set aside while the simulation runs, so AI matches and previews can happen during it
+        const liveCombat = this.currentCombat;
+        const liveCombatId = this.combatId;
+
+        const {
+            policy = null,
+            maxTurns = 200,
+            turnDuration = 1000,
+            grantRewards = !liveCombat,
+            recordStatistics = !liveCombat,
+            ...combatOptions
+        } = options;
+        const choosePlayerAction = this._resolvePolicy(policy);
+
+        this.currentCombat = null;
+
+        try {
+            this.startCombat(opponent, {
+                ...combatOptions,
+                simulated: true,
+                turnDuration: turnDuration,
+                grantRewards: grantRewards,
+                recordStatistics: recordStatistics
+            });
+
+            const combat = this.currentCombat;
+            const startTime = combat.startTime;
+
+            while (combat.state === 'in_progress' && combat.turnNumber <= maxTurns) {
+                if (combat.turnOrder[combat.currentTurnIndex] === 'player') {
+                    this._simulatePlayerTurn(choosePlayerAction);
+                } else {
+                    this._processAITurn();
+                }
+
+                combat.clock += turnDuration;
+            }
+
+            if (combat.state === 'in_progress') {
+                this._endCombat('timeout');
+            }
+
+            return {
+                success: true,
+                combatId: combat.id,
+                result: combat.result,
+                turns: combat.turnNumber,
+                duration: combat.endTime - startTime,
+                player: {
+                    currentHealth: combat.player.currentHealth,
+                    maxHealth: combat.player.maxHealth,
+                    currentQi: combat.player.currentQi
+                },
+                opponent: {
+                    id: combat.opponent.id,
+                    name: combat.opponent.name,
+                    currentHealth: combat.opponent.currentHealth,
+                    maxHealth: combat.opponent.maxHealth
+                },
+                log: combat.combatLog
+            };
+        } finally {
+            this.currentCombat = liveCombat;
+            this.combatId = liveCombatId;
+        }
+    }
+
+    /**
+     * Build a player policy from the equipped skill loadout
+     * Loadout order is priority order: offensive active skills become technique uses and
+     * defensive skills a defend when health runs low, with basic attacks filling in.
+     * @param {Array<string>} loadout - Skill IDs (defaults to the saved loadout)
+     * @returns {Array<Object>} Priority list for simulateCombat
+     */
+    getLoadoutPolicy(loadout = this.gameState.get('skills.loadout') || []) {
+        const definitions = window.SkillData ? window.SkillData.SKILL_DEFINITIONS : {};
+        const priorities = [];
+
+        for (const skillId of loadout) {
+            const skill = definitions[skillId];
+            if (!skill || skill.category !== 'combat') {
+                continue;
+            }
+
+            const tags = skill.tags || [];
+            let entry = null;
+            if (tags.includes('defense') || tags.includes('survival')) {
+                entry = { action: 'defend', healthBelow: 0.35 };
+            } else if (tags.includes('active')) {
+                entry = { action: 'technique' };
+            }
+
+            if (entry && !priorities.some(existing => existing.action === entry.action)) {
+                priorities.push({ ...entry, data: { skill: skillId } });
+            }
+        }
+
+        priorities.push({ action: 'attack' });
+        return priorities;
+    }
+
     /**
      * Attempt to retreat from combat
      * @returns {Object} Retreat result
@@ -185,7 +327,7 @@ class CombatSystem {
 
         retreatChance = Math.max(0.1, Math.min(0.9, retreatChance));
 
-        const success = Math.random() < retreatChance;
+        const success = this.rng.random() < retreatChance;
 
         if (success) {
             this._endCombat('retreated');
@@ -202,9 +344,11 @@ class CombatSystem {
         } else {
             // Failed retreat counts as a turn
             this._advanceTurn();
+            this._scheduleAITurn();
 
             this.eventManager.emit('combat:retreat_failed', {
                 combatId: this.combatId,
+                simulated: this.currentCombat.simulated,
                 chance: retreatChance
             });
 
@@ -216,6 +360,23 @@ class CombatSystem {
         }
     }
 
+    /**
+     * Per-tick update from the game loop
+     * Times out a player turn that ran past the turn time limit (the player auto-defends)
+     * @param {number} deltaTime - Time since last update
+     */
+    update(deltaTime) {
+        const combat = this.currentCombat;
+        if (!combat || combat.simulated || combat.state !== 'in_progress') {
+            return;
+        }
+
+        const currentTurn = combat.turnOrder[combat.currentTurnIndex];
+        if (currentTurn === 'player' && Date.now() - combat.lastActionTime >= combat.turnTimeLimit) {
+            this._handleTurnTimeout();
+        }
+    }
+
     /**
      * Get current combat state (public view)
      * @returns {Object|null} Combat state or null if no combat
@@ -246,6 +407,114 @@ class CombatSystem {
         }
     }
 
+    /**
+     * List recorded replays, newest first
+     * @returns {Array} Replay summaries
+     */
+    getReplays() {
+        return this.replays.map(replay => ({
+            id: replay.id,
+            combatType: replay.combatType,
+            startTime: replay.startTime,
+            duration: replay.duration,
+            result: replay.result,
+            turns: replay.turns,
+            events: replay.events.length,
+            imported: !!replay.imported,
+            player: { name: replay.combatants.player.name, power: replay.combatants.player.power },
+            opponent: { name: replay.combatants.opponent.name, power: replay.combatants.opponent.power }
+        })).reverse();
+    }
+
+    /**
+     * Get a recorded replay
+     * @param {string} replayId - Replay ID
+     * @returns {Object|null} Replay
+     */
+    getReplay(replayId) {
+        return this.replays.find(replay => replay.id === replayId) || null;
+    }
+
+    /**
+     * Encode a replay as a string that can be shared and imported elsewhere
+     * @param {string} replayId - Replay ID
+     * @returns {Object} Export result with the replay code
+     */
+    exportReplay(replayId) {
+        const replay = this.getReplay(replayId);
+        if (!replay) {
+            return {
+                success: false,
+                reason: 'replay_not_found'
+            };
+        }
+
+        const { imported, ...shared } = replay;
+        const code = this.replayConfig.exportPrefix + btoa(unescape(encodeURIComponent(JSON.stringify(shared))));
+
+        return {
+            success: true,
+            code: code
+        };
+    }
+
+    /**
+     * Add a replay shared as an exported string
+     * @param {string} code - Replay code from exportReplay
+     * @returns {Object} Import result
+     */
+    importReplay(code) {
+        const trimmed = String(code || '').trim();
+        if (!trimmed.startsWith(this.replayConfig.exportPrefix)) {
+            return {
+                success: false,
+                reason: 'invalid_replay_code'
+            };
+        }
+
+        let replay;
+        try {
+            replay = JSON.parse(decodeURIComponent(escape(atob(trimmed.slice(this.replayConfig.exportPrefix.length)))));
+        } catch (error) {
+            return {
+                success: false,
+                reason: 'invalid_replay_code'
+            };
+        }
+
+        if (!this._isValidReplay(replay)) {
+            return {
+                success: false,
+                reason: 'invalid_replay_data'
+            };
+        }
+
+        // A replay already in the history is shown rather than stored twice
+        const existing = this.replays.find(stored => stored.id === replay.id && stored.startTime === replay.startTime);
+        if (existing) {
+            return {
+                success: true,
+                replayId: existing.id,
+                duplicate: true
+            };
+        }
+
+        replay.imported = true;
+        if (this.getReplay(replay.id)) {
+            replay.id = `${replay.id}_imported_${Date.now()}`;
+        }
+        this._storeReplay(replay);
+
+        this.eventManager.emit('combat:replay_imported', {
+            replayId: replay.id
+        });
+
+        return {
+            success: true,
+            replayId: replay.id
+        };
+    }
+
     // Private methods
 
     /**
@@ -278,6 +547,8 @@ class CombatSystem {
         return {
             id: this.combatId,
             state: 'initializing', // 'initializing', 'in_progress', 'ended'
+            simulated: !!config.simulated,
+            clock: Date.now(), // Virtual time for simulated combats
             result: null, // 'victory', 'defeat', 'retreated', 'timeout'
             startTime: Date.now(),
             endTime: null,
@@ -295,6 +566,7 @@ class CombatSystem {
                 player: [],
                 opponent: []
             },
+            replay: null, // Recording in progress, see _startReplay
 
             lastActionTime: Date.now(),
             turnTimeLimit: 30000 // 30 seconds per turn
@@ -306,7 +578,8 @@ class CombatSystem {
      * @returns {Object} Player combat data
      */
     _getPlayerCombatData() {
-        const powerCalc = this.powerCalculator.calculatePlayerPower({ breakdown: true });
+        // Skill effects reach combat through the modifiers below, so they stay out of the power
+        const powerCalc = this.powerCalculator.calculatePlayerPower({ breakdown: true, includeSkillPower: false });
         const combatStats = this.powerCalculator.calculateCombatStats(
             this.powerCalculator._getPlayerData()
         );
@@ -463,6 +736,15 @@ class CombatSystem {
         // Execute the action
         const actionResult = this._performAction(action, actionData, player, opponent);
 
+        // A successful retreat ends the combat on the spot
+        if (this.currentCombat !== combat) {
+            return {
+                success: true,
+                result: actionResult,
+                combatState: null
+            };
+        }
+
         // Apply action costs and cooldowns
         this._applyActionCosts(action, actionData, player);
 
@@ -474,7 +756,7 @@ class CombatSystem {
             actor: 'player',
             action: action,
             result: actionResult,
-            timestamp: Date.now()
+            timestamp: this._now()
         });
 
         // Advance turn
@@ -482,6 +764,7 @@ class CombatSystem {
 
         this.eventManager.emit('combat:action_executed', {
             combatId: this.combatId,
+            simulated: this.currentCombat.simulated,
             actor: 'player',
             action: action,
             result: actionResult,
@@ -495,6 +778,91 @@ class CombatSystem {
         };
     }
 
+    /**
+     * Queue the AI turn after a short delay
+     */
+    _scheduleAITurn() {
+        // Simulated combats take the AI turn from simulateCombat's loop
+        if (this.currentCombat && this.currentCombat.simulated) {
+            return;
+        }
+
+        setTimeout(() => {
+            this._processAITurn();
+        }, 1000); // 1 second delay for AI action
+    }
+
+    /**
+     * Take the player's turn in a simulated combat
+     * Falls back to a basic attack if the chosen action is not possible, and passes the
+     * turn when the player cannot act at all (e.g. stunned).
+     * @param {Function} choosePlayerAction - Policy function
+     */
+    _simulatePlayerTurn(choosePlayerAction) {
+        const combat = this.currentCombat;
+        const choice = choosePlayerAction(this._getPublicCombatState(), combat.player, combat.opponent) ||
+            { action: 'attack' };
+
+        let actionResult = this.executeAction(choice.action, choice.data || {});
+        if (!actionResult.success && choice.action !== 'attack') {
+            actionResult = this.executeAction('attack');
+        }
+
+        if (!actionResult.success) {
+            this._processStatusEffects('player');
+            this._addToCombatLog({
+                actor: 'player',
+                action: 'pass',
+                result: { reason: actionResult.reason },
+                timestamp: this._now()
+            });
+            this._advanceTurn();
+        }
+    }
+
+    /**
+     * Turn a simulateCombat policy option into a function choosing the player's action
+     * @param {Function|Array|Object|null} policy - Policy option
+     * @returns {Function} (combatState, player, opponent) => { action, data }
+     */
+    _resolvePolicy(policy) {
+        if (typeof policy === 'function') {
+            return policy;
+        }
+
+        const priorities = Array.isArray(policy) ? policy :
+            (policy && policy.priorities) || this.getLoadoutPolicy();
+
+        return (combatState, player, opponent) => {
+            for (const priority of priorities) {
+                const entry = typeof priority === 'string' ? { action: priority } : priority;
+
+                if (entry.healthBelow !== undefined && player.currentHealth / player.maxHealth >= entry.healthBelow) {
+                    continue;
+                }
+                if (entry.opponentHealthBelow !== undefined &&
+                    opponent.currentHealth / opponent.maxHealth >= entry.opponentHealthBelow) {
+                    continue;
+                }
+                if (!this._validateAction(entry.action, entry.data || {}, player).valid) {
+                    continue;
+                }
+
+                return { action: entry.action, data: entry.data || {} };
+            }
+
+            return { action: 'attack', data: {} };
+        };
+    }
+
+    /**
+     * Current combat time: virtual for simulated combats, wall clock otherwise
+     * @returns {number} Timestamp in milliseconds
+     */
+    _now() {
+        return this.currentCombat && this.currentCombat.simulated ? this.currentCombat.clock : Date.now();
+    }
+
     /**
      * Process AI turn
      */
@@ -513,12 +881,33 @@ class CombatSystem {
         const opponent = combat.opponent;
         const player = combat.player;
 
+        // A stunned opponent loses its turn
+        if (combat.statusEffects.opponent.some(effect => effect.skipTurn)) {
+            this._processStatusEffects('opponent');
+            this._addToCombatLog({
+                actor: 'opponent',
+                action: 'pass',
+                result: { reason: 'stunned', message: `${opponent.name} is stunned and cannot act!` },
+                timestamp: this._now()
+            });
+            this._checkCombatEnd();
+            if (this.currentCombat && this.currentCombat.state === 'in_progress') {
+                this._advanceTurn();
+            }
+            return;
+        }
+
         // AI decision making
         const aiAction = this._selectAIAction(opponent, player);
 
         // Execute AI action
         const actionResult = this._performAction(aiAction.action, aiAction.data, opponent, player);
 
+        // A successful retreat ends the combat on the spot
+        if (this.currentCombat !== combat) {
+            return;
+        }
+
         // Apply costs and effects
         this._applyActionCosts(aiAction.action, aiAction.data, opponent);
         this._processStatusEffects('opponent');
@@ -528,7 +917,7 @@ class CombatSystem {
             actor: 'opponent',
             action: aiAction.action,
             result: actionResult,
-            timestamp: Date.now()
+            timestamp: this._now()
         });
 
         // Check for combat end
@@ -541,6 +930,7 @@ class CombatSystem {
 
         this.eventManager.emit('combat:ai_action_executed', {
             combatId: this.combatId,
+            simulated: combat.simulated,
             action: aiAction.action,
             result: actionResult,
             combatState: this._getPublicCombatState()
@@ -559,29 +949,29 @@ class CombatSystem {
         const playerHealthRatio = player.currentHealth / player.maxHealth;
 
         // Retreat logic
-        if (healthRatio < ai.retreat_threshold && Math.random() < 0.3) {
+        if (healthRatio < ai.retreat_threshold && this.rng.random() < 0.3) {
             return { action: 'retreat', data: {} };
         }
 
         // Defend if low on health
-        if (healthRatio < 0.3 && Math.random() < 0.4) {
+        if (healthRatio < 0.3 && this.rng.random() < 0.4) {
             return { action: 'defend', data: {} };
         }
 
         // Use technique based on AI settings
-        if (opponent.currentQi >= 20 && Math.random() < ai.technique_usage) {
+        if (opponent.currentQi >= 20 && this.rng.random() < ai.technique_usage) {
             const techniques = opponent.abilities.filter(ability =>
                 ability !== 'basic_attack' && ability !== 'defend' && ability !== 'retreat'
             );
 
             if (techniques.length > 0) {
-                const technique = techniques[Math.floor(Math.random() * techniques.length)];
+                const technique = this.rng.pick(techniques);
                 return { action: 'technique', data: { technique: technique } };
             }
         }
 
         // Default to basic attack with some aggression-based variation
-        if (Math.random() < ai.aggression) {
+        if (this.rng.random() < ai.aggression) {
             return { action: 'attack', data: { aggressive: true } };
         } else {
             return { action: 'attack', data: {} };
@@ -611,7 +1001,7 @@ class CombatSystem {
         const lastUsed = actor.actionCooldowns[cooldownKey] || 0;
         const cooldownTime = actionConfig.cooldown * 1000; // Convert to milliseconds
 
-        if (Date.now() - lastUsed < cooldownTime) {
+        if (this._now() - lastUsed < cooldownTime) {
             return {
                 valid: false,
                 reason: 'on_cooldown',
@@ -691,7 +1081,7 @@ class CombatSystem {
         const actionConfig = window.COMBAT_ACTIONS.ATTACK;
 
         // Calculate hit chance
-        const hitRoll = Math.random();
+        const hitRoll = this.rng.random();
         const accuracy = actionConfig.accuracy * (actionData.aggressive ? 0.9 : 1.0);
 
         if (hitRoll > accuracy) {
@@ -703,21 +1093,23 @@ class CombatSystem {
         }
 
         // Calculate critical hit
-        const critRoll = Math.random();
-        const critChance = actionConfig.critChance * (actionData.aggressive ? 1.5 : 1.0);
+        const critRoll = this.rng.random();
+        const critChance = actionConfig.critChance * (actionData.aggressive ? 1.5 : 1.0) +
+            (actor.modifiers?.critChanceBonus || 0);
         const isCritical = critRoll < critChance;
 
         // Calculate damage
-        const damage = window.COMBAT_FORMULAS.calculateDamage(
+        const damage = this._reduceDamage(target, window.COMBAT_FORMULAS.calculateDamage(
             actor.power,
             target.power,
             'ATTACK',
             isCritical,
             actor.modifiers
-        );
+        ));
 
         // Apply damage
         target.currentHealth = Math.max(0, target.currentHealth - damage);
+        const stunned = this._rollStun(actor, target);
 
         // Update statistics
         if (actor.type === 'player') {
@@ -733,7 +1125,9 @@ class CombatSystem {
             type: isCritical ? 'critical_hit' : 'hit',
             damage: damage,
             remainingHealth: target.currentHealth,
-            message: `${actor.name} ${isCritical ? 'critically ' : ''}attacks for ${damage} damage!`
+            stunned: stunned,
+            message: `${actor.name} ${isCritical ? 'critically ' : ''}attacks for ${damage} damage!` +
+                (stunned ? ` ${target.name} is stunned!` : '')
         };
     }
 
@@ -779,7 +1173,7 @@ class CombatSystem {
         // For now, techniques are enhanced attacks
         // In the future, specific techniques could have unique effects
 
-        const hitRoll = Math.random();
+        const hitRoll = this.rng.random();
         if (hitRoll > actionConfig.accuracy) {
             return {
                 type: 'miss',
@@ -788,18 +1182,19 @@ class CombatSystem {
             };
         }
 
-        const critRoll = Math.random();
-        const isCritical = critRoll < actionConfig.critChance;
+        const critRoll = this.rng.random();
+        const isCritical = critRoll < actionConfig.critChance + (actor.modifiers?.critChanceBonus || 0);
 
-        const damage = window.COMBAT_FORMULAS.calculateDamage(
+        const damage = this._reduceDamage(target, window.COMBAT_FORMULAS.calculateDamage(
             actor.power,
             target.power,
             'TECHNIQUE',
             isCritical,
             actor.modifiers
-        );
+        ));
 
         target.currentHealth = Math.max(0, target.currentHealth - damage);
+        const stunned = this._rollStun(actor, target);
 
         // Update statistics
         if (actor.type === 'player') {
@@ -815,10 +1210,44 @@ class CombatSystem {
             type: isCritical ? 'critical_technique' : 'technique',
             damage: damage,
             remainingHealth: target.currentHealth,
-            message: `${actor.name} uses a powerful technique for ${damage} damage!`
+            stunned: stunned,
+            message: `${actor.name} uses a powerful technique for ${damage} damage!` +
+                (stunned ? ` ${target.name} is stunned!` : '')
         };
     }
 
+    /**
+     * Apply the target's damage reduction from skills (capped at 75%)
+     * @param {Object} target - Target
+     * @param {number} damage - Incoming damage
+     * @returns {number} Damage taken
+     */
+    _reduceDamage(target, damage) {
+        const reduction = Math.min(0.75, target.modifiers?.damageReduction || 0);
+        if (reduction <= 0) {
+            return damage;
+        }
+
+        return Math.max(1, Math.round(damage * (1 - reduction)));
+    }
+
+    /**
+     * Roll the attacker's stun chance from skills and stun the target on success
+     * Only rolls when the attacker has a stun chance, so fights without one use the same random sequence
+     * @param {Object} actor - Attacker
+     * @param {Object} target - Target
+     * @returns {boolean} Whether the target was stunned
+     */
+    _rollStun(actor, target) {
+        const stunChance = actor.modifiers?.stunChance || 0;
+        if (stunChance <= 0 || target.currentHealth <= 0 || this.rng.random() >= stunChance) {
+            return false;
+        }
+
+        this._applyStatusEffect(target, window.COMBAT_STATUS_EFFECTS.STUNNED);
+        return true;
+    }
+
     /**
      * Perform retreat action (for AI)
      * @param {Object} actor - Actor attempting to retreat
@@ -831,7 +1260,7 @@ class CombatSystem {
 
         // AI retreat logic
         const retreatChance = 0.7; // AI has 70% base retreat chance
-        const success = Math.random() < retreatChance;
+        const success = this.rng.random() < retreatChance;
 
         if (success) {
             this._endCombat('opponent_retreated');
@@ -861,13 +1290,13 @@ class CombatSystem {
 
         // Set cooldown
         if (actionConfig.cooldown > 0) {
-            actor.actionCooldowns[action] = Date.now();
+            actor.actionCooldowns[action] = this._now();
         }
 
         // Update last action
         actor.lastAction = {
             action: action,
-            timestamp: Date.now()
+            timestamp: this._now()
         };
     }
 
@@ -891,9 +1320,11 @@ class CombatSystem {
         // Add new effect
         effectsList.push({
             ...effect,
-            startTime: Date.now(),
+            startTime: this._now(),
             remainingDuration: effect.duration
         });
+
+        this._recordReplayEffect(actor.type === 'player' ? 'player' : 'opponent', effect.id, 'applied');
     }
 
     /**
@@ -919,9 +1350,10 @@ class CombatSystem {
                     result: {
                         target: actorType,
                         effect: effect.name,
+                        effectId: effect.id,
                         damage: damage
                     },
-                    timestamp: Date.now()
+                    timestamp: this._now()
                 });
             }
 
@@ -931,6 +1363,7 @@ class CombatSystem {
             // Remove expired effects
             if (effect.remainingDuration <= 0) {
                 effectsList.splice(i, 1);
+                this._recordReplayEffect(actorType, effect.id, 'expired');
             }
         }
     }
@@ -958,7 +1391,7 @@ class CombatSystem {
         }
 
         // Check for timeout
-        const combatDuration = Date.now() - this.currentCombat.startTime;
+        const combatDuration = this._now() - this.currentCombat.startTime;
         if (combatDuration > this.currentCombat.config.timeLimit) {
             this._endCombat('timeout');
             return;
@@ -976,31 +1409,36 @@ class CombatSystem {
 
         this.currentCombat.state = 'ended';
         this.currentCombat.result = result;
-        this.currentCombat.endTime = Date.now();
+        this.currentCombat.endTime = this._now();
 
         const duration = this.currentCombat.endTime - this.currentCombat.startTime;
+        const replay = this._finishReplay(result);
+        const { grantRewards, recordStatistics } = this.currentCombat.config;
 
         // Update statistics
-        if (result === 'victory') {
-            this.statistics.combatsWon++;
-
-            // Check for perfect victory
-            if (this.currentCombat.player.currentHealth === this.currentCombat.player.maxHealth) {
-                this.statistics.perfectVictories++;
+        if (recordStatistics) {
+            if (result === 'victory') {
+                this.statistics.combatsWon++;
+
+                // Check for perfect victory
+                if (this.currentCombat.player.currentHealth === this.currentCombat.player.maxHealth) {
+                    this.statistics.perfectVictories++;
+                }
+            } else if (result === 'defeat') {
+                this.statistics.combatsLost++;
             }
 
-            // Process victory rewards
-            this._processVictoryRewards();
-
-        } else if (result === 'defeat') {
-            this.statistics.combatsLost++;
+            // Update average combat duration
+            const totalCombats = this.statistics.combatsWon + this.statistics.combatsLost;
+            if (totalCombats > 0) {
+                this.statistics.averageCombatDuration =
+                    (this.statistics.averageCombatDuration * (totalCombats - 1) + duration) / totalCombats;
+            }
         }
 
-        // Update average combat duration
-        const totalCombats = this.statistics.combatsWon + this.statistics.combatsLost;
-        if (totalCombats > 0) {
-            this.statistics.averageCombatDuration =
-                (this.statistics.averageCombatDuration * (totalCombats - 1) + duration) / totalCombats;
+        // Process victory rewards
+        if (result === 'victory' && grantRewards) {
+            this._processVictoryRewards();
         }
 
         // Save statistics
@@ -1010,6 +1448,8 @@ class CombatSystem {
             combatId: this.combatId,
             result: result,
             duration: duration,
+            simulated: this.currentCombat.simulated,
+            replayId: replay ? replay.id : null,
             player: this.currentCombat.player,
             opponent: this.currentCombat.opponent,
             statistics: this.statistics
@@ -1037,26 +1477,26 @@ class CombatSystem {
         if (opponent.loot.jade) {
             const jade = Math.floor(
                 opponent.loot.jade.min +
-                Math.random() * (opponent.loot.jade.max - opponent.loot.jade.min)
+                this.rng.random() * (opponent.loot.jade.max - opponent.loot.jade.min)
             );
             rewards.jade = jade;
-            this.gameState.increment('player.jade', jade);
+            this.gameState.increment('player.jade', jade, { source: 'combat:loot' });
         }
 
         // Calculate spirit crystals reward
         if (opponent.loot.spiritCrystals) {
             const crystals = Math.floor(
                 opponent.loot.spiritCrystals.min +
-                Math.random() * (opponent.loot.spiritCrystals.max - opponent.loot.spiritCrystals.min)
+                this.rng.random() * (opponent.loot.spiritCrystals.max - opponent.loot.spiritCrystals.min)
             );
             rewards.spiritCrystals = crystals;
-            this.gameState.increment('player.spiritCrystals', crystals);
+            this.gameState.increment('player.spiritCrystals', crystals, { source: 'combat:loot' });
         }
 
         // Roll for item drops
         if (opponent.loot.items && opponent.loot.chance) {
-            if (Math.random() < opponent.loot.chance) {
-                const item = opponent.loot.items[Math.floor(Math.random() * opponent.loot.items.length)];
+            if (this.rng.random() < opponent.loot.chance) {
+                const item = this.rng.pick(opponent.loot.items);
                 rewards.item = item;
                 // Item would be added to inventory (not implemented yet)
             }
@@ -1064,6 +1504,7 @@ class CombatSystem {
 
         this.eventManager.emit('combat:rewards_received', {
             combatId: this.combatId,
+            simulated: this.currentCombat.simulated,
             rewards: rewards
         });
     }
@@ -1079,7 +1520,7 @@ class CombatSystem {
             this.currentCombat.turnNumber++;
         }
 
-        this.currentCombat.lastActionTime = Date.now();
+        this.currentCombat.lastActionTime = this._now();
 
         this.eventManager.emit('combat:turn_advanced', {
             combatId: this.combatId,
@@ -1110,14 +1551,186 @@ class CombatSystem {
      * @param {Object} logEntry - Log entry
      */
     _addToCombatLog(logEntry) {
-        this.currentCombat.combatLog.push(logEntry);
+        this.currentCombat.combatLog.push({
+            turn: this.currentCombat.turnNumber,
+            ...logEntry
+        });
+        this._recordReplayEvent(logEntry);
 
-        // Limit log size to prevent memory issues
-        if (this.currentCombat.combatLog.length > 100) {
+        // Limit log size to prevent memory issues; simulations return the full turn log
+        if (!this.currentCombat.simulated && this.currentCombat.combatLog.length > 100) {
             this.currentCombat.combatLog = this.currentCombat.combatLog.slice(-50);
         }
     }
 
+    /**
+     * Begin recording the current combat
+     * Captures the combatants as they enter the fight and the turn order
+     */
+    _startReplay() {
+        const combat = this.currentCombat;
+        if (combat.simulated && !this.replayConfig.recordSimulated) {
+            return;
+        }
+
+        const snapshot = (combatant) => ({
+            id: combatant.id || combatant.type,
+            name: combatant.name,
+            power: Math.round(combatant.power),
+            maxHealth: combatant.maxHealth,
+            maxQi: combatant.maxQi,
+            initiative: Math.round(combatant.initiative)
+        });
+
+        combat.replay = {
+            v: this.replayConfig.version,
+            id: `replay_${combat.startTime}_${combat.id}`,
+            combatType: combat.config.type,
+            startTime: combat.startTime,
+            endTime: null,
+            duration: 0,
+            result: null,
+            turns: 0,
+            combatants: {
+                player: snapshot(combat.player),
+                opponent: snapshot(combat.opponent)
+            },
+            turnOrder: [...combat.turnOrder],
+            events: [],
+            truncated: false,
+            pendingEffects: []
+        };
+    }
+
+    /**
+     * Note a status effect change for the next replay event
+     * @param {string} target - 'player' or 'opponent'
+     * @param {string} effectId - Status effect ID
+     * @param {string} change - 'applied' or 'expired'
+     */
+    _recordReplayEffect(target, effectId, change) {
+        const replay = this.currentCombat && this.currentCombat.replay;
+        if (replay) {
+            replay.pendingEffects.push([target, effectId, change]);
+        }
+    }
+
+    /**
+     * Record a combat log entry as a compact replay event
+     * Events keep t (turn), a (actor), k (action), o (outcome), d (damage), on/e (status damage
+     * target and effect), h and q ([player, opponent] health and qi afterwards) and fx (status
+     * effect changes as [target, effectId, change])
+     * @param {Object} logEntry - Combat log entry
+     */
+    _recordReplayEvent(logEntry) {
+        const combat = this.currentCombat;
+        const replay = combat.replay;
+        if (!replay) {
+            return;
+        }
+
+        // The closing event is always kept so a cut-off replay still shows how the fight ended
+        if (replay.events.length >= this.replayConfig.maxEvents && logEntry.action !== 'end') {
+            replay.truncated = true;
+            return;
+        }
+
+        const result = logEntry.result || {};
+        const event = {
+            t: combat.turnNumber,
+            a: logEntry.actor,
+            k: logEntry.action,
+            h: [Math.round(combat.player.currentHealth), Math.round(combat.opponent.currentHealth)],
+            q: [Math.round(combat.player.currentQi), Math.round(combat.opponent.currentQi)]
+        };
+
+        if (result.type || result.reason) event.o = result.type || result.reason;
+        if (result.damage) event.d = result.damage;
+        if (result.target) event.on = result.target;
+        if (result.effectId) event.e = result.effectId;
+
+        if (replay.pendingEffects.length > 0) {
+            event.fx = replay.pendingEffects;
+            replay.pendingEffects = [];
+        }
+
+        replay.events.push(event);
+    }
+
+    /**
+     * Close the current combat's replay and add it to the history
+     * @param {string} result - Combat result
+     * @returns {Object|null} Finished replay
+     */
+    _finishReplay(result) {
+        const combat = this.currentCombat;
+        const replay = combat.replay;
+        if (!replay) {
+            return null;
+        }
+
+        this._recordReplayEvent({ actor: 'system', action: 'end', result: { type: result } });
+
+        replay.result = result;
+        replay.endTime = combat.endTime;
+        replay.duration = combat.endTime - combat.startTime;
+        replay.turns = combat.turnNumber;
+        delete replay.pendingEffects;
+
+        combat.replay = null;
+        this._storeReplay(replay);
+
+        return replay;
+    }
+
+    /**
+     * Add a replay to the history, dropping the oldest past the limit
+     * @param {Object} replay - Replay
+     */
+    _storeReplay(replay) {
+        this.replays.push(replay);
+        if (this.replays.length > this.replayConfig.maxReplays) {
+            this.replays = this.replays.slice(-this.replayConfig.maxReplays);
+        }
+        this.gameState.set('combatReplays', [...this.replays], { source: 'combat:replay' });
+    }
+
+    /**
+     * Check an imported replay has everything playback reads
+     * @param {Object} replay - Decoded replay
+     * @returns {boolean} Valid
+     */
+    _isValidReplay(replay) {
+        if (!replay || typeof replay !== 'object' || typeof replay.id !== 'string') {
+            return false;
+        }
+
+        const isNumber = (value) => typeof value === 'number' && isFinite(value);
+        const isPair = (pair) => Array.isArray(pair) && pair.length === 2 && pair.every(isNumber);
+        const optional = (check) => (value) => value === undefined || check(value);
+        const optionalString = optional(value => typeof value === 'string');
+        const isEffectChange = (change) => Array.isArray(change) && change.length === 3 &&
+            typeof change[0] === 'string' && typeof change[1] === 'string' &&
+            (change[2] === 'applied' || change[2] === 'expired');
+        const validEvent = (event) => !!event && typeof event.k === 'string' && isNumber(event.t) &&
+            isPair(event.h) && isPair(event.q) &&
+            optionalString(event.a) && optionalString(event.o) && optionalString(event.on) && optionalString(event.e) &&
+            optional(isNumber)(event.d) &&
+            optional(fx => Array.isArray(fx) && fx.every(isEffectChange))(event.fx);
+        const combatants = replay.combatants || {};
+        const validCombatant = (combatant) => !!combatant && typeof combatant.name === 'string' &&
+            isNumber(combatant.power) && isNumber(combatant.initiative) &&
+            isNumber(combatant.maxHealth) && combatant.maxHealth > 0 && isNumber(combatant.maxQi);
+
+        return validCombatant(combatants.player) &&
+            validCombatant(combatants.opponent) &&
+            typeof replay.result === 'string' &&
+            isNumber(replay.startTime) && isNumber(replay.turns) &&
+            Array.isArray(replay.turnOrder) &&
+            Array.isArray(replay.events) &&
+            replay.events.every(validEvent);
+    }
+
     /**
      * Apply initial combat effects
      */
@@ -1173,11 +1786,12 @@ class CombatSystem {
     }
 
     /**
-     * Save combat statistics to game state
+     * Save combat statistics and replays to game state
      */
     _saveStatistics() {
         this.gameState.update({
-            combatStats: this.statistics
+            combatStats: this.statistics,
+            combatReplays: [...this.replays]
         }, { source: 'combat:save' });
     }
 }
@@ -1,16 +1,23 @@
 /**
  * CraftingSystem - Comprehensive crafting and alchemy system
- * Handles recipe management, resource consumption, success rates, and item creation
+ * Handles recipe management, resource consumption, success rates, and item creation.
+ * Each category has its own workbench: a queue of pending jobs feeding parallel slots
+ * that unlock with the category's skill level.
  */
 class CraftingSystem {
     constructor(gameState, eventManager) {
         this.gameState = gameState;
         this.eventManager = eventManager;
-
-        // Crafting state
-        this.currentCrafting = null;
-        this.craftingQueue = [];
-        this.maxQueueSize = 5;
+        this.rng = randomManager.getStream('crafting');
+
+        // Crafting state: one workbench per category, each with running jobs and a queue
+        this.workbenches = {}; // category -> { active: [job], queue: [job] }
+        this.workbenchConfig = {
+            baseSlots: 1,
+            levelsPerSlot: 5,   // One more parallel slot every 5 skill levels
+            maxSlots: 4,
+            maxQueueSize: 5     // Pending jobs per category
+        };
 
         // Crafting statistics
         this.statistics = {
@@ -57,6 +64,8 @@ class CraftingSystem {
             divine_essence: 0
         };
 
+        this._mergeContentPackRecipes();
+
         this.isInitialized = false;
         console.log('CraftingSystem: Initialized');
     }
@@ -72,6 +81,7 @@ class CraftingSystem {
                 this.statistics = { ...this.statistics, ...savedData.statistics };
                 this.skills = { ...this.skills, ...savedData.skills };
                 this.materials = { ...this.materials, ...savedData.materials };
+                this._loadWorkbenches(savedData.workbenches);
             }
 
             this.isInitialized = true;
@@ -90,15 +100,26 @@ class CraftingSystem {
 
     /**
      * Start crafting an item
+     * Materials are reserved when the job is accepted, so a queued job can always start
+     * and cancelling it gives back exactly what it took.
      * @param {string} recipeId - Recipe identifier
      * @param {number} quantity - Number of items to craft
+     * @param {number} now - Time the job is accepted (defaults to the current time)
      * @returns {Object} Crafting result
      */
-    startCrafting(recipeId, quantity = 1) {
+    startCrafting(recipeId, quantity = 1, now = Date.now()) {
         if (!this.isInitialized) {
             throw new Error('CraftingSystem not initialized');
         }
 
+        if (!Number.isInteger(quantity) || quantity < 1) {
+            return {
+                success: false,
+                reason: 'invalid_quantity',
+                message: 'Quantity must be a positive whole number'
+            };
+        }
+
         const recipe = this.recipes[recipeId];
         if (!recipe) {
             return {
@@ -128,84 +149,137 @@ class CraftingSystem {
             };
         }
 
-        // Add to crafting queue if busy
-        if (this.currentCrafting) {
-            if (this.craftingQueue.length >= this.maxQueueSize) {
-                return {
-                    success: false,
-                    reason: 'queue_full',
-                    message: 'Crafting queue is full'
-                };
-            }
+        const workbench = this._getWorkbench(recipe.category);
+        const hasFreeSlot = workbench.active.length < this.getWorkbenchSlots(recipe.category);
 
-            this.craftingQueue.push({ recipeId, quantity });
+        // Add to the category's queue if every slot is busy
+        if (!hasFreeSlot && workbench.queue.length >= this.workbenchConfig.maxQueueSize) {
+            return {
+                success: false,
+                reason: 'queue_full',
+                message: `${recipe.category} queue is full`
+            };
+        }
+
+        const job = {
+            id: this._generateJobId(),
+            recipeId: recipe.id,
+            category: recipe.category,
+            quantity: quantity,
+            reserved: this.reserveMaterials(recipe, quantity),
+            queuedAt: now,
+            startTime: null,
+            totalTime: null,
+            successRate: null
+        };
+
+        if (!hasFreeSlot) {
+            workbench.queue.push(job);
+
+            this.eventManager.emit('crafting:queued', {
+                jobId: job.id,
+                recipeId: recipe.id,
+                category: recipe.category,
+                quantity: quantity,
+                position: workbench.queue.length
+            });
+
+            this.saveData();
             return {
                 success: true,
                 queued: true,
-                position: this.craftingQueue.length
+                jobId: job.id,
+                position: workbench.queue.length
             };
         }
 
         // Start crafting immediately
-        return this.executeCrafting(recipe, quantity);
+        this.executeCrafting(job, now);
+        this.saveData();
+
+        return {
+            success: true,
+            jobId: job.id,
+            craftingTime: job.totalTime,
+            successRate: job.successRate
+        };
     }
 
     /**
-     * Execute the crafting process
-     * @param {Object} recipe - Recipe data
-     * @param {number} quantity - Quantity to craft
-     * @returns {Object} Crafting result
+     * Put a job on a free workbench slot
+     * Success rate and duration are fixed when the job starts, using the skill level at that moment
+     * @param {Object} job - Job with its materials already reserved
+     * @param {number} startTime - When the job starts
      */
-    executeCrafting(recipe, quantity) {
-        // Consume materials
-        this.consumeMaterials(recipe, quantity);
-
-        // Calculate success rate
-        const successRate = this.calculateSuccessRate(recipe);
-        const craftingTime = this.calculateCraftingTime(recipe, quantity);
+    executeCrafting(job, startTime) {
+        const recipe = this.recipes[job.recipeId];
 
-        this.currentCrafting = {
-            recipe: recipe,
-            quantity: quantity,
-            remainingTime: craftingTime,
-            totalTime: craftingTime,
-            successRate: successRate,
-            startTime: Date.now()
-        };
+        job.successRate = this.calculateSuccessRate(recipe);
+        job.totalTime = this.calculateCraftingTime(recipe, job.quantity);
+        job.startTime = startTime;
 
-        // Start crafting timer
-        setTimeout(() => {
-            this.completeCrafting();
-        }, craftingTime);
+        this._getWorkbench(job.category).active.push(job);
 
         this.eventManager.emit('crafting:started', {
+            jobId: job.id,
             recipeId: recipe.id,
-            quantity: quantity,
-            craftingTime: craftingTime,
-            successRate: successRate
+            category: job.category,
+            quantity: job.quantity,
+            craftingTime: job.totalTime,
+            successRate: job.successRate
         });
+    }
 
-        return {
-            success: true,
-            craftingTime: craftingTime,
-            successRate: successRate
-        };
+    /**
+     * Finish every job that is due by the given time
+     * Queued jobs take over a freed slot at the moment the previous job ended, so a chain of
+     * crafts advances the same way whether it runs online or during offline time.
+     * @param {number} now - Time to check against
+     * @returns {Array<Object>} Completion summaries in the order the jobs finished
+     */
+    processJobs(now = Date.now()) {
+        const completed = [];
+
+        for (;;) {
+            const next = this._getActiveJobs()
+                .filter(job => job.startTime + job.totalTime <= now)
+                .sort((a, b) => (a.startTime + a.totalTime) - (b.startTime + b.totalTime))[0];
+
+            if (!next) {
+                break;
+            }
+
+            const endTime = next.startTime + next.totalTime;
+            completed.push(this.completeCrafting(next, endTime));
+            this._fillWorkbenches(endTime);
+        }
+
+        if (completed.length > 0) {
+            this.saveData();
+        }
+
+        return completed;
     }
 
     /**
-     * Complete the crafting process
+     * Complete a crafting job
+     * @param {Object} job - Active job
+     * @param {number} completedAt - When the job finished
+     * @returns {Object} Completion summary
      */
-    completeCrafting() {
-        if (!this.currentCrafting) return;
+    completeCrafting(job, completedAt = Date.now()) {
+        const workbench = this._getWorkbench(job.category);
+        workbench.active = workbench.active.filter(active => active.id !== job.id);
 
-        const { recipe, quantity, successRate } = this.currentCrafting;
+        const recipe = this.recipes[job.recipeId];
+        const { quantity, successRate } = job;
         const results = [];
         let successCount = 0;
         let failCount = 0;
 
         // Roll for each item
         for (let i = 0; i < quantity; i++) {
-            const roll = Math.random();
+            const roll = this.rng.random();
             const success = roll < successRate;
 
             if (success) {
@@ -235,53 +309,116 @@ class CraftingSystem {
         this.statistics.totalValueCrafted += totalValue;
 
         this.eventManager.emit('crafting:completed', {
+            jobId: job.id,
             recipe: recipe,
             quantity: quantity,
             successCount: successCount,
             failCount: failCount,
             results: results,
-            totalValue: totalValue
+            totalValue: totalValue,
+            completedAt: completedAt
         });
 
         console.log(`CraftingSystem: Completed ${recipe.name} x${quantity} (${successCount} success, ${failCount} failed)`);
 
-        // Clear current crafting
-        this.currentCrafting = null;
-
-        // Process queue
-        if (this.craftingQueue.length > 0) {
-            const next = this.craftingQueue.shift();
-            const nextRecipe = this.recipes[next.recipeId];
-            if (nextRecipe) {
-                setTimeout(() => {
-                    this.executeCrafting(nextRecipe, next.quantity);
-                }, 1000); // Small delay between crafts
-            }
-        }
-
-        // Save progress
-        this.saveData();
+        return {
+            jobId: job.id,
+            recipeId: recipe.id,
+            category: job.category,
+            itemName: recipe.result.name,
+            quantity: quantity,
+            successCount: successCount,
+            failCount: failCount,
+            totalValue: totalValue,
+            completedAt: completedAt
+        };
     }
 
     /**
-     * Cancel current crafting
+     * Cancel a crafting job
+     * A queued job gets all of its reserved materials back; a job already on the workbench
+     * has started using them and refunds 75%.
+     * @param {string|null} jobId - Job to cancel; defaults to the oldest running job
      * @returns {Object} Cancellation result
      */
-    cancelCrafting() {
-        if (!this.currentCrafting) {
-            return { success: false, reason: 'no_crafting_in_progress' };
+    cancelCrafting(jobId = null) {
+        const job = jobId
+            ? this._findJob(jobId)
+            : this._getActiveJobs().sort((a, b) => a.startTime - b.startTime)[0];
+
+        if (!job) {
+            return { success: false, reason: jobId ? 'job_not_found' : 'no_crafting_in_progress' };
         }
 
-        const refundRate = 0.75; // 75% material refund
-        this.refundMaterials(this.currentCrafting.recipe, this.currentCrafting.quantity, refundRate);
+        const workbench = this._getWorkbench(job.category);
+        const wasActive = workbench.active.includes(job);
+        const refundRate = wasActive ? 0.75 : 1;
+
+        workbench.active = workbench.active.filter(other => other !== job);
+        workbench.queue = workbench.queue.filter(other => other !== job);
+
+        const refunded = this.refundMaterials(job.reserved, refundRate);
 
         this.eventManager.emit('crafting:cancelled', {
-            recipe: this.currentCrafting.recipe,
-            refundRate: refundRate
+            jobId: job.id,
+            recipe: this.recipes[job.recipeId],
+            category: job.category,
+            wasActive: wasActive,
+            refundRate: refundRate,
+            refunded: refunded
         });
 
-        this.currentCrafting = null;
-        return { success: true, refundRate: refundRate };
+        // A freed slot goes to the next job in line
+        if (wasActive) {
+            this._fillWorkbenches(Date.now());
+        }
+
+        this.saveData();
+        return { success: true, jobId: job.id, refundRate: refundRate, refunded: refunded };
+    }
+
+    /**
+     * Finish due jobs as time passes
+     * @param {number} deltaTime - Time since last update in milliseconds
+     */
+    update(deltaTime) {
+        if (!this.isInitialized) return;
+
+        this.processJobs(Date.now());
+    }
+
+    /**
+     * End times of the running jobs, so offline time is split where each one finishes
+     * @returns {Array<Object>} Timers [{ type, endsAt }]
+     */
+    getIdleTimers() {
+        return this._getActiveJobs().map(job => ({ type: job.category, endsAt: job.startTime + job.totalTime }));
+    }
+
+    /**
+     * Process idle time, finishing running and queued jobs that fall due by `now`
+     * @param {number} timeElapsed - Length of the idle period in milliseconds
+     * @param {number} now - End of the idle period (defaults to the current time)
+     * @returns {Object} Idle report { completed, gains }
+     */
+    processIdleGains(timeElapsed, now = Date.now()) {
+        const report = { completed: [], gains: {} };
+        if (!this.isInitialized) return report;
+
+        for (const result of this.processJobs(now)) {
+            const { category, completedAt, ...details } = result;
+            report.completed.push({ type: category, completedAt, ...details });
+
+            if (result.successCount > 0) {
+                report.gains[result.itemName] = (report.gains[result.itemName] || 0) + result.successCount;
+            }
+        }
+
+        if (report.completed.length > 0) {
+            console.log(`CraftingSystem: Completed ${report.completed.length} crafting jobs during idle time`);
+        }
+
+        return report;
     }
 
     /**
@@ -332,21 +469,44 @@ class CraftingSystem {
 
     /**
      * Get current crafting progress
-     * @returns {Object} Current crafting state
+     * @returns {Object|null} Progress of the oldest running job
      */
     getCurrentCrafting() {
-        if (!this.currentCrafting) return null;
+        const job = this._getActiveJobs().sort((a, b) => a.startTime - b.startTime)[0];
+        return job ? this._describeJob(job, Date.now()) : null;
+    }
 
-        const elapsed = Date.now() - this.currentCrafting.startTime;
-        const progress = Math.min(1, elapsed / this.currentCrafting.totalTime);
+    /**
+     * Number of jobs a category can run side by side at its current skill level
+     * @param {string} category - Crafting category
+     * @returns {number} Parallel slots
+     */
+    getWorkbenchSlots(category) {
+        const skill = this.skills[category];
+        if (!skill) return 0;
 
-        return {
-            recipe: this.currentCrafting.recipe,
-            quantity: this.currentCrafting.quantity,
-            progress: progress,
-            remainingTime: Math.max(0, this.currentCrafting.totalTime - elapsed),
-            successRate: this.currentCrafting.successRate
-        };
+        const { baseSlots, levelsPerSlot, maxSlots } = this.workbenchConfig;
+        return Math.min(maxSlots, baseSlots + Math.floor((skill.level - 1) / levelsPerSlot));
+    }
+
+    /**
+     * Get running and queued jobs per category
+     * @returns {Object} category -> { slots, active, queue }
+     */
+    getWorkbenches() {
+        const now = Date.now();
+        const workbenches = {};
+
+        for (const category of Object.keys(this.skills)) {
+            const workbench = this._getWorkbench(category);
+            workbenches[category] = {
+                slots: this.getWorkbenchSlots(category),
+                active: workbench.active.map(job => this._describeJob(job, now)),
+                queue: workbench.queue.map(job => this._describeJob(job, now))
+            };
+        }
+
+        return workbenches;
     }
 
     /**
@@ -522,6 +682,23 @@ class CraftingSystem {
         };
     }
 
+    /**
+     * Add recipes from content packs, giving any new materials they use an inventory slot
+     */
+    _mergeContentPackRecipes() {
+        if (typeof contentPackLoader === 'undefined') return;
+
+        for (const recipe of contentPackLoader.getAll('recipes')) {
+            this.recipes[recipe.id] = recipe;
+
+            for (const materialId of Object.keys(recipe.materials)) {
+                if (!this.materials.hasOwnProperty(materialId)) {
+                    this.materials[materialId] = 0;
+                }
+            }
+        }
+    }
+
     /**
      * Check if recipe is unlocked
      * @param {Object} recipe - Recipe to check
@@ -556,28 +733,35 @@ class CraftingSystem {
     }
 
     /**
-     * Consume materials for crafting
+     * Take a job's materials out of the inventory and hold them on the job
      * @param {Object} recipe - Recipe being crafted
      * @param {number} quantity - Quantity being crafted
+     * @returns {Object} Reserved materials { materialId: amount }
      */
-    consumeMaterials(recipe, quantity) {
+    reserveMaterials(recipe, quantity) {
+        const reserved = {};
         for (const [materialId, required] of Object.entries(recipe.materials)) {
             const needed = required * quantity;
             this.materials[materialId] -= needed;
+            reserved[materialId] = needed;
         }
+        return reserved;
     }
 
     /**
-     * Refund materials on cancellation
-     * @param {Object} recipe - Recipe being cancelled
-     * @param {number} quantity - Quantity being cancelled
+     * Refund reserved materials on cancellation
+     * @param {Object} reserved - Materials held by the job
      * @param {number} refundRate - Refund percentage
+     * @returns {Object} Refunded materials { materialId: amount }
      */
-    refundMaterials(recipe, quantity, refundRate) {
-        for (const [materialId, required] of Object.entries(recipe.materials)) {
-            const refund = Math.floor(required * quantity * refundRate);
-            this.materials[materialId] += refund;
+    refundMaterials(reserved, refundRate) {
+        const refunded = {};
+        for (const [materialId, amount] of Object.entries(reserved)) {
+            const refund = Math.floor(amount * refundRate);
+            this.materials[materialId] = (this.materials[materialId] || 0) + refund;
+            refunded[materialId] = refund;
         }
+        return refunded;
     }
 
     /**
@@ -643,7 +827,7 @@ class CraftingSystem {
 
         // Quality roll - higher skill = better chance for quality items
         const skill = this.skills[recipe.category];
-        const qualityRoll = Math.random() + (skill.level * 0.01);
+        const qualityRoll = this.rng.random() + (skill.level * 0.01);
 
         if (qualityRoll > 0.95) {
             // Legendary quality
@@ -689,7 +873,7 @@ class CraftingSystem {
         } else {
             // Convert to currency
             const value = item.value || 10;
-            this.gameState.increment('player.spiritCrystals', value);
+            this.gameState.increment('player.spiritCrystals', value, { source: 'crafting:sale' });
         }
     }
 
@@ -728,10 +912,93 @@ class CraftingSystem {
             crafting: {
                 statistics: this.statistics,
                 skills: this.skills,
-                materials: this.materials
+                materials: this.materials,
+                workbenches: this.workbenches
             }
         }, { source: 'crafting:save' });
     }
+
+    /**
+     * Get or create a category's workbench
+     * @param {string} category - Crafting category
+     * @returns {Object} { active, queue }
+     */
+    _getWorkbench(category) {
+        if (!this.workbenches[category]) {
+            this.workbenches[category] = { active: [], queue: [] };
+        }
+        return this.workbenches[category];
+    }
+
+    _getActiveJobs() {
+        return Object.values(this.workbenches).flatMap(workbench => workbench.active);
+    }
+
+    _findJob(jobId) {
+        for (const workbench of Object.values(this.workbenches)) {
+            const job = workbench.active.find(active => active.id === jobId) ||
+                workbench.queue.find(queued => queued.id === jobId);
+            if (job) return job;
+        }
+        return null;
+    }
+
+    /**
+     * Move queued jobs onto free slots, e.g. after a job finished or a level-up added a slot
+     * @param {number} startTime - When the promoted jobs start
+     */
+    _fillWorkbenches(startTime) {
+        for (const [category, workbench] of Object.entries(this.workbenches)) {
+            while (workbench.queue.length > 0 && workbench.active.length < this.getWorkbenchSlots(category)) {
+                this.executeCrafting(workbench.queue.shift(), startTime);
+            }
+        }
+    }
+
+    /**
+     * Restore saved jobs, dropping any whose recipe no longer exists
+     * @param {Object} saved - Saved workbenches
+     */
+    _loadWorkbenches(saved) {
+        this.workbenches = {};
+        if (!saved) return;
+
+        for (const [category, workbench] of Object.entries(saved)) {
+            // A job whose recipe is gone (e.g. its content pack was removed) gives its materials back
+            const keep = job => {
+                if (this.recipes[job.recipeId]) return true;
+                console.warn(`CraftingSystem: Dropping job for unknown recipe ${job.recipeId}, refunding its materials`);
+                this.refundMaterials(job.reserved || {}, 1);
+                return false;
+            };
+
+            this.workbenches[category] = {
+                active: (workbench.active || []).filter(keep).map(job => ({ ...job })),
+                queue: (workbench.queue || []).filter(keep).map(job => ({ ...job }))
+            };
+        }
+    }
+
+    _describeJob(job, now) {
+        const running = job.startTime !== null;
+        const elapsed = running ? Math.max(0, now - job.startTime) : 0;
+
+        return {
+            jobId: job.id,
+            recipe: this.recipes[job.recipeId],
+            category: job.category,
+            quantity: job.quantity,
+            status: running ? 'active' : 'queued',
+            progress: running ? Math.min(1, elapsed / job.totalTime) : 0,
+            remainingTime: running ? Math.max(0, job.totalTime - elapsed) : null,
+            successRate: job.successRate,
+            reserved: { ...job.reserved }
+        };
+    }
+
+    _generateJobId() {
+        return `craft_${Date.now()}_${randomManager.random('ids').toString(36).substr(2, 9)}`;
+    }
 }
 
 // Export for ES6 modules and global usage
@@ -13,6 +13,11 @@ class CultivationIntegration {
         this.realmManager = null;
         this.techniqueManager = null;
         this.offlineCalculator = null;
+        this.reincarnationManager = null;
+
+        // Idle subsystems progressed by the OfflineCalculator (name -> instance)
+        this.idleSystems = {};
+        this.craftingSystem = null;
 
         // Integration state
         this.isInitialized = false;
@@ -66,7 +71,8 @@ class CultivationIntegration {
                     cultivation: !!this.cultivationSystem,
                     realm: !!this.realmManager,
                     technique: !!this.techniqueManager,
-                    offline: !!this.offlineCalculator
+                    offline: !!this.offlineCalculator,
+                    reincarnation: !!this.reincarnationManager
                 }
             });
 
@@ -244,6 +250,12 @@ class CultivationIntegration {
                 config: this.offlineCalculator.getConfig(),
                 lastCalculation: this.offlineCalculator.getCalculationState(),
                 performance: this.offlineCalculator.getPerformanceMetrics()
+            },
+            reincarnation: {
+                state: this.reincarnationManager.getState(),
+                check: this.reincarnationManager.canReincarnate(),
+                multipliers: this.reincarnationManager.getMultipliers(),
+                upgrades: this.reincarnationManager.getUpgradeTree()
             }
         };
     }
@@ -304,6 +316,18 @@ class CultivationIntegration {
                 this.techniqueManager.getTechniqueInfo(id)
             ).filter(tech => tech.canActivate),
 
+            // Reincarnation
+            reincarnation: {
+                count: status.reincarnation.state.count,
+                daoMarks: status.reincarnation.state.daoMarks,
+                totalDaoMarks: status.reincarnation.state.totalDaoMarks,
+                canReincarnate: status.reincarnation.check.canReincarnate,
+                projectedDaoMarks: status.reincarnation.check.daoMarks,
+                requiredRealm: status.reincarnation.check.requiredRealm,
+                multipliers: status.reincarnation.multipliers,
+                upgrades: status.reincarnation.upgrades
+            },
+
             // Cultivation status
             isActive: status.cultivation.isActive,
             activePath: status.cultivation.activePath
@@ -373,6 +397,68 @@ class CultivationIntegration {
             this.techniqueManager
         );
         await this.offlineCalculator.initialize();
+
+        // Initialize ReincarnationManager (resets the other systems on reincarnation)
+        console.log('CultivationIntegration: Initializing ReincarnationManager...');
+        this.reincarnationManager = new ReincarnationManager(
+            this.gameState,
+            this.eventManager,
+            this.realmManager,
+            this.cultivationSystem,
+            this.techniqueManager
+        );
+        await this.reincarnationManager.initialize();
+
+        this._initializeIdleSystems();
+        await this._initializeCraftingSystem();
+    }
+
+    /**
+     * Create the idle subsystems that are loaded and register them for offline progression
+     */
+    _initializeIdleSystems() {
+        const idleSystemClasses = [
+            ['mounts', 'Mounts', typeof MountSystem !== 'undefined' ? MountSystem : null],
+            ['wings', 'Wings', typeof WingSystem !== 'undefined' ? WingSystem : null],
+            ['runes', 'Runes', typeof RuneSystem !== 'undefined' ? RuneSystem : null],
+            ['accessories', 'Accessories', typeof AccessorySystem !== 'undefined' ? AccessorySystem : null],
+            ['soul', 'Soul', typeof SoulSystem !== 'undefined' ? SoulSystem : null],
+            ['meridians', 'Meridians', typeof MeridianSystem !== 'undefined' ? MeridianSystem : null],
+            ['dantian', 'Dantian', typeof DantianSystem !== 'undefined' ? DantianSystem : null]
+        ];
+
+        for (const [name, label, SystemClass] of idleSystemClasses) {
+            if (!SystemClass) {
+                continue;
+            }
+
+            try {
+                this.idleSystems[name] = new SystemClass(this.gameState, this.eventManager);
+                this.offlineCalculator.registerIdleSystem(name, this.idleSystems[name], label);
+            } catch (error) {
+                console.error(`CultivationIntegration: Failed to initialize idle system '${name}':`, error);
+            }
+        }
+
+        console.log(`CultivationIntegration: Registered ${Object.keys(this.idleSystems).length} idle systems for offline progression`);
+    }
+
+    /**
+     * Create the crafting system; its workbench jobs run on the update loop and finish offline like idle timers
+     */
+    async _initializeCraftingSystem() {
+        if (typeof CraftingSystem === 'undefined') {
+            return;
+        }
+
+        try {
+            this.craftingSystem = new CraftingSystem(this.gameState, this.eventManager);
+            await this.craftingSystem.initialize();
+            this.offlineCalculator.registerIdleSystem('crafting', this.craftingSystem, 'Crafting');
+        } catch (error) {
+            console.error('CultivationIntegration: Failed to initialize crafting system:', error);
+            this.craftingSystem = null;
+        }
     }
 
     /**
@@ -384,7 +470,8 @@ class CultivationIntegration {
             'cultivation:breakthrough',
             'realm:advancement',
             'technique:unlocked',
-            'offline:calculation_complete'
+            'offline:calculation_complete',
+            'reincarnation:completed'
         ];
 
         saveEvents.forEach(eventType => {
@@ -455,6 +542,11 @@ class CultivationIntegration {
                 this.techniqueManager.update(deltaTime);
             }
 
+            // Finish crafting jobs that came due
+            if (this.craftingSystem) {
+                this.craftingSystem.update(deltaTime);
+            }
+
             // Offline calculator doesn't need regular updates
 
             // Emit update event for UI
@@ -482,6 +574,12 @@ class CultivationIntegration {
             if (this.techniqueManager) {
                 this.techniqueManager.saveState();
             }
+            if (this.reincarnationManager) {
+                this.reincarnationManager.saveState();
+            }
+            if (this.craftingSystem) {
+                this.craftingSystem.saveData();
+            }
             // OfflineCalculator saves its config automatically
 
         } catch (error) {
@@ -535,6 +633,20 @@ class CultivationIntegration {
                 }
             }, { source: 'cultivation:schema_update' });
         }
+
+        // Initialize reincarnation state if it doesn't exist
+        if (!currentState.reincarnation) {
+            this.gameState.update({
+                reincarnation: {
+                    count: 0,
+                    daoMarks: 0,
+                    totalDaoMarks: 0,
+                    upgrades: {},
+                    history: [],
+                    lastReincarnationTime: 0
+                }
+            }, { source: 'cultivation:schema_update' });
+        }
     }
 }
 
@@ -8,6 +8,7 @@ class CultivationSystem {
         this.eventManager = eventManager;
         this.realmManager = realmManager;
         this.techniqueManager = techniqueManager;
+        this.rng = randomManager.getStream('cultivation');
 
         // Cultivation state
         this.cultivationState = {
@@ -248,21 +249,10 @@ class CultivationSystem {
         }
 
         // Calculate breakthrough chance
-        const realm = this.realmManager.getCurrentRealm();
-        const stage = this.realmManager.getCurrentStage();
-
-        const resources = this._getAvailableResources();
-        const chance = CULTIVATION_FORMULAS.breakthroughChance(
-            this.cultivationState.qi.level,
-            this.cultivationState.body.level,
-            realm,
-            stage,
-            this.activeTechnique,
-            resources
-        );
+        const chance = this.getBreakthroughChance();
 
         // Attempt breakthrough
-        const success = Math.random() < chance;
+        const success = this.rng.random() < chance;
 
         if (success) {
             this._processSuccessfulBreakthrough(path, currentState);
@@ -315,6 +305,21 @@ class CultivationSystem {
         return this._getCurrentRates();
     }
 
+    /**
+     * Chance that the next path breakthrough succeeds, from levels, realm, technique and resources
+     * @returns {number} Chance between 0 and 1
+     */
+    getBreakthroughChance() {
+        return CULTIVATION_FORMULAS.breakthroughChance(
+            this.cultivationState.qi.level,
+            this.cultivationState.body.level,
+            this.realmManager.getCurrentRealm(),
+            this.realmManager.getCurrentStage(),
+            this.activeTechnique,
+            this._getAvailableResources()
+        );
+    }
+
     /**
      * Get cultivation state for specific path
      * @param {string} path - Cultivation path
@@ -422,6 +427,46 @@ class CultivationSystem {
         return true;
     }
 
+    /**
+     * Reload cultivation state from game state after it was changed externally,
+     * e.g. by offline progression
+     */
+    reloadState() {
+        const savedState = this.gameState.get('cultivation');
+        if (savedState) {
+            this.cultivationState = {
+                ...this.cultivationState,
+                ...savedState
+            };
+        }
+
+        this._updateDualCultivationSynergy();
+        this._updateCultivationRates();
+    }
+
+    /**
+     * Wipe cultivation progress when the cultivator reincarnates
+     * Lifetime statistics are kept
+     */
+    resetForReincarnation() {
+        if (this.isActive && this.activePath) {
+            this.stopCultivation();
+        }
+
+        this.cultivationState = {
+            qi: { level: 0, experience: 0, baseRate: 1.0, currentMultiplier: 1.0 },
+            body: { level: 0, experience: 0, baseRate: 1.0, currentMultiplier: 1.0 },
+            dual: { level: 0, experience: 0, baseRate: 0.5, currentMultiplier: 1.0, unlocked: false, synergyBonus: 0.0 }
+        };
+        this.progressBuffer = { qi: 0, body: 0, dual: 0 };
+        this.activeEffects.temporary.clear();
+        this.activeEffects.pills.clear();
+
+        this._updateDualCultivationSynergy();
+        this._updateCultivationRates();
+        this.saveState();
+    }
+
     /**
      * Save current state to game state
      */
@@ -460,6 +505,11 @@ class CultivationSystem {
         this.eventManager.on('realm:changed', (data) => {
             this._updateCultivationRates();
         });
+
+        // Permanent upgrades change the base multipliers
+        this.eventManager.on('reincarnation:upgrade_purchased', (data) => {
+            this._updateCultivationRates();
+        });
     }
 
     /**
@@ -593,18 +643,24 @@ class CultivationSystem {
         // Apply realm bonuses
         const realmBonus = this.realmManager.getCurrentRealmBonus();
 
+        // Apply permanent reincarnation upgrades
+        const reincarnationMultipliers = REINCARNATION_FORMULAS.getMultipliers(
+            this.gameState.get('reincarnation.upgrades') || {}
+        );
+
         // Apply synergy bonus for dual cultivation
         const synergyBonus = this.cultivationState.dual.synergyBonus;
 
         // Calculate final rates
         this.cultivationState.qi.currentMultiplier =
-            techniqueMultipliers.qi * tempMultipliers.qi * realmBonus.cultivation;
+            techniqueMultipliers.qi * tempMultipliers.qi * realmBonus.cultivation * reincarnationMultipliers.qi;
 
         this.cultivationState.body.currentMultiplier =
-            techniqueMultipliers.body * tempMultipliers.body * realmBonus.cultivation;
+            techniqueMultipliers.body * tempMultipliers.body * realmBonus.cultivation * reincarnationMultipliers.body;
 
         this.cultivationState.dual.currentMultiplier =
-            techniqueMultipliers.dual * tempMultipliers.dual * realmBonus.cultivation * (1 + synergyBonus);
+            techniqueMultipliers.dual * tempMultipliers.dual * realmBonus.cultivation * (1 + synergyBonus) *
+            reincarnationMultipliers.dual;
     }
 
     /**
@@ -6,9 +6,14 @@ class DantianSystem {
     constructor(gameState, eventManager) {
         this.gameState = gameState;
         this.eventManager = eventManager;
+        this.rng = randomManager.getStream('dantian');
+
+        // Expansion and compression run as jobs on the shared scheduler
+        this.scheduler = jobScheduler;
 
         // Initialize dantian system state
         this.initializeState();
+        this.registerJobHandlers();
 
         console.log('DantianSystem: Initialized');
     }
@@ -24,8 +29,6 @@ class DantianSystem {
                     middle: { opened: false, level: 0, capacity: 0, purity: 0, density: 1.0 },
                     upper: { opened: false, level: 0, capacity: 0, purity: 0, density: 1.0 }
                 },
-                expanding: null,
-                compressing: null,
                 resources: {},
                 formations: {},
                 unlocked: false
@@ -33,6 +36,24 @@ class DantianSystem {
         }
     }
 
+    /**
+     * Let the scheduler finish expansions and compressions, taking over timers from saves made before it existed
+     */
+    registerJobHandlers() {
+        this.scheduler.registerHandler('dantian.expanding', {
+            label: 'Dantian expansion',
+            complete: job => this.completeExpansion(job),
+            describe: (job, result) => `${this.getDantianData(result.centerType)?.name || result.centerType} reached level ${result.newLevel}`
+        });
+        this.scheduler.registerHandler('dantian.compressing', {
+            label: 'Qi compression',
+            complete: job => this.completeCompression(job),
+            describe: (job, result) => `${this.getDantianData(result.centerType)?.name || result.centerType} density is now ${result.newDensity.toFixed(2)}`
+        });
+        this.scheduler.adoptTimer('dantian.expanding', 'dantian', 'expanding');
+        this.scheduler.adoptTimer('dantian.compressing', 'dantian', 'compressing');
+    }
+
     /**
      * Unlock the dantian system (typically at Foundation Establishment realm)
      */
@@ -101,8 +122,10 @@ class DantianSystem {
 
     /**
      * Start expanding a dantian center to increase capacity
+     * @param {string} centerType - 'lower', 'middle' or 'upper'
+     * @param {number} now - Start time (defaults to the current time)
      */
-    startExpansion(centerType) {
+    startExpansion(centerType, now = Date.now()) {
         const dantian = this.gameState.get('dantian');
         const center = dantian.centers[centerType];
 
@@ -111,6 +134,11 @@ class DantianSystem {
             return false;
         }
 
+        if (this.scheduler.isBusy('dantian.expanding')) {
+            console.warn(`DantianSystem: Another expansion is in progress`);
+            return false;
+        }
+
         const requirements = this.getExpansionRequirements(centerType);
 
         if (!this.hasRequiredResources(requirements)) {
@@ -121,14 +149,11 @@ class DantianSystem {
         // Consume resources
         this.consumeResources(requirements);
 
-        dantian.expanding = {
+        this.scheduler.schedule('dantian.expanding', {
             centerType: centerType,
-            targetLevel: center.level + 1,
-            startTime: Date.now(),
-            duration: this.getExpansionDuration(centerType, center.level)
-        };
+            targetLevel: center.level + 1
+        }, this.getExpansionDuration(centerType, center.level), { now });
 
-        this.gameState.set('dantian', dantian);
         this.eventManager.emit('dantianExpansionStarted', { centerType, targetLevel: center.level + 1 });
 
         console.log(`DantianSystem: Started expanding ${centerType} dantian to level ${center.level + 1}`);
@@ -136,21 +161,12 @@ class DantianSystem {
     }
 
     /**
-     * Complete dantian expansion
+     * Complete dantian expansion; run by the scheduler when the job is due
+     * @param {Object} job - Finished 'dantian.expanding' job
      */
-    completeExpansion() {
+    completeExpansion(job) {
         const dantian = this.gameState.get('dantian');
-
-        if (!dantian.expanding) {
-            return null;
-        }
-
-        const { centerType, targetLevel, startTime, duration } = dantian.expanding;
-        const now = Date.now();
-
-        if (now - startTime < duration) {
-            return null; // Expansion not complete
-        }
+        const { centerType, targetLevel } = job.data;
 
         // Apply expansion
         const center = dantian.centers[centerType];
@@ -159,9 +175,6 @@ class DantianSystem {
             center.capacity = this.calculateDantianCapacity(centerType, targetLevel);
         }
 
-        // Clear expanding
-        dantian.expanding = null;
-
         this.gameState.set('dantian', dantian);
         this.eventManager.emit('dantianExpansionCompleted', { centerType, newLevel: targetLevel });
 
@@ -181,6 +194,11 @@ class DantianSystem {
             return false;
         }
 
+        if (this.scheduler.isBusy('dantian.compressing')) {
+            console.warn(`DantianSystem: Another compression is in progress`);
+            return false;
+        }
+
         const requirements = this.getCompressionRequirements(centerType);
 
         if (!this.hasRequiredResources(requirements)) {
@@ -191,13 +209,8 @@ class DantianSystem {
         // Consume resources
         this.consumeResources(requirements);
 
-        dantian.compressing = {
-            centerType: centerType,
-            startTime: Date.now(),
-            duration: this.getCompressionDuration(centerType)
-        };
+        this.scheduler.schedule('dantian.compressing', { centerType }, this.getCompressionDuration(centerType));
 
-        this.gameState.set('dantian', dantian);
         this.eventManager.emit('dantianCompressionStarted', { centerType });
 
         console.log(`DantianSystem: Started compressing qi in ${centerType} dantian`);
@@ -205,32 +218,20 @@ class DantianSystem {
     }
 
     /**
-     * Complete qi compression
+     * Complete qi compression; run by the scheduler when the job is due
+     * @param {Object} job - Finished 'dantian.compressing' job
      */
-    completeCompression() {
+    completeCompression(job) {
         const dantian = this.gameState.get('dantian');
-
-        if (!dantian.compressing) {
-            return null;
-        }
-
-        const { centerType, startTime, duration } = dantian.compressing;
-        const now = Date.now();
-
-        if (now - startTime < duration) {
-            return null; // Compression not complete
-        }
+        const { centerType } = job.data;
 
         // Apply compression effects
         const center = dantian.centers[centerType];
         if (center) {
-            center.density += 0.1 + Math.random() * 0.1; // 0.1-0.2 density increase
-            center.purity += 5 + Math.random() * 10; // 5-15 purity increase
+            center.density += 0.1 + this.rng.random() * 0.1; // 0.1-0.2 density increase
+            center.purity += 5 + this.rng.random() * 10; // 5-15 purity increase
         }
 
-        // Clear compressing
-        dantian.compressing = null;
-
         this.gameState.set('dantian', dantian);
         this.eventManager.emit('dantianCompressionCompleted', {
             centerType,
@@ -620,6 +621,9 @@ class DantianSystem {
     getAllDantianCenters() {
         const dantian = this.gameState.get('dantian');
 
+        const expanding = this.scheduler.findJob('dantian.expanding');
+        const compressing = this.scheduler.findJob('dantian.compressing');
+
         return ['lower', 'middle', 'upper'].map(centerType => {
             const center = dantian.centers[centerType];
             const data = this.getDantianData(centerType);
@@ -630,8 +634,8 @@ class DantianSystem {
                 ...data,
                 ...center,
                 power: power,
-                isExpanding: dantian.expanding?.centerType === centerType,
-                isCompressing: dantian.compressing?.centerType === centerType,
+                isExpanding: expanding?.data.centerType === centerType,
+                isCompressing: compressing?.data.centerType === centerType,
                 expansionRequirements: this.getExpansionRequirements(centerType),
                 compressionRequirements: this.getCompressionRequirements(centerType),
                 canExpand: center.opened && this.hasRequiredResources(this.getExpansionRequirements(centerType)),
@@ -666,18 +670,18 @@ class DantianSystem {
      */
     getSystemStatus() {
         const dantian = this.gameState.get('dantian');
+        const expanding = this.scheduler.findJob('dantian.expanding');
+        const compressing = this.scheduler.findJob('dantian.compressing');
 
         return {
             unlocked: this.isUnlocked(),
             totalPower: this.getDantianPower(),
-            expansionInProgress: !!dantian?.expanding,
-            expandingCenter: dantian?.expanding?.centerType || null,
-            expansionTimeRemaining: dantian?.expanding ?
-                Math.max(0, (dantian.expanding.startTime + dantian.expanding.duration) - Date.now()) : 0,
-            compressionInProgress: !!dantian?.compressing,
-            compressingCenter: dantian?.compressing?.centerType || null,
-            compressionTimeRemaining: dantian?.compressing ?
-                Math.max(0, (dantian.compressing.startTime + dantian.compressing.duration) - Date.now()) : 0,
+            expansionInProgress: !!expanding,
+            expandingCenter: expanding?.data.centerType || null,
+            expansionTimeRemaining: this.scheduler.getRemaining(expanding),
+            compressionInProgress: !!compressing,
+            compressingCenter: compressing?.data.centerType || null,
+            compressionTimeRemaining: this.scheduler.getRemaining(compressing),
             openedCenters: Object.values(dantian?.centers || {}).filter(center => center.opened).length,
             totalFormations: Object.values(dantian?.formations || {}).reduce((total, centerFormations) =>
                 total + Object.keys(centerFormations).length, 0),
@@ -686,38 +690,21 @@ class DantianSystem {
     }
 
     /**
-     * Process dantian-related idle gains
+     * Timers that finish on their own, so offline simulation can stop at each one
+     * @returns {Array<Object>} [{ type, endsAt }]
      */
-    processIdleGains(timeElapsed) {
-        const dantian = this.gameState.get('dantian');
-
-        // Check expansion completion
-        if (dantian?.expanding) {
-            const expanding = dantian.expanding;
-            const expansionEndTime = expanding.startTime + expanding.duration;
-            const now = Date.now();
-
-            if (now >= expansionEndTime) {
-                const result = this.completeExpansion();
-                if (result) {
-                    console.log(`DantianSystem: Auto-completed expansion of ${result.centerType} dantian to level ${result.newLevel} during idle time`);
-                }
-            }
-        }
-
-        // Check compression completion
-        if (dantian?.compressing) {
-            const compressing = dantian.compressing;
-            const compressionEndTime = compressing.startTime + compressing.duration;
-            const now = Date.now();
+    getIdleTimers() {
+        return this.scheduler.getTimers({ owner: 'dantian' });
+    }
 
-            if (now >= compressionEndTime) {
-                const result = this.completeCompression();
-                if (result) {
-                    console.log(`DantianSystem: Auto-completed compression of ${result.centerType} dantian during idle time`);
-                }
-            }
-        }
+    /**
+     * Process idle time, finishing any job that ended by `now`
+     * @param {number} timeElapsed - Length of the idle period in milliseconds
+     * @param {number} now - End of the idle period (defaults to the current time)
+     * @returns {Object} Idle report { completed, gains }
+     */
+    processIdleGains(timeElapsed, now = Date.now()) {
+        return this.scheduler.processIdleJobs('dantian', now);
     }
 }
 
@@ -0,0 +1,636 @@
+/**
+ * DaoScriptEngine - Player-written automation rules ("Dao Scripts") for idle actions
+ * Each rule pairs conditions on game values with one action, e.g. "when qi progress >= 100
+ * and breakthrough stability > 80 then attempt a qi breakthrough". Rules are checked in order
+ * on every game loop tick and across offline time, and more rule slots, conditions and actions
+ * unlock as the player reaches higher realms (see dao-script-data.js).
+ */
+class DaoScriptEngine {
+    constructor(gameState, eventManager) {
+        this.gameState = gameState;
+        this.eventManager = eventManager;
+        this.name = 'Dao Scripts';
+
+        this.config = { ...DAO_SCRIPT_CONFIG };
+
+        // Systems the conditions read and the actions drive; missing ones make their rules fail softly
+        this.systems = {
+            cultivationSystem: null,
+            realmManager: null,
+            craftingSystem: null,
+            questSystem: null,
+            shopManager: null,
+            mountSystem: null,
+            runeSystem: null,
+            dantianSystem: null
+        };
+
+        // Persisted in the 'automation' state section
+        this.scriptState = this._createDefaultState();
+
+        this.sinceEvaluation = 0;
+        this.isInitialized = false;
+    }
+
+    /**
+     * Load saved rules and start listening for realm advancement
+     */
+    initialize() {
+        const saved = this.gameState.get('automation');
+        if (saved && Array.isArray(saved.rules)) {
+            this.scriptState = { ...this._createDefaultState(), ...saved };
+        }
+
+        this.eventManager.on('realm:advancement', (event) => {
+            const data = event.data || {};
+            const tier = DAO_SCRIPT_UNLOCKS.find(unlock => unlock.realm === data.newRealm);
+            if (tier) {
+                this.eventManager.emit('daoScripts:unlocked', { realm: tier.realm, unlocks: this.getUnlocks() });
+            }
+        });
+
+        this.isInitialized = true;
+        console.log(`DaoScriptEngine: Initialized with ${this.scriptState.rules.length} rules`);
+    }
+
+    /**
+     * Give the engine the systems its conditions and actions use
+     * @param {Object} systems - Any of the keys in this.systems
+     */
+    connect(systems = {}) {
+        for (const key of Object.keys(this.systems)) {
+            if (systems[key]) {
+                this.systems[key] = systems[key];
+            }
+        }
+    }
+
+    /**
+     * What the current realm allows
+     * @returns {Object} { maxRules, metrics, actions, next: { realm, maxRules, metrics, actions } | null }
+     */
+    getUnlocks() {
+        const realmOrder = Object.keys(CULTIVATION_REALMS);
+        const realmIndex = Math.max(0, realmOrder.indexOf(this._getCurrentRealm()));
+        const unlocks = { maxRules: 0, metrics: [], actions: [], next: null };
+
+        for (const tier of DAO_SCRIPT_UNLOCKS) {
+            if (realmOrder.indexOf(tier.realm) > realmIndex) {
+                unlocks.next = { realm: tier.realm, maxRules: tier.maxRules, metrics: tier.metrics, actions: tier.actions };
+                break;
+            }
+            unlocks.maxRules = tier.maxRules;
+            unlocks.metrics.push(...tier.metrics);
+            unlocks.actions.push(...tier.actions);
+        }
+
+        return unlocks;
+    }
+
+    /**
+     * Get the rules in priority order
+     * Rules past the slot limit, or using something the realm no longer allows (after reincarnation), are locked
+     * @returns {Array} Rule copies with a `locked` flag
+     */
+    getRules() {
+        const unlocks = this.getUnlocks();
+        return this.scriptState.rules.map((rule, index) => ({
+            ...JSON.parse(JSON.stringify(rule)),
+            locked: this._isRuleLocked(rule, index, unlocks)
+        }));
+    }
+
+    /**
+     * Get recent rule firings, newest first
+     * @returns {Array} Log entries { ruleId, ruleName, action, at, success, reason, offline }
+     */
+    getLog() {
+        return this.scriptState.log.slice().reverse();
+    }
+
+    /**
+     * @returns {boolean} Whether rules are being evaluated
+     */
+    isEnabled() {
+        return this.scriptState.enabled;
+    }
+
+    /**
+     * Add a rule at the end of the list
+     * @param {Object} definition - { name, conditions, action, cooldown, enabled }
+     * @returns {Object} { success, rule?, reason?, errors? }
+     */
+    addRule(definition = {}) {
+        const unlocks = this.getUnlocks();
+        if (this.scriptState.rules.length >= unlocks.maxRules) {
+            return { success: false, reason: 'rule_limit' };
+        }
+
+        const rule = this._buildRule(definition, {
+            id: `rule_${this.scriptState.nextRuleId}`,
+            name: `Script ${this.scriptState.nextRuleId}`,
+            enabled: true,
+            cooldown: this.config.defaultCooldown,
+            lastFiredAt: null,
+            fireCount: 0
+        });
+
+        const validation = this.validateRule(rule, unlocks);
+        if (!validation.isValid) {
+            return { success: false, reason: 'invalid_rule', errors: validation.errors };
+        }
+
+        this.scriptState.nextRuleId++;
+        this.scriptState.rules.push(rule);
+        this._saveState();
+
+        this.eventManager.emit('daoScripts:rulesChanged', { change: 'added', ruleId: rule.id });
+        return { success: true, rule: { ...rule } };
+    }
+
+    /**
+     * Change a rule's name, conditions, action, cooldown or enabled flag
+     * @param {string} ruleId - Rule ID
+     * @param {Object} changes - Fields to replace
+     * @returns {Object} { success, rule?, reason?, errors? }
+     */
+    updateRule(ruleId, changes = {}) {
+        const index = this.scriptState.rules.findIndex(rule => rule.id === ruleId);
+        if (index === -1) {
+            return { success: false, reason: 'rule_not_found' };
+        }
+
+        const rule = this._buildRule(changes, this.scriptState.rules[index]);
+        const validation = this.validateRule(rule, this.getUnlocks());
+        if (!validation.isValid) {
+            return { success: false, reason: 'invalid_rule', errors: validation.errors };
+        }
+
+        this.scriptState.rules[index] = rule;
+        this._saveState();
+
+        this.eventManager.emit('daoScripts:rulesChanged', { change: 'updated', ruleId });
+        return { success: true, rule: { ...rule } };
+    }
+
+    /**
+     * Delete a rule
+     * @param {string} ruleId - Rule ID
+     * @returns {boolean} Whether the rule existed
+     */
+    removeRule(ruleId) {
+        const before = this.scriptState.rules.length;
+        this.scriptState.rules = this.scriptState.rules.filter(rule => rule.id !== ruleId);
+        if (this.scriptState.rules.length === before) {
+            return false;
+        }
+
+        this._saveState();
+        this.eventManager.emit('daoScripts:rulesChanged', { change: 'removed', ruleId });
+        return true;
+    }
+
+    /**
+     * Move a rule up or down; earlier rules are checked, and fire, first
+     * @param {string} ruleId - Rule ID
+     * @param {number} offset - Positions to move (negative moves up)
+     * @returns {boolean} Whether the rule moved
+     */
+    moveRule(ruleId, offset) {
+        const rules = this.scriptState.rules;
+        const index = rules.findIndex(rule => rule.id === ruleId);
+        const target = Math.min(rules.length - 1, Math.max(0, index + offset));
+        if (index === -1 || target === index) {
+            return false;
+        }
+
+        const [rule] = rules.splice(index, 1);
+        rules.splice(target, 0, rule);
+        this._saveState();
+
+        this.eventManager.emit('daoScripts:rulesChanged', { change: 'moved', ruleId });
+        return true;
+    }
+
+    /**
+     * Switch one rule on or off
+     * @param {string} ruleId - Rule ID
+     * @param {boolean} enabled - New state
+     * @returns {boolean} Whether the rule exists
+     */
+    setRuleEnabled(ruleId, enabled) {
+        const rule = this.scriptState.rules.find(entry => entry.id === ruleId);
+        if (!rule) {
+            return false;
+        }
+
+        rule.enabled = !!enabled;
+        this._saveState();
+
+        this.eventManager.emit('daoScripts:rulesChanged', { change: 'toggled', ruleId });
+        return true;
+    }
+
+    /**
+     * Switch every rule on or off at once
+     * @param {boolean} enabled - New state
+     */
+    setEnabled(enabled) {
+        this.scriptState.enabled = !!enabled;
+        this._saveState();
+
+        this.eventManager.emit('daoScripts:rulesChanged', { change: enabled ? 'enabled' : 'disabled' });
+    }
+
+    /**
+     * Check a rule against the data catalogue and what the realm allows
+     * @param {Object} rule - Rule to check
+     * @param {Object} unlocks - Result of getUnlocks()
+     * @returns {Object} { isValid, errors }
+     */
+    validateRule(rule, unlocks = this.getUnlocks()) {
+        const errors = [];
+
+        if (typeof rule.name !== 'string' || !rule.name.trim()) {
+            errors.push('Rule needs a name');
+        }
+        if (typeof rule.cooldown !== 'number' || !(rule.cooldown >= this.config.minCooldown)) {
+            errors.push(`Cooldown must be at least ${this.config.minCooldown} seconds`);
+        }
+
+        if (!Array.isArray(rule.conditions) || rule.conditions.length === 0) {
+            errors.push('Rule needs at least one condition');
+        } else if (rule.conditions.length > this.config.maxConditions) {
+            errors.push(`Rule can have at most ${this.config.maxConditions} conditions`);
+        } else {
+            rule.conditions.forEach((condition, index) => {
+                const label = `Condition ${index + 1}`;
+                const metric = DAO_SCRIPT_METRICS[condition.metric];
+
+                if (!metric) {
+                    errors.push(`${label}: unknown value '${condition.metric}'`);
+                    return;
+                }
+                if (!unlocks.metrics.includes(condition.metric)) {
+                    errors.push(`${label}: '${metric.name}' is not unlocked yet`);
+                }
+                if (!DAO_SCRIPT_OPERATORS.includes(condition.op)) {
+                    errors.push(`${label}: unknown comparison '${condition.op}'`);
+                }
+                if (typeof condition.value !== 'number' || !Number.isFinite(condition.value)) {
+                    errors.push(`${label}: compare against a number`);
+                }
+                errors.push(...this._validateParams(label, metric.params, condition));
+            });
+        }
+
+        const action = rule.action && DAO_SCRIPT_ACTIONS[rule.action.type];
+        if (!action) {
+            errors.push(`Unknown action '${rule.action ? rule.action.type : ''}'`);
+        } else {
+            if (!unlocks.actions.includes(rule.action.type)) {
+                errors.push(`Action '${action.name}' is not unlocked yet`);
+            }
+            errors.push(...this._validateParams('Action', action.params, rule.action));
+        }
+
+        return { isValid: errors.length === 0, errors };
+    }
+
+    /**
+     * Read the current value a condition compares
+     * @param {Object} condition - { metric, ...params }
+     * @param {number} now - Time of the reading
+     * @returns {number|null} Value, or null when it cannot be read
+     */
+    readMetric(condition, now = Date.now()) {
+        const { cultivationSystem, realmManager, craftingSystem, questSystem, shopManager } = this.systems;
+
+        switch (condition.metric) {
+            case 'path_progress': {
+                const pathState = this.gameState.get(`cultivation.${condition.path}`);
+                if (!pathState) return null;
+                const required = CULTIVATION_FORMULAS.experienceRequired(pathState.level);
+                return required > 0 ? (pathState.experience / required) * 100 : 0;
+            }
+            case 'path_level':
+                return this.gameState.get(`cultivation.${condition.path}.level`) ?? null;
+            case 'breakthrough_chance':
+                return cultivationSystem ? cultivationSystem.getBreakthroughChance() * 100 : null;
+            case 'resource':
+                return this.gameState.get(`player.${condition.resource}`) || 0;
+            case 'material':
+                return craftingSystem ? craftingSystem.getMaterials()[condition.materialId] || 0 : null;
+            case 'realm_ready':
+                return realmManager ? (realmManager.checkRealmAdvancement().canAdvance ? 1 : 0) : null;
+            case 'free_workbench_slots': {
+                if (!craftingSystem) return null;
+                const workbench = craftingSystem.getWorkbenches()[condition.category];
+                return workbench ? workbench.slots - workbench.active.length : null;
+            }
+            case 'quests_ready':
+                return questSystem ? this._getReadyQuests().length : null;
+            case 'minutes_since_shop_refresh': {
+                const shop = shopManager && shopManager.shops[condition.shopId];
+                return shop ? (now - (shop.lastRefresh || 0)) / 60000 : null;
+            }
+            case 'state_value': {
+                const value = this.gameState.get(condition.path);
+                return typeof value === 'number' ? value : null;
+            }
+            default:
+                return null;
+        }
+    }
+
+    /**
+     * Check every rule in order and fire those whose conditions hold
+     * @param {number} now - Evaluation time
+     * @param {Object} options - { offline: true while simulating offline time }
+     * @returns {Array} Log entries for the rules that fired
+     */
+    evaluate(now = Date.now(), options = {}) {
+        const offline = !!options.offline;
+        const fired = [];
+
+        this.scriptState.lastEvaluatedAt = now;
+        if (!this.scriptState.enabled) {
+            return fired;
+        }
+
+        const unlocks = this.getUnlocks();
+        this.scriptState.rules.forEach((rule, index) => {
+            if (!rule.enabled || this._isRuleLocked(rule, index, unlocks)) {
+                return;
+            }
+            if (rule.lastFiredAt !== null && now - rule.lastFiredAt < rule.cooldown * 1000) {
+                return;
+            }
+            if (offline && !DAO_SCRIPT_ACTIONS[rule.action.type].offline) {
+                return;
+            }
+            if (!rule.conditions.every(condition => this._conditionHolds(condition, now))) {
+                return;
+            }
+
+            fired.push(this._fireRule(rule, now, offline));
+        });
+
+        if (fired.length > 0) {
+            this._saveState();
+        }
+
+        return fired;
+    }
+
+    /**
+     * Evaluate on the game loop's schedule
+     * @param {number} deltaTime - Time since last update in milliseconds
+     */
+    update(deltaTime) {
+        if (!this.isInitialized) return;
+
+        this.sinceEvaluation += deltaTime;
+        if (this.sinceEvaluation < this.config.evaluationInterval) {
+            return;
+        }
+
+        this.sinceEvaluation = 0;
+        this.evaluate(Date.now());
+    }
+
+    /**
+     * Offline time is split at the next evaluation so rules fire throughout the absence
+     * @param {number} from - Simulated time reached so far
+     * @returns {Array<Object>} Timers [{ type, endsAt }]
+     */
+    getIdleTimers(from = Date.now()) {
+        if (!this.scriptState.enabled || this.scriptState.rules.length === 0) {
+            return [];
+        }
+
+        const start = Math.max(this.scriptState.lastEvaluatedAt || 0, from);
+        return [{ type: 'evaluation', endsAt: start + this.config.offlineEvaluationInterval }];
+    }
+
+    /**
+     * Evaluate the rules at the end of an offline segment
+     * @param {number} timeElapsed - Length of the segment in milliseconds
+     * @param {number} now - End of the segment
+     * @returns {Object} Idle report { completed, gains }
+     */
+    processIdleGains(timeElapsed, now = Date.now()) {
+        const report = { completed: [], gains: {} };
+        if (!this.isInitialized) return report;
+
+        for (const entry of this.evaluate(now, { offline: true })) {
+            const { action, at, ...details } = entry;
+            report.completed.push({ type: action, completedAt: at, ...details });
+        }
+
+        return report;
+    }
+
+    // Private methods
+
+    _createDefaultState() {
+        return {
+            enabled: true,
+            rules: [],
+            log: [],
+            nextRuleId: 1,
+            lastEvaluatedAt: null
+        };
+    }
+
+    _getCurrentRealm() {
+        if (this.systems.realmManager) {
+            return this.systems.realmManager.getCurrentRealm();
+        }
+        return this.gameState.get('realm.currentRealm') || this.gameState.get('realm.current');
+    }
+
+    _buildRule(definition, base) {
+        const rule = { ...base };
+
+        if (definition.name !== undefined) {
+            rule.name = String(definition.name).trim().slice(0, this.config.maxNameLength);
+        }
+        if (definition.conditions !== undefined) {
+            rule.conditions = Array.isArray(definition.conditions)
+                ? definition.conditions.map(condition => ({ ...condition }))
+                : definition.conditions;
+        }
+        if (definition.action !== undefined) {
+            rule.action = definition.action ? { ...definition.action } : definition.action;
+        }
+        if (definition.cooldown !== undefined) {
+            rule.cooldown = Number(definition.cooldown);
+        }
+        if (definition.enabled !== undefined) {
+            rule.enabled = !!definition.enabled;
+        }
+
+        return rule;
+    }
+
+    _validateParams(label, params, values) {
+        const errors = [];
+
+        for (const [param, allowed] of Object.entries(params)) {
+            const value = values[param];
+            if (Array.isArray(allowed)) {
+                if (!allowed.includes(value)) {
+                    errors.push(`${label}: ${param} must be one of ${allowed.join(', ')}`);
+                }
+            } else if (allowed === 'integer') {
+                if (!Number.isInteger(value) || value < 1) {
+                    errors.push(`${label}: ${param} must be a whole number of at least 1`);
+                }
+            } else if (typeof value !== 'string' || !value.trim()) {
+                errors.push(`${label}: ${param} is required`);
+            }
+        }
+
+        return errors;
+    }
+
+    _isRuleLocked(rule, index, unlocks) {
+        return index >= unlocks.maxRules ||
+            !unlocks.actions.includes(rule.action.type) ||
+            rule.conditions.some(condition => !unlocks.metrics.includes(condition.metric));
+    }
+
+    _conditionHolds(condition, now) {
+        let value;
+        try {
+            value = this.readMetric(condition, now);
+        } catch (error) {
+            console.warn(`DaoScriptEngine: Could not read ${condition.metric}:`, error);
+            return false;
+        }
+        if (value === null || value === undefined) {
+            return false;
+        }
+
+        switch (condition.op) {
+            case '>=': return value >= condition.value;
+            case '>': return value > condition.value;
+            case '<=': return value <= condition.value;
+            case '<': return value < condition.value;
+            case '==': return value === condition.value;
+            case '!=': return value !== condition.value;
+            default: return false;
+        }
+    }
+
+    _fireRule(rule, now, offline) {
+        let result;
+        try {
+            // Commands issued by a rule are automation, not player input for the action journal
+            result = typeof actionJournal !== 'undefined'
+                ? actionJournal.unrecorded(() => this._runAction(rule.action, now))
+                : this._runAction(rule.action, now);
+        } catch (error) {
+            console.error(`DaoScriptEngine: Rule '${rule.name}' failed:`, error);
+            result = { success: false, reason: 'error' };
+        }
+
+        // Failed attempts also wait out the cooldown, so a rule cannot retry every tick
+        rule.lastFiredAt = now;
+        if (result.success) {
+            rule.fireCount++;
+        }
+
+        const entry = {
+            ruleId: rule.id,
+            ruleName: rule.name,
+            action: rule.action.type,
+            at: now,
+            success: result.success,
+            reason: result.reason || null,
+            offline
+        };
+
+        this.scriptState.log.push(entry);
+        if (this.scriptState.log.length > this.config.maxLogEntries) {
+            this.scriptState.log = this.scriptState.log.slice(-this.config.maxLogEntries);
+        }
+
+        this.eventManager.emit('daoScripts:ruleFired', { ...entry });
+        return entry;
+    }
+
+    /**
+     * Run one action through its system
+     * @returns {Object} { success, reason? }
+     */
+    _runAction(action, now) {
+        const {
+            cultivationSystem, realmManager, craftingSystem, questSystem,
+            shopManager, mountSystem, runeSystem, dantianSystem
+        } = this.systems;
+        const unavailable = { success: false, reason: 'system_unavailable' };
+
+        switch (action.type) {
+            case 'path_breakthrough': {
+                if (!cultivationSystem) return unavailable;
+                const result = cultivationSystem.attemptBreakthrough(action.path);
+                return { success: result.success, reason: result.reason || (result.success ? null : 'breakthrough_failed') };
+            }
+            case 'realm_breakthrough': {
+                if (!realmManager) return unavailable;
+                const result = realmManager.attemptBreakthrough();
+                return { success: result.success, reason: result.reason || (result.success ? null : 'breakthrough_failed') };
+            }
+            case 'craft': {
+                if (!craftingSystem) return unavailable;
+                const result = craftingSystem.startCrafting(action.recipeId, action.quantity, now);
+                return { success: result.success, reason: result.reason || null };
+            }
+            case 'complete_quests': {
+                if (!questSystem) return unavailable;
+                const completed = this._getReadyQuests().filter(quest => questSystem.completeQuest(quest.id));
+                return completed.length > 0 ? { success: true } : { success: false, reason: 'no_quests_ready' };
+            }
+            case 'refresh_shop': {
+                const shop = shopManager && shopManager.shops[action.shopId];
+                if (!shop) return shopManager ? { success: false, reason: 'shop_not_found' } : unavailable;
+                if (!shopManager.canManuallyRefresh(shop, now)) {
+                    return { success: false, reason: 'refresh_not_ready' };
+                }
+                return { success: shopManager.refreshShopInventory(action.shopId, now).success };
+            }
+            case 'train_mount':
+                if (!mountSystem) return unavailable;
+                if (mountSystem.scheduler.isBusy('mounts.training')) return { success: false, reason: 'busy' };
+                return mountSystem.startTraining(action.mountId, now) ? { success: true } : { success: false, reason: 'cannot_start' };
+            case 'fuse_runes':
+                if (!runeSystem) return unavailable;
+                if (runeSystem.scheduler.isBusy('runes.fusing')) return { success: false, reason: 'busy' };
+                return runeSystem.startFusion(action.runeId, action.quantity, now) ? { success: true } : { success: false, reason: 'cannot_start' };
+            case 'expand_dantian':
+                if (!dantianSystem) return unavailable;
+                if (dantianSystem.scheduler.isBusy('dantian.expanding')) return { success: false, reason: 'busy' };
+                return dantianSystem.startExpansion(action.centerType, now) ? { success: true } : { success: false, reason: 'cannot_start' };
+            default:
+                return { success: false, reason: 'unknown_action' };
+        }
+    }
+
+    _getReadyQuests() {
+        const active = this.systems.questSystem.getActiveQuests();
+        return Object.values(active).flat().filter(quest => quest.objective && quest.objective.current >= quest.objective.target);
+    }
+
+    _saveState() {
+        this.gameState.set('automation', JSON.parse(JSON.stringify(this.scriptState)), { source: 'daoScripts:save' });
+    }
+}
+
+// Export for ES6 modules and global usage
+if (typeof module !== 'undefined' && module.exports) {
+    module.exports = { DaoScriptEngine };
+} else if (typeof window !== 'undefined') {
+    window.DaoScriptEngine = DaoScriptEngine;
+}
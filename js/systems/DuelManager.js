@@ -9,6 +9,7 @@ class DuelManager {
         this.combatSystem = combatSystem;
         this.powerCalculator = powerCalculator;
         this.rankingSystem = rankingSystem;
+        this.rng = randomManager.getStream('duel');
 
         // Duel state
         this.activeDuels = new Map();
@@ -307,8 +308,9 @@ class DuelManager {
      */
     _setupEventListeners() {
         // Handle combat end to update duel results
-        this.eventManager.on('combat:ended', (data) => {
-            this._handleDuelResult(data);
+        // Listeners get the EventManager envelope; the combat payload is in .data
+        this.eventManager.on('combat:ended', (event) => {
+            this._handleDuelResult(event.data);
         });
 
         // Save statistics
@@ -331,25 +333,25 @@ class DuelManager {
 
         // Generate weak opponents (50-80% of player power)
         for (let i = 0; i < 5; i++) {
-            const opponent = this._generateAIOpponent('weak', playerPower * (0.5 + Math.random() * 0.3));
+            const opponent = this._generateAIOpponent('weak', playerPower * (0.5 + this.rng.random() * 0.3));
             this.aiOpponents.set(opponent.id, opponent);
         }
 
         // Generate medium opponents (80-120% of player power)
         for (let i = 0; i < 8; i++) {
-            const opponent = this._generateAIOpponent('medium', playerPower * (0.8 + Math.random() * 0.4));
+            const opponent = this._generateAIOpponent('medium', playerPower * (0.8 + this.rng.random() * 0.4));
             this.aiOpponents.set(opponent.id, opponent);
         }
 
         // Generate strong opponents (120-200% of player power)
         for (let i = 0; i < 5; i++) {
-            const opponent = this._generateAIOpponent('strong', playerPower * (1.2 + Math.random() * 0.8));
+            const opponent = this._generateAIOpponent('strong', playerPower * (1.2 + this.rng.random() * 0.8));
             this.aiOpponents.set(opponent.id, opponent);
         }
 
         // Generate legendary opponents (200-500% of player power)
         for (let i = 0; i < 3; i++) {
-            const opponent = this._generateAIOpponent('legendary', playerPower * (2.0 + Math.random() * 3.0));
+            const opponent = this._generateAIOpponent('legendary', playerPower * (2.0 + this.rng.random() * 3.0));
             this.aiOpponents.set(opponent.id, opponent);
         }
 
@@ -398,7 +400,7 @@ class DuelManager {
             }];
         }
 
-        const baseTemplate = templatePool[Math.floor(Math.random() * templatePool.length)];
+        const baseTemplate = this.rng.pick(templatePool);
 
         // Scale the opponent to match target power
         const scaledOpponent = this._scaleOpponentToTargetPower(baseTemplate, targetPower);
@@ -759,10 +761,10 @@ class DuelManager {
         if (!opponent) return 0.5;
 
         switch (opponent.powerLevel) {
-            case 'weak': return 0.3 + Math.random() * 0.2; // 30-50%
-            case 'medium': return 0.4 + Math.random() * 0.2; // 40-60%
-            case 'strong': return 0.6 + Math.random() * 0.2; // 60-80%
-            case 'legendary': return 0.8 + Math.random() * 0.15; // 80-95%
+            case 'weak': return 0.3 + this.rng.random() * 0.2; // 30-50%
+            case 'medium': return 0.4 + this.rng.random() * 0.2; // 40-60%
+            case 'strong': return 0.6 + this.rng.random() * 0.2; // 60-80%
+            case 'legendary': return 0.8 + this.rng.random() * 0.15; // 80-95%
             default: return 0.5;
         }
     }
@@ -6,6 +6,7 @@ class EnhancementSystem {
     constructor(gameState, eventManager) {
         this.gameState = gameState;
         this.eventManager = eventManager;
+        this.rng = randomManager.getStream('enhancement');
 
         // Enhancement state
         this.enhancementState = {
@@ -164,7 +165,7 @@ class EnhancementSystem {
             const successRate = this._calculateSuccessRate(scripture, config);
 
             // Perform enhancement attempt
-            const isSuccess = config.forceAttempt || Math.random() < successRate;
+            const isSuccess = config.forceAttempt || this.rng.random() < successRate;
 
             if (isSuccess) {
                 return await this._processSuccessfulEnhancement(scripture, config, cost, successRate);
@@ -305,7 +306,7 @@ class EnhancementSystem {
             const successRate = this._calculateBreakthroughSuccessRate(scripture, config);
 
             // Perform breakthrough attempt
-            const isSuccess = Math.random() < successRate;
+            const isSuccess = this.rng.random() < successRate;
 
             if (isSuccess) {
                 const result = this._performSuccessfulBreakthrough(scripture, config);
@@ -629,10 +630,10 @@ class EnhancementSystem {
      */
     _deductCosts(cost) {
         if (cost.jade > 0) {
-            this.gameState.increment('player.jade', -cost.jade);
+            this.gameState.increment('player.jade', -cost.jade, { source: 'enhancement:enhance' });
         }
         if (cost.crystals > 0) {
-            this.gameState.increment('player.spiritCrystals', -cost.crystals);
+            this.gameState.increment('player.spiritCrystals', -cost.crystals, { source: 'enhancement:enhance' });
         }
     }
 
@@ -746,7 +747,7 @@ class EnhancementSystem {
             this.enhancementState.failureProtection.set(scripture.id, currentProtection + 1);
         } else {
             // Apply failure penalty (small chance to lose levels)
-            const failurePenalty = Math.random() < 0.1; // 10% chance
+            const failurePenalty = this.rng.random() < 0.1; // 10% chance
             if (failurePenalty && (scripture.level || 1) > 1) {
                 scripture.level = Math.max(1, (scripture.level || 1) - 1);
             }
@@ -847,10 +848,10 @@ class EnhancementSystem {
     _deductAwakeningCosts(requirements) {
         // Deduct resources
         if (requirements.cost.jade > 0) {
-            this.gameState.increment('player.jade', -requirements.cost.jade);
+            this.gameState.increment('player.jade', -requirements.cost.jade, { source: 'enhancement:awaken' });
         }
         if (requirements.cost.crystals > 0) {
-            this.gameState.increment('player.spiritCrystals', -requirements.cost.crystals);
+            this.gameState.increment('player.spiritCrystals', -requirements.cost.crystals, { source: 'enhancement:awaken' });
         }
 
         // Deduct materials
@@ -1001,8 +1002,8 @@ class EnhancementSystem {
      */
     _deductBreakthroughCosts(requirements) {
         // Deduct resources
-        this.gameState.increment('player.jade', -requirements.resources.jade);
-        this.gameState.increment('player.spiritCrystals', -requirements.resources.crystals);
+        this.gameState.increment('player.jade', -requirements.resources.jade, { source: 'enhancement:breakthrough' });
+        this.gameState.increment('player.spiritCrystals', -requirements.resources.crystals, { source: 'enhancement:breakthrough' });
 
         // Deduct materials
         for (const [material, amount] of Object.entries(requirements.materials)) {
@@ -1080,7 +1081,7 @@ class EnhancementSystem {
      */
     _applyBreakthroughFailurePenalty(scripture) {
         // Small chance to lose levels on breakthrough failure
-        const levelLoss = Math.random() < 0.2; // 20% chance
+        const levelLoss = this.rng.random() < 0.2; // 20% chance
         let penalty = {};
 
         if (levelLoss && (scripture.level || 1) > 1) {
@@ -1128,13 +1129,13 @@ class EnhancementSystem {
         const materials = {};
 
         // Base materials from victory
-        if (Math.random() < 0.3) { // 30% chance
+        if (this.rng.random() < 0.3) { // 30% chance
             materials.enhancementStones = 1;
         }
 
         // Rare materials from strong opponents
         if (combatData.difficulty && combatData.difficulty >= 3) {
-            if (Math.random() < 0.1) { // 10% chance
+            if (this.rng.random() < 0.1) { // 10% chance
                 materials.essenceOfCultivation = 5;
             }
         }
@@ -6,6 +6,7 @@ class GachaSystem {
     constructor(gameState, eventManager) {
         this.gameState = gameState;
         this.eventManager = eventManager;
+        this.rng = randomManager.getStream('gacha');
 
         // Gacha state tracking
         this.gachaState = {
@@ -110,6 +111,10 @@ class GachaSystem {
             throw new Error(`Invalid pool: ${pool}`);
         }
 
+        if (!this._isPoolAvailable(pool)) {
+            return { success: false, reason: 'pool_unavailable' };
+        }
+
         const config = {
             guaranteed: false,
             showAnimation: true,
@@ -198,6 +203,10 @@ class GachaSystem {
             throw new Error(`Invalid pool: ${pool}`);
         }
 
+        if (!this._isPoolAvailable(pool)) {
+            return { success: false, reason: 'pool_unavailable' };
+        }
+
         const config = {
             showAnimation: true,
             guaranteeRare: count >= 10, // 10-pull guarantees at least one rare
@@ -359,6 +368,42 @@ class GachaSystem {
         return true;
     }
 
+    /**
+     * Open a time-limited pool until the given time
+     * @param {string} poolId - Pool key in GACHA_POOLS
+     * @param {number} endTime - Timestamp the pool closes at
+     * @returns {boolean} Success status
+     */
+    openEventPool(poolId, endTime) {
+        if (!GACHA_POOLS[poolId] || !GACHA_POOLS[poolId].timeLimit) {
+            return false;
+        }
+
+        this.gachaState.eventEndTimes[poolId] = endTime;
+        this.saveState();
+
+        this.eventManager.emit('gacha:pool_opened', { poolId, endTime });
+        return true;
+    }
+
+    /**
+     * Close a time-limited pool, moving the player off it if selected
+     * @param {string} poolId - Pool key in GACHA_POOLS
+     */
+    closeEventPool(poolId) {
+        if (!this.gachaState.eventEndTimes[poolId]) {
+            return;
+        }
+
+        this.gachaState.eventEndTimes[poolId] = null;
+        if (this.gachaState.currentPool === poolId) {
+            this.gachaState.currentPool = 'Standard';
+        }
+        this.saveState();
+
+        this.eventManager.emit('gacha:pool_closed', { poolId });
+    }
+
     /**
      * Get gacha statistics and history
      * @returns {Object} Statistics and history
@@ -515,10 +560,10 @@ class GachaSystem {
      */
     _deductCosts(cost) {
         if (cost.jade > 0) {
-            this.gameState.increment('player.jade', -cost.jade);
+            this.gameState.increment('player.jade', -cost.jade, { source: 'gacha:cost' });
         }
         if (cost.crystals > 0) {
-            this.gameState.increment('player.spiritCrystals', -cost.crystals);
+            this.gameState.increment('player.spiritCrystals', -cost.crystals, { source: 'gacha:cost' });
         }
     }
 
@@ -530,7 +575,7 @@ class GachaSystem {
      */
     _performPull(poolId, config) {
         const poolData = GACHA_POOLS[poolId];
-        const pityInfo = this.gachaState.pityCounts[poolId];
+        const pityInfo = this._getPityInfo(poolId);
 
         // Determine rarity based on rates and pity
         let rarity = this._determineRarity(poolId, config, pityInfo);
@@ -589,7 +634,7 @@ class GachaSystem {
 
         // Check for epic pity (guaranteed epic or better)
         if (pityInfo.epic >= poolData.pitySystem.hardPity) {
-            return Math.random() < 0.3 ? 'Legendary' : 'Epic'; // 30% legendary, 70% epic
+            return this.rng.random() < 0.3 ? 'Legendary' : 'Epic'; // 30% legendary, 70% epic
         }
 
         // Calculate base rates with pity modifiers
@@ -684,7 +729,7 @@ class GachaSystem {
      * @returns {string} Selected rarity
      */
     _selectRarityFromRates(rates) {
-        const random = Math.random();
+        const random = this.rng.random();
         let cumulative = 0;
 
         // Sort by rarity level (common first, mythical last)
@@ -760,7 +805,7 @@ class GachaSystem {
             const fallbackScriptures = allScriptures.filter(s => s.rarity === rarity);
 
             if (fallbackScriptures.length > 0) {
-                return fallbackScriptures[Math.floor(Math.random() * fallbackScriptures.length)];
+                return this.rng.pick(fallbackScriptures);
             }
 
             // Last resort fallback
@@ -781,11 +826,11 @@ class GachaSystem {
                 }
             }
 
-            return weightedScriptures[Math.floor(Math.random() * weightedScriptures.length)];
+            return this.rng.pick(weightedScriptures);
         }
 
         // Standard random selection
-        return scripturesOfRarity[Math.floor(Math.random() * scripturesOfRarity.length)];
+        return this.rng.pick(scripturesOfRarity);
     }
 
     /**
@@ -828,7 +873,7 @@ class GachaSystem {
      * @param {Object} result - Pull result
      */
     _updatePityCounters(poolId, result) {
-        const pityInfo = this.gachaState.pityCounts[poolId];
+        const pityInfo = this._getPityInfo(poolId);
 
         if (result.rarity === 'Legendary' || result.rarity === 'Mythical') {
             // Reset both counters on legendary+
@@ -845,6 +890,18 @@ class GachaSystem {
         }
     }
 
+    /**
+     * Get pity counters for a pool, creating them on first use
+     * @param {string} poolId - Pool ID
+     * @returns {Object} Pity counters
+     */
+    _getPityInfo(poolId) {
+        if (!this.gachaState.pityCounts[poolId]) {
+            this.gachaState.pityCounts[poolId] = { epic: 0, legendary: 0 };
+        }
+        return this.gachaState.pityCounts[poolId];
+    }
+
     /**
      * Update statistics after a pull
      * @param {Object} result - Pull result
@@ -1012,10 +1069,11 @@ class GachaSystem {
 
     /**
      * Generate unique scripture ID
+     * Drawn from the shared 'ids' stream so journal replays produce the same IDs
      * @returns {string} Unique ID
      */
     _generateScriptureId() {
-        return `scripture_${Date.now()}_${Math.random().toString(36).substr(2, 9)}`;
+        return `scripture_${Date.now()}_${randomManager.random('ids').toString(36).substr(2, 9)}`;
     }
 }
 
@@ -6,9 +6,14 @@ class MeridianSystem {
     constructor(gameState, eventManager) {
         this.gameState = gameState;
         this.eventManager = eventManager;
+        this.rng = randomManager.getStream('meridian');
+
+        // Channel openings run as jobs on the shared scheduler
+        this.scheduler = jobScheduler;
 
         // Initialize meridian system state
         this.initializeState();
+        this.registerJobHandlers();
 
         console.log('MeridianSystem: Initialized');
     }
@@ -21,7 +26,6 @@ class MeridianSystem {
             this.gameState.set('meridians', {
                 channels: {},
                 active: [],
-                opening: null,
                 resources: {},
                 patterns: {},
                 unlocked: false
@@ -29,6 +33,21 @@ class MeridianSystem {
         }
     }
 
+    /**
+     * Let the scheduler finish channel openings, taking over a timer from saves made before it existed
+     */
+    registerJobHandlers() {
+        this.scheduler.registerHandler('meridians.opening', {
+            label: 'Meridian opening',
+            complete: job => this.completeOpening(job),
+            describe: (job, result) => {
+                const name = this.getChannelData(result.channelId)?.name || result.channelId;
+                return result.opened ? `${name} is open` : `Cleared a blockage in ${name}`;
+            }
+        });
+        this.scheduler.adoptTimer('meridians.opening', 'meridians', 'opening');
+    }
+
     /**
      * Unlock the meridian system (typically at Qi Condensation realm)
      */
@@ -110,6 +129,11 @@ class MeridianSystem {
             return this.openChannel(channelId);
         }
 
+        if (this.scheduler.isBusy('meridians.opening')) {
+            console.warn(`MeridianSystem: Another channel is being opened`);
+            return false;
+        }
+
         // Need to clear blockages first
         const requirements = this.getOpeningRequirements(channelId);
 
@@ -121,14 +145,8 @@ class MeridianSystem {
         // Consume resources
         this.consumeResources(requirements);
 
-        meridians.opening = {
-            channelId: channelId,
-            startTime: Date.now(),
-            duration: this.getOpeningDuration(channelId),
-            progress: 0
-        };
+        this.scheduler.schedule('meridians.opening', { channelId }, this.getOpeningDuration(channelId));
 
-        this.gameState.set('meridians', meridians);
         this.eventManager.emit('meridianOpeningStarted', { channelId });
 
         console.log(`MeridianSystem: Started opening meridian channel ${channelId}`);
@@ -136,21 +154,12 @@ class MeridianSystem {
     }
 
     /**
-     * Complete meridian channel opening
+     * Complete meridian channel opening; run by the scheduler when the job is due
+     * @param {Object} job - Finished 'meridians.opening' job
      */
-    completeOpening() {
+    completeOpening(job) {
         const meridians = this.gameState.get('meridians');
-
-        if (!meridians.opening) {
-            return null;
-        }
-
-        const { channelId, startTime, duration } = meridians.opening;
-        const now = Date.now();
-
-        if (now - startTime < duration) {
-            return null; // Opening not complete
-        }
+        const { channelId } = job.data;
 
         // Clear one blockage
         const channel = meridians.channels[channelId];
@@ -163,9 +172,6 @@ class MeridianSystem {
             }
         }
 
-        // Clear opening process
-        meridians.opening = null;
-
         this.gameState.set('meridians', meridians);
         this.eventManager.emit('meridianOpeningCompleted', { channelId, opened: channel.blockages <= 0 });
 
@@ -222,7 +228,7 @@ class MeridianSystem {
         this.consumeResources(requirements);
 
         // Increase level and purity
-        const purityGain = 5 + Math.random() * 10; // 5-15 purity gain
+        const purityGain = 5 + this.rng.random() * 10; // 5-15 purity gain
         channel.purity += purityGain;
 
         // Level up if enough purity
@@ -656,6 +662,8 @@ class MeridianSystem {
             return [];
         }
 
+        const opening = this.scheduler.findJob('meridians.opening');
+
         return Object.keys(meridians.channels).map(channelId => {
             const channel = meridians.channels[channelId];
             const data = this.getChannelData(channelId);
@@ -666,7 +674,7 @@ class MeridianSystem {
                 ...data,
                 ...channel,
                 power: power,
-                isOpening: meridians.opening?.channelId === channelId,
+                isOpening: opening?.data.channelId === channelId,
                 openingRequirements: this.getOpeningRequirements(channelId),
                 cultivationRequirements: this.getCultivationRequirements(channelId),
                 canOpen: !channel.opened && this.hasRequiredResources(this.getOpeningRequirements(channelId)),
@@ -699,14 +707,14 @@ class MeridianSystem {
      */
     getSystemStatus() {
         const meridians = this.gameState.get('meridians');
+        const opening = this.scheduler.findJob('meridians.opening');
 
         return {
             unlocked: this.isUnlocked(),
             totalPower: this.getMeridianPower(),
-            openingInProgress: !!meridians?.opening,
-            openingChannel: meridians?.opening?.channelId || null,
-            openingTimeRemaining: meridians?.opening ?
-                Math.max(0, (meridians.opening.startTime + meridians.opening.duration) - Date.now()) : 0,
+            openingInProgress: !!opening,
+            openingChannel: opening?.data.channelId || null,
+            openingTimeRemaining: this.scheduler.getRemaining(opening),
             openedChannels: meridians?.active?.length || 0,
             totalChannels: Object.keys(meridians?.channels || {}).length,
             activePatterns: Object.keys(meridians?.patterns || {}).filter(p => meridians.patterns[p].active).length,
@@ -715,27 +723,21 @@ class MeridianSystem {
     }
 
     /**
-     * Process meridian-related idle gains
+     * Timers that finish on their own, so offline simulation can stop at each one
+     * @returns {Array<Object>} [{ type, endsAt }]
      */
-    processIdleGains(timeElapsed) {
-        const meridians = this.gameState.get('meridians');
-
-        if (!meridians?.opening) {
-            return;
-        }
-
-        // Check if opening completed during idle time
-        const opening = meridians.opening;
-        const openingEndTime = opening.startTime + opening.duration;
-        const now = Date.now();
+    getIdleTimers() {
+        return this.scheduler.getTimers({ owner: 'meridians' });
+    }
 
-        if (now >= openingEndTime) {
-            // Opening completed during idle time
-            const result = this.completeOpening();
-            if (result) {
-                console.log(`MeridianSystem: Auto-completed opening for ${result.channelId} during idle time`);
-            }
-        }
+    /**
+     * Process idle time, finishing the meridian opening if it ended by `now`
+     * @param {number} timeElapsed - Length of the idle period in milliseconds
+     * @param {number} now - End of the idle period (defaults to the current time)
+     * @returns {Object} Idle report { completed, gains }
+     */
+    processIdleGains(timeElapsed, now = Date.now()) {
+        return this.scheduler.processIdleJobs('meridians', now);
     }
 }
 
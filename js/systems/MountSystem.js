@@ -6,9 +6,14 @@ class MountSystem {
     constructor(gameState, eventManager) {
         this.gameState = gameState;
         this.eventManager = eventManager;
+        this.rng = randomManager.getStream('mount');
+
+        // Training runs as a job on the shared scheduler
+        this.scheduler = jobScheduler;
 
         // Initialize mount system state
         this.initializeState();
+        this.registerJobHandlers();
 
         console.log('MountSystem: Initialized');
     }
@@ -21,7 +26,6 @@ class MountSystem {
             this.gameState.set('mounts', {
                 discovered: [],
                 active: null,
-                training: null,
                 inventory: {},
                 experience: {},
                 unlocked: false
@@ -29,6 +33,18 @@ class MountSystem {
         }
     }
 
+    /**
+     * Let the scheduler finish training jobs, taking over a timer from saves made before it existed
+     */
+    registerJobHandlers() {
+        this.scheduler.registerHandler('mounts.training', {
+            label: 'Mount training',
+            complete: job => this.completeTraining(job),
+            describe: (job, result) => `${this.getMountData(result.mountId)?.name || result.mountId} gained ${result.expGain} experience`
+        });
+        this.scheduler.adoptTimer('mounts.training', 'mounts', 'training');
+    }
+
     /**
      * Unlock the mount system (typically at Foundation Establishment realm)
      */
@@ -109,8 +125,10 @@ class MountSystem {
 
     /**
      * Start training a mount to increase its level and power
+     * @param {string} mountId - Mount to train
+     * @param {number} now - Start time (defaults to the current time)
      */
-    startTraining(mountId) {
+    startTraining(mountId, now = Date.now()) {
         const mounts = this.gameState.get('mounts');
 
         if (!mounts.discovered.includes(mountId)) {
@@ -118,13 +136,10 @@ class MountSystem {
             return false;
         }
 
-        mounts.training = {
-            mountId: mountId,
-            startTime: Date.now(),
-            duration: this.getTrainingDuration(mountId)
-        };
+        if (!this.scheduler.schedule('mounts.training', { mountId }, this.getTrainingDuration(mountId), { now })) {
+            return false; // Another mount is training
+        }
 
-        this.gameState.set('mounts', mounts);
         this.eventManager.emit('mountTrainingStarted', { mountId });
 
         console.log(`MountSystem: Started training mount ${mountId}`);
@@ -132,29 +147,17 @@ class MountSystem {
     }
 
     /**
-     * Complete mount training and apply experience/level gains
+     * Complete mount training and apply experience/level gains; run by the scheduler when the job is due
+     * @param {Object} job - Finished 'mounts.training' job
      */
-    completeTraining() {
+    completeTraining(job) {
         const mounts = this.gameState.get('mounts');
-
-        if (!mounts.training) {
-            return null;
-        }
-
-        const { mountId, startTime, duration } = mounts.training;
-        const now = Date.now();
-
-        if (now - startTime < duration) {
-            return null; // Training not complete
-        }
+        const { mountId } = job.data;
 
         // Apply experience gain
         const expGain = this.calculateTrainingExperience(mountId);
         mounts.experience[mountId] = (mounts.experience[mountId] || 0) + expGain;
 
-        // Clear training
-        mounts.training = null;
-
         this.gameState.set('mounts', mounts);
         this.eventManager.emit('mountTrainingCompleted', { mountId, expGain });
 
@@ -242,7 +245,7 @@ class MountSystem {
         // Base experience with some randomness
         const baseExp = mountData.baseExpGain;
         const levelMultiplier = Math.max(1, level * 0.1);
-        const randomFactor = 0.8 + Math.random() * 0.4; // 80-120% of base
+        const randomFactor = 0.8 + this.rng.random() * 0.4; // 80-120% of base
 
         return Math.floor(baseExp * levelMultiplier * randomFactor);
     }
@@ -257,6 +260,8 @@ class MountSystem {
             return [];
         }
 
+        const training = this.scheduler.findJob('mounts.training');
+
         return mounts.discovered.map(mountId => {
             const data = this.getMountData(mountId);
             const level = this.getMountLevel(mountId);
@@ -270,7 +275,7 @@ class MountSystem {
                 experience: experience,
                 power: power,
                 isActive: mounts.active === mountId,
-                isTraining: mounts.training?.mountId === mountId
+                isTraining: training?.data.mountId === mountId
             };
         });
     }
@@ -364,7 +369,10 @@ class MountSystem {
             }
         };
 
-        return mountsData[mountId] || null;
+        // Content packs can add mounts or replace built-in ones
+        return typeof contentPackLoader !== 'undefined'
+            ? contentPackLoader.lookup('mounts', mountId, mountsData[mountId])
+            : mountsData[mountId] || null;
     }
 
     /**
@@ -372,42 +380,36 @@ class MountSystem {
      */
     getSystemStatus() {
         const mounts = this.gameState.get('mounts');
+        const training = this.scheduler.findJob('mounts.training');
 
         return {
             unlocked: this.isUnlocked(),
             activeMount: mounts?.active || null,
             activeMountPower: this.getActiveMountPower(),
-            trainingInProgress: !!mounts?.training,
-            trainingMount: mounts?.training?.mountId || null,
-            trainingTimeRemaining: mounts?.training ?
-                Math.max(0, (mounts.training.startTime + mounts.training.duration) - Date.now()) : 0,
+            trainingInProgress: !!training,
+            trainingMount: training?.data.mountId || null,
+            trainingTimeRemaining: this.scheduler.getRemaining(training),
             discoveredCount: mounts?.discovered?.length || 0,
             totalMounts: Object.keys(this.getMountData('spirit_horse') ? { spirit_horse: true, cloud_leopard: true, fire_phoenix: true, void_dragon: true } : {}).length
         };
     }
 
     /**
-     * Process mount-related idle gains
+     * Timers that finish on their own, so offline simulation can stop at each one
+     * @returns {Array<Object>} [{ type, endsAt }]
      */
-    processIdleGains(timeElapsed) {
-        const mounts = this.gameState.get('mounts');
-
-        if (!mounts?.training) {
-            return;
-        }
-
-        // Check if training completed during idle time
-        const training = mounts.training;
-        const trainingEndTime = training.startTime + training.duration;
-        const now = Date.now();
+    getIdleTimers() {
+        return this.scheduler.getTimers({ owner: 'mounts' });
+    }
 
-        if (now >= trainingEndTime) {
-            // Training completed during idle time
-            const result = this.completeTraining();
-            if (result) {
-                console.log(`MountSystem: Auto-completed training for ${result.mountId} during idle time`);
-            }
-        }
+    /**
+     * Process idle time, finishing the training if it ended by `now`
+     * @param {number} timeElapsed - Length of the idle period in milliseconds
+     * @param {number} now - End of the idle period (defaults to the current time)
+     * @returns {Object} Idle report { completed, gains }
+     */
+    processIdleGains(timeElapsed, now = Date.now()) {
+        return this.scheduler.processIdleJobs('mounts', now);
     }
 }
 
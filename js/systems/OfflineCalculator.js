@@ -9,6 +9,7 @@ class OfflineCalculator {
         this.cultivationSystem = cultivationSystem;
         this.realmManager = realmManager;
         this.techniqueManager = techniqueManager;
+        this.rng = randomManager.getStream('offline');
 
         // Offline calculation settings
         this.config = {
@@ -40,6 +41,11 @@ class OfflineCalculator {
             eventsGenerated: []
         };
 
+        // Idle systems driven through the common interface:
+        // processIdleGains(timeElapsed, now) -> { completed, gains } and optional getIdleTimers(from) -> [{ type, endsAt }],
+        // where `from` is the simulated time reached so far
+        this.idleSystems = new Map(); // name -> { system, label }
+
         // Performance tracking
         this.performanceMetrics = {
             calculationTime: 0,
@@ -76,6 +82,27 @@ class OfflineCalculator {
         }
     }
 
+    /**
+     * Register a system whose timers and passive gains progress while offline
+     * @param {string} name - Key used in the offline report, e.g. 'mounts'
+     * @param {Object} system - System implementing processIdleGains(timeElapsed, now)
+     * @param {string} label - Display name for the report
+     */
+    registerIdleSystem(name, system, label = name) {
+        if (!system || typeof system.processIdleGains !== 'function') {
+            throw new Error(`OfflineCalculator: Idle system '${name}' must implement processIdleGains`);
+        }
+        this.idleSystems.set(name, { system, label });
+    }
+
+    /**
+     * Remove a registered idle system
+     * @param {string} name - Key passed to registerIdleSystem
+     */
+    unregisterIdleSystem(name) {
+        this.idleSystems.delete(name);
+    }
+
     /**
      * Calculate offline progression
      * @param {number} offlineTimeMs - Time offline in milliseconds
@@ -115,8 +142,12 @@ class OfflineCalculator {
             // Simulate offline progression
             const simulationResult = await this._simulateOfflineProgression(effectiveTimeMs, config);
 
+            // Idle systems cover the same window, ending now
+            const periodEnd = Date.now();
+            const idleResult = this._simulateIdleSystems(periodEnd - effectiveTimeMs, periodEnd);
+
             // Generate final results
-            const results = this._generateOfflineResults(initialState, simulationResult, effectiveHours);
+            const results = this._generateOfflineResults(initialState, simulationResult, effectiveHours, idleResult);
 
             // Apply results to game state
             this._applyOfflineResults(results);
@@ -381,6 +412,111 @@ class OfflineCalculator {
         return results;
     }
 
+    /**
+     * Run every registered idle system over an offline window
+     * The window is split at each timer's end so a job finishes at the moment it was due,
+     * and anything that depends on it (e.g. soul essence after tempering) sees the change
+     * from then on rather than from the start or end of the absence.
+     * @param {number} startTime - Start of the window
+     * @param {number} endTime - End of the window
+     * @returns {Object} name -> { label, completed, gains, error? }
+     */
+    _simulateIdleSystems(startTime, endTime) {
+        const results = {};
+        for (const [name, { label }] of this.idleSystems) {
+            results[name] = { label, completed: [], gains: {} };
+        }
+
+        const maxSegments = 1000; // Guard against a system that keeps rescheduling inside the window
+        let cursor = startTime;
+
+        for (let segment = 0; cursor < endTime && segment < maxSegments; segment++) {
+            let segmentEnd = endTime;
+            for (const { system } of this.idleSystems.values()) {
+                const timers = typeof system.getIdleTimers === 'function' ? system.getIdleTimers(cursor) : [];
+                for (const timer of timers) {
+                    if (timer.endsAt > cursor && timer.endsAt < segmentEnd) {
+                        segmentEnd = timer.endsAt;
+                    }
+                }
+            }
+
+            for (const [name, { system }] of this.idleSystems) {
+                const entry = results[name];
+                if (entry.error) {
+                    continue;
+                }
+
+                try {
+                    const report = system.processIdleGains(segmentEnd - cursor, segmentEnd) || {};
+                    entry.completed.push(...(report.completed || []));
+                    for (const [resource, amount] of Object.entries(report.gains || {})) {
+                        entry.gains[resource] = (entry.gains[resource] || 0) + amount;
+                    }
+                } catch (error) {
+                    console.error(`OfflineCalculator: Idle system '${name}' failed:`, error);
+                    entry.error = error.message;
+                }
+            }
+
+            cursor = segmentEnd;
+        }
+
+        return results;
+    }
+
+    /**
+     * Flatten cultivation and idle system results into one list of report lines
+     * @returns {Array<Object>} Items { system, kind, label, amount?, at? , details? }
+     */
+    _buildOfflineReport(simulationResult, idleResult, periodStart) {
+        const items = [];
+        const progressLabels = { qi: 'Qi experience', body: 'Body experience', dual: 'Dual cultivation experience' };
+
+        for (const [path, amount] of Object.entries(simulationResult.totalProgress)) {
+            if (amount > 0) {
+                items.push({ system: 'cultivation', kind: 'gain', label: progressLabels[path], amount });
+            }
+        }
+
+        simulationResult.breakthroughs.forEach(breakthrough => {
+            items.push({
+                system: 'cultivation',
+                kind: 'breakthrough',
+                label: `${breakthrough.path} level ${breakthrough.newLevel}`,
+                at: periodStart + breakthrough.timestamp,
+                details: breakthrough
+            });
+        });
+
+        for (const [resource, amount] of Object.entries(simulationResult.resourcesConsumed)) {
+            if (amount > 0) {
+                items.push({ system: 'cultivation', kind: 'cost', label: resource, amount });
+            }
+        }
+
+        for (const [name, result] of Object.entries(idleResult)) {
+            result.completed.forEach(completion => {
+                const { type, completedAt, ...details } = completion;
+                items.push({ system: name, kind: 'completed', label: `${result.label}: ${type}`, at: completedAt, details });
+            });
+
+            for (const [resource, amount] of Object.entries(result.gains)) {
+                items.push({ system: name, kind: 'gain', label: `${result.label}: ${resource}`, amount });
+            }
+
+            if (result.error) {
+                items.push({ system: name, kind: 'error', label: result.label, details: { message: result.error } });
+            }
+        }
+
+        simulationResult.events.forEach(event => {
+            items.push({ system: 'cultivation', kind: 'event', label: event.message, at: periodStart + event.time });
+        });
+
+        return items;
+    }
+
     /**
      * Simulate cultivation progress for one tick
      * @param {number} tickTimeMs - Tick duration in milliseconds
@@ -456,7 +592,7 @@ class OfflineCalculator {
         // Reduce chance for offline breakthroughs
         chance *= this.config.autoBreakthroughChance * efficiency;
 
-        const success = Math.random() < chance;
+        const success = this.rng.random() < chance;
 
         this.calculationState.breakthroughsAttempted++;
 
@@ -515,9 +651,14 @@ class OfflineCalculator {
         const minEfficiency = this.config.minEfficiency;
 
         // Exponential decay
-        const efficiency = Math.exp(-timeRatio * decayRate);
+        const efficiency = Math.max(minEfficiency, Math.exp(-timeRatio * decayRate));
+
+        // Permanent reincarnation upgrades scale the whole curve
+        const reincarnationMultipliers = REINCARNATION_FORMULAS.getMultipliers(
+            this.gameState.get('reincarnation.upgrades') || {}
+        );
 
-        return Math.max(minEfficiency, efficiency);
+        return efficiency * reincarnationMultipliers.offlineEfficiency;
     }
 
     /**
@@ -553,9 +694,14 @@ class OfflineCalculator {
      * @param {Object} initialState - Initial state snapshot
      * @param {Object} simulationResult - Simulation results
      * @param {number} effectiveHours - Effective offline hours
+     * @param {Object} idleResult - Per idle system results
      * @returns {Object} Final results
      */
-    _generateOfflineResults(initialState, simulationResult, effectiveHours) {
+    _generateOfflineResults(initialState, simulationResult, effectiveHours, idleResult = {}) {
+        const effectiveMs = effectiveHours * 60 * 60 * 1000;
+        const periodEnd = Date.now();
+        const periodStart = periodEnd - effectiveMs;
+
         return {
             offlineTime: {
                 total: this.calculationState.totalOfflineTime,
@@ -572,6 +718,12 @@ class OfflineCalculator {
                 breakthroughsSucceeded: this.calculationState.breakthroughsSucceeded,
                 successRate: this.calculationState.breakthroughsAttempted > 0 ?
                     this.calculationState.breakthroughsSucceeded / this.calculationState.breakthroughsAttempted : 0
+            },
+            idleSystems: idleResult,
+            report: {
+                periodStart,
+                periodEnd,
+                items: this._buildOfflineReport(simulationResult, idleResult, periodStart)
             }
         };
     }
@@ -19,6 +19,7 @@ class PowerCalculator {
             scripture: 0,
             equipment: 0,
             progression: 0,
+            skills: 0,
             modifiers: 0,
             timestamp: 0
         };
@@ -36,6 +37,7 @@ class PowerCalculator {
         const config = {
             useCache: true,
             includeTemporaryEffects: true,
+            includeSkillPower: true,
             breakdown: false,
             ...options
         };
@@ -264,6 +266,10 @@ class PowerCalculator {
         // Calculate CP progression systems power
         const progressionPower = this._calculateProgressionPower(entity);
 
+        // Calculate power from combat skills in the loadout; combat applies skills as modifiers instead
+        const skillPower = config.includeSkillPower ?
+            this._calculateSkillPower(entity, basePower + scripturePower + equipmentPower) : 0;
+
         // Calculate modifiers
         let modifierPower = 0;
         let modifiers = {};
@@ -289,7 +295,7 @@ class PowerCalculator {
             cappedProgressionPower = maxProgressionPower + diminishedExcess;
         }
 
-        total += cappedProgressionPower + modifierPower;
+        total += cappedProgressionPower + skillPower + modifierPower;
 
         // Apply percentage modifiers
         if (modifiers.powerMultiplier) {
@@ -305,6 +311,7 @@ class PowerCalculator {
             scripture: scripturePower,
             equipment: equipmentPower,
             progression: cappedProgressionPower, // Use capped value for accurate reporting
+            skills: skillPower,
             modifiers: modifierPower,
             multiplier: modifiers.powerMultiplier || 1.0,
             breakdown: {
@@ -312,6 +319,7 @@ class PowerCalculator {
                 scriptures: scriptures,
                 equipment: equipment,
                 progression: this._getProgressionBreakdown(entity),
+                skills: entity.skillEffects || {},
                 modifiers: modifiers
             },
             // Balance monitoring data
@@ -344,10 +352,53 @@ class PowerCalculator {
             runes: this.gameState.get('runes'),
             meridians: this.gameState.get('meridians'),
             dantian: this.gameState.get('dantian'),
-            soul: this.gameState.get('soul')
+            soul: this.gameState.get('soul'),
+            // Combat effects of the skill loadout, synergies included
+            skillEffects: this._getPlayerSkillEffects()
         };
     }
 
+    /**
+     * Get the combat effects of the player's skill loadout
+     * @returns {Object} Combat effects keyed by effect type
+     */
+    _getPlayerSkillEffects() {
+        if (typeof window.game === 'undefined' || !window.game.moduleManager) {
+            return {};
+        }
+
+        const skillsModule = window.game.moduleManager.getModule('skills');
+        const effects = skillsModule?.skillIntegration?.getActiveSkillEffects();
+        return effects && effects.combat ? { ...effects.combat } : {};
+    }
+
+    /**
+     * Calculate the power combat skill effects add
+     * @param {Object} entity - Entity data
+     * @param {number} corePower - Base, scripture and equipment power
+     * @returns {number} Skill power
+     */
+    _calculateSkillPower(entity, corePower) {
+        const skillEffects = entity.skillEffects || {};
+        const combatEffects = window.SkillData?.SKILL_COMBAT_EFFECTS || {};
+        let power = 0;
+
+        for (const [effectType, value] of Object.entries(skillEffects)) {
+            const mapping = combatEffects[effectType];
+            if (!mapping || typeof value !== 'number') {
+                continue;
+            }
+
+            if (mapping.flatPower) {
+                power += value * mapping.flatPower;
+            } else if (mapping.power) {
+                power += corePower * value * mapping.power;
+            }
+        }
+
+        return power;
+    }
+
     /**
      * Get scriptures for an entity
      * @param {Object} entity - Entity data
@@ -388,7 +439,13 @@ class PowerCalculator {
             flatBonus: 0,
             healthMultiplier: 1.0,
             qiMultiplier: 1.0,
-            initiativeBonus: 0
+            initiativeBonus: 0,
+            damageMultiplier: 1.0,
+            flatDamageBonus: 0,
+            critChanceBonus: 0,
+            critDamageBonus: 0,
+            damageReduction: 0,
+            stunChance: 0
         };
 
         // Character origin/vow/mark modifiers
@@ -437,6 +494,22 @@ class PowerCalculator {
             }
         });
 
+        // Combat skill effects
+        const combatEffects = window.SkillData?.SKILL_COMBAT_EFFECTS || {};
+        Object.entries(entity.skillEffects || {}).forEach(([effectType, value]) => {
+            const mapping = combatEffects[effectType];
+            if (!mapping || typeof value !== 'number') {
+                return;
+            }
+
+            const amount = value * (mapping.scale || 1);
+            if (mapping.mode === 'multiply') {
+                modifiers[mapping.modifier] *= 1 + amount;
+            } else {
+                modifiers[mapping.modifier] += amount;
+            }
+        });
+
         return modifiers;
     }
 
@@ -453,7 +526,9 @@ class PowerCalculator {
             scriptures: entity.scriptures?.equipped || entity.equippedScriptures,
             equipment: entity.equipment || entity.loadout,
             character: entity.character,
+            skillEffects: entity.skillEffects,
             temporaryEffects: config.includeTemporaryEffects ? entity.temporaryEffects : null,
+            includeSkillPower: config.includeSkillPower,
             breakdown: config.breakdown
         };
 
@@ -889,7 +964,7 @@ class PowerCalculator {
     }
 
     // Data accessor methods - these would normally access the respective system classes
-    // For now, implementing simplified versions
+    // For now, implementing simplified versions (content pack entries take precedence)
     _getMountData(mountId) {
         const mountsData = {
             spirit_horse: { name: 'Spirit Horse', basePower: 150, powerPerLevel: 25, experienceBonus: 2 },
@@ -897,7 +972,9 @@ class PowerCalculator {
             fire_phoenix: { name: 'Fire Phoenix', basePower: 450, powerPerLevel: 75, experienceBonus: 5 },
             void_dragon: { name: 'Void Dragon', basePower: 800, powerPerLevel: 120, experienceBonus: 8 }
         };
-        return mountsData[mountId] || null;
+        return typeof contentPackLoader !== 'undefined'
+            ? contentPackLoader.lookup('mounts', mountId, mountsData[mountId])
+            : mountsData[mountId] || null;
     }
 
     _getMountLevel(mountId, mounts) {
@@ -926,7 +1003,9 @@ class PowerCalculator {
             void_wings: { name: 'Void Wings', basePower: 620, powerPerLevel: 85 },
             divine_wings: { name: 'Divine Wings', basePower: 950, powerPerLevel: 125 }
         };
-        return wingsData[wingId] || null;
+        return typeof contentPackLoader !== 'undefined'
+            ? contentPackLoader.lookup('wings', wingId, wingsData[wingId])
+            : wingsData[wingId] || null;
     }
 
     _getAccessoryData(accessoryId) {
@@ -950,7 +1029,9 @@ class PowerCalculator {
             spirit_rune: { name: 'Spirit Rune', basePower: 180, powerPerLevel: 36, setType: 'mystic' },
             fortune_rune: { name: 'Fortune Rune', basePower: 250, powerPerLevel: 50, setType: 'blessed' }
         };
-        return runesData[runeId] || null;
+        return typeof contentPackLoader !== 'undefined'
+            ? contentPackLoader.lookup('runes', runeId, runesData[runeId])
+            : runesData[runeId] || null;
     }
 
     _calculateRuneSetBonus(runes, runeId) {
@@ -1044,7 +1125,9 @@ class PowerCalculator {
                 fullSetBonus: 100
             }
         };
-        return constellationsData[constellationId] || null;
+        return typeof contentPackLoader !== 'undefined'
+            ? contentPackLoader.lookup('constellations', constellationId, constellationsData[constellationId])
+            : constellationsData[constellationId] || null;
     }
 }
 
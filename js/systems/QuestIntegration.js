@@ -7,6 +7,7 @@ class QuestIntegration {
         this.gameState = gameState;
         this.eventManager = eventManager;
         this.saveManager = saveManager;
+        this.rng = randomManager.getStream('quest');
 
         // System references
         this.questSystem = null;
@@ -489,7 +490,7 @@ class QuestIntegration {
         // Check for special quest completion effects
         if (quest.category === window.QUEST_CATEGORIES.CULTIVATION) {
             // Cultivation quests might provide temporary cultivation bonuses
-            if (this.rewardManager && Math.random() < 0.1) { // 10% chance
+            if (this.rewardManager && this.rng.random() < 0.1) { // 10% chance
                 this.rewardManager.addRewardBonus(`quest_completion_${quest.id}`, {
                     name: 'Cultivation Focus',
                     description: 'Temporary cultivation bonus from quest completion',
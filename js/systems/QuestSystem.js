@@ -7,6 +7,7 @@ class QuestSystem {
         this.gameState = gameState;
         this.eventManager = eventManager;
         this.saveManager = saveManager;
+        this.rng = randomManager.getStream('quest');
 
         // Quest state
         this.questState = {
@@ -52,6 +53,8 @@ class QuestSystem {
         // Performance tracking
         this.lastUpdateTime = Date.now();
         this.updateInterval = 1000; // 1 second
+        this.refreshCheckInterval = 60000; // Daily/weekly refresh check from update()
+        this.lastRefreshCheck = 0;
         this.isActive = false;
         this.isInitialized = false;
 
@@ -336,6 +339,17 @@ class QuestSystem {
         return null;
     }
 
+    /**
+     * Get the rewards a quest pays out, scaled for its difficulty
+     * @param {string} questId - Active or completed quest ID
+     * @returns {Object|null} Rewards or null if the quest is unknown
+     */
+    getQuestRewards(questId) {
+        const quest = this.getActiveQuest(questId) ||
+            this.questState.completedQuests.find(q => q.id === questId);
+        return quest ? this._calculateQuestRewards(quest) : null;
+    }
+
     /**
      * Get all active quests
      * @returns {Object} Active quests by category
@@ -371,20 +385,130 @@ class QuestSystem {
             const allQuests = this._getAllActiveQuests();
 
             // Update progress for relevant quests
+            let progressed = false;
             for (const quest of allQuests) {
                 if (this._isQuestRelevantToEvent(quest, eventType, eventData)) {
-                    this._updateQuestObjective(quest, eventType, eventData);
+                    progressed = this._updateQuestObjective(quest, eventType, eventData) || progressed;
                 }
             }
 
-            // Save updated state
-            this._saveQuestState();
+            // Save updated state - only on progress, since saving emits property changes of its own
+            if (progressed) {
+                this._saveQuestState();
+            }
 
         } catch (error) {
             console.error('QuestSystem: Failed to update quest progress:', error);
         }
     }
 
+    /**
+     * Per-tick update from the game loop
+     * Generates new daily and weekly quests once their refresh time has passed
+     * @param {number} deltaTime - Time since last update
+     */
+    update(deltaTime) {
+        if (!this.isInitialized) {
+            return;
+        }
+
+        const now = Date.now();
+        if (now - this.lastRefreshCheck < this.refreshCheckInterval) {
+            return;
+        }
+
+        this.lastRefreshCheck = now;
+        this._checkQuestRefreshes();
+    }
+
+    /**
+     * Start the quests of a limited-time event
+     * Quests already started in this run of the event (same end time) are skipped,
+     * so this is safe to call again after a reload
+     * @param {string} eventId - Event the quests belong to
+     * @param {Array<string>} templateIds - QUEST_TEMPLATES ids
+     * @param {number} expiresAt - Event end time
+     * @returns {Array} Newly created quests
+     */
+    startEventQuests(eventId, templateIds, expiresAt) {
+        const started = new Set([...this.questState.activeQuests.special, ...this.questState.completedQuests]
+            .filter(quest => quest.eventId === eventId && quest.expiresAt === expiresAt)
+            .map(quest => quest.templateId));
+
+        const created = [];
+        for (const templateId of templateIds) {
+            if (started.has(templateId)) {
+                continue;
+            }
+
+            const template = this._findTemplate(templateId);
+            if (!template) {
+                console.warn('QuestSystem: Unknown event quest template:', templateId);
+                continue;
+            }
+
+            const quest = this._createQuestFromTemplate(template, window.QUEST_TYPES.EVENT);
+            quest.eventId = eventId;
+            quest.expiresAt = expiresAt;
+            quest.unAbandonable = true;
+
+            // Event shops are priced against fixed currency rewards, so these skip level scaling
+            if (template.rewards.eventCurrency !== undefined) {
+                quest.rewards.eventCurrency = template.rewards.eventCurrency;
+            }
+
+            created.push(quest);
+        }
+
+        if (created.length === 0) {
+            return created;
+        }
+
+        this.questState.activeQuests.special.push(...created);
+        this.statistics.totalGenerated += created.length;
+        this._saveQuestState();
+
+        this.eventManager.emit('questSystem:eventQuestsStarted', {
+            eventId: eventId,
+            quests: created
+        });
+
+        console.log(`QuestSystem: Started ${created.length} event quests for ${eventId}`);
+        return created;
+    }
+
+    /**
+     * End a limited-time event, failing its unfinished quests
+     * @param {string} eventId - Event the quests belong to
+     * @returns {Array} Quests that were failed
+     */
+    endEventQuests(eventId) {
+        const unfinished = this.questState.activeQuests.special.filter(quest => quest.eventId === eventId);
+        if (unfinished.length === 0) {
+            return unfinished;
+        }
+
+        const now = Date.now();
+        for (const quest of unfinished) {
+            this._removeFromActiveQuests(quest);
+            quest.progress.failed = true;
+            quest.failedAt = now;
+            this.questState.failedQuests.push(quest);
+        }
+
+        this.statistics.totalFailed += unfinished.length;
+        this._updateCompletionRate();
+        this._saveQuestState();
+
+        this.eventManager.emit('questSystem:eventQuestsEnded', {
+            eventId: eventId,
+            failedQuests: unfinished
+        });
+
+        console.log(`QuestSystem: Event ${eventId} ended with ${unfinished.length} unfinished quests`);
+        return unfinished;
+    }
+
     /**
      * Force refresh all quest pools
      */
@@ -431,7 +555,7 @@ class QuestSystem {
             }
 
             // Select random template
-            const template = availableTemplates[Math.floor(Math.random() * availableTemplates.length)];
+            const template = this.rng.pick(availableTemplates);
 
             // Create quest instance from template
             const quest = this._createQuestFromTemplate(template, questType);
@@ -556,6 +680,21 @@ class QuestSystem {
         return quest;
     }
 
+    /**
+     * Find a quest template by id across all categories
+     * @param {string} templateId - Template id
+     * @returns {Object|null} Template or null
+     */
+    _findTemplate(templateId) {
+        for (const templates of Object.values(window.QUEST_TEMPLATES)) {
+            const template = templates.find(t => t.id === templateId);
+            if (template) {
+                return template;
+            }
+        }
+        return null;
+    }
+
     /**
      * Get template category
      * @param {Object} template - Quest template
@@ -717,7 +856,7 @@ class QuestSystem {
 
         // Resource events
         this.eventManager.on('gameState:propertyChanged', (data) => {
-            if (data.path.startsWith('player.')) {
+            if (data.data && data.data.path.startsWith('player.')) {
                 this.updateQuestProgress('resource:changed', data);
             }
         });
@@ -758,19 +897,28 @@ class QuestSystem {
      * @param {Object} quest - Quest to update
      * @param {string} eventType - Event type
      * @param {Object} eventData - Event data
+     * @returns {boolean} Whether the objective progressed
      */
     _updateQuestObjective(quest, eventType, eventData) {
         const handler = this.objectiveHandlers.get(quest.objective.type);
-        if (handler) {
-            handler(quest, eventData);
+        if (!handler) {
+            return false;
+        }
 
-            // Check if quest is now complete
-            if (this._isQuestComplete(quest)) {
-                this.eventManager.emit('questSystem:questReady', {
-                    quest: quest
-                });
-            }
+        const previous = quest.objective.current;
+        handler(quest, eventData);
+
+        if (quest.objective.current === previous) {
+            return false;
+        }
+
+        // Check if quest is now complete
+        if (this._isQuestComplete(quest)) {
+            this.eventManager.emit('questSystem:questReady', {
+                quest: quest
+            });
         }
+        return true;
     }
 
     /**
@@ -815,6 +963,81 @@ class QuestSystem {
         }
     }
 
+    /**
+     * Handle Qi breakthrough objective
+     * @param {Object} quest - Quest object
+     * @param {Object} eventData - Event data
+     */
+    _handleQiBreakthroughObjective(quest, eventData) {
+        if (eventData.data && eventData.data.path === 'qi') {
+            quest.objective.current += 1;
+        }
+    }
+
+    /**
+     * Handle Body breakthrough objective
+     * @param {Object} quest - Quest object
+     * @param {Object} eventData - Event data
+     */
+    _handleBodyBreakthroughObjective(quest, eventData) {
+        if (eventData.data && eventData.data.path === 'body') {
+            quest.objective.current += 1;
+        }
+    }
+
+    /**
+     * Handle win streak objective
+     * @param {Object} quest - Quest object
+     * @param {Object} eventData - Event data
+     */
+    _handleWinStreakObjective(quest, eventData) {
+        if (eventData.data) {
+            quest.objective.current = Math.max(quest.objective.current, eventData.data.streak || 0);
+        }
+    }
+
+    /**
+     * Handle collect jade objective
+     * @param {Object} quest - Quest object
+     * @param {Object} eventData - Event data
+     */
+    _handleCollectJadeObjective(quest, eventData) {
+        this._handleResourceGain(quest, eventData, 'player.jade');
+    }
+
+    /**
+     * Handle collect spirit crystals objective
+     * @param {Object} quest - Quest object
+     * @param {Object} eventData - Event data
+     */
+    _handleCollectCrystalsObjective(quest, eventData) {
+        this._handleResourceGain(quest, eventData, 'player.spiritCrystals');
+    }
+
+    /**
+     * Handle sect contribution objective
+     * @param {Object} quest - Quest object
+     * @param {Object} eventData - Event data
+     */
+    _handleSectContributionObjective(quest, eventData) {
+        if (eventData.data) {
+            quest.objective.current += eventData.data.amount || 0;
+        }
+    }
+
+    /**
+     * Count increases of a player resource towards an objective
+     * @param {Object} quest - Quest object
+     * @param {Object} eventData - Property change event data
+     * @param {string} path - Resource path
+     */
+    _handleResourceGain(quest, eventData, path) {
+        const change = eventData.data;
+        if (change && change.path === path && change.newValue > (change.oldValue || 0)) {
+            quest.objective.current += change.newValue - (change.oldValue || 0);
+        }
+    }
+
     /**
      * Check if quest is complete
      * @param {Object} quest - Quest to check
@@ -967,14 +1190,16 @@ class QuestSystem {
         for (const [rewardType, amount] of Object.entries(rewards)) {
             switch (rewardType) {
                 case 'jade':
-                    this.gameState.increment('player.jade', amount);
+                    this.gameState.increment('player.jade', amount, { source: 'quest:reward' });
                     break;
                 case 'spiritCrystals':
-                    this.gameState.increment('player.spiritCrystals', amount);
+                    this.gameState.increment('player.spiritCrystals', amount, { source: 'quest:reward' });
                     break;
                 case 'shards':
                     this.gameState.increment('player.shards', amount);
                     break;
+                case 'eventCurrency':
+                    break; // Credited by the EventCalendar
                 default:
                     console.log(`QuestSystem: Unhandled reward type: ${rewardType}`);
             }
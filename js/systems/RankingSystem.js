@@ -6,6 +6,7 @@ class RankingSystem {
     constructor(gameState, eventManager) {
         this.gameState = gameState;
         this.eventManager = eventManager;
+        this.rng = randomManager.getStream('ranking');
 
         // Ranking configuration
         this.config = window.RANKING_CONFIG || {
@@ -31,6 +32,26 @@ class RankingSystem {
                 MASTER: { jade: 4000, spiritCrystals: 200, title: 'Combat Master' },
                 GRANDMASTER: { jade: 8000, spiritCrystals: 400, title: 'Combat Grandmaster' },
                 LEGEND: { jade: 15000, spiritCrystals: 750, title: 'Legendary Fighter', technique: 'legend_exclusive' }
+            },
+            PLACEMENT_REWARDS: [
+                { maxRank: 1, multiplier: 2.0, title: 'League Champion' },
+                { maxPercentile: 1.0, multiplier: 1.0 }
+            ],
+            LEAGUE: {
+                SIZE: 49,
+                MATCH_INTERVAL: 60 * 60 * 1000,
+                MAX_CATCHUP_ROUNDS: 24 * 7,
+                K_FACTOR: 24,
+                SKILL_GROWTH: { min: 0, max: 3 },
+                COMPOSITION: { weak: 0.35, medium: 0.35, strong: 0.22, legendary: 0.08 },
+                RATING_BANDS: {
+                    weak: { min: 700, max: 1100 },
+                    medium: { min: 1000, max: 1450 },
+                    strong: { min: 1350, max: 1900 },
+                    legendary: { min: 1800, max: 2500 }
+                },
+                SURNAMES: ['Li', 'Wang', 'Zhang', 'Chen'],
+                GIVEN_NAMES: ['Wei', 'Feng', 'Yun', 'Jian']
             }
         };
 
@@ -60,8 +81,12 @@ class RankingSystem {
             claimedSeasonRewards: false
         };
 
-        // Leaderboard (for future multiplayer expansion)
-        this.leaderboard = new Map();
+        // Simulated league of AI rivals sharing the leaderboard with the player
+        this.league = {
+            rivals: [],
+            lastSimulationTime: 0,
+            roundsSimulated: 0
+        };
 
         // Statistics
         this.statistics = {
@@ -111,6 +136,18 @@ class RankingSystem {
                 };
             }
 
+            // Load or generate the rival league, then catch up on time spent away
+            const savedLeague = this.gameState.get('rankingLeague');
+            if (savedLeague && Array.isArray(savedLeague.rivals) && savedLeague.rivals.length > 0) {
+                this.league = {
+                    ...this.league,
+                    ...savedLeague
+                };
+            } else {
+                this._generateLeague();
+            }
+            this.simulateLeague();
+
             // Check if season has ended
             this._checkSeasonEnd();
 
@@ -300,9 +337,12 @@ class RankingSystem {
     }
 
     /**
-     * Get leaderboard (for future multiplayer)
+     * Get leaderboard of the player and the simulated rival league
      * @param {Object} options - Leaderboard options
-     * @returns {Array} Leaderboard entries
+     * @param {number} options.limit - Maximum entries to return (default: 50)
+     * @param {boolean} options.includeSelf - Always include the player's entry (default: true)
+     * @param {string} options.tier - Tier key to filter by, or 'all' (default: 'all')
+     * @returns {Array} Leaderboard entries sorted by rank
      */
     getLeaderboard(options = {}) {
         const config = {
@@ -312,26 +352,80 @@ class RankingSystem {
             ...options
         };
 
-        // For single-player, return player's position relative to historical data
-        const entries = [];
-
-        // Add player entry
-        if (config.includeSelf) {
-            entries.push({
-                rank: 1, // In single-player, player is always rank 1
-                playerId: 'player',
-                name: 'Player',
-                rating: this.playerRanking.currentRating,
-                tier: this.playerRanking.currentTier,
-                wins: this.playerRanking.wins,
-                losses: this.playerRanking.losses,
-                winRate: this.playerRanking.gamesPlayed > 0 ?
-                    this.playerRanking.wins / this.playerRanking.gamesPlayed : 0,
-                winStreak: this.playerRanking.winStreak
-            });
+        const standings = this._getStandings();
+        const entries = standings.filter(entry =>
+            (config.tier === 'all' || entry.tier.key === config.tier.toUpperCase()) &&
+            (config.includeSelf || !entry.isPlayer)
+        );
+
+        const limited = entries.slice(0, config.limit);
+
+        // Keep the player visible even when placed below the cutoff
+        if (config.includeSelf && !limited.some(entry => entry.isPlayer)) {
+            limited.push(standings.find(entry => entry.isPlayer));
         }
 
-        return entries;
+        return limited;
+    }
+
+    /**
+     * Get the player's current placement in the league
+     * @returns {Object} Overall rank, rank within tier and percentile
+     */
+    getPlayerPlacement() {
+        const standings = this._getStandings();
+        const playerEntry = standings.find(entry => entry.isPlayer);
+
+        return {
+            rank: playerEntry.rank,
+            tierRank: playerEntry.tierRank,
+            tier: playerEntry.tier,
+            totalPlayers: standings.length,
+            percentile: playerEntry.rank / standings.length
+        };
+    }
+
+    /**
+     * Run simulated matches between rivals for elapsed time (including offline time)
+     * @param {number} now - Current timestamp (defaults to Date.now())
+     * @returns {Object} Simulation summary
+     */
+    simulateLeague(now = Date.now()) {
+        const leagueConfig = this.config.LEAGUE;
+
+        if (!this.league.lastSimulationTime) {
+            this.league.lastSimulationTime = now;
+            return { rounds: 0, matches: 0 };
+        }
+
+        const elapsed = now - this.league.lastSimulationTime;
+        const dueRounds = Math.floor(elapsed / leagueConfig.MATCH_INTERVAL);
+        if (dueRounds <= 0) {
+            return { rounds: 0, matches: 0 };
+        }
+
+        const rounds = Math.min(dueRounds, leagueConfig.MAX_CATCHUP_ROUNDS);
+        let matches = 0;
+
+        for (let i = 0; i < rounds; i++) {
+            matches += this._simulateLeagueRound();
+        }
+
+        // Skip time beyond the catch-up cap rather than carrying it forward
+        this.league.lastSimulationTime = dueRounds > rounds
+            ? now - (elapsed % leagueConfig.MATCH_INTERVAL)
+            : this.league.lastSimulationTime + rounds * leagueConfig.MATCH_INTERVAL;
+        this.league.roundsSimulated += rounds;
+
+        this._saveRankingData();
+
+        this.eventManager.emit('ranking:league_simulated', {
+            rounds: rounds,
+            matches: matches,
+            placement: this.getPlayerPlacement()
+        });
+
+        return { rounds, matches };
     }
 
     /**
@@ -346,15 +440,28 @@ class RankingSystem {
             };
         }
 
+        // A save flagged for tampering keeps its rating but collects nothing
+        if (this.gameState.get('integrity.flagged')) {
+            this.eventManager.emit('integrity:rewardWithheld', { system: 'ranking', reward: 'season' });
+            return {
+                success: false,
+                reason: 'integrity_flagged'
+            };
+        }
+
         const tier = this._getTierFromRating(this.seasonData.seasonPeakRating);
-        const rewards = this.config.REWARDS[tier.name.toUpperCase()] || this.config.REWARDS.BRONZE;
+        const placement = this.getPlayerPlacement();
+        const rewards = this._getPlacementRewards(
+            this.config.REWARDS[tier.name.toUpperCase()] || this.config.REWARDS.BRONZE,
+            placement
+        );
 
         // Award rewards
         if (rewards.jade) {
-            this.gameState.increment('player.jade', rewards.jade);
+            this.gameState.increment('player.jade', rewards.jade, { source: 'ranking:season' });
         }
         if (rewards.spiritCrystals) {
-            this.gameState.increment('player.spiritCrystals', rewards.spiritCrystals);
+            this.gameState.increment('player.spiritCrystals', rewards.spiritCrystals, { source: 'ranking:season' });
         }
         if (rewards.title) {
             // Add title to available titles (implementation depends on title system)
@@ -370,6 +477,7 @@ class RankingSystem {
 
         this.eventManager.emit('ranking:season_rewards_claimed', {
             tier: tier,
+            placement: placement,
             rewards: rewards,
             seasonPeakRating: this.seasonData.seasonPeakRating
         });
@@ -377,7 +485,8 @@ class RankingSystem {
         return {
             success: true,
             rewards: rewards,
-            tier: tier
+            tier: tier,
+            placement: placement
         };
     }
 
@@ -407,8 +516,9 @@ class RankingSystem {
             this._saveRankingData();
         });
 
-        // Check season end periodically
+        // Check season end and advance the rival league periodically
         setInterval(() => {
+            this.simulateLeague();
             this._checkSeasonEnd();
         }, 60000); // Check every minute
     }
@@ -530,9 +640,13 @@ class RankingSystem {
                 rating: this.playerRanking.currentRating
             });
 
-            // Award promotion bonus (small jade bonus)
+            // Award promotion bonus (small jade bonus), withheld from flagged saves
             const promotionBonus = Math.floor(newTier.min * 0.1);
-            this.gameState.increment('player.jade', promotionBonus);
+            if (this.gameState.get('integrity.flagged')) {
+                this.eventManager.emit('integrity:rewardWithheld', { system: 'ranking', reward: 'promotion' });
+            } else {
+                this.gameState.increment('player.jade', promotionBonus, { source: 'ranking:promotion' });
+            }
 
         } else if (comparison < 0) {
             // Demotion
@@ -623,6 +737,13 @@ class RankingSystem {
         // Update tier after rating reset
         this.playerRanking.currentTier = this._getTierFromRating(this.playerRanking.currentRating);
 
+        // Rivals get the same soft reset
+        for (const rival of this.league.rivals) {
+            rival.rating = Math.floor(rival.rating * (1 - resetFactor) + this.config.STARTING_RATING * resetFactor);
+            rival.seasonWins = 0;
+            rival.seasonLosses = 0;
+        }
+
         // Update statistics
         this.statistics.seasonsCompleted++;
 
@@ -638,6 +759,213 @@ class RankingSystem {
         console.log(`RankingSystem: Season ${this.seasonData.currentSeason} started`);
     }
 
+    /**
+     * Build the full standings of player and rivals
+     * @returns {Array} Entries sorted by rating with overall and tier ranks
+     */
+    _getStandings() {
+        const entries = this.league.rivals.map(rival => ({
+            playerId: rival.id,
+            name: rival.name,
+            rating: rival.rating,
+            tier: this._getTierFromRating(rival.rating),
+            wins: rival.wins,
+            losses: rival.losses,
+            winRate: (rival.wins + rival.losses) > 0 ? rival.wins / (rival.wins + rival.losses) : 0,
+            winStreak: rival.winStreak,
+            realm: rival.realm,
+            isPlayer: false
+        }));
+
+        entries.push({
+            playerId: 'player',
+            name: this.gameState.get('player.name') || 'Player',
+            rating: this.playerRanking.currentRating,
+            tier: this._getTierFromRating(this.playerRanking.currentRating),
+            wins: this.playerRanking.wins,
+            losses: this.playerRanking.losses,
+            winRate: this.playerRanking.gamesPlayed > 0 ?
+                this.playerRanking.wins / this.playerRanking.gamesPlayed : 0,
+            winStreak: this.playerRanking.winStreak,
+            realm: this.gameState.get('realm.current'),
+            isPlayer: true
+        });
+
+        // Ties go to the player so equal ratings never cost a placement
+        entries.sort((a, b) => (b.rating - a.rating) || (b.isPlayer - a.isPlayer));
+
+        const tierCounts = {};
+        entries.forEach((entry, index) => {
+            entry.rank = index + 1;
+            tierCounts[entry.tier.key] = (tierCounts[entry.tier.key] || 0) + 1;
+            entry.tierRank = tierCounts[entry.tier.key];
+        });
+
+        return entries;
+    }
+
+    /**
+     * Scale tier rewards by the player's league placement
+     * @param {Object} tierRewards - Base rewards for the tier
+     * @param {Object} placement - Result of getPlayerPlacement()
+     * @returns {Object} Final rewards
+     */
+    _getPlacementRewards(tierRewards, placement) {
+        const bracket = this.config.PLACEMENT_REWARDS.find(entry =>
+            (entry.maxRank !== undefined && placement.rank <= entry.maxRank) ||
+            (entry.maxPercentile !== undefined && placement.percentile <= entry.maxPercentile)
+        ) || { multiplier: 1.0 };
+
+        const rewards = { ...tierRewards, placementMultiplier: bracket.multiplier };
+        if (rewards.jade) {
+            rewards.jade = Math.floor(rewards.jade * bracket.multiplier);
+        }
+        if (rewards.spiritCrystals) {
+            rewards.spiritCrystals = Math.floor(rewards.spiritCrystals * bracket.multiplier);
+        }
+        if (bracket.title) {
+            // Placement titles take precedence over tier titles
+            rewards.title = bracket.title;
+        }
+
+        return rewards;
+    }
+
+    /**
+     * Generate the rival league from COMBAT_OPPONENTS templates
+     */
+    _generateLeague() {
+        const leagueConfig = this.config.LEAGUE;
+        const opponents = window.COMBAT_OPPONENTS || {};
+        const templatesByPower = {};
+
+        for (const group of Object.values(opponents)) {
+            for (const template of group) {
+                if (!templatesByPower[template.powerLevel]) {
+                    templatesByPower[template.powerLevel] = [];
+                }
+                templatesByPower[template.powerLevel].push(template);
+            }
+        }
+
+        const rivals = [];
+        const usedNames = new Set();
+
+        for (const [powerLevel, share] of Object.entries(leagueConfig.COMPOSITION)) {
+            const count = Math.round(leagueConfig.SIZE * share);
+            const band = leagueConfig.RATING_BANDS[powerLevel];
+            const templates = templatesByPower[powerLevel] || [];
+
+            for (let i = 0; i < count && rivals.length < leagueConfig.SIZE; i++) {
+                const template = this.rng.pick(templates);
+                const skill = this.rng.int(band.min, band.max);
+                const name = this._generateRivalName(usedNames);
+
+                rivals.push({
+                    id: `rival_${rivals.length + 1}`,
+                    name: name,
+                    title: template ? template.name : 'Wandering Cultivator',
+                    templateId: template ? template.id : null,
+                    powerLevel: powerLevel,
+                    realm: template ? template.cultivation.realm : 'Body Refinement',
+                    // Hidden true strength; ratings converge toward it through matches
+                    skill: skill,
+                    rating: Math.round((skill + this.config.STARTING_RATING) / 2),
+                    wins: 0,
+                    losses: 0,
+                    seasonWins: 0,
+                    seasonLosses: 0,
+                    winStreak: 0
+                });
+            }
+        }
+
+        this.league.rivals = rivals;
+        this.league.lastSimulationTime = Date.now();
+        this.league.roundsSimulated = 0;
+
+        this._saveRankingData();
+
+        console.log(`RankingSystem: Generated league of ${rivals.length} rivals`);
+    }
+
+    /**
+     * Generate a unique rival name
+     * @param {Set} usedNames - Names already taken
+     * @returns {string} Rival name
+     */
+    _generateRivalName(usedNames) {
+        const { SURNAMES, GIVEN_NAMES } = this.config.LEAGUE;
+        let name = `${this.rng.pick(SURNAMES)} ${this.rng.pick(GIVEN_NAMES)}`;
+
+        let suffix = 2;
+        const baseName = name;
+        while (usedNames.has(name)) {
+            name = `${baseName} ${suffix++}`;
+        }
+
+        usedNames.add(name);
+        return name;
+    }
+
+    /**
+     * Simulate one round of rival-vs-rival matches
+     * @returns {number} Matches played
+     */
+    _simulateLeagueRound() {
+        const leagueConfig = this.config.LEAGUE;
+
+        // Pair rivals close in rating: sort, then shuffle within small windows
+        const pool = [...this.league.rivals].sort((a, b) => b.rating - a.rating);
+        for (let i = 0; i < pool.length; i += 4) {
+            const group = pool.slice(i, i + 4);
+            this.rng.shuffle(group);
+            pool.splice(i, group.length, ...group);
+        }
+
+        let matches = 0;
+        for (let i = 0; i + 1 < pool.length; i += 2) {
+            const rivalA = pool[i];
+            const rivalB = pool[i + 1];
+
+            const winChance = 1 / (1 + Math.pow(10, (rivalB.skill - rivalA.skill) / 400));
+            const aWins = this.rng.chance(winChance);
+            const expectedA = 1 / (1 + Math.pow(10, (rivalB.rating - rivalA.rating) / 400));
+            const change = Math.round(leagueConfig.K_FACTOR * ((aWins ? 1 : 0) - expectedA));
+
+            rivalA.rating = Math.max(0, rivalA.rating + change);
+            rivalB.rating = Math.max(0, rivalB.rating - change);
+
+            this._recordRivalResult(aWins ? rivalA : rivalB, true);
+            this._recordRivalResult(aWins ? rivalB : rivalA, false);
+            matches++;
+        }
+
+        // Rivals keep cultivating between rounds
+        for (const rival of this.league.rivals) {
+            rival.skill += this.rng.float(leagueConfig.SKILL_GROWTH.min, leagueConfig.SKILL_GROWTH.max);
+        }
+
+        return matches;
+    }
+
+    /**
+     * Record a simulated match result for a rival
+     * @param {Object} rival - Rival entry
+     * @param {boolean} won - Whether the rival won
+     */
+    _recordRivalResult(rival, won) {
+        if (won) {
+            rival.wins++;
+            rival.seasonWins++;
+            rival.winStreak++;
+        } else {
+            rival.losses++;
+            rival.seasonLosses++;
+            rival.winStreak = 0;
+        }
+    }
+
     /**
      * Save ranking data to game state
      */
@@ -645,7 +973,8 @@ class RankingSystem {
         this.gameState.update({
             playerRanking: this.playerRanking,
             seasonData: this.seasonData,
-            rankingStats: this.statistics
+            rankingStats: this.statistics,
+            rankingLeague: this.league
         }, { source: 'ranking:save' });
     }
 }
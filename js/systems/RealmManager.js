@@ -6,6 +6,7 @@ class RealmManager {
     constructor(gameState, eventManager) {
         this.gameState = gameState;
         this.eventManager = eventManager;
+        this.rng = randomManager.getStream('realm');
 
         // Current realm state
         this.realmState = {
@@ -353,6 +354,29 @@ class RealmManager {
         });
     }
 
+    /**
+     * Return to the first realm when the cultivator reincarnates
+     * Lifetime breakthrough statistics and achievements are kept
+     */
+    resetForReincarnation() {
+        const previousRealm = this.realmState.currentRealm;
+
+        this.realmState.currentRealm = Object.keys(CULTIVATION_REALMS)[0];
+        this.realmState.currentStage = 1;
+        this.realmState.breakthroughProgress = 0;
+        this.realmHistory = [];
+
+        this._updateUnlockableRealms();
+        this.saveState();
+
+        this.eventManager.emit('realm:changed', {
+            oldRealm: previousRealm,
+            newRealm: this.realmState.currentRealm,
+            stage: this.realmState.currentStage,
+            reason: 'reincarnation'
+        });
+    }
+
     /**
      * Save realm state to game state
      */
@@ -430,7 +454,7 @@ class RealmManager {
         chance = Math.max(0.1, Math.min(0.95, chance));
 
         // Attempt breakthrough
-        const success = Math.random() < chance;
+        const success = this.rng.random() < chance;
 
         if (success) {
             this.realmState.currentStage++;
@@ -510,7 +534,7 @@ class RealmManager {
         chance = Math.max(0.05, Math.min(0.85, chance));
 
         // Attempt breakthrough
-        const success = Math.random() < chance;
+        const success = this.rng.random() < chance;
 
         if (success) {
             this._processRealmAdvancement(nextRealm);
@@ -0,0 +1,337 @@
+/**
+ * ReincarnationManager - Prestige layer on top of realm progression
+ * Trades realm, techniques and resources for permanent Dao Marks and manages the Dao Mark upgrade tree
+ */
+class ReincarnationManager {
+    constructor(gameState, eventManager, realmManager, cultivationSystem, techniqueManager) {
+        this.gameState = gameState;
+        this.eventManager = eventManager;
+        this.realmManager = realmManager;
+        this.cultivationSystem = cultivationSystem;
+        this.techniqueManager = techniqueManager;
+
+        // Reincarnation state
+        this.reincarnationState = {
+            count: 0,
+            daoMarks: 0,
+            totalDaoMarks: 0,
+            upgrades: {}, // upgrade_id -> level
+            history: [],
+            lastReincarnationTime: 0
+        };
+
+        this.isInitialized = false;
+
+        console.log('ReincarnationManager: Initialized');
+    }
+
+    /**
+     * Initialize the reincarnation manager with game state
+     */
+    async initialize() {
+        try {
+            const savedState = this.gameState.get('reincarnation');
+            if (savedState) {
+                this.reincarnationState = {
+                    ...this.reincarnationState,
+                    ...savedState,
+                    upgrades: { ...(savedState.upgrades || {}) },
+                    history: [...(savedState.history || [])]
+                };
+            }
+
+            this._setupEventListeners();
+
+            this.isInitialized = true;
+
+            this.eventManager.emit('reincarnation:initialized', {
+                count: this.reincarnationState.count,
+                daoMarks: this.reincarnationState.daoMarks
+            });
+
+            console.log('ReincarnationManager: Initialization complete');
+
+        } catch (error) {
+            console.error('ReincarnationManager: Initialization failed:', error);
+            throw error;
+        }
+    }
+
+    /**
+     * Get the current reincarnation state
+     * @returns {Object} Copy of reincarnation state
+     */
+    getState() {
+        return {
+            ...this.reincarnationState,
+            upgrades: { ...this.reincarnationState.upgrades },
+            history: [...this.reincarnationState.history]
+        };
+    }
+
+    /**
+     * Get unspent Dao Marks
+     * @returns {number} Dao Marks
+     */
+    getDaoMarks() {
+        return this.reincarnationState.daoMarks;
+    }
+
+    /**
+     * Calculate how many Dao Marks reincarnating now would award
+     * @returns {number} Dao Marks
+     */
+    calculateDaoMarks() {
+        const cultivation = this.gameState.get('cultivation') || {};
+
+        return REINCARNATION_FORMULAS.daoMarks(
+            this.realmManager.getCurrentRealm(),
+            this.realmManager.getCurrentStage(),
+            cultivation.qi?.level || 0,
+            cultivation.body?.level || 0
+        );
+    }
+
+    /**
+     * Check whether the player may reincarnate
+     * @returns {Object} Check result with projected Dao Marks
+     */
+    canReincarnate() {
+        const realmOrder = Object.keys(CULTIVATION_REALMS);
+        const currentIndex = realmOrder.indexOf(this.realmManager.getCurrentRealm());
+        const requiredIndex = realmOrder.indexOf(REINCARNATION_CONFIG.minimumRealm);
+
+        if (currentIndex < requiredIndex) {
+            return {
+                canReincarnate: false,
+                reason: 'realm_too_low',
+                requiredRealm: REINCARNATION_CONFIG.minimumRealm,
+                daoMarks: 0
+            };
+        }
+
+        return {
+            canReincarnate: true,
+            requiredRealm: REINCARNATION_CONFIG.minimumRealm,
+            daoMarks: this.calculateDaoMarks()
+        };
+    }
+
+    /**
+     * Give up realm, techniques and cultivation resources for Dao Marks
+     * @returns {Object} Reincarnation result
+     */
+    reincarnate() {
+        if (!this.isInitialized) {
+            throw new Error('ReincarnationManager not initialized');
+        }
+
+        const check = this.canReincarnate();
+        if (!check.canReincarnate) {
+            return { success: false, reason: check.reason, requiredRealm: check.requiredRealm };
+        }
+
+        const marksEarned = check.daoMarks;
+        const cultivation = this.gameState.get('cultivation') || {};
+        const life = {
+            life: this.reincarnationState.count + 1,
+            realm: this.realmManager.getCurrentRealm(),
+            stage: this.realmManager.getCurrentStage(),
+            qiLevel: cultivation.qi?.level || 0,
+            bodyLevel: cultivation.body?.level || 0,
+            daoMarks: marksEarned,
+            endedAt: Date.now()
+        };
+
+        // Give up the current life
+        this.cultivationSystem.resetForReincarnation();
+        this.techniqueManager.resetForReincarnation();
+        this.realmManager.resetForReincarnation();
+        this._resetResources();
+
+        // Bank the Dao Marks
+        this.reincarnationState.count++;
+        this.reincarnationState.daoMarks += marksEarned;
+        this.reincarnationState.totalDaoMarks += marksEarned;
+        this.reincarnationState.lastReincarnationTime = life.endedAt;
+        this.reincarnationState.history.push(life);
+        if (this.reincarnationState.history.length > REINCARNATION_CONFIG.historyLimit) {
+            this.reincarnationState.history.shift();
+        }
+
+        this.saveState();
+
+        this.eventManager.emit('reincarnation:completed', {
+            life: life,
+            daoMarksEarned: marksEarned,
+            daoMarks: this.reincarnationState.daoMarks,
+            count: this.reincarnationState.count
+        });
+
+        console.log(`ReincarnationManager: Reincarnated from ${life.realm} for ${marksEarned} Dao Marks`);
+
+        return {
+            success: true,
+            daoMarksEarned: marksEarned,
+            daoMarks: this.reincarnationState.daoMarks,
+            count: this.reincarnationState.count
+        };
+    }
+
+    /**
+     * Get the upgrade tree with levels, costs and availability
+     * @returns {Array} Upgrade information
+     */
+    getUpgradeTree() {
+        return Object.keys(REINCARNATION_UPGRADES).map(name => this.getUpgradeInfo(name));
+    }
+
+    /**
+     * Get information about a single upgrade
+     * @param {string} upgradeName - Upgrade name or id
+     * @returns {Object|null} Upgrade information
+     */
+    getUpgradeInfo(upgradeName) {
+        const entry = this._findUpgrade(upgradeName);
+        if (!entry) {
+            return null;
+        }
+
+        const [name, upgrade] = entry;
+        const level = this.reincarnationState.upgrades[upgrade.id] || 0;
+        const isMaxed = level >= upgrade.maxLevel;
+        const cost = isMaxed ? null : REINCARNATION_FORMULAS.upgradeCost(upgrade, level);
+        const requirementsMet = this._meetsRequirements(upgrade);
+
+        return {
+            ...upgrade,
+            name: name,
+            level: level,
+            isMaxed: isMaxed,
+            cost: cost,
+            currentEffect: upgrade.effect.perLevel * level,
+            requirementsMet: requirementsMet,
+            canPurchase: !isMaxed && requirementsMet && this.reincarnationState.daoMarks >= cost
+        };
+    }
+
+    /**
+     * Buy one level of an upgrade with Dao Marks
+     * @param {string} upgradeName - Upgrade name or id
+     * @returns {Object} Purchase result
+     */
+    purchaseUpgrade(upgradeName) {
+        const info = this.getUpgradeInfo(upgradeName);
+        if (!info) {
+            return { success: false, reason: 'unknown_upgrade' };
+        }
+        if (info.isMaxed) {
+            return { success: false, reason: 'max_level' };
+        }
+        if (!info.requirementsMet) {
+            return { success: false, reason: 'requirements_not_met', requires: info.requires };
+        }
+        if (this.reincarnationState.daoMarks < info.cost) {
+            return { success: false, reason: 'insufficient_dao_marks', cost: info.cost };
+        }
+
+        this.reincarnationState.daoMarks -= info.cost;
+        this.reincarnationState.upgrades[info.id] = info.level + 1;
+
+        this.saveState();
+
+        this.eventManager.emit('reincarnation:upgrade_purchased', {
+            upgrade: info.id,
+            level: info.level + 1,
+            cost: info.cost,
+            daoMarks: this.reincarnationState.daoMarks
+        });
+
+        return {
+            success: true,
+            upgrade: info.id,
+            level: info.level + 1,
+            cost: info.cost,
+            daoMarks: this.reincarnationState.daoMarks
+        };
+    }
+
+    /**
+     * Get permanent multipliers from purchased upgrades
+     * @returns {Object} Multipliers for qi, body, dual, offline efficiency and starting stones
+     */
+    getMultipliers() {
+        return REINCARNATION_FORMULAS.getMultipliers(this.reincarnationState.upgrades);
+    }
+
+    /**
+     * Save reincarnation state to game state
+     */
+    saveState() {
+        this.gameState.update({
+            reincarnation: {
+                ...this.reincarnationState,
+                upgrades: { ...this.reincarnationState.upgrades },
+                history: [...this.reincarnationState.history]
+            }
+        }, { source: 'reincarnation:save' });
+    }
+
+    // Private methods
+
+    /**
+     * Set up event listeners
+     */
+    _setupEventListeners() {
+        this.eventManager.on('gameState:save', () => {
+            this.saveState();
+        });
+    }
+
+    /**
+     * Find an upgrade definition by display name or id
+     * @param {string} upgradeName - Upgrade name or id
+     * @returns {Array|null} [name, upgrade] entry
+     */
+    _findUpgrade(upgradeName) {
+        if (REINCARNATION_UPGRADES[upgradeName]) {
+            return [upgradeName, REINCARNATION_UPGRADES[upgradeName]];
+        }
+
+        return Object.entries(REINCARNATION_UPGRADES)
+            .find(([, upgrade]) => upgrade.id === upgradeName) || null;
+    }
+
+    /**
+     * Check prerequisite upgrade levels
+     * @param {Object} upgrade - Upgrade definition
+     * @returns {boolean} Requirements met
+     */
+    _meetsRequirements(upgrade) {
+        return Object.entries(upgrade.requires || {}).every(([requiredId, requiredLevel]) =>
+            (this.reincarnationState.upgrades[requiredId] || 0) >= requiredLevel
+        );
+    }
+
+    /**
+     * Reset cultivation resources, keeping premium currencies
+     */
+    _resetResources() {
+        const startingStones = this.getMultipliers().startingSpiritStones;
+
+        this.gameState.update({
+            player: {
+                qi: 0,
+                spiritStones: startingStones,
+                breakthroughPills: 0
+            }
+        }, { source: 'reincarnation:reset' });
+    }
+}
+
+// Export for ES6 modules and global usage
+if (typeof module !== 'undefined' && module.exports) {
+    module.exports = { ReincarnationManager };
+} else if (typeof window !== 'undefined') {
+    window.ReincarnationManager = ReincarnationManager;
+}
@@ -460,12 +460,12 @@ class RewardManager {
     _applyReward(rewardType, amount, options) {
         switch (rewardType) {
             case 'jade':
-                this.gameState.increment('player.jade', amount);
+                this.gameState.increment('player.jade', amount, { source: `reward:${options.source || 'unknown'}` });
                 this.statistics.totalJadeAwarded += amount;
                 break;
 
             case 'spiritCrystals':
-                this.gameState.increment('player.spiritCrystals', amount);
+                this.gameState.increment('player.spiritCrystals', amount, { source: `reward:${options.source || 'unknown'}` });
                 this.statistics.totalCrystalsAwarded += amount;
                 break;
 
@@ -495,6 +495,10 @@ class RewardManager {
                 this._applySectReputationReward(amount, options);
                 break;
 
+            case 'eventCurrency':
+                // Credited by the EventCalendar, which knows which event the quest belonged to
+                break;
+
             default:
                 console.log(`RewardManager: Unhandled reward type: ${rewardType}`);
         }
@@ -7,8 +7,12 @@ class RuneSystem {
         this.gameState = gameState;
         this.eventManager = eventManager;
 
+        // Fusions run as jobs on the shared scheduler
+        this.scheduler = jobScheduler;
+
         // Initialize rune system state
         this.initializeState();
+        this.registerJobHandlers();
 
         console.log('RuneSystem: Initialized');
     }
@@ -28,7 +32,6 @@ class RuneSystem {
                     fortune: null,
                     vitality: null
                 },
-                fusing: null,
                 materials: {},
                 patterns: {},
                 unlocked: false
@@ -36,6 +39,21 @@ class RuneSystem {
         }
     }
 
+    /**
+     * Let the scheduler finish rune fusions, taking over a timer from saves made before it existed
+     */
+    registerJobHandlers() {
+        this.scheduler.registerHandler('runes.fusing', {
+            label: 'Rune fusion',
+            complete: job => this.completeFusion(job),
+            describe: (job, result) => {
+                const nameOf = runeId => this.getRuneData(runeId)?.name || runeId;
+                return `Fused ${result.quantity} ${nameOf(result.baseRuneId)} into ${nameOf(result.resultRuneId)}`;
+            }
+        });
+        this.scheduler.adoptTimer('runes.fusing', 'runes', 'fusing');
+    }
+
     /**
      * Unlock the rune system (typically at Foundation Establishment realm)
      */
@@ -163,8 +181,11 @@ class RuneSystem {
 
     /**
      * Start fusing runes to create higher level runes
+     * @param {string} runeId - Rune to fuse
+     * @param {number} quantity - Runes consumed
+     * @param {number} now - Start time (defaults to the current time)
      */
-    startFusion(runeId, quantity) {
+    startFusion(runeId, quantity, now = Date.now()) {
         const runes = this.gameState.get('runes');
 
         if (!runes.inventory[runeId] || runes.inventory[runeId].quantity < quantity) {
@@ -172,6 +193,11 @@ class RuneSystem {
             return false;
         }
 
+        if (this.scheduler.isBusy('runes.fusing')) {
+            console.warn(`RuneSystem: Another fusion is in progress`);
+            return false;
+        }
+
         const runeData = this.getRuneData(runeId);
         const fusionRequirements = this.getFusionRequirements(runeId, quantity);
 
@@ -185,15 +211,13 @@ class RuneSystem {
         runes.inventory[runeId].quantity -= quantity;
         this.consumeMaterials(fusionRequirements.materials);
 
-        runes.fusing = {
+        this.gameState.set('runes', runes);
+        this.scheduler.schedule('runes.fusing', {
             baseRuneId: runeId,
             quantity: quantity,
-            resultRuneId: fusionRequirements.resultRune,
-            startTime: Date.now(),
-            duration: this.getFusionDuration(runeId, quantity)
-        };
+            resultRuneId: fusionRequirements.resultRune
+        }, this.getFusionDuration(runeId, quantity), { now });
 
-        this.gameState.set('runes', runes);
         this.eventManager.emit('runeFusionStarted', { runeId, quantity, resultRune: fusionRequirements.resultRune });
 
         console.log(`RuneSystem: Started fusing ${quantity} ${runeId}`);
@@ -201,29 +225,15 @@ class RuneSystem {
     }
 
     /**
-     * Complete rune fusion
+     * Complete rune fusion; run by the scheduler when the job is due
+     * @param {Object} job - Finished 'runes.fusing' job
      */
-    completeFusion() {
-        const runes = this.gameState.get('runes');
-
-        if (!runes.fusing) {
-            return null;
-        }
-
-        const { baseRuneId, quantity, resultRuneId, startTime, duration } = runes.fusing;
-        const now = Date.now();
-
-        if (now - startTime < duration) {
-            return null; // Fusion not complete
-        }
+    completeFusion(job) {
+        const { baseRuneId, quantity, resultRuneId } = job.data;
 
         // Add result rune to inventory
         this.addRune(resultRuneId, 1);
 
-        // Clear fusing
-        runes.fusing = null;
-
-        this.gameState.set('runes', runes);
         this.eventManager.emit('runeFusionCompleted', { baseRuneId, quantity, resultRuneId });
 
         console.log(`RuneSystem: Completed fusion of ${quantity} ${baseRuneId} into ${resultRuneId}`);
@@ -418,6 +428,8 @@ class RuneSystem {
             return [];
         }
 
+        const fusing = this.scheduler.findJob('runes.fusing');
+
         return Object.keys(runes.inventory).map(runeId => {
             const data = this.getRuneData(runeId);
             const inventoryData = runes.inventory[runeId];
@@ -429,7 +441,7 @@ class RuneSystem {
                 ...inventoryData,
                 power: power,
                 isEquipped: Object.values(runes.equipped).includes(runeId),
-                isFusing: runes.fusing?.baseRuneId === runeId,
+                isFusing: fusing?.data.baseRuneId === runeId,
                 fusionRequirements: this.getFusionRequirements(runeId, 3),
                 canFuse: this.getFusionRequirements(runeId, 3) !== null &&
                         inventoryData.quantity >= 3 &&
@@ -546,7 +558,10 @@ class RuneSystem {
             }
         };
 
-        return runesData[runeId] || null;
+        // A content pack rune with the same id replaces the built-in one
+        return typeof contentPackLoader !== 'undefined'
+            ? contentPackLoader.lookup('runes', runeId, runesData[runeId])
+            : runesData[runeId] || null;
     }
 
     /**
@@ -554,15 +569,15 @@ class RuneSystem {
      */
     getSystemStatus() {
         const runes = this.gameState.get('runes');
+        const fusing = this.scheduler.findJob('runes.fusing');
 
         return {
             unlocked: this.isUnlocked(),
             equipped: runes?.equipped || {},
             totalEquippedPower: this.getEquippedRunesPower(),
-            fusionInProgress: !!runes?.fusing,
-            fusingRune: runes?.fusing?.baseRuneId || null,
-            fusionTimeRemaining: runes?.fusing ?
-                Math.max(0, (runes.fusing.startTime + runes.fusing.duration) - Date.now()) : 0,
+            fusionInProgress: !!fusing,
+            fusingRune: fusing?.data.baseRuneId || null,
+            fusionTimeRemaining: this.scheduler.getRemaining(fusing),
             inventoryCount: runes?.inventory ? Object.keys(runes.inventory).length : 0,
             materials: runes?.materials || {},
             activeSets: this.getActiveSets()
@@ -590,27 +605,21 @@ class RuneSystem {
     }
 
     /**
-     * Process rune-related idle gains
+     * Timers that finish on their own, so offline simulation can stop at each one
+     * @returns {Array<Object>} [{ type, endsAt }]
      */
-    processIdleGains(timeElapsed) {
-        const runes = this.gameState.get('runes');
-
-        if (!runes?.fusing) {
-            return;
-        }
-
-        // Check if fusion completed during idle time
-        const fusing = runes.fusing;
-        const fusionEndTime = fusing.startTime + fusing.duration;
-        const now = Date.now();
+    getIdleTimers() {
+        return this.scheduler.getTimers({ owner: 'runes' });
+    }
 
-        if (now >= fusionEndTime) {
-            // Fusion completed during idle time
-            const result = this.completeFusion();
-            if (result) {
-                console.log(`RuneSystem: Auto-completed fusion of ${result.quantity} ${result.baseRuneId} into ${result.resultRuneId} during idle time`);
-            }
-        }
+    /**
+     * Process idle time, finishing the rune fusion if it ended by `now`
+     * @param {number} timeElapsed - Length of the idle period in milliseconds
+     * @param {number} now - End of the idle period (defaults to the current time)
+     * @returns {Object} Idle report { completed, gains }
+     */
+    processIdleGains(timeElapsed, now = Date.now()) {
+        return this.scheduler.processIdleJobs('runes', now);
     }
 }
 
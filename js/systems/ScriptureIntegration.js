@@ -785,10 +785,10 @@ class ScriptureIntegration {
         // Apply rewards
         if (achievement.reward) {
             if (achievement.reward.jade) {
-                this.gameState.increment('player.jade', achievement.reward.jade);
+                this.gameState.increment('player.jade', achievement.reward.jade, { source: 'scripture:achievement' });
             }
             if (achievement.reward.crystals) {
-                this.gameState.increment('player.spiritCrystals', achievement.reward.crystals);
+                this.gameState.increment('player.spiritCrystals', achievement.reward.crystals, { source: 'scripture:achievement' });
             }
             if (achievement.reward.enhancementStones && this.enhancementSystem) {
                 this.enhancementSystem.addMaterials({ enhancementStones: achievement.reward.enhancementStones });
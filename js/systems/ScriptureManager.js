@@ -25,9 +25,15 @@ class ScriptureManager {
                 category: 'all',
                 level: 'all',
                 equipped: 'all'
-            }
+            },
+            presets: {} // preset ID -> { id, name, purpose, equipped, createdAt, updatedAt }
         };
 
+        this.maxPresets = 10;
+
+        // Rates loadouts for the combatPower objective; created on first use unless one is set
+        this.powerCalculator = null;
+
         // Active effects from equipped scriptures
         this.activeEffects = {
             cultivation: {
@@ -102,6 +108,9 @@ class ScriptureManager {
                 if (savedCollection.filterBy) {
                     this.collectionState.filterBy = { ...this.collectionState.filterBy, ...savedCollection.filterBy };
                 }
+                if (savedCollection.presets) {
+                    this.collectionState.presets = { ...savedCollection.presets };
+                }
             }
 
             // Load statistics
@@ -524,69 +533,54 @@ class ScriptureManager {
 
     /**
      * Auto-equip best scriptures based on current needs
-     * @param {Object} options - Auto-equip options
-     * @returns {Object} Auto-equip result
+     * @param {Object} options - { mode: 'cultivation'|'combat'|'balanced', objective: SCRIPTURE_LOADOUT_OBJECTIVES key,
+     *                            preview: return the diff without equipping }
+     * @returns {Object} Auto-equip result, with the loadout diff
      */
     autoEquip(options = {}) {
         const config = {
             mode: options.mode || 'balanced', // 'cultivation', 'combat', 'balanced'
+            objective: null,
+            preview: false,
             respectFavorites: options.respectFavorites !== false,
             ...options
         };
 
-        const scriptures = Array.from(this.collectionState.scriptures.values());
-        const equipped = {};
-        const changes = [];
-
-        // Score all scriptures for each slot
-        const slotPriorities = this._getSlotPriorities(config.mode);
-
-        for (const slot of Object.keys(this.collectionState.equipped)) {
-            const candidates = scriptures.filter(s => this._canEquipScripture(s, slot).canEquip);
-
-            if (candidates.length === 0) continue;
-
-            // Score candidates
-            const scored = candidates.map(scripture => ({
-                scripture,
-                score: this._calculateAutoEquipScore(scripture, slot, config.mode, slotPriorities[slot])
-            }));
-
-            // Sort by score
-            scored.sort((a, b) => b.score - a.score);
+        if (config.objective && !SCRIPTURE_LOADOUT_OBJECTIVES[config.objective]) {
+            return { success: false, reason: 'unknown_objective' };
+        }
 
-            const bestScripture = scored[0].scripture;
-            const currentEquipped = this.collectionState.equipped[slot];
+        // An objective is optimized over whole loadouts, set bonuses included; a mode scores each scripture alone
+        let target = config.objective ?
+            this._optimizeLoadout(config.objective) :
+            this._pickLoadoutByMode(config.mode);
 
-            // Check if we should make the change
-            if (!currentEquipped || bestScripture.id !== currentEquipped) {
-                const prevScripture = currentEquipped ? this.getScripture(currentEquipped) : null;
+        let diff = this.previewLoadout(target, { objective: config.objective });
 
-                equipped[slot] = bestScripture.id;
-                changes.push({
-                    slot: slot,
-                    previous: prevScripture,
-                    new: bestScripture,
-                    reason: 'auto_optimization'
-                });
-            }
+        // Keep the current loadout unless the objective's score actually goes up
+        if (config.objective && !(diff.scoreAfter > diff.scoreBefore + 1e-9)) {
+            target = this._sanitizeLoadout(this.collectionState.equipped).loadout;
+            diff = this.previewLoadout(target, { objective: config.objective });
         }
 
-        // Apply changes
-        for (const change of changes) {
-            this.collectionState.equipped[change.slot] = change.new.id;
+        if (config.preview) {
+            return { success: true, preview: true, target, diff };
         }
 
-        if (changes.length > 0) {
-            // Recalculate effects
-            this._recalculateAllEffects();
+        const changes = diff.changes.map(change => ({
+            slot: change.slot,
+            previous: change.from,
+            new: change.to,
+            reason: 'auto_optimization'
+        }));
 
-            // Save state
-            this.saveState();
+        if (changes.length > 0) {
+            this._setEquipped(target);
 
             // Emit events
             this.eventManager.emit('scripture:auto_equipped', {
                 changes: changes,
+                objective: config.objective,
                 newEffects: this.activeEffects
             });
         }
@@ -595,10 +589,254 @@ class ScriptureManager {
             success: true,
             changesCount: changes.length,
             changes: changes,
+            diff: diff,
             newEffects: this.activeEffects
         };
     }
 
+    /**
+     * Effects and set bonuses a loadout would give, without equipping it
+     * @param {Object} equipped - Slot -> scripture ID
+     * @returns {Object} { effects, sets: Map of set ID -> resolved set, setCombatPower }
+     */
+    evaluateLoadout(equipped) {
+        const effects = this._createEmptyEffects();
+        const equippedScriptures = this._collectEquipped(equipped);
+
+        for (const { scripture, slot } of equippedScriptures) {
+            this._addScriptureEffects(effects, scripture, slot);
+        }
+
+        const sets = this._resolveSets(equippedScriptures);
+        const powerBeforeSets = effects.combat.power;
+        for (const set of sets.values()) {
+            this._applySetBonuses(effects, set.bonuses);
+        }
+
+        return { effects, sets, setCombatPower: effects.combat.power - powerBeforeSets };
+    }
+
+    /**
+     * Every scripture set with how far the equipped scriptures go toward it
+     * @returns {Array} [{ setId, name, description, count, maxCount, active, bonuses, slots, nextThreshold, nextBonus }]
+     */
+    getSetProgress() {
+        const equippedScriptures = this._collectEquipped(this.collectionState.equipped);
+
+        return Object.entries(SCRIPTURE_SETS).map(([setId, setData]) => {
+            const resolved = this._resolveSet(setData, equippedScriptures);
+            return {
+                setId,
+                description: setData.description,
+                maxCount: this._getSetRequirementCount(setData),
+                ...resolved
+            };
+        });
+    }
+
+    /**
+     * What equipping a loadout would change: slots, effects and sets, before anything is applied
+     * @param {Object} equipped - Slot -> scripture ID (slots left out are emptied)
+     * @param {Object} options - { objective: also score both loadouts for this objective }
+     * @returns {Object} { changes, invalid, before, after, delta, setsGained, setsLost, objective, scoreBefore, scoreAfter }
+     */
+    previewLoadout(equipped, options = {}) {
+        const { loadout, invalid } = this._sanitizeLoadout(equipped);
+        const current = this.collectionState.equipped;
+
+        const changes = Object.keys(current)
+            .filter(slot => current[slot] !== loadout[slot])
+            .map(slot => ({
+                slot,
+                from: current[slot] ? this.getScripture(current[slot]) : null,
+                to: loadout[slot] ? this.getScripture(loadout[slot]) : null
+            }));
+
+        const before = this.evaluateLoadout(current);
+        const after = this.evaluateLoadout(loadout);
+
+        const delta = {};
+        for (const group of ['cultivation', 'combat', 'resource']) {
+            for (const [stat, value] of Object.entries(after.effects[group])) {
+                const difference = value - before.effects[group][stat];
+                if (Math.abs(difference) > 1e-9) {
+                    delta[group] = delta[group] || {};
+                    delta[group][stat] = difference;
+                }
+            }
+        }
+
+        const preview = {
+            loadout,
+            changes,
+            invalid,
+            before: { effects: before.effects, sets: Array.from(before.sets.values()) },
+            after: { effects: after.effects, sets: Array.from(after.sets.values()) },
+            delta,
+            setsGained: Array.from(after.sets.keys()).filter(setId => !before.sets.has(setId)),
+            setsLost: Array.from(before.sets.keys()).filter(setId => !after.sets.has(setId)),
+            objective: options.objective || null
+        };
+
+        if (options.objective) {
+            preview.scoreBefore = this._scoreLoadout(options.objective, current, before);
+            preview.scoreAfter = this._scoreLoadout(options.objective, loadout, after);
+        }
+
+        return preview;
+    }
+
+    /**
+     * Equip a whole loadout at once
+     * @param {Object} equipped - Slot -> scripture ID (slots left out are emptied)
+     * @returns {Object} { success, changes, invalid }
+     */
+    applyLoadout(equipped) {
+        const preview = this.previewLoadout(equipped);
+
+        if (preview.changes.length > 0) {
+            this._setEquipped(preview.loadout);
+
+            this.eventManager.emit('scripture:loadout_applied', {
+                changes: preview.changes,
+                newEffects: this.activeEffects
+            });
+        }
+
+        return { success: true, changes: preview.changes, invalid: preview.invalid };
+    }
+
+    /**
+     * Saved loadout presets, oldest first
+     * @returns {Array} Presets with { active, missing } - whether it is equipped now and which scriptures are gone
+     */
+    getPresets() {
+        const current = this.collectionState.equipped;
+
+        return Object.values(this.collectionState.presets)
+            .sort((a, b) => a.createdAt - b.createdAt)
+            .map(preset => ({
+                ...preset,
+                equipped: { ...preset.equipped },
+                active: Object.keys(current).every(slot => (preset.equipped[slot] || null) === current[slot]),
+                missing: Object.values(preset.equipped).filter(id => id && !this.collectionState.scriptures.has(id))
+            }));
+    }
+
+    /**
+     * Save a loadout as a named preset, or overwrite one
+     * @param {string} name - Preset name
+     * @param {Object} options - { purpose: SCRIPTURE_PRESET_PURPOSES key, equipped: loadout (defaults to the current one),
+     *                            presetId: preset to overwrite }
+     * @returns {Object} { success, preset } or { success: false, reason }
+     */
+    savePreset(name, options = {}) {
+        const trimmed = typeof name === 'string' ? name.trim() : '';
+        if (!trimmed || trimmed.length > 40) {
+            return { success: false, reason: 'invalid_name' };
+        }
+
+        const purpose = options.purpose || 'custom';
+        if (!SCRIPTURE_PRESET_PURPOSES[purpose]) {
+            return { success: false, reason: 'invalid_purpose' };
+        }
+
+        const existing = options.presetId ? this.collectionState.presets[options.presetId] : null;
+        if (options.presetId && !existing) {
+            return { success: false, reason: 'preset_not_found' };
+        }
+        if (!existing && Object.keys(this.collectionState.presets).length >= this.maxPresets) {
+            return { success: false, reason: 'preset_limit' };
+        }
+
+        const { loadout } = this._sanitizeLoadout(options.equipped || this.collectionState.equipped);
+        const now = Date.now();
+        const preset = {
+            id: existing ? existing.id : `preset_${now.toString(36)}_${Object.keys(this.collectionState.presets).length + 1}`,
+            name: trimmed,
+            purpose: purpose,
+            equipped: loadout,
+            createdAt: existing ? existing.createdAt : now,
+            updatedAt: now
+        };
+
+        this.collectionState.presets[preset.id] = preset;
+        this.saveState();
+
+        this.eventManager.emit('scripture:preset_saved', { preset: { ...preset }, overwritten: !!existing });
+
+        return { success: true, preset: { ...preset } };
+    }
+
+    /**
+     * Delete a preset
+     * @param {string} presetId - Preset ID
+     * @returns {boolean} Success status
+     */
+    deletePreset(presetId) {
+        const preset = this.collectionState.presets[presetId];
+        if (!preset) {
+            return false;
+        }
+
+        delete this.collectionState.presets[presetId];
+        this.saveState();
+
+        this.eventManager.emit('scripture:preset_deleted', { presetId, name: preset.name });
+
+        return true;
+    }
+
+    /**
+     * Equip a preset, or preview what equipping it would change
+     * @param {string} presetId - Preset ID
+     * @param {Object} options - { preview }
+     * @returns {Object} Preview, or { success, changes, invalid, preset }
+     */
+    applyPreset(presetId, options = {}) {
+        const preset = this.collectionState.presets[presetId];
+        if (!preset) {
+            return { success: false, reason: 'preset_not_found' };
+        }
+
+        if (options.preview) {
+            return { success: true, preview: true, preset: { ...preset }, diff: this.previewLoadout(preset.equipped) };
+        }
+
+        const result = this.applyLoadout(preset.equipped);
+
+        this.eventManager.emit('scripture:preset_applied', {
+            presetId: preset.id,
+            purpose: preset.purpose,
+            changes: result.changes
+        });
+
+        return { ...result, preset: { ...preset } };
+    }
+
+    /**
+     * Latest preset saved for a purpose, so PvP and tournament entry can swap to it
+     * @param {string} purpose - SCRIPTURE_PRESET_PURPOSES key
+     * @returns {Object|null} Preset
+     */
+    getPresetForPurpose(purpose) {
+        const matches = Object.values(this.collectionState.presets).filter(preset => preset.purpose === purpose);
+        if (matches.length === 0) {
+            return null;
+        }
+
+        const latest = matches.reduce((best, preset) => preset.updatedAt > best.updatedAt ? preset : best);
+        return { ...latest, equipped: { ...latest.equipped } };
+    }
+
+    /**
+     * Use a specific calculator for the combatPower objective (the combat module's, when it is loaded)
+     * @param {PowerCalculator} powerCalculator - Calculator instance
+     */
+    setPowerCalculator(powerCalculator) {
+        this.powerCalculator = powerCalculator;
+    }
+
     /**
      * Save scripture state to game state
      */
@@ -616,6 +854,7 @@ class ScriptureManager {
                 tags: tagsObject,
                 sortBy: this.collectionState.sortBy,
                 filterBy: this.collectionState.filterBy,
+                presets: this.collectionState.presets,
                 nextId: this.gameState.get('scriptures.nextId') || this.collectionState.scriptures.size + 1
             },
             scriptureStats: this.statistics
@@ -673,9 +912,9 @@ class ScriptureManager {
         }
 
         // Apply rewards
-        this.gameState.increment('player.jade', reward.jade);
+        this.gameState.increment('player.jade', reward.jade, { source: 'scripture:duplicate' });
         if (reward.crystals > 0) {
-            this.gameState.increment('player.spiritCrystals', reward.crystals);
+            this.gameState.increment('player.spiritCrystals', reward.crystals, { source: 'scripture:duplicate' });
         }
 
         // Track duplicate conversion
@@ -760,8 +999,24 @@ class ScriptureManager {
      * Recalculate all active effects from equipped scriptures
      */
     _recalculateAllEffects() {
-        // Reset all effects
-        this.activeEffects = {
+        const { effects, sets } = this.evaluateLoadout(this.collectionState.equipped);
+
+        this.activeEffects = effects;
+        this.activeSets = sets;
+
+        // Emit effects updated event
+        this.eventManager.emit('scripture:effects_updated', {
+            effects: this.activeEffects,
+            sets: this.activeSets
+        });
+    }
+
+    /**
+     * Zeroed effect totals
+     * @returns {Object} Effects in the activeEffects shape
+     */
+    _createEmptyEffects() {
+        return {
             cultivation: {
                 qiBonus: 0,
                 bodyBonus: 0,
@@ -783,12 +1038,17 @@ class ScriptureManager {
             },
             special: new Map()
         };
+    }
 
-        this.activeSets.clear();
-
-        // Collect all equipped scriptures
+    /**
+     * Scriptures of a loadout that are in the collection
+     * @param {Object} equipped - Slot -> scripture ID
+     * @returns {Array} [{ scripture, slot }]
+     */
+    _collectEquipped(equipped) {
         const equippedScriptures = [];
-        for (const [slot, scriptureId] of Object.entries(this.collectionState.equipped)) {
+
+        for (const [slot, scriptureId] of Object.entries(equipped)) {
             if (scriptureId) {
                 const scripture = this.collectionState.scriptures.get(scriptureId);
                 if (scripture) {
@@ -797,27 +1057,16 @@ class ScriptureManager {
             }
         }
 
-        // Calculate effects from each equipped scripture
-        for (const { scripture, slot } of equippedScriptures) {
-            this._addScriptureEffects(scripture, slot);
-        }
-
-        // Calculate set bonuses
-        this._calculateSetBonuses(equippedScriptures);
-
-        // Emit effects updated event
-        this.eventManager.emit('scripture:effects_updated', {
-            effects: this.activeEffects,
-            sets: this.activeSets
-        });
+        return equippedScriptures;
     }
 
     /**
      * Add effects from a single scripture
+     * @param {Object} effects - Effect totals to add to
      * @param {Object} scripture - Scripture instance
      * @param {string} slot - Equipment slot
      */
-    _addScriptureEffects(scripture, slot) {
+    _addScriptureEffects(effects, scripture, slot) {
         // Calculate base stat bonuses
         const statBonus = ENHANCEMENT_FORMULAS.calculateStatBonus(scripture);
 
@@ -825,19 +1074,19 @@ class ScriptureManager {
         const slotMultiplier = this._getSlotMultiplier(slot);
 
         // Add cultivation effects
-        this.activeEffects.cultivation.qiBonus += statBonus.qi * slotMultiplier;
-        this.activeEffects.cultivation.bodyBonus += statBonus.body * slotMultiplier;
-        this.activeEffects.cultivation.cultivationSpeed += statBonus.cultivation * slotMultiplier;
+        effects.cultivation.qiBonus += statBonus.qi * slotMultiplier;
+        effects.cultivation.bodyBonus += statBonus.body * slotMultiplier;
+        effects.cultivation.cultivationSpeed += statBonus.cultivation * slotMultiplier;
 
         // Add combat power based on scripture power
         const scripturepower = ENHANCEMENT_FORMULAS.scripturepower(scripture);
-        this.activeEffects.combat.power += scripturepower * slotMultiplier;
+        effects.combat.power += scripturepower * slotMultiplier;
 
         // Add special effects
         const scriptureData = SCRIPTURE_DATABASE[scripture.name];
         if (scriptureData && scriptureData.specialEffects) {
             for (const [effectName, effectDescription] of Object.entries(scriptureData.specialEffects)) {
-                this.activeEffects.special.set(effectName, {
+                effects.special.set(effectName, {
                     description: effectDescription,
                     source: scripture.name,
                     slot: slot
@@ -864,153 +1113,126 @@ class ScriptureManager {
     }
 
     /**
-     * Calculate set bonuses from equipped scriptures
-     * @param {Array} equippedScriptures - List of equipped scriptures
+     * Sets whose lowest bonus threshold the equipped scriptures reach
+     * @param {Array} equippedScriptures - [{ scripture, slot }]
+     * @returns {Map} Set ID -> resolved set
      */
-    _calculateSetBonuses(equippedScriptures) {
-        // Group scriptures by various criteria for set checking
-        const schoolGroups = new Map();
-        const elementGroups = new Map();
-        const rarityGroups = new Map();
-
-        for (const { scripture } of equippedScriptures) {
-            const scriptureData = SCRIPTURE_DATABASE[scripture.name];
-            if (!scriptureData) continue;
-
-            // Group by school
-            if (scriptureData.school) {
-                if (!schoolGroups.has(scriptureData.school)) {
-                    schoolGroups.set(scriptureData.school, []);
-                }
-                schoolGroups.get(scriptureData.school).push(scripture);
-            }
-
-            // Group by element
-            if (scriptureData.element) {
-                if (!elementGroups.has(scriptureData.element)) {
-                    elementGroups.set(scriptureData.element, []);
-                }
-                elementGroups.get(scriptureData.element).push(scripture);
-            }
-
-            // Group by rarity
-            if (!rarityGroups.has(scripture.rarity)) {
-                rarityGroups.set(scripture.rarity, []);
-            }
-            rarityGroups.get(scripture.rarity).push(scripture);
-        }
+    _resolveSets(equippedScriptures) {
+        const sets = new Map();
 
-        // Check for set bonuses
         for (const [setId, setData] of Object.entries(SCRIPTURE_SETS)) {
-            const setCount = this._calculateSetCount(setData, equippedScriptures, schoolGroups, elementGroups);
-
-            if (setCount >= 2) {
-                // Apply set bonuses
-                const applicableBonuses = {};
-                for (const [threshold, bonus] of Object.entries(setData.setBonus)) {
-                    if (setCount >= parseInt(threshold)) {
-                        Object.assign(applicableBonuses, bonus);
-                    }
-                }
-
-                if (Object.keys(applicableBonuses).length > 0) {
-                    this.activeSets.set(setId, {
-                        name: setData.name,
-                        count: setCount,
-                        bonuses: applicableBonuses
-                    });
-
-                    // Apply bonuses to active effects
-                    this._applySetBonuses(applicableBonuses);
-                }
+            const resolved = this._resolveSet(setData, equippedScriptures);
+            if (resolved.active) {
+                sets.set(setId, { setId, ...resolved });
             }
         }
+
+        return sets;
     }
 
     /**
-     * Calculate how many scriptures match a set requirement
-     * @param {Object} setData - Set data
-     * @param {Array} equippedScriptures - Equipped scriptures
-     * @param {Map} schoolGroups - Scriptures grouped by school
-     * @param {Map} elementGroups - Scriptures grouped by element
-     * @returns {number} Set count
+     * Match one set against the equipped scriptures
+     * Each required school, element or keyword counts once, filled by the first slot that has it.
+     * Bonus tiers are cumulative totals, so the highest tier reached replaces the lower ones.
+     * @param {Object} setData - Entry of SCRIPTURE_SETS
+     * @param {Array} equippedScriptures - [{ scripture, slot }]
+     * @returns {Object} { name, count, active, bonuses, slots, nextThreshold, nextBonus }
      */
-    _calculateSetCount(setData, equippedScriptures, schoolGroups, elementGroups) {
-        if (setData.requiredScriptures.schools) {
-            // Count by school matching
-            let schoolMatches = 0;
-            for (const requiredSchool of setData.requiredScriptures.schools) {
-                if (schoolGroups.has(requiredSchool) && schoolGroups.get(requiredSchool).length > 0) {
-                    schoolMatches++;
-                }
+    _resolveSet(setData, equippedScriptures) {
+        const requirements = setData.requiredScriptures || {};
+        const slots = {};
+
+        const matchesRequirement = (scriptureData, requirement) => {
+            if (requirements.schools) {
+                return scriptureData.school === requirement;
             }
-            return schoolMatches;
-        }
+            if (requirements.elements) {
+                return scriptureData.element === requirement;
+            }
+            return [scriptureData.name, scriptureData.description, scriptureData.lore]
+                .some(text => typeof text === 'string' && text.includes(requirement));
+        };
 
-        if (setData.requiredScriptures.elements) {
-            // Count by element matching
-            let elementMatches = 0;
-            for (const requiredElement of setData.requiredScriptures.elements) {
-                if (elementGroups.has(requiredElement) && elementGroups.get(requiredElement).length > 0) {
-                    elementMatches++;
-                }
+        const required = requirements.schools || requirements.elements || requirements.keywords || [];
+        for (const requirement of required) {
+            const match = equippedScriptures.find(({ scripture }) => {
+                const scriptureData = SCRIPTURE_DATABASE[scripture.name];
+                return scriptureData && matchesRequirement(scriptureData, requirement);
+            });
+            if (match) {
+                slots[requirement] = match.slot;
             }
-            return elementMatches;
         }
 
-        if (setData.requiredScriptures.keywords) {
-            // Count by keyword matching
-            let keywordMatches = 0;
-            for (const keyword of setData.requiredScriptures.keywords) {
-                for (const { scripture } of equippedScriptures) {
-                    const scriptureData = SCRIPTURE_DATABASE[scripture.name];
-                    if (scriptureData && (
-                        scriptureData.name.includes(keyword) ||
-                        scriptureData.description.includes(keyword) ||
-                        scriptureData.lore.includes(keyword)
-                    )) {
-                        keywordMatches++;
-                        break; // Only count once per keyword
-                    }
-                }
+        const count = Object.keys(slots).length;
+        const thresholds = Object.keys(setData.setBonus).map(Number).sort((a, b) => a - b);
+
+        const bonuses = {};
+        for (const threshold of thresholds) {
+            if (count >= threshold) {
+                Object.assign(bonuses, setData.setBonus[threshold]);
             }
-            return keywordMatches;
         }
 
-        return 0;
+        const nextThreshold = thresholds.find(threshold => threshold > count) || null;
+
+        return {
+            name: setData.name,
+            count: count,
+            active: thresholds.length > 0 && count >= thresholds[0],
+            bonuses: bonuses,
+            slots: slots,
+            nextThreshold: nextThreshold,
+            nextBonus: nextThreshold ? { ...setData.setBonus[nextThreshold] } : null
+        };
+    }
+
+    /**
+     * How many distinct requirements a set lists
+     * @param {Object} setData - Entry of SCRIPTURE_SETS
+     * @returns {number} Requirement count
+     */
+    _getSetRequirementCount(setData) {
+        const requirements = setData.requiredScriptures || {};
+        return (requirements.schools || requirements.elements || requirements.keywords || []).length;
     }
 
     /**
-     * Apply set bonuses to active effects
+     * Apply set bonuses to effect totals
+     * @param {Object} effects - Effect totals to add to
      * @param {Object} bonuses - Set bonuses to apply
      */
-    _applySetBonuses(bonuses) {
+    _applySetBonuses(effects, bonuses) {
         for (const [bonusType, bonusValue] of Object.entries(bonuses)) {
             switch (bonusType) {
                 case 'cultivationSpeed':
-                    this.activeEffects.cultivation.cultivationSpeed += bonusValue;
+                    effects.cultivation.cultivationSpeed += bonusValue;
                     break;
+                case 'qi':
                 case 'qiBonus':
-                    this.activeEffects.cultivation.qiBonus += bonusValue;
+                    effects.cultivation.qiBonus += bonusValue;
                     break;
                 case 'bodyBonus':
-                    this.activeEffects.cultivation.bodyBonus += bonusValue;
+                    effects.cultivation.bodyBonus += bonusValue;
                     break;
                 case 'breakthroughChance':
-                    this.activeEffects.cultivation.breakthroughChance += bonusValue;
+                    effects.cultivation.breakthroughChance += bonusValue;
+                    break;
+                case 'experienceBonus':
+                    effects.resource.expBonus += bonusValue;
                     break;
                 case 'physicalPower':
-                    this.activeEffects.combat.power += bonusValue * 1000; // Convert to power units
+                    effects.combat.power += bonusValue * 1000; // Convert to power units
                     break;
                 case 'elementalDamage':
-                    this.activeEffects.combat.power += bonusValue * 500;
+                    effects.combat.power += bonusValue * 500;
                     break;
                 case 'elementalResistance':
-                    this.activeEffects.combat.defense += bonusValue * 100;
+                    effects.combat.defense += bonusValue * 100;
                     break;
                 default:
                     // Special bonuses stored as special effects
-                    this.activeEffects.special.set(`set_${bonusType}`, {
+                    effects.special.set(`set_${bonusType}`, {
                         description: `Set bonus: ${bonusType}`,
                         value: bonusValue,
                         source: 'set_bonus'
@@ -1020,6 +1242,55 @@ class ScriptureManager {
         }
     }
 
+    /**
+     * Replace the equipped loadout, then recalculate and save
+     * @param {Object} loadout - Sanitized slot -> scripture ID
+     */
+    _setEquipped(loadout) {
+        this.collectionState.equipped = { ...loadout };
+        this._recalculateAllEffects();
+        this.saveState();
+    }
+
+    /**
+     * Keep only what can be equipped: known slots, owned scriptures, one slot per scripture, slot rules
+     * @param {Object} equipped - Slot -> scripture ID
+     * @returns {Object} { loadout: every slot -> ID or null, invalid: [{ slot, scriptureId, reason }] }
+     */
+    _sanitizeLoadout(equipped = {}) {
+        const loadout = {};
+        const invalid = [];
+        const used = new Set();
+
+        for (const slot of Object.keys(this.collectionState.equipped)) {
+            const scriptureId = equipped[slot] || null;
+            loadout[slot] = null;
+
+            if (!scriptureId) continue;
+
+            const scripture = this.collectionState.scriptures.get(scriptureId);
+            let reason = null;
+            if (!scripture) {
+                reason = 'scripture_not_found';
+            } else if (used.has(scriptureId)) {
+                reason = 'already_in_loadout';
+            } else {
+                const canEquip = this._canEquipScripture(scripture, slot);
+                reason = canEquip.canEquip ? null : canEquip.reason;
+            }
+
+            if (reason) {
+                invalid.push({ slot, scriptureId, reason });
+            } else {
+                loadout[slot] = scriptureId;
+                used.add(scriptureId);
+            }
+        }
+
+        return { loadout, invalid };
+    }
+
+
     /**
      * Apply filters to scripture list
      * @param {Array} scriptures - Scripture list
@@ -1299,6 +1570,139 @@ class ScriptureManager {
 
         return score;
     }
+
+    /**
+     * Loadout from per-scripture mode scores, filling the slots the mode values most first
+     * @param {string} mode - Auto-equip mode
+     * @returns {Object} Slot -> scripture ID
+     */
+    _pickLoadoutByMode(mode) {
+        const scriptures = Array.from(this.collectionState.scriptures.values());
+        const slotPriorities = this._getSlotPriorities(mode);
+        const slots = Object.keys(this.collectionState.equipped)
+            .sort((a, b) => (slotPriorities[b] || 0) - (slotPriorities[a] || 0));
+        const loadout = {};
+        const used = new Set();
+
+        for (const slot of slots) {
+            const candidates = scriptures.filter(s => !used.has(s.id) && this._canEquipScripture(s, slot).canEquip);
+            loadout[slot] = null;
+
+            if (candidates.length === 0) continue;
+
+            // Score candidates
+            const scored = candidates.map(scripture => ({
+                scripture,
+                score: this._calculateAutoEquipScore(scripture, slot, mode, slotPriorities[slot])
+            }));
+
+            // Sort by score
+            scored.sort((a, b) => b.score - a.score);
+
+            loadout[slot] = scored[0].scripture.id;
+            used.add(scored[0].scripture.id);
+        }
+
+        return loadout;
+    }
+
+    /**
+     * Best loadout for an objective: single-slot swaps from the current loadout until none helps
+     * Whole loadouts are scored because set bonuses make the slots depend on each other.
+     * @param {string} objective - SCRIPTURE_LOADOUT_OBJECTIVES key
+     * @returns {Object} Slot -> scripture ID
+     */
+    _optimizeLoadout(objective) {
+        const scriptures = Array.from(this.collectionState.scriptures.values());
+        const slots = Object.keys(this.collectionState.equipped);
+        const score = candidate => this._scoreLoadout(objective, candidate, this.evaluateLoadout(candidate));
+
+        let loadout = this._sanitizeLoadout(this.collectionState.equipped).loadout;
+        let best = score(loadout);
+
+        for (let pass = 0; pass < 3; pass++) {
+            let improved = false;
+
+            for (const slot of slots) {
+                for (const scripture of scriptures) {
+                    if (loadout[slot] === scripture.id || !this._canEquipScripture(scripture, slot).canEquip) continue;
+
+                    // Moving a scripture out of another slot leaves that slot empty
+                    const candidate = { ...loadout };
+                    for (const other of slots) {
+                        if (candidate[other] === scripture.id) candidate[other] = null;
+                    }
+                    candidate[slot] = scripture.id;
+
+                    const candidateScore = score(candidate);
+                    if (candidateScore > best + 1e-9) {
+                        loadout = candidate;
+                        best = candidateScore;
+                        improved = true;
+                    }
+                }
+            }
+
+            if (!improved) break;
+        }
+
+        return loadout;
+    }
+
+    /**
+     * Rate a loadout for an objective; higher is better
+     * @param {string} objective - SCRIPTURE_LOADOUT_OBJECTIVES key
+     * @param {Object} equipped - Slot -> scripture ID
+     * @param {Object} evaluation - evaluateLoadout result for the loadout
+     * @returns {number} Score
+     */
+    _scoreLoadout(objective, equipped, evaluation) {
+        const cultivation = evaluation.effects.cultivation;
+
+        switch (objective) {
+            case 'qiRate':
+                return (1 + cultivation.qiBonus) * (1 + cultivation.cultivationSpeed);
+            case 'bodyPower':
+                return (1 + cultivation.bodyBonus) * (1 + cultivation.cultivationSpeed);
+            case 'combatPower':
+                // Scripture and set power come from the evaluation; the calculator only rates scriptures
+                // by a power field collection scriptures don't have
+                return this._getBasePowerWithoutScriptures() + evaluation.effects.combat.power;
+            default:
+                return 0;
+        }
+    }
+
+    /**
+     * Player power from everything but scriptures, the same for every loadout being compared
+     * @returns {number} Power
+     */
+    _getBasePowerWithoutScriptures() {
+        const calculator = this._getPowerCalculator();
+        if (!calculator) {
+            return 0;
+        }
+
+        const entity = {
+            cultivation: this.gameState.get('cultivation'),
+            realm: this.gameState.get('realm'),
+            scriptures: { equipped: {}, collection: [] },
+            equipment: this.gameState.get('loadout'),
+            character: this.gameState.get('character')
+        };
+
+        return calculator.calculateTotalPower(entity, { useCache: false, includeTemporaryEffects: false });
+    }
+
+    /**
+     * @returns {PowerCalculator|null} Calculator for the combatPower objective
+     */
+    _getPowerCalculator() {
+        if (!this.powerCalculator && typeof PowerCalculator !== 'undefined' && typeof COMBAT_FORMULAS !== 'undefined') {
+            this.powerCalculator = new PowerCalculator(this.gameState, this.eventManager);
+        }
+        return this.powerCalculator;
+    }
 }
 
 // Export for ES6 modules and global usage
@@ -48,7 +48,11 @@ class SectActivities {
                     ...this.activityState,
                     activeActivities: new Map(savedState.activeActivities || []),
                     scheduledActivities: new Map(savedState.scheduledActivities || []),
-                    participantData: new Map(savedState.participantData || []),
+                    participantData: new Map((savedState.participantData || []).map(([instanceId, data]) => [instanceId, {
+                        ...data,
+                        participants: new Set(data.participants || []),
+                        contributions: new Map(data.contributions || [])
+                    }])),
                     cooldowns: new Map(savedState.cooldowns || [])
                 };
             }
@@ -276,6 +280,90 @@ class SectActivities {
         }
     }
 
+    /**
+     * Add another sect member to an ongoing activity
+     * @param {string} instanceId - Activity instance to join
+     * @param {Object} member - Sect member joining (NPC disciples)
+     * @returns {Object} Join result
+     */
+    addParticipant(instanceId, member) {
+        const instance = this.activityState.activeActivities.get(instanceId);
+        const participantData = this.activityState.participantData.get(instanceId);
+        if (!instance || !participantData) {
+            return this._error('Activity not found or already completed', 'ACTIVITY_NOT_FOUND');
+        }
+
+        const sect = this.sectSystem.sectRegistry.get(instance.sectId);
+        if (!sect || !sect.members.has(member.id)) {
+            return this._error('Member does not belong to the activity\'s sect', 'WRONG_SECT');
+        }
+
+        if (participantData.participants.has(member.id)) {
+            return this._error('Already participating in this activity', 'ALREADY_JOINED');
+        }
+
+        const activityData = this.activityData[instance.activityId];
+        if (participantData.participants.size >= activityData.requirements.maxParticipants) {
+            return this._error('Activity is at maximum capacity', 'ACTIVITY_FULL');
+        }
+
+        const roleData = window.SECT_ROLES[member.role];
+        const minRoleData = window.SECT_ROLES[activityData.requirements.minRole];
+        if (!roleData || roleData.level < minRoleData.level) {
+            return this._error('Insufficient role level to join this activity', 'INSUFFICIENT_ROLE');
+        }
+
+        participantData.participants.add(member.id);
+        participantData.contributions.set(member.id, {
+            joinedAt: Date.now(),
+            contribution: 0,
+            bonuses: {}
+        });
+        instance.currentParticipants = participantData.participants.size;
+
+        this._saveState();
+
+        this.eventManager.emit('sectActivity:memberJoined', {
+            sectId: sect.id,
+            instanceId: instanceId,
+            instance: instance,
+            joinedBy: { id: member.id, name: member.name },
+            participantCount: participantData.participants.size
+        });
+
+        return {
+            success: true,
+            instance: instance,
+            participantCount: participantData.participants.size
+        };
+    }
+
+    /**
+     * Take a member out of every activity they are part of
+     * @param {string} memberId - Member leaving
+     * @param {string} reason - Cancellation reason for activities left short of participants
+     */
+    removeMemberFromActivities(memberId, reason = 'Member left, insufficient participants') {
+        for (const [instanceId, participantData] of this.activityState.participantData) {
+            if (participantData.participants.has(memberId)) {
+                participantData.participants.delete(memberId);
+                participantData.contributions.delete(memberId);
+
+                // Update instance participant count
+                const instance = this.activityState.activeActivities.get(instanceId);
+                if (instance) {
+                    instance.currentParticipants = participantData.participants.size;
+
+                    // Check if activity should be canceled
+                    const activityData = this.activityData[instance.activityId];
+                    if (participantData.participants.size < activityData.requirements.minParticipants) {
+                        this._cancelActivity(instanceId, reason);
+                    }
+                }
+            }
+        }
+    }
+
     /**
      * Leave an ongoing activity
      * @param {string} instanceId - Activity instance to leave
@@ -475,8 +563,8 @@ class SectActivities {
             this._onMemberJoined(data);
         });
 
-        this.eventManager.on('sect:memberLeft', (data) => {
-            this._onMemberLeft(data);
+        this.eventManager.on('sect:memberLeft', (event) => {
+            this._onMemberLeft(event.data || {});
         });
     }
 
@@ -624,12 +712,18 @@ class SectActivities {
                     rewards: rewards
                 });
 
+                // Finished activities leave the active list so they are not completed again
+                this.activityState.activeActivities.delete(instanceId);
+                this.activityState.participantData.delete(instanceId);
+                this._saveState();
+
                 // Emit completion event
                 this.eventManager.emit('sectActivity:completed', {
                     sectId: sect.id,
                     instanceId: instanceId,
                     instance: instance,
                     participantCount: participantData.participants.size,
+                    participants: Array.from(participantData.participants),
                     rewards: rewards
                 });
 
@@ -756,7 +850,7 @@ class SectActivities {
                 case 'teamworkPoints':
                 case 'coordinationPoints':
                     // Award to player stats (could create new stat categories)
-                    this.gameState.increment(`player.${rewardType}`, amount);
+                    this.gameState.increment(`player.${rewardType}`, amount, { source: 'sect:activity' });
                     break;
                 case 'techniqueXpGain':
                     // Award technique experience
@@ -774,7 +868,7 @@ class SectActivities {
                     break;
                 default:
                     // Default to player resource
-                    this.gameState.increment(`player.${rewardType}`, amount);
+                    this.gameState.increment(`player.${rewardType}`, amount, { source: 'sect:activity' });
                     break;
             }
         }
@@ -827,10 +921,9 @@ class SectActivities {
         const currentSect = this.sectSystem.getCurrentSect();
         if (!currentSect) return;
 
+        // getCurrentSect hands out a snapshot of the buffs, so write to the system's own map
         const bonusId = `activity_${bonusType}_${Date.now()}`;
-        currentSect.activeBuffs = currentSect.activeBuffs || new Map();
-
-        currentSect.activeBuffs.set(bonusId, {
+        this.sectSystem.activeBuffs.set(bonusId, {
             type: bonusType,
             value: amount,
             source: 'sect_activity',
@@ -969,25 +1062,8 @@ class SectActivities {
      */
     _onMemberLeft(data) {
         // Remove from all active activities
-        const memberId = data.member.id;
-
-        for (const [instanceId, participantData] of this.activityState.participantData) {
-            if (participantData.participants.has(memberId)) {
-                participantData.participants.delete(memberId);
-                participantData.contributions.delete(memberId);
-
-                // Update instance participant count
-                const instance = this.activityState.activeActivities.get(instanceId);
-                if (instance) {
-                    instance.currentParticipants = participantData.participants.size;
-
-                    // Check if activity should be canceled
-                    const activityData = this.activityData[instance.activityId];
-                    if (participantData.participants.size < activityData.requirements.minParticipants) {
-                        this._cancelActivity(instanceId, 'Member left, insufficient participants');
-                    }
-                }
-            }
+        if (data.member) {
+            this.removeMemberFromActivities(data.member.id);
         }
     }
 
@@ -1037,7 +1113,11 @@ class SectActivities {
             sectActivities: {
                 activeActivities: Array.from(this.activityState.activeActivities.entries()),
                 scheduledActivities: Array.from(this.activityState.scheduledActivities.entries()),
-                participantData: Array.from(this.activityState.participantData.entries()),
+                participantData: Array.from(this.activityState.participantData.entries()).map(([instanceId, data]) => [instanceId, {
+                    ...data,
+                    participants: Array.from(data.participants),
+                    contributions: Array.from(data.contributions.entries())
+                }]),
                 cooldowns: Array.from(this.activityState.cooldowns.entries())
             },
             sectActivityMetrics: this.activityMetrics
@@ -8,6 +8,7 @@ class SectCompetition {
         this.eventManager = eventManager;
         this.sectSystem = sectSystem;
         this.sectManager = sectManager;
+        this.rng = randomManager.getStream('sect');
 
         // Competition state
         this.competitionState = {
@@ -114,6 +115,14 @@ class SectCompetition {
                 console.warn('SectCompetition: Competition data not loaded');
             }
 
+            // Lay out the world map and seed the rival sects that hold it
+            if (window.SECT_TERRITORIES) {
+                this.territoryData = window.SECT_TERRITORIES;
+                this._initializeTerritoryMap();
+            } else {
+                console.warn('SectCompetition: Territory data not loaded');
+            }
+
             this.isInitialized = true;
             console.log('SectCompetition: Initialization complete');
             return true;
@@ -166,6 +175,9 @@ class SectCompetition {
             if (currentRelation === 'alliance') {
                 return this._error('Cannot declare war on allied sect', 'ALLIED_SECT');
             }
+            if (this.diplomacyData[currentRelation]?.restrictions?.warDeclaration === false) {
+                return this._error(`Your ${this.diplomacyData[currentRelation].name} with ${targetSect.name} forbids war`, 'TREATY_IN_FORCE');
+            }
 
             // Check war requirements
             const warData = this.competitionData.sect_war;
@@ -174,6 +186,12 @@ class SectCompetition {
                 return this._error(validation.reason, 'WAR_INVALID');
             }
 
+            // Pick the region the war is fought over
+            const stakes = this._selectWarStakes(currentSect.id, targetSectId, options.territoryId);
+            if (!stakes.valid) {
+                return this._error(stakes.reason, 'INVALID_TERRITORY');
+            }
+
             // Create war declaration
             const warDeclaration = {
                 id: `war_${currentSect.id}_${targetSectId}_${Date.now()}`,
@@ -187,6 +205,7 @@ class SectCompetition {
                 currentPhase: 0,
                 status: 'declared',
                 declaredBy: this._getPlayerInfo(),
+                stakes: stakes.regionIds,
                 options: options
             };
 
@@ -477,8 +496,10 @@ class SectCompetition {
                 return this._error('Invalid relation type', 'INVALID_RELATION');
             }
 
-            // Check requirements
-            const validation = this._validateDiplomaticRelation(currentSect, targetSect, relationData);
+            // Check requirements; treaties that end a war are signed whatever the sects' standing
+            const validation = terms.warId
+                ? { valid: true }
+                : this._validateDiplomaticRelation(currentSect, targetSect, relationData);
             if (!validation.valid) {
                 return this._error(validation.reason, 'DIPLOMACY_INVALID');
             }
@@ -645,6 +666,152 @@ class SectCompetition {
         return active.sort((a, b) => a.startTime - b.startTime);
     }
 
+    /**
+     * Settle an unclaimed region bordering the current sect's land
+     * @param {string} regionId - Region to claim
+     * @returns {Object} Claim result
+     */
+    async claimTerritory(regionId) {
+        try {
+            const currentSect = this.sectSystem.getCurrentSect();
+            if (!currentSect) {
+                return this._error('Not a member of any sect', 'NOT_IN_SECT');
+            }
+
+            if (!this.sectManager._checkPermission('manage_treasury')) {
+                return this._error('Insufficient permissions to claim territory', 'NO_PERMISSION');
+            }
+
+            const region = this.territoryData?.regions[regionId];
+            const entry = this.competitionState.territoryMap.get(regionId);
+            if (!region || !entry) {
+                return this._error('Region not found', 'REGION_NOT_FOUND');
+            }
+
+            if (entry.ownerSectId) {
+                const holder = entry.ownerSectId === currentSect.id ? 'your sect' : 'another sect';
+                return this._error(`${region.name} is already held by ${holder}`, 'REGION_OWNED');
+            }
+
+            if (this._getOwnedRegions(currentSect.id).length > 0 && !this._bordersSect(regionId, currentSect.id)) {
+                return this._error(`${region.name} does not border your territory`, 'NOT_ADJACENT');
+            }
+
+            const sect = this.sectSystem.sectRegistry.get(currentSect.id);
+            const cost = this.territoryData.claimCost;
+            const canAfford = this._checkSectResources(sect, cost);
+            if (!canAfford.valid) {
+                return this._error(`Cannot afford claim: ${canAfford.missing.join(', ')}`, 'INSUFFICIENT_RESOURCES');
+            }
+
+            this._deductSectResources(sect, cost);
+            this._setTerritoryOwner(regionId, sect.id, 'claimed');
+
+            this.sectManager._logActivity(sect.id, 'territory_claimed', {
+                regionId: regionId,
+                regionName: region.name,
+                claimedBy: this._getPlayerInfo().name
+            });
+
+            this._saveState();
+            this.sectSystem._saveState();
+
+            console.log(`SectCompetition: ${sect.name} claimed ${region.name}`);
+
+            return {
+                success: true,
+                message: `Claimed ${region.name}`,
+                regionId: regionId
+            };
+
+        } catch (error) {
+            console.error('SectCompetition: Territory claim failed:', error);
+            return this._error(error.message, 'CLAIM_FAILED');
+        }
+    }
+
+    /**
+     * World map with each region's owner, yields and standing toward the current sect
+     * @returns {Object} { regions, sects }
+     */
+    getTerritoryMap() {
+        if (!this.territoryData) {
+            return { regions: [], sects: [] };
+        }
+
+        const currentSectId = this.sectSystem.getCurrentSect()?.id || null;
+        const playerHoldsLand = currentSectId ? this._getOwnedRegions(currentSectId).length > 0 : false;
+
+        const regions = Object.values(this.territoryData.regions).map(region => {
+            const entry = this.competitionState.territoryMap.get(region.id) || {};
+            const type = this.territoryData.types[region.type];
+            const owner = entry.ownerSectId ? this.sectSystem.sectRegistry.get(entry.ownerSectId) : null;
+            const bordersPlayer = currentSectId ? this._bordersSect(region.id, currentSectId) : false;
+
+            return {
+                id: region.id,
+                name: region.name,
+                type: region.type,
+                typeName: type.name,
+                q: region.q,
+                r: region.r,
+                richness: region.richness,
+                yields: this._getRegionYields(region.id, entry.ownerSectId),
+                bonuses: this._scaleValues(type.bonuses, region.richness),
+                ownerSectId: entry.ownerSectId || null,
+                ownerName: owner ? owner.name : null,
+                isPlayerSect: !!currentSectId && entry.ownerSectId === currentSectId,
+                bordersPlayer: bordersPlayer,
+                canClaim: !!currentSectId && !entry.ownerSectId && (bordersPlayer || !playerHoldsLand),
+                canAttack: !!currentSectId && !!entry.ownerSectId && entry.ownerSectId !== currentSectId,
+                heldSince: entry.claimedAt || null
+            };
+        });
+
+        const sects = [];
+        for (const [sectId, sect] of this.sectSystem.sectRegistry) {
+            const owned = this._getOwnedRegions(sectId);
+            const income = {};
+            for (const regionId of owned) {
+                for (const [resource, amount] of Object.entries(this._getRegionYields(regionId, sectId))) {
+                    income[resource] = (income[resource] || 0) + amount;
+                }
+            }
+            sects.push({
+                id: sectId,
+                name: sect.name,
+                type: sect.type,
+                regionCount: owned.length,
+                incomePerHour: income,
+                isPlayerSect: sectId === currentSectId
+            });
+        }
+
+        return { regions, sects: sects.sort((a, b) => b.regionCount - a.regionCount) };
+    }
+
+    /**
+     * Summed bonuses of every region a sect holds
+     * @param {string} sectId - Sect ID
+     * @returns {Object} Bonus values keyed like SECT_TERRITORIES type bonuses
+     */
+    getTerritoryBonuses(sectId) {
+        const bonuses = {};
+        if (!this.territoryData) {
+            return bonuses;
+        }
+
+        for (const regionId of this._getOwnedRegions(sectId)) {
+            const region = this.territoryData.regions[regionId];
+            const type = this.territoryData.types[region.type];
+            for (const [bonus, value] of Object.entries(this._scaleValues(type.bonuses, region.richness))) {
+                bonuses[bonus] = (bonuses[bonus] || 0) + value;
+            }
+        }
+
+        return bonuses;
+    }
+
     /**
      * Update competitions (called by game loop)
      * @param {number} deltaTime - Time since last update
@@ -672,6 +839,10 @@ class SectCompetition {
             // Process expired diplomatic relations
             this._updateDiplomaticRelations();
 
+            // Territory income and NPC expansion
+            this._collectTerritoryIncome(now);
+            this._expandNPCTerritories((now - this.lastUpdate) / (60 * 60 * 1000));
+
             this.lastUpdate = now;
 
         } catch (error) {
@@ -686,12 +857,12 @@ class SectCompetition {
      */
     _setupEventListeners() {
         // Listen for sect events
-        this.eventManager.on('sect:created', (data) => {
-            this._onSectCreated(data);
+        this.eventManager.on('sect:created', (event) => {
+            this._onSectCreated(event.data || {});
         });
 
-        this.eventManager.on('sect:disbanded', (data) => {
-            this._onSectDisbanded(data);
+        this.eventManager.on('sect:disbanded', (event) => {
+            this._onSectDisbanded(event.data || {});
         });
     }
 
@@ -863,6 +1034,11 @@ class SectCompetition {
         const completedWars = [];
 
         for (const [warId, war] of this.warfareState.activeWars) {
+            // Wars fought in battle rounds are ended by SectWarfare
+            if (war.campaign) {
+                continue;
+            }
+
             // Check if war should end
             if (now >= war.endTime) {
                 completedWars.push(warId);
@@ -908,13 +1084,14 @@ class SectCompetition {
     /**
      * Complete a war
      * @param {string} warId - War ID
+     * @param {Object} outcome - Result decided in battle ({ winnerId, type, terms }); rolled from sect strength when omitted.
+     *                           A peace outcome has no winnerId and ends the war without spoils
      */
-    _completeWar(warId) {
+    _completeWar(warId, outcome = null) {
         try {
             const war = this.warfareState.activeWars.get(warId);
             if (!war) return;
 
-            // Determine winner (simplified for single player)
             const aggressorSect = this.sectSystem.sectRegistry.get(war.aggressorSectId);
             const defenderSect = this.sectSystem.sectRegistry.get(war.defenderSectId);
 
@@ -925,15 +1102,20 @@ class SectCompetition {
             const isPlayerAggressor = war.aggressorSectId === this.sectSystem.getCurrentSect()?.id;
             const isPlayerDefender = war.defenderSectId === this.sectSystem.getCurrentSect()?.id;
 
-            let winner, loser;
-            if (isPlayerAggressor || isPlayerDefender) {
+            let winner = null, loser = null;
+            if (outcome) {
+                if (outcome.winnerId) {
+                    winner = outcome.winnerId === aggressorSect.id ? aggressorSect : defenderSect;
+                    loser = winner === aggressorSect ? defenderSect : aggressorSect;
+                }
+            } else if (isPlayerAggressor || isPlayerDefender) {
                 // Player involved - add some randomness but favor player slightly
                 const playerBonus = 1.2;
                 const playerStrength = isPlayerAggressor ? aggressorStrength * playerBonus : defenderStrength * playerBonus;
                 const enemyStrength = isPlayerAggressor ? defenderStrength : aggressorStrength;
 
                 const winChance = playerStrength / (playerStrength + enemyStrength);
-                const playerWins = Math.random() < winChance;
+                const playerWins = this.rng.random() < winChance;
 
                 if (isPlayerAggressor) {
                     winner = playerWins ? aggressorSect : defenderSect;
@@ -949,15 +1131,17 @@ class SectCompetition {
             }
 
             // Apply war results
-            this._applyWarResults(war, winner, loser);
+            if (winner) {
+                this._applyWarResults(war, winner, loser);
+            }
 
             // Update metrics if player was involved
             if (isPlayerAggressor || isPlayerDefender) {
                 this.competitionMetrics.warsParticipated++;
                 const playerSect = isPlayerAggressor ? aggressorSect : defenderSect;
-                if (winner.id === playerSect.id) {
+                if (winner?.id === playerSect.id) {
                     this.competitionMetrics.warsWon++;
-                } else {
+                } else if (winner) {
                     this.competitionMetrics.warsLost++;
                 }
             }
@@ -966,8 +1150,9 @@ class SectCompetition {
             this.warfareState.battleHistory.push({
                 ...war,
                 completedAt: Date.now(),
-                winner: winner.id,
-                loser: loser.id
+                winner: winner ? winner.id : null,
+                loser: loser ? loser.id : null,
+                outcome: outcome
             });
 
             // Clean up
@@ -975,16 +1160,20 @@ class SectCompetition {
 
             // Reset diplomatic relations
             this._setDiplomaticRelation(war.aggressorSectId, war.defenderSectId, 'hostility');
+            this._saveState();
 
             // Emit war completion event
             this.eventManager.emit('sectWar:completed', {
                 warId: warId,
                 war: war,
                 winner: winner,
-                loser: loser
+                loser: loser,
+                outcome: outcome
             });
 
-            console.log(`SectCompetition: War completed - ${winner.name} defeated ${loser.name}`);
+            console.log(winner
+                ? `SectCompetition: War completed - ${winner.name} defeated ${loser.name}`
+                : `SectCompetition: War between ${aggressorSect.name} and ${defenderSect.name} ended in peace`);
 
         } catch (error) {
             console.error('SectCompetition: Complete war failed:', error);
@@ -1003,10 +1192,11 @@ class SectCompetition {
 
         // Winner gets rewards
         if (rewards.winner) {
-            // Territory
+            // Territory: an attacker takes the regions at stake, a defender pushes back into the attacker's land
             if (rewards.winner.territory) {
-                this._transferTerritory(loser.id, winner.id, rewards.winner.territory);
-                this.competitionMetrics.territoriesConquered += rewards.winner.territory;
+                const preferred = winner.id === war.aggressorSectId ? (war.stakes || []) : [];
+                const transfers = this._transferTerritory(loser.id, winner.id, rewards.winner.territory, preferred, war.id);
+                war.territoryChanges = [...(war.territoryChanges || []), ...transfers];
             }
 
             // Prestige
@@ -1305,7 +1495,7 @@ class SectCompetition {
         for (const category of tournament.categories) {
             // For now, randomly select a winner
             const participants = Array.from(tournament.participants.values());
-            const randomWinner = participants[Math.floor(Math.random() * participants.length)];
+            const randomWinner = this.rng.pick(participants);
             winners[category.name] = randomWinner;
         }
         return winners;
@@ -1324,8 +1514,362 @@ class SectCompetition {
         }
     }
 
-    _transferTerritory(fromSectId, toSectId, amount) {
-        // Would handle territory transfer between sects
+    /**
+     * Hand regions from a defeated sect to the victor; a sect always keeps its last region
+     * @param {string} fromSectId - Losing sect
+     * @param {string} toSectId - Winning sect
+     * @param {number} amount - Regions to transfer
+     * @param {Array} preferred - Region IDs to take first
+     * @param {string} warId - War the transfer settles
+     * @returns {Array} Transfers made
+     */
+    _transferTerritory(fromSectId, toSectId, amount, preferred = [], warId = null) {
+        if (!this.territoryData) {
+            return [];
+        }
+
+        const transfers = [];
+        for (let i = 0; i < amount; i++) {
+            const owned = this._getOwnedRegions(fromSectId);
+            if (owned.length <= 1) {
+                break;
+            }
+
+            const regionId = preferred.find(id => owned.includes(id)) ||
+                this._pickFrontierRegion(owned, toSectId);
+
+            this._setTerritoryOwner(regionId, toSectId, 'conquered');
+            transfers.push({
+                regionId: regionId,
+                regionName: this.territoryData.regions[regionId].name,
+                fromSectId: fromSectId,
+                toSectId: toSectId,
+                warId: warId,
+                transferredAt: Date.now()
+            });
+        }
+
+        if (transfers.length === 0) {
+            return transfers;
+        }
+
+        const winner = this.sectSystem.sectRegistry.get(toSectId);
+        if (winner) {
+            winner.statistics.territoriesConquered += transfers.length;
+        }
+
+        const currentSectId = this.sectSystem.getCurrentSect()?.id;
+        if (toSectId === currentSectId) {
+            this.competitionMetrics.territoriesConquered += transfers.length;
+        } else if (fromSectId === currentSectId) {
+            this.competitionMetrics.territoriesLost += transfers.length;
+        }
+
+        this.sectSystem._saveState();
+        return transfers;
+    }
+
+    /**
+     * Build the region lookup, seed rival sects and give every sect a foothold
+     */
+    _initializeTerritoryMap() {
+        this.regionsByCoord = new Map();
+        for (const region of Object.values(this.territoryData.regions)) {
+            this.regionsByCoord.set(`${region.q},${region.r}`, region.id);
+
+            if (!this.competitionState.territoryMap.has(region.id)) {
+                this.competitionState.territoryMap.set(region.id, {
+                    regionId: region.id,
+                    ownerSectId: null,
+                    claimedAt: null,
+                    lastYieldAt: Date.now()
+                });
+            }
+        }
+
+        for (const rival of this.territoryData.rivalSects) {
+            if (this.sectSystem.sectRegistry.has(rival.id)) {
+                continue;
+            }
+            if (!this.sectSystem.registerNPCSect(rival)) {
+                continue;
+            }
+            for (const regionId of rival.homeRegions) {
+                if (!this.competitionState.territoryMap.get(regionId)?.ownerSectId) {
+                    this._setTerritoryOwner(regionId, rival.id, 'founded');
+                }
+            }
+        }
+
+        // Sects from saves made before the map existed start with a free region
+        for (const sectId of this.sectSystem.sectRegistry.keys()) {
+            this._claimStartingTerritory(sectId);
+        }
+
+        this._saveState();
+        this.sectSystem._saveState();
+    }
+
+    /**
+     * Settle the free starting regions of a sect that holds no land
+     * @param {string} sectId - Sect ID
+     */
+    _claimStartingTerritory(sectId) {
+        if (this._getOwnedRegions(sectId).length > 0) {
+            return;
+        }
+
+        for (let i = 0; i < this.territoryData.startingRegions; i++) {
+            const owned = this._getOwnedRegions(sectId);
+            const unclaimed = this._getUnclaimedRegions()
+                .filter(regionId => owned.length === 0 || this._bordersSect(regionId, sectId));
+            const pool = unclaimed.filter(regionId => this.territoryData.startingRegionPool.includes(regionId));
+            const candidates = (pool.length > 0 ? pool : unclaimed)
+                .map(regionId => ({
+                    regionId,
+                    hostileNeighbours: this._getRegionNeighbours(regionId)
+                        .filter(id => this.competitionState.territoryMap.get(id)?.ownerSectId).length,
+                    richness: this.territoryData.regions[regionId].richness
+                }))
+                .sort((a, b) => a.hostileNeighbours - b.hostileNeighbours || a.richness - b.richness ||
+                    a.regionId.localeCompare(b.regionId));
+
+            if (candidates.length === 0) {
+                return;
+            }
+            this._setTerritoryOwner(candidates[0].regionId, sectId, 'founded');
+        }
+    }
+
+    /**
+     * Change the owner of a region and keep the sects' territory maps in step
+     * @param {string} regionId - Region ID
+     * @param {string|null} sectId - New owner, or null to release the region
+     * @param {string} reason - founded, claimed, conquered or released
+     */
+    _setTerritoryOwner(regionId, sectId, reason) {
+        const entry = this.competitionState.territoryMap.get(regionId);
+        if (!entry) return;
+
+        const now = Date.now();
+        const previousOwnerId = entry.ownerSectId;
+
+        // Settle the previous owner's income before the region changes hands
+        if (previousOwnerId) {
+            this._collectRegionIncome(entry, now);
+            this.sectSystem.sectRegistry.get(previousOwnerId)?.territories.delete(regionId);
+        }
+
+        entry.ownerSectId = sectId;
+        entry.claimedAt = sectId ? now : null;
+        entry.lastYieldAt = now;
+
+        const newOwner = sectId ? this.sectSystem.sectRegistry.get(sectId) : null;
+        if (newOwner) {
+            newOwner.territories.set(regionId, { regionId: regionId, acquiredAt: now, reason: reason });
+        }
+
+        this.eventManager.emit('sectTerritory:changed', {
+            regionId: regionId,
+            regionName: this.territoryData.regions[regionId].name,
+            fromSectId: previousOwnerId,
+            toSectId: sectId,
+            reason: reason
+        });
+    }
+
+    /**
+     * Pick the regions a war is fought over
+     * @param {string} aggressorSectId - Attacking sect
+     * @param {string} defenderSectId - Defending sect
+     * @param {string} requestedRegionId - Region the attacker asked for, if any
+     * @returns {Object} { valid, regionIds, reason }
+     */
+    _selectWarStakes(aggressorSectId, defenderSectId, requestedRegionId = null) {
+        if (!this.territoryData) {
+            return { valid: true, regionIds: [] };
+        }
+
+        const defenderRegions = this._getOwnedRegions(defenderSectId);
+
+        if (requestedRegionId) {
+            const region = this.territoryData.regions[requestedRegionId];
+            if (!region || !defenderRegions.includes(requestedRegionId)) {
+                return { valid: false, reason: 'The target sect does not hold that region' };
+            }
+            if (defenderRegions.length <= 1) {
+                return { valid: false, reason: `${region.name} is the target sect's last region` };
+            }
+            if (this._getOwnedRegions(aggressorSectId).length > 0 && !this._bordersSect(requestedRegionId, aggressorSectId)) {
+                return { valid: false, reason: `${region.name} does not border your territory` };
+            }
+            return { valid: true, regionIds: [requestedRegionId] };
+        }
+
+        if (defenderRegions.length <= 1) {
+            return { valid: true, regionIds: [] };
+        }
+
+        return { valid: true, regionIds: [this._pickFrontierRegion(defenderRegions, aggressorSectId)] };
+    }
+
+    /**
+     * Region of a sect's holdings closest to another sect, preferring the most valuable
+     * @param {Array} regionIds - Candidate region IDs
+     * @param {string} towardSectId - Sect the frontier faces
+     * @returns {string} Region ID
+     */
+    _pickFrontierRegion(regionIds, towardSectId) {
+        const targets = this._getOwnedRegions(towardSectId).map(id => this.territoryData.regions[id]);
+
+        const distanceTo = (regionId) => {
+            const region = this.territoryData.regions[regionId];
+            return targets.length > 0
+                ? Math.min(...targets.map(target => this._hexDistance(region, target)))
+                : 0;
+        };
+
+        return [...regionIds].sort((a, b) =>
+            distanceTo(a) - distanceTo(b) ||
+            this._getRegionValue(b) - this._getRegionValue(a) ||
+            a.localeCompare(b)
+        )[0];
+    }
+
+    /**
+     * Pay every held region's income into its owner's treasury
+     * @param {number} now - Current time
+     */
+    _collectTerritoryIncome(now) {
+        if (!this.territoryData) return;
+
+        const income = {};
+        for (const entry of this.competitionState.territoryMap.values()) {
+            const paid = this._collectRegionIncome(entry, now);
+            if (!paid) continue;
+
+            const sectIncome = income[entry.ownerSectId] || (income[entry.ownerSectId] = {});
+            for (const [resource, amount] of Object.entries(paid)) {
+                sectIncome[resource] = (sectIncome[resource] || 0) + amount;
+            }
+        }
+
+        if (Object.keys(income).length === 0) {
+            return;
+        }
+
+        this.sectSystem._saveState();
+        this._saveState();
+
+        this.eventManager.emit('sectTerritory:income', { income: income });
+    }
+
+    /**
+     * Pay out the full hours a region has been held since its last payout
+     * @param {Object} entry - Territory map entry
+     * @param {number} now - Current time
+     * @returns {Object|null} Resources paid
+     */
+    _collectRegionIncome(entry, now) {
+        const hour = 60 * 60 * 1000;
+        const sect = entry.ownerSectId ? this.sectSystem.sectRegistry.get(entry.ownerSectId) : null;
+        const elapsedHours = Math.floor((now - entry.lastYieldAt) / hour);
+        if (!sect || elapsedHours < 1) {
+            return null;
+        }
+
+        const hours = Math.min(elapsedHours, this.territoryData.maxIncomeHours);
+        entry.lastYieldAt = elapsedHours > hours ? now : entry.lastYieldAt + hours * hour;
+
+        const paid = {};
+        for (const [resource, amount] of Object.entries(this._getRegionYields(entry.regionId, sect.id))) {
+            paid[resource] = Math.floor(amount * hours);
+            sect.treasury[resource] = (sect.treasury[resource] || 0) + paid[resource];
+        }
+        return paid;
+    }
+
+    /**
+     * NPC sects occasionally settle unclaimed land next to their own
+     * @param {number} hours - Hours since the last update
+     */
+    _expandNPCTerritories(hours) {
+        if (!this.territoryData || hours <= 0) return;
+
+        const chance = 1 - Math.pow(1 - this.territoryData.npcClaimChancePerDay, hours / 24);
+        const currentSectId = this.sectSystem.getCurrentSect()?.id;
+
+        for (const sectId of this.sectSystem.sectRegistry.keys()) {
+            if (sectId === currentSectId || !this.rng.chance(chance)) {
+                continue;
+            }
+
+            const frontier = this._getUnclaimedRegions().filter(regionId => this._bordersSect(regionId, sectId));
+            if (frontier.length > 0) {
+                this._setTerritoryOwner(this.rng.pick(frontier), sectId, 'claimed');
+                this._saveState();
+                this.sectSystem._saveState();
+            }
+        }
+    }
+
+    /**
+     * Hourly yield of a region for its holder; sects with territoryGains earn more
+     * @param {string} regionId - Region ID
+     * @param {string|null} sectId - Holding sect
+     * @returns {Object} Resources per hour
+     */
+    _getRegionYields(regionId, sectId = null) {
+        const region = this.territoryData.regions[regionId];
+        const sect = sectId ? this.sectSystem.sectRegistry.get(sectId) : null;
+        const gains = window.SECT_TYPES?.[sect?.type]?.bonuses?.territoryGains || 0;
+        return this._scaleValues(this.territoryData.types[region.type].yields, region.richness * (1 + gains));
+    }
+
+    _getRegionValue(regionId) {
+        const yields = this._getRegionYields(regionId);
+        return (yields.jade || 0) + (yields.spiritCrystals || 0) * 10;
+    }
+
+    _getRegionNeighbours(regionId) {
+        const region = this.territoryData.regions[regionId];
+        const directions = [[1, 0], [1, -1], [0, -1], [-1, 0], [-1, 1], [0, 1]];
+        return directions
+            .map(([dq, dr]) => this.regionsByCoord.get(`${region.q + dq},${region.r + dr}`))
+            .filter(Boolean);
+    }
+
+    _hexDistance(a, b) {
+        return (Math.abs(a.q - b.q) + Math.abs(a.r - b.r) + Math.abs((a.q + a.r) - (b.q + b.r))) / 2;
+    }
+
+    _bordersSect(regionId, sectId) {
+        return this._getRegionNeighbours(regionId)
+            .some(id => this.competitionState.territoryMap.get(id)?.ownerSectId === sectId);
+    }
+
+    _getOwnedRegions(sectId) {
+        const owned = [];
+        for (const entry of this.competitionState.territoryMap.values()) {
+            if (entry.ownerSectId === sectId) {
+                owned.push(entry.regionId);
+            }
+        }
+        return owned;
+    }
+
+    _getUnclaimedRegions() {
+        return Array.from(this.competitionState.territoryMap.values())
+            .filter(entry => !entry.ownerSectId)
+            .map(entry => entry.regionId);
+    }
+
+    _scaleValues(values, multiplier) {
+        const scaled = {};
+        for (const [key, value] of Object.entries(values || {})) {
+            scaled[key] = Math.round(value * multiplier * 1000) / 1000;
+        }
+        return scaled;
     }
 
     _applyDiplomaticBenefits(sect, benefits) {
@@ -1333,11 +1877,34 @@ class SectCompetition {
     }
 
     _updateDiplomaticRelations() {
-        // Would handle expiring relations, trust changes, etc.
+        const now = Date.now();
+
+        // Treaties signed for a fixed term lapse back to neutrality
+        for (const [key, relation] of this.competitionState.diplomacyRelations) {
+            const expiresAt = relation.terms?.expiresAt;
+            if (!expiresAt || now < expiresAt) continue;
+
+            this.competitionState.diplomacyRelations.delete(key);
+            this._saveState();
+
+            this.eventManager.emit('diplomacy:expired', {
+                relationKey: key,
+                relationType: relation.type,
+                sectA: relation.sectA,
+                sectB: relation.sectB
+            });
+        }
     }
 
     _onSectCreated(data) {
-        // Initialize diplomatic relations for new sect
+        // Rival sects are placed on their home regions by _initializeTerritoryMap
+        if (!this.territoryData || !data.sectId || data.isNPC) {
+            return;
+        }
+
+        this._claimStartingTerritory(data.sectId);
+        this._saveState();
+        this.sectSystem._saveState();
     }
 
     _onSectDisbanded(data) {
@@ -1357,6 +1924,14 @@ class SectCompetition {
                 this.warfareState.activeWars.delete(warId);
             }
         }
+
+        // Its land returns to the wilds
+        for (const entry of this.competitionState.territoryMap.values()) {
+            if (entry.ownerSectId === sectId) {
+                this._setTerritoryOwner(entry.regionId, null, 'released');
+            }
+        }
+        this._saveState();
     }
 }
 
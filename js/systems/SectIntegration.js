@@ -292,6 +292,9 @@ class SectIntegration {
             // Diplomatic bonuses
             this._addDiplomaticBonuses(bonuses, currentSect.id);
 
+            // Territory bonuses from the regions the sect holds
+            this._addTerritoryBonuses(bonuses, currentSect.id);
+
             return bonuses;
 
         } catch (error) {
@@ -680,6 +683,33 @@ class SectIntegration {
         // This would be expanded based on alliance benefits, etc.
     }
 
+    /**
+     * Add bonuses from held territories
+     * @param {Object} bonuses - Bonuses object to modify
+     * @param {string} sectId - Sect ID
+     */
+    _addTerritoryBonuses(bonuses, sectId) {
+        if (!this.sectCompetition) return;
+
+        const territory = this.sectCompetition.getTerritoryBonuses(sectId);
+
+        if (territory.cultivationSpeed) {
+            bonuses.cultivation.speedMultiplier = (bonuses.cultivation.speedMultiplier || 1) + territory.cultivationSpeed;
+        }
+
+        if (territory.breakthroughChance) {
+            bonuses.cultivation.breakthroughBonus = (bonuses.cultivation.breakthroughBonus || 0) + territory.breakthroughChance;
+        }
+
+        if (territory.combatPower) {
+            bonuses.cultivation.combatBonus = (bonuses.cultivation.combatBonus || 0) + territory.combatPower;
+        }
+
+        if (territory.resourceGeneration) {
+            bonuses.resources.generationBonus = (bonuses.resources.generationBonus || 0) + territory.resourceGeneration;
+        }
+    }
+
     /**
      * Check if buff is still active
      * @param {Object} buff - Buff object
@@ -70,17 +70,23 @@ class SectManager {
      * @param {string} memberId - Member to promote
      * @param {string} newRole - Target role
      * @param {string} reason - Reason for promotion
+     * @param {Object} options - { sectId: sect other than the player's, actor: member promoting instead of the player }
      * @returns {Object} Promotion result
      */
-    async promoteMember(memberId, newRole, reason = '') {
+    async promoteMember(memberId, newRole, reason = '', options = {}) {
         try {
-            const currentSect = this.sectSystem.getCurrentSect();
+            const currentSect = options.sectId
+                ? this.sectSystem.sectRegistry.get(options.sectId)
+                : this.sectSystem.getCurrentSect();
             if (!currentSect) {
-                return this._error('Not a member of any sect', 'NOT_IN_SECT');
+                return this._error(options.sectId ? 'Sect not found' : 'Not a member of any sect', options.sectId ? 'SECT_NOT_FOUND' : 'NOT_IN_SECT');
             }
 
             // Check permissions
-            const hasPermission = this._checkPermission('promote_members');
+            const promoter = options.actor || this._getPlayerInfo();
+            const hasPermission = options.actor
+                ? this._roleHasPermission(options.actor.role, 'promote_members')
+                : this._checkPermission('promote_members');
             if (!hasPermission) {
                 return this._error('Insufficient permissions to promote members', 'NO_PERMISSION');
             }
@@ -110,7 +116,7 @@ class SectManager {
             // Update member role
             member.role = newRole;
             member.promotedAt = Date.now();
-            member.promotedBy = this._getPlayerInfo().id;
+            member.promotedBy = promoter.id;
             member.promotionReason = reason;
 
             // Update sect member data
@@ -125,7 +131,7 @@ class SectManager {
                 memberName: member.name,
                 oldRole: oldRole,
                 newRole: newRole,
-                promotedBy: this._getPlayerInfo().name,
+                promotedBy: promoter.name,
                 reason: reason
             });
 
@@ -139,7 +145,7 @@ class SectManager {
                 member: member,
                 oldRole: oldRole,
                 newRole: newRole,
-                promotedBy: this._getPlayerInfo(),
+                promotedBy: { id: promoter.id, name: promoter.name },
                 reason: reason
             });
 
@@ -712,6 +718,23 @@ class SectManager {
         return activities.slice(0, limit);
     }
 
+    /**
+     * Record that a member was active, for members the player's own activity doesn't cover
+     * @param {string} memberId - Member ID
+     * @param {number} timestamp - When the member was active
+     */
+    recordMemberActivity(memberId, timestamp = Date.now()) {
+        this.memberActivity.set(memberId, timestamp);
+    }
+
+    /**
+     * Forget a member's activity once they are gone
+     * @param {string} memberId - Member ID
+     */
+    clearMemberActivity(memberId) {
+        this.memberActivity.delete(memberId);
+    }
+
     // Private methods
 
     /**
@@ -723,12 +746,12 @@ class SectManager {
             this._trackMemberActivity();
         });
 
-        this.eventManager.on('sect:memberJoined', (data) => {
-            this._onMemberJoined(data);
+        this.eventManager.on('sect:memberJoined', (event) => {
+            this._onMemberJoined(event.data || {});
         });
 
-        this.eventManager.on('sect:memberLeft', (data) => {
-            this._onMemberLeft(data);
+        this.eventManager.on('sect:memberLeft', (event) => {
+            this._onMemberLeft(event.data || {});
         });
     }
 
@@ -756,8 +779,7 @@ class SectManager {
         }
 
         // Calculate permission
-        const roleData = window.SECT_ROLES[playerRole];
-        const hasPermission = roleData && roleData.permissions && roleData.permissions.includes(permission);
+        const hasPermission = this._roleHasPermission(playerRole, permission);
 
         // Cache result
         this.permissionCache.set(cacheKey, {
@@ -768,6 +790,17 @@ class SectManager {
         return hasPermission;
     }
 
+    /**
+     * Check whether a role grants a permission
+     * @param {string} role - Role ID
+     * @param {string} permission - Permission to check
+     * @returns {boolean} Has permission
+     */
+    _roleHasPermission(role, permission) {
+        const roleData = window.SECT_ROLES[role];
+        return !!(roleData && roleData.permissions && roleData.permissions.includes(permission));
+    }
+
     /**
      * Clear permission cache for a member
      * @param {string} memberId - Member ID
@@ -1048,7 +1081,9 @@ class SectManager {
      */
     _onMemberJoined(data) {
         // Track new member activity
-        this.memberActivity.set(data.member.id, Date.now());
+        if (data.member) {
+            this.memberActivity.set(data.member.id, Date.now());
+        }
     }
 
     /**
@@ -1057,7 +1092,9 @@ class SectManager {
      */
     _onMemberLeft(data) {
         // Clean up member activity tracking
-        this.memberActivity.delete(data.member.id);
+        if (data.member) {
+            this.memberActivity.delete(data.member.id);
+        }
     }
 
     /**
@@ -0,0 +1,775 @@
+/**
+ * SectRoster - NPC disciples who populate the sects
+ * Generates a roster for every sect in the registry and simulates it hour by hour: disciples
+ * cultivate, donate to the treasury, join activities, earn promotions, and come and go with their loyalty.
+ */
+class SectRoster {
+    constructor(gameState, eventManager, sectSystem, sectManager, sectActivities) {
+        this.gameState = gameState;
+        this.eventManager = eventManager;
+        this.sectSystem = sectSystem;
+        this.sectManager = sectManager;
+        this.sectActivities = sectActivities;
+        this.rng = randomManager.getStream('sectRoster');
+
+        // SECT_NPC_DISCIPLES, loaded on initialize
+        this.config = null;
+
+        // Statistics
+        this.statistics = {
+            disciplesRecruited: 0,
+            disciplesDeparted: 0,
+            disciplesPromoted: 0,
+            jadeDonated: 0,
+            spiritCrystalsDonated: 0
+        };
+
+        this.hourMs = 60 * 60 * 1000;
+        this.updateInterval = 60000; // 1 minute
+        this.lastUpdate = 0;
+
+        this.isInitialized = false;
+
+        console.log('SectRoster: Initialized');
+    }
+
+    /**
+     * Initialize the roster simulation
+     */
+    async initialize() {
+        try {
+            if (!window.SECT_NPC_DISCIPLES || !window.SECT_ROLES) {
+                console.warn('SectRoster: Disciple data not loaded');
+                return false;
+            }
+            this.config = window.SECT_NPC_DISCIPLES;
+
+            const savedStats = this.gameState.get('sectRosterStats');
+            if (savedStats) {
+                this.statistics = { ...this.statistics, ...savedStats };
+            }
+
+            this._setupEventListeners();
+
+            this.isInitialized = true;
+            this._ensureRosters();
+
+            console.log('SectRoster: Initialization complete');
+            return true;
+
+        } catch (error) {
+            console.error('SectRoster: Initialization failed:', error);
+            return false;
+        }
+    }
+
+    /**
+     * Generate the starting disciples of a sect that has none yet
+     * @param {string} sectId - Sect ID
+     * @returns {number} Disciples generated
+     */
+    ensureRoster(sectId) {
+        const sect = this.sectSystem.sectRegistry.get(sectId);
+        if (!sect || sect.npcRoster) {
+            return 0;
+        }
+
+        const now = Date.now();
+        sect.npcRoster = {
+            generatedAt: now,
+            lastSimulated: now,
+            nextDiscipleId: 1
+        };
+
+        const roles = [];
+        if (this._countRole(sect, 'sect_master') === 0) {
+            roles.push('sect_master');
+        }
+        for (const [role, count] of Object.entries(this.config.initialRoster)) {
+            for (let i = 0; i < count; i++) {
+                roles.push(role);
+            }
+        }
+
+        let generated = 0;
+        for (const role of roles) {
+            if (sect.memberCount >= sect.maxMembers) {
+                break;
+            }
+            this._addDisciple(sect, role, { seeded: true, now });
+            generated++;
+        }
+
+        this.sectSystem._saveState();
+
+        console.log(`SectRoster: Generated ${generated} disciples for ${sect.name}`);
+        return generated;
+    }
+
+    /**
+     * NPC disciples of a sect
+     * @param {string} sectId - Sect ID, the player's sect when omitted
+     * @returns {Array} Disciple copies
+     */
+    getDisciples(sectId = null) {
+        const sect = this._getSect(sectId);
+        return sect ? this._getDisciples(sect).map(member => ({ ...member })) : [];
+    }
+
+    /**
+     * Disciples in the player's sect who meet the requirements of the next role
+     * @returns {Array} [{ memberId, name, role, nextRole, nextRoleName }]
+     */
+    getPromotionCandidates() {
+        const sect = this._getSect();
+        if (!sect) {
+            return [];
+        }
+
+        return this._getDisciples(sect)
+            .map(member => ({ member, nextRole: this._getEligibleRole(sect, member) }))
+            .filter(entry => entry.nextRole)
+            .map(({ member, nextRole }) => ({
+                memberId: member.id,
+                name: member.name,
+                role: member.role,
+                nextRole: nextRole,
+                nextRoleName: window.SECT_ROLES[nextRole].name
+            }));
+    }
+
+    /**
+     * Promote a disciple of the player's sect to the next role
+     * @param {string} memberId - Disciple to promote
+     * @returns {Promise<Object>} SectManager.promoteMember result
+     */
+    async promoteDisciple(memberId) {
+        const sect = this._getSect();
+        const member = sect ? sect.members.get(memberId) : null;
+        if (!member || !member.isNPC) {
+            return { success: false, error: 'Disciple not found', code: 'MEMBER_NOT_FOUND' };
+        }
+
+        const nextRole = this._getNextRole(member.role);
+        if (!nextRole) {
+            return { success: false, error: `${member.name} already holds the highest rank`, code: 'PROMOTION_INVALID' };
+        }
+
+        return this.sectManager.promoteMember(memberId, nextRole, 'Recognized by the sect leadership');
+    }
+
+    /**
+     * Have the disciples of an activity's sect sign up for it
+     * @param {string} instanceId - Activity instance
+     * @param {number} chanceScale - Scales each disciple's join chance
+     * @returns {number} Disciples who joined
+     */
+    fillActivity(instanceId, chanceScale = 1) {
+        const instance = this.sectActivities.activityState.activeActivities.get(instanceId);
+        const participantData = this.sectActivities.activityState.participantData.get(instanceId);
+        const sect = instance ? this.sectSystem.sectRegistry.get(instance.sectId) : null;
+        if (!sect || !participantData) {
+            return 0;
+        }
+
+        const minRoleLevel = this._getActivityMinRoleLevel(instance.activityId);
+        const candidates = this.rng.shuffle(this._getDisciples(sect).filter(member =>
+            !participantData.participants.has(member.id) &&
+            (window.SECT_ROLES[member.role]?.level || 0) >= minRoleLevel
+        ));
+
+        let joined = 0;
+        for (const member of candidates) {
+            if (participantData.participants.size >= instance.maxParticipants) {
+                break;
+            }
+
+            const chance = this.config.activityJoinChance * (member.loyalty / 100) * chanceScale;
+            if (!this.rng.chance(chance)) {
+                continue;
+            }
+
+            const result = this.sectActivities.addParticipant(instanceId, member);
+            if (result.success) {
+                member.lastActive = Date.now();
+                joined++;
+            }
+        }
+
+        return joined;
+    }
+
+    /**
+     * Simulate the rosters up to now (called by game loop)
+     * @param {number} deltaTime - Time since last update
+     */
+    update(deltaTime) {
+        if (!this.isInitialized) {
+            return;
+        }
+
+        const now = Date.now();
+        if (now - this.lastUpdate < this.updateInterval) {
+            return;
+        }
+        this.lastUpdate = now;
+
+        try {
+            this._ensureRosters();
+
+            for (const sect of this.sectSystem.sectRegistry.values()) {
+                this.simulate(sect.id, now);
+            }
+        } catch (error) {
+            console.error('SectRoster: Update failed:', error);
+        }
+    }
+
+    /**
+     * Advance a sect's roster from its last simulation to a point in time, an hour at a time
+     * @param {string} sectId - Sect ID
+     * @param {number} now - Simulate up to this time
+     * @returns {Object|null} Summary of what happened
+     */
+    simulate(sectId, now = Date.now()) {
+        const sect = this.sectSystem.sectRegistry.get(sectId);
+        if (!sect || !sect.npcRoster) {
+            return null;
+        }
+
+        const maxElapsed = this.config.maxCatchUpHours * this.hourMs;
+        const start = Math.max(sect.npcRoster.lastSimulated, now - maxElapsed);
+        if (now <= start) {
+            return null;
+        }
+
+        const summary = {
+            hours: (now - start) / this.hourMs,
+            recruited: [],
+            departed: [],
+            breakthroughs: [],
+            donations: { jade: 0, spiritCrystals: 0, donors: 0 }
+        };
+
+        let stepStart = start;
+        while (stepStart < now) {
+            const stepEnd = Math.min(now, stepStart + this.hourMs);
+            this._simulateStep(sect, (stepEnd - stepStart) / this.hourMs, stepEnd, summary);
+            stepStart = stepEnd;
+        }
+
+        sect.npcRoster.lastSimulated = now;
+        this._reportSimulation(sect, summary);
+        return summary;
+    }
+
+    // Private methods
+
+    /**
+     * Set up event listeners
+     */
+    _setupEventListeners() {
+        this.eventManager.on('sect:created', (event) => {
+            const data = event.data || {};
+            if (data.sectId) {
+                this.ensureRoster(data.sectId);
+            }
+        });
+
+        this.eventManager.on('sect:memberJoined', (event) => {
+            const data = event.data || {};
+            if (data.sectId) {
+                this.ensureRoster(data.sectId);
+            }
+        });
+
+        this.eventManager.on('sectActivity:started', (event) => {
+            const data = event.data || {};
+            if (data.instance) {
+                this.fillActivity(data.instance.id);
+            }
+        });
+
+        this.eventManager.on('sectActivity:completed', (event) => {
+            this._onActivityCompleted(event.data || {});
+        });
+
+        this.eventManager.on('sect:memberPromoted', (event) => {
+            this._onMemberPromoted(event.data || {});
+        });
+
+        this.eventManager.on('sectWar:casualties', (event) => {
+            this._onWarCasualties(event.data || {});
+        });
+    }
+
+    /**
+     * Give every sect in the registry a roster
+     */
+    _ensureRosters() {
+        for (const sectId of this.sectSystem.sectRegistry.keys()) {
+            this.ensureRoster(sectId);
+        }
+    }
+
+    /**
+     * One simulated slice of at most an hour
+     * @param {Object} sect - Sect object
+     * @param {number} hours - Length of the slice
+     * @param {number} time - End of the slice
+     * @param {Object} summary - Summary to add to
+     */
+    _simulateStep(sect, hours, time, summary) {
+        const loyaltyConfig = this.config.loyalty;
+        const pull = Math.min(loyaltyConfig.maxPull, loyaltyConfig.basePull + (sect.cohesion || 0) * loyaltyConfig.pullPerCohesion);
+
+        for (const member of this._getDisciples(sect)) {
+            // Cultivation
+            const oldRealm = member.realm;
+            this._applyLevel(member, member.cultivationLevel + member.talent * hours);
+            if (member.realm !== oldRealm) {
+                summary.breakthroughs.push({ memberId: member.id, name: member.name, realm: member.realm });
+            }
+
+            // Loyalty drifts toward what the sect offers
+            const gap = pull - member.loyalty;
+            member.loyalty = this._clampLoyalty(member.loyalty + Math.sign(gap) * Math.min(Math.abs(gap), loyaltyConfig.driftPerHour * hours));
+
+            // Donations
+            const donationChance = this._scaleChance(this.config.donations.chancePerHour * (member.loyalty / 100), hours);
+            if (this.rng.chance(donationChance)) {
+                this._donate(sect, member, summary);
+            }
+
+            // Being seen around the sect
+            if (this.rng.chance(this._scaleChance(this.config.onlineChance, hours))) {
+                member.lastActive = time;
+                if (sect.id === this.sectSystem.sectState.currentSect) {
+                    this.sectManager.recordMemberActivity(member.id, time);
+                }
+            }
+
+            // Disloyal disciples leave; the sect master stays
+            if (member.role !== 'sect_master' &&
+                member.loyalty < loyaltyConfig.departureThreshold &&
+                this.rng.chance(this._scaleChance(loyaltyConfig.departureChancePerHour, hours))) {
+                this._removeDisciple(sect, member, 'Lost faith in the sect');
+                summary.departed.push({ memberId: member.id, name: member.name });
+            }
+        }
+
+        // Recruitment
+        const growth = this.config.growth;
+        const recruitment = sect.policies?.recruitment || 'open';
+        if (recruitment !== 'closed' &&
+            sect.memberCount < this._getTargetSize(sect) &&
+            this._countRole(sect, 'probationary') < window.SECT_ROLES.probationary.maxMembers) {
+            const rate = growth.recruitChancePerHour * (recruitment === 'invitation' ? growth.invitationRecruitMultiplier : 1);
+            if (this.rng.chance(this._scaleChance(rate, hours))) {
+                const member = this._addDisciple(sect, 'probationary', { now: time });
+                summary.recruited.push({ memberId: member.id, name: member.name });
+            }
+        }
+
+        // Disciples short of participants keep trickling into running activities
+        for (const instance of this.sectActivities.activityState.activeActivities.values()) {
+            if (instance.sectId === sect.id && instance.currentParticipants < instance.minParticipants) {
+                this.fillActivity(instance.id, Math.min(1, hours));
+            }
+        }
+
+        this._processPromotions(sect);
+    }
+
+    /**
+     * Promote disciples who meet the next role's requirements
+     * In the player's sect the player decides when they hold the right to promote; otherwise the sect master does
+     * @param {Object} sect - Sect object
+     */
+    _processPromotions(sect) {
+        const isPlayerSect = sect.id === this.sectSystem.sectState.currentSect;
+        const playerPromotes = isPlayerSect && this.sectManager._checkPermission('promote_members');
+        const leader = Array.from(sect.members.values()).find(member => member.role === 'sect_master');
+
+        const disciples = this._getDisciples(sect).sort((a, b) => b.cultivationLevel - a.cultivationLevel);
+        for (const member of disciples) {
+            const nextRole = this._getEligibleRole(sect, member);
+            if (!nextRole) {
+                continue;
+            }
+
+            if (playerPromotes) {
+                if (member.promotionReady !== nextRole) {
+                    member.promotionReady = nextRole;
+                    this._notifyPromotionReady(sect, member, nextRole);
+                }
+                continue;
+            }
+
+            if (!leader || leader.id === 'player') {
+                continue;
+            }
+
+            // Announced through sect:memberPromoted
+            const roleName = window.SECT_ROLES[nextRole].name;
+            this.sectManager.promoteMember(member.id, nextRole, `Earned the rank of ${roleName}`, {
+                sectId: sect.id,
+                actor: leader
+            });
+        }
+    }
+
+    /**
+     * Next role a disciple qualifies for, if any
+     * @param {Object} sect - Sect object
+     * @param {Object} member - Disciple
+     * @returns {string|null} Role ID
+     */
+    _getEligibleRole(sect, member) {
+        const nextRole = this._getNextRole(member.role);
+        if (!nextRole) {
+            return null;
+        }
+
+        const roleData = window.SECT_ROLES[nextRole];
+        if (this._countRole(sect, nextRole) >= roleData.maxMembers) {
+            return null;
+        }
+
+        return this.sectManager._validatePromotion(member, nextRole).valid ? nextRole : null;
+    }
+
+    /**
+     * The role one level above, never sect master
+     * @param {string} role - Current role ID
+     * @returns {string|null} Role ID
+     */
+    _getNextRole(role) {
+        const level = window.SECT_ROLES[role]?.level || 0;
+        const next = Object.values(window.SECT_ROLES).find(roleData => roleData.level === level + 1);
+        return next && next.id !== 'sect_master' ? next.id : null;
+    }
+
+    /**
+     * Create a disciple and add them to the sect
+     * @param {Object} sect - Sect object
+     * @param {string} role - Starting role
+     * @param {Object} options - { seeded: part of the starting roster, now }
+     * @returns {Object} Member data
+     */
+    _addDisciple(sect, role, options = {}) {
+        const now = options.now || Date.now();
+        const levelRange = this.config.levelRanges[role] || this.config.levelRanges.probationary;
+        const growth = this.config.growth;
+
+        const discipleId = `${sect.id}_disciple_${sect.npcRoster.nextDiscipleId++}`;
+        this.sectSystem._addMemberToSect(sect, {
+            id: discipleId,
+            name: this._generateName(sect),
+            isNPC: true
+        }, role);
+
+        const member = sect.members.get(discipleId);
+        member.talent = this.rng.float(growth.levelsPerHour.min, growth.levelsPerHour.max);
+        member.bodyRatio = this.rng.float(growth.bodyLevelRatio.min, growth.bodyLevelRatio.max);
+        member.loyalty = this.rng.int(this.config.loyalty.initial.min, this.config.loyalty.initial.max);
+        this._applyLevel(member, this.rng.int(levelRange.min, levelRange.max));
+
+        if (options.seeded) {
+            // The starting roster has served long enough to hold its ranks
+            const tenure = this.config.tenureDays[role] || { min: 0, max: 0 };
+            const minContribution = window.SECT_ROLES[role]?.requirements?.minContribution || 0;
+            member.joinedAt = now - this.rng.float(tenure.min, tenure.max) * 24 * this.hourMs;
+            member.contribution = Math.floor(minContribution * this.rng.float(1, 1.5));
+        } else {
+            member.joinedAt = now;
+            this.statistics.disciplesRecruited++;
+
+            this.eventManager.emit('sectRoster:discipleJoined', {
+                sectId: sect.id,
+                member: { ...member }
+            });
+        }
+        member.lastActive = member.joinedAt;
+
+        return member;
+    }
+
+    /**
+     * Remove a disciple from the sect and its activities
+     * @param {Object} sect - Sect object
+     * @param {Object} member - Disciple
+     * @param {string} reason - Why they left
+     */
+    _removeDisciple(sect, member, reason) {
+        this.sectSystem._removeMemberFromSect(sect, member);
+        this.sectActivities.removeMemberFromActivities(member.id, `${member.name} left the sect`);
+        this.sectManager.clearMemberActivity(member.id);
+        this.sectManager._logActivity(sect.id, 'member_left', {
+            memberId: member.id,
+            memberName: member.name,
+            reason: reason
+        });
+
+        this.statistics.disciplesDeparted++;
+
+        this.eventManager.emit('sectRoster:discipleLeft', {
+            sectId: sect.id,
+            member: { ...member },
+            reason: reason
+        });
+    }
+
+    /**
+     * A disciple gives to the treasury in line with their cultivation
+     * @param {Object} sect - Sect object
+     * @param {Object} member - Disciple
+     * @param {Object} summary - Summary to add to
+     */
+    _donate(sect, member, summary) {
+        const donations = this.config.donations;
+        const resources = {
+            jade: Math.max(donations.minJade, Math.round(member.cultivationLevel * donations.jadePerLevel * this.rng.float(0.5, 1.5)))
+        };
+        if (this.rng.chance(donations.crystalChance)) {
+            const crystals = Math.round(member.cultivationLevel * donations.crystalsPerLevel * this.rng.float(0.5, 1.5));
+            if (crystals > 0) {
+                resources.spiritCrystals = crystals;
+            }
+        }
+
+        for (const [resource, amount] of Object.entries(resources)) {
+            sect.treasury[resource] = (sect.treasury[resource] || 0) + amount;
+        }
+
+        const roleMultiplier = window.SECT_ROLES[member.role]?.benefits.contributionMultiplier || 1.0;
+        const contribution = Math.floor(this.sectSystem._calculateContributionValue(resources) * roleMultiplier);
+        member.contribution = (member.contribution || 0) + contribution;
+        sect.statistics.totalContributions += contribution;
+        member.loyalty = this._clampLoyalty(member.loyalty + this.config.loyalty.donationGain);
+
+        summary.donations.jade += resources.jade;
+        summary.donations.spiritCrystals += resources.spiritCrystals || 0;
+        summary.donations.donors++;
+        this.statistics.jadeDonated += resources.jade;
+        this.statistics.spiritCrystalsDonated += resources.spiritCrystals || 0;
+    }
+
+    /**
+     * Set a disciple's cultivation level and derive realm, stage and power from it
+     * @param {Object} member - Disciple
+     * @param {number} level - Cultivation level
+     */
+    _applyLevel(member, level) {
+        member.cultivationLevel = Math.round(level * 100) / 100;
+        member.bodyLevel = Math.floor(level * member.bodyRatio);
+
+        const realms = Object.entries(window.CULTIVATION_REALMS || {});
+        let realmIndex = 0;
+        realms.forEach(([, realm], index) => {
+            if ((realm.requirements?.qi?.level || 0) <= level) {
+                realmIndex = index;
+            }
+        });
+
+        if (realms.length > 0) {
+            const [realmName, realmData] = realms[realmIndex];
+            const floor = realmData.requirements?.qi?.level || 0;
+            const ceiling = realms[realmIndex + 1]?.[1].requirements?.qi?.level || floor * 2 || 50;
+            const stages = realmData.minorStages || 10;
+            member.realm = realmName;
+            member.stage = Math.min(stages, 1 + Math.floor((level - floor) / (ceiling - floor) * stages));
+        } else {
+            member.realm = 'Body Refinement';
+            member.stage = 1;
+        }
+
+        const qiLevel = Math.floor(member.cultivationLevel);
+        member.power = Math.round(window.COMBAT_FORMULAS
+            ? window.COMBAT_FORMULAS.basePower(qiLevel, member.bodyLevel, member.realm, member.stage)
+            : qiLevel * 10 + member.bodyLevel * 8);
+    }
+
+    /**
+     * Unique disciple name within a sect
+     * @param {Object} sect - Sect object
+     * @returns {string} Name
+     */
+    _generateName(sect) {
+        const used = new Set(Array.from(sect.members.values()).map(member => member.name));
+        const { surnames, givenNames } = this.config;
+
+        let name = '';
+        for (let attempt = 0; attempt < 20; attempt++) {
+            const second = this.rng.pick(givenNames).toLowerCase();
+            name = `${this.rng.pick(surnames)} ${this.rng.pick(givenNames)}${second}`;
+            if (!used.has(name)) {
+                return name;
+            }
+        }
+
+        return `${name} ${sect.npcRoster.nextDiscipleId}`;
+    }
+
+    /**
+     * Roster size a sect grows toward
+     * @param {Object} sect - Sect object
+     * @returns {number} Member count
+     */
+    _getTargetSize(sect) {
+        const growth = this.config.growth;
+        const size = growth.baseRosterSize +
+            ((sect.level || 1) - 1) * growth.rosterSizePerLevel +
+            (sect.prestige || 0) * growth.rosterSizePerPrestige;
+        return Math.min(sect.maxMembers, Math.floor(size));
+    }
+
+    /**
+     * Disciples reward their activities with loyalty and contribution
+     * @param {Object} data - sectActivity:completed data
+     */
+    _onActivityCompleted(data) {
+        const sect = this.sectSystem.sectRegistry.get(data.sectId);
+        if (!sect || !Array.isArray(data.participants)) {
+            return;
+        }
+
+        for (const memberId of data.participants) {
+            const member = sect.members.get(memberId);
+            if (member && member.isNPC) {
+                member.loyalty = this._clampLoyalty(member.loyalty + this.config.loyalty.activityGain);
+                member.contribution = (member.contribution || 0) + this.config.activityContribution;
+            }
+        }
+
+        this.sectSystem._saveState();
+    }
+
+    /**
+     * Promoted disciples grow more loyal
+     * @param {Object} data - sect:memberPromoted data
+     */
+    _onMemberPromoted(data) {
+        const sect = this.sectSystem.sectRegistry.get(data.sectId);
+        const member = sect ? sect.members.get(data.memberId) : null;
+        if (!member || !member.isNPC) {
+            return;
+        }
+
+        member.loyalty = this._clampLoyalty(member.loyalty + this.config.loyalty.promotionGain);
+        delete member.promotionReady;
+        this.statistics.disciplesPromoted++;
+    }
+
+    /**
+     * Disciples who fell in a sect war leave the roster
+     * @param {Object} data - { sectId, killed }
+     */
+    _onWarCasualties(data) {
+        const sect = this.sectSystem.sectRegistry.get(data.sectId);
+        if (!sect || !data.killed || data.killed.length === 0) {
+            return;
+        }
+
+        for (const fallen of data.killed) {
+            const member = sect.members.get(fallen.id);
+            if (member && member.isNPC) {
+                this._removeDisciple(sect, member, 'Fell in battle');
+            }
+        }
+
+        this.sectSystem._saveState();
+        this.gameState.set('sectRosterStats', { ...this.statistics }, { source: 'SectRoster' });
+    }
+
+    /**
+     * Tell the player a disciple has earned a promotion
+     * @param {Object} sect - Sect object
+     * @param {Object} member - Disciple
+     * @param {string} role - Role they qualify for
+     */
+    _notifyPromotionReady(sect, member, role) {
+        this.eventManager.emit('sectRoster:promotionReady', {
+            sectId: sect.id,
+            memberId: member.id,
+            name: member.name,
+            role: role
+        });
+
+        if (this.gameState.get('settings.notifications') !== false) {
+            this.eventManager.emit('ui:notification', {
+                type: 'info',
+                title: 'Promotion Ready',
+                message: `${member.name} qualifies for ${window.SECT_ROLES[role].name}`,
+                duration: 4000
+            });
+        }
+    }
+
+    /**
+     * Save and announce what a simulation changed
+     * @param {Object} sect - Sect object
+     * @param {Object} summary - Simulation summary
+     */
+    _reportSimulation(sect, summary) {
+        this.sectSystem._saveState();
+        this.gameState.set('sectRosterStats', { ...this.statistics }, { source: 'SectRoster' });
+
+        if (summary.donations.donors > 0) {
+            this.eventManager.emit('sectRoster:donations', {
+                sectId: sect.id,
+                ...summary.donations
+            });
+        }
+
+        const changed = summary.recruited.length + summary.departed.length + summary.breakthroughs.length + summary.donations.donors;
+        if (changed > 0) {
+            this.eventManager.emit('sectRoster:updated', {
+                sectId: sect.id,
+                summary: summary
+            });
+        }
+
+        if (sect.id === this.sectSystem.sectState.currentSect && summary.departed.length > 0 &&
+            this.gameState.get('settings.notifications') !== false) {
+            this.eventManager.emit('ui:notification', {
+                type: 'warning',
+                title: 'Disciples Departed',
+                message: `${summary.departed.map(member => member.name).join(', ')} left ${sect.name}`,
+                duration: 4000
+            });
+        }
+    }
+
+    _getSect(sectId = null) {
+        return this.sectSystem.sectRegistry.get(sectId || this.sectSystem.sectState.currentSect) || null;
+    }
+
+    _getDisciples(sect) {
+        return Array.from(sect.members.values()).filter(member => member.isNPC);
+    }
+
+    _countRole(sect, role) {
+        return this.sectManager._countMembersInRole(sect, role);
+    }
+
+    _getActivityMinRoleLevel(activityId) {
+        const minRole = window.SECT_ACTIVITIES?.[activityId]?.requirements?.minRole;
+        return window.SECT_ROLES[minRole]?.level || 1;
+    }
+
+    _scaleChance(chancePerHour, hours) {
+        return 1 - Math.pow(1 - Math.min(1, chancePerHour), hours);
+    }
+
+    _clampLoyalty(loyalty) {
+        return Math.max(0, Math.min(100, Math.round(loyalty * 100) / 100));
+    }
+}
+
+// Export for ES6 modules and global usage
+if (typeof module !== 'undefined' && module.exports) {
+    module.exports = { SectRoster };
+} else if (typeof window !== 'undefined') {
+    window.SectRoster = SectRoster;
+}
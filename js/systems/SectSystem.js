@@ -65,7 +65,7 @@ class SectSystem {
             // Load sect registry (for persistent sects)
             const savedRegistry = this.gameState.get('sectRegistry');
             if (savedRegistry) {
-                this.sectRegistry = new Map(savedRegistry);
+                this.sectRegistry = new Map(savedRegistry.map(([sectId, sect]) => [sectId, this._reviveSect(sect)]));
                 this.nextSectId = Math.max(...Array.from(this.sectRegistry.keys()), 0) + 1;
             }
 
@@ -128,7 +128,7 @@ class SectSystem {
 
             // Check if player can afford sect creation
             const sectTypeData = this.sectTypes[type];
-            const cost = sectTypeData.foundingCost;
+            const { minFounders, ...cost } = sectTypeData.foundingCost;
 
             const canAfford = this._checkResourceRequirements(cost);
             if (!canAfford.valid) {
@@ -143,66 +143,14 @@ class SectSystem {
             const sectId = this._generateSectId();
 
             // Create sect object
-            const newSect = {
-                id: sectId,
+            const newSect = this._buildSect(sectId, {
                 name: name,
                 description: description,
                 type: type,
-                emblem: emblem || this._getDefaultEmblem(type),
+                emblem: emblem,
                 founder: this._getPlayerInfo(),
-                createdAt: Date.now(),
-
-                // Membership
-                members: new Map(),
-                memberCount: 0,
-                maxMembers: sectTypeData.maxMembers,
-
-                // Resources and facilities
-                treasury: {
-                    jade: 0,
-                    spiritCrystals: 0,
-                    specialResources: {}
-                },
-                facilities: new Map(),
-                territories: new Map(),
-
-                // Progression and status
-                level: 1,
-                prestige: 0,
-                reputation: { good: 0, evil: 0, neutral: 100 },
-
-                // Activities and events
-                activities: {
-                    scheduled: [],
-                    active: [],
-                    history: []
-                },
-
-                // Policies and governance
-                policies: {
-                    recruitment: 'open', // open, invitation, closed
-                    membershipFees: { jade: 0, spiritCrystals: 0 },
-                    contributionRequirements: {},
-                    disciplinaryRules: {},
-                    ...policies
-                },
-
-                // Diplomacy
-                relations: new Map(),
-                alliances: new Set(),
-                enemies: new Set(),
-
-                // Statistics
-                statistics: {
-                    totalMembersEver: 0,
-                    competitionsWon: 0,
-                    competitionsLost: 0,
-                    territoriesConquered: 0,
-                    alliancesFormed: 0,
-                    warsWon: 0,
-                    totalContributions: 0
-                }
-            };
+                policies: policies
+            });
 
             // Deduct creation costs
             this._deductResources(cost);
@@ -255,6 +203,42 @@ class SectSystem {
         }
     }
 
+    /**
+     * Register a sect run by NPCs; its roster is filled in by SectRoster
+     * @param {Object} sectConfig - { id, name, description, type, level, prestige, policies }
+     * @returns {Object|null} Registered sect, or null if the ID is taken or the type unknown
+     */
+    registerNPCSect(sectConfig) {
+        if (this.sectRegistry.has(sectConfig.id) || !this.sectTypes?.[sectConfig.type]) {
+            return null;
+        }
+
+        const sect = this._buildSect(sectConfig.id, {
+            name: sectConfig.name,
+            description: sectConfig.description,
+            type: sectConfig.type,
+            emblem: sectConfig.emblem,
+            founder: null,
+            policies: sectConfig.policies || {}
+        });
+        sect.level = sectConfig.level || 1;
+        sect.prestige = sectConfig.prestige || 0;
+
+        this._initializeRequiredFacilities(sect);
+        this.sectRegistry.set(sect.id, sect);
+        this._saveState();
+
+        this.eventManager.emit('sect:created', {
+            sectId: sect.id,
+            sect: sect,
+            founder: null,
+            isNPC: true
+        });
+
+        console.log(`SectSystem: Registered NPC sect "${sect.name}" (${sect.id})`);
+        return sect;
+    }
+
     /**
      * Join an existing sect
      * @param {string} sectId - Sect ID to join
@@ -383,7 +367,7 @@ class SectSystem {
             const currentRole = this.sectState.playerRole;
 
             // Check if leaving would disband the sect
-            const isFounder = sect.founder.id === playerInfo.id;
+            const isFounder = sect.founder?.id === playerInfo.id;
             const isSectMaster = currentRole === 'sect_master';
 
             if (isFounder && sect.memberCount === 1) {
@@ -753,7 +737,7 @@ class SectSystem {
      */
     _deductResources(resources) {
         for (const [resource, amount] of Object.entries(resources)) {
-            this.gameState.increment(`player.${resource}`, -amount);
+            this.gameState.increment(`player.${resource}`, -amount, { source: 'sect:payment' });
         }
     }
 
@@ -763,7 +747,7 @@ class SectSystem {
      */
     _awardResources(resources) {
         for (const [resource, amount] of Object.entries(resources)) {
-            this.gameState.increment(`player.${resource}`, amount);
+            this.gameState.increment(`player.${resource}`, amount, { source: 'sect:reward' });
         }
     }
 
@@ -783,6 +767,75 @@ class SectSystem {
         };
     }
 
+    /**
+     * Build an empty sect object
+     * @param {string} sectId - Sect ID
+     * @param {Object} config - { name, description, type, emblem, founder, policies }
+     * @returns {Object} Sect object
+     */
+    _buildSect(sectId, config) {
+        return {
+            id: sectId,
+            name: config.name,
+            description: config.description,
+            type: config.type,
+            emblem: config.emblem || this._getDefaultEmblem(config.type),
+            founder: config.founder,
+            createdAt: Date.now(),
+
+            // Membership
+            members: new Map(),
+            memberCount: 0,
+            maxMembers: this.sectTypes[config.type].maxMembers,
+
+            // Resources and facilities
+            treasury: {
+                jade: 0,
+                spiritCrystals: 0,
+                specialResources: {}
+            },
+            facilities: new Map(),
+            territories: new Map(),
+
+            // Progression and status
+            level: 1,
+            prestige: 0,
+            reputation: { good: 0, evil: 0, neutral: 100 },
+
+            // Activities and events
+            activities: {
+                scheduled: [],
+                active: [],
+                history: []
+            },
+
+            // Policies and governance
+            policies: {
+                recruitment: 'open', // open, invitation, closed
+                membershipFees: { jade: 0, spiritCrystals: 0 },
+                contributionRequirements: {},
+                disciplinaryRules: {},
+                ...config.policies
+            },
+
+            // Diplomacy
+            relations: new Map(),
+            alliances: new Set(),
+            enemies: new Set(),
+
+            // Statistics
+            statistics: {
+                totalMembersEver: 0,
+                competitionsWon: 0,
+                competitionsLost: 0,
+                territoriesConquered: 0,
+                alliancesFormed: 0,
+                warsWon: 0,
+                totalContributions: 0
+            }
+        };
+    }
+
     /**
      * Generate unique sect ID
      * @returns {string} Unique sect ID
@@ -873,10 +926,46 @@ class SectSystem {
         this.gameState.update({
             sect: this.sectState,
             sectStats: this.statistics,
-            sectRegistry: Array.from(this.sectRegistry.entries())
+            sectRegistry: Array.from(this.sectRegistry.entries()).map(([sectId, sect]) => [sectId, this._serializeSect(sect)])
         }, { source: 'SectSystem' });
     }
 
+    /**
+     * Convert a sect's Map and Set fields into arrays so the save keeps them
+     * @param {Object} sect - Sect object
+     * @returns {Object} Serializable sect
+     */
+    _serializeSect(sect) {
+        const serialized = { ...sect };
+        for (const field of ['members', 'facilities', 'territories', 'relations']) {
+            if (sect[field] instanceof Map) {
+                serialized[field] = Array.from(sect[field].entries());
+            }
+        }
+        for (const field of ['alliances', 'enemies']) {
+            if (sect[field] instanceof Set) {
+                serialized[field] = Array.from(sect[field]);
+            }
+        }
+        return serialized;
+    }
+
+    /**
+     * Rebuild the Map and Set fields of a saved sect
+     * @param {Object} data - Saved sect
+     * @returns {Object} Sect object
+     */
+    _reviveSect(data) {
+        const sect = { ...data };
+        for (const field of ['members', 'facilities', 'territories', 'relations']) {
+            sect[field] = new Map(Array.isArray(data[field]) ? data[field] : []);
+        }
+        for (const field of ['alliances', 'enemies']) {
+            sect[field] = new Set(Array.isArray(data[field]) ? data[field] : []);
+        }
+        return sect;
+    }
+
     /**
      * Handle cultivation progress events
      * @param {Object} data - Event data
@@ -1081,6 +1170,11 @@ class SectSystem {
         let highestRoleLevel = 0;
 
         for (const member of sect.members.values()) {
+            // The leaving player can't succeed themselves
+            if (member.id === this._getPlayerInfo().id) {
+                continue;
+            }
+
             const roleData = this.sectRoles[member.role];
             if (roleData && roleData.level > highestRoleLevel) {
                 highestRoleLevel = roleData.level;
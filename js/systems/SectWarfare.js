@@ -0,0 +1,978 @@
+/**
+ * SectWarfare - Battle rounds that decide sect wars
+ * Once SectCompetition starts a war, both rosters meet in a daily battle. Member power, facilities,
+ * allies, morale and player war effort decide each round; a rout, surrender, peace treaty or the last
+ * round ends the war with terms, and every war keeps a report of its rounds.
+ */
+class SectWarfare {
+    constructor(gameState, eventManager, sectSystem, sectManager, sectCompetition, powerCalculator = null) {
+        this.gameState = gameState;
+        this.eventManager = eventManager;
+        this.sectSystem = sectSystem;
+        this.sectManager = sectManager;
+        this.sectCompetition = sectCompetition;
+        this.powerCalculator = powerCalculator;
+        this.rng = randomManager.getStream('sectWarfare');
+
+        // SECT_WAR_RESOLUTION, loaded on initialize
+        this.config = null;
+
+        // War reports by war ID, finished ones trimmed to config.maxReports
+        this.warReports = new Map();
+
+        // Statistics
+        this.statistics = {
+            roundsFought: 0,
+            warEffortContributed: 0,
+            disciplesLost: 0,
+            peaceTreaties: 0,
+            surrenders: 0
+        };
+
+        this.updateInterval = 60000; // 1 minute
+        this.lastUpdate = 0;
+
+        this.isInitialized = false;
+
+        console.log('SectWarfare: Initialized');
+    }
+
+    /**
+     * Initialize the war engine
+     */
+    async initialize() {
+        try {
+            if (!window.SECT_WAR_RESOLUTION || !window.DIPLOMACY_RELATIONS) {
+                console.warn('SectWarfare: War data not loaded');
+                return false;
+            }
+            this.config = window.SECT_WAR_RESOLUTION;
+
+            const saved = this.gameState.get('sectWarReports');
+            if (saved) {
+                this.warReports = new Map(saved.reports || []);
+                this.statistics = { ...this.statistics, ...saved.statistics };
+            }
+
+            this._setupEventListeners();
+
+            // Wars already under way when the engine loads are fought from here on
+            for (const war of this.sectCompetition.warfareState.activeWars.values()) {
+                this._beginCampaign(war);
+            }
+
+            this.isInitialized = true;
+
+            console.log('SectWarfare: Initialization complete');
+            return true;
+
+        } catch (error) {
+            console.error('SectWarfare: Initialization failed:', error);
+            return false;
+        }
+    }
+
+    /**
+     * Fight every battle round that has come due (called by game loop)
+     * @param {number} deltaTime - Time since last update
+     */
+    update(deltaTime) {
+        if (!this.isInitialized) {
+            return;
+        }
+
+        const now = Date.now();
+        if (now - this.lastUpdate < this.updateInterval) {
+            return;
+        }
+        this.lastUpdate = now;
+
+        try {
+            for (const war of Array.from(this.sectCompetition.warfareState.activeWars.values())) {
+                this._beginCampaign(war);
+
+                // Rounds missed while the game was closed are fought in order
+                while (war.campaign && !war.campaign.ended && now >= war.campaign.nextRoundAt) {
+                    this._fightRound(war);
+                }
+            }
+        } catch (error) {
+            console.error('SectWarfare: Update failed:', error);
+        }
+    }
+
+    /**
+     * Current state of a war
+     * @param {string} warId - War ID
+     * @returns {Object|null} War status
+     */
+    getWarStatus(warId) {
+        const war = this.sectCompetition.warfareState.activeWars.get(warId);
+        if (war && war.campaign) {
+            return this._buildStatus(war);
+        }
+
+        const declaration = this.sectCompetition.warfareState.warDeclarations.get(warId);
+        if (declaration) {
+            return {
+                warId: declaration.id,
+                status: 'declared',
+                aggressor: this._describeSect(declaration.aggressorSectId),
+                defender: this._describeSect(declaration.defenderSectId),
+                startsAt: declaration.warStartTime,
+                stakes: declaration.stakes || [],
+                reason: declaration.reason
+            };
+        }
+
+        const report = this.warReports.get(warId);
+        if (report) {
+            return {
+                warId: report.warId,
+                status: 'completed',
+                aggressor: this._describeSect(report.aggressorSectId, report.aggressorName),
+                defender: this._describeSect(report.defenderSectId, report.defenderName),
+                outcome: report.outcome
+            };
+        }
+
+        return null;
+    }
+
+    /**
+     * Declared and active wars of the player's sect
+     * @returns {Array} War statuses, active wars first
+     */
+    getPlayerWars() {
+        const sectId = this.sectSystem.sectState.currentSect;
+        if (!sectId) {
+            return [];
+        }
+
+        const { activeWars, warDeclarations } = this.sectCompetition.warfareState;
+        const involves = war => war.aggressorSectId === sectId || war.defenderSectId === sectId;
+
+        return [
+            ...Array.from(activeWars.values()).filter(involves),
+            ...Array.from(warDeclarations.values()).filter(involves)
+        ].map(war => this.getWarStatus(war.id)).filter(Boolean);
+    }
+
+    /**
+     * Battle report of a war
+     * @param {string} warId - War ID
+     * @returns {Object|null} Report copy
+     */
+    getWarReport(warId) {
+        const report = this.warReports.get(warId);
+        return report ? JSON.parse(JSON.stringify(report)) : null;
+    }
+
+    /**
+     * Battle reports, newest first
+     * @param {string} sectId - Only wars this sect fought; all wars when omitted
+     * @returns {Array} Report copies
+     */
+    getWarReports(sectId = null) {
+        return Array.from(this.warReports.values())
+            .filter(report => !sectId || report.aggressorSectId === sectId || report.defenderSectId === sectId)
+            .sort((a, b) => b.startedAt - a.startedAt)
+            .map(report => JSON.parse(JSON.stringify(report)));
+    }
+
+    /**
+     * Donate resources to the player's side; they add strength to the next battle round
+     * @param {string} warId - War ID
+     * @param {Object} resources - Resources to donate ({ jade, spiritCrystals })
+     * @returns {Object} Contribution result
+     */
+    contributeWarEffort(warId, resources) {
+        try {
+            const context = this._getPlayerWarContext(warId);
+            if (!context.success) {
+                return context;
+            }
+            const { war, sect, side } = context;
+
+            const donation = {};
+            let effort = 0;
+            for (const [resource, amount] of Object.entries(resources || {})) {
+                const rate = this.config.warEffort[resource];
+                const value = Math.floor(Number(amount) || 0);
+                if (!rate || value <= 0) continue;
+                donation[resource] = value;
+                effort += value * rate;
+            }
+            if (effort <= 0) {
+                return this._error('Nothing to contribute', 'INVALID_CONTRIBUTION');
+            }
+
+            const canAfford = this.sectSystem._checkResourceRequirements(donation);
+            if (!canAfford.valid) {
+                return this._error(`Insufficient resources: ${canAfford.missing.join(', ')}`, 'INSUFFICIENT_RESOURCES');
+            }
+            this.sectSystem._deductResources(donation);
+
+            effort = Math.round(effort);
+            side.effort += effort;
+            side.totalEffort += effort;
+            this.statistics.warEffortContributed += effort;
+
+            // War effort counts as service to the sect
+            const contribution = this.sectSystem._calculateContributionValue(donation);
+            this.sectSystem.sectState.playerContribution += contribution;
+            this.sectSystem.statistics.totalContribution += contribution;
+            sect.statistics.totalContributions += contribution;
+
+            this._addReportEntry(war, 'effort', `${this._getPlayerName()} contributed ${this._formatResources(donation)} to the war effort (+${effort} strength)`);
+
+            this.sectSystem._saveState();
+            this.sectCompetition._saveState();
+            this._saveReports();
+
+            this.eventManager.emit('sectWar:effortContributed', {
+                warId: war.id,
+                sectId: sect.id,
+                resources: donation,
+                effort: effort,
+                pendingEffort: side.effort
+            });
+
+            console.log(`SectWarfare: Contributed ${JSON.stringify(donation)} to war ${war.id} (effort: ${effort})`);
+
+            return {
+                success: true,
+                effort: effort,
+                pendingEffort: side.effort,
+                contributionValue: contribution,
+                message: `Your contribution adds ${effort} strength to the next battle`
+            };
+
+        } catch (error) {
+            console.error('SectWarfare: War effort contribution failed:', error);
+            return this._error(error.message, 'CONTRIBUTION_FAILED');
+        }
+    }
+
+    /**
+     * Offer the enemy peace; a beaten or demoralised enemy accepts a truce without reparations
+     * @param {string} warId - War ID
+     * @returns {Object} Peace result
+     */
+    async offerPeace(warId) {
+        try {
+            const context = this._getPlayerWarContext(warId, 'form_alliances');
+            if (!context.success) {
+                return context;
+            }
+            const { war, side, enemySide } = context;
+            const enemy = this.sectSystem.sectRegistry.get(enemySide.sectId);
+
+            const accepts = enemySide.morale <= this.config.peaceAcceptanceMorale || enemySide.score < side.score;
+            if (!accepts) {
+                this._addReportEntry(war, 'diplomacy', `${enemy.name} rejected an offer of peace`);
+                this._saveReports();
+                return this._error(`${enemy.name} rejects peace while its forces stand strong`, 'PEACE_REJECTED');
+            }
+
+            const terms = this._endWar(war, { type: 'peace', winnerId: null });
+            this.statistics.peaceTreaties++;
+            await this._signTruce(enemy.id, terms);
+            this._saveReports();
+
+            return {
+                success: true,
+                terms: terms,
+                message: `${enemy.name} accepted peace`
+            };
+
+        } catch (error) {
+            console.error('SectWarfare: Peace offer failed:', error);
+            return this._error(error.message, 'PEACE_FAILED');
+        }
+    }
+
+    /**
+     * Surrender the war; the enemy wins and imposes reparations
+     * @param {string} warId - War ID
+     * @returns {Object} Surrender result
+     */
+    async surrender(warId) {
+        try {
+            const context = this._getPlayerWarContext(warId, 'form_alliances');
+            if (!context.success) {
+                return context;
+            }
+            const { war, enemySide } = context;
+            const enemy = this.sectSystem.sectRegistry.get(enemySide.sectId);
+
+            const terms = this._endWar(war, { type: 'surrender', winnerId: enemy.id });
+            this.statistics.surrenders++;
+            await this._signTruce(enemy.id, terms);
+            this._saveReports();
+
+            return {
+                success: true,
+                terms: terms,
+                message: `Surrendered to ${enemy.name}`
+            };
+
+        } catch (error) {
+            console.error('SectWarfare: Surrender failed:', error);
+            return this._error(error.message, 'SURRENDER_FAILED');
+        }
+    }
+
+    // Private methods
+
+    /**
+     * Set up event listeners
+     */
+    _setupEventListeners() {
+        this.eventManager.on('sectWar:started', (event) => {
+            const data = event.data || {};
+            if (data.war) {
+                this._beginCampaign(this.sectCompetition.warfareState.activeWars.get(data.warId) || data.war);
+            }
+        });
+    }
+
+    /**
+     * Give an active war its battle state and report
+     * @param {Object} war - Active war
+     */
+    _beginCampaign(war) {
+        if (!war || war.campaign) {
+            return;
+        }
+
+        const aggressor = this.sectSystem.sectRegistry.get(war.aggressorSectId);
+        const defender = this.sectSystem.sectRegistry.get(war.defenderSectId);
+        if (!aggressor || !defender) {
+            return;
+        }
+
+        const startedAt = war.startedAt || Date.now();
+        war.campaign = {
+            round: 0,
+            maxRounds: Math.max(1, Math.round(war.duration / this.config.roundInterval)),
+            nextRoundAt: startedAt + this.config.roundInterval,
+            ended: false,
+            sides: {
+                [aggressor.id]: this._createSide(aggressor, 'aggressor'),
+                [defender.id]: this._createSide(defender, 'defender')
+            }
+        };
+
+        if (!this.warReports.has(war.id)) {
+            this.warReports.set(war.id, {
+                warId: war.id,
+                aggressorSectId: aggressor.id,
+                aggressorName: aggressor.name,
+                defenderSectId: defender.id,
+                defenderName: defender.name,
+                reason: war.reason,
+                stakes: war.stakes || [],
+                startedAt: startedAt,
+                status: 'active',
+                rounds: [],
+                log: [],
+                outcome: null
+            });
+        }
+        this._addReportEntry(war, 'start', `${aggressor.name} marched on ${defender.name}${war.reason ? ` (${war.reason})` : ''}`);
+
+        this.sectCompetition._saveState();
+        this._saveReports();
+
+        console.log(`SectWarfare: Campaign begun between ${aggressor.name} and ${defender.name}`);
+    }
+
+    /**
+     * Battle state of one side
+     * @param {Object} sect - Sect object
+     * @param {string} role - aggressor or defender
+     * @returns {Object} Side state
+     */
+    _createSide(sect, role) {
+        const moraleConfig = this.config.morale;
+        const facilities = this._getFacilityEffects(sect);
+
+        return {
+            sectId: sect.id,
+            role: role,
+            morale: this._clampMorale(moraleConfig.initial + (sect.cohesion || 0) * moraleConfig.perCohesion + facilities.morale),
+            score: 0,
+            effort: 0,
+            totalEffort: 0,
+            wounded: {},
+            casualties: { wounded: 0, killed: 0 }
+        };
+    }
+
+    /**
+     * Fight the next battle round of a war
+     * @param {Object} war - Active war with a campaign
+     */
+    _fightRound(war) {
+        const campaign = war.campaign;
+        const roundTime = campaign.nextRoundAt;
+        campaign.round++;
+        campaign.nextRoundAt += this.config.roundInterval;
+
+        // Phase of the day the round was fought over
+        const phaseIndex = this._getPhaseIndex(war, roundTime - this.config.roundInterval);
+        const phase = war.phases[phaseIndex] || { name: 'Battle' };
+        if (phaseIndex !== war.currentPhase) {
+            war.currentPhase = phaseIndex;
+            war.phaseStartTime = roundTime;
+            this._addReportEntry(war, 'phase', `The war entered the ${phase.name} phase`, roundTime);
+            this.eventManager.emit('sectWar:phaseChanged', {
+                warId: war.id,
+                war: war,
+                newPhase: phase
+            });
+        }
+        const intensity = this.config.phaseIntensity[phase.name] || 1;
+
+        const sectIds = [war.aggressorSectId, war.defenderSectId];
+        const forces = sectIds.map(sectId => this._musterForces(war, sectId));
+        const variance = this.config.rollVariance;
+        const rolls = forces.map(force => force.strength * this.rng.float(1 - variance, 1 + variance));
+
+        // Ties go to the defender
+        const winnerIndex = rolls[0] > rolls[1] ? 0 : 1;
+        const loserIndex = 1 - winnerIndex;
+        const margin = (rolls[0] + rolls[1]) > 0 ? rolls[winnerIndex] / (rolls[0] + rolls[1]) : 0.5;
+
+        const record = {
+            round: campaign.round,
+            phase: phase.name,
+            time: roundTime,
+            winnerId: sectIds[winnerIndex],
+            sides: {}
+        };
+
+        const fallen = [];
+        forces.forEach((force, index) => {
+            const won = index === winnerIndex;
+            const side = campaign.sides[force.sectId];
+            const losses = this._inflictCasualties(war, force, won, intensity, margin);
+            const moraleConfig = this.config.morale;
+            const casualtyCount = losses.wounded.length + losses.killed.length;
+            if (losses.killed.length > 0) {
+                fallen.push({ sectId: force.sectId, names: losses.killed.map(member => member.name) });
+            }
+
+            if (won) {
+                side.score += intensity;
+                side.morale = this._clampMorale(side.morale + moraleConfig.roundWon * intensity - casualtyCount * moraleConfig.perCasualty);
+            } else {
+                side.morale = this._clampMorale(side.morale - moraleConfig.roundLost * intensity - casualtyCount * moraleConfig.perCasualty);
+            }
+            side.effort = 0;
+
+            record.sides[force.sectId] = {
+                fielded: force.fielded,
+                strength: Math.round(force.strength),
+                roll: Math.round(rolls[index]),
+                allyAid: Math.round(force.allyAid),
+                effort: force.effort,
+                wounded: losses.wounded.length,
+                killed: losses.killed.length,
+                morale: Math.round(side.morale)
+            };
+        });
+
+        const report = this.warReports.get(war.id);
+        if (report) {
+            report.rounds.push(record);
+        }
+
+        const winner = this.sectSystem.sectRegistry.get(sectIds[winnerIndex]);
+        const loser = this.sectSystem.sectRegistry.get(sectIds[loserIndex]);
+        const loserRecord = record.sides[loser.id];
+        this._addReportEntry(war, 'round',
+            `Round ${campaign.round} (${phase.name}): ${winner.name} prevailed over ${loser.name} ` +
+            `(${record.sides[winner.id].roll} to ${loserRecord.roll}); ${loser.name} lost ${loserRecord.killed} fallen and ${loserRecord.wounded} wounded`,
+            roundTime);
+        for (const entry of fallen) {
+            const sectName = this.sectSystem.sectRegistry.get(entry.sectId).name;
+            this._addReportEntry(war, 'casualties', `${sectName} mourns ${entry.names.join(', ')}`, roundTime);
+        }
+
+        this.statistics.roundsFought++;
+
+        this.eventManager.emit('sectWar:round', {
+            warId: war.id,
+            round: record,
+            status: this._buildStatus(war)
+        });
+
+        this._notifyPlayer(war, 'Battle Report', `Round ${campaign.round}: ${winner.name} prevailed over ${loser.name}`,
+            winner.id === this.sectSystem.sectState.currentSect ? 'success' : 'warning');
+
+        // A routed side breaks; otherwise the war runs to its last round
+        const loserSide = campaign.sides[loser.id];
+        if (loserSide.morale <= this.config.morale.routThreshold) {
+            this._addReportEntry(war, 'rout', `${loser.name}'s forces broke and fled`, roundTime);
+            this._endWar(war, { type: 'victory', reason: 'rout', winnerId: winner.id }, roundTime);
+        } else if (campaign.round >= campaign.maxRounds) {
+            this._endWar(war, { type: 'victory', reason: 'final_round', winnerId: this._decideFinalWinner(war) }, roundTime);
+        }
+
+        this.sectCompetition._saveState();
+        this._saveReports();
+    }
+
+    /**
+     * Gather a side's forces for a round
+     * @param {Object} war - Active war
+     * @param {string} sectId - Sect ID
+     * @returns {Object} Force ({ sectId, fielded, members, strength, allyAid, effort })
+     */
+    _musterForces(war, sectId) {
+        const sect = this.sectSystem.sectRegistry.get(sectId);
+        const side = war.campaign.sides[sectId];
+        const members = [];
+        let power = 0;
+        let fielded = 0;
+
+        for (const member of sect.members.values()) {
+            if (member.isNPC) {
+                if ((side.wounded[member.id] || 0) > war.campaign.round) continue;
+                if (!this.rng.chance(this.config.fieldedShare[member.role] ?? 0.5)) continue;
+                members.push(member);
+                power += this._getMemberPower(member);
+                fielded++;
+            } else if (sectId === this.sectSystem.sectState.currentSect && member.id === 'player') {
+                // The player always takes the field
+                power += this.powerCalculator ? this.powerCalculator.calculatePlayerPower() : (member.power || 0);
+                fielded++;
+            }
+        }
+
+        const facilities = this._getFacilityEffects(sect);
+        const typeBonus = this.sectSystem.sectTypes[sect.type]?.bonuses?.[this.config.typeBonuses[side.role]] || 0;
+        const allyAid = this._getAllyAid(war, sectId);
+        const lowStrength = this.config.morale.lowStrength;
+        const moraleFactor = lowStrength + (1 - lowStrength) * side.morale / 100;
+
+        return {
+            sectId: sectId,
+            fielded: fielded,
+            members: members,
+            allyAid: allyAid,
+            effort: side.effort,
+            strength: (power * (1 + facilities.strength + typeBonus) + side.effort + allyAid) * moraleFactor
+        };
+    }
+
+    /**
+     * Wound and kill fielded disciples after a round
+     * @param {Object} war - Active war
+     * @param {Object} force - Force that fought
+     * @param {boolean} won - Whether the force won the round
+     * @param {number} intensity - Phase intensity
+     * @param {number} margin - Winner's share of the combined rolls (0.5 - 1)
+     * @returns {Object} Losses ({ wounded, killed })
+     */
+    _inflictCasualties(war, force, won, intensity, margin) {
+        const sect = this.sectSystem.sectRegistry.get(force.sectId);
+        const side = war.campaign.sides[force.sectId];
+        const casualtyConfig = this.config.casualties;
+        const facilities = this._getFacilityEffects(sect);
+        const losses = { wounded: [], killed: [] };
+
+        // A lopsided defeat costs more than a narrow one
+        const baseRate = won ? casualtyConfig.winnerRate : casualtyConfig.loserRate * margin * 2;
+        const rate = baseRate * intensity * Math.max(0, 1 - facilities.casualties);
+        const count = Math.min(force.members.length, Math.round(force.members.length * rate));
+        if (count === 0) {
+            return losses;
+        }
+
+        const recoveryRounds = Math.max(1, Math.round(casualtyConfig.woundedRounds * Math.max(0, 1 - facilities.recovery)));
+        for (const member of this.rng.shuffle([...force.members]).slice(0, count)) {
+            // A sect master can be struck down but not slain
+            if (member.role !== 'sect_master' && this.rng.chance(casualtyConfig.deathChance)) {
+                losses.killed.push({ id: member.id, name: member.name, role: member.role });
+            } else {
+                side.wounded[member.id] = war.campaign.round + recoveryRounds + 1;
+                losses.wounded.push({ id: member.id, name: member.name, role: member.role });
+            }
+        }
+
+        side.casualties.wounded += losses.wounded.length;
+        side.casualties.killed += losses.killed.length;
+        this.statistics.disciplesLost += losses.killed.length;
+
+        for (const fallen of losses.killed) {
+            delete side.wounded[fallen.id];
+        }
+
+        this.eventManager.emit('sectWar:casualties', {
+            warId: war.id,
+            sectId: sect.id,
+            wounded: losses.wounded,
+            killed: losses.killed
+        });
+
+        return losses;
+    }
+
+    /**
+     * End a war with terms; reparations are paid from the loser's treasury
+     * @param {Object} war - Active war
+     * @param {Object} outcome - { type: victory|surrender|peace, reason, winnerId }
+     * @param {number} time - When the war ended
+     * @returns {Object} Terms of the settlement
+     */
+    _endWar(war, outcome, time = Date.now()) {
+        const campaign = war.campaign;
+        campaign.ended = true;
+
+        const winnerId = outcome.winnerId || null;
+        const loserId = winnerId ? (winnerId === war.aggressorSectId ? war.defenderSectId : war.aggressorSectId) : null;
+        const terms = {
+            warId: war.id,
+            type: outcome.type,
+            reparations: {},
+            expiresAt: time + this.config.terms.truceDuration
+        };
+
+        const share = this.config.terms.reparationsShare[outcome.type] || 0;
+        if (winnerId && share > 0) {
+            const winner = this.sectSystem.sectRegistry.get(winnerId);
+            const loser = this.sectSystem.sectRegistry.get(loserId);
+            const protectedShare = Math.min(1, this._getFacilityEffects(loser).reparations);
+            for (const resource of ['jade', 'spiritCrystals']) {
+                const amount = Math.floor((loser.treasury[resource] || 0) * share * (1 - protectedShare));
+                if (amount <= 0) continue;
+                loser.treasury[resource] -= amount;
+                winner.treasury[resource] = (winner.treasury[resource] || 0) + amount;
+                terms.reparations[resource] = amount;
+            }
+        }
+
+        const report = this.warReports.get(war.id);
+        if (report) {
+            report.status = 'completed';
+            report.completedAt = time;
+            report.outcome = {
+                type: outcome.type,
+                reason: outcome.reason || outcome.type,
+                winnerId: winnerId,
+                loserId: loserId,
+                rounds: campaign.round,
+                scores: Object.fromEntries(Object.values(campaign.sides).map(side => [side.sectId, side.score])),
+                casualties: Object.fromEntries(Object.values(campaign.sides).map(side => [side.sectId, { ...side.casualties }])),
+                terms: terms
+            };
+        }
+
+        const winnerName = winnerId ? this.sectSystem.sectRegistry.get(winnerId)?.name : null;
+        const loserName = loserId ? this.sectSystem.sectRegistry.get(loserId)?.name : null;
+        const settlement = {
+            victory: `${winnerName} won the war against ${loserName}`,
+            surrender: `${loserName} surrendered to ${winnerName}`,
+            peace: 'Both sects agreed to peace'
+        }[outcome.type];
+        const reparations = Object.keys(terms.reparations).length > 0 ? `; reparations of ${this._formatResources(terms.reparations)}` : '';
+        this._addReportEntry(war, 'end', `${settlement}${reparations}`, time);
+
+        this.sectCompetition._completeWar(war.id, { type: outcome.type, winnerId: winnerId, terms: terms });
+
+        // Outside the player's own treaties, the truce is imposed directly
+        const playerSectId = this.sectSystem.sectState.currentSect;
+        if (outcome.type === 'victory' || (war.aggressorSectId !== playerSectId && war.defenderSectId !== playerSectId)) {
+            this._imposeTruce(war, terms);
+        }
+
+        this._notifyPlayer(war, 'War Ended', `${settlement}${reparations}`,
+            winnerId && winnerId === playerSectId ? 'success' : 'info');
+
+        this.eventManager.emit('sectWar:resolved', {
+            warId: war.id,
+            outcome: report ? report.outcome : { type: outcome.type, winnerId: winnerId, terms: terms }
+        });
+
+        console.log(`SectWarfare: War ${war.id} ended - ${settlement}`);
+        return terms;
+    }
+
+    /**
+     * Sign the truce that ends a war the player settled
+     * @param {string} enemySectId - Enemy sect ID
+     * @param {Object} terms - Settlement terms
+     */
+    async _signTruce(enemySectId, terms) {
+        const result = await this.sectCompetition.establishDiplomacy(enemySectId, 'non_aggression', terms);
+        if (!result.success) {
+            console.warn(`SectWarfare: Truce not signed: ${result.error}`);
+        }
+    }
+
+    /**
+     * Bind both sides of a decided war to a non-aggression pact until the truce expires
+     * @param {Object} war - Completed war
+     * @param {Object} terms - Settlement terms
+     */
+    _imposeTruce(war, terms) {
+        const competition = this.sectCompetition;
+        competition._setDiplomaticRelation(war.aggressorSectId, war.defenderSectId, 'non_aggression');
+
+        const relation = competition.competitionState.diplomacyRelations.get(competition._getDiplomaticKey(war.aggressorSectId, war.defenderSectId));
+        relation.terms = terms;
+        relation.status = 'active';
+        competition._saveState();
+    }
+
+    /**
+     * Winner of a war that ran to its last round: score, then morale, then the defender
+     * @param {Object} war - Active war
+     * @returns {string} Winning sect ID
+     */
+    _decideFinalWinner(war) {
+        const aggressor = war.campaign.sides[war.aggressorSectId];
+        const defender = war.campaign.sides[war.defenderSectId];
+
+        if (aggressor.score !== defender.score) {
+            return aggressor.score > defender.score ? aggressor.sectId : defender.sectId;
+        }
+        return aggressor.morale > defender.morale ? aggressor.sectId : defender.sectId;
+    }
+
+    /**
+     * Strength sent by sects bound to a side by mutual defence
+     * @param {Object} war - Active war
+     * @param {string} sectId - Side's sect ID
+     * @returns {number} Ally strength
+     */
+    _getAllyAid(war, sectId) {
+        const enemyId = sectId === war.aggressorSectId ? war.defenderSectId : war.aggressorSectId;
+        let aid = 0;
+
+        for (const relation of this.sectCompetition.competitionState.diplomacyRelations.values()) {
+            if (!window.DIPLOMACY_RELATIONS[relation.type]?.benefits?.defenseMutualAid) continue;
+            if (relation.sectA !== sectId && relation.sectB !== sectId) continue;
+
+            const allyId = relation.sectA === sectId ? relation.sectB : relation.sectA;
+            const ally = this.sectSystem.sectRegistry.get(allyId);
+            if (!ally || allyId === enemyId) continue;
+
+            for (const member of ally.members.values()) {
+                if (member.isNPC) {
+                    aid += this._getMemberPower(member) * this.config.allyAidShare;
+                }
+            }
+        }
+
+        return aid;
+    }
+
+    /**
+     * Combat power of an NPC disciple
+     * @param {Object} member - Disciple
+     * @returns {number} Power
+     */
+    _getMemberPower(member) {
+        if (!this.powerCalculator || member.cultivationLevel === undefined) {
+            return member.power || 0;
+        }
+
+        return this.powerCalculator.calculateTotalPower({
+            cultivation: {
+                qi: { level: Math.floor(member.cultivationLevel) },
+                body: { level: member.bodyLevel || 0 },
+                realm: member.realm,
+                stage: member.stage
+            },
+            equippedScriptures: [],
+            equipment: {}
+        }, { useCache: false });
+    }
+
+    /**
+     * War effects of a sect's facilities
+     * @param {Object} sect - Sect object
+     * @returns {Object} { strength, casualties, recovery, morale, reparations }
+     */
+    _getFacilityEffects(sect) {
+        const effects = { strength: 0, casualties: 0, recovery: 0, morale: 0, reparations: 0 };
+        if (!sect) {
+            return effects;
+        }
+
+        for (const facility of sect.facilities.values()) {
+            for (const [benefit, value] of Object.entries(facility.benefits || {})) {
+                const mapping = this.config.facilityEffects[benefit];
+                if (mapping && typeof value === 'number') {
+                    effects[mapping.effect] += value * mapping.weight;
+                }
+            }
+        }
+
+        return effects;
+    }
+
+    /**
+     * War phase at a point in time
+     * @param {Object} war - Active war
+     * @param {number} time - Time
+     * @returns {number} Phase index
+     */
+    _getPhaseIndex(war, time) {
+        let phaseEnd = war.startedAt;
+        for (let index = 0; index < war.phases.length; index++) {
+            phaseEnd += war.phases[index].duration;
+            if (time < phaseEnd) {
+                return index;
+            }
+        }
+        return war.phases.length - 1;
+    }
+
+    /**
+     * Check that the player can act in a war
+     * @param {string} warId - War ID
+     * @param {string} permission - Sect permission required, if any
+     * @returns {Object} { success, war, sect, side, enemySide } or an error
+     */
+    _getPlayerWarContext(warId, permission = null) {
+        const sect = this.sectSystem.getCurrentSect();
+        if (!sect) {
+            return this._error('Not a member of any sect', 'NOT_IN_SECT');
+        }
+
+        const war = this.sectCompetition.warfareState.activeWars.get(warId);
+        if (!war || !war.campaign || war.campaign.ended) {
+            return this._error('War is not being fought', 'WAR_NOT_ACTIVE');
+        }
+
+        const side = war.campaign.sides[sect.id];
+        if (!side) {
+            return this._error('Your sect is not fighting this war', 'NOT_A_BELLIGERENT');
+        }
+
+        if (permission && !this.sectManager._checkPermission(permission)) {
+            return this._error('Insufficient permissions to negotiate for the sect', 'NO_PERMISSION');
+        }
+
+        const enemyId = sect.id === war.aggressorSectId ? war.defenderSectId : war.aggressorSectId;
+        return {
+            success: true,
+            war: war,
+            sect: sect,
+            side: side,
+            enemySide: war.campaign.sides[enemyId]
+        };
+    }
+
+    /**
+     * Status of an active war for display
+     * @param {Object} war - Active war with a campaign
+     * @returns {Object} War status
+     */
+    _buildStatus(war) {
+        const campaign = war.campaign;
+        const playerSectId = this.sectSystem.sectState.currentSect;
+        const phase = war.phases[war.currentPhase] || war.phases[0];
+        const report = this.warReports.get(war.id);
+
+        return {
+            warId: war.id,
+            status: campaign.ended ? 'completed' : 'active',
+            aggressor: this._describeSect(war.aggressorSectId),
+            defender: this._describeSect(war.defenderSectId),
+            reason: war.reason,
+            stakes: war.stakes || [],
+            phase: phase ? phase.name : null,
+            round: campaign.round,
+            maxRounds: campaign.maxRounds,
+            nextRoundAt: campaign.nextRoundAt,
+            isPlayerWar: Boolean(campaign.sides[playerSectId]),
+            sides: Object.values(campaign.sides).map(side => ({
+                sectId: side.sectId,
+                name: this.sectSystem.sectRegistry.get(side.sectId)?.name || side.sectId,
+                role: side.role,
+                morale: Math.round(side.morale),
+                score: side.score,
+                effort: side.effort,
+                totalEffort: side.totalEffort,
+                wounded: Object.values(side.wounded).filter(until => until > campaign.round).length,
+                casualties: { ...side.casualties },
+                isPlayerSect: side.sectId === playerSectId
+            })),
+            lastRound: report && report.rounds.length > 0 ? report.rounds[report.rounds.length - 1] : null
+        };
+    }
+
+    _describeSect(sectId, fallbackName = null) {
+        const sect = this.sectSystem.sectRegistry.get(sectId);
+        return { id: sectId, name: sect ? sect.name : (fallbackName || 'Unknown Sect') };
+    }
+
+    _addReportEntry(war, type, message, time = Date.now()) {
+        const report = this.warReports.get(war.id);
+        if (report) {
+            report.log.push({ time: time, round: war.campaign ? war.campaign.round : 0, type: type, message: message });
+        }
+    }
+
+    _notifyPlayer(war, title, message, type) {
+        const playerSectId = this.sectSystem.sectState.currentSect;
+        if ((war.aggressorSectId !== playerSectId && war.defenderSectId !== playerSectId) ||
+            this.gameState.get('settings.notifications') === false) {
+            return;
+        }
+
+        this.eventManager.emit('ui:notification', {
+            type: type,
+            title: title,
+            message: message,
+            duration: 4000
+        });
+    }
+
+    _saveReports() {
+        // Finished reports beyond the limit are dropped oldest first
+        const finished = Array.from(this.warReports.values())
+            .filter(report => report.status === 'completed')
+            .sort((a, b) => b.completedAt - a.completedAt);
+        for (const report of finished.slice(this.config.maxReports)) {
+            this.warReports.delete(report.warId);
+        }
+
+        this.gameState.set('sectWarReports', {
+            reports: Array.from(this.warReports.entries()),
+            statistics: { ...this.statistics }
+        }, { source: 'SectWarfare' });
+    }
+
+    _getPlayerName() {
+        return this.gameState.get('player.name') || 'You';
+    }
+
+    _formatResources(resources) {
+        const labels = { jade: 'jade', spiritCrystals: 'spirit crystals' };
+        return Object.entries(resources)
+            .map(([resource, amount]) => `${amount.toLocaleString()} ${labels[resource] || resource}`)
+            .join(' and ');
+    }
+
+    _clampMorale(morale) {
+        return Math.max(0, Math.min(100, Math.round(morale * 10) / 10));
+    }
+
+    _error(message, code) {
+        return { success: false, error: message, code: code };
+    }
+}
+
+// Export for ES6 modules and global usage
+if (typeof module !== 'undefined' && module.exports) {
+    module.exports = { SectWarfare };
+} else if (typeof window !== 'undefined') {
+    window.SectWarfare = SectWarfare;
+}
@@ -6,6 +6,7 @@ class ShopManager {
     constructor(gameState, eventManager) {
         this.gameState = gameState;
         this.eventManager = eventManager;
+        this.rng = randomManager.getStream('shop');
 
         // Shop categories
         this.shops = {
@@ -311,17 +312,18 @@ class ShopManager {
     /**
      * Refresh a shop's inventory
      * @param {string} shopId - Shop identifier
+     * @param {number} now - Refresh time (defaults to the current time)
      * @returns {Object} Refresh result
      */
-    refreshShopInventory(shopId) {
+    refreshShopInventory(shopId, now = Date.now()) {
         const shop = this.shops[shopId];
         if (!shop) {
             return { success: false, reason: 'shop_not_found' };
         }
 
-        const newItems = this.generateShopInventory(shop);
+        const newItems = shop.event ? this._stockEventShop(shop) : this.generateShopInventory(shop);
         shop.items = newItems;
-        shop.lastRefresh = Date.now();
+        shop.lastRefresh = now;
 
         this.eventManager.emit('shop:inventory_refreshed', {
             shopId: shopId,
@@ -337,6 +339,69 @@ class ShopManager {
         };
     }
 
+    /**
+     * Open a limited-time shop with a fixed item rotation
+     * Stock bought earlier in the same event is kept, so reopening after a reload does not restock
+     * @param {Object} eventShop - { id, name, description, eventId, currency, items, startsAt, endsAt }
+     * @returns {Object} Shop data
+     */
+    openEventShop(eventShop) {
+        const now = Date.now();
+        const saved = this.gameState.get(`shop.shops.${eventShop.id}`);
+        const resumed = saved && saved.lastRefresh >= eventShop.startsAt;
+        const lastRefresh = resumed ? saved.lastRefresh : now;
+
+        const shop = {
+            id: eventShop.id,
+            name: eventShop.name,
+            description: eventShop.description || '',
+            refreshInterval: Math.max(0, eventShop.endsAt - lastRefresh), // Next "refresh" is the event closing
+            maxItems: eventShop.items.length,
+            items: resumed ? saved.items || [] : [],
+            lastRefresh: lastRefresh,
+            event: {
+                eventId: eventShop.eventId,
+                currency: eventShop.currency,
+                templates: eventShop.items,
+                endsAt: eventShop.endsAt
+            }
+        };
+
+        this.shops[shop.id] = shop;
+        if (!resumed) {
+            this._stockEventShop(shop);
+        }
+
+        this.eventManager.emit('shop:opened', {
+            shopId: shop.id,
+            eventId: eventShop.eventId,
+            endsAt: eventShop.endsAt
+        });
+
+        console.log(`ShopManager: Opened ${shop.name} until ${new Date(eventShop.endsAt).toISOString()}`);
+        return shop;
+    }
+
+    /**
+     * Close a limited-time shop and forget its stock
+     * @param {string} shopId - Shop identifier
+     * @returns {boolean} Whether a shop was closed
+     */
+    closeEventShop(shopId) {
+        const shop = this.shops[shopId];
+        if (!shop || !shop.event) {
+            return false;
+        }
+
+        delete this.shops[shopId];
+        this.gameState.set(`shop.shops.${shopId}`, null, { source: 'shop:save' });
+
+        this.eventManager.emit('shop:closed', { shopId, eventId: shop.event.eventId });
+
+        console.log(`ShopManager: Closed ${shop.name}`);
+        return true;
+    }
+
     /**
      * Get shop inventory
      * @param {string} shopId - Shop identifier
@@ -412,7 +477,7 @@ class ShopManager {
      */
     generateShopInventory(shop) {
         const items = [];
-        const itemCount = Math.floor(shop.maxItems * (0.7 + Math.random() * 0.3));
+        const itemCount = Math.floor(shop.maxItems * (0.7 + this.rng.random() * 0.3));
 
         for (let i = 0; i < itemCount; i++) {
             const item = this.generateShopItem(shop.id);
@@ -433,15 +498,15 @@ class ShopManager {
         const itemTemplates = this.getItemTemplates(shopId);
         if (itemTemplates.length === 0) return null;
 
-        const template = itemTemplates[Math.floor(Math.random() * itemTemplates.length)];
+        const template = this.rng.pick(itemTemplates);
         const item = { ...template };
 
         // Add unique ID and stock
-        item.id = `${shopId}_${Date.now()}_${Math.random().toString(36).substr(2, 9)}`;
+        item.id = `${shopId}_${Date.now()}_${randomManager.random('ids').toString(36).substr(2, 9)}`;
         item.stock = this.generateStock(item);
 
         // Add price variation (±20%)
-        const priceVariation = 0.8 + (Math.random() * 0.4);
+        const priceVariation = 0.8 + (this.rng.random() * 0.4);
         if (item.prices) {
             Object.keys(item.prices).forEach(currency => {
                 item.prices[currency] = Math.floor(item.prices[currency] * priceVariation);
@@ -450,7 +515,7 @@ class ShopManager {
 
         // Add quality variation for equipment
         if (item.type === 'equipment') {
-            const qualityRoll = Math.random();
+            const qualityRoll = this.rng.random();
             if (qualityRoll > 0.9) {
                 item.quality = 'superior';
                 item.name = `Superior ${item.name}`;
@@ -505,6 +570,22 @@ class ShopManager {
                     prices: { spiritCrystals: 15 },
                     value: 15,
                     effect: { healOverTime: 50, duration: 10000 }
+                },
+                {
+                    name: 'Minor Time Talisman',
+                    type: 'speedup',
+                    speedUpId: 'minor_time_talisman',
+                    description: 'Shortens a running job by 5 minutes',
+                    prices: { spiritCrystals: 30 },
+                    value: 30
+                },
+                {
+                    name: 'Time Talisman',
+                    type: 'speedup',
+                    speedUpId: 'time_talisman',
+                    description: 'Shortens a running job by 30 minutes',
+                    prices: { spiritCrystals: 150 },
+                    value: 150
                 }
             ],
             scripture: [
@@ -602,7 +683,12 @@ class ShopManager {
             ]
         };
 
-        return templates[shopId] || [];
+        // Content pack items name the shop that stocks them
+        const packItems = typeof contentPackLoader !== 'undefined'
+            ? contentPackLoader.getAll('items').filter(item => item.shop === shopId)
+            : [];
+
+        return [...(templates[shopId] || []), ...packItems];
     }
 
     /**
@@ -612,13 +698,15 @@ class ShopManager {
      */
     generateStock(item) {
         if (item.type === 'material') {
-            return Math.floor(5 + Math.random() * 20); // 5-25
+            return Math.floor(5 + this.rng.random() * 20); // 5-25
         } else if (item.type === 'consumable') {
-            return Math.floor(3 + Math.random() * 12); // 3-15
+            return Math.floor(3 + this.rng.random() * 12); // 3-15
         } else if (item.type === 'scripture') {
-            return Math.floor(1 + Math.random() * 3); // 1-3
+            return Math.floor(1 + this.rng.random() * 3); // 1-3
         } else if (item.type === 'equipment') {
-            return Math.floor(1 + Math.random() * 5); // 1-5
+            return Math.floor(1 + this.rng.random() * 5); // 1-5
+        } else if (item.type === 'speedup') {
+            return Math.floor(1 + this.rng.random() * 3); // 1-3
         }
 
         return 1;
@@ -630,6 +718,10 @@ class ShopManager {
      * @returns {boolean} Should refresh
      */
     shouldRefreshShop(shop) {
+        if (shop.event) {
+            return false; // Event rotations are stocked once per event
+        }
+
         const timeSinceRefresh = Date.now() - (shop.lastRefresh || 0);
         return timeSinceRefresh >= shop.refreshInterval;
     }
@@ -637,10 +729,15 @@ class ShopManager {
     /**
      * Check if player can manually refresh a shop
      * @param {Object} shop - Shop data
+     * @param {number} now - Time to check at (defaults to the current time)
      * @returns {boolean} Can refresh
      */
-    canManuallyRefresh(shop) {
-        const timeSinceRefresh = Date.now() - (shop.lastRefresh || 0);
+    canManuallyRefresh(shop, now = Date.now()) {
+        if (shop.event) {
+            return false;
+        }
+
+        const timeSinceRefresh = now - (shop.lastRefresh || 0);
         return timeSinceRefresh >= (shop.refreshInterval * 0.5); // Can refresh at 50% of normal interval
     }
 
@@ -701,6 +798,13 @@ class ShopManager {
             shards: this.gameState.get('player.shards') || 0
         };
 
+        // Event shops price in event currencies held by the EventCalendar
+        Object.keys(price).forEach(currency => {
+            if (this._isEventCurrency(currency)) {
+                playerCurrencies[currency] = window.eventCalendar.getCurrencyBalance(currency);
+            }
+        });
+
         const missing = {};
         let canAfford = true;
 
@@ -735,8 +839,14 @@ class ShopManager {
             if (currency === 'total' || currency === 'originalTotal' || currency === 'discount' || currency === 'savings') return;
 
             const amount = (payment[currency] || 0) * multiplier;
-            if (amount !== 0) {
-                this.gameState.increment(`player.${currency}`, amount);
+            if (amount === 0) {
+                return;
+            }
+
+            if (this._isEventCurrency(currency)) {
+                window.eventCalendar.adjustCurrency(currency, amount);
+            } else {
+                this.gameState.increment(`player.${currency}`, amount, { source: deduct ? 'shop:purchase' : 'shop:sale' });
             }
         });
     }
@@ -766,6 +876,11 @@ class ShopManager {
         } else if (item.type === 'equipment') {
             // Add to equipment storage
             this.eventManager.emit('equipment:item_added', { item: item, quantity: quantity });
+        } else if (item.type === 'speedup') {
+            // Speed-up items are kept by the job scheduler
+            if (typeof jobScheduler !== 'undefined') {
+                jobScheduler.addSpeedUpItems(item.speedUpId, quantity);
+            }
         }
     }
 
@@ -896,6 +1011,30 @@ class ShopManager {
         }
     }
 
+    /**
+     * Fill an event shop with one of every item in its rotation
+     * @param {Object} shop - Event shop data
+     * @returns {Array} Stocked items
+     */
+    _stockEventShop(shop) {
+        shop.items = shop.event.templates.map((template, index) => ({
+            ...template,
+            prices: { ...template.prices },
+            id: `${shop.id}_${index}`,
+            stock: template.stock || this.generateStock(template)
+        }));
+        return shop.items;
+    }
+
+    /**
+     * Check whether a price currency belongs to a running event
+     * @param {string} currency - Currency key
+     * @returns {boolean} Is an event currency
+     */
+    _isEventCurrency(currency) {
+        return !!(window.eventCalendar && window.eventCalendar.isEventCurrency(currency));
+    }
+
     /**
      * Save shop data to game state
      */
@@ -7,6 +7,7 @@ class SkillGachaIntegration {
         this.gameState = gameState;
         this.eventManager = eventManager;
         this.skillSystem = skillSystem;
+        this.rng = randomManager.getStream('skillGacha');
 
         // Fragment drop rates and mechanics
         this.fragmentDropRates = {
@@ -206,7 +207,7 @@ class SkillGachaIntegration {
             }
 
             // Check if fragments drop
-            if (Math.random() > dropChance) {
+            if (this.rng.random() > dropChance) {
                 return { fragments: 0, skillFragments: [] };
             }
 
@@ -333,7 +334,7 @@ class SkillGachaIntegration {
 
         // Roll for fragment count
         const fragmentCount = Math.floor(
-            Math.random() * (pool.fragmentCount.max - pool.fragmentCount.min + 1)
+            this.rng.random() * (pool.fragmentCount.max - pool.fragmentCount.min + 1)
         ) + pool.fragmentCount.min;
 
         // Generate specific skill fragments of that rarity
@@ -353,7 +354,7 @@ class SkillGachaIntegration {
      * @returns {string} Selected rarity
      */
     _rollRarity(rates) {
-        const roll = Math.random();
+        const roll = this.rng.random();
         let cumulative = 0;
 
         const rarities = ['common', 'uncommon', 'rare', 'epic', 'legendary', 'transcendent'];
@@ -385,7 +386,7 @@ class SkillGachaIntegration {
         }
 
         for (let i = 0; i < count; i++) {
-            const randomSkill = availableSkills[Math.floor(Math.random() * availableSkills.length)];
+            const randomSkill = this.rng.pick(availableSkills);
             skillFragments.push({
                 skillId: randomSkill.id,
                 skillName: randomSkill.name,
@@ -408,7 +409,7 @@ class SkillGachaIntegration {
         }
 
         return Object.values(window.SkillData.SKILL_DEFINITIONS)
-            .filter(skill => skill.rarity === rarity);
+            .filter(skill => skill.rarity === rarity && !skill.evolvedFrom); // Evolved forms never drop
     }
 
     /**
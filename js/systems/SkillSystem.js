@@ -236,6 +236,8 @@ class SkillSystem {
                 this.eventManager.emit('skillSystem:loadoutChanged', {
                     oldLoadout: result.oldLoadout,
                     newLoadout: result.newLoadout,
+                    synergiesGained: result.synergiesGained,
+                    synergiesLost: result.synergiesLost,
                     statistics: this.statistics
                 });
 
@@ -266,6 +268,68 @@ class SkillSystem {
         };
     }
 
+    /**
+     * Evolve a skill into one of its evolution targets
+     * @param {string} skillId - ID of the skill to evolve
+     * @param {string} targetSkillId - ID of the evolved skill
+     * @param {Object} context - Evolution context
+     * @returns {Object} Result of evolution operation
+     */
+    async evolveSkill(skillId, targetSkillId, context = {}) {
+        if (!this.systemState.isInitialized) {
+            throw new Error('SkillSystem not initialized');
+        }
+
+        const oldLoadout = this.skillManager.getCurrentLoadout();
+        const result = await this.skillManager.evolveSkill(skillId, targetSkillId, context);
+
+        if (result.success) {
+            this.systemState.effectsVersion++;
+            this._saveStatistics();
+
+            if (result.evolution.inLoadout) {
+                this._calculateSkillEffects();
+                this.eventManager.emit('skillSystem:loadoutChanged', {
+                    oldLoadout,
+                    newLoadout: this.skillManager.getCurrentLoadout(),
+                    statistics: this.statistics
+                });
+            }
+        }
+
+        return result;
+    }
+
+    /**
+     * @returns {SkillManager} The skill manager
+     */
+    getSkillManager() {
+        return this.skillManager;
+    }
+
+    /**
+     * @returns {string[]} Skill IDs in the current loadout
+     */
+    getCurrentLoadout() {
+        return this.skillManager.getCurrentLoadout();
+    }
+
+    /**
+     * @param {string} skillId - ID of the skill
+     * @returns {boolean} Whether the skill is in the loadout
+     */
+    isSkillInLoadout(skillId) {
+        return this.skillManager.isSkillInLoadout(skillId);
+    }
+
+    /**
+     * Status of every synergy, active or not
+     * @returns {Array} Synergy progress from the skill manager
+     */
+    getSynergyProgress() {
+        return this.skillManager.getSynergyProgress();
+    }
+
     /**
      * Check if skill system is ready
      * @returns {boolean} Whether the system is initialized and active
@@ -323,7 +387,10 @@ class SkillSystem {
 
         // Listen for system events that might affect skill effects
         this.eventManager.on('cultivation:levelUp', this._onCultivationLevelUp.bind(this));
-        this.eventManager.on('combat:victory', this._onCombatVictory.bind(this));
+        this.eventManager.on('combat:ended', this._onCombatEnded.bind(this));
+
+        // Progress toward evolution conditions
+        this.eventManager.on('sectActivity:completed', this._onSectActivityCompleted.bind(this));
 
         console.log('SkillSystem: Event listeners setup complete');
     }
@@ -335,7 +402,8 @@ class SkillSystem {
         this.eventManager.off('gameState:loaded', this._onGameStateLoaded.bind(this));
         this.eventManager.off('gameState:reset', this._onGameStateReset.bind(this));
         this.eventManager.off('cultivation:levelUp', this._onCultivationLevelUp.bind(this));
-        this.eventManager.off('combat:victory', this._onCombatVictory.bind(this));
+        this.eventManager.off('combat:ended', this._onCombatEnded.bind(this));
+        this.eventManager.off('sectActivity:completed', this._onSectActivityCompleted.bind(this));
     }
 
     /**
@@ -415,126 +483,28 @@ class SkillSystem {
     }
 
     /**
-     * Calculate synergies between skills in loadout
+     * Resolve synergies of the loadout and add their effects to the loadout effects
      * @param {string[]} loadout - Current skill loadout
      */
     _calculateSynergies(loadout) {
         this.activeEffects.synergies.clear();
 
-        if (!this.skillManager.skillSynergies || loadout.length < 2) {
-            return;
-        }
-
         try {
-            // Check each synergy definition
-            for (const [synergyId, synergyData] of Object.entries(this.skillManager.skillSynergies)) {
-                const requiredSkills = synergyData.requiredSkills || [];
-
-                // Check if all required skills are in loadout
-                const hasAllSkills = requiredSkills.every(skillId => loadout.includes(skillId));
-
-                if (!hasAllSkills) {
-                    continue;
-                }
-
-                // Check minimum level requirements
-                const meetsLevelRequirements = this._checkSynergyLevelRequirements(synergyData, requiredSkills);
-
-                if (!meetsLevelRequirements) {
-                    continue;
-                }
-
-                // Calculate synergy strength based on skill levels
-                const synergyStrength = this._calculateSynergyStrength(synergyData, requiredSkills);
-
-                // Apply synergy effects
-                const synergyEffects = this._applySynergyMultiplier(synergyData.effects, synergyStrength);
+            const synergies = this.skillManager.resolveSynergies(loadout);
 
-                this.activeEffects.synergies.set(synergyId, {
-                    ...synergyData,
-                    strength: synergyStrength,
-                    effects: synergyEffects,
-                    activeSkills: requiredSkills.filter(skillId => loadout.includes(skillId))
-                });
-
-                console.log(`SkillSystem: Activated synergy '${synergyData.name}' with strength ${synergyStrength.toFixed(2)}`);
+            for (const synergy of synergies) {
+                this.activeEffects.synergies.set(synergy.id, synergy);
+                this._mergeSkillEffects(synergy.effects);
             }
 
+            // Level ups can complete a synergy without a loadout change
+            this.skillManager.recordSynergyUnlocks(synergies);
+
         } catch (error) {
             console.error('SkillSystem: Synergy calculation failed:', error);
         }
     }
 
-    /**
-     * Check if synergy level requirements are met
-     * @param {Object} synergyData - Synergy definition
-     * @param {string[]} requiredSkills - Required skill IDs
-     * @returns {boolean} Whether level requirements are met
-     */
-    _checkSynergyLevelRequirements(synergyData, requiredSkills) {
-        if (!synergyData.minLevels) {
-            return true;
-        }
-
-        for (const skillId of requiredSkills) {
-            const requiredLevel = synergyData.minLevels[skillId] || 1;
-            const actualLevel = this.skillManager._getSkillLevel(skillId);
-
-            if (actualLevel < requiredLevel) {
-                return false;
-            }
-        }
-
-        return true;
-    }
-
-    /**
-     * Calculate synergy strength based on skill levels
-     * @param {Object} synergyData - Synergy definition
-     * @param {string[]} requiredSkills - Required skill IDs
-     * @returns {number} Synergy strength multiplier
-     */
-    _calculateSynergyStrength(synergyData, requiredSkills) {
-        let totalLevels = 0;
-        let maxPossibleLevels = 0;
-
-        for (const skillId of requiredSkills) {
-            const skillLevel = this.skillManager._getSkillLevel(skillId);
-            const skillDef = this.skillManager.skillDefinitions.get(skillId);
-
-            totalLevels += skillLevel;
-            maxPossibleLevels += skillDef ? skillDef.maxLevel : 10;
-        }
-
-        // Base strength is 1.0, with bonus based on skill levels
-        const levelRatio = totalLevels / maxPossibleLevels;
-        return 1.0 + (levelRatio * 0.5); // Up to 50% bonus at max levels
-    }
-
-    /**
-     * Apply synergy strength multiplier to effects
-     * @param {Object} effects - Base synergy effects
-     * @param {number} strength - Synergy strength multiplier
-     * @returns {Object} Scaled synergy effects
-     */
-    _applySynergyMultiplier(effects, strength) {
-        const scaledEffects = {};
-
-        for (const [category, categoryEffects] of Object.entries(effects)) {
-            scaledEffects[category] = {};
-
-            for (const [effectType, value] of Object.entries(categoryEffects)) {
-                if (typeof value === 'number') {
-                    scaledEffects[category][effectType] = value * strength;
-                } else {
-                    scaledEffects[category][effectType] = value;
-                }
-            }
-        }
-
-        return scaledEffects;
-    }
-
     /**
      * Process any pending loadout changes
      */
@@ -604,11 +574,23 @@ class SkillSystem {
     }
 
     /**
-     * Handle combat victory event
+     * Handle combat ended event - victories count toward evolution conditions
+     */
+    _onCombatEnded(event) {
+        const data = event.data || {};
+        if (data.result === 'victory') {
+            this.skillManager.recordEvolutionProgress('combatWins');
+        }
+    }
+
+    /**
+     * Handle sect activity completion - group meditations count toward evolution conditions
      */
-    _onCombatVictory(data) {
-        // Skills might provide rewards or effects on combat victory
-        // This will be expanded when skill data is available
+    _onSectActivityCompleted(event) {
+        const data = event.data || {};
+        if (data.instance && data.instance.activityId === 'group_meditation') {
+            this.skillManager.recordEvolutionProgress('meditations');
+        }
     }
 }
 
@@ -6,9 +6,17 @@ class SoulSystem {
     constructor(gameState, eventManager) {
         this.gameState = gameState;
         this.eventManager = eventManager;
+        this.rng = randomManager.getStream('soul');
+
+        // Idle time shorter than a minute, carried into the next processIdleGains call
+        this.idleCarryMs = 0;
+
+        // Tempering and refining run as jobs on the shared scheduler
+        this.scheduler = jobScheduler;
 
         // Initialize soul system state
         this.initializeState();
+        this.registerJobHandlers();
 
         console.log('SoulSystem: Initialized');
     }
@@ -32,14 +40,30 @@ class SoulSystem {
                     stars: {},
                     connections: {}
                 },
-                tempering: null,
-                refining: null,
                 resources: {},
                 unlocked: false
             });
         }
     }
 
+    /**
+     * Let the scheduler finish tempering and refining, taking over timers from saves made before it existed
+     */
+    registerJobHandlers() {
+        this.scheduler.registerHandler('soul.tempering', {
+            label: 'Soul tempering',
+            complete: job => this.completeTempering(job),
+            describe: (job, result) => `Soul purity is now ${result.newPurity.toFixed(2)}`
+        });
+        this.scheduler.registerHandler('soul.refining', {
+            label: 'Soul refining',
+            complete: job => this.completeRefining(job),
+            describe: (job, result) => `Soul density is now ${result.newDensity.toFixed(2)}`
+        });
+        this.scheduler.adoptTimer('soul.tempering', 'soul', 'tempering');
+        this.scheduler.adoptTimer('soul.refining', 'soul', 'refining');
+    }
+
     /**
      * Unlock the soul system (typically at Core Formation realm)
      */
@@ -77,6 +101,11 @@ class SoulSystem {
     startTempering() {
         const soul = this.gameState.get('soul');
 
+        if (this.scheduler.isBusy('soul.tempering')) {
+            console.warn(`SoulSystem: Soul tempering already in progress`);
+            return false;
+        }
+
         const requirements = this.getTemperingRequirements();
 
         if (!this.hasRequiredResources(requirements)) {
@@ -87,13 +116,10 @@ class SoulSystem {
         // Consume resources
         this.consumeResources(requirements);
 
-        soul.tempering = {
-            startTime: Date.now(),
-            duration: this.getTemperingDuration(),
-            targetPurity: soul.essence.purity + 0.1 + Math.random() * 0.1
-        };
+        this.scheduler.schedule('soul.tempering', {
+            targetPurity: soul.essence.purity + 0.1 + this.rng.random() * 0.1
+        }, this.getTemperingDuration());
 
-        this.gameState.set('soul', soul);
         this.eventManager.emit('soulTemperingStarted');
 
         console.log(`SoulSystem: Started soul tempering`);
@@ -101,29 +127,17 @@ class SoulSystem {
     }
 
     /**
-     * Complete soul tempering
+     * Complete soul tempering; run by the scheduler when the job is due
+     * @param {Object} job - Finished 'soul.tempering' job
      */
-    completeTempering() {
+    completeTempering(job) {
         const soul = this.gameState.get('soul');
-
-        if (!soul.tempering) {
-            return null;
-        }
-
-        const { startTime, duration, targetPurity } = soul.tempering;
-        const now = Date.now();
-
-        if (now - startTime < duration) {
-            return null; // Tempering not complete
-        }
+        const { targetPurity } = job.data;
 
         // Apply tempering effects
         soul.essence.purity = targetPurity;
         soul.essence.maximum = Math.floor(soul.essence.maximum * 1.1); // 10% capacity increase
 
-        // Clear tempering
-        soul.tempering = null;
-
         this.gameState.set('soul', soul);
         this.eventManager.emit('soulTemperingCompleted', { newPurity: targetPurity });
 
@@ -142,6 +156,11 @@ class SoulSystem {
             return false;
         }
 
+        if (this.scheduler.isBusy('soul.refining')) {
+            console.warn(`SoulSystem: Soul refining already in progress`);
+            return false;
+        }
+
         const requirements = this.getRefiningRequirements();
 
         if (!this.hasRequiredResources(requirements)) {
@@ -153,13 +172,11 @@ class SoulSystem {
         this.consumeResources(requirements);
         soul.essence.current = Math.floor(soul.essence.current * 0.7); // Lose 30% essence
 
-        soul.refining = {
-            startTime: Date.now(),
-            duration: this.getRefiningDuration(),
-            targetDensity: soul.essence.density + 0.2 + Math.random() * 0.2
-        };
-
         this.gameState.set('soul', soul);
+        this.scheduler.schedule('soul.refining', {
+            targetDensity: soul.essence.density + 0.2 + this.rng.random() * 0.2
+        }, this.getRefiningDuration());
+
         this.eventManager.emit('soulRefiningStarted');
 
         console.log(`SoulSystem: Started soul refining`);
@@ -167,28 +184,16 @@ class SoulSystem {
     }
 
     /**
-     * Complete soul refining
+     * Complete soul refining; run by the scheduler when the job is due
+     * @param {Object} job - Finished 'soul.refining' job
      */
-    completeRefining() {
+    completeRefining(job) {
         const soul = this.gameState.get('soul');
-
-        if (!soul.refining) {
-            return null;
-        }
-
-        const { startTime, duration, targetDensity } = soul.refining;
-        const now = Date.now();
-
-        if (now - startTime < duration) {
-            return null; // Refining not complete
-        }
+        const { targetDensity } = job.data;
 
         // Apply refining effects
         soul.essence.density = targetDensity;
 
-        // Clear refining
-        soul.refining = null;
-
         this.gameState.set('soul', soul);
         this.eventManager.emit('soulRefiningCompleted', { newDensity: targetDensity });
 
@@ -629,7 +634,10 @@ class SoulSystem {
             }
         };
 
-        return constellationsData[constellationId] || null;
+        // Stars stay built-in; content packs may only add or replace constellations
+        return typeof contentPackLoader !== 'undefined'
+            ? contentPackLoader.lookup('constellations', constellationId, constellationsData[constellationId])
+            : constellationsData[constellationId] || null;
     }
 
     /**
@@ -679,17 +687,17 @@ class SoulSystem {
      */
     getSystemStatus() {
         const soul = this.gameState.get('soul');
+        const tempering = this.scheduler.findJob('soul.tempering');
+        const refining = this.scheduler.findJob('soul.refining');
 
         return {
             unlocked: this.isUnlocked(),
             totalPower: this.getSoulPower(),
             essence: soul?.essence || {},
-            temperingInProgress: !!soul?.tempering,
-            temperingTimeRemaining: soul?.tempering ?
-                Math.max(0, (soul.tempering.startTime + soul.tempering.duration) - Date.now()) : 0,
-            refiningInProgress: !!soul?.refining,
-            refiningTimeRemaining: soul?.refining ?
-                Math.max(0, (soul.refining.startTime + soul.refining.duration) - Date.now()) : 0,
+            temperingInProgress: !!tempering,
+            temperingTimeRemaining: this.scheduler.getRemaining(tempering),
+            refiningInProgress: !!refining,
+            refiningTimeRemaining: this.scheduler.getRemaining(refining),
             activeConstellation: soul?.constellation?.active || null,
             unlockedConstellations: soul?.constellation?.unlocked?.length || 0,
             activeStars: Object.values(soul?.constellation?.stars || {}).filter(star => star.active).length,
@@ -699,51 +707,41 @@ class SoulSystem {
     }
 
     /**
-     * Process soul-related idle gains
+     * Timers that finish on their own, so offline simulation can stop at each one
+     * @returns {Array<Object>} [{ type, endsAt }]
      */
-    processIdleGains(timeElapsed) {
-        const soul = this.gameState.get('soul');
-
-        // Check tempering completion
-        if (soul?.tempering) {
-            const tempering = soul.tempering;
-            const temperingEndTime = tempering.startTime + tempering.duration;
-            const now = Date.now();
-
-            if (now >= temperingEndTime) {
-                const result = this.completeTempering();
-                if (result) {
-                    console.log(`SoulSystem: Auto-completed soul tempering during idle time`);
-                }
-            }
-        }
+    getIdleTimers() {
+        return this.scheduler.getTimers({ owner: 'soul' });
+    }
 
-        // Check refining completion
-        if (soul?.refining) {
-            const refining = soul.refining;
-            const refiningEndTime = refining.startTime + refining.duration;
-            const now = Date.now();
-
-            if (now >= refiningEndTime) {
-                const result = this.completeRefining();
-                if (result) {
-                    console.log(`SoulSystem: Auto-completed soul refining during idle time`);
-                }
-            }
-        }
+    /**
+     * Process idle time, finishing any job that ended by `now`
+     * @param {number} timeElapsed - Length of the idle period in milliseconds
+     * @param {number} now - End of the idle period (defaults to the current time)
+     * @returns {Object} Idle report { completed, gains }
+     */
+    processIdleGains(timeElapsed, now = Date.now()) {
+        const report = this.scheduler.processIdleJobs('soul', now);
 
-        // Passive soul essence generation
+        // Passive soul essence generation, 1 per minute * purity; partial minutes carry over between calls
+        const soul = this.gameState.get('soul');
         if (soul?.essence && this.isUnlocked()) {
-            const passiveGain = Math.floor(timeElapsed / 60000) * soul.essence.purity; // 1 per minute * purity
+            const elapsed = timeElapsed + this.idleCarryMs;
+            this.idleCarryMs = elapsed % 60000;
+
+            const passiveGain = Math.floor(elapsed / 60000) * soul.essence.purity;
             const maxGain = soul.essence.maximum - soul.essence.current;
             const actualGain = Math.min(passiveGain, maxGain);
 
             if (actualGain > 0) {
                 soul.essence.current += actualGain;
                 this.gameState.set('soul', soul);
+                report.gains.soulEssence = actualGain;
                 console.log(`SoulSystem: Generated ${actualGain} soul essence during idle time`);
             }
         }
+
+        return report;
     }
 }
 
@@ -399,6 +399,26 @@ class TechniqueManager {
         return true;
     }
 
+    /**
+     * Forget all techniques except the starting one when the cultivator reincarnates
+     */
+    resetForReincarnation() {
+        if (this.techniqueState.active) {
+            this.deactivateTechnique(this.techniqueState.active);
+        }
+
+        this.techniqueState.unlocked = new Set();
+        this.techniqueState.active = null;
+        this.techniqueState.mastery = new Map();
+        this.techniqueState.effects = new Map();
+        this.techniqueState.resources = { qi: 0, spiritStones: 0 };
+        this.discoveryProgress = new Map();
+        this.learningProgress = new Map();
+
+        this._initializeBasicTechniques();
+        this.saveState();
+    }
+
     /**
      * Save technique state to game state
      */
@@ -9,6 +9,7 @@ class TournamentSystem {
         this.combatSystem = combatSystem;
         this.powerCalculator = powerCalculator;
         this.rankingSystem = rankingSystem;
+        this.rng = randomManager.getStream('tournament');
 
         // Tournament configuration
         this.config = window.TOURNAMENT_CONFIG || {
@@ -34,6 +35,33 @@ class TournamentSystem {
                     name: 'Single Elimination',
                     description: 'One loss eliminates the participant',
                     allowedParticipants: [8, 16, 32, 64, 128, 256]
+                },
+                DOUBLE_ELIMINATION: {
+                    id: 'double_elimination',
+                    name: 'Double Elimination',
+                    description: 'Participants must lose twice to be eliminated',
+                    allowedParticipants: [8, 16, 32, 64],
+                    grandFinalReset: true
+                },
+                ROUND_ROBIN: {
+                    id: 'round_robin',
+                    name: 'Round Robin',
+                    description: 'Everyone fights everyone else in their group',
+                    allowedParticipants: [4, 6, 8, 12, 16],
+                    groupSize: 4,
+                    advancePerGroup: 2,
+                    pointsPerWin: 3,
+                    tieBreakers: ['headToHead', 'sonnebornBerger']
+                },
+                SWISS: {
+                    id: 'swiss',
+                    name: 'Swiss System',
+                    description: 'Fighters with equal scores are paired each round',
+                    allowedParticipants: [8, 16, 32, 64],
+                    rounds: null,
+                    pointsPerWin: 1,
+                    pointsPerBye: 1,
+                    tieBreakers: ['buchholz', 'sonnebornBerger']
                 }
             }
         };
@@ -97,6 +125,15 @@ class TournamentSystem {
                 this.tournamentHistory = savedHistory;
             }
 
+            // Restore tournaments that were running when the game was saved
+            const savedTournaments = this.gameState.get('activeTournaments') || [];
+            for (const tournament of savedTournaments) {
+                this.activeTournaments.set(tournament.id, tournament);
+                if (tournament.state === 'in_progress') {
+                    this._resumeTournament(tournament);
+                }
+            }
+
             // Set up event listeners
             this._setupEventListeners();
 
@@ -145,6 +182,13 @@ class TournamentSystem {
             ...options
         };
 
+        if (!this.config.BRACKETS[config.bracketType.toUpperCase()]) {
+            return {
+                success: false,
+                reason: 'invalid_bracket_type'
+            };
+        }
+
         // Create tournament instance
         const tournamentId = this._generateTournamentId(type);
         const tournament = this._createTournamentInstance(tournamentId, tournamentType, config);
@@ -223,10 +267,10 @@ class TournamentSystem {
         if (tournament.config.entryRequirement.entryCost) {
             const cost = tournament.config.entryRequirement.entryCost;
             if (cost.jade) {
-                this.gameState.increment('player.jade', -cost.jade);
+                this.gameState.increment('player.jade', -cost.jade, { source: 'tournament:entry' });
             }
             if (cost.spiritCrystals) {
-                this.gameState.increment('player.spiritCrystals', -cost.spiritCrystals);
+                this.gameState.increment('player.spiritCrystals', -cost.spiritCrystals, { source: 'tournament:entry' });
             }
         }
 
@@ -394,8 +438,9 @@ class TournamentSystem {
      */
     _setupEventListeners() {
         // Handle combat results for tournament matches
-        this.eventManager.on('combat:ended', (data) => {
-            this._handleTournamentMatchResult(data);
+        // Listeners get the EventManager envelope; the combat payload is in .data
+        this.eventManager.on('combat:ended', (event) => {
+            this._handleTournamentMatchResult(event.data);
         });
 
         // Save data on game state save
@@ -496,7 +541,7 @@ class TournamentSystem {
         for (let i = 0; i < slotsToFill; i++) {
             // Generate AI opponent with power similar to player
             const powerVariance = 0.4; // ±40% of player power
-            const aiPower = playerPower * (0.6 + Math.random() * 0.8);
+            const aiPower = playerPower * (0.6 + this.rng.random() * 0.8);
 
             const aiParticipant = this._generateAIParticipant(i, aiPower);
             tournament.participants.push(aiParticipant);
@@ -548,8 +593,8 @@ class TournamentSystem {
 
         // Generate cultivation stats based on target power
         const avgLevel = Math.sqrt(targetPower / 10);
-        const qiLevel = Math.floor(avgLevel * (0.8 + Math.random() * 0.4));
-        const bodyLevel = Math.floor(avgLevel * (0.8 + Math.random() * 0.4));
+        const qiLevel = Math.floor(avgLevel * (0.8 + this.rng.random() * 0.4));
+        const bodyLevel = Math.floor(avgLevel * (0.8 + this.rng.random() * 0.4));
 
         return {
             id: `ai_${index}_${Date.now()}`,
@@ -704,54 +749,428 @@ class TournamentSystem {
     }
 
     /**
-     * Generate tournament bracket
+     * Pick a restored tournament back up: combats don't survive a reload, so unfinished
+     * matches of the current round are played again
+     * @param {Object} tournament - Tournament instance
+     */
+    _resumeTournament(tournament) {
+        const matches = tournament.bracket.rounds[tournament.currentRound - 1] || [];
+
+        setTimeout(() => {
+            for (const match of matches) {
+                if (!match.completed) {
+                    match.combatId = null;
+                    this._playMatch(tournament, match);
+                }
+            }
+            this._checkRoundCompletion(tournament);
+        }, 5000);
+
+        console.log(`TournamentSystem: Resumed tournament ${tournament.id} at round ${tournament.currentRound}`);
+    }
+
+    /**
+     * Generate tournament bracket and its first round
+     * Matches refer to participants by ID, so a bracket saves and loads as plain data
      * @param {Object} tournament - Tournament instance
      */
     _generateBracket(tournament) {
-        const participants = [...tournament.participants];
+        const format = this._getBracketConfig(tournament).id;
+
+        // Seed by power, strongest first
+        const seeded = [...tournament.participants].sort((a, b) => b.power - a.power);
+        seeded.forEach((participant, index) => {
+            participant.seed = index + 1;
+        });
 
-        // Shuffle participants for random seeding
-        for (let i = participants.length - 1; i > 0; i--) {
-            const j = Math.floor(Math.random() * (i + 1));
-            [participants[i], participants[j]] = [participants[j], participants[i]];
+        tournament.bracket = {
+            format: format,
+            seeds: seeded.map(participant => participant.id),
+            rounds: [],
+            groups: null,
+            playoffSeeds: null,
+            championId: null,
+            nextMatchId: 1
+        };
+
+        let firstRound;
+        switch (format) {
+            case 'double_elimination':
+                firstRound = this._createEliminationRound(tournament, tournament.bracket.seeds, 'winners');
+                break;
+            case 'round_robin':
+                this._createGroups(tournament);
+                firstRound = this._createGroupRound(tournament, 0);
+                break;
+            case 'swiss':
+                firstRound = this._createSwissRound(tournament);
+                break;
+            default:
+                firstRound = this._createEliminationRound(tournament, tournament.bracket.seeds, 'main');
         }
 
-        // Calculate rounds needed
-        tournament.totalRounds = Math.ceil(Math.log2(participants.length));
+        tournament.bracket.rounds.push(firstRound);
+        tournament.totalRounds = this._estimateTotalRounds(tournament);
+    }
 
-        // Create bracket structure
-        tournament.bracket = {
-            participants: participants,
-            rounds: []
+    /**
+     * Create a match for the round being generated
+     * @param {Object} tournament - Tournament instance
+     * @param {string} participant1 - Participant ID
+     * @param {string|null} participant2 - Participant ID, null for a bye
+     * @param {string} stage - main, winners, losers, grand_final, grand_final_reset, group, playoff or swiss
+     * @param {string|null} group - Round robin group ID
+     * @returns {Object} Match
+     */
+    _createMatch(tournament, participant1, participant2, stage, group = null) {
+        const bracket = tournament.bracket;
+
+        return {
+            id: `match_${bracket.nextMatchId++}`,
+            round: bracket.rounds.length + 1,
+            stage: stage,
+            group: group,
+            participant1: participant1,
+            participant2: participant2,
+            winner: participant2 ? null : participant1,
+            loser: null,
+            completed: !participant2,
+            bye: !participant2,
+            combatId: null,
+            isPlayerMatch: false
         };
+    }
+
+    /**
+     * First knockout round; the top seeds get byes until the field is a power of two
+     * @param {Object} tournament - Tournament instance
+     * @param {Array} seeds - Participant IDs, best seed first
+     * @param {string} stage - Bracket stage
+     * @returns {Array} Matches
+     */
+    _createEliminationRound(tournament, seeds, stage) {
+        const size = Math.pow(2, Math.ceil(Math.log2(Math.max(2, seeds.length))));
+        const order = this._getBracketOrder(size);
+        const matches = [];
+
+        for (let i = 0; i < order.length; i += 2) {
+            const first = seeds[order[i] - 1] || null;
+            const second = seeds[order[i + 1] - 1] || null;
+            matches.push(this._createMatch(tournament, first || second, first ? second : null, stage));
+        }
+
+        return matches;
+    }
+
+    /**
+     * Seed numbers in bracket position order, so the top seeds meet as late as possible (1 v 8, 4 v 5, 2 v 7, 3 v 6)
+     * @param {number} size - Bracket size, a power of two
+     * @returns {Array} Seed numbers
+     */
+    _getBracketOrder(size) {
+        let order = [1];
+        while (order.length < size) {
+            const total = order.length * 2 + 1;
+            order = order.flatMap(seed => [seed, total - seed]);
+        }
+        return order;
+    }
+
+    /**
+     * Pair the winners of a knockout stage's latest round in bracket order
+     * @param {Object} tournament - Tournament instance
+     * @param {string} stage - Bracket stage
+     * @returns {Array} Matches, empty once the stage has a champion
+     */
+    _advanceEliminationRound(tournament, stage) {
+        const winners = this._getLastStageRound(tournament, stage).map(match => match.winner);
+        const matches = [];
+        if (winners.length < 2) {
+            return matches;
+        }
+
+        for (let i = 0; i < winners.length; i += 2) {
+            matches.push(this._createMatch(tournament, winners[i], winners[i + 1] || null, stage));
+        }
+
+        return matches;
+    }
+
+    /**
+     * Next double elimination round: the winners bracket plays on while everyone with one loss
+     * fights in the losers bracket, and the two bracket champions meet in the grand final
+     * @param {Object} tournament - Tournament instance
+     * @returns {Array} Matches, empty once a champion is decided
+     */
+    _advanceDoubleElimination(tournament) {
+        const bracketConfig = this._getBracketConfig(tournament);
+        const stats = this._calculateStats(tournament);
+        const alive = tournament.bracket.seeds.filter(id => stats.get(id).losses < 2);
+        const unbeaten = alive.filter(id => stats.get(id).losses === 0);
+        const oneLoss = alive.filter(id => stats.get(id).losses === 1);
+
+        if (alive.length < 2) {
+            return [];
+        }
+
+        if (unbeaten.length === 1 && oneLoss.length === 1) {
+            return [this._createMatch(tournament, unbeaten[0], oneLoss[0], 'grand_final')];
+        }
+
+        // The losers bracket champion took the grand final, handing the winners bracket champion a first loss
+        if (unbeaten.length === 0 && oneLoss.length === 2) {
+            if (!bracketConfig.grandFinalReset) {
+                return [];
+            }
+            const grandFinal = this._getLastStageRound(tournament, 'grand_final')[0];
+            return [this._createMatch(tournament, grandFinal.winner, grandFinal.loser, 'grand_final_reset')];
+        }
+
+        const matches = unbeaten.length > 1 ? this._advanceEliminationRound(tournament, 'winners') : [];
+
+        if (oneLoss.length > 1) {
+            const pool = [...oneLoss];
+
+            // Odd fields give the best seed with the fewest losers bracket byes a rest
+            if (pool.length % 2 === 1) {
+                const byeCounts = this._calculateStats(tournament, match => match.stage === 'losers');
+                const byeId = pool.reduce((best, id) => byeCounts.get(id).byes < byeCounts.get(best).byes ? id : best);
+                pool.splice(pool.indexOf(byeId), 1);
+                matches.push(this._createMatch(tournament, byeId, null, 'losers'));
+            }
+
+            for (let i = 0; i < pool.length / 2; i++) {
+                matches.push(this._createMatch(tournament, pool[i], pool[pool.length - 1 - i], 'losers'));
+            }
+        }
+
+        return matches;
+    }
 
-        // Generate round 1 matches
-        const round1Matches = [];
-        for (let i = 0; i < participants.length; i += 2) {
-            if (i + 1 < participants.length) {
-                round1Matches.push({
-                    participant1: participants[i],
-                    participant2: participants[i + 1],
-                    winner: null,
-                    completed: false
-                });
-            } else {
-                // Bye (advance automatically)
-                round1Matches.push({
-                    participant1: participants[i],
-                    participant2: null,
-                    winner: participants[i],
-                    completed: true,
-                    bye: true
-                });
+    /**
+     * Split the seeds into round robin groups and schedule each group
+     * @param {Object} tournament - Tournament instance
+     */
+    _createGroups(tournament) {
+        const bracketConfig = this._getBracketConfig(tournament);
+        const seeds = tournament.bracket.seeds;
+        const groupCount = Math.max(1, Math.ceil(seeds.length / (bracketConfig.groupSize || seeds.length)));
+
+        const groups = Array.from({ length: groupCount }, (_, index) => {
+            const id = String.fromCharCode(65 + index);
+            return { id: id, name: `Group ${id}`, members: [], schedule: [] };
+        });
+
+        // Snake seeding keeps the groups even: A B C C B A A B C ...
+        seeds.forEach((id, index) => {
+            const position = index % groupCount;
+            const forward = Math.floor(index / groupCount) % 2 === 0;
+            groups[forward ? position : groupCount - 1 - position].members.push(id);
+        });
+
+        for (const group of groups) {
+            group.schedule = this._createRoundRobinSchedule(group.members);
+        }
+
+        tournament.bracket.groups = groups;
+    }
+
+    /**
+     * Circle method schedule: every member meets every other once, sitting out a round when the group is odd
+     * @param {Array} members - Participant IDs
+     * @returns {Array} Rounds of [participant1, participant2] pairs
+     */
+    _createRoundRobinSchedule(members) {
+        const slots = members.length % 2 === 0 ? [...members] : [...members, null];
+        const rounds = [];
+
+        for (let round = 0; round < slots.length - 1; round++) {
+            const pairs = [];
+            for (let i = 0; i < slots.length / 2; i++) {
+                const first = slots[i];
+                const second = slots[slots.length - 1 - i];
+                if (first && second) {
+                    pairs.push([first, second]);
+                }
+            }
+            rounds.push(pairs);
+
+            // The first slot stays put while the rest rotate
+            slots.splice(1, 0, slots.pop());
+        }
+
+        return rounds;
+    }
+
+    /**
+     * Matches of one group stage round across every group
+     * @param {Object} tournament - Tournament instance
+     * @param {number} index - Group stage round index
+     * @returns {Array} Matches
+     */
+    _createGroupRound(tournament, index) {
+        const matches = [];
+
+        for (const group of tournament.bracket.groups) {
+            for (const [first, second] of group.schedule[index] || []) {
+                matches.push(this._createMatch(tournament, first, second, 'group', group.id));
+            }
+        }
+
+        return matches;
+    }
+
+    /**
+     * Next round robin round: the group stage, then a knockout playoff when there are several groups
+     * @param {Object} tournament - Tournament instance
+     * @returns {Array} Matches, empty once a champion is decided
+     */
+    _advanceRoundRobin(tournament) {
+        const bracket = tournament.bracket;
+        const groupRounds = Math.max(...bracket.groups.map(group => group.schedule.length));
+        const groupRoundsPlayed = bracket.rounds.filter(round => round.some(match => match.stage === 'group')).length;
+
+        if (groupRoundsPlayed < groupRounds) {
+            return this._createGroupRound(tournament, groupRoundsPlayed);
+        }
+
+        if (bracket.groups.length === 1) {
+            return [];
+        }
+
+        if (!bracket.playoffSeeds) {
+            bracket.playoffSeeds = this._getPlayoffSeeds(tournament);
+            for (const participant of tournament.participants) {
+                participant.isEliminated = !bracket.playoffSeeds.includes(participant.id);
             }
+            return this._createEliminationRound(tournament, bracket.playoffSeeds, 'playoff');
         }
 
-        tournament.bracket.rounds.push(round1Matches);
+        return this._advanceEliminationRound(tournament, 'playoff');
+    }
 
-        // Generate remaining rounds (empty for now)
-        for (let round = 2; round <= tournament.totalRounds; round++) {
-            tournament.bracket.rounds.push([]);
+    /**
+     * Group qualifiers for the playoff: every group winner, then every runner-up, and so on
+     * @param {Object} tournament - Tournament instance
+     * @returns {Array} Participant IDs, best seed first
+     */
+    _getPlayoffSeeds(tournament) {
+        const bracketConfig = this._getBracketConfig(tournament);
+        const stats = this._calculateStats(tournament, match => match.stage === 'group');
+        const tieBreakers = bracketConfig.tieBreakers || [];
+        const groupOrders = tournament.bracket.groups.map(group =>
+            this._rankParticipants(tournament, group.members, stats, tieBreakers));
+
+        const seeds = [];
+        for (let place = 0; place < (bracketConfig.advancePerGroup || 1); place++) {
+            const placed = groupOrders.map(order => order[place]).filter(Boolean);
+            seeds.push(...this._rankParticipants(tournament, placed, stats, tieBreakers));
+        }
+
+        return seeds;
+    }
+
+    /**
+     * Pair a Swiss round: fighters on equal scores meet, nobody meets the same opponent twice while another is free
+     * @param {Object} tournament - Tournament instance
+     * @returns {Array} Matches
+     */
+    _createSwissRound(tournament) {
+        const bracketConfig = this._getBracketConfig(tournament);
+        const stats = this._calculateStats(tournament);
+        const pool = this._rankParticipants(tournament, tournament.bracket.seeds, stats, bracketConfig.tieBreakers || []);
+        const hasMet = (first, second) => stats.get(first).opponents.includes(second);
+
+        // The lowest-ranked fighter who has not had a bye sits the round out, moving up if that leaves only rematches
+        let byeCandidates = [null];
+        if (pool.length % 2 === 1) {
+            const lowestFirst = [...pool].reverse();
+            byeCandidates = [
+                ...lowestFirst.filter(id => stats.get(id).byes === 0),
+                ...lowestFirst.filter(id => stats.get(id).byes > 0)
+            ];
+        }
+
+        let pairing = null;
+        let byeId = null;
+        for (const candidate of byeCandidates) {
+            pairing = this._pairSwissPool(pool.filter(id => id !== candidate), hasMet);
+            if (pairing) {
+                byeId = candidate;
+                break;
+            }
+        }
+
+        // Only when every pairing repeats a match is a rematch allowed
+        if (!pairing) {
+            byeId = byeCandidates[0];
+            pairing = this._pairSwissPool(pool.filter(id => id !== byeId), () => false);
+        }
+
+        const matches = pairing.map(([first, second]) => this._createMatch(tournament, first, second, 'swiss'));
+        if (byeId) {
+            matches.push(this._createMatch(tournament, byeId, null, 'swiss'));
+        }
+
+        return matches;
+    }
+
+    /**
+     * Pair a ranked pool top down, backtracking over earlier pairings to avoid rematches
+     * @param {Array} pool - Participant IDs, best first; even length
+     * @param {Function} hasMet - (first, second) => whether they already fought
+     * @returns {Array|null} [first, second] pairs, or null if every pairing has a rematch
+     */
+    _pairSwissPool(pool, hasMet) {
+        if (pool.length === 0) {
+            return [];
+        }
+
+        const [first, ...rest] = pool;
+        for (let i = 0; i < rest.length; i++) {
+            if (hasMet(first, rest[i])) {
+                continue;
+            }
+            const remaining = this._pairSwissPool(rest.filter((_, index) => index !== i), hasMet);
+            if (remaining) {
+                return [[first, rest[i]], ...remaining];
+            }
+        }
+
+        return null;
+    }
+
+    _advanceSwiss(tournament) {
+        return tournament.bracket.rounds.length >= this._getSwissRounds(tournament) ? [] : this._createSwissRound(tournament);
+    }
+
+    _getSwissRounds(tournament) {
+        return this._getBracketConfig(tournament).rounds || Math.ceil(Math.log2(Math.max(2, tournament.bracket.seeds.length)));
+    }
+
+    /**
+     * Rounds a bracket is expected to take; double elimination can run a round longer or shorter
+     * @param {Object} tournament - Tournament instance
+     * @returns {number} Round count
+     */
+    _estimateTotalRounds(tournament) {
+        const bracket = tournament.bracket;
+        const knockoutRounds = count => Math.ceil(Math.log2(Math.max(2, count)));
+
+        switch (bracket.format) {
+            case 'double_elimination':
+                return knockoutRounds(bracket.seeds.length) * 2 + 1;
+            case 'round_robin': {
+                const advancePerGroup = this._getBracketConfig(tournament).advancePerGroup || 1;
+                const groupRounds = Math.max(...bracket.groups.map(group => group.schedule.length));
+                const qualifiers = bracket.groups.length > 1 ?
+                    bracket.groups.reduce((sum, group) => sum + Math.min(group.members.length, advancePerGroup), 0) : 0;
+                return groupRounds + (qualifiers > 1 ? knockoutRounds(qualifiers) : 0);
+            }
+            case 'swiss':
+                return this._getSwissRounds(tournament);
+            default:
+                return knockoutRounds(bracket.seeds.length);
         }
     }
 
@@ -765,29 +1184,39 @@ class TournamentSystem {
 
         const matches = tournament.bracket.rounds[roundNumber - 1];
 
-        // Process matches
+        this.eventManager.emit('tournament:round_started', {
+            tournamentId: tournament.id,
+            round: roundNumber,
+            matches: matches.length,
+            stages: [...new Set(matches.map(match => match.stage))]
+        });
+
         for (const match of matches) {
-            if (match.bye) {
-                continue; // Skip bye matches
+            if (!match.completed) {
+                this._playMatch(tournament, match);
             }
+        }
 
-            if (match.participant1.id === 'player' || match.participant2.id === 'player') {
-                // Player match - start combat
-                const opponent = match.participant1.id === 'player' ? match.participant2 : match.participant1;
-                this._startTournamentMatch(tournament, match, opponent);
-            } else {
-                // AI vs AI - simulate result
-                setTimeout(() => {
+        // A round made up only of byes has nothing to wait for
+        this._checkRoundCompletion(tournament);
+    }
+
+    /**
+     * Start a match: the player fights it, AI pairings are simulated after a short delay
+     * @param {Object} tournament - Tournament instance
+     * @param {Object} match - Match data
+     */
+    _playMatch(tournament, match) {
+        if (match.participant1 === 'player' || match.participant2 === 'player') {
+            const opponentId = match.participant1 === 'player' ? match.participant2 : match.participant1;
+            this._startTournamentMatch(tournament, match, this._getParticipant(tournament, opponentId));
+        } else {
+            setTimeout(() => {
+                if (tournament.state === 'in_progress' && !match.completed) {
                     this._simulateAIMatch(tournament, match);
-                }, 1000 + Math.random() * 3000); // 1-4 second delay
-            }
+                }
+            }, 1000 + Math.random() * 3000); // 1-4 second delay
         }
-
-        this.eventManager.emit('tournament:round_started', {
-            tournamentId: tournament.id,
-            round: roundNumber,
-            matches: matches.length
-        });
     }
 
     /**
@@ -801,6 +1230,16 @@ class TournamentSystem {
         match.combatId = null;
         match.isPlayerMatch = true;
 
+        // The next round can be drawn while the previous fight is still wrapping up
+        if (this.combatSystem.getCurrentCombat()) {
+            setTimeout(() => {
+                if (tournament.state === 'in_progress' && !match.completed) {
+                    this._startTournamentMatch(tournament, match, opponent);
+                }
+            }, 2000);
+            return;
+        }
+
         // Convert opponent to combat format
         const combatOpponent = {
             id: opponent.id,
@@ -827,11 +1266,12 @@ class TournamentSystem {
                 tournamentId: tournament.id,
                 combatId: combatResult.combatId,
                 opponent: opponent,
-                round: tournament.currentRound
+                round: tournament.currentRound,
+                stage: match.stage
             });
         } else {
             // Combat failed to start - player loses by default
-            this._completeTournamentMatch(tournament, match, opponent);
+            this._completeTournamentMatch(tournament, match, opponent.id);
         }
     }
 
@@ -841,17 +1281,16 @@ class TournamentSystem {
      * @param {Object} match - Match data
      */
     _simulateAIMatch(tournament, match) {
-        const participant1 = match.participant1;
-        const participant2 = match.participant2;
+        const participant1 = this._getParticipant(tournament, match.participant1);
+        const participant2 = this._getParticipant(tournament, match.participant2);
 
         // Calculate win probability based on power difference
         const powerRatio = participant1.power / participant2.power;
         const winProbability = 1 / (1 + Math.pow(2, -(powerRatio - 1) * 5));
 
-        const winner = Math.random() < winProbability ? participant1 : participant2;
-        const loser = winner === participant1 ? participant2 : participant1;
+        const winner = this.rng.random() < winProbability ? participant1 : participant2;
 
-        this._completeTournamentMatch(tournament, match, winner);
+        this._completeTournamentMatch(tournament, match, winner.id);
     }
 
     /**
@@ -867,7 +1306,7 @@ class TournamentSystem {
             if (t.state === 'in_progress') {
                 const currentRoundMatches = t.bracket.rounds[t.currentRound - 1];
                 for (const m of currentRoundMatches) {
-                    if (m.combatId === combatData.combatId) {
+                    if (m.combatId && m.combatId === combatData.combatId) {
                         tournament = t;
                         match = m;
                         break;
@@ -877,21 +1316,15 @@ class TournamentSystem {
             }
         }
 
-        if (!tournament || !match) {
+        if (!tournament || !match || match.completed) {
             return; // Not a tournament match
         }
 
         // Determine winner
-        let winner, loser;
-        if (combatData.result === 'victory') {
-            winner = match.participant1.id === 'player' ? match.participant1 : match.participant2;
-            loser = match.participant1.id === 'player' ? match.participant2 : match.participant1;
-        } else {
-            winner = match.participant1.id === 'player' ? match.participant2 : match.participant1;
-            loser = match.participant1.id === 'player' ? match.participant1 : match.participant2;
-        }
+        const opponentId = match.participant1 === 'player' ? match.participant2 : match.participant1;
+        const winnerId = combatData.result === 'victory' ? 'player' : opponentId;
 
-        this._completeTournamentMatch(tournament, match, winner);
+        this._completeTournamentMatch(tournament, match, winnerId);
 
         // Update player tournament stats
         if (combatData.result === 'victory') {
@@ -905,26 +1338,27 @@ class TournamentSystem {
      * Complete tournament match
      * @param {Object} tournament - Tournament instance
      * @param {Object} match - Match data
-     * @param {Object} winner - Match winner
+     * @param {string} winnerId - Match winner's participant ID
      */
-    _completeTournamentMatch(tournament, match, winner) {
-        match.winner = winner;
+    _completeTournamentMatch(tournament, match, winnerId) {
+        match.winner = winnerId;
+        match.loser = match.participant1 === winnerId ? match.participant2 : match.participant1;
         match.completed = true;
 
-        const loser = match.participant1 === winner ? match.participant2 : match.participant1;
-
         // Update participant records
+        const winner = this._getParticipant(tournament, winnerId);
+        const loser = this._getParticipant(tournament, match.loser);
         winner.wins++;
-        if (loser) {
-            loser.losses++;
-            loser.isEliminated = true;
-        }
+        loser.losses++;
+        loser.isEliminated = this._isEliminated(tournament, loser.id);
 
         this.eventManager.emit('tournament:match_completed', {
             tournamentId: tournament.id,
             match: match,
             winner: winner,
-            round: tournament.currentRound
+            loser: loser,
+            round: tournament.currentRound,
+            stage: match.stage
         });
 
         // Check if round is complete
@@ -936,6 +1370,10 @@ class TournamentSystem {
      * @param {Object} tournament - Tournament instance
      */
     _checkRoundCompletion(tournament) {
+        if (tournament.state !== 'in_progress') {
+            return;
+        }
+
         const currentRoundMatches = tournament.bracket.rounds[tournament.currentRound - 1];
         const completedMatches = currentRoundMatches.filter(m => m.completed);
 
@@ -955,53 +1393,46 @@ class TournamentSystem {
         this.eventManager.emit('tournament:round_completed', {
             tournamentId: tournament.id,
             round: tournament.currentRound,
-            results: currentRoundMatches
+            results: currentRoundMatches,
+            standings: this._getStandings(tournament).standings
         });
 
-        if (tournament.currentRound >= tournament.totalRounds) {
+        if (this._generateNextRound(tournament)) {
+            this._startTournamentRound(tournament, tournament.currentRound + 1);
+        } else {
             // Tournament complete
             this._completeTournament(tournament);
-        } else {
-            // Generate next round
-            this._generateNextRound(tournament);
-            this._startTournamentRound(tournament, tournament.currentRound + 1);
         }
     }
 
     /**
-     * Generate next round matches
+     * Generate next round matches for the bracket format
      * @param {Object} tournament - Tournament instance
+     * @returns {boolean} Whether another round was generated
      */
     _generateNextRound(tournament) {
-        const currentRoundMatches = tournament.bracket.rounds[tournament.currentRound - 1];
-        const nextRoundIndex = tournament.currentRound;
-        const nextRoundMatches = [];
-
-        // Get winners from current round
-        const winners = currentRoundMatches.map(match => match.winner).filter(w => w !== null);
+        let matches;
+        switch (tournament.bracket.format) {
+            case 'double_elimination':
+                matches = this._advanceDoubleElimination(tournament);
+                break;
+            case 'round_robin':
+                matches = this._advanceRoundRobin(tournament);
+                break;
+            case 'swiss':
+                matches = this._advanceSwiss(tournament);
+                break;
+            default:
+                matches = this._advanceEliminationRound(tournament, 'main');
+        }
 
-        // Create next round matches
-        for (let i = 0; i < winners.length; i += 2) {
-            if (i + 1 < winners.length) {
-                nextRoundMatches.push({
-                    participant1: winners[i],
-                    participant2: winners[i + 1],
-                    winner: null,
-                    completed: false
-                });
-            } else {
-                // Bye (shouldn't happen in proper bracket)
-                nextRoundMatches.push({
-                    participant1: winners[i],
-                    participant2: null,
-                    winner: winners[i],
-                    completed: true,
-                    bye: true
-                });
-            }
+        if (matches.length === 0) {
+            return false;
         }
 
-        tournament.bracket.rounds[nextRoundIndex] = nextRoundMatches;
+        tournament.bracket.rounds.push(matches);
+        tournament.totalRounds = Math.max(tournament.totalRounds, tournament.bracket.rounds.length);
+        return true;
     }
 
     /**
@@ -1011,6 +1442,7 @@ class TournamentSystem {
     _completeTournament(tournament) {
         tournament.state = 'completed';
         tournament.endTime = Date.now();
+        tournament.totalRounds = tournament.bracket.rounds.length;
 
         // Determine final standings
         this._calculateFinalStandings(tournament);
@@ -1039,24 +1471,16 @@ class TournamentSystem {
      * @param {Object} tournament - Tournament instance
      */
     _calculateFinalStandings(tournament) {
-        const participants = tournament.participants;
+        tournament.bracket.championId = this._determineChampion(tournament);
 
-        // Sort by wins (descending), then by losses (ascending)
-        participants.sort((a, b) => {
-            if (a.wins !== b.wins) {
-                return b.wins - a.wins;
-            }
-            return a.losses - b.losses;
-        });
+        const { standings } = this._getStandings(tournament);
 
-        tournament.finalStandings = participants.map((participant, index) => ({
-            position: index + 1,
-            participant: participant,
-            wins: participant.wins,
-            losses: participant.losses
+        tournament.finalStandings = standings.map(standing => ({
+            ...standing,
+            participant: this._getParticipant(tournament, standing.participantId)
         }));
 
-        tournament.winner = participants[0];
+        tournament.winner = tournament.finalStandings[0].participant;
 
         // Update player best finish
         const playerStanding = tournament.finalStandings.find(s => s.participant.id === 'player');
@@ -1071,6 +1495,263 @@ class TournamentSystem {
         }
     }
 
+    /**
+     * Records of every participant from the completed matches
+     * @param {Object} tournament - Tournament instance
+     * @param {Function} filter - Only count matches passing this filter
+     * @returns {Map} Participant ID -> { wins, losses, byes, points, opponents, beaten, lastLossRound }
+     */
+    _calculateStats(tournament, filter = null) {
+        const bracketConfig = this._getBracketConfig(tournament);
+        const pointsPerWin = bracketConfig.pointsPerWin || 1;
+        const stats = new Map(tournament.bracket.seeds.map(id => [id, {
+            wins: 0,
+            losses: 0,
+            byes: 0,
+            points: 0,
+            opponents: [],
+            beaten: [],
+            lastLossRound: 0
+        }]));
+
+        for (const round of tournament.bracket.rounds) {
+            for (const match of round) {
+                if (!match.completed || (filter && !filter(match))) continue;
+
+                const winner = stats.get(match.winner);
+                if (match.bye) {
+                    winner.byes++;
+                    winner.points += bracketConfig.pointsPerBye || 0;
+                    continue;
+                }
+
+                const loser = stats.get(match.loser);
+                winner.wins++;
+                winner.points += pointsPerWin;
+                winner.opponents.push(match.loser);
+                winner.beaten.push(match.loser);
+                loser.losses++;
+                loser.opponents.push(match.winner);
+                loser.lastLossRound = match.round;
+            }
+        }
+
+        return stats;
+    }
+
+    /**
+     * Order participants by points, then the format's tie-breakers, then seed
+     * @param {Object} tournament - Tournament instance
+     * @param {Array} ids - Participant IDs
+     * @param {Map} stats - Records from _calculateStats
+     * @param {Array} tieBreakers - Tie-breaker names
+     * @returns {Array} Participant IDs, best first
+     */
+    _rankParticipants(tournament, ids, stats, tieBreakers = []) {
+        const seeds = tournament.bracket.seeds;
+        const scores = new Map(ids.map(id => [id, this._getTieBreakScores(id, ids, stats, tieBreakers)]));
+
+        return [...ids].sort((a, b) => {
+            const pointDiff = stats.get(b).points - stats.get(a).points;
+            if (pointDiff !== 0) return pointDiff;
+
+            for (const tieBreaker of tieBreakers) {
+                const diff = scores.get(b)[tieBreaker] - scores.get(a)[tieBreaker];
+                if (diff !== 0) return diff;
+            }
+
+            return seeds.indexOf(a) - seeds.indexOf(b);
+        });
+    }
+
+    /**
+     * Tie-breaker scores of a participant
+     * @param {string} id - Participant ID
+     * @param {Array} ids - Participants being ranked together
+     * @param {Map} stats - Records from _calculateStats
+     * @param {Array} tieBreakers - Tie-breaker names
+     * @returns {Object} Score per tie-breaker
+     */
+    _getTieBreakScores(id, ids, stats, tieBreakers) {
+        const record = stats.get(id);
+        const scores = {};
+
+        for (const tieBreaker of tieBreakers) {
+            switch (tieBreaker) {
+                case 'buchholz':
+                    // Strength of schedule: the points of every opponent faced
+                    scores.buchholz = record.opponents.reduce((sum, opponent) => sum + stats.get(opponent).points, 0);
+                    break;
+                case 'sonnebornBerger':
+                    // The points of every opponent beaten
+                    scores.sonnebornBerger = record.beaten.reduce((sum, opponent) => sum + stats.get(opponent).points, 0);
+                    break;
+                case 'headToHead':
+                    // Wins over the others level on points
+                    scores.headToHead = record.beaten.filter(opponent =>
+                        ids.includes(opponent) && stats.get(opponent).points === record.points).length;
+                    break;
+                default:
+                    scores[tieBreaker] = 0;
+            }
+        }
+
+        return scores;
+    }
+
+    /**
+     * Order knockout participants: the champion, those still in, then the latest to go out
+     * @param {Object} tournament - Tournament instance
+     * @param {Array} ids - Participant IDs
+     * @param {Map} stats - Records from _calculateStats
+     * @returns {Array} Participant IDs, best first
+     */
+    _rankEliminated(tournament, ids, stats) {
+        const { seeds, championId, format } = tournament.bracket;
+        const lives = format === 'double_elimination' ? 2 : 1;
+
+        return [...ids].sort((a, b) => {
+            if (a === championId || b === championId) {
+                return a === championId ? -1 : 1;
+            }
+
+            const aOut = stats.get(a).losses >= lives;
+            const bOut = stats.get(b).losses >= lives;
+            if (aOut !== bOut) return aOut ? 1 : -1;
+            if (aOut && stats.get(a).lastLossRound !== stats.get(b).lastLossRound) {
+                return stats.get(b).lastLossRound - stats.get(a).lastLossRound;
+            }
+            if (stats.get(a).wins !== stats.get(b).wins) {
+                return stats.get(b).wins - stats.get(a).wins;
+            }
+
+            return seeds.indexOf(a) - seeds.indexOf(b);
+        });
+    }
+
+    /**
+     * Current standings for the bracket format
+     * @param {Object} tournament - Tournament instance
+     * @returns {Object} { standings, groups } - groups only for round robin
+     */
+    _getStandings(tournament) {
+        if (!tournament.bracket) {
+            return { standings: [], groups: null };
+        }
+
+        const bracket = tournament.bracket;
+        const tieBreakers = this._getBracketConfig(tournament).tieBreakers || [];
+        const stats = this._calculateStats(tournament);
+        let order;
+        let groups = null;
+
+        if (bracket.format === 'swiss') {
+            order = this._rankParticipants(tournament, bracket.seeds, stats, tieBreakers);
+        } else if (bracket.format === 'round_robin') {
+            const groupStats = this._calculateStats(tournament, match => match.stage === 'group');
+            groups = bracket.groups.map(group => ({
+                id: group.id,
+                name: group.name,
+                standings: this._mapStandings(tournament,
+                    this._rankParticipants(tournament, group.members, groupStats, tieBreakers), groupStats, tieBreakers)
+            }));
+
+            // Playoff finishers first, then everyone else on their group record
+            const playoffSeeds = bracket.playoffSeeds || [];
+            const playoffStats = this._calculateStats(tournament, match => match.stage === 'playoff');
+            order = [
+                ...this._rankEliminated(tournament, playoffSeeds, playoffStats),
+                ...this._rankParticipants(tournament, bracket.seeds.filter(id => !playoffSeeds.includes(id)), groupStats, tieBreakers)
+            ];
+        } else {
+            order = this._rankEliminated(tournament, bracket.seeds, stats);
+        }
+
+        return {
+            standings: this._mapStandings(tournament, order, stats, tieBreakers),
+            groups: groups
+        };
+    }
+
+    _mapStandings(tournament, order, stats, tieBreakers) {
+        return order.map((id, index) => {
+            const participant = this._getParticipant(tournament, id);
+            const record = stats.get(id);
+
+            return {
+                position: index + 1,
+                participantId: id,
+                name: participant.name,
+                seed: participant.seed,
+                wins: record.wins,
+                losses: record.losses,
+                byes: record.byes,
+                points: record.points,
+                ...this._getTieBreakScores(id, order, stats, tieBreakers),
+                isEliminated: !!participant.isEliminated
+            };
+        });
+    }
+
+    /**
+     * Whether a participant is out of the tournament under its format
+     * @param {Object} tournament - Tournament instance
+     * @param {string} participantId - Participant ID
+     * @returns {boolean} Eliminated
+     */
+    _isEliminated(tournament, participantId) {
+        const bracket = tournament.bracket;
+
+        switch (bracket.format) {
+            case 'swiss':
+                return false;
+            case 'round_robin':
+                if (!bracket.playoffSeeds) return false;
+                return !bracket.playoffSeeds.includes(participantId) ||
+                    this._calculateStats(tournament, match => match.stage === 'playoff').get(participantId).losses > 0;
+            case 'double_elimination':
+                return this._calculateStats(tournament).get(participantId).losses >= 2;
+            default:
+                return this._calculateStats(tournament).get(participantId).losses >= 1;
+        }
+    }
+
+    /**
+     * Champion of a finished bracket: the winner of the deciding match, or the top of the table
+     * @param {Object} tournament - Tournament instance
+     * @returns {string|null} Participant ID
+     */
+    _determineChampion(tournament) {
+        const bracket = tournament.bracket;
+        const decidedByTable = bracket.format === 'swiss' || (bracket.format === 'round_robin' && !bracket.playoffSeeds);
+
+        if (decidedByTable) {
+            return this._getStandings(tournament).standings[0]?.participantId || null;
+        }
+
+        const finalRound = bracket.rounds[bracket.rounds.length - 1] || [];
+        const finalMatch = finalRound.filter(match => !match.bye).pop() || finalRound[0];
+        return finalMatch ? finalMatch.winner : null;
+    }
+
+    _getBracketConfig(tournament) {
+        const bracketType = (tournament.options.bracketType || 'single_elimination').toUpperCase();
+        return this.config.BRACKETS[bracketType] || this.config.BRACKETS.SINGLE_ELIMINATION;
+    }
+
+    _getParticipant(tournament, participantId) {
+        return tournament.participants.find(participant => participant.id === participantId) || null;
+    }
+
+    _getLastStageRound(tournament, stage) {
+        const rounds = tournament.bracket.rounds;
+        for (let i = rounds.length - 1; i >= 0; i--) {
+            const matches = rounds[i].filter(match => match.stage === stage);
+            if (matches.length > 0) return matches;
+        }
+        return [];
+    }
+
     /**
      * Award tournament rewards
      * @param {Object} tournament - Tournament instance
@@ -1097,16 +1778,25 @@ class TournamentSystem {
             rewards = tournament.rewards.participation;
         }
 
+        if (rewards && this.gameState.get('integrity.flagged')) {
+            this.eventManager.emit('integrity:rewardWithheld', {
+                system: 'tournament',
+                tournamentId: tournament.id,
+                position: position
+            });
+            return;
+        }
+
         if (rewards) {
             // Award jade
             if (rewards.jade) {
-                this.gameState.increment('player.jade', rewards.jade);
+                this.gameState.increment('player.jade', rewards.jade, { source: 'tournament:reward' });
                 this.playerTournamentData.totalRewardsEarned.jade += rewards.jade;
             }
 
             // Award spirit crystals
             if (rewards.spiritCrystals) {
-                this.gameState.increment('player.spiritCrystals', rewards.spiritCrystals);
+                this.gameState.increment('player.spiritCrystals', rewards.spiritCrystals, { source: 'tournament:reward' });
                 this.playerTournamentData.totalRewardsEarned.spiritCrystals += rewards.spiritCrystals;
             }
 
@@ -1173,10 +1863,10 @@ class TournamentSystem {
         if (playerParticipant && tournament.config.entryRequirement.entryCost) {
             const cost = tournament.config.entryRequirement.entryCost;
             if (cost.jade) {
-                this.gameState.increment('player.jade', cost.jade);
+                this.gameState.increment('player.jade', cost.jade, { source: 'tournament:refund' });
             }
             if (cost.spiritCrystals) {
-                this.gameState.increment('player.spiritCrystals', cost.spiritCrystals);
+                this.gameState.increment('player.spiritCrystals', cost.spiritCrystals, { source: 'tournament:refund' });
             }
         }
 
@@ -1208,6 +1898,17 @@ class TournamentSystem {
             rewards: tournament.rewards,
             winner: tournament.winner,
             finalStandings: tournament.finalStandings || [],
+            format: tournament.bracket ? tournament.bracket.format : tournament.options.bracketType,
+            participants: tournament.participants.map(participant => ({
+                id: participant.id,
+                name: participant.name,
+                power: participant.power,
+                seed: participant.seed || null,
+                wins: participant.wins,
+                losses: participant.losses,
+                isEliminated: participant.isEliminated
+            })),
+            ...this._getStandings(tournament),
             bracket: tournament.bracket
         };
     }
@@ -1245,7 +1946,8 @@ class TournamentSystem {
         this.gameState.update({
             playerTournamentData: this.playerTournamentData,
             tournamentStats: this.statistics,
-            tournamentHistory: this.tournamentHistory
+            tournamentHistory: this.tournamentHistory,
+            activeTournaments: Array.from(this.activeTournaments.values())
         }, { source: 'tournament:save' });
     }
 }
@@ -7,8 +7,12 @@ class WingSystem {
         this.gameState = gameState;
         this.eventManager = eventManager;
 
+        // Upgrades run as jobs on the shared scheduler
+        this.scheduler = jobScheduler;
+
         // Initialize wing system state
         this.initializeState();
+        this.registerJobHandlers();
 
         console.log('WingSystem: Initialized');
     }
@@ -21,7 +25,6 @@ class WingSystem {
             this.gameState.set('wings', {
                 discovered: [],
                 equipped: null,
-                upgrading: null,
                 materials: {},
                 levels: {},
                 unlocked: false
@@ -29,6 +32,18 @@ class WingSystem {
         }
     }
 
+    /**
+     * Let the scheduler finish wing upgrades, taking over a timer from saves made before it existed
+     */
+    registerJobHandlers() {
+        this.scheduler.registerHandler('wings.upgrading', {
+            label: 'Wing upgrade',
+            complete: job => this.completeUpgrade(job),
+            describe: (job, result) => `${this.getWingData(result.wingId)?.name || result.wingId} reached level ${result.newLevel}`
+        });
+        this.scheduler.adoptTimer('wings.upgrading', 'wings', 'upgrading');
+    }
+
     /**
      * Unlock the wing system (typically at Core Formation realm)
      */
@@ -117,6 +132,11 @@ class WingSystem {
             return false;
         }
 
+        if (this.scheduler.isBusy('wings.upgrading')) {
+            console.warn(`WingSystem: Another upgrade is in progress`);
+            return false;
+        }
+
         const level = wings.levels[wingId] || 1;
         const requirements = this.getUpgradeRequirements(wingId, level);
 
@@ -129,14 +149,8 @@ class WingSystem {
         // Consume materials
         this.consumeMaterials(requirements);
 
-        wings.upgrading = {
-            wingId: wingId,
-            targetLevel: level + 1,
-            startTime: Date.now(),
-            duration: this.getUpgradeDuration(wingId, level)
-        };
+        this.scheduler.schedule('wings.upgrading', { wingId, targetLevel: level + 1 }, this.getUpgradeDuration(wingId, level));
 
-        this.gameState.set('wings', wings);
         this.eventManager.emit('wingsUpgradeStarted', { wingId, targetLevel: level + 1 });
 
         console.log(`WingSystem: Started upgrading wings ${wingId} to level ${level + 1}`);
@@ -144,28 +158,16 @@ class WingSystem {
     }
 
     /**
-     * Complete wing upgrade and apply level increase
+     * Complete wing upgrade and apply level increase; run by the scheduler when the job is due
+     * @param {Object} job - Finished 'wings.upgrading' job
      */
-    completeUpgrade() {
+    completeUpgrade(job) {
         const wings = this.gameState.get('wings');
-
-        if (!wings.upgrading) {
-            return null;
-        }
-
-        const { wingId, targetLevel, startTime, duration } = wings.upgrading;
-        const now = Date.now();
-
-        if (now - startTime < duration) {
-            return null; // Upgrade not complete
-        }
+        const { wingId, targetLevel } = job.data;
 
         // Apply level increase
         wings.levels[wingId] = targetLevel;
 
-        // Clear upgrading
-        wings.upgrading = null;
-
         this.gameState.set('wings', wings);
         this.eventManager.emit('wingsUpgradeCompleted', { wingId, newLevel: targetLevel });
 
@@ -306,6 +308,8 @@ class WingSystem {
             return [];
         }
 
+        const upgrading = this.scheduler.findJob('wings.upgrading');
+
         return wings.discovered.map(wingId => {
             const data = this.getWingData(wingId);
             const level = wings.levels[wingId] || 1;
@@ -317,7 +321,7 @@ class WingSystem {
                 level: level,
                 power: power,
                 isEquipped: wings.equipped === wingId,
-                isUpgrading: wings.upgrading?.wingId === wingId,
+                isUpgrading: upgrading?.data.wingId === wingId,
                 upgradeRequirements: this.getUpgradeRequirements(wingId, level),
                 canUpgrade: this.hasRequiredMaterials(this.getUpgradeRequirements(wingId, level))
             };
@@ -418,7 +422,10 @@ class WingSystem {
             }
         };
 
-        return wingsData[wingId] || null;
+        // Wings from content packs win over the built-in table
+        return typeof contentPackLoader !== 'undefined'
+            ? contentPackLoader.lookup('wings', wingId, wingsData[wingId])
+            : wingsData[wingId] || null;
     }
 
     /**
@@ -426,15 +433,15 @@ class WingSystem {
      */
     getSystemStatus() {
         const wings = this.gameState.get('wings');
+        const upgrading = this.scheduler.findJob('wings.upgrading');
 
         return {
             unlocked: this.isUnlocked(),
             equippedWings: wings?.equipped || null,
             equippedWingsPower: this.getEquippedWingsPower(),
-            upgradeInProgress: !!wings?.upgrading,
-            upgradingWings: wings?.upgrading?.wingId || null,
-            upgradeTimeRemaining: wings?.upgrading ?
-                Math.max(0, (wings.upgrading.startTime + wings.upgrading.duration) - Date.now()) : 0,
+            upgradeInProgress: !!upgrading,
+            upgradingWings: upgrading?.data.wingId || null,
+            upgradeTimeRemaining: this.scheduler.getRemaining(upgrading),
             discoveredCount: wings?.discovered?.length || 0,
             materials: wings?.materials || {},
             totalWings: Object.keys(this.getWingData('feather_wings') ? {
@@ -444,27 +451,21 @@ class WingSystem {
     }
 
     /**
-     * Process wing-related idle gains
+     * Timers that finish on their own, so offline simulation can stop at each one
+     * @returns {Array<Object>} [{ type, endsAt }]
      */
-    processIdleGains(timeElapsed) {
-        const wings = this.gameState.get('wings');
-
-        if (!wings?.upgrading) {
-            return;
-        }
-
-        // Check if upgrade completed during idle time
-        const upgrading = wings.upgrading;
-        const upgradeEndTime = upgrading.startTime + upgrading.duration;
-        const now = Date.now();
+    getIdleTimers() {
+        return this.scheduler.getTimers({ owner: 'wings' });
+    }
 
-        if (now >= upgradeEndTime) {
-            // Upgrade completed during idle time
-            const result = this.completeUpgrade();
-            if (result) {
-                console.log(`WingSystem: Auto-completed upgrade for ${result.wingId} to level ${result.newLevel} during idle time`);
-            }
-        }
+    /**
+     * Process idle time, finishing the wing upgrade if it ended by `now`
+     * @param {number} timeElapsed - Length of the idle period in milliseconds
+     * @param {number} now - End of the idle period (defaults to the current time)
+     * @returns {Object} Idle report { completed, gains }
+     */
+    processIdleGains(timeElapsed, now = Date.now()) {
+        return this.scheduler.processIdleJobs('wings', now);
     }
 }
 
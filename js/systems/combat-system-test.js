@@ -197,6 +197,154 @@ combatTest.addTest('CombatSystem Basic Functionality', async () => {
     combatTest.assert(combatSystem.isInitialized, 'Combat system should be initialized');
 });
 
+// Test that a combat skill is applied once
+combatTest.addTest('CombatSystem Skill Effects Apply Once', async () => {
+    const gameState = window.gameState;
+    const eventManager = window.eventManager;
+    const powerCalculator = new window.PowerCalculator(gameState, eventManager);
+    const combatSystem = new window.CombatSystem(gameState, eventManager, powerCalculator);
+    await combatSystem.initialize();
+
+    // Same player either way except for one 20% damage skill
+    const playerWith = (skillEffects) => () => ({
+        cultivation: { qi: { level: 30 }, body: { level: 30 }, realm: 'Body Refinement', stage: 3 },
+        scriptures: {},
+        equipment: {},
+        skillEffects: skillEffects
+    });
+    powerCalculator._getPlayerData = playerWith({});
+    const without = combatSystem._getPlayerCombatData();
+    powerCalculator._getPlayerData = playerWith({ damageBonus: 0.2 });
+    const withSkill = combatSystem._getPlayerCombatData();
+
+    combatTest.assertEqual(withSkill.power, without.power, 'Skill should not raise combat power');
+    combatTest.assert(Math.abs(withSkill.modifiers.damageMultiplier / without.modifiers.damageMultiplier - 1.2) < 1e-9,
+        'Skill should raise the damage multiplier by its bonus');
+
+    // Same defender for both; only the ±5% damage roll differs between the two hits
+    const defenderPower = Math.round(without.power / 2);
+    const damageWithout = window.COMBAT_FORMULAS.calculateDamage(without.power, defenderPower, 'ATTACK', false, without.modifiers);
+    const damageWith = window.COMBAT_FORMULAS.calculateDamage(withSkill.power, defenderPower, 'ATTACK', false, withSkill.modifiers);
+    const ratio = damageWith / damageWithout;
+    combatTest.assert(ratio > 1.2 * 0.95 / 1.05 && ratio < 1.2 * 1.05 / 0.95,
+        `A 20% damage skill should add about 20% damage, got ratio ${ratio.toFixed(3)}`);
+});
+
+// Test simulations during a live combat
+combatTest.addTest('CombatSystem Simulation During Live Combat', async () => {
+    const gameState = window.gameState;
+    const eventManager = window.eventManager;
+    const powerCalculator = new window.PowerCalculator(gameState, eventManager);
+    const combatSystem = new window.CombatSystem(gameState, eventManager, powerCalculator);
+    await combatSystem.initialize();
+
+    // A strong player, so the simulation wins and would earn loot
+    powerCalculator._getPlayerData = () => ({
+        cultivation: { qi: { level: 30 }, body: { level: 30 }, realm: 'Body Refinement', stage: 3 },
+        scriptures: {},
+        equipment: {},
+        skillEffects: {}
+    });
+    const viewModel = new window.CombatViewModel({ eventManager, gameState });
+    viewModel.attach();
+
+    const savedReplays = gameState.get('combatReplays');
+    const [liveOpponent, simulatedOpponent] = window.COMBAT_OPPONENTS.ROGUE_CULTIVATORS;
+    const live = combatSystem.startCombat(liveOpponent);
+    const liveCombat = combatSystem.currentCombat;
+    const liveLog = viewModel.combatLog.map(entry => entry.message);
+    const jade = gameState.get('player.jade');
+    const statistics = { ...combatSystem.statistics };
+
+    const simulation = combatSystem.simulateCombat(simulatedOpponent);
+    combatTest.assert(simulation.success, 'Simulation should run while a combat is live');
+    combatTest.assertEqual(simulation.result, 'victory', 'Strong player should win the simulation');
+    combatTest.assert(simulation.combatId !== live.combatId, 'Simulation should get its own combat ID');
+    combatTest.assertEqual(combatSystem.currentCombat, liveCombat, 'Live combat should be restored');
+    combatTest.assertEqual(combatSystem.combatId, live.combatId, 'Live combat ID should be restored');
+    combatTest.assertEqual(liveCombat.state, 'in_progress', 'Live combat should be untouched');
+
+    // The preview pays nothing, counts for nothing and stays out of the live fight's log
+    combatTest.assertEqual(gameState.get('player.jade'), jade, 'Simulation beside a live combat should not pay loot');
+    combatTest.assertEqual(combatSystem.statistics.combatsWon, statistics.combatsWon, 'Simulation should not count as a win');
+    combatTest.assertEqual(combatSystem.statistics.combatsStarted, statistics.combatsStarted, 'Simulation should not count as a combat');
+    combatTest.assertEqual(JSON.stringify(viewModel.combatLog.map(entry => entry.message)), JSON.stringify(liveLog),
+        'Simulation should not write into the live combat log');
+    viewModel.detach();
+
+    // The cancelled live combat stays out of the replay history
+    combatSystem.forceEndCombat();
+    gameState.set('combatReplays', savedReplays);
+});
+
+// Test CombatSystem replay recording
+combatTest.addTest('CombatSystem Replay Recording', async () => {
+    const gameState = window.gameState;
+    const eventManager = window.eventManager;
+    const powerCalculator = new window.PowerCalculator(gameState, eventManager);
+
+    const combatSystem = new window.CombatSystem(gameState, eventManager, powerCalculator);
+    await combatSystem.initialize();
+    combatSystem.replayConfig = { ...combatSystem.replayConfig, recordSimulated: true };
+
+    const opponent = window.COMBAT_OPPONENTS.ROGUE_CULTIVATORS[0];
+    const result = combatSystem.simulateCombat(opponent);
+    const [summary] = combatSystem.getReplays();
+    const replay = combatSystem.getReplay(summary.id);
+
+    combatTest.assertEqual(replay.result, result.result, 'Replay should record the combat result');
+    combatTest.assertEqual(replay.combatants.opponent.name, opponent.name, 'Replay should record the combatants');
+    combatTest.assertEqual(replay.events[replay.events.length - 1].k, 'end', 'Replay should close with the result');
+
+    // History is written back to game state, not shared with it
+    const stored = gameState.get('combatReplays');
+    combatTest.assert(stored.some(entry => entry.id === replay.id), 'Replay should be stored in game state');
+    combatTest.assert(stored !== combatSystem.replays, 'Game state should hold its own copy of the history');
+
+    // Round-trip through a share code
+    const exported = combatSystem.exportReplay(replay.id);
+    combatTest.assert(exported.success, 'Replay export should succeed');
+    combatSystem.replays = [];
+
+    const imported = combatSystem.importReplay(exported.code);
+    combatTest.assert(imported.success, 'Replay import should succeed');
+    combatTest.assertEqual(combatSystem.getReplay(imported.replayId).events.length, replay.events.length, 'Imported replay should keep every event');
+    combatTest.assert(!combatSystem.importReplay('not a replay').success, 'Invalid replay codes should be rejected');
+});
+
+// Test that malformed replay events are rejected on import
+combatTest.addTest('CombatSystem Replay Import Validation', async () => {
+    const gameState = window.gameState;
+    const eventManager = window.eventManager;
+    const powerCalculator = new window.PowerCalculator(gameState, eventManager);
+    const combatSystem = new window.CombatSystem(gameState, eventManager, powerCalculator);
+    await combatSystem.initialize();
+    combatSystem.replayConfig = { ...combatSystem.replayConfig, recordSimulated: true };
+
+    const savedReplays = gameState.get('combatReplays');
+    combatSystem.simulateCombat(window.COMBAT_OPPONENTS.ROGUE_CULTIVATORS[0]);
+    const replay = combatSystem.getReplay(combatSystem.getReplays()[0].id);
+    const encode = (events) => combatSystem.replayConfig.exportPrefix +
+        btoa(unescape(encodeURIComponent(JSON.stringify({ ...replay, id: 'replay_malformed', events: events }))));
+
+    const malformed = [
+        { ...replay.events[0], fx: 'poisoned' },
+        { ...replay.events[0], fx: [['opponent', 'poison', 'spread']] },
+        { ...replay.events[0], k: 'pass', o: 42 },
+        { ...replay.events[0], e: { id: 'poison' } }
+    ];
+    for (const event of malformed) {
+        const result = combatSystem.importReplay(encode([event]));
+        combatTest.assertEqual(result.reason, 'invalid_replay_data', `Event ${JSON.stringify(event)} should be rejected`);
+    }
+    combatTest.assert(!combatSystem.getReplay('replay_malformed'), 'Rejected replays should not be stored');
+
+    const valid = combatSystem.importReplay(encode([{ ...replay.events[0], fx: [['opponent', 'poison', 'applied']] }]));
+    combatTest.assert(valid.success, 'Well-formed effect changes should be accepted');
+
+    gameState.set('combatReplays', savedReplays);
+});
+
 // Test DuelManager AI generation
 combatTest.addTest('DuelManager AI Generation', async () => {
     const gameState = window.gameState;
@@ -251,6 +399,85 @@ combatTest.addTest('TournamentSystem Basic Functionality', async () => {
     combatTest.assert(tournaments.length > 0, 'Should have available tournaments');
 });
 
+// Test TournamentSystem bracket formats
+combatTest.addTest('TournamentSystem Bracket Formats', async () => {
+    const gameState = window.gameState;
+    const eventManager = window.eventManager;
+    const powerCalculator = new window.PowerCalculator(gameState, eventManager);
+    const combatSystem = new window.CombatSystem(gameState, eventManager, powerCalculator);
+
+    const tournamentSystem = new window.TournamentSystem(
+        gameState, eventManager, combatSystem, powerCalculator, null
+    );
+    await tournamentSystem.initialize();
+
+    const invalidResult = tournamentSystem.createTournament('daily', { bracketType: 'ladder' });
+    combatTest.assertEqual(invalidResult.reason, 'invalid_bracket_type', 'Unknown bracket types should be rejected');
+
+    for (const bracketType of ['single_elimination', 'double_elimination', 'round_robin', 'swiss']) {
+        const { tournamentId } = tournamentSystem.createTournament('daily', { bracketType, autoStart: false });
+        const tournament = tournamentSystem.activeTournaments.get(tournamentId);
+
+        // Drop a participant so the field needs a bye
+        tournament.participants.pop();
+        tournament.participantCount--;
+        tournamentSystem._generateBracket(tournament);
+
+        const firstRound = tournament.bracket.rounds[0];
+        combatTest.assertEqual(tournament.bracket.format, bracketType, `${bracketType} bracket should record its format`);
+        combatTest.assert(firstRound.length > 0, `${bracketType} should generate a first round`);
+        combatTest.assert(tournament.totalRounds > 0, `${bracketType} should estimate its rounds`);
+
+        const details = tournamentSystem.getTournament(tournamentId);
+        combatTest.assertEqual(details.standings.length, tournament.participants.length, `${bracketType} standings should list every participant`);
+
+        const restored = JSON.parse(JSON.stringify(tournament.bracket));
+        combatTest.assertEqual(restored.rounds[0][0].participant1, firstRound[0].participant1, `${bracketType} bracket should survive serialization`);
+    }
+});
+
+// Test Swiss pairing never repeats a match
+combatTest.addTest('TournamentSystem Swiss Rematches', async () => {
+    const gameState = window.gameState;
+    const eventManager = window.eventManager;
+    const powerCalculator = new window.PowerCalculator(gameState, eventManager);
+    const combatSystem = new window.CombatSystem(gameState, eventManager, powerCalculator);
+
+    const tournamentSystem = new window.TournamentSystem(
+        gameState, eventManager, combatSystem, powerCalculator, null
+    );
+    await tournamentSystem.initialize();
+
+    const { tournamentId } = tournamentSystem.createTournament('daily', { bracketType: 'swiss', autoStart: false });
+    const tournament = tournamentSystem.activeTournaments.get(tournamentId);
+    tournament.participants = tournament.participants.slice(0, 8);
+    tournament.participantCount = 8;
+    tournamentSystem._generateBracket(tournament);
+
+    // Play more rounds than a Swiss bracket normally runs; the better seed always wins
+    const played = new Set();
+    for (let round = 0; round < 5; round++) {
+        if (round > 0) {
+            tournament.bracket.rounds.push(tournamentSystem._createSwissRound(tournament));
+        }
+
+        for (const match of tournament.bracket.rounds[round]) {
+            if (match.bye) {
+                continue;
+            }
+            const pairKey = [match.participant1, match.participant2].sort().join('|');
+            combatTest.assert(!played.has(pairKey), `Round ${round + 1} should not repeat ${pairKey}`);
+            played.add(pairKey);
+
+            const seeds = tournament.bracket.seeds;
+            const firstWins = seeds.indexOf(match.participant1) < seeds.indexOf(match.participant2);
+            match.winner = firstWins ? match.participant1 : match.participant2;
+            match.loser = firstWins ? match.participant2 : match.participant1;
+            match.completed = true;
+        }
+    }
+});
+
 // Test CombatIntegration
 combatTest.addTest('CombatIntegration Full System', async () => {
     const gameState = window.gameState;
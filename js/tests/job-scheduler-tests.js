@@ -0,0 +1,213 @@
+/**
+ * Job Scheduler Tests
+ * Tests starting, speeding up and completing timed jobs, online and offline
+ */
+
+// Simple test framework
+class JobSchedulerTest {
+    constructor() {
+        this.tests = [];
+        this.results = {
+            passed: 0,
+            failed: 0,
+            errors: []
+        };
+    }
+
+    /**
+     * Add a test case
+     * @param {string} name - Test name
+     * @param {Function} testFn - Test function
+     */
+    addTest(name, testFn) {
+        this.tests.push({ name, testFn });
+    }
+
+    /**
+     * Run all tests
+     */
+    async runAllTests() {
+        console.log('Job Scheduler Test: Starting...');
+
+        for (const test of this.tests) {
+            try {
+                console.log(`Running test: ${test.name}`);
+                await test.testFn();
+                this.results.passed++;
+                console.log(`✓ ${test.name} - PASSED`);
+            } catch (error) {
+                this.results.failed++;
+                this.results.errors.push({ test: test.name, error: error.message });
+                console.error(`✗ ${test.name} - FAILED:`, error.message);
+            }
+        }
+
+        console.log('\n=== Job Scheduler Test Results ===');
+        console.log(`Total Tests: ${this.tests.length}`);
+        console.log(`Passed: ${this.results.passed}`);
+        console.log(`Failed: ${this.results.failed}`);
+        this.results.errors.forEach(error => {
+            console.log(`- ${error.test}: ${error.error}`);
+        });
+    }
+
+    /**
+     * Assert function for tests
+     * @param {boolean} condition - Condition to check
+     * @param {string} message - Error message if assertion fails
+     */
+    assert(condition, message = 'Assertion failed') {
+        if (!condition) {
+            throw new Error(message);
+        }
+    }
+
+    /**
+     * Assert equality
+     * @param {*} actual - Actual value
+     * @param {*} expected - Expected value
+     * @param {string} message - Error message
+     */
+    assertEqual(actual, expected, message = `Expected ${expected}, got ${actual}`) {
+        this.assert(actual === expected, message);
+    }
+}
+
+// Create test instance
+const jobSchedulerTest = new JobSchedulerTest();
+
+/**
+ * Create an initialized scheduler
+ * @param {Object} sections - Starting GameState sections
+ * @returns {Object} { scheduler, gameState, eventManager }
+ */
+function createTestScheduler(sections = {}) {
+    const gameState = new window.TestGameState({ settings: { notifications: false }, ...sections });
+    const eventManager = new window.EventManager();
+    const scheduler = new window.JobScheduler();
+    scheduler.initialize({ gameState, eventManager });
+
+    return { scheduler, gameState, eventManager };
+}
+
+const HOUR = 60 * 60 * 1000;
+
+// Test starting a job
+jobSchedulerTest.addTest('Schedule Job', async () => {
+    const { scheduler, gameState } = createTestScheduler();
+
+    const job = scheduler.schedule('mounts.training', { mountId: 'spirit_horse' }, HOUR, { now: 0 });
+    jobSchedulerTest.assertEqual(job.endsAt, HOUR, 'Job should end after its duration');
+    jobSchedulerTest.assert(scheduler.isBusy('mounts.training'), 'Job type should be busy');
+    jobSchedulerTest.assertEqual(scheduler.schedule('mounts.training', {}, HOUR), null, 'A second job of the same type should be refused');
+    jobSchedulerTest.assertEqual(gameState.get('jobs').active.length, 1, 'Job should be saved');
+});
+
+// Test speed-up items
+jobSchedulerTest.addTest('Speed Up Job', async () => {
+    const { scheduler } = createTestScheduler();
+    const completedJobs = [];
+    scheduler.registerHandler('mounts.training', {
+        complete: job => {
+            completedJobs.push(job.id);
+            return { ok: true };
+        }
+    });
+
+    const job = scheduler.schedule('mounts.training', {}, HOUR, { now: 0 });
+    jobSchedulerTest.assertEqual(scheduler.speedUp(job.id, 'time_talisman', 0).reason, 'no_items', 'Speed-up needs an item');
+
+    scheduler.addSpeedUpItems('time_talisman', 2);
+    const half = scheduler.speedUp(job.id, 'time_talisman', 0);
+    jobSchedulerTest.assert(half.success, 'Speed-up should succeed');
+    jobSchedulerTest.assertEqual(scheduler.getRemaining(scheduler.getJob(job.id), 0), HOUR / 2, 'Talisman should take 30 minutes off');
+
+    const finished = scheduler.speedUp(job.id, 'time_talisman', 0);
+    jobSchedulerTest.assertEqual(completedJobs.length, 1, 'Job should complete once no time is left');
+    jobSchedulerTest.assert(finished.result.ok, 'Speed-up should return the completion result');
+    jobSchedulerTest.assertEqual(scheduler.getJob(job.id), null, 'Completed job should be removed');
+});
+
+// Test completion while playing
+jobSchedulerTest.addTest('Online Completion', async () => {
+    const { scheduler } = createTestScheduler();
+    let completions = 0;
+    scheduler.registerHandler('wings.upgrading', { complete: () => ++completions });
+
+    scheduler.schedule('wings.upgrading', {}, HOUR, { now: 0 });
+    scheduler.update(HOUR - 1, true);
+    jobSchedulerTest.assertEqual(completions, 0, 'Job should not complete early');
+
+    scheduler.update(HOUR, true);
+    jobSchedulerTest.assertEqual(completions, 1, 'Job should complete when due');
+    jobSchedulerTest.assert(!scheduler.isBusy('wings.upgrading'), 'Job type should be free again');
+});
+
+// Test completion during offline simulation
+jobSchedulerTest.addTest('Offline Completion', async () => {
+    const { scheduler } = createTestScheduler();
+    scheduler.registerHandler('runes.fusing', { complete: () => ({ runeId: 'flame' }) });
+    scheduler.registerHandler('wings.upgrading', { complete: () => ({ level: 2 }) });
+
+    scheduler.schedule('runes.fusing', {}, HOUR, { now: 0 });
+    scheduler.schedule('wings.upgrading', {}, HOUR, { now: 0 });
+    jobSchedulerTest.assertEqual(scheduler.getTimers({ owner: 'runes' })[0].endsAt, HOUR, 'Offline simulation should see the end time');
+
+    const report = scheduler.processIdleJobs('runes', 2 * HOUR);
+    jobSchedulerTest.assertEqual(report.completed.length, 1, 'Only the owner\'s jobs should complete');
+    jobSchedulerTest.assertEqual(report.completed[0].type, 'fusing', 'Report should name the job without its owner');
+    jobSchedulerTest.assertEqual(report.completed[0].completedAt, HOUR, 'Report should give when the job finished');
+    jobSchedulerTest.assert(scheduler.isBusy('wings.upgrading'), 'Other owners\' jobs should wait for their own simulation');
+});
+
+// Test that a failing handler keeps the job
+jobSchedulerTest.addTest('Failed Completion Keeps Job', async () => {
+    const { scheduler } = createTestScheduler();
+    let fail = true;
+    scheduler.registerHandler('soul.tempering', {
+        complete: () => {
+            if (fail) {
+                throw new Error('handler failed');
+            }
+            return {};
+        }
+    });
+
+    const job = scheduler.schedule('soul.tempering', {}, HOUR, { now: 0 });
+    jobSchedulerTest.assertEqual(scheduler.completeDue(HOUR).length, 0, 'Failed job should not be reported complete');
+    jobSchedulerTest.assert(scheduler.getJob(job.id), 'Failed job should stay scheduled');
+
+    fail = false;
+    jobSchedulerTest.assertEqual(scheduler.completeDue(HOUR + 1).length, 0, 'Failed job should wait before retrying');
+    jobSchedulerTest.assertEqual(scheduler.completeDue(HOUR + scheduler.retryDelay).length, 1, 'Failed job should complete on retry');
+});
+
+// Test adopting legacy timers from saves loaded later
+jobSchedulerTest.addTest('Adopt Legacy Timers', async () => {
+    const { scheduler, gameState, eventManager } = createTestScheduler({ mounts: {} });
+    jobSchedulerTest.assertEqual(scheduler.adoptTimer('mounts.training', 'mounts', 'training'), null, 'No timer to adopt yet');
+
+    gameState.set('mounts', { training: { startTime: 0, duration: HOUR, mountId: 'spirit_horse' } });
+    await eventManager.emit('gameState:loaded');
+
+    const job = scheduler.findJob('mounts.training');
+    jobSchedulerTest.assert(job, 'Timer from a loaded save should be adopted');
+    jobSchedulerTest.assertEqual(job.data.mountId, 'spirit_horse', 'Adopted job should keep the timer data');
+    jobSchedulerTest.assert(!('training' in gameState.get('mounts')), 'Legacy timer field should be removed');
+});
+
+// Export for manual testing
+if (typeof window !== 'undefined') {
+    window.JobSchedulerTest = jobSchedulerTest;
+}
+
+// Auto-run tests if in testing environment
+if (typeof window !== 'undefined' && window.location && window.location.search.includes('test=jobs')) {
+    window.addEventListener('load', () => {
+        setTimeout(() => {
+            jobSchedulerTest.runAllTests();
+        }, 1000);
+    });
+}
+
+console.log('Job Scheduler Test: Loaded. Run window.JobSchedulerTest.runAllTests() to execute tests.');
@@ -0,0 +1,98 @@
+/**
+ * TestGameState - In-memory GameState for system tests
+ * GameState is a singleton holding the player's data, so tests that need a state of their own
+ * use this instead. It keeps GameState's rules: dot paths for get, set and increment, update
+ * deep-merges plain objects and replaces arrays and other values, and get returns the stored value.
+ */
+class TestGameState {
+    /**
+     * @param {Object} sections - Starting state sections
+     */
+    constructor(sections = {}) {
+        this._state = this._deepClone(sections);
+    }
+
+    /**
+     * Get a value by dot path
+     * @param {string} path - Dot notation path
+     * @returns {*} The value at the path
+     */
+    get(path) {
+        return path.split('.').reduce((current, key) => {
+            return current && current[key] !== undefined ? current[key] : undefined;
+        }, this._state);
+    }
+
+    /**
+     * Merge updates into the state
+     * @param {Object|Function} updates - Object with updates or function that returns the new state
+     * @param {Object} options - Ignored; accepted for GameState compatibility
+     */
+    update(updates, options = {}) {
+        this._state = typeof updates === 'function'
+            ? updates(this._deepClone(this._state))
+            : this._mergeDeep(this._state, updates);
+    }
+
+    /**
+     * Set a value by dot path
+     * @param {string} path - Dot notation path
+     * @param {*} value - The value to set
+     * @param {Object} options - Ignored; accepted for GameState compatibility
+     */
+    set(path, value, options = {}) {
+        const keys = path.split('.');
+        const updates = {};
+        let current = updates;
+
+        for (const key of keys.slice(0, -1)) {
+            current[key] = {};
+            current = current[key];
+        }
+        current[keys[keys.length - 1]] = value;
+
+        this.update(updates, options);
+    }
+
+    /**
+     * Add to a numeric value by dot path
+     * @param {string} path - Dot notation path
+     * @param {number} amount - Amount to add (can be negative)
+     * @param {Object} options - Ignored; accepted for GameState compatibility
+     */
+    increment(path, amount = 1, options = {}) {
+        this.set(path, (this.get(path) || 0) + amount, options);
+    }
+
+    _deepClone(obj) {
+        if (obj === null || typeof obj !== 'object') return obj;
+        if (Array.isArray(obj)) return obj.map(item => this._deepClone(item));
+
+        const cloned = {};
+        for (const key of Object.keys(obj)) {
+            cloned[key] = this._deepClone(obj[key]);
+        }
+        return cloned;
+    }
+
+    _mergeDeep(target, source) {
+        const result = this._deepClone(target);
+
+        for (const key of Object.keys(source)) {
+            if (source[key] && typeof source[key] === 'object' && !Array.isArray(source[key])) {
+                result[key] = this._mergeDeep(result[key] || {}, source[key]);
+            } else {
+                result[key] = source[key];
+            }
+        }
+
+        return result;
+    }
+}
+
+// Export for ES6 modules and global usage
+if (typeof module !== 'undefined' && module.exports) {
+    module.exports = { TestGameState };
+} else if (typeof window !== 'undefined') {
+    window.TestGameState = TestGameState;
+}
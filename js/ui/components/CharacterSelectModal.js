@@ -0,0 +1,387 @@
+/**
+ * CharacterSelectModal - Character select screen for the account's profiles
+ * Plays, creates, exports, imports and deletes characters through ProfileManager,
+ * and shows what the account has unlocked across all of them.
+ */
+class CharacterSelectModal {
+    constructor(profileManager = null) {
+        this.profileManager = profileManager;
+        this.modalElement = null;
+        this.message = null;
+    }
+
+    /**
+     * Show the character select screen
+     */
+    open() {
+        CharacterSelectModal.injectStyles();
+
+        this.profileManager = this.profileManager || window.profileManager;
+        if (!this.profileManager || !this.profileManager.isLoaded) {
+            console.warn('CharacterSelectModal: ProfileManager is not loaded');
+            return;
+        }
+
+        this.message = null;
+        this._render();
+    }
+
+    /**
+     * Close the screen
+     */
+    close() {
+        if (this.modalElement) {
+            this.modalElement.remove();
+            this.modalElement = null;
+        }
+    }
+
+    /**
+     * Render the modal UI
+     * @private
+     */
+    _render() {
+        if (this.modalElement) {
+            this.modalElement.remove();
+        }
+
+        const profiles = this.profileManager.listProfiles();
+        const unlocks = this.profileManager.getSharedUnlocks();
+        const canAdd = profiles.length < this.profileManager.maxProfiles;
+
+        const modal = document.createElement('div');
+        modal.className = 'character-select-overlay';
+        modal.innerHTML = `
+            <div class="character-select-modal" role="dialog" aria-modal="true" aria-labelledby="character-select-title">
+                <h2 id="character-select-title">Characters</h2>
+
+                <div class="character-select-shared">
+                    <span>Achievements: <strong>${Object.keys(unlocks.achievements).length}</strong></span>
+                    <span>Titles: <strong>${Object.keys(unlocks.titles).length}</strong></span>
+                    <span>Collection: <strong>${Object.keys(unlocks.collection).length}</strong></span>
+                </div>
+
+                ${this.message ? `<div class="character-select-message ${this.message.type}">${this._escapeHtml(this.message.text)}</div>` : ''}
+
+                <div class="character-select-list">
+                    ${profiles.map(profile => this._renderProfile(profile)).join('')}
+                </div>
+
+                <div class="character-select-actions">
+                    <button class="character-select-btn primary" data-action="create" ${canAdd ? '' : 'disabled'}>New Character</button>
+                    <button class="character-select-btn" data-action="import" ${canAdd ? '' : 'disabled'}>Import...</button>
+                    <button class="character-select-btn subtle" data-action="close">Close</button>
+                </div>
+                <input type="file" class="character-select-file" accept=".json,application/json" hidden>
+            </div>
+        `;
+
+        modal.querySelectorAll('[data-action]').forEach(button => {
+            button.addEventListener('click', () => this._handleAction(button.dataset.action, button.dataset.profile));
+        });
+        modal.querySelector('.character-select-file').addEventListener('change', (event) => {
+            this._importFile(event.target.files[0]);
+        });
+
+        document.body.appendChild(modal);
+        this.modalElement = modal;
+    }
+
+    /**
+     * @private
+     */
+    _renderProfile(profile) {
+        const id = this._escapeHtml(profile.id);
+        const summary = profile.summary;
+        const choices = [profile.origin, profile.vow, profile.mark].filter(Boolean).map(choice => this._escapeHtml(choice));
+        const progress = summary
+            ? `${this._escapeHtml(summary.realm)} ${this._escapeHtml(summary.stage)} · Power ${Math.floor(summary.power || 0).toLocaleString()}`
+            : 'Not yet played';
+        const lastPlayed = profile.lastPlayed ? new Date(profile.lastPlayed).toLocaleString() : 'never';
+
+        return `
+            <div class="character-select-card ${profile.active ? 'active' : ''}">
+                <div class="character-select-info">
+                    <h3>${this._escapeHtml(profile.name)}${profile.active ? ' <span class="character-select-badge">Playing</span>' : ''}</h3>
+                    <div>${choices.length > 0 ? choices.join(' · ') : 'No Memory Fragments chosen'}</div>
+                    <div>${progress}</div>
+                    <div class="character-select-played">Last played: ${this._escapeHtml(lastPlayed)}</div>
+                </div>
+                <div class="character-select-card-actions">
+                    ${profile.active ? '' : `<button class="character-select-btn primary" data-action="play" data-profile="${id}">Play</button>`}
+                    <button class="character-select-btn" data-action="rename" data-profile="${id}">Rename</button>
+                    <button class="character-select-btn" data-action="export" data-profile="${id}">Export</button>
+                    ${profile.active ? '' : `<button class="character-select-btn danger" data-action="delete" data-profile="${id}">Delete</button>`}
+                </div>
+            </div>
+        `;
+    }
+
+    /**
+     * @private
+     */
+    async _handleAction(action, profileId) {
+        try {
+            switch (action) {
+                case 'play':
+                    await this._report(await this.profileManager.switchProfile(profileId));
+                    break;
+                case 'create': {
+                    const name = prompt('Name your new character:', '');
+                    if (name === null) {
+                        break;
+                    }
+                    const result = await this.profileManager.createProfile({ name });
+                    if (result.success) {
+                        await this.profileManager.switchProfile(result.profile.id);
+                    }
+                    await this._report(result);
+                    break;
+                }
+                case 'rename': {
+                    const profile = this.profileManager.getProfile(profileId);
+                    const name = prompt('New name:', profile ? profile.name : '');
+                    if (name !== null) {
+                        await this._report(await this.profileManager.renameProfile(profileId, name));
+                    }
+                    break;
+                }
+                case 'export':
+                    this._download(await this.profileManager.exportProfile(profileId), profileId);
+                    break;
+                case 'import':
+                    this.modalElement.querySelector('.character-select-file').click();
+                    break;
+                case 'delete': {
+                    const profile = this.profileManager.getProfile(profileId);
+                    if (profile && confirm(`Delete ${profile.name} and their save? Account-wide unlocks are kept.`)) {
+                        await this._report(await this.profileManager.deleteProfile(profileId));
+                    }
+                    break;
+                }
+                case 'close':
+                    this.close();
+                    break;
+            }
+        } catch (error) {
+            console.error('CharacterSelectModal: Action failed:', action, error);
+            this.message = { type: 'error', text: error.message };
+            this._render();
+        }
+    }
+
+    /**
+     * @private
+     */
+    async _importFile(file) {
+        if (!file) {
+            return;
+        }
+
+        const result = await this.profileManager.importProfile(await file.text());
+        if (result.success) {
+            this.message = result.profile.pendingIntegrity.length > 0
+                ? { type: 'warning', text: `Imported ${result.profile.name}. The save was not signed by this install and is excluded from ranked rewards.` }
+                : { type: 'success', text: `Imported ${result.profile.name}.` };
+            this._render();
+        } else {
+            await this._report(result);
+        }
+    }
+
+    /**
+     * Re-render, showing the failure reason of an unsuccessful result
+     * @private
+     */
+    async _report(result) {
+        this.message = result && !result.success
+            ? { type: 'error', text: CharacterSelectModal.REASONS[result.reason] || result.reason }
+            : null;
+        if (this.modalElement) {
+            this._render();
+        }
+    }
+
+    /**
+     * @private
+     */
+    _download(json, profileId) {
+        const profile = this.profileManager.getProfile(profileId);
+        const name = (profile ? profile.name : profileId).replace(/[^a-z0-9_-]+/gi, '_');
+        const blob = new Blob([json], { type: 'application/json' });
+        const url = URL.createObjectURL(blob);
+
+        const a = document.createElement('a');
+        a.href = url;
+        a.download = `idle-cultivation-${name}.json`;
+        document.body.appendChild(a);
+        a.click();
+        document.body.removeChild(a);
+        URL.revokeObjectURL(url);
+    }
+
+    /**
+     * Escape HTML to prevent XSS
+     * @private
+     */
+    _escapeHtml(text) {
+        const div = document.createElement('div');
+        div.textContent = String(text);
+        return div.innerHTML;
+    }
+
+    /**
+     * Add CSS styles to the document
+     */
+    static injectStyles() {
+        if (document.getElementById('character-select-modal-styles')) {
+            return;
+        }
+
+        const styles = document.createElement('style');
+        styles.id = 'character-select-modal-styles';
+        styles.textContent = `
+            .character-select-overlay {
+                position: fixed;
+                inset: 0;
+                background: rgba(0, 0, 0, 0.7);
+                display: flex;
+                align-items: center;
+                justify-content: center;
+                z-index: 10000;
+            }
+
+            .character-select-modal {
+                background: var(--bg-secondary, #1a1a1a);
+                border: 2px solid var(--border-color, #444);
+                border-radius: 12px;
+                color: var(--text-primary, #fff);
+                max-width: 640px;
+                width: 90%;
+                max-height: 80vh;
+                overflow-y: auto;
+                padding: 1.5rem;
+            }
+
+            .character-select-modal h2 {
+                margin-top: 0;
+            }
+
+            .character-select-shared {
+                display: flex;
+                gap: 1.5rem;
+                color: var(--text-secondary, #aaa);
+                margin-bottom: 1rem;
+            }
+
+            .character-select-message {
+                padding: 0.5rem 0.75rem;
+                border-radius: 6px;
+                margin-bottom: 1rem;
+                background: var(--bg-tertiary, #2a2a2a);
+            }
+
+            .character-select-message.error {
+                border-left: 3px solid #e74c3c;
+            }
+
+            .character-select-message.warning {
+                border-left: 3px solid #f39c12;
+            }
+
+            .character-select-message.success {
+                border-left: 3px solid #2ecc71;
+            }
+
+            .character-select-list {
+                display: flex;
+                flex-direction: column;
+                gap: 0.75rem;
+                margin-bottom: 1rem;
+            }
+
+            .character-select-card {
+                display: flex;
+                justify-content: space-between;
+                gap: 1rem;
+                border: 1px solid var(--border-color, #444);
+                border-radius: 8px;
+                padding: 0.75rem;
+            }
+
+            .character-select-card.active {
+                border-color: var(--accent-color, #d4af37);
+            }
+
+            .character-select-info h3 {
+                margin: 0 0 0.25rem;
+                font-size: 1rem;
+            }
+
+            .character-select-badge {
+                font-size: 0.75rem;
+                color: var(--accent-color, #d4af37);
+            }
+
+            .character-select-played {
+                color: var(--text-secondary, #aaa);
+                font-size: 0.8rem;
+            }
+
+            .character-select-card-actions,
+            .character-select-actions {
+                display: flex;
+                flex-wrap: wrap;
+                align-items: flex-start;
+                gap: 0.5rem;
+            }
+
+            .character-select-btn {
+                padding: 0.5rem 1rem;
+                border-radius: 6px;
+                border: 1px solid var(--border-color, #444);
+                background: var(--bg-tertiary, #2a2a2a);
+                color: inherit;
+                cursor: pointer;
+            }
+
+            .character-select-btn.primary {
+                border-color: var(--accent-color, #d4af37);
+            }
+
+            .character-select-btn.danger {
+                border-color: #e74c3c;
+            }
+
+            .character-select-btn.subtle {
+                margin-left: auto;
+                background: none;
+            }
+
+            .character-select-btn:disabled {
+                opacity: 0.5;
+                cursor: not-allowed;
+            }
+        `;
+        document.head.appendChild(styles);
+    }
+}
+
+// Player-facing text for ProfileManager failure reasons
+CharacterSelectModal.REASONS = {
+    profile_limit: 'This account already has the maximum number of characters.',
+    profile_not_found: 'That character no longer exists.',
+    profile_active: 'The character being played cannot be deleted.',
+    invalid_name: 'Please enter a name.',
+    invalid_format: 'That file is not an exported character.',
+    unsupported_version: 'That character was exported by a newer version of the game.',
+    import_failed: 'The character save could not be imported.',
+    no_storage: 'Saving is not available.'
+};
+
+// Export for ES6 modules and global usage
+if (typeof module !== 'undefined' && module.exports) {
+    module.exports = { CharacterSelectModal };
+} else if (typeof window !== 'undefined') {
+    window.CharacterSelectModal = CharacterSelectModal;
+}
@@ -47,6 +47,7 @@ class SkillDetailModal extends BaseComponent {
         this.handleKeydown = this.handleKeydown.bind(this);
         this.handleUpgrade = this.handleUpgrade.bind(this);
         this.handleUnlock = this.handleUnlock.bind(this);
+        this.handleEvolve = this.handleEvolve.bind(this);
 
         console.log('SkillDetailModal: Initialized');
     }
@@ -349,6 +350,12 @@ class SkillDetailModal extends BaseComponent {
                 this.refresh();
             }
         });
+
+        this.eventManager.on('skillSystem:evolutionReady', () => {
+            if (this.state.isOpen) {
+                this.refresh();
+            }
+        });
     }
 
     /**
@@ -689,6 +696,94 @@ class SkillDetailModal extends BaseComponent {
         }
     }
 
+    /**
+     * Handle skill evolution
+     * @param {string} targetSkillId - Evolution target
+     */
+    async handleEvolve(targetSkillId) {
+        if (!this.state.skillData || !this.state.skillData.isUnlocked) {
+            return;
+        }
+
+        const sourceSkillId = this.state.currentSkill;
+
+        try {
+            const result = await this.skillSystem.evolveSkill(sourceSkillId, targetSkillId);
+
+            if (result.success) {
+                const targetDef = window.SkillData.SKILL_DEFINITIONS[targetSkillId];
+                this._showNotification(`Evolved into ${targetDef ? targetDef.name : targetSkillId}!`, 'success');
+
+                // The source skill is consumed, show the evolved one
+                this.state.currentSkill = targetSkillId;
+                await this.refresh();
+
+                this.eventManager.emit('skillDetailModal:skillEvolved', {
+                    skillId: sourceSkillId,
+                    targetSkillId,
+                    evolution: result.evolution
+                });
+
+            } else {
+                this._showNotification(result.error, 'error');
+            }
+
+        } catch (error) {
+            console.error('SkillDetailModal: Evolution failed:', error);
+            this._showNotification('Failed to evolve skill', 'error');
+        }
+    }
+
+    /**
+     * Get evolution paths of a skill with the status of each requirement
+     */
+    _getEvolutionPaths(skillId) {
+        return this.skillSystem.getSkillManager().getAvailableEvolutions(skillId);
+    }
+
+    /**
+     * Render evolution paths with their requirement checklist
+     */
+    _renderEvolutionPaths(skill) {
+        const paths = skill.evolutionPaths || [];
+        this.elements.evolutionSection.style.display = paths.length > 0 ? '' : 'none';
+
+        this.elements.evolutionPaths.innerHTML = paths.map(path => {
+            const targetDef = window.SkillData.SKILL_DEFINITIONS[path.target];
+            const canEvolve = path.isAvailable && path.requirementsMet;
+
+            return `
+                <div class="evolution-path ${canEvolve ? 'ready' : ''} ${path.isAvailable ? '' : 'completed'}">
+                    <div class="evolution-target">
+                        <span class="evolution-icon">${targetDef ? targetDef.icon : '❔'}</span>
+                        <span class="evolution-name">${path.targetName}</span>
+                    </div>
+                    <ul class="evolution-requirements">
+                        ${path.progress.map(requirement => `
+                            <li class="evolution-requirement ${requirement.met ? 'met' : 'unmet'}">
+                                <span class="requirement-check">${requirement.met ? '✓' : '✗'}</span>
+                                <span class="requirement-label">${requirement.label}</span>
+                                ${typeof requirement.required === 'number' && requirement.type !== 'skill' ? `
+                                    <span class="requirement-progress">${Math.min(requirement.current, requirement.required)}/${requirement.required}</span>
+                                ` : ''}
+                            </li>
+                        `).join('')}
+                    </ul>
+                    ${path.isAvailable ? `
+                        <button class="btn btn-primary btn-small evolve-skill-btn" data-target="${path.target}"
+                                ${canEvolve ? '' : 'disabled'}>
+                            <span>🧬</span> Evolve
+                        </button>
+                    ` : '<div class="evolution-done">Already unlocked</div>'}
+                </div>
+            `;
+        }).join('');
+
+        this.elements.evolutionPaths.querySelectorAll('.evolve-skill-btn').forEach(button => {
+            button.addEventListener('click', () => this.handleEvolve(button.dataset.target));
+        });
+    }
+
     // Event handlers
     handleBackdropClick(e) {
         if (e.target === this.elements.backdrop) {
@@ -723,14 +818,12 @@ class SkillDetailModal extends BaseComponent {
     _calculateCosts(skillDef, currentLevel) { return { fragments: 10, skillPoints: 5 }; }
     _canAffordCosts(costs) { return true; }
     _canAffordUnlock(skill) { return true; }
-    _getEvolutionPaths(skillId) { return []; }
     _getSkillSynergies(skillId) { return []; }
     _calculateEffectValue(effectData, level) { return 0; }
     _formatCategoryName(category) { return category; }
     _formatEffectName(effectType) { return effectType; }
     _formatEffectValue(value, effectType) { return value.toString(); }
     _renderCosts(skill) { /* Implementation */ }
-    _renderEvolutionPaths(skill) { /* Implementation */ }
     _renderSynergies(skill) { /* Implementation */ }
     _renderTags(skill) { /* Implementation */ }
     _addToLoadout() { /* Implementation */ }
@@ -315,7 +315,7 @@ class SkillTreeComponent extends BaseComponent {
                         </div>
 
                         <div class="synergy-section">
-                            <h3>Active Synergies</h3>
+                            <h3>Synergies</h3>
                             <div class="synergy-list" id="synergy-list">
                                 <div class="no-synergies">
                                     <p>No active synergies</p>
@@ -403,6 +403,14 @@ class SkillTreeComponent extends BaseComponent {
         this.eventManager.on('skillSystem:loadoutChanged', () => {
             this.refreshData();
         });
+
+        this.eventManager.on('skillSystem:skillEvolved', () => {
+            this.refreshData();
+        });
+
+        this.eventManager.on('skillSystem:synergyUnlocked', () => {
+            this._updateSynergyDisplay();
+        });
     }
 
     /**
@@ -609,7 +617,11 @@ class SkillTreeComponent extends BaseComponent {
 
                     <div class="skill-description">${skill.description}</div>
 
-                    ${!skill.isUnlocked ? `
+                    ${!skill.isUnlocked && skill.evolvedFrom ? `
+                        <div class="evolves-from">
+                            🧬 Evolves from ${this.skillData.SKILL_DEFINITIONS[skill.evolvedFrom]?.name || skill.evolvedFrom}
+                        </div>
+                    ` : !skill.isUnlocked ? `
                         <div class="unlock-cost">
                             💎 ${this._getSkillCost(skill.id)} fragments
                         </div>
@@ -678,6 +690,121 @@ class SkillTreeComponent extends BaseComponent {
         });
     }
 
+    /**
+     * Render active synergies, discovered ones the loadout is missing, and how many remain hidden
+     */
+    _updateSynergyDisplay() {
+        if (!this.elements.synergyDisplay || typeof this.skillSystem.getSynergyProgress !== 'function') {
+            return;
+        }
+
+        const synergies = this.skillSystem.getSynergyProgress();
+        const active = synergies.filter(synergy => synergy.isActive);
+        const discovered = synergies.filter(synergy => !synergy.isActive && synergy.isUnlocked);
+        const hiddenCount = synergies.length - active.length - discovered.length;
+
+        const previouslyActive = this.state.activeSynergies || [];
+        this.state.activeSynergies = active.map(synergy => synergy.id);
+        this.state.synergyHighlightsDirty = true;
+
+        if (active.length === 0 && discovered.length === 0) {
+            this.elements.synergyDisplay.innerHTML = `
+                <div class="no-synergies">
+                    <p>No active synergies</p>
+                    <small>Combine compatible skills to unlock powerful synergy effects!</small>
+                </div>
+                ${hiddenCount > 0 ? `<div class="synergy-hidden-count">${hiddenCount} synergies undiscovered</div>` : ''}
+            `;
+            return;
+        }
+
+        this.elements.synergyDisplay.innerHTML = `
+            ${active.map(synergy => this._createSynergyItemHTML(synergy, !previouslyActive.includes(synergy.id))).join('')}
+            ${discovered.map(synergy => this._createSynergyItemHTML(synergy, false)).join('')}
+            ${hiddenCount > 0 ? `<div class="synergy-hidden-count">${hiddenCount} synergies undiscovered</div>` : ''}
+        `;
+    }
+
+    /**
+     * Create HTML for a synergy entry
+     * @param {Object} synergy - Synergy progress from the skill system
+     * @param {boolean} justActivated - Play the activation animation
+     */
+    _createSynergyItemHTML(synergy, justActivated) {
+        const effects = Object.values(synergy.effects || {})
+            .flatMap(categoryEffects => Object.entries(categoryEffects))
+            .map(([effectType, value]) => `
+                <span class="synergy-effect">${this._formatSynergyEffect(effectType, value)}</span>
+            `).join('');
+
+        const missing = synergy.skills.filter(skill => !skill.met).map(skill => `
+            <li class="synergy-requirement">
+                ${skill.name}${skill.isUnlocked && skill.level < skill.requiredLevel ? ` (level ${skill.level}/${skill.requiredLevel})` : ''}
+                ${!skill.isUnlocked ? ' - locked' : !skill.isInLoadout ? ' - not in loadout' : ''}
+            </li>
+        `).join('');
+
+        return `
+            <div class="synergy-item ${synergy.isActive ? 'active' : 'inactive'} ${justActivated ? 'activated' : ''}"
+                 data-synergy-id="${synergy.id}">
+                <div class="synergy-header">
+                    <span class="synergy-icon">${synergy.icon}</span>
+                    <span class="synergy-name">${synergy.name}</span>
+                    ${synergy.isActive ? `<span class="synergy-strength">×${synergy.strength.toFixed(2)}</span>` : ''}
+                </div>
+                <div class="synergy-description">${synergy.description}</div>
+                <div class="synergy-effects">${effects}</div>
+                ${missing ? `<ul class="synergy-requirements">${missing}</ul>` : ''}
+            </div>
+        `;
+    }
+
+    /**
+     * Format a synergy effect value for display
+     */
+    _formatSynergyEffect(effectType, value) {
+        const label = effectType.replace(/([A-Z])/g, ' $1').toLowerCase();
+        return typeof value === 'number' ? `+${Math.round(value * 100)}% ${label}` : label;
+    }
+
+    /**
+     * Mark skill cards that take part in an active synergy
+     */
+    _updateSynergyHighlights() {
+        if (!this.state.synergyHighlightsDirty || !this.elements.skillGrid) {
+            return;
+        }
+        this.state.synergyHighlightsDirty = false;
+
+        const linkedSkills = new Set();
+        for (const synergyId of this.state.activeSynergies || []) {
+            const synergy = this.skillData.SKILL_SYNERGIES[synergyId];
+            (synergy?.requiredSkills || []).forEach(skillId => linkedSkills.add(skillId));
+        }
+
+        this.elements.skillGrid.querySelectorAll('.skill-card').forEach(card => {
+            card.classList.toggle('synergy-linked', linkedSkills.has(card.dataset.skillId));
+        });
+    }
+
+    /**
+     * Apply the component's loadout to the skill system
+     */
+    _updateLoadout() {
+        const result = this.skillSystem.updateLoadout([...this.state.loadout]);
+
+        if (!result.success) {
+            this.state.loadout = this.skillSystem.getCurrentLoadout();
+            this._showNotification(result.error, 'error');
+            return;
+        }
+
+        for (const synergyId of result.synergiesGained || []) {
+            const synergy = this.skillData.SKILL_SYNERGIES[synergyId];
+            this._announceToScreenReader(`Synergy activated: ${synergy ? synergy.name : synergyId}`);
+        }
+    }
+
     /**
      * Additional helper methods for skill management, loadout handling, etc.
      * (Implementation continues with remaining methods...)
@@ -690,12 +817,19 @@ class SkillTreeComponent extends BaseComponent {
     _getSkillCost(skillId) { return 10; }
     _getUpgradeCost(skillId) { return 5; }
     _getMaxLoadoutSize() { return 6; }
-    _updateLoadout() { /* Implementation */ }
     _clearLoadout() { /* Implementation */ }
     _optimizeLoadout() { /* Implementation */ }
     _showNotification(message, type) { /* Implementation */ }
     _announceToScreenReader(message) { /* Implementation */ }
     _createAriaLiveRegion() { /* Implementation */ }
+    _updateProgressAnimations() { /* Implementation */ }
+    _updateLoadoutValidation() { /* Implementation */ }
+    _renderLoadout() { /* Implementation */ }
+    _renderSkillDetails(skill) { /* Implementation */ }
+    _highlightSkillInGrid(skillId) { /* Implementation */ }
+    _setupSkillCardDrag(card) { /* Implementation */ }
+    _handleArrowNavigation(e) { /* Implementation */ }
+    _clearSelection() { /* Implementation */ }
 
     // ... (Additional methods would continue here)
 }
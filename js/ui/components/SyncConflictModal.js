@@ -0,0 +1,284 @@
+/**
+ * SyncConflictModal - Lets the player settle a cloud save conflict
+ * Offers keeping either side whole, or a manual merge that picks each differing state
+ * section from one side. Used as CloudSyncManager's conflict handler.
+ */
+class SyncConflictModal {
+    constructor() {
+        this.conflict = null;
+        this.modalElement = null;
+        this.resolvePrompt = null;
+        this.showMerge = false;
+    }
+
+    /**
+     * Show the modal and wait for the player's decision
+     * @param {Object} conflict - { slot, local, remote, sections } from CloudSyncManager
+     * @returns {Promise<Object>} { resolution, sections? }
+     */
+    prompt(conflict) {
+        SyncConflictModal.injectStyles();
+
+        this.conflict = conflict;
+        this.showMerge = false;
+
+        return new Promise((resolve) => {
+            this.resolvePrompt = resolve;
+            this._render();
+        });
+    }
+
+    /**
+     * Close the modal with a decision
+     * @param {Object} decision - Decision passed back to CloudSyncManager
+     */
+    close(decision) {
+        if (this.modalElement) {
+            this.modalElement.remove();
+            this.modalElement = null;
+        }
+
+        if (this.resolvePrompt) {
+            this.resolvePrompt(decision);
+            this.resolvePrompt = null;
+        }
+    }
+
+    /**
+     * Render the modal UI
+     * @private
+     */
+    _render() {
+        if (this.modalElement) {
+            this.modalElement.remove();
+        }
+
+        const { slot, local, remote, sections } = this.conflict;
+        const modal = document.createElement('div');
+        modal.className = 'sync-conflict-overlay';
+        modal.innerHTML = `
+            <div class="sync-conflict-modal" role="dialog" aria-modal="true" aria-labelledby="sync-conflict-title">
+                <h2 id="sync-conflict-title">Cloud Save Conflict</h2>
+                <p>Slot <strong>${this._escapeHtml(slot)}</strong> was changed on this device and in the cloud since the last sync.</p>
+
+                <div class="sync-conflict-sides">
+                    ${this._renderSide('This device', local.savedAt, local.deviceId)}
+                    ${this._renderSide('Cloud', remote.savedAt, remote.deviceId)}
+                </div>
+
+                ${this.showMerge ? this._renderMergeTable(sections, local.savedAt >= remote.savedAt) : ''}
+
+                <div class="sync-conflict-actions">
+                    ${this.showMerge ? `
+                        <button class="sync-conflict-btn primary" data-action="apply-merge">Apply Merge</button>
+                        <button class="sync-conflict-btn" data-action="back">Back</button>
+                    ` : `
+                        <button class="sync-conflict-btn primary" data-action="local">Keep This Device</button>
+                        <button class="sync-conflict-btn primary" data-action="remote">Keep Cloud Save</button>
+                        <button class="sync-conflict-btn" data-action="merge" ${sections.length === 0 ? 'disabled' : ''}>Merge...</button>
+                        <button class="sync-conflict-btn subtle" data-action="postpone">Decide Later</button>
+                    `}
+                </div>
+            </div>
+        `;
+
+        modal.querySelectorAll('[data-action]').forEach(button => {
+            button.addEventListener('click', () => this._handleAction(button.dataset.action));
+        });
+
+        document.body.appendChild(modal);
+        this.modalElement = modal;
+    }
+
+    /**
+     * @private
+     */
+    _renderSide(label, savedAt, deviceId) {
+        const when = savedAt ? new Date(savedAt).toLocaleString() : 'unknown';
+        return `
+            <div class="sync-conflict-side">
+                <h3>${label}</h3>
+                <div>Saved: ${this._escapeHtml(when)}</div>
+                <div class="sync-conflict-device">${this._escapeHtml(deviceId || '')}</div>
+            </div>
+        `;
+    }
+
+    /**
+     * Render one row per differing section, defaulting to the newer side
+     * @private
+     */
+    _renderMergeTable(sections, localIsNewer) {
+        const rows = sections.map(section => {
+            const name = this._escapeHtml(section);
+            return `
+                <tr>
+                    <td>${name}</td>
+                    <td><input type="radio" name="merge-${name}" value="local" data-section="${name}" ${localIsNewer ? 'checked' : ''}></td>
+                    <td><input type="radio" name="merge-${name}" value="remote" data-section="${name}" ${localIsNewer ? '' : 'checked'}></td>
+                </tr>
+            `;
+        }).join('');
+
+        return `
+            <table class="sync-conflict-merge">
+                <thead><tr><th>Section</th><th>This device</th><th>Cloud</th></tr></thead>
+                <tbody>${rows}</tbody>
+            </table>
+        `;
+    }
+
+    /**
+     * @private
+     */
+    _handleAction(action) {
+        switch (action) {
+            case 'merge':
+                this.showMerge = true;
+                this._render();
+                break;
+            case 'back':
+                this.showMerge = false;
+                this._render();
+                break;
+            case 'apply-merge': {
+                const choices = {};
+                this.modalElement.querySelectorAll('input[type="radio"]:checked').forEach(input => {
+                    choices[input.dataset.section] = input.value;
+                });
+                this.close({ resolution: 'merge', sections: choices });
+                break;
+            }
+            default:
+                this.close({ resolution: action });
+        }
+    }
+
+    /**
+     * Escape HTML to prevent XSS
+     * @private
+     */
+    _escapeHtml(text) {
+        const div = document.createElement('div');
+        div.textContent = String(text);
+        return div.innerHTML;
+    }
+
+    /**
+     * Add CSS styles to the document
+     */
+    static injectStyles() {
+        if (document.getElementById('sync-conflict-modal-styles')) {
+            return;
+        }
+
+        const styles = document.createElement('style');
+        styles.id = 'sync-conflict-modal-styles';
+        styles.textContent = `
+            .sync-conflict-overlay {
+                position: fixed;
+                inset: 0;
+                background: rgba(0, 0, 0, 0.7);
+                display: flex;
+                align-items: center;
+                justify-content: center;
+                z-index: 10000;
+            }
+
+            .sync-conflict-modal {
+                background: var(--bg-secondary, #1a1a1a);
+                border: 2px solid var(--border-color, #444);
+                border-radius: 12px;
+                color: var(--text-primary, #fff);
+                max-width: 560px;
+                width: 90%;
+                max-height: 80vh;
+                overflow-y: auto;
+                padding: 1.5rem;
+            }
+
+            .sync-conflict-modal h2 {
+                margin-top: 0;
+            }
+
+            .sync-conflict-sides {
+                display: grid;
+                grid-template-columns: 1fr 1fr;
+                gap: 1rem;
+                margin: 1rem 0;
+            }
+
+            .sync-conflict-side {
+                border: 1px solid var(--border-color, #444);
+                border-radius: 8px;
+                padding: 0.75rem;
+            }
+
+            .sync-conflict-side h3 {
+                margin: 0 0 0.5rem;
+                font-size: 1rem;
+            }
+
+            .sync-conflict-device {
+                color: var(--text-secondary, #aaa);
+                font-size: 0.8rem;
+                word-break: break-all;
+            }
+
+            .sync-conflict-merge {
+                width: 100%;
+                border-collapse: collapse;
+                margin-bottom: 1rem;
+            }
+
+            .sync-conflict-merge th,
+            .sync-conflict-merge td {
+                padding: 0.35rem;
+                border-bottom: 1px solid var(--border-color, #444);
+                text-align: center;
+            }
+
+            .sync-conflict-merge td:first-child,
+            .sync-conflict-merge th:first-child {
+                text-align: left;
+            }
+
+            .sync-conflict-actions {
+                display: flex;
+                flex-wrap: wrap;
+                gap: 0.5rem;
+            }
+
+            .sync-conflict-btn {
+                padding: 0.5rem 1rem;
+                border-radius: 6px;
+                border: 1px solid var(--border-color, #444);
+                background: var(--bg-tertiary, #2a2a2a);
+                color: inherit;
+                cursor: pointer;
+            }
+
+            .sync-conflict-btn.primary {
+                border-color: var(--accent-color, #d4af37);
+            }
+
+            .sync-conflict-btn.subtle {
+                margin-left: auto;
+                background: none;
+            }
+
+            .sync-conflict-btn:disabled {
+                opacity: 0.5;
+                cursor: not-allowed;
+            }
+        `;
+        document.head.appendChild(styles);
+    }
+}
+
+// Export for ES6 modules and global usage
+if (typeof module !== 'undefined' && module.exports) {
+    module.exports = { SyncConflictModal };
+} else if (typeof window !== 'undefined') {
+    window.SyncConflictModal = SyncConflictModal;
+}
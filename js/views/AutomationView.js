@@ -0,0 +1,555 @@
+/**
+ * AutomationView - Write and order Dao Scripts, the player's automation rules
+ * Lists the rules in priority order with their switches, edits one rule at a time
+ * and shows what the current realm unlocks and what the rules did recently.
+ */
+class AutomationView extends GameView {
+    constructor(container, options = {}) {
+        super(container, options);
+
+        // Bound DaoScriptViewModel
+        this.viewModel = null;
+
+        // UI components
+        this.rulesPanel = null;
+        this.editorPanel = null;
+        this.unlocksPanel = null;
+        this.logPanel = null;
+
+        // Current data
+        this.enabled = false;
+        this.rules = [];
+        this.unlocks = { maxRules: 0, metrics: [], actions: [], next: null };
+        this.log = [];
+        this.catalogue = { metrics: {}, actions: {}, operators: [], maxConditions: 0, minCooldown: 0, defaultCooldown: 0 };
+
+        // Rule being edited, or null when the editor is closed
+        this.draft = null;
+        this.draftErrors = [];
+    }
+
+    /**
+     * Create main content area
+     */
+    createContent() {
+        const content = document.createElement('main');
+        content.className = 'view-content automation-content';
+
+        const layout = document.createElement('div');
+        layout.className = 'automation-layout';
+
+        const leftColumn = document.createElement('div');
+        leftColumn.className = 'automation-left-column';
+
+        const rightColumn = document.createElement('div');
+        rightColumn.className = 'automation-right-column';
+
+        this.rulesPanel = this.createRulesPanel();
+        this.editorPanel = this.createEditorPanel();
+        this.unlocksPanel = this.createPanel('unlocks-panel', 'Realm Unlocks');
+        this.logPanel = this.createPanel('log-panel', 'Recent Activity');
+
+        leftColumn.appendChild(this.rulesPanel);
+        leftColumn.appendChild(this.editorPanel);
+        rightColumn.appendChild(this.unlocksPanel);
+        rightColumn.appendChild(this.logPanel);
+
+        layout.appendChild(leftColumn);
+        layout.appendChild(rightColumn);
+        content.appendChild(layout);
+
+        return content;
+    }
+
+    /**
+     * Create the rule list panel with the master switch
+     */
+    createRulesPanel() {
+        const panel = document.createElement('div');
+        panel.className = 'automation-panel rules-panel';
+
+        const header = document.createElement('div');
+        header.className = 'panel-header';
+        header.innerHTML = `
+            <h3>Dao Scripts</h3>
+            <div class="automation-controls">
+                <label class="automation-master-switch">
+                    <input type="checkbox" class="automation-enabled"> Scripts active
+                </label>
+                <button class="btn btn-primary new-rule-btn">New Rule</button>
+            </div>
+        `;
+
+        const content = document.createElement('div');
+        content.className = 'panel-content rule-list';
+
+        panel.appendChild(header);
+        panel.appendChild(content);
+
+        header.querySelector('.automation-enabled').addEventListener('change', (e) => this.viewModel?.setEnabled(e.target.checked));
+        header.querySelector('.new-rule-btn').addEventListener('click', () => this.editRule(null));
+
+        // One listener for every rule card, since the list is re-rendered on each firing
+        content.addEventListener('click', (e) => {
+            const button = e.target.closest('[data-action]');
+            if (button) {
+                this.handleRuleAction(button.dataset.action, button.dataset.rule);
+            }
+        });
+        content.addEventListener('change', (e) => {
+            if (e.target.matches('.rule-toggle')) {
+                this.viewModel?.setRuleEnabled(e.target.dataset.rule, e.target.checked);
+            }
+        });
+
+        return panel;
+    }
+
+    /**
+     * Create the rule editor panel
+     * Rendered only when the draft changes, so live updates do not reset what the player is typing
+     */
+    createEditorPanel() {
+        const panel = document.createElement('div');
+        panel.className = 'automation-panel editor-panel';
+        panel.style.display = 'none';
+
+        panel.addEventListener('click', (e) => {
+            const button = e.target.closest('[data-editor]');
+            if (button) {
+                this.handleEditorAction(button.dataset.editor, Number(button.dataset.index));
+            }
+        });
+        panel.addEventListener('change', (e) => {
+            if (e.target.matches('[data-field="metric"], [data-field="type"]')) {
+                this.readEditor();
+                this.resetParams(e.target.dataset.scope, Number(e.target.dataset.index));
+                this.renderEditor();
+            }
+        });
+
+        return panel;
+    }
+
+    /**
+     * Create a titled panel with an empty content area
+     */
+    createPanel(className, title) {
+        const panel = document.createElement('div');
+        panel.className = `automation-panel ${className}`;
+        panel.innerHTML = `
+            <h3 class="panel-header">${title}</h3>
+            <div class="panel-content"></div>
+        `;
+        return panel;
+    }
+
+    /**
+     * Load automation data
+     */
+    async loadData() {
+        this.viewModel = window.viewIntegration?.getViewModel(this.viewId) || null;
+
+        if (!this.viewModel || !this.viewModel.isAvailable()) {
+            // The engine starts with the game loop; its events trigger a resync once it does
+            console.warn('AutomationView: Dao Script engine is not available yet');
+            return;
+        }
+
+        this.syncFromViewModel();
+    }
+
+    /**
+     * Copy the view-model snapshot into the view
+     */
+    syncFromViewModel() {
+        if (!this.viewModel?.isAvailable()) return;
+
+        const snapshot = this.viewModel.getSnapshot();
+
+        this.enabled = snapshot.enabled;
+        this.rules = snapshot.rules;
+        this.unlocks = snapshot.unlocks;
+        this.log = snapshot.log;
+        this.catalogue = snapshot.catalogue;
+    }
+
+    /**
+     * Resync when rules fire, change or unlock
+     */
+    onDataUpdate(data) {
+        this.syncFromViewModel();
+        super.onDataUpdate(data);
+    }
+
+    /**
+     * Render view content
+     */
+    renderContent() {
+        this.renderRules();
+        this.renderUnlocks();
+        this.renderLog();
+    }
+
+    /**
+     * Render the rule list
+     */
+    renderRules() {
+        if (!this.rulesPanel) return;
+
+        this.rulesPanel.querySelector('.automation-enabled').checked = this.enabled;
+
+        const newRuleBtn = this.rulesPanel.querySelector('.new-rule-btn');
+        newRuleBtn.disabled = this.rules.length >= this.unlocks.maxRules;
+        newRuleBtn.textContent = `New Rule (${this.rules.length}/${this.unlocks.maxRules})`;
+
+        const list = this.rulesPanel.querySelector('.rule-list');
+        if (this.rules.length === 0) {
+            list.innerHTML = '<div class="empty-state">No scripts yet. Add a rule to automate breakthroughs, crafting and more.</div>';
+            return;
+        }
+
+        list.innerHTML = this.rules.map((rule, index) => this.createRuleCard(rule, index)).join('');
+    }
+
+    /**
+     * Create the markup for one rule
+     */
+    createRuleCard(rule, index) {
+        const id = this.escapeHtml(rule.id);
+        const conditions = rule.conditions.map(condition => this.describeCondition(condition)).join(' and ');
+        const status = rule.locked
+            ? '<span class="rule-status locked">Locked by realm</span>'
+            : `<span class="rule-status">Fired ${rule.fireCount} time${rule.fireCount === 1 ? '' : 's'}</span>`;
+
+        return `
+            <div class="rule-card ${rule.enabled ? '' : 'disabled'} ${rule.locked ? 'locked' : ''}">
+                <div class="rule-header">
+                    <label>
+                        <input type="checkbox" class="rule-toggle" data-rule="${id}" ${rule.enabled ? 'checked' : ''}>
+                        <strong>${index + 1}. ${this.escapeHtml(rule.name)}</strong>
+                    </label>
+                    ${status}
+                </div>
+                <div class="rule-summary">
+                    When ${conditions}, ${this.escapeHtml(this.describeAction(rule.action))}
+                    <span class="rule-cooldown">(every ${rule.cooldown}s at most)</span>
+                </div>
+                <div class="rule-actions">
+                    <button class="btn btn-small" data-action="up" data-rule="${id}" ${index === 0 ? 'disabled' : ''}>Up</button>
+                    <button class="btn btn-small" data-action="down" data-rule="${id}" ${index === this.rules.length - 1 ? 'disabled' : ''}>Down</button>
+                    <button class="btn btn-small" data-action="edit" data-rule="${id}">Edit</button>
+                    <button class="btn btn-small btn-danger" data-action="delete" data-rule="${id}">Delete</button>
+                </div>
+            </div>
+        `;
+    }
+
+    /**
+     * Render what the realm allows now and what the next realm adds
+     */
+    renderUnlocks() {
+        if (!this.unlocksPanel) return;
+
+        const metricNames = ids => ids.map(id => this.catalogue.metrics[id]?.name || id).join(', ') || 'none';
+        const actionNames = ids => ids.map(id => this.catalogue.actions[id]?.name || id).join(', ') || 'none';
+        const next = this.unlocks.next;
+
+        this.unlocksPanel.querySelector('.panel-content').innerHTML = `
+            <div class="unlock-current">
+                <div><strong>Rule slots:</strong> ${this.unlocks.maxRules}</div>
+                <div><strong>Conditions:</strong> ${metricNames(this.unlocks.metrics)}</div>
+                <div><strong>Actions:</strong> ${actionNames(this.unlocks.actions)}</div>
+            </div>
+            ${next ? `
+                <div class="unlock-next">
+                    <div><strong>At ${next.realm}:</strong> ${next.maxRules} rule slots</div>
+                    ${next.metrics.length > 0 ? `<div>New conditions: ${metricNames(next.metrics)}</div>` : ''}
+                    ${next.actions.length > 0 ? `<div>New actions: ${actionNames(next.actions)}</div>` : ''}
+                </div>
+            ` : '<div class="unlock-next">Every script feature is unlocked.</div>'}
+        `;
+    }
+
+    /**
+     * Render recent rule firings
+     */
+    renderLog() {
+        if (!this.logPanel) return;
+
+        const content = this.logPanel.querySelector('.panel-content');
+        if (this.log.length === 0) {
+            content.innerHTML = '<div class="empty-state">Nothing has fired yet.</div>';
+            return;
+        }
+
+        content.innerHTML = this.log.map(entry => `
+            <div class="log-entry ${entry.success ? 'success' : 'failed'}">
+                <span class="log-time">${new Date(entry.at).toLocaleTimeString()}${entry.offline ? ' (offline)' : ''}</span>
+                <span class="log-rule">${this.escapeHtml(entry.ruleName)}</span>
+                <span class="log-result">${entry.success ? 'done' : this.escapeHtml(this.formatReason(entry.reason))}</span>
+            </div>
+        `).join('');
+    }
+
+    /**
+     * Render the rule editor from the draft
+     */
+    renderEditor() {
+        if (!this.editorPanel) return;
+
+        if (!this.draft) {
+            this.editorPanel.style.display = 'none';
+            this.editorPanel.innerHTML = '';
+            return;
+        }
+
+        const draft = this.draft;
+        const canAddCondition = draft.conditions.length < this.catalogue.maxConditions;
+
+        this.editorPanel.style.display = 'block';
+        this.editorPanel.innerHTML = `
+            <h3 class="panel-header">${draft.id ? 'Edit Rule' : 'New Rule'}</h3>
+            <div class="panel-content">
+                ${this.draftErrors.length > 0 ? `
+                    <ul class="editor-errors">${this.draftErrors.map(error => `<li>${this.escapeHtml(error)}</li>`).join('')}</ul>
+                ` : ''}
+                <div class="editor-row">
+                    <label>Name <input type="text" data-scope="rule" data-field="name" value="${this.escapeHtml(draft.name)}"></label>
+                    <label>Cooldown (s) <input type="number" min="${this.catalogue.minCooldown}" data-scope="rule" data-field="cooldown" value="${draft.cooldown}"></label>
+                </div>
+                <h4>When</h4>
+                ${draft.conditions.map((condition, index) => this.createConditionRow(condition, index)).join('')}
+                <button class="btn btn-small" data-editor="add-condition" ${canAddCondition ? '' : 'disabled'}>Add Condition</button>
+                <h4>Then</h4>
+                <div class="editor-row">
+                    ${this.createSelect('action', 0, 'type', this.unlocks.actions.map(id => [id, this.catalogue.actions[id]?.name || id]), draft.action.type)}
+                    ${this.createParamInputs('action', 0, this.catalogue.actions[draft.action.type]?.params || {}, draft.action)}
+                </div>
+                <div class="editor-actions">
+                    <button class="btn btn-primary" data-editor="save">Save</button>
+                    <button class="btn btn-secondary" data-editor="cancel">Cancel</button>
+                </div>
+            </div>
+        `;
+    }
+
+    /**
+     * Create the inputs for one condition
+     */
+    createConditionRow(condition, index) {
+        const metrics = this.unlocks.metrics.map(id => [id, this.catalogue.metrics[id]?.name || id]);
+        const operators = this.catalogue.operators.map(op => [op, op]);
+
+        return `
+            <div class="editor-row condition-row">
+                ${this.createSelect('condition', index, 'metric', metrics, condition.metric)}
+                ${this.createParamInputs('condition', index, this.catalogue.metrics[condition.metric]?.params || {}, condition)}
+                ${this.createSelect('condition', index, 'op', operators, condition.op)}
+                <input type="number" step="any" data-scope="condition" data-index="${index}" data-field="value" value="${condition.value}">
+                <button class="btn btn-small" data-editor="remove-condition" data-index="${index}" ${this.draft.conditions.length > 1 ? '' : 'disabled'}>Remove</button>
+            </div>
+        `;
+    }
+
+    /**
+     * Create the inputs for a condition's or action's parameters
+     */
+    createParamInputs(scope, index, params, values) {
+        return Object.entries(params).map(([param, allowed]) => {
+            if (Array.isArray(allowed)) {
+                return this.createSelect(scope, index, param, allowed.map(value => [value, this.capitalizeFirst(value)]), values[param]);
+            }
+
+            const type = allowed === 'integer' ? 'number' : 'text';
+            const value = values[param] === undefined ? '' : this.escapeHtml(values[param]);
+            return `<input type="${type}" ${type === 'number' ? 'min="1"' : ''} placeholder="${param}"
+                data-scope="${scope}" data-index="${index}" data-field="${param}" value="${value}">`;
+        }).join('');
+    }
+
+    /**
+     * Create a select for the editor
+     */
+    createSelect(scope, index, field, options, selected) {
+        return `
+            <select data-scope="${scope}" data-index="${index}" data-field="${field}">
+                ${options.map(([value, label]) => `
+                    <option value="${this.escapeHtml(value)}" ${value === selected ? 'selected' : ''}>${this.escapeHtml(label)}</option>
+                `).join('')}
+            </select>
+        `;
+    }
+
+    /**
+     * Open the editor on a rule, or on a new rule when ruleId is null
+     */
+    editRule(ruleId) {
+        const rule = ruleId ? this.rules.find(entry => entry.id === ruleId) : null;
+
+        if (rule) {
+            this.draft = {
+                id: rule.id,
+                name: rule.name,
+                cooldown: rule.cooldown,
+                conditions: rule.conditions.map(condition => ({ ...condition })),
+                action: { ...rule.action }
+            };
+        } else {
+            this.draft = {
+                id: null,
+                name: `Script ${this.rules.length + 1}`,
+                cooldown: this.catalogue.defaultCooldown,
+                conditions: [{ metric: this.unlocks.metrics[0], op: '>=', value: 0 }],
+                action: { type: this.unlocks.actions[0] }
+            };
+            this.resetParams('condition', 0);
+            this.resetParams('action', 0);
+        }
+
+        this.draftErrors = [];
+        this.renderEditor();
+    }
+
+    handleRuleAction(action, ruleId) {
+        switch (action) {
+            case 'up':
+                this.viewModel?.moveRule(ruleId, -1);
+                break;
+            case 'down':
+                this.viewModel?.moveRule(ruleId, 1);
+                break;
+            case 'edit':
+                this.editRule(ruleId);
+                break;
+            case 'delete': {
+                const rule = this.rules.find(entry => entry.id === ruleId);
+                if (rule && confirm(`Delete the script "${rule.name}"?`)) {
+                    this.viewModel?.removeRule(ruleId);
+                    if (this.draft?.id === ruleId) {
+                        this.draft = null;
+                        this.renderEditor();
+                    }
+                }
+                break;
+            }
+        }
+    }
+
+    handleEditorAction(action, index) {
+        switch (action) {
+            case 'add-condition':
+                this.readEditor();
+                this.draft.conditions.push({ metric: this.unlocks.metrics[0], op: '>=', value: 0 });
+                this.resetParams('condition', this.draft.conditions.length - 1);
+                break;
+            case 'remove-condition':
+                this.readEditor();
+                this.draft.conditions.splice(index, 1);
+                break;
+            case 'save':
+                this.saveDraft();
+                return;
+            case 'cancel':
+                this.draft = null;
+                break;
+        }
+
+        this.draftErrors = [];
+        this.renderEditor();
+    }
+
+    saveDraft() {
+        this.readEditor();
+
+        const result = this.viewModel?.saveRule(this.draft) || { success: false, reason: 'automation_unavailable' };
+        if (result.success) {
+            this.showNotification(`Saved ${result.rule.name}`, 'success');
+            this.draft = null;
+            this.draftErrors = [];
+        } else {
+            this.draftErrors = result.errors || [this.formatReason(result.reason)];
+        }
+
+        this.renderEditor();
+    }
+
+    /**
+     * Copy the editor's inputs back into the draft
+     */
+    readEditor() {
+        if (!this.draft || !this.editorPanel) return;
+
+        this.editorPanel.querySelectorAll('[data-field]').forEach(input => {
+            const field = input.dataset.field;
+            const target = input.dataset.scope === 'rule' ? this.draft :
+                input.dataset.scope === 'action' ? this.draft.action :
+                    this.draft.conditions[Number(input.dataset.index)];
+            if (target) {
+                target[field] = input.type === 'number' ? Number(input.value) : input.value;
+            }
+        });
+    }
+
+    /**
+     * Replace a condition's or the action's parameters with the first allowed values for its type
+     */
+    resetParams(scope, index) {
+        const item = scope === 'action' ? this.draft.action : this.draft.conditions[index];
+        const definition = scope === 'action' ? this.catalogue.actions[item.type] : this.catalogue.metrics[item.metric];
+        const base = scope === 'action' ? { type: item.type } : { metric: item.metric, op: item.op, value: item.value };
+
+        for (const [param, allowed] of Object.entries(definition?.params || {})) {
+            base[param] = Array.isArray(allowed) ? allowed[0] : allowed === 'integer' ? 1 : '';
+        }
+
+        if (scope === 'action') {
+            this.draft.action = base;
+        } else {
+            this.draft.conditions[index] = base;
+        }
+    }
+
+    /**
+     * Utility methods
+     */
+    describeCondition(condition) {
+        const metric = this.catalogue.metrics[condition.metric];
+        const params = Object.keys(metric?.params || {}).map(param => condition[param]).filter(Boolean);
+        const label = `${metric?.name || condition.metric}${params.length > 0 ? ` [${params.join(', ')}]` : ''}`;
+        return `${this.escapeHtml(label)} ${this.escapeHtml(condition.op)} ${condition.value}`;
+    }
+
+    describeAction(action) {
+        const definition = this.catalogue.actions[action.type];
+        const params = Object.keys(definition?.params || {}).map(param => action[param]).filter(value => value !== undefined);
+        return `${(definition?.name || action.type).toLowerCase()}${params.length > 0 ? ` (${params.join(', ')})` : ''}`;
+    }
+
+    formatReason(reason) {
+        return reason ? this.capitalizeFirst(String(reason).replace(/_/g, ' ')) : 'Failed';
+    }
+
+    capitalizeFirst(str) {
+        return str.charAt(0).toUpperCase() + str.slice(1);
+    }
+
+    showNotification(message, type = 'info') {
+        const notification = document.createElement('div');
+        notification.className = `notification notification-${type}`;
+        notification.textContent = message;
+
+        document.body.appendChild(notification);
+
+        setTimeout(() => {
+            notification.remove();
+        }, 3000);
+    }
+}
+
+// Export for ES6 modules and global usage
+if (typeof module !== 'undefined' && module.exports) {
+    module.exports = { AutomationView };
+} else if (typeof window !== 'undefined') {
+    window.AutomationView = AutomationView;
+}
@@ -6,11 +6,8 @@ class CombatView extends GameView {
     constructor(container, options = {}) {
         super(container, options);
 
-        // System references
-        this.combatSystem = null;
-        this.duelManager = null;
-        this.tournamentSystem = null;
-        this.rankingSystem = null;
+        // Bound CombatViewModel
+        this.viewModel = null;
 
         // UI components
         this.combatStatusPanel = null;
@@ -18,18 +15,27 @@ class CombatView extends GameView {
         this.combatLogPanel = null;
         this.rankingsPanel = null;
         this.tournamentPanel = null;
+        this.replayPanel = null;
 
         // Current data
         this.playerStats = null;
+        this.opponents = null;
         this.currentOpponent = null;
         this.combatHistory = [];
         this.rankings = null;
         this.tournaments = null;
+        this.replays = [];
 
         // Combat state
         this.isInCombat = false;
-        this.activeDuel = null;
         this.selectedOpponent = null;
+        this.logFilter = 'all';
+        this.turnTimer = null;
+        this.activeTab = 'duel';
+
+        // Replay playback: { replay, index, playing, speed }; index -1 is the opening state
+        this.replayPlayback = null;
+        this.replayTimer = null;
 
         this.refreshRate = 1000; // 1 second for combat updates
     }
@@ -63,11 +69,13 @@ class CombatView extends GameView {
         this.combatLogPanel = this.createCombatLogPanel();
         this.rankingsPanel = this.createRankingsPanel();
         this.tournamentPanel = this.createTournamentPanel();
+        this.replayPanel = this.createReplayPanel();
 
         // Organize panels
         leftColumn.appendChild(this.combatStatusPanel);
         leftColumn.appendChild(this.opponentPanel);
         leftColumn.appendChild(this.combatLogPanel);
+        leftColumn.appendChild(this.replayPanel);
 
         rightColumn.appendChild(this.rankingsPanel);
         rightColumn.appendChild(this.tournamentPanel);
@@ -89,7 +97,8 @@ class CombatView extends GameView {
         const tabs = [
             { id: 'duel', label: 'Dueling', icon: 'icon-swords' },
             { id: 'tournament', label: 'Tournaments', icon: 'icon-trophy' },
-            { id: 'rankings', label: 'Rankings', icon: 'icon-leaderboard' }
+            { id: 'rankings', label: 'Rankings', icon: 'icon-leaderboard' },
+            { id: 'replays', label: 'Replays', icon: 'icon-scroll' }
         ];
 
         tabs.forEach(tab => {
@@ -156,6 +165,7 @@ class CombatView extends GameView {
                     <span class="icon-refresh"></span> Refresh
                 </button>
                 <select class="difficulty-select">
+                    <option value="all">All Opponents</option>
                     <option value="easy">Easy Opponents</option>
                     <option value="medium">Medium Opponents</option>
                     <option value="hard">Hard Opponents</option>
@@ -294,7 +304,7 @@ class CombatView extends GameView {
 
         // Add event listeners
         const typeSelect = header.querySelector('.ranking-type');
-        typeSelect.addEventListener('change', (e) => this.loadRankings(e.target.value));
+        typeSelect.addEventListener('change', (e) => this.setRankingType(e.target.value));
 
         return panel;
     }
@@ -346,10 +356,75 @@ class CombatView extends GameView {
         return panel;
     }
 
+    /**
+     * Create replay panel
+     */
+    createReplayPanel() {
+        const panel = document.createElement('div');
+        panel.className = 'combat-panel replay-panel';
+
+        const header = document.createElement('h3');
+        header.className = 'panel-header';
+        header.innerHTML = '<span class="icon-scroll"></span> Combat Replays';
+
+        const content = document.createElement('div');
+        content.className = 'panel-content replay-content';
+
+        const speeds = window.COMBAT_REPLAY_CONFIG?.playbackSpeeds || [0.5, 1, 2, 4];
+
+        content.innerHTML = `
+            <div class="replay-player" style="display: none;">
+                <div class="replay-title"></div>
+                <div class="replay-combatants">
+                    <div class="replay-combatant" data-side="player"></div>
+                    <div class="replay-combatant" data-side="opponent"></div>
+                </div>
+                <div class="replay-event"></div>
+                <div class="replay-controls">
+                    <button class="btn btn-secondary replay-restart-btn" title="Restart">&#9198;</button>
+                    <button class="btn btn-secondary replay-back-btn" title="Step back">&#9664;</button>
+                    <button class="btn btn-primary replay-play-btn">Play</button>
+                    <button class="btn btn-secondary replay-step-btn" title="Step forward">&#9654;</button>
+                    <select class="replay-speed">
+                        ${speeds.map(speed => `<option value="${speed}" ${speed === 1 ? 'selected' : ''}>${speed}x</option>`).join('')}
+                    </select>
+                    <span class="replay-progress"></span>
+                </div>
+                <input type="range" class="replay-scrubber" min="0" max="0" value="0">
+                <div class="replay-timeline"></div>
+            </div>
+            <div class="replay-share" style="display: none;">
+                <label>Share code</label>
+                <textarea class="replay-share-code" readonly rows="3"></textarea>
+            </div>
+            <div class="replay-import">
+                <textarea class="replay-import-code" rows="2" placeholder="Paste a replay code"></textarea>
+                <button class="btn btn-secondary replay-import-btn">Import</button>
+            </div>
+            <div class="replay-list"></div>
+        `;
+
+        panel.appendChild(header);
+        panel.appendChild(content);
+
+        // Add event listeners
+        content.querySelector('.replay-restart-btn').addEventListener('click', () => this.seekReplay(-1));
+        content.querySelector('.replay-back-btn').addEventListener('click', () => this.stepReplay(-1));
+        content.querySelector('.replay-play-btn').addEventListener('click', () => this.toggleReplayPlayback());
+        content.querySelector('.replay-step-btn').addEventListener('click', () => this.stepReplay(1));
+        content.querySelector('.replay-speed').addEventListener('change', (e) => this.setReplaySpeed(parseFloat(e.target.value)));
+        content.querySelector('.replay-scrubber').addEventListener('input', (e) => this.seekReplay(parseInt(e.target.value, 10) - 1));
+        content.querySelector('.replay-import-btn').addEventListener('click', () => this.importReplay());
+
+        return panel;
+    }
+
     /**
      * Switch between tabs
      */
     switchTab(tabId) {
+        this.activeTab = tabId;
+
         // Update tab buttons
         const tabButtons = this.element.querySelectorAll('.tab-button');
         tabButtons.forEach(button => {
@@ -367,11 +442,12 @@ class CombatView extends GameView {
         const panels = {
             duel: [this.combatStatusPanel, this.opponentPanel, this.combatLogPanel],
             tournament: [this.combatStatusPanel, this.tournamentPanel],
-            rankings: [this.rankingsPanel]
+            rankings: [this.rankingsPanel],
+            replays: [this.replayPanel]
         };
 
         // Hide all panels
-        [this.combatStatusPanel, this.opponentPanel, this.combatLogPanel, this.rankingsPanel, this.tournamentPanel]
+        [this.combatStatusPanel, this.opponentPanel, this.combatLogPanel, this.rankingsPanel, this.tournamentPanel, this.replayPanel]
             .forEach(panel => panel.style.display = 'none');
 
         // Show panels for current tab
@@ -383,127 +459,49 @@ class CombatView extends GameView {
      * Load combat data
      */
     async loadData() {
-        try {
-            // Get system references
-            this.combatSystem = window.game?.moduleManager?.getModule('combat')?.combatSystem;
-            this.duelManager = window.duelManager; // Placeholder
-            this.tournamentSystem = window.tournamentSystem; // Placeholder
-            this.rankingSystem = window.rankingSystem; // Placeholder
+        this.viewModel = window.viewIntegration?.getViewModel(this.viewId) || null;
 
-            // Load player combat stats
-            this.playerStats = this.combatSystem?.getPlayerStats() || this.createMockPlayerStats();
-
-            // Load opponents
-            this.refreshOpponents();
-
-            // Load rankings
-            this.loadRankings('power');
-
-            // Load tournaments
-            this.loadTournaments();
-
-            console.log('CombatView: Data loaded successfully');
-
-        } catch (error) {
-            console.error('CombatView: Failed to load data', error);
-            this.createMockData();
+        if (!this.viewModel || !this.viewModel.isAvailable()) {
+            // Panels stay empty until the combat module loads and its events trigger a resync
+            console.warn('CombatView: Combat systems are not available yet');
+            return;
         }
+
+        this.syncFromViewModel();
     }
 
     /**
-     * Create mock data for development
+     * Copy the view-model snapshot into the view
      */
-    createMockData() {
-        this.playerStats = this.createMockPlayerStats();
-        this.createMockOpponents();
-        this.createMockRankings();
-        this.createMockTournaments();
-    }
-
-    createMockPlayerStats() {
-        return {
-            name: 'Player',
-            level: 25,
-            power: 1250,
-            health: 100,
-            maxHealth: 100,
-            attack: 85,
-            defense: 70,
-            speed: 60,
-            wins: 23,
-            losses: 7,
-            winStreak: 3,
-            rank: 847,
-            tournamentPoints: 1520
-        };
-    }
-
-    createMockOpponents() {
-        this.opponents = [
-            {
-                id: 'npc1',
-                name: 'Iron Fist Zhang',
-                level: 23,
-                power: 1100,
-                difficulty: 'easy',
-                winRate: 0.65,
-                reward: { experience: 150, jade: 50 }
-            },
-            {
-                id: 'npc2',
-                name: 'Swift Blade Li',
-                level: 26,
-                power: 1300,
-                difficulty: 'medium',
-                winRate: 0.55,
-                reward: { experience: 200, jade: 80 }
-            },
-            {
-                id: 'npc3',
-                name: 'Demon Crusher Wang',
-                level: 30,
-                power: 1800,
-                difficulty: 'hard',
-                winRate: 0.35,
-                reward: { experience: 300, jade: 150 }
-            }
-        ];
-    }
+    syncFromViewModel() {
+        if (!this.viewModel?.isAvailable()) return;
+
+        const snapshot = this.viewModel.getSnapshot();
+
+        this.playerStats = snapshot.playerStats;
+        this.opponents = snapshot.opponents;
+        this.rankings = snapshot.rankings;
+        this.tournaments = snapshot.tournaments;
+        this.combatHistory = snapshot.combatLog;
+        this.replays = snapshot.replays || [];
+        this.isInCombat = snapshot.isInCombat;
+        this.currentOpponent = snapshot.isInCombat ? snapshot.combat.opponent : null;
+
+        if (this.selectedOpponent && !this.opponents.some(opponent => opponent.id === this.selectedOpponent.id)) {
+            this.selectedOpponent = null;
+        }
 
-    createMockRankings() {
-        this.rankings = Array.from({ length: 20 }, (_, i) => ({
-            rank: i + 1,
-            name: `Player ${i + 1}`,
-            level: 20 + Math.floor(Math.random() * 20),
-            power: 1000 + Math.floor(Math.random() * 2000),
-            wins: Math.floor(Math.random() * 100),
-            winRate: (Math.random() * 0.4 + 0.4).toFixed(2)
-        }));
+        if (this.isInCombat && snapshot.combat.currentTurn === 'player') {
+            this.scheduleTurn();
+        }
     }
 
-    createMockTournaments() {
-        this.tournaments = [
-            {
-                id: 'weekly',
-                name: 'Weekly Arena',
-                type: 'elimination',
-                status: 'active',
-                timeLeft: 3600 * 24 * 2, // 2 days
-                participants: 128,
-                maxParticipants: 128,
-                reward: { jade: 1000, crystals: 50 }
-            },
-            {
-                id: 'monthly',
-                name: 'Grand Championship',
-                type: 'league',
-                status: 'registration',
-                timeLeft: 3600 * 24 * 7, // 7 days
-                participants: 45,
-                maxParticipants: 256,
-                reward: { jade: 5000, crystals: 200, title: 'Champion' }
-            }
-        ];
+    /**
+     * Resync from the combat systems when they report changes
+     */
+    onDataUpdate(data) {
+        this.syncFromViewModel();
+        super.onDataUpdate(data);
     }
 
     /**
@@ -515,7 +513,8 @@ class CombatView extends GameView {
         this.renderCombatLog();
         this.renderRankings();
         this.renderTournaments();
-        this.updatePanelVisibility('duel');
+        this.renderReplays();
+        this.updatePanelVisibility(this.activeTab);
     }
 
     /**
@@ -560,12 +559,19 @@ class CombatView extends GameView {
             <div class="health-bar">
                 <div class="health-label">Health</div>
                 <div class="health-progress">
-                    <div class="health-fill" style="width: ${(this.playerStats.health / this.playerStats.maxHealth) * 100}%"></div>
+                    <div class="health-fill" style="width: ${this.playerStats.maxHealth ? (this.playerStats.health / this.playerStats.maxHealth) * 100 : 0}%"></div>
                     <div class="health-text">${this.playerStats.health}/${this.playerStats.maxHealth}</div>
                 </div>
             </div>
         `;
 
+        // Duel controls follow the combat state
+        const challengeBtn = this.opponentPanel.querySelector('.challenge-btn');
+        const retreatBtn = this.opponentPanel.querySelector('.retreat-btn');
+        challengeBtn.style.display = this.isInCombat ? 'none' : 'inline-block';
+        challengeBtn.disabled = !this.selectedOpponent;
+        retreatBtn.style.display = this.isInCombat ? 'inline-block' : 'none';
+
         // Match status
         if (this.isInCombat) {
             matchStatus.innerHTML = `
@@ -603,6 +609,11 @@ class CombatView extends GameView {
 
         opponentList.innerHTML = '';
 
+        if (this.opponents.length === 0) {
+            opponentList.innerHTML = '<div class="empty-opponents">No opponents at this difficulty</div>';
+            return;
+        }
+
         this.opponents.forEach(opponent => {
             const opponentElement = this.createOpponentCard(opponent);
             opponentList.appendChild(opponentElement);
@@ -633,12 +644,12 @@ class CombatView extends GameView {
             </div>
             <div class="opponent-rewards">
                 <div class="reward-item">
-                    <span class="icon-experience"></span>
-                    <span>${opponent.reward.experience} XP</span>
+                    <span class="icon-jade"></span>
+                    <span>~${opponent.reward.jade} Jade</span>
                 </div>
                 <div class="reward-item">
-                    <span class="icon-jade"></span>
-                    <span>${opponent.reward.jade} Jade</span>
+                    <span class="icon-crystals"></span>
+                    <span>~${opponent.reward.spiritCrystals} Crystals</span>
                 </div>
             </div>
         `;
@@ -658,14 +669,25 @@ class CombatView extends GameView {
         const logList = this.combatLogPanel.querySelector('.combat-log-list');
         if (!logList) return;
 
-        if (this.combatHistory.length === 0) {
+        const filters = {
+            attacks: ['attack', 'defense'],
+            damage: ['attack', 'defense'],
+            results: ['combat-start', 'victory', 'defeat', 'retreat', 'reward']
+        };
+        const entries = this.combatHistory.filter(entry => {
+            if (this.logFilter === 'all') return true;
+            if (this.logFilter === 'damage' && !entry.damage) return false;
+            return filters[this.logFilter]?.includes(entry.type);
+        });
+
+        if (entries.length === 0) {
             logList.innerHTML = '<div class="empty-log">No combat history</div>';
             return;
         }
 
         logList.innerHTML = '';
 
-        this.combatHistory.slice(-20).forEach(entry => {
+        entries.slice(-20).forEach(entry => {
             const logEntry = this.createLogEntry(entry);
             logList.appendChild(logEntry);
         });
@@ -708,7 +730,7 @@ class CombatView extends GameView {
                 <div class="rank-number">#${this.playerStats.rank}</div>
                 <div class="rank-details">
                     <div class="player-name">${this.playerStats.name}</div>
-                    <div class="player-power">${this.formatNumber(this.playerStats.power)} Power</div>
+                    <div class="player-power">${this.formatNumber(this.playerStats.rating)} Rating · ${this.playerStats.tier}</div>
                 </div>
             </div>
         `;
@@ -727,15 +749,15 @@ class CombatView extends GameView {
      */
     createRankEntry(player) {
         const entry = document.createElement('div');
-        entry.className = 'rank-entry';
+        entry.className = `rank-entry ${player.isPlayer ? 'is-player' : ''}`;
 
         entry.innerHTML = `
             <div class="rank-position">#${player.rank}</div>
             <div class="rank-info">
                 <div class="player-name">${player.name}</div>
                 <div class="player-stats">
-                    <span class="power">${this.formatNumber(player.power)} Power</span>
-                    <span class="level">Level ${player.level}</span>
+                    <span class="power">${this.formatNumber(player.power)} Rating</span>
+                    <span class="level">${player.level}</span>
                     <span class="wins">${player.wins} Wins</span>
                 </div>
             </div>
@@ -754,6 +776,11 @@ class CombatView extends GameView {
 
         tournamentsList.innerHTML = '';
 
+        if (this.tournaments.length === 0) {
+            tournamentsList.innerHTML = '<div class="empty-tournaments">No tournaments scheduled</div>';
+            return;
+        }
+
         this.tournaments.forEach(tournament => {
             const tournamentCard = this.createTournamentCard(tournament);
             tournamentsList.appendChild(tournamentCard);
@@ -791,7 +818,7 @@ class CombatView extends GameView {
             <div class="tournament-rewards">
                 <h5>Rewards:</h5>
                 <div class="reward-list">
-                    ${Object.entries(tournament.reward).map(([type, amount]) => `
+                    ${Object.entries(tournament.reward).filter(([, amount]) => typeof amount !== 'object').map(([type, amount]) => `
                         <div class="reward-item">
                             <span class="icon-${type}"></span>
                             <span>${amount}</span>
@@ -819,14 +846,232 @@ class CombatView extends GameView {
         return card;
     }
 
+    /**
+     * Render the list of recorded fights
+     * The player is left alone so a refresh doesn't interrupt playback
+     */
+    renderReplays() {
+        const replayList = this.replayPanel.querySelector('.replay-list');
+        if (!replayList) return;
+
+        replayList.innerHTML = '';
+
+        if (this.replays.length === 0) {
+            replayList.innerHTML = '<div class="empty-replays">No recorded fights yet</div>';
+            return;
+        }
+
+        this.replays.forEach(replay => {
+            replayList.appendChild(this.createReplayEntry(replay));
+        });
+    }
+
+    /**
+     * Create replay list entry
+     */
+    createReplayEntry(replay) {
+        const entry = document.createElement('div');
+        const watching = this.replayPlayback?.replay.id === replay.id;
+        entry.className = `replay-entry result-${replay.result}${watching ? ' watching' : ''}`;
+
+        entry.innerHTML = `
+            <div class="replay-entry-info">
+                <div class="replay-entry-title">
+                    ${this.escapeHtml(replay.player.name)} vs ${this.escapeHtml(replay.opponent.name)}
+                    ${replay.imported ? '<span class="replay-imported">Shared</span>' : ''}
+                </div>
+                <div class="replay-entry-meta">
+                    <span class="replay-result ${this.escapeHtml(replay.result)}">${this.escapeHtml(this.formatReplayResult(replay.result))}</span>
+                    <span>${replay.turns} turns</span>
+                    <span>${new Date(replay.startTime).toLocaleString()}</span>
+                </div>
+            </div>
+            <div class="replay-entry-actions">
+                <button class="btn btn-primary watch-replay-btn">Watch</button>
+                <button class="btn btn-secondary share-replay-btn">Share</button>
+            </div>
+        `;
+
+        entry.querySelector('.watch-replay-btn').addEventListener('click', () => this.openReplay(replay.id));
+        entry.querySelector('.share-replay-btn').addEventListener('click', () => this.exportReplay(replay.id));
+
+        return entry;
+    }
+
+    /**
+     * Show the recorded fight at the current playback position
+     */
+    renderReplayFrame() {
+        const playback = this.replayPlayback;
+        const player = this.replayPanel.querySelector('.replay-player');
+        if (!playback) {
+            player.style.display = 'none';
+            return;
+        }
+
+        const { replay, index } = playback;
+        const state = this.getReplayFrameState(replay, index);
+        const event = replay.events[index];
+
+        player.style.display = 'block';
+        player.querySelector('.replay-title').textContent =
+            `${replay.combatants.player.name} vs ${replay.combatants.opponent.name} - ${this.formatReplayResult(replay.result)}`;
+
+        ['player', 'opponent'].forEach((side, sideIndex) => {
+            const combatant = replay.combatants[side];
+            const health = state.health[sideIndex];
+            const qi = state.qi[sideIndex];
+            const goesFirst = replay.turnOrder[0] === side;
+
+            player.querySelector(`.replay-combatant[data-side="${side}"]`).innerHTML = `
+                <div class="replay-combatant-name">
+                    ${this.escapeHtml(combatant.name)}
+                    ${goesFirst ? '<span class="replay-first" title="Acts first">1st</span>' : ''}
+                </div>
+                <div class="replay-combatant-power">Power ${this.formatNumber(combatant.power)} · Initiative ${combatant.initiative}</div>
+                <div class="health-progress">
+                    <div class="health-fill" style="width: ${(health / combatant.maxHealth) * 100}%"></div>
+                    <div class="health-text">${health}/${combatant.maxHealth}</div>
+                </div>
+                <div class="replay-qi">
+                    <div class="replay-qi-fill" style="width: ${combatant.maxQi ? (qi / combatant.maxQi) * 100 : 0}%"></div>
+                </div>
+                <div class="replay-effects">
+                    ${state.effects[side].map(effectId => `<span class="replay-effect">${this.escapeHtml(this.getStatusEffectName(effectId))}</span>`).join('')}
+                </div>
+            `;
+        });
+
+        player.querySelector('.replay-event').textContent = event ?
+            `Turn ${event.t}: ${this.describeReplayEvent(event, replay)}` :
+            `${replay.combatants[replay.turnOrder[0]]?.name || 'The faster fighter'} acts first`;
+
+        player.querySelector('.replay-play-btn').textContent = playback.playing ? 'Pause' : 'Play';
+        player.querySelector('.replay-progress').textContent =
+            `${index + 1}/${replay.events.length}${replay.truncated ? ' (cut short)' : ''}`;
+
+        const scrubber = player.querySelector('.replay-scrubber');
+        scrubber.max = replay.events.length;
+        scrubber.value = index + 1;
+
+        // Most recent events, newest first
+        const timeline = player.querySelector('.replay-timeline');
+        timeline.innerHTML = replay.events.slice(0, index + 1).slice(-8).reverse().map(shown => `
+            <div class="log-entry ${shown.a === 'player' ? 'attack' : shown.a === 'opponent' ? 'defense' : 'combat-start'}">
+                <div class="log-timestamp">Turn ${shown.t}</div>
+                <div class="log-message">${this.escapeHtml(this.describeReplayEvent(shown, replay))}</div>
+            </div>
+        `).join('');
+    }
+
+    /**
+     * Work out health, qi and active status effects after a replay event
+     * @param {Object} replay - Replay
+     * @param {number} index - Event index, -1 for the opening state
+     * @returns {Object} { health: [player, opponent], qi: [player, opponent], effects: { player, opponent } }
+     */
+    getReplayFrameState(replay, index) {
+        const { player, opponent } = replay.combatants;
+        const event = replay.events[index];
+        const effects = { player: [], opponent: [] };
+
+        for (const shown of replay.events.slice(0, index + 1)) {
+            for (const [target, effectId, change] of shown.fx || []) {
+                const active = effects[target];
+                if (!active) continue;
+
+                if (change === 'applied') {
+                    active.push(effectId);
+                } else if (active.includes(effectId)) {
+                    active.splice(active.indexOf(effectId), 1);
+                }
+            }
+        }
+
+        return {
+            health: event ? event.h : [player.maxHealth, opponent.maxHealth],
+            qi: event ? event.q : [player.maxQi, opponent.maxQi],
+            effects: effects
+        };
+    }
+
+    /**
+     * Describe a replay event in the words of the combat log
+     * @param {Object} event - Replay event
+     * @param {Object} replay - Replay
+     * @returns {string} Description
+     */
+    describeReplayEvent(event, replay) {
+        const names = {
+            player: replay.combatants.player.name,
+            opponent: replay.combatants.opponent.name
+        };
+        const actor = names[event.a] || 'The arena';
+        const target = names[event.a === 'player' ? 'opponent' : 'player'];
+
+        switch (event.k) {
+            case 'attack':
+                if (event.o === 'miss') return `${actor} attacks but misses`;
+                return `${actor} ${event.o === 'critical_hit' ? 'critically ' : ''}hits ${target} for ${event.d} damage` +
+                    this.describeReplayEffects(event, names);
+            case 'technique':
+                if (event.o === 'miss') return `${actor}'s technique misses`;
+                return `${actor} ${event.o === 'critical_technique' ? 'lands a critical' : 'uses a'} technique on ${target} for ${event.d} damage` +
+                    this.describeReplayEffects(event, names);
+            case 'defend':
+                return `${actor} takes a defensive stance` + this.describeReplayEffects(event, names);
+            case 'retreat':
+                return event.o === 'retreat_failed' ? `${actor} fails to retreat` : `${actor} tries to retreat`;
+            case 'pass':
+                return `${actor} cannot act${event.o ? ` (${event.o.replace(/_/g, ' ')})` : ''}` + this.describeReplayEffects(event, names);
+            case 'status_damage':
+                return `${names[event.on] || 'A fighter'} suffers ${event.d} damage from ${this.getStatusEffectName(event.e)}` +
+                    this.describeReplayEffects(event, names);
+            case 'end':
+                return this.formatReplayResult(event.o);
+            default:
+                return `${actor} uses ${event.k.replace(/_/g, ' ')}`;
+        }
+    }
+
+    /**
+     * Describe the status effects applied or worn off during an event
+     */
+    describeReplayEffects(event, names) {
+        if (!event.fx) return '';
+
+        return event.fx.map(([target, effectId, change]) =>
+            `. ${names[target]} ${change === 'applied' ? 'is now' : 'is no longer'} ${this.getStatusEffectName(effectId).toLowerCase()}`
+        ).join('');
+    }
+
+    getStatusEffectName(effectId) {
+        const effect = Object.values(window.COMBAT_STATUS_EFFECTS || {}).find(definition => definition.id === effectId);
+        return effect ? effect.name : this.capitalizeFirst(String(effectId || 'unknown').replace(/_/g, ' '));
+    }
+
+    formatReplayResult(result) {
+        const results = {
+            victory: 'Victory',
+            defeat: 'Defeat',
+            retreated: 'Retreated',
+            opponent_retreated: 'Opponent retreated',
+            timeout: 'Timed out',
+            cancelled: 'Cancelled'
+        };
+        return results[result] || this.capitalizeFirst(String(result || 'unknown').replace(/_/g, ' '));
+    }
+
     /**
      * Action methods
      */
-    refreshOpponents() {
-        // This would call the actual opponent generation system
-        console.log('Refreshing opponents...');
-        this.createMockOpponents();
-        this.renderOpponents();
+    async refreshOpponents() {
+        try {
+            await this.viewModel?.refreshOpponents();
+        } catch (error) {
+            console.error('CombatView: Failed to refresh opponents', error);
+            this.showNotification('Failed to refresh opponents', 'error');
+        }
     }
 
     selectOpponent(opponent) {
@@ -862,159 +1107,212 @@ class CombatView extends GameView {
         challengeBtn.disabled = false;
     }
 
-    async startDuel() {
-        if (!this.selectedOpponent) return;
+    startDuel() {
+        if (!this.selectedOpponent || !this.viewModel) return;
 
         try {
-            this.isInCombat = true;
-            this.currentOpponent = this.selectedOpponent;
-
-            // Update UI
-            this.renderCombatStatus();
-            const challengeBtn = this.opponentPanel.querySelector('.challenge-btn');
-            const retreatBtn = this.opponentPanel.querySelector('.retreat-btn');
-            challengeBtn.style.display = 'none';
-            retreatBtn.style.display = 'inline-block';
-
-            // Add combat start to log
-            this.addCombatLogEntry({
-                type: 'combat-start',
-                message: `Combat started against ${this.currentOpponent.name}`,
-                timestamp: Date.now()
-            });
-
-            // Start combat simulation
-            this.simulateCombat();
-
+            const result = this.viewModel.challengeOpponent(this.selectedOpponent.id);
+
+            if (!result.success) {
+                const reasons = {
+                    opponent_too_powerful: 'This opponent is far too powerful for you',
+                    opponent_not_found: 'This opponent is no longer available'
+                };
+                this.showNotification(reasons[result.reason] || 'Failed to start duel', 'error');
+            }
         } catch (error) {
             console.error('CombatView: Failed to start duel', error);
             this.showNotification('Failed to start duel: ' + error.message, 'error');
         }
     }
 
-    async retreatFromDuel() {
-        this.isInCombat = false;
-        this.currentOpponent = null;
+    retreatFromDuel() {
+        const result = this.viewModel?.retreat();
 
-        // Update UI
-        this.renderCombatStatus();
-        const challengeBtn = this.opponentPanel.querySelector('.challenge-btn');
-        const retreatBtn = this.opponentPanel.querySelector('.retreat-btn');
-        challengeBtn.style.display = 'inline-block';
-        retreatBtn.style.display = 'none';
-
-        // Add retreat to log
-        this.addCombatLogEntry({
-            type: 'retreat',
-            message: 'Retreated from combat',
-            timestamp: Date.now()
-        });
+        if (result && !result.success && result.reason !== 'no_combat') {
+            this.showNotification('Retreat failed', 'warning');
+        }
     }
 
-    simulateCombat() {
-        // Simple combat simulation for demonstration
-        const combatTurns = 5 + Math.floor(Math.random() * 10);
-        let currentTurn = 0;
+    /**
+     * Take the player's next turn after a short pause
+     */
+    scheduleTurn() {
+        if (this.turnTimer) return;
 
-        const combatInterval = setInterval(() => {
-            if (!this.isInCombat || currentTurn >= combatTurns) {
-                clearInterval(combatInterval);
-                if (this.isInCombat) {
-                    this.endCombat();
-                }
-                return;
-            }
+        this.turnTimer = setTimeout(() => {
+            this.turnTimer = null;
+            this.viewModel?.takeTurn('attack');
+        }, 500);
+    }
 
-            // Simulate combat turn
-            const playerDamage = 10 + Math.floor(Math.random() * 20);
-            const opponentDamage = 8 + Math.floor(Math.random() * 15);
-
-            this.addCombatLogEntry({
-                type: 'attack',
-                message: `You deal ${playerDamage} damage to ${this.currentOpponent.name}`,
-                damage: playerDamage,
-                timestamp: Date.now()
-            });
-
-            setTimeout(() => {
-                this.addCombatLogEntry({
-                    type: 'defense',
-                    message: `${this.currentOpponent.name} deals ${opponentDamage} damage to you`,
-                    damage: opponentDamage,
-                    timestamp: Date.now()
-                });
-            }, 500);
-
-            currentTurn++;
-        }, 1000);
+    clearCombatLog() {
+        this.viewModel?.clearLog();
+        this.combatHistory = [];
+        this.renderCombatLog();
     }
 
-    endCombat() {
-        const victory = Math.random() < this.calculateWinChance(this.currentOpponent) / 100;
+    filterCombatLog(filter) {
+        this.logFilter = filter;
+        this.renderCombatLog();
+    }
 
-        this.addCombatLogEntry({
-            type: victory ? 'victory' : 'defeat',
-            message: victory ? 'Victory!' : 'Defeat!',
-            timestamp: Date.now()
-        });
+    setDifficulty(difficulty) {
+        this.viewModel?.setDifficulty(difficulty);
+        this.syncFromViewModel();
+        this.renderOpponents();
+    }
 
-        // Update stats
-        if (victory) {
-            this.playerStats.wins++;
-            this.playerStats.winStreak++;
+    setRankingType(type) {
+        this.viewModel?.setRankingType(type);
+        this.syncFromViewModel();
+        this.renderRankings();
+    }
+
+    joinTournament(tournamentId) {
+        const result = this.viewModel?.joinTournament(tournamentId);
+
+        if (result?.success) {
+            this.showNotification('Joined tournament successfully', 'success');
         } else {
-            this.playerStats.losses++;
-            this.playerStats.winStreak = 0;
+            this.showNotification(`Could not join tournament: ${(result?.reason || 'unknown').replace(/_/g, ' ')}`, 'error');
         }
+    }
 
-        this.isInCombat = false;
-        this.currentOpponent = null;
-        this.renderCombatStatus();
+    /**
+     * Load a recorded fight into the player, paused at the opening state
+     */
+    openReplay(replayId) {
+        const replay = this.viewModel?.getReplay(replayId);
+        if (!replay) {
+            this.showNotification('Replay is no longer available', 'error');
+            return;
+        }
 
-        // Reset UI
-        const challengeBtn = this.opponentPanel.querySelector('.challenge-btn');
-        const retreatBtn = this.opponentPanel.querySelector('.retreat-btn');
-        challengeBtn.style.display = 'inline-block';
-        retreatBtn.style.display = 'none';
+        this.pauseReplay();
+        this.replayPlayback = {
+            replay: replay,
+            index: -1,
+            playing: false,
+            speed: parseFloat(this.replayPanel.querySelector('.replay-speed').value) || 1
+        };
 
-        this.showNotification(victory ? 'Victory!' : 'Defeat!', victory ? 'success' : 'error');
+        this.renderReplays();
+        this.renderReplayFrame();
     }
 
-    addCombatLogEntry(entry) {
-        this.combatHistory.push(entry);
-        this.renderCombatLog();
+    toggleReplayPlayback() {
+        const playback = this.replayPlayback;
+        if (!playback) return;
+
+        if (playback.playing) {
+            this.pauseReplay();
+        } else {
+            // Playing from the end starts over
+            if (playback.index >= playback.replay.events.length - 1) {
+                playback.index = -1;
+            }
+            playback.playing = true;
+            this.scheduleReplayTick();
+        }
+
+        this.renderReplayFrame();
     }
 
-    clearCombatLog() {
-        this.combatHistory = [];
-        this.renderCombatLog();
+    pauseReplay() {
+        clearTimeout(this.replayTimer);
+        this.replayTimer = null;
+        if (this.replayPlayback) {
+            this.replayPlayback.playing = false;
+        }
     }
 
-    filterCombatLog(filter) {
-        // Filter implementation
-        console.log(`Filtering combat log by: ${filter}`);
+    /**
+     * Advance playback one event per interval, scaled by the chosen speed
+     */
+    scheduleReplayTick() {
+        const interval = window.COMBAT_REPLAY_CONFIG?.playbackInterval || 1000;
+
+        clearTimeout(this.replayTimer);
+        this.replayTimer = setTimeout(() => {
+            this.replayTimer = null;
+            const playback = this.replayPlayback;
+            if (!playback?.playing) return;
+
+            playback.index++;
+            if (playback.index >= playback.replay.events.length - 1) {
+                playback.index = playback.replay.events.length - 1;
+                playback.playing = false;
+            } else {
+                this.scheduleReplayTick();
+            }
+
+            this.renderReplayFrame();
+        }, interval / this.replayPlayback.speed);
     }
 
-    setDifficulty(difficulty) {
-        console.log(`Setting difficulty to: ${difficulty}`);
-        this.refreshOpponents();
+    stepReplay(delta) {
+        if (!this.replayPlayback) return;
+
+        this.pauseReplay();
+        this.seekReplay(this.replayPlayback.index + delta);
     }
 
-    loadRankings(type) {
-        console.log(`Loading rankings by: ${type}`);
-        // This would call the actual ranking system
-        this.renderRankings();
+    seekReplay(index) {
+        const playback = this.replayPlayback;
+        if (!playback) return;
+
+        playback.index = Math.max(-1, Math.min(playback.replay.events.length - 1, index));
+        this.renderReplayFrame();
     }
 
-    loadTournaments() {
-        console.log('Loading tournaments...');
-        // This would call the actual tournament system
-        this.renderTournaments();
+    setReplaySpeed(speed) {
+        if (!this.replayPlayback) return;
+
+        this.replayPlayback.speed = speed;
+        if (this.replayPlayback.playing) {
+            this.scheduleReplayTick();
+        }
     }
 
-    joinTournament(tournamentId) {
-        console.log(`Joining tournament: ${tournamentId}`);
-        this.showNotification('Joined tournament successfully', 'success');
+    /**
+     * Show a recorded fight's share code and copy it to the clipboard
+     */
+    exportReplay(replayId) {
+        const result = this.viewModel?.exportReplay(replayId);
+        if (!result?.success) {
+            this.showNotification('Could not export replay', 'error');
+            return;
+        }
+
+        const share = this.replayPanel.querySelector('.replay-share');
+        const codeField = share.querySelector('.replay-share-code');
+        share.style.display = 'block';
+        codeField.value = result.code;
+        codeField.select();
+
+        navigator.clipboard?.writeText(result.code)
+            .then(() => this.showNotification('Replay code copied to clipboard', 'success'))
+            .catch(() => this.showNotification('Copy the replay code to share it', 'info'));
+    }
+
+    importReplay() {
+        const codeField = this.replayPanel.querySelector('.replay-import-code');
+        const result = this.viewModel?.importReplay(codeField.value);
+
+        if (!result?.success) {
+            const reasons = {
+                invalid_replay_code: 'That is not a replay code',
+                invalid_replay_data: 'The replay code is damaged or from an incompatible version'
+            };
+            this.showNotification(reasons[result?.reason] || 'Could not import replay', 'error');
+            return;
+        }
+
+        codeField.value = '';
+        this.syncFromViewModel();
+        this.openReplay(result.replayId);
+        this.showNotification(result.duplicate ? 'Replay already in your history' : 'Replay imported', 'success');
     }
 
     viewTournament(tournamentId) {
@@ -1022,6 +1320,16 @@ class CombatView extends GameView {
         // This would open a tournament bracket view
     }
 
+    /**
+     * Cancel a pending turn and replay playback before the view goes away
+     */
+    destroy() {
+        clearTimeout(this.turnTimer);
+        this.turnTimer = null;
+        this.pauseReplay();
+        super.destroy();
+    }
+
     /**
      * Utility methods
      */
@@ -10,6 +10,7 @@ class CultivationView extends GameView {
         this.cultivationSystem = null;
         this.realmManager = null;
         this.techniqueManager = null;
+        this.reincarnationManager = null;
 
         // UI components
         this.realmProgressPanel = null;
@@ -17,6 +18,7 @@ class CultivationView extends GameView {
         this.techniquesPanel = null;
         this.breakthroughPanel = null;
         this.statisticsPanel = null;
+        this.reincarnationPanel = null;
 
         // Current data
         this.cultivationData = null;
@@ -53,6 +55,7 @@ class CultivationView extends GameView {
         this.techniquesPanel = this.createTechniquesPanel();
         this.breakthroughPanel = this.createBreakthroughPanel();
         this.statisticsPanel = this.createStatisticsPanel();
+        this.reincarnationPanel = this.createReincarnationPanel();
 
         // Organize panels
         leftColumn.appendChild(this.realmProgressPanel);
@@ -61,6 +64,7 @@ class CultivationView extends GameView {
 
         rightColumn.appendChild(this.breakthroughPanel);
         rightColumn.appendChild(this.statisticsPanel);
+        rightColumn.appendChild(this.reincarnationPanel);
 
         layout.appendChild(leftColumn);
         layout.appendChild(rightColumn);
@@ -311,6 +315,43 @@ class CultivationView extends GameView {
         return panel;
     }
 
+    /**
+     * Create reincarnation panel
+     */
+    createReincarnationPanel() {
+        const panel = document.createElement('div');
+        panel.className = 'cultivation-panel reincarnation-panel';
+
+        const header = document.createElement('h3');
+        header.className = 'panel-header';
+        header.innerHTML = '<span class="icon-cycle"></span> Reincarnation';
+
+        const content = document.createElement('div');
+        content.className = 'panel-content reincarnation-content';
+
+        // Dao Mark summary
+        const summary = document.createElement('div');
+        summary.className = 'reincarnation-summary';
+        content.appendChild(summary);
+
+        // Reincarnate button
+        const reincarnateButton = document.createElement('button');
+        reincarnateButton.className = 'btn btn-danger reincarnate-btn';
+        reincarnateButton.textContent = 'Reincarnate';
+        reincarnateButton.addEventListener('click', () => this.reincarnate());
+        content.appendChild(reincarnateButton);
+
+        // Permanent upgrade tree
+        const upgradeList = document.createElement('div');
+        upgradeList.className = 'dao-upgrade-list';
+        content.appendChild(upgradeList);
+
+        panel.appendChild(header);
+        panel.appendChild(content);
+
+        return panel;
+    }
+
     /**
      * Setup view-specific event listeners
      */
@@ -331,6 +372,14 @@ class CultivationView extends GameView {
         this.on('realm:changed', (data) => {
             this.onRealmChanged(data);
         });
+
+        this.on('reincarnation:completed', (data) => {
+            this.onReincarnated(data);
+        });
+
+        this.on('reincarnation:upgrade_purchased', () => {
+            this.renderReincarnationPanel();
+        });
     }
 
     /**
@@ -342,6 +391,7 @@ class CultivationView extends GameView {
             this.cultivationSystem = window.game?.moduleManager?.getModule('cultivation')?.cultivationIntegration?.cultivationSystem;
             this.realmManager = window.game?.moduleManager?.getModule('cultivation')?.cultivationIntegration?.realmManager;
             this.techniqueManager = window.game?.moduleManager?.getModule('cultivation')?.cultivationIntegration?.techniqueManager;
+            this.reincarnationManager = window.game?.moduleManager?.getModule('cultivation')?.cultivationIntegration?.reincarnationManager;
 
             if (!this.cultivationSystem) {
                 throw new Error('Cultivation system not available');
@@ -373,6 +423,7 @@ class CultivationView extends GameView {
         this.renderTechniques();
         this.renderBreakthroughPanel();
         this.renderStatistics();
+        this.renderReincarnationPanel();
     }
 
     /**
@@ -625,6 +676,75 @@ class CultivationView extends GameView {
         `;
     }
 
+    /**
+     * Render reincarnation panel
+     */
+    renderReincarnationPanel() {
+        const summary = this.reincarnationPanel.querySelector('.reincarnation-summary');
+        const button = this.reincarnationPanel.querySelector('.reincarnate-btn');
+        const upgradeList = this.reincarnationPanel.querySelector('.dao-upgrade-list');
+
+        if (!summary || !this.reincarnationManager) {
+            this.reincarnationPanel.style.display = 'none';
+            return;
+        }
+        this.reincarnationPanel.style.display = '';
+
+        const state = this.reincarnationManager.getState();
+        const check = this.reincarnationManager.canReincarnate();
+
+        summary.innerHTML = `
+            <div class="stat-item">
+                <span class="stat-label">Dao Marks:</span>
+                <span class="stat-value">${this.formatNumber(state.daoMarks)}</span>
+            </div>
+            <div class="stat-item">
+                <span class="stat-label">Lives Lived:</span>
+                <span class="stat-value">${state.count}</span>
+            </div>
+            <div class="stat-item">
+                <span class="stat-label">Reincarnate Now For:</span>
+                <span class="stat-value">${check.canReincarnate ?
+                    `${this.formatNumber(check.daoMarks)} Dao Marks` :
+                    `Reach ${check.requiredRealm}`}</span>
+            </div>
+        `;
+
+        button.disabled = !check.canReincarnate || check.daoMarks <= 0;
+
+        upgradeList.innerHTML = '';
+        this.reincarnationManager.getUpgradeTree().forEach(upgrade => {
+            upgradeList.appendChild(this.createDaoUpgradeElement(upgrade));
+        });
+    }
+
+    /**
+     * Create Dao Mark upgrade element
+     */
+    createDaoUpgradeElement(upgrade) {
+        const element = document.createElement('div');
+        element.className = `dao-upgrade-item ${upgrade.requirementsMet ? 'available' : 'locked'}`;
+        element.dataset.upgradeId = upgrade.id;
+
+        element.innerHTML = `
+            <div class="dao-upgrade-header">
+                <div class="dao-upgrade-name">${upgrade.name}</div>
+                <div class="dao-upgrade-level">Lv ${upgrade.level} / ${upgrade.maxLevel}</div>
+            </div>
+            <div class="dao-upgrade-description">${upgrade.description}</div>
+            <div class="dao-upgrade-actions">
+                <button class="btn btn-primary btn-sm purchase-dao-upgrade" ${upgrade.canPurchase ? '' : 'disabled'}>
+                    ${upgrade.isMaxed ? 'Maxed' : `Upgrade (${this.formatNumber(upgrade.cost)} Marks)`}
+                </button>
+            </div>
+        `;
+
+        const purchaseButton = element.querySelector('.purchase-dao-upgrade');
+        purchaseButton.addEventListener('click', () => this.purchaseDaoUpgrade(upgrade.id));
+
+        return element;
+    }
+
     /**
      * Event handlers
      */
@@ -652,6 +772,11 @@ class CultivationView extends GameView {
         this.renderBreakthroughPanel();
     }
 
+    onReincarnated(data) {
+        this.showNotification(`Reincarnated! Gained ${this.formatNumber(data.daoMarksEarned)} Dao Marks`, 'success');
+        this.refresh();
+    }
+
     /**
      * Action methods
      */
@@ -688,6 +813,40 @@ class CultivationView extends GameView {
         }
     }
 
+    async reincarnate() {
+        try {
+            if (!this.reincarnationManager) return;
+
+            const check = this.reincarnationManager.canReincarnate();
+            const confirmed = window.confirm(
+                `Reincarnate for ${check.daoMarks} Dao Marks? Your realm, techniques and cultivation resources will be lost.`
+            );
+            if (!confirmed) return;
+
+            const result = this.reincarnationManager.reincarnate();
+            if (!result.success) {
+                this.showNotification(`Cannot reincarnate: reach ${result.requiredRealm} first`, 'error');
+            }
+        } catch (error) {
+            console.error('CultivationView: Reincarnation failed', error);
+            this.showNotification('Reincarnation failed: ' + error.message, 'error');
+        }
+    }
+
+    async purchaseDaoUpgrade(upgradeId) {
+        try {
+            if (!this.reincarnationManager) return;
+
+            const result = this.reincarnationManager.purchaseUpgrade(upgradeId);
+            if (!result.success) {
+                this.showNotification('Cannot purchase upgrade: ' + result.reason.replace(/_/g, ' '), 'error');
+            }
+        } catch (error) {
+            console.error('CultivationView: Failed to purchase Dao upgrade', error);
+            this.showNotification('Failed to purchase upgrade: ' + error.message, 'error');
+        }
+    }
+
     /**
      * Utility methods
      */
@@ -664,6 +664,17 @@ class GameView extends BaseComponent {
         }
     }
 
+    /**
+     * Escape text for use in view markup, attribute values included
+     * @param {*} text - Text to escape
+     * @returns {string} Escaped HTML
+     */
+    escapeHtml(text) {
+        const div = document.createElement('div');
+        div.textContent = String(text);
+        return div.innerHTML.replace(/"/g, '&quot;');
+    }
+
     /**
      * Get view performance statistics
      */
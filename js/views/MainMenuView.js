@@ -446,6 +446,9 @@ class MainMenuView extends GameView {
                 <button class="btn btn-secondary save-btn">
                     <span class="icon-save"></span> Save Game
                 </button>
+                <button class="btn btn-outline characters-btn">
+                    <span class="icon-characters"></span> Characters
+                </button>
                 <button class="btn btn-outline settings-btn">
                     <span class="icon-settings"></span> Settings
                 </button>
@@ -454,9 +457,11 @@ class MainMenuView extends GameView {
 
         // Add event listeners
         const saveBtn = footer.querySelector('.save-btn');
+        const charactersBtn = footer.querySelector('.characters-btn');
         const settingsBtn = footer.querySelector('.settings-btn');
 
         saveBtn.addEventListener('click', () => this.saveGame());
+        charactersBtn.addEventListener('click', () => this.openCharacterSelect());
         settingsBtn.addEventListener('click', () => this.openSettings());
 
         return footer;
@@ -1180,6 +1185,14 @@ class MainMenuView extends GameView {
         }
     }
 
+    openCharacterSelect() {
+        if (typeof CharacterSelectModal === 'undefined' || !window.profileManager) {
+            this.showNotification('Character select is unavailable', 'error');
+            return;
+        }
+        new CharacterSelectModal(window.profileManager).open();
+    }
+
     openSettings() {
         console.log('Opening game settings');
     }
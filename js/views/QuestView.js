@@ -6,21 +6,21 @@ class QuestView extends GameView {
     constructor(container, options = {}) {
         super(container, options);
 
-        // System references
-        this.questSystem = null;
-        this.achievementManager = null;
+        // Bound QuestViewModel
+        this.viewModel = null;
 
         // UI components
         this.activeQuestsPanel = null;
-        this.availableQuestsPanel = null;
+        this.completedQuestsPanel = null;
         this.achievementsPanel = null;
         this.progressPanel = null;
         this.rewardsPanel = null;
 
         // Current data
         this.activeQuests = [];
-        this.availableQuests = [];
+        this.completedQuests = [];
         this.achievements = [];
+        this.pendingRewards = [];
         this.questProgress = null;
         this.selectedQuest = null;
 
@@ -57,14 +57,14 @@ class QuestView extends GameView {
 
         // Create panels
         this.activeQuestsPanel = this.createActiveQuestsPanel();
-        this.availableQuestsPanel = this.createAvailableQuestsPanel();
+        this.completedQuestsPanel = this.createCompletedQuestsPanel();
         this.achievementsPanel = this.createAchievementsPanel();
         this.progressPanel = this.createProgressPanel();
         this.rewardsPanel = this.createRewardsPanel();
 
         // Organize panels
         leftColumn.appendChild(this.activeQuestsPanel);
-        leftColumn.appendChild(this.availableQuestsPanel);
+        leftColumn.appendChild(this.completedQuestsPanel);
 
         rightColumn.appendChild(this.progressPanel);
         rightColumn.appendChild(this.achievementsPanel);
@@ -86,7 +86,6 @@ class QuestView extends GameView {
 
         const tabs = [
             { id: 'active', label: 'Active Quests', icon: 'icon-quest-active' },
-            { id: 'available', label: 'Available Quests', icon: 'icon-quest-new' },
             { id: 'achievements', label: 'Achievements', icon: 'icon-achievement' },
             { id: 'completed', label: 'Completed', icon: 'icon-check' }
         ];
@@ -120,7 +119,8 @@ class QuestView extends GameView {
                     <option value="all">All Quests</option>
                     <option value="daily">Daily Quests</option>
                     <option value="weekly">Weekly Quests</option>
-                    <option value="story">Story Quests</option>
+                    <option value="milestone">Milestone Quests</option>
+                    <option value="chain">Quest Chains</option>
                     <option value="special">Special Events</option>
                 </select>
                 <button class="btn btn-secondary auto-complete-btn">
@@ -156,22 +156,22 @@ class QuestView extends GameView {
     }
 
     /**
-     * Create available quests panel
+     * Create completed quests panel
      */
-    createAvailableQuestsPanel() {
+    createCompletedQuestsPanel() {
         const panel = document.createElement('div');
-        panel.className = 'quest-panel available-quests-panel';
+        panel.className = 'quest-panel completed-quests-panel';
 
         const header = document.createElement('h3');
         header.className = 'panel-header';
-        header.innerHTML = '<span class="icon-quest-new"></span> Available Quests';
+        header.innerHTML = '<span class="icon-check"></span> Completed Quests';
 
         const content = document.createElement('div');
-        content.className = 'panel-content available-quests-content';
+        content.className = 'panel-content completed-quests-content';
 
-        // Available quest list
+        // Completed quest list
         const questList = document.createElement('div');
-        questList.className = 'quest-list available-quest-list';
+        questList.className = 'quest-list completed-quest-list';
         content.appendChild(questList);
 
         panel.appendChild(header);
@@ -198,6 +198,7 @@ class QuestView extends GameView {
                     <option value="combat">Combat</option>
                     <option value="collection">Collection</option>
                     <option value="social">Social</option>
+                    <option value="progression">Progression</option>
                     <option value="special">Special</option>
                 </select>
             </div>
@@ -311,13 +312,12 @@ class QuestView extends GameView {
     updatePanelVisibility() {
         const panels = {
             active: [this.activeQuestsPanel, this.progressPanel, this.rewardsPanel],
-            available: [this.availableQuestsPanel, this.progressPanel],
             achievements: [this.achievementsPanel],
-            completed: [this.progressPanel] // Would show completed quests
+            completed: [this.completedQuestsPanel, this.progressPanel]
         };
 
         // Hide all panels
-        [this.activeQuestsPanel, this.availableQuestsPanel, this.achievementsPanel, this.progressPanel, this.rewardsPanel]
+        [this.activeQuestsPanel, this.completedQuestsPanel, this.achievementsPanel, this.progressPanel, this.rewardsPanel]
             .forEach(panel => panel.style.display = 'none');
 
         // Show panels for current tab
@@ -329,192 +329,38 @@ class QuestView extends GameView {
      * Load quest data
      */
     async loadData() {
-        try {
-            // Get system references - these would be properly integrated
-            this.questSystem = window.questSystem; // Placeholder
-            this.achievementManager = window.achievementManager; // Placeholder
-
-            // Load quest data
-            this.activeQuests = this.questSystem?.getActiveQuests() || [];
-            this.availableQuests = this.questSystem?.getAvailableQuests() || [];
-            this.achievements = this.achievementManager?.getAchievements() || [];
-            this.questProgress = this.questSystem?.getProgressSummary() || {};
-
-            console.log('QuestView: Data loaded successfully');
-
-        } catch (error) {
-            console.error('QuestView: Failed to load data', error);
-            this.createMockData();
+        this.viewModel = window.viewIntegration?.getViewModel(this.viewId) || null;
+
+        if (!this.viewModel || !this.viewModel.isAvailable()) {
+            // Lists stay empty until the quest system loads and its events trigger a resync
+            console.warn('QuestView: Quest system is not available yet');
+            return;
         }
+
+        this.syncFromViewModel();
     }
 
     /**
-     * Create mock data for development
+     * Copy the view-model snapshot into the view
      */
-    createMockData() {
-        this.activeQuests = [
-            {
-                id: 'daily_cultivation',
-                name: 'Daily Cultivation',
-                type: 'daily',
-                description: 'Cultivate for 30 minutes',
-                objectives: [
-                    {
-                        id: 'cultivate_time',
-                        description: 'Cultivate for 30 minutes',
-                        progress: 18,
-                        target: 30,
-                        unit: 'minutes'
-                    }
-                ],
-                rewards: [
-                    { type: 'experience', amount: 500 },
-                    { type: 'jade', amount: 100 }
-                ],
-                timeLeft: 3600 * 6, // 6 hours
-                difficulty: 'easy',
-                status: 'active'
-            },
-            {
-                id: 'weekly_breakthrough',
-                name: 'Weekly Breakthrough',
-                type: 'weekly',
-                description: 'Achieve 3 breakthroughs this week',
-                objectives: [
-                    {
-                        id: 'breakthrough_count',
-                        description: 'Achieve breakthroughs',
-                        progress: 1,
-                        target: 3,
-                        unit: 'breakthroughs'
-                    }
-                ],
-                rewards: [
-                    { type: 'experience', amount: 2000 },
-                    { type: 'crystals', amount: 50 },
-                    { type: 'technique_scroll', amount: 1 }
-                ],
-                timeLeft: 3600 * 24 * 3, // 3 days
-                difficulty: 'medium',
-                status: 'active'
-            },
-            {
-                id: 'story_first_realm',
-                name: 'Path of Ascension',
-                type: 'story',
-                description: 'Reach the Foundation Building realm',
-                objectives: [
-                    {
-                        id: 'reach_realm',
-                        description: 'Reach Foundation Building realm',
-                        progress: 0,
-                        target: 1,
-                        unit: 'realm'
-                    }
-                ],
-                rewards: [
-                    { type: 'experience', amount: 5000 },
-                    { type: 'jade', amount: 1000 },
-                    { type: 'rare_pill', amount: 3 }
-                ],
-                difficulty: 'hard',
-                status: 'active'
-            }
-        ];
+    syncFromViewModel() {
+        if (!this.viewModel?.isAvailable()) return;
 
-        this.availableQuests = [
-            {
-                id: 'collect_herbs',
-                name: 'Herb Collection',
-                type: 'gathering',
-                description: 'Collect 50 spiritual herbs',
-                requirements: { level: 10 },
-                rewards: [
-                    { type: 'experience', amount: 300 },
-                    { type: 'jade', amount: 75 }
-                ],
-                difficulty: 'easy'
-            },
-            {
-                id: 'defeat_bandits',
-                name: 'Bandit Subjugation',
-                type: 'combat',
-                description: 'Defeat 10 mountain bandits',
-                requirements: { level: 15, power: 500 },
-                rewards: [
-                    { type: 'experience', amount: 800 },
-                    { type: 'jade', amount: 200 },
-                    { type: 'weapon', rarity: 'uncommon' }
-                ],
-                difficulty: 'medium'
-            }
-        ];
+        const snapshot = this.viewModel.getSnapshot();
 
-        this.achievements = [
-            {
-                id: 'first_cultivation',
-                name: 'First Steps',
-                description: 'Begin your cultivation journey',
-                category: 'cultivation',
-                progress: 1,
-                target: 1,
-                completed: true,
-                rewards: [
-                    { type: 'experience', amount: 100 },
-                    { type: 'title', name: 'Novice Cultivator' }
-                ]
-            },
-            {
-                id: 'realm_master',
-                name: 'Realm Master',
-                description: 'Reach 10 different cultivation realms',
-                category: 'cultivation',
-                progress: 2,
-                target: 10,
-                completed: false,
-                rewards: [
-                    { type: 'experience', amount: 10000 },
-                    { type: 'title', name: 'Realm Walker' }
-                ]
-            },
-            {
-                id: 'scripture_collector',
-                name: 'Scripture Collector',
-                description: 'Collect 100 different scriptures',
-                category: 'collection',
-                progress: 23,
-                target: 100,
-                completed: false,
-                rewards: [
-                    { type: 'crystals', amount: 100 },
-                    { type: 'legendary_scripture', amount: 1 }
-                ]
-            },
-            {
-                id: 'sect_leader',
-                name: 'Sect Leader',
-                description: 'Become a sect leader',
-                category: 'social',
-                progress: 0,
-                target: 1,
-                completed: false,
-                rewards: [
-                    { type: 'title', name: 'Sect Master' },
-                    { type: 'special_ability', name: 'Leadership Aura' }
-                ]
-            }
-        ];
+        this.activeQuests = snapshot.activeQuests;
+        this.completedQuests = snapshot.completedQuests;
+        this.achievements = snapshot.achievements;
+        this.pendingRewards = snapshot.pendingRewards;
+        this.questProgress = snapshot.questProgress;
+    }
 
-        this.questProgress = {
-            dailyQuestsCompleted: 2,
-            dailyQuestsTotal: 5,
-            weeklyQuestsCompleted: 1,
-            weeklyQuestsTotal: 3,
-            storyQuestsCompleted: 8,
-            storyQuestsTotal: 25,
-            achievementsUnlocked: 15,
-            achievementsTotal: 150
-        };
+    /**
+     * Resync from the quest and achievement systems when they report changes
+     */
+    onDataUpdate(data) {
+        this.syncFromViewModel();
+        super.onDataUpdate(data);
     }
 
     /**
@@ -522,7 +368,7 @@ class QuestView extends GameView {
      */
     renderContent() {
         this.renderActiveQuests();
-        this.renderAvailableQuests();
+        this.renderCompletedQuests();
         this.renderAchievements();
         this.renderPendingRewards();
         this.updatePanelVisibility();
@@ -585,21 +431,21 @@ class QuestView extends GameView {
     }
 
     /**
-     * Render available quests
+     * Render completed quests
      */
-    renderAvailableQuests() {
-        const questList = this.availableQuestsPanel.querySelector('.available-quest-list');
+    renderCompletedQuests() {
+        const questList = this.completedQuestsPanel.querySelector('.completed-quest-list');
         if (!questList) return;
 
         questList.innerHTML = '';
 
-        this.availableQuests.forEach(quest => {
+        this.completedQuests.forEach(quest => {
             const questCard = this.createQuestCard(quest, false);
             questList.appendChild(questCard);
         });
 
-        if (this.availableQuests.length === 0) {
-            questList.innerHTML = '<div class="empty-state">No available quests</div>';
+        if (this.completedQuests.length === 0) {
+            questList.innerHTML = '<div class="empty-state">No completed quests</div>';
         }
     }
 
@@ -608,10 +454,10 @@ class QuestView extends GameView {
      */
     createQuestCard(quest, isActive) {
         const card = document.createElement('div');
-        card.className = `quest-card ${quest.type}-quest difficulty-${quest.difficulty} ${isActive ? 'active' : 'available'}`;
+        card.className = `quest-card ${quest.type}-quest difficulty-${quest.difficulty} ${isActive ? 'active' : 'completed'}`;
         card.dataset.questId = quest.id;
 
-        const timeLeft = quest.timeLeft ? this.formatTime(quest.timeLeft) : null;
+        const timeLeft = isActive && quest.timeLeft ? this.formatTime(quest.timeLeft) : null;
 
         card.innerHTML = `
             <div class="quest-header">
@@ -635,12 +481,9 @@ class QuestView extends GameView {
                     `).join('')}
                 </div>
             ` : ''}
-            ${quest.requirements && !isActive ? `
-                <div class="quest-requirements">
-                    <span class="requirements-label">Requirements:</span>
-                    ${Object.entries(quest.requirements).map(([req, value]) => `
-                        <span class="requirement-item">${this.capitalizeFirst(req)}: ${value}</span>
-                    `).join('')}
+            ${!isActive && quest.completedAt ? `
+                <div class="quest-completed-at">
+                    Completed ${new Date(quest.completedAt).toLocaleString()}
                 </div>
             ` : ''}
             <div class="quest-rewards">
@@ -661,15 +504,9 @@ class QuestView extends GameView {
                 </div>
             ` : ''}
             <div class="quest-actions">
-                ${isActive ? `
-                    <button class="btn btn-primary view-details-btn">View Details</button>
-                    <button class="btn btn-secondary abandon-btn">Abandon</button>
-                    ${this.canCompleteQuest(quest) ? '<button class="btn btn-success complete-btn">Complete</button>' : ''}
-                ` : `
-                    <button class="btn btn-primary accept-btn ${this.canAcceptQuest(quest) ? '' : 'disabled'}">
-                        ${this.canAcceptQuest(quest) ? 'Accept Quest' : 'Requirements Not Met'}
-                    </button>
-                `}
+                <button class="btn btn-primary view-details-btn">View Details</button>
+                ${isActive && quest.canAbandon ? '<button class="btn btn-secondary abandon-btn">Abandon</button>' : ''}
+                ${isActive && this.canCompleteQuest(quest) ? '<button class="btn btn-success complete-btn">Complete</button>' : ''}
             </div>
         `;
 
@@ -677,12 +514,10 @@ class QuestView extends GameView {
         const viewBtn = card.querySelector('.view-details-btn');
         const abandonBtn = card.querySelector('.abandon-btn');
         const completeBtn = card.querySelector('.complete-btn');
-        const acceptBtn = card.querySelector('.accept-btn');
 
         viewBtn?.addEventListener('click', () => this.selectQuest(quest));
         abandonBtn?.addEventListener('click', () => this.abandonQuest(quest.id));
         completeBtn?.addEventListener('click', () => this.completeQuest(quest.id));
-        acceptBtn?.addEventListener('click', () => this.acceptQuest(quest.id));
 
         return card;
     }
@@ -699,7 +534,8 @@ class QuestView extends GameView {
         // Render achievement statistics
         if (achievementStats && this.questProgress) {
             const completedAchievements = this.achievements.filter(a => a.completed).length;
-            const completionRate = ((completedAchievements / this.achievements.length) * 100).toFixed(1);
+            const completionRate = this.achievements.length > 0 ?
+                ((completedAchievements / this.achievements.length) * 100).toFixed(1) : '0.0';
 
             achievementStats.innerHTML = `
                 <div class="achievement-overview">
@@ -777,17 +613,8 @@ class QuestView extends GameView {
                     `).join('')}
                 </div>
             </div>
-            ${achievement.completed ? `
-                <div class="achievement-actions">
-                    <button class="btn btn-success claim-achievement-btn">Claim Rewards</button>
-                </div>
-            ` : ''}
         `;
 
-        // Add event listener
-        const claimBtn = card.querySelector('.claim-achievement-btn');
-        claimBtn?.addEventListener('click', () => this.claimAchievementReward(achievement.id));
-
         return card;
     }
 
@@ -800,7 +627,7 @@ class QuestView extends GameView {
 
         if (!rewardList) return;
 
-        // Get completed quests and achievements with unclaimed rewards
+        // Quests whose objectives are met but have not been turned in
         const pendingRewards = this.getPendingRewards();
 
         rewardList.innerHTML = '';
@@ -910,84 +737,39 @@ class QuestView extends GameView {
     /**
      * Action methods
      */
-    async acceptQuest(questId) {
-        if (!this.canAcceptQuest(this.availableQuests.find(q => q.id === questId))) {
-            return;
-        }
-
-        try {
-            console.log(`Accepting quest: ${questId}`);
-            // This would call the actual quest system
-            this.showNotification('Quest accepted!', 'success');
-            this.refresh();
-        } catch (error) {
-            console.error('QuestView: Failed to accept quest', error);
-            this.showNotification('Failed to accept quest: ' + error.message, 'error');
-        }
-    }
-
-    async abandonQuest(questId) {
-        try {
-            console.log(`Abandoning quest: ${questId}`);
-            // This would call the actual quest system
+    abandonQuest(questId) {
+        if (this.viewModel?.abandonQuest(questId)) {
             this.showNotification('Quest abandoned', 'warning');
-            this.refresh();
-        } catch (error) {
-            console.error('QuestView: Failed to abandon quest', error);
-            this.showNotification('Failed to abandon quest: ' + error.message, 'error');
+        } else {
+            this.showNotification('This quest cannot be abandoned', 'error');
         }
     }
 
-    async completeQuest(questId) {
-        try {
-            console.log(`Completing quest: ${questId}`);
-            // This would call the actual quest system
-            this.showNotification('Quest completed!', 'success');
-            this.refresh();
-        } catch (error) {
-            console.error('QuestView: Failed to complete quest', error);
-            this.showNotification('Failed to complete quest: ' + error.message, 'error');
-        }
-    }
+    completeQuest(questId) {
+        const result = this.viewModel?.completeQuest(questId);
 
-    async claimAchievementReward(achievementId) {
-        try {
-            console.log(`Claiming achievement reward: ${achievementId}`);
-            // This would call the actual achievement system
-            this.showNotification('Achievement reward claimed!', 'success');
-            this.refresh();
-        } catch (error) {
-            console.error('QuestView: Failed to claim achievement reward', error);
-            this.showNotification('Failed to claim reward: ' + error.message, 'error');
+        if (result?.success) {
+            this.showNotification(`Quest completed: ${result.quest.name}`, 'success');
+        } else {
+            this.showNotification('Quest is not ready to complete', 'error');
         }
     }
 
-    async claimReward(rewardId) {
-        try {
-            console.log(`Claiming reward: ${rewardId}`);
-            this.showNotification('Reward claimed!', 'success');
-            this.renderPendingRewards();
-        } catch (error) {
-            console.error('QuestView: Failed to claim reward', error);
-            this.showNotification('Failed to claim reward: ' + error.message, 'error');
-        }
+    claimReward(questId) {
+        this.completeQuest(questId);
     }
 
-    async claimAllRewards() {
-        try {
-            console.log('Claiming all rewards');
-            this.showNotification('All rewards claimed!', 'success');
-            this.renderPendingRewards();
-        } catch (error) {
-            console.error('QuestView: Failed to claim all rewards', error);
-            this.showNotification('Failed to claim rewards: ' + error.message, 'error');
+    claimAllRewards() {
+        const completed = this.viewModel?.completeReadyQuests() || 0;
+
+        if (completed > 0) {
+            this.showNotification(`Claimed rewards from ${completed} quest${completed === 1 ? '' : 's'}`, 'success');
         }
     }
 
     autoCompleteQuests() {
-        console.log('Auto-completing eligible quests');
-        // This would automatically complete quests that can be completed
-        this.showNotification('Auto-completion started', 'info');
+        const completed = this.viewModel?.completeReadyQuests() || 0;
+        this.showNotification(completed > 0 ? `Completed ${completed} quest${completed === 1 ? '' : 's'}` : 'No quests are ready', 'info');
     }
 
     filterQuests(filter) {
@@ -1003,32 +785,12 @@ class QuestView extends GameView {
     /**
      * Utility methods
      */
-    canAcceptQuest(quest) {
-        if (!quest || !quest.requirements) return true;
-
-        // Mock implementation - would check actual player stats
-        return true;
-    }
-
     canCompleteQuest(quest) {
-        if (!quest.objectives) return false;
-
-        return quest.objectives.every(obj => obj.progress >= obj.target);
+        return !!quest.ready;
     }
 
     getPendingRewards() {
-        // Mock implementation - would return actual pending rewards
-        return [
-            {
-                id: 'reward1',
-                source: 'Daily Cultivation',
-                type: 'Quest',
-                items: [
-                    { type: 'experience', amount: 500 },
-                    { type: 'jade', amount: 100 }
-                ]
-            }
-        ];
+        return this.pendingRewards;
     }
 
     formatTime(seconds) {
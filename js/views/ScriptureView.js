@@ -6,10 +6,8 @@ class ScriptureView extends GameView {
     constructor(container, options = {}) {
         super(container, options);
 
-        // System references
-        this.scriptureManager = null;
-        this.gachaSystem = null;
-        this.enhancementSystem = null;
+        // Bound ScriptureViewModel
+        this.viewModel = null;
 
         // UI components
         this.collectionPanel = null;
@@ -17,11 +15,24 @@ class ScriptureView extends GameView {
         this.gachaPanel = null;
         this.enhancementPanel = null;
         this.detailsPanel = null;
+        this.loadoutPanel = null;
 
         // Current data
         this.scriptureCollection = null;
         this.equippedScriptures = null;
+        this.activeEffects = null;
+        this.resources = { jade: 0, crystals: 0 };
+        this.gachaCosts = {};
+        this.gachaRates = null;
         this.selectedScripture = null;
+        this.setProgress = [];
+        this.presets = [];
+        this.objectives = [];
+        this.presetPurposes = [];
+
+        // Loadout previewed in the Loadouts tab, equipped only when confirmed
+        // { source: 'auto'|'preset', title, presetId, diff }
+        this.pendingLoadout = null;
 
         // View state
         this.currentTab = 'collection';
@@ -60,6 +71,7 @@ class ScriptureView extends GameView {
         this.gachaPanel = this.createGachaPanel();
         this.enhancementPanel = this.createEnhancementPanel();
         this.detailsPanel = this.createDetailsPanel();
+        this.loadoutPanel = this.createLoadoutPanel();
 
         // Organize panels
         leftColumn.appendChild(this.collectionPanel);
@@ -68,6 +80,7 @@ class ScriptureView extends GameView {
         rightColumn.appendChild(this.equippedPanel);
         rightColumn.appendChild(this.gachaPanel);
         rightColumn.appendChild(this.enhancementPanel);
+        rightColumn.appendChild(this.loadoutPanel);
 
         layout.appendChild(leftColumn);
         layout.appendChild(rightColumn);
@@ -86,7 +99,8 @@ class ScriptureView extends GameView {
         const tabs = [
             { id: 'collection', label: 'Collection', icon: 'icon-library' },
             { id: 'gacha', label: 'Scripture Gacha', icon: 'icon-dice' },
-            { id: 'enhancement', label: 'Enhancement', icon: 'icon-star' }
+            { id: 'enhancement', label: 'Enhancement', icon: 'icon-star' },
+            { id: 'loadouts', label: 'Loadouts', icon: 'icon-equipped' }
         ];
 
         tabs.forEach(tab => {
@@ -122,6 +136,7 @@ class ScriptureView extends GameView {
                 </select>
                 <select class="filter-select">
                     <option value="all">All Rarities</option>
+                    <option value="mythical">Mythical</option>
                     <option value="legendary">Legendary</option>
                     <option value="epic">Epic</option>
                     <option value="rare">Rare</option>
@@ -235,6 +250,12 @@ class ScriptureView extends GameView {
             }
         });
 
+        const unequipBtn = slotElement.querySelector('.unequip-btn');
+        unequipBtn.addEventListener('click', (e) => {
+            e.stopPropagation();
+            this.unequipSlot(slot.id);
+        });
+
         return slotElement;
     }
 
@@ -259,26 +280,20 @@ class ScriptureView extends GameView {
         const singlePull = this.createGachaOption({
             id: 'single',
             name: 'Single Pull',
-            cost: 100,
-            currency: 'jade',
-            description: '1 scripture, guaranteed Common or better'
+            description: '1 scripture from the Standard pool'
         });
 
         const tenPull = this.createGachaOption({
             id: 'ten',
             name: '10-Pull',
-            cost: 900,
-            currency: 'jade',
-            description: '10 scriptures, guaranteed Rare or better',
+            description: '10 scriptures from the Standard pool, guaranteed Rare or better',
             discount: '10% discount'
         });
 
         const premiumPull = this.createGachaOption({
             id: 'premium',
             name: 'Premium Pull',
-            cost: 50,
-            currency: 'crystals',
-            description: '1 scripture, guaranteed Uncommon or better'
+            description: '1 scripture from the Premium pool, guaranteed Rare or better'
         });
 
         gachaOptions.appendChild(singlePull);
@@ -290,13 +305,7 @@ class ScriptureView extends GameView {
         rateDisplay.className = 'gacha-rates';
         rateDisplay.innerHTML = `
             <h4>Drop Rates</h4>
-            <div class="rate-list">
-                <div class="rate-item legendary">Legendary: 1%</div>
-                <div class="rate-item epic">Epic: 4%</div>
-                <div class="rate-item rare">Rare: 15%</div>
-                <div class="rate-item uncommon">Uncommon: 30%</div>
-                <div class="rate-item common">Common: 50%</div>
-            </div>
+            <div class="rate-list"></div>
         `;
 
         content.appendChild(gachaOptions);
@@ -321,8 +330,8 @@ class ScriptureView extends GameView {
                 ${option.discount ? `<div class="option-discount">${option.discount}</div>` : ''}
             </div>
             <div class="option-cost">
-                <span class="cost-amount">${option.cost}</span>
-                <span class="cost-currency icon-${option.currency}"></span>
+                <span class="cost-amount">-</span>
+                <span class="cost-currency"></span>
             </div>
             <div class="option-description">${option.description}</div>
             <button class="btn btn-primary pull-btn" data-pull-type="${option.id}">
@@ -450,6 +459,76 @@ class ScriptureView extends GameView {
         return panel;
     }
 
+    /**
+     * Create loadouts panel - saved presets, the objective optimizer and the diff preview
+     */
+    createLoadoutPanel() {
+        const panel = document.createElement('div');
+        panel.className = 'scripture-panel loadout-panel';
+
+        const header = document.createElement('h3');
+        header.className = 'panel-header';
+        header.innerHTML = '<span class="icon-equipped"></span> Loadouts';
+
+        const content = document.createElement('div');
+        content.className = 'panel-content loadout-content';
+        content.innerHTML = `
+            <div class="loadout-section">
+                <h4>Presets</h4>
+                <div class="preset-list"></div>
+                <div class="preset-form">
+                    <input type="text" class="preset-name-input" maxlength="40" placeholder="Preset name">
+                    <select class="preset-purpose-select"></select>
+                    <button class="btn btn-secondary btn-sm" data-action="save-preset">Save Current</button>
+                </div>
+            </div>
+            <div class="loadout-section">
+                <h4>Optimize</h4>
+                <div class="optimize-form">
+                    <select class="objective-select"></select>
+                    <button class="btn btn-secondary btn-sm" data-action="preview-auto">Preview</button>
+                </div>
+            </div>
+            <div class="loadout-preview" style="display: none;"></div>
+            <div class="loadout-section">
+                <h4>Scripture Sets</h4>
+                <div class="set-progress"></div>
+            </div>
+        `;
+
+        content.addEventListener('click', (e) => {
+            const button = e.target.closest('[data-action]');
+            if (!button) return;
+
+            switch (button.dataset.action) {
+                case 'save-preset':
+                    this.savePreset();
+                    break;
+                case 'preview-auto':
+                    this.previewAutoEquip(content.querySelector('.objective-select').value);
+                    break;
+                case 'preview-preset':
+                    this.previewPreset(button.dataset.preset);
+                    break;
+                case 'delete-preset':
+                    this.deletePreset(button.dataset.preset);
+                    break;
+                case 'apply-pending':
+                    this.applyPendingLoadout();
+                    break;
+                case 'discard-pending':
+                    this.pendingLoadout = null;
+                    this.renderLoadoutPreview();
+                    break;
+            }
+        });
+
+        panel.appendChild(header);
+        panel.appendChild(content);
+
+        return panel;
+    }
+
     /**
      * Switch between tabs
      */
@@ -473,11 +552,12 @@ class ScriptureView extends GameView {
         const panels = {
             collection: [this.collectionPanel, this.detailsPanel, this.equippedPanel],
             gacha: [this.gachaPanel],
-            enhancement: [this.enhancementPanel, this.detailsPanel]
+            enhancement: [this.enhancementPanel, this.detailsPanel],
+            loadouts: [this.equippedPanel, this.loadoutPanel]
         };
 
         // Hide all panels
-        [this.collectionPanel, this.equippedPanel, this.gachaPanel, this.enhancementPanel, this.detailsPanel]
+        [this.collectionPanel, this.equippedPanel, this.gachaPanel, this.enhancementPanel, this.detailsPanel, this.loadoutPanel]
             .forEach(panel => panel.style.display = 'none');
 
         // Show panels for current tab
@@ -489,65 +569,48 @@ class ScriptureView extends GameView {
      * Load scripture data
      */
     async loadData() {
-        try {
-            // Get system references (these would be properly integrated in a real implementation)
-            this.scriptureManager = window.scriptureManager; // Placeholder
-            this.gachaSystem = window.gachaSystem; // Placeholder
-            this.enhancementSystem = window.enhancementSystem; // Placeholder
+        this.viewModel = window.viewIntegration?.getViewModel(this.viewId) || null;
+
+        if (!this.viewModel || !this.viewModel.isAvailable()) {
+            // Panels stay empty until the gacha module loads and its events trigger a resync
+            console.warn('ScriptureView: Scripture systems are not available yet');
+            return;
+        }
 
-            // Load scripture collection
-            this.scriptureCollection = this.scriptureManager?.getCollection() || [];
-            this.equippedScriptures = this.scriptureManager?.getEquipped() || {};
+        this.syncFromViewModel();
+    }
 
-            console.log('ScriptureView: Data loaded successfully');
+    /**
+     * Copy the view-model snapshot into the view
+     */
+    syncFromViewModel() {
+        if (!this.viewModel?.isAvailable()) return;
+
+        const snapshot = this.viewModel.getSnapshot();
+
+        this.scriptureCollection = snapshot.scriptureCollection;
+        this.equippedScriptures = snapshot.equippedScriptures;
+        this.activeEffects = snapshot.activeEffects;
+        this.resources = snapshot.resources;
+        this.gachaCosts = snapshot.gachaCosts;
+        this.gachaRates = snapshot.gachaRates;
+        this.setProgress = snapshot.setProgress;
+        this.presets = snapshot.presets;
+        this.objectives = snapshot.objectives;
+        this.presetPurposes = snapshot.presetPurposes;
 
-        } catch (error) {
-            console.error('ScriptureView: Failed to load data', error);
-            // Create mock data for development
-            this.createMockData();
+        if (this.selectedScripture) {
+            this.selectedScripture = this.scriptureCollection
+                .find(scripture => scripture.id === this.selectedScripture.id) || null;
         }
     }
 
     /**
-     * Create mock data for development
+     * Resync from the scripture and gacha systems when they report changes
      */
-    createMockData() {
-        this.scriptureCollection = [
-            {
-                id: 'basic_qi_gathering',
-                name: 'Basic Qi Gathering Manual',
-                rarity: 'common',
-                level: 5,
-                maxLevel: 20,
-                power: 150,
-                category: 'cultivation',
-                effects: [
-                    { type: 'qi_speed', value: '+15% Qi cultivation speed' },
-                    { type: 'qi_capacity', value: '+10% Qi capacity' }
-                ]
-            },
-            {
-                id: 'iron_body_technique',
-                name: 'Iron Body Technique',
-                rarity: 'uncommon',
-                level: 3,
-                maxLevel: 40,
-                power: 280,
-                category: 'body',
-                effects: [
-                    { type: 'body_strength', value: '+20% Body strength' },
-                    { type: 'defense', value: '+15% Defense' }
-                ]
-            }
-        ];
-
-        this.equippedScriptures = {
-            primary: null,
-            secondary: null,
-            passive1: this.scriptureCollection[0],
-            passive2: null,
-            passive3: null
-        };
+    onDataUpdate(data) {
+        this.syncFromViewModel();
+        super.onDataUpdate(data);
     }
 
     /**
@@ -558,6 +621,7 @@ class ScriptureView extends GameView {
         this.renderEquipped();
         this.renderGacha();
         this.renderEnhancement();
+        this.renderLoadouts();
         this.updatePanelVisibility();
     }
 
@@ -597,6 +661,10 @@ class ScriptureView extends GameView {
             scriptureGrid.appendChild(scriptureElement);
         });
 
+        if (filteredScriptures.length === 0) {
+            scriptureGrid.innerHTML = '<div class="empty-state">No scriptures yet - try the gacha</div>';
+        }
+
         // Render collection stats
         this.renderCollectionStats(collectionStats);
     }
@@ -683,7 +751,7 @@ class ScriptureView extends GameView {
         const effectsSummary = this.equippedPanel.querySelector('.effects-summary');
         if (!effectsSummary) return;
 
-        // Calculate total effects from equipped scriptures
+        // Total effects of the equipped scriptures
         const totalEffects = this.calculateTotalEffects();
 
         effectsSummary.innerHTML = `
@@ -692,7 +760,28 @@ class ScriptureView extends GameView {
                 ${Object.entries(totalEffects).map(([type, value]) => `
                     <div class="effect-item">
                         <span class="effect-type">${this.formatEffectType(type)}:</span>
-                        <span class="effect-value">${value}</span>
+                        <span class="effect-value">+${(value * 100).toFixed(1)}%</span>
+                    </div>
+                `).join('') || '<div class="empty-state">No scriptures equipped</div>'}
+            </div>
+            ${this.renderActiveSets()}
+        `;
+    }
+
+    /**
+     * Active scripture sets, for the effects summary
+     */
+    renderActiveSets() {
+        const activeSets = (this.setProgress || []).filter(set => set.active);
+        if (activeSets.length === 0) return '';
+
+        return `
+            <h4>Set Bonuses</h4>
+            <div class="effects-list set-list">
+                ${activeSets.map(set => `
+                    <div class="effect-item set-item">
+                        <span class="effect-type">${set.name} (${set.count}/${set.maxCount})</span>
+                        <span class="effect-value">${this.formatSetBonuses(set.bonuses)}</span>
                     </div>
                 `).join('')}
             </div>
@@ -703,9 +792,6 @@ class ScriptureView extends GameView {
      * Render gacha interface
      */
     renderGacha() {
-        // Update player resources
-        const playerResources = this.gameState?.get('resources') || { jade: 1000, crystals: 50 };
-
         this.gachaPanel.querySelectorAll('.gacha-option').forEach(option => {
             const pullButton = option.querySelector('.pull-btn');
             const costAmount = option.querySelector('.cost-amount');
@@ -713,11 +799,25 @@ class ScriptureView extends GameView {
 
             const pullType = pullButton.dataset.pullType;
             const cost = this.getGachaCost(pullType);
+            if (!cost) return;
 
-            const canAfford = playerResources[cost.currency] >= cost.amount;
+            costAmount.textContent = cost.amount;
+            costCurrency.className = `cost-currency icon-${cost.currency}`;
+
+            const canAfford = (this.resources[cost.currency] || 0) >= cost.amount;
             pullButton.disabled = !canAfford;
             pullButton.textContent = canAfford ? 'Pull' : 'Insufficient Resources';
         });
+
+        // Standard pool rates, including current pity
+        const rateList = this.gachaPanel.querySelector('.rate-list');
+        if (rateList && this.gachaRates) {
+            rateList.innerHTML = Object.entries(this.gachaRates)
+                .sort(([a], [b]) => this.getRarityOrder(b.toLowerCase()) - this.getRarityOrder(a.toLowerCase()))
+                .map(([rarity, rate]) => `
+                    <div class="rate-item ${rarity.toLowerCase()}">${rarity}: ${(rate * 100).toFixed(2)}%</div>
+                `).join('');
+        }
     }
 
     /**
@@ -806,44 +906,57 @@ class ScriptureView extends GameView {
         const equipBtn = detailsContent.querySelector('.equip-selected-btn');
         const enhanceBtn = detailsContent.querySelector('.enhance-selected-btn');
 
-        equipBtn?.addEventListener('click', () => this.showEquipModal(scripture));
+        equipBtn?.addEventListener('click', () => this.equipToFreeSlot(scripture));
         enhanceBtn?.addEventListener('click', () => this.switchTab('enhancement'));
     }
 
     async performGacha(pullType) {
-        try {
-            // This would call the actual gacha system
-            console.log(`Performing ${pullType} gacha pull`);
+        if (!this.viewModel) return;
 
-            // Mock gacha result
-            const result = this.mockGachaPull(pullType);
-            this.showGachaResult(result);
+        try {
+            const result = await this.viewModel.pull(pullType);
 
+            if (result.success) {
+                this.showGachaResult(result.scriptures);
+            } else {
+                const reasons = {
+                    insufficient_resources: 'Not enough resources for this pull'
+                };
+                this.showNotification(reasons[result.reason] || 'Gacha pull failed', 'error');
+            }
         } catch (error) {
             console.error('ScriptureView: Gacha failed', error);
             this.showNotification('Gacha pull failed: ' + error.message, 'error');
         }
     }
 
-    async equipScripture(scriptureId, slotId) {
-        try {
-            if (this.scriptureManager) {
-                await this.scriptureManager.equipScripture(scriptureId, slotId);
-                this.renderEquipped();
-                this.showNotification('Scripture equipped successfully', 'success');
-            }
-        } catch (error) {
-            console.error('ScriptureView: Failed to equip scripture', error);
-            this.showNotification('Failed to equip scripture: ' + error.message, 'error');
+    equipScripture(scriptureId, slotId) {
+        const result = this.viewModel?.equip(scriptureId, slotId);
+
+        if (result?.success) {
+            this.showNotification('Scripture equipped successfully', 'success');
+        } else {
+            this.showNotification(`Failed to equip scripture: ${(result?.reason || 'unknown').replace(/_/g, ' ')}`, 'error');
+        }
+    }
+
+    unequipSlot(slotId) {
+        const scripture = this.equippedScriptures?.[slotId];
+        if (scripture) {
+            this.viewModel?.unequip(scripture.id);
         }
     }
 
     async performEnhancement(enhanceType) {
+        if (!this.viewModel || !this.selectedScripture) return;
+
         try {
-            if (this.enhancementSystem && this.selectedScripture) {
-                await this.enhancementSystem.enhance(this.selectedScripture.id, enhanceType);
-                this.refresh();
-                this.showNotification('Enhancement successful', 'success');
+            const result = await this.viewModel.enhance(this.selectedScripture.id, enhanceType);
+
+            if (result?.success) {
+                this.showNotification(enhanceType === 'awaken' ? 'Scripture awakened!' : 'Enhancement successful', 'success');
+            } else {
+                this.showNotification(`Enhancement failed: ${(result?.reason || 'unknown').replace(/_/g, ' ')}`, 'error');
             }
         } catch (error) {
             console.error('ScriptureView: Enhancement failed', error);
@@ -851,72 +964,214 @@ class ScriptureView extends GameView {
         }
     }
 
+    /**
+     * Render presets, optimizer objectives and set progress
+     */
+    renderLoadouts() {
+        if (!this.loadoutPanel) return;
+
+        const purposeNames = Object.fromEntries(this.presetPurposes.map(purpose => [purpose.id, purpose.name]));
+
+        const presetList = this.loadoutPanel.querySelector('.preset-list');
+        presetList.innerHTML = this.presets.map(preset => {
+            const id = this.escapeHtml(preset.id);
+            return `
+                <div class="preset-item ${preset.active ? 'active' : ''}">
+                    <div class="preset-info">
+                        <span class="preset-name">${this.escapeHtml(preset.name)}</span>
+                        <span class="preset-purpose">${purposeNames[preset.purpose] || preset.purpose}</span>
+                        ${preset.active ? '<span class="preset-active">Equipped</span>' : ''}
+                        ${preset.missing.length > 0 ? `<span class="preset-missing">${preset.missing.length} missing</span>` : ''}
+                    </div>
+                    <div class="preset-actions">
+                        <button class="btn btn-secondary btn-sm" data-action="preview-preset" data-preset="${id}" ${preset.active ? 'disabled' : ''}>Preview</button>
+                        <button class="btn btn-outline btn-sm" data-action="delete-preset" data-preset="${id}">Delete</button>
+                    </div>
+                </div>
+            `;
+        }).join('') || '<div class="empty-state">No presets saved</div>';
+
+        this.fillSelect(this.loadoutPanel.querySelector('.preset-purpose-select'), this.presetPurposes);
+        this.fillSelect(this.loadoutPanel.querySelector('.objective-select'), this.objectives);
+
+        const setProgress = this.loadoutPanel.querySelector('.set-progress');
+        setProgress.innerHTML = this.setProgress.map(set => `
+            <div class="set-progress-item ${set.active ? 'active' : ''}">
+                <div class="set-name">${set.name} <span class="set-count">${set.count}/${set.maxCount}</span></div>
+                <div class="set-description">${set.description}</div>
+                ${set.active ? `<div class="set-bonus">${this.formatSetBonuses(set.bonuses)}</div>` : ''}
+                ${set.nextThreshold ? `<div class="set-next">At ${set.nextThreshold}: ${this.formatSetBonuses(set.nextBonus)}</div>` : ''}
+            </div>
+        `).join('');
+
+        this.renderLoadoutPreview();
+    }
+
+    /**
+     * Render the pending loadout diff with its confirm buttons
+     */
+    renderLoadoutPreview() {
+        const container = this.loadoutPanel?.querySelector('.loadout-preview');
+        if (!container) return;
+
+        if (!this.pendingLoadout) {
+            container.style.display = 'none';
+            container.innerHTML = '';
+            return;
+        }
+
+        const { title, diff } = this.pendingLoadout;
+        const setNames = Object.fromEntries([...diff.before.sets, ...diff.after.sets].map(set => [set.setId, set.name]));
+        const deltaRows = Object.entries(diff.delta).flatMap(([group, stats]) =>
+            Object.entries(stats).map(([stat, value]) => `
+                <div class="effect-item">
+                    <span class="effect-type">${this.formatEffectType(stat)}:</span>
+                    <span class="effect-value ${value > 0 ? 'positive' : 'negative'}">${this.formatEffectDelta(group, value)}</span>
+                </div>
+            `));
+
+        container.style.display = 'block';
+        container.innerHTML = `
+            <h4>Preview: ${this.escapeHtml(title)}</h4>
+            <div class="preview-changes">
+                ${diff.changes.map(change => `
+                    <div class="preview-change">
+                        <span class="change-slot">${this.formatEffectType(change.slot)}</span>
+                        <span class="change-from">${change.from ? change.from.name : 'Empty'}</span>
+                        <span class="change-arrow">&rarr;</span>
+                        <span class="change-to">${change.to ? change.to.name : 'Empty'}</span>
+                    </div>
+                `).join('') || '<div class="empty-state">Already equipped</div>'}
+            </div>
+            ${deltaRows.length > 0 ? `<div class="effects-list preview-delta">${deltaRows.join('')}</div>` : ''}
+            ${diff.setsGained.length > 0 ? `<div class="preview-sets gained">Activates: ${diff.setsGained.map(id => setNames[id]).join(', ')}</div>` : ''}
+            ${diff.setsLost.length > 0 ? `<div class="preview-sets lost">Breaks: ${diff.setsLost.map(id => setNames[id]).join(', ')}</div>` : ''}
+            ${diff.invalid.length > 0 ? `<div class="preview-invalid">Left empty: ${diff.invalid.map(entry => `${this.formatEffectType(entry.slot)} (${entry.reason.replace(/_/g, ' ')})`).join(', ')}</div>` : ''}
+            ${diff.objective ? `<div class="preview-score">Score: ${diff.scoreBefore.toFixed(2)} &rarr; ${diff.scoreAfter.toFixed(2)}</div>` : ''}
+            <div class="preview-actions">
+                <button class="btn btn-primary btn-sm" data-action="apply-pending" ${diff.changes.length === 0 ? 'disabled' : ''}>Apply</button>
+                <button class="btn btn-outline btn-sm" data-action="discard-pending">Discard</button>
+            </div>
+        `;
+    }
+
+    previewAutoEquip(objective) {
+        const result = this.viewModel?.previewAutoEquip(objective);
+        if (!result?.success) {
+            this.showNotification(`Cannot optimize: ${(result?.reason || 'unavailable').replace(/_/g, ' ')}`, 'error');
+            return;
+        }
+
+        const objectiveName = this.objectives.find(entry => entry.id === objective)?.name || objective;
+        this.pendingLoadout = { source: 'auto', title: `Best for ${objectiveName}`, diff: result.diff };
+        this.renderLoadoutPreview();
+    }
+
+    previewPreset(presetId) {
+        const result = this.viewModel?.previewPreset(presetId);
+        if (!result?.success) {
+            this.showNotification(`Cannot load preset: ${(result?.reason || 'unavailable').replace(/_/g, ' ')}`, 'error');
+            return;
+        }
+
+        this.pendingLoadout = { source: 'preset', title: result.preset.name, presetId, diff: result.diff };
+        this.renderLoadoutPreview();
+    }
+
+    /**
+     * Equip exactly the previewed loadout
+     */
+    applyPendingLoadout() {
+        if (!this.pendingLoadout) return;
+
+        const { source, presetId, diff } = this.pendingLoadout;
+        const result = source === 'preset' ?
+            this.viewModel?.applyPreset(presetId) :
+            this.viewModel?.applyLoadout(diff.loadout);
+
+        this.pendingLoadout = null;
+        this.renderLoadoutPreview();
+
+        if (result?.success) {
+            this.showNotification(`Loadout applied (${result.changes.length} slots changed)`, 'success');
+        } else {
+            this.showNotification(`Failed to apply loadout: ${(result?.reason || 'unknown').replace(/_/g, ' ')}`, 'error');
+        }
+    }
+
+    savePreset() {
+        const nameInput = this.loadoutPanel.querySelector('.preset-name-input');
+        const purpose = this.loadoutPanel.querySelector('.preset-purpose-select').value;
+        const result = this.viewModel?.savePreset(nameInput.value, purpose);
+
+        if (result?.success) {
+            nameInput.value = '';
+            this.showNotification(`Preset "${result.preset.name}" saved`, 'success');
+        } else {
+            this.showNotification(`Failed to save preset: ${(result?.reason || 'unknown').replace(/_/g, ' ')}`, 'error');
+        }
+    }
+
+    deletePreset(presetId) {
+        if (this.viewModel?.deletePreset(presetId) && this.pendingLoadout?.presetId === presetId) {
+            this.pendingLoadout = null;
+            this.renderLoadoutPreview();
+        }
+    }
+
     /**
      * Utility methods
      */
     getRarityOrder(rarity) {
-        const order = { common: 1, uncommon: 2, rare: 3, epic: 4, legendary: 5 };
+        const order = { common: 1, uncommon: 2, rare: 3, epic: 4, legendary: 5, mythical: 6 };
         return order[rarity] || 0;
     }
 
     calculateTotalEffects() {
         const effects = {};
-        Object.values(this.equippedScriptures).forEach(scripture => {
-            if (scripture?.effects) {
-                scripture.effects.forEach(effect => {
-                    if (!effects[effect.type]) effects[effect.type] = 0;
-                    // This would properly parse and sum the effect values
-                    effects[effect.type] += 1; // Simplified
-                });
-            }
+        if (!this.activeEffects) return effects;
+
+        ['cultivation', 'combat', 'resource'].forEach(group => {
+            Object.entries(this.activeEffects[group] || {}).forEach(([type, value]) => {
+                if (value) effects[type] = value;
+            });
         });
         return effects;
     }
 
     formatEffectType(type) {
-        return type.replace(/_/g, ' ').replace(/\b\w/g, l => l.toUpperCase());
+        return type.replace(/_/g, ' ').replace(/([a-z])([A-Z])/g, '$1 $2').replace(/\b\w/g, l => l.toUpperCase());
     }
 
-    getGachaCost(pullType) {
-        const costs = {
-            single: { amount: 100, currency: 'jade' },
-            ten: { amount: 900, currency: 'jade' },
-            premium: { amount: 50, currency: 'crystals' }
-        };
-        return costs[pullType] || costs.single;
+    formatEffectDelta(group, value) {
+        const sign = value > 0 ? '+' : '';
+        // Cultivation and resource effects are fractions, combat effects are flat
+        return group === 'combat' ? `${sign}${Math.round(value)}` : `${sign}${(value * 100).toFixed(1)}%`;
     }
 
-    mockGachaPull(pullType) {
-        const rarities = ['common', 'uncommon', 'rare', 'epic', 'legendary'];
-        const weights = [50, 30, 15, 4, 1];
-
-        const numPulls = pullType === 'ten' ? 10 : 1;
-        const results = [];
-
-        for (let i = 0; i < numPulls; i++) {
-            const rarity = this.weightedRandom(rarities, weights);
-            results.push({
-                id: `scripture_${Date.now()}_${i}`,
-                name: `Test Scripture ${i + 1}`,
-                rarity,
-                level: 1,
-                power: 100 * this.getRarityOrder(rarity)
-            });
-        }
-
-        return results;
+    formatSetBonuses(bonuses) {
+        return Object.entries(bonuses || {})
+            .map(([type, value]) => value === true ?
+                this.formatEffectType(type) :
+                `${this.formatEffectType(type)} +${Math.round(value * 100)}%`)
+            .join(', ');
     }
 
-    weightedRandom(items, weights) {
-        const totalWeight = weights.reduce((sum, weight) => sum + weight, 0);
-        let random = Math.random() * totalWeight;
+    /**
+     * Replace a select's options, keeping the chosen one when it is still offered
+     */
+    fillSelect(select, entries) {
+        if (!select) return;
 
-        for (let i = 0; i < items.length; i++) {
-            random -= weights[i];
-            if (random <= 0) return items[i];
+        const selected = select.value;
+        select.innerHTML = entries.map(entry => `<option value="${entry.id}">${entry.name}</option>`).join('');
+        if (entries.some(entry => entry.id === selected)) {
+            select.value = selected;
         }
+    }
 
-        return items[items.length - 1];
+    getGachaCost(pullType) {
+        return this.gachaCosts[pullType] || null;
     }
 
     updateEnhancementOptions() {
@@ -925,6 +1180,17 @@ class ScriptureView extends GameView {
         enhanceButtons.forEach(btn => {
             btn.disabled = !this.selectedScripture;
         });
+
+        // Show what the next level costs
+        const preview = this.viewModel?.getEnhancementPreview(this.selectedScripture.id);
+        const levelUpCost = this.enhancementPanel.querySelector('[data-enhance-type="levelup"]')
+            ?.closest('.enhancement-option')?.querySelector('.option-cost');
+
+        if (levelUpCost) {
+            levelUpCost.textContent = preview ?
+                `${Object.entries(preview.cost || {}).map(([type, amount]) => `${amount} ${type}`).join(', ')} · ${Math.round(preview.successRate * 100)}% success` :
+                '';
+        }
     }
 
     disableEnhancementOptions() {
@@ -965,10 +1231,18 @@ class ScriptureView extends GameView {
         }, 5000);
     }
 
-    showEquipModal(scripture) {
-        // Show modal to select equipment slot
-        // Implementation would depend on UI framework
-        console.log('Show equip modal for:', scripture.name);
+    /**
+     * Equip into the first empty slot, or clicking a slot picks one explicitly
+     */
+    equipToFreeSlot(scripture) {
+        const freeSlot = Object.keys(this.equippedScriptures || {})
+            .find(slotId => !this.equippedScriptures[slotId]);
+
+        if (freeSlot) {
+            this.equipScripture(scripture.id, freeSlot);
+        } else {
+            this.showNotification('All slots are full - click a slot to replace its scripture', 'info');
+        }
     }
 
     renderCollectionStats(container) {
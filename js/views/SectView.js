@@ -6,11 +6,8 @@ class SectView extends GameView {
     constructor(container, options = {}) {
         super(container, options);
 
-        // System references
-        this.sectSystem = null;
-        this.sectManager = null;
-        this.sectActivities = null;
-        this.sectCompetition = null;
+        // Bound SectViewModel
+        this.viewModel = null;
 
         // UI components
         this.sectInfoPanel = null;
@@ -18,16 +15,23 @@ class SectView extends GameView {
         this.activitiesPanel = null;
         this.contributionPanel = null;
         this.shopPanel = null;
+        this.territoryPanel = null;
+        this.warPanel = null;
 
         // Current data
         this.sectData = null;
         this.memberData = null;
         this.playerContribution = null;
         this.sectActivitiesData = null;
+        this.availableSects = [];
         this.shopData = null;
+        this.territoryMap = { regions: [], sects: [] };
+        this.warData = null;
+        this.inSect = false;
 
         // View state
         this.currentTab = 'overview';
+        this.selectedRegionId = null;
 
         this.refreshRate = 5000; // 5 seconds
     }
@@ -61,6 +65,8 @@ class SectView extends GameView {
         this.activitiesPanel = this.createActivitiesPanel();
         this.contributionPanel = this.createContributionPanel();
         this.shopPanel = this.createShopPanel();
+        this.territoryPanel = this.createTerritoryPanel();
+        this.warPanel = this.createWarPanel();
 
         // Organize panels
         leftColumn.appendChild(this.sectInfoPanel);
@@ -69,6 +75,8 @@ class SectView extends GameView {
         rightColumn.appendChild(this.activitiesPanel);
         rightColumn.appendChild(this.contributionPanel);
         rightColumn.appendChild(this.shopPanel);
+        rightColumn.appendChild(this.territoryPanel);
+        rightColumn.appendChild(this.warPanel);
 
         layout.appendChild(leftColumn);
         layout.appendChild(rightColumn);
@@ -88,7 +96,9 @@ class SectView extends GameView {
             { id: 'overview', label: 'Sect Overview', icon: 'icon-temple' },
             { id: 'members', label: 'Members', icon: 'icon-users' },
             { id: 'activities', label: 'Activities', icon: 'icon-activity' },
-            { id: 'shop', label: 'Sect Shop', icon: 'icon-shop' }
+            { id: 'shop', label: 'Sect Shop', icon: 'icon-shop' },
+            { id: 'territory', label: 'World Map', icon: 'icon-map' },
+            { id: 'wars', label: 'Wars', icon: 'icon-combat' }
         ];
 
         tabs.forEach(tab => {
@@ -213,7 +223,7 @@ class SectView extends GameView {
         dailyMissions.className = 'activity-section daily-missions';
 
         const dailyHeader = document.createElement('h4');
-        dailyHeader.innerHTML = '<span class="icon-calendar"></span> Daily Missions';
+        dailyHeader.innerHTML = '<span class="icon-calendar"></span> Available Activities';
         dailyMissions.appendChild(dailyHeader);
 
         const dailyList = document.createElement('div');
@@ -225,7 +235,7 @@ class SectView extends GameView {
         weeklyEvents.className = 'activity-section weekly-events';
 
         const weeklyHeader = document.createElement('h4');
-        weeklyHeader.innerHTML = '<span class="icon-event"></span> Weekly Events';
+        weeklyHeader.innerHTML = '<span class="icon-event"></span> Running Activities';
         weeklyEvents.appendChild(weeklyHeader);
 
         const weeklyList = document.createElement('div');
@@ -284,34 +294,25 @@ class SectView extends GameView {
         const methodsList = document.createElement('div');
         methodsList.className = 'methods-list';
 
-        // Add contribution methods
-        const resourceContribution = this.createContributionMethod({
-            id: 'resources',
-            name: 'Donate Resources',
-            description: 'Donate jade and crystals to the sect',
+        // Add contribution methods (multipliers match SectSystem resource values)
+        const jadeContribution = this.createContributionMethod({
+            id: 'jade',
+            name: 'Donate Jade',
+            description: 'Donate jade to the sect treasury',
             icon: 'icon-jade',
             multiplier: 1
         });
 
-        const spiritStoneContribution = this.createContributionMethod({
-            id: 'spirit-stones',
-            name: 'Donate Spirit Stones',
+        const crystalContribution = this.createContributionMethod({
+            id: 'spiritCrystals',
+            name: 'Donate Spirit Crystals',
             description: 'High-value contribution method',
-            icon: 'icon-stone',
-            multiplier: 5
+            icon: 'icon-crystals',
+            multiplier: 10
         });
 
-        const taskContribution = this.createContributionMethod({
-            id: 'tasks',
-            name: 'Complete Sect Tasks',
-            description: 'Help with sect infrastructure',
-            icon: 'icon-task',
-            multiplier: 3
-        });
-
-        methodsList.appendChild(resourceContribution);
-        methodsList.appendChild(spiritStoneContribution);
-        methodsList.appendChild(taskContribution);
+        methodsList.appendChild(jadeContribution);
+        methodsList.appendChild(crystalContribution);
         contributionMethods.appendChild(methodsList);
 
         content.appendChild(contributionMethods);
@@ -406,6 +407,71 @@ class SectView extends GameView {
         return panel;
     }
 
+    /**
+     * Create territory map panel
+     */
+    createTerritoryPanel() {
+        const panel = document.createElement('div');
+        panel.className = 'sect-panel territory-panel';
+
+        const header = document.createElement('h3');
+        header.className = 'panel-header';
+        header.innerHTML = '<span class="icon-map"></span> World Map';
+
+        const content = document.createElement('div');
+        content.className = 'panel-content territory-content';
+
+        // Hex map of regions coloured by owner
+        const map = document.createElement('div');
+        map.className = 'territory-map';
+        content.appendChild(map);
+
+        // Selected region details
+        const details = document.createElement('div');
+        details.className = 'territory-details';
+        content.appendChild(details);
+
+        // Sects and their holdings
+        const legend = document.createElement('div');
+        legend.className = 'territory-legend';
+        content.appendChild(legend);
+
+        panel.appendChild(header);
+        panel.appendChild(content);
+
+        return panel;
+    }
+
+    /**
+     * Create sect war panel
+     */
+    createWarPanel() {
+        const panel = document.createElement('div');
+        panel.className = 'sect-panel war-panel';
+
+        const header = document.createElement('h3');
+        header.className = 'panel-header';
+        header.innerHTML = '<span class="icon-combat"></span> Sect Wars';
+
+        const content = document.createElement('div');
+        content.className = 'panel-content war-content';
+
+        // Wars declared and being fought
+        const activeWars = document.createElement('div');
+        activeWars.className = 'active-wars';
+        content.appendChild(activeWars);
+
+        // Reports of finished wars
+        const warReports = document.createElement('div');
+        warReports.className = 'war-reports';
+        content.appendChild(warReports);
+
+        panel.appendChild(header);
+        panel.appendChild(content);
+
+        return panel;
+    }
+
     /**
      * Switch between tabs
      */
@@ -430,11 +496,13 @@ class SectView extends GameView {
             overview: [this.sectInfoPanel, this.contributionPanel],
             members: [this.memberPanel],
             activities: [this.activitiesPanel],
-            shop: [this.shopPanel]
+            shop: [this.shopPanel],
+            territory: [this.territoryPanel],
+            wars: [this.warPanel]
         };
 
         // Hide all panels
-        [this.sectInfoPanel, this.memberPanel, this.activitiesPanel, this.contributionPanel, this.shopPanel]
+        [this.sectInfoPanel, this.memberPanel, this.activitiesPanel, this.contributionPanel, this.shopPanel, this.territoryPanel, this.warPanel]
             .forEach(panel => panel.style.display = 'none');
 
         // Show panels for current tab
@@ -446,155 +514,42 @@ class SectView extends GameView {
      * Load sect data
      */
     async loadData() {
-        try {
-            // Get system references
-            const sectModule = window.game?.moduleManager?.getModule('sect');
-            this.sectSystem = sectModule?.sectSystem;
-            this.sectManager = sectModule?.sectManager;
-            this.sectActivities = sectModule?.sectActivities;
-            this.sectCompetition = sectModule?.sectCompetition;
-
-            if (!this.sectSystem) {
-                throw new Error('Sect system not available');
-            }
-
-            // Load sect data
-            this.sectData = this.sectSystem.getSectInfo();
-            this.memberData = this.sectManager?.getMembers();
-            this.playerContribution = this.sectSystem.getPlayerContribution();
-            this.sectActivitiesData = this.sectActivities?.getActivities();
-            this.shopData = this.sectSystem.getShopItems();
-
-            console.log('SectView: Data loaded successfully');
+        this.viewModel = window.viewIntegration?.getViewModel(this.viewId) || null;
 
-        } catch (error) {
-            console.error('SectView: Failed to load data', error);
-            this.createMockData();
+        if (!this.viewModel || !this.viewModel.isAvailable()) {
+            // Panels stay empty until the sect module loads and its events trigger a resync
+            console.warn('SectView: Sect system is not available yet');
+            return;
         }
+
+        this.syncFromViewModel();
     }
 
     /**
-     * Create mock data for development
+     * Copy the view-model snapshot into the view
      */
-    createMockData() {
-        this.sectData = {
-            name: 'Azure Dragon Sect',
-            level: 3,
-            memberCount: 45,
-            maxMembers: 50,
-            totalContribution: 125000,
-            rank: 7,
-            description: 'A prestigious sect focused on balanced cultivation and mutual support among disciples.',
-            benefits: [
-                { type: 'cultivation_speed', value: '+15% Cultivation Speed' },
-                { type: 'resource_bonus', value: '+10% Resource Generation' },
-                { type: 'technique_access', value: 'Access to Rare Techniques' }
-            ],
-            leader: 'Elder Mystique',
-            founded: '2 years ago'
-        };
-
-        this.memberData = Array.from({ length: 20 }, (_, i) => ({
-            id: i + 1,
-            name: `Member ${i + 1}`,
-            rank: i < 3 ? ['Elder', 'Core Disciple', 'Inner Disciple'][i] : 'Outer Disciple',
-            level: 30 - i,
-            power: 2000 - (i * 50),
-            contribution: 10000 - (i * 200),
-            joinDate: new Date(Date.now() - (i * 86400000 * 30)),
-            online: Math.random() > 0.7
-        }));
-
-        this.playerContribution = {
-            total: 5500,
-            points: 2750,
-            rank: 8,
-            weeklyContribution: 350,
-            monthlyContribution: 1200
-        };
-
-        this.sectActivitiesData = {
-            dailyMissions: [
-                {
-                    id: 'daily1',
-                    name: 'Cultivation Practice',
-                    description: 'Cultivate for 2 hours',
-                    progress: 75,
-                    maxProgress: 100,
-                    reward: { contribution: 50, jade: 100 },
-                    completed: false
-                },
-                {
-                    id: 'daily2',
-                    name: 'Resource Gathering',
-                    description: 'Collect 1000 jade',
-                    progress: 1000,
-                    maxProgress: 1000,
-                    reward: { contribution: 30, experience: 500 },
-                    completed: true
-                }
-            ],
-            weeklyEvents: [
-                {
-                    id: 'weekly1',
-                    name: 'Sect War',
-                    description: 'Compete against rival sects',
-                    timeLeft: 3600 * 24 * 3,
-                    participants: 25,
-                    reward: { contribution: 500, crystals: 25 }
-                }
-            ],
-            competitions: [
-                {
-                    id: 'comp1',
-                    name: 'Inner Sect Tournament',
-                    type: 'combat',
-                    status: 'active',
-                    participants: 16,
-                    reward: { contribution: 1000, technique: 'Lightning Palm' }
-                }
-            ]
-        };
+    syncFromViewModel() {
+        if (!this.viewModel?.isAvailable()) return;
+
+        const snapshot = this.viewModel.getSnapshot();
+
+        this.inSect = snapshot.inSect;
+        this.sectData = snapshot.sectData;
+        this.memberData = snapshot.memberData;
+        this.playerContribution = snapshot.playerContribution;
+        this.sectActivitiesData = snapshot.sectActivitiesData;
+        this.availableSects = snapshot.availableSects;
+        this.territoryMap = snapshot.territoryMap;
+        this.warData = snapshot.warData;
+        this.shopData = snapshot.shopData;
+    }
 
-        this.shopData = {
-            techniques: [
-                {
-                    id: 'tech1',
-                    name: 'Azure Dragon Fist',
-                    rarity: 'rare',
-                    cost: 1000,
-                    description: 'Powerful combat technique',
-                    requirements: { rank: 'Inner Disciple' }
-                }
-            ],
-            pills: [
-                {
-                    id: 'pill1',
-                    name: 'Qi Enhancement Pill',
-                    cost: 200,
-                    effect: '+10% Qi for 1 hour',
-                    stock: 50
-                }
-            ],
-            materials: [
-                {
-                    id: 'mat1',
-                    name: 'Dragon Scale',
-                    cost: 500,
-                    description: 'Rare crafting material',
-                    stock: 10
-                }
-            ],
-            equipment: [
-                {
-                    id: 'eq1',
-                    name: 'Sect Robes',
-                    cost: 800,
-                    stats: { defense: 15, cultivation: 5 },
-                    requirements: { level: 25 }
-                }
-            ]
-        };
+    /**
+     * Resync from the sect systems when they report changes
+     */
+    onDataUpdate(data) {
+        this.syncFromViewModel();
+        super.onDataUpdate(data);
     }
 
     /**
@@ -606,6 +561,8 @@ class SectView extends GameView {
         this.renderActivities();
         this.renderContribution();
         this.renderShop();
+        this.renderTerritoryMap();
+        this.renderWars();
         this.updatePanelVisibility();
     }
 
@@ -613,7 +570,10 @@ class SectView extends GameView {
      * Render sect information
      */
     renderSectInfo() {
-        if (!this.sectData) return;
+        if (!this.inSect) {
+            this.renderSectList();
+            return;
+        }
 
         const infoContent = this.sectInfoPanel.querySelector('.info-content');
         const sectHeader = infoContent.querySelector('.sect-header');
@@ -667,24 +627,61 @@ class SectView extends GameView {
                         <span class="benefit-icon icon-${benefit.type}"></span>
                         <span class="benefit-text">${benefit.value}</span>
                     </div>
-                `).join('')}
+                `).join('') || '<div class="empty-state">No active benefits</div>'}
             </div>
         `;
     }
 
+    /**
+     * Render the sects open for recruitment while the player has none
+     */
+    renderSectList() {
+        const infoContent = this.sectInfoPanel.querySelector('.info-content');
+        const sectHeader = infoContent.querySelector('.sect-header');
+
+        infoContent.querySelectorAll('.sect-stats, .sect-description, .sect-benefits')
+            .forEach(section => section.innerHTML = '');
+
+        sectHeader.innerHTML = `
+            <h4>You are not a member of any sect</h4>
+            <div class="sect-list">
+                ${this.availableSects.map(sect => `
+                    <div class="sect-list-item" data-sect-id="${sect.id}">
+                        <div class="sect-name">${sect.name}</div>
+                        <div class="sect-list-stats">
+                            <span>${sect.memberCount}/${sect.maxMembers} members</span>
+                            <span>${this.formatNumber(sect.prestige)} prestige</span>
+                        </div>
+                        <div class="sect-description">${sect.description || ''}</div>
+                        <button class="btn btn-primary btn-sm join-sect-btn">Join</button>
+                    </div>
+                `).join('') || '<div class="empty-state">No sects are recruiting</div>'}
+            </div>
+        `;
+
+        sectHeader.querySelectorAll('.sect-list-item').forEach(item => {
+            item.querySelector('.join-sect-btn')
+                .addEventListener('click', () => this.joinSect(item.dataset.sectId));
+        });
+    }
+
     /**
      * Render members
      */
     renderMembers() {
-        if (!this.memberData) return;
-
         const memberContent = this.memberPanel.querySelector('.member-content');
         const playerStatus = memberContent.querySelector('.player-status');
         const memberList = memberContent.querySelector('.member-list');
 
+        if (!this.inSect) {
+            playerStatus.innerHTML = '';
+            memberList.innerHTML = '<div class="empty-state">Join a sect to see its members</div>';
+            return;
+        }
+
         // Player status
-        const playerMember = this.memberData.find(m => m.name === 'Player') || this.memberData[7]; // Mock player
-        playerStatus.innerHTML = `
+        const playerMember = this.memberData.find(member => member.isPlayer);
+        playerStatus.innerHTML = !playerMember ? '' : `
             <div class="player-member-card">
                 <div class="member-header">
                     <div class="member-name">You</div>
@@ -742,6 +739,16 @@ class SectView extends GameView {
                     <span class="stat-label">Level:</span>
                     <span class="stat-value">${member.level}</span>
                 </div>
+                ${member.realm ? `
+                <div class="stat-row">
+                    <span class="stat-label">Realm:</span>
+                    <span class="stat-value">${member.realm}</span>
+                </div>` : ''}
+                ${member.loyalty !== null ? `
+                <div class="stat-row">
+                    <span class="stat-label">Loyalty:</span>
+                    <span class="stat-value loyalty-${member.loyalty < 30 ? 'low' : member.loyalty < 60 ? 'mid' : 'high'}">${member.loyalty}</span>
+                </div>` : ''}
                 <div class="stat-row">
                     <span class="stat-label">Power:</span>
                     <span class="stat-value">${this.formatNumber(member.power)}</span>
@@ -756,15 +763,20 @@ class SectView extends GameView {
                 </div>
             </div>
             <div class="member-actions">
+                ${member.promotion ? `<button class="btn btn-primary btn-sm promote-btn">Promote to ${member.promotion}</button>` : ''}
                 <button class="btn btn-secondary btn-sm view-profile-btn">Profile</button>
                 <button class="btn btn-outline btn-sm message-btn">Message</button>
             </div>
         `;
 
         // Add event listeners
+        const promoteBtn = card.querySelector('.promote-btn');
         const profileBtn = card.querySelector('.view-profile-btn');
         const messageBtn = card.querySelector('.message-btn');
 
+        if (promoteBtn) {
+            promoteBtn.addEventListener('click', () => this.promoteMember(member));
+        }
         profileBtn.addEventListener('click', () => this.viewMemberProfile(member));
         messageBtn.addEventListener('click', () => this.sendMessage(member));
 
@@ -775,61 +787,71 @@ class SectView extends GameView {
      * Render activities
      */
     renderActivities() {
-        if (!this.sectActivitiesData) return;
-
         const activitiesContent = this.activitiesPanel.querySelector('.activities-content');
-
-        // Daily missions
         const dailyList = activitiesContent.querySelector('.daily-list');
+        const weeklyList = activitiesContent.querySelector('.weekly-list');
+        const competitionList = activitiesContent.querySelector('.competition-list');
+        const activities = this.sectActivitiesData || { available: [], active: [], competitions: [] };
+
+        // Activities the sect can start
         dailyList.innerHTML = '';
-        this.sectActivitiesData.dailyMissions.forEach(mission => {
-            const missionCard = this.createMissionCard(mission);
-            dailyList.appendChild(missionCard);
+        activities.available.forEach(activity => {
+            const activityCard = this.createActivityCard(activity);
+            dailyList.appendChild(activityCard);
         });
+        if (activities.available.length === 0) {
+            dailyList.innerHTML = '<div class="empty-state">No activities available</div>';
+        }
 
-        // Weekly events
-        const weeklyList = activitiesContent.querySelector('.weekly-list');
+        // Activities in progress
         weeklyList.innerHTML = '';
-        this.sectActivitiesData.weeklyEvents.forEach(event => {
+        activities.active.forEach(event => {
             const eventCard = this.createEventCard(event);
             weeklyList.appendChild(eventCard);
         });
+        if (activities.active.length === 0) {
+            weeklyList.innerHTML = '<div class="empty-state">No activities running</div>';
+        }
 
         // Competitions
-        const competitionList = activitiesContent.querySelector('.competition-list');
         competitionList.innerHTML = '';
-        this.sectActivitiesData.competitions.forEach(competition => {
+        activities.competitions.forEach(competition => {
             const competitionCard = this.createCompetitionCard(competition);
             competitionList.appendChild(competitionCard);
         });
+        if (activities.competitions.length === 0) {
+            competitionList.innerHTML = '<div class="empty-state">No open competitions</div>';
+        }
     }
 
     /**
-     * Create mission card
+     * Create activity card
      */
-    createMissionCard(mission) {
+    createActivityCard(activity) {
         const card = document.createElement('div');
-        card.className = `mission-card ${mission.completed ? 'completed' : ''}`;
-
-        const progressPercent = (mission.progress / mission.maxProgress) * 100;
+        card.className = `mission-card ${activity.available ? '' : 'unavailable'}`;
 
         card.innerHTML = `
             <div class="mission-header">
-                <div class="mission-name">${mission.name}</div>
-                <div class="mission-status ${mission.completed ? 'completed' : 'active'}">
-                    ${mission.completed ? 'Completed' : 'Active'}
+                <div class="mission-name">${activity.name}</div>
+                <div class="mission-status ${activity.available ? 'active' : 'cooldown'}">
+                    ${activity.available ? 'Ready' :
+                        activity.cooldownRemaining > 0 ? `Cooldown ${this.formatTime(activity.cooldownRemaining)}` : 'Unavailable'}
                 </div>
             </div>
-            <div class="mission-description">${mission.description}</div>
-            <div class="mission-progress">
-                <div class="progress-bar">
-                    <div class="progress-fill" style="width: ${progressPercent}%"></div>
-                    <div class="progress-text">${mission.progress}/${mission.maxProgress}</div>
-                </div>
+            <div class="mission-description">${activity.description}</div>
+            <div class="mission-cost">
+                <span class="rewards-label">Cost:</span>
+                ${Object.entries(activity.cost).map(([type, amount]) => `
+                    <span class="reward-item">
+                        <span class="icon-${type}"></span>
+                        <span>${amount}</span>
+                    </span>
+                `).join('')}
             </div>
             <div class="mission-rewards">
-                <span class="rewards-label">Rewards:</span>
-                ${Object.entries(mission.reward).map(([type, amount]) => `
+                <span class="rewards-label">Benefits:</span>
+                ${Object.entries(activity.reward).map(([type, amount]) => `
                     <span class="reward-item">
                         <span class="icon-${type}"></span>
                         <span>${amount}</span>
@@ -837,22 +859,13 @@ class SectView extends GameView {
                 `).join('')}
             </div>
             <div class="mission-actions">
-                ${mission.completed ?
-                    '<button class="btn btn-success btn-sm claim-btn">Claim Rewards</button>' :
-                    '<button class="btn btn-primary btn-sm start-btn">Start Mission</button>'
-                }
+                <button class="btn btn-primary btn-sm start-btn" ${activity.available ? '' : 'disabled'}>Start Activity</button>
             </div>
         `;
 
-        // Add event listeners
-        const actionBtn = card.querySelector('.claim-btn') || card.querySelector('.start-btn');
-        actionBtn?.addEventListener('click', () => {
-            if (mission.completed) {
-                this.claimMissionReward(mission.id);
-            } else {
-                this.startMission(mission.id);
-            }
-        });
+        // Add event listener
+        const startBtn = card.querySelector('.start-btn');
+        startBtn.addEventListener('click', () => this.startActivity(activity.id));
 
         return card;
     }
@@ -888,7 +901,9 @@ class SectView extends GameView {
                 `).join('')}
             </div>
             <div class="event-actions">
-                <button class="btn btn-primary participate-btn">Participate</button>
+                <button class="btn btn-primary participate-btn" ${event.isParticipating ? 'disabled' : ''}>
+                    ${event.isParticipating ? 'Participating' : 'Participate'}
+                </button>
             </div>
         `;
 
@@ -922,22 +937,22 @@ class SectView extends GameView {
                 </div>
             </div>
             <div class="competition-rewards">
-                <span class="rewards-label">Rewards:</span>
-                ${Object.entries(competition.reward).map(([type, amount]) => `
+                <span class="rewards-label">Entry Fee:</span>
+                ${Object.entries(competition.entryFee).map(([type, amount]) => `
                     <span class="reward-item">
                         <span class="icon-${type}"></span>
                         <span>${amount}</span>
                     </span>
-                `).join('')}
+                `).join('') || '<span class="reward-item">Free</span>'}
             </div>
             <div class="competition-actions">
-                <button class="btn btn-primary join-competition-btn">Join Competition</button>
+                ${competition.canJoin ? '<button class="btn btn-primary join-competition-btn">Join Competition</button>' : ''}
             </div>
         `;
 
         // Add event listener
         const joinBtn = card.querySelector('.join-competition-btn');
-        joinBtn.addEventListener('click', () => this.joinCompetition(competition.id));
+        joinBtn?.addEventListener('click', () => this.joinCompetition(competition.id));
 
         return card;
     }
@@ -946,9 +961,13 @@ class SectView extends GameView {
      * Render contribution
      */
     renderContribution() {
-        if (!this.playerContribution) return;
-
         const contributionStats = this.contributionPanel.querySelector('.contribution-stats');
+        this.contributionPanel.querySelector('.contribution-methods').style.display = this.inSect ? '' : 'none';
+
+        if (!this.playerContribution) {
+            contributionStats.innerHTML = '';
+            return;
+        }
 
         contributionStats.innerHTML = `
             <div class="contribution-overview">
@@ -967,8 +986,8 @@ class SectView extends GameView {
                         <div class="contribution-value">#${this.playerContribution.rank}</div>
                     </div>
                     <div class="contribution-item">
-                        <div class="contribution-label">This Week</div>
-                        <div class="contribution-value">${this.formatNumber(this.playerContribution.weeklyContribution)}</div>
+                        <div class="contribution-label">Sect Prestige</div>
+                        <div class="contribution-value">${this.formatNumber(this.sectData.prestige)}</div>
                     </div>
                 </div>
             </div>
@@ -1031,7 +1050,7 @@ class SectView extends GameView {
         card.className = 'shop-item-card';
 
         const canAfford = (this.playerContribution?.points || 0) >= item.cost;
-        const meetsRequirements = this.checkItemRequirements(item);
+        const meetsRequirements = !item.requirements;
 
         card.innerHTML = `
             <div class="item-header">
@@ -1083,38 +1102,274 @@ class SectView extends GameView {
         return card;
     }
 
+    /**
+     * Render the world map, legend and selected region
+     */
+    renderTerritoryMap() {
+        const map = this.territoryPanel.querySelector('.territory-map');
+        const legend = this.territoryPanel.querySelector('.territory-legend');
+        const { regions, sects } = this.territoryMap;
+
+        if (regions.length === 0) {
+            map.innerHTML = '<div class="empty-state">The world map has not been charted yet</div>';
+            legend.innerHTML = '';
+            this.renderTerritoryDetails();
+            return;
+        }
+
+        // Colours follow sect IDs so they stay put as holdings change
+        const colorIndex = new Map([...sects].sort((a, b) => a.id.localeCompare(b.id))
+            .map((sect, index) => [sect.id, index % 8]));
+
+        // Axial hex coordinates to pixel offsets (pointy-top, 40px radius)
+        const size = 40;
+        const positions = regions.map(region => ({
+            region,
+            x: size * Math.sqrt(3) * (region.q + region.r / 2),
+            y: size * 1.5 * region.r
+        }));
+        const minX = Math.min(...positions.map(p => p.x));
+        const minY = Math.min(...positions.map(p => p.y));
+        const width = Math.max(...positions.map(p => p.x)) - minX + size * Math.sqrt(3);
+        const height = Math.max(...positions.map(p => p.y)) - minY + size * 2;
+
+        map.innerHTML = '';
+        map.style.width = `${Math.ceil(width)}px`;
+        map.style.height = `${Math.ceil(height)}px`;
+
+        positions.forEach(({ region, x, y }) => {
+            const hex = document.createElement('button');
+            hex.className = [
+                'territory-hex',
+                `terrain-${region.type}`,
+                region.ownerSectId ? `owner-color-${colorIndex.get(region.ownerSectId)}` : 'unclaimed',
+                region.isPlayerSect ? 'player-owned' : '',
+                region.id === this.selectedRegionId ? 'selected' : ''
+            ].filter(Boolean).join(' ');
+            hex.style.left = `${Math.round(x - minX)}px`;
+            hex.style.top = `${Math.round(y - minY)}px`;
+            hex.title = `${region.name} (${region.typeName}) - ${region.ownerName || 'Unclaimed'}`;
+            hex.innerHTML = `<span class="hex-name">${region.name}</span>`;
+            hex.addEventListener('click', () => this.selectRegion(region.id));
+            map.appendChild(hex);
+        });
+
+        legend.innerHTML = `
+            <h4>Sects</h4>
+            ${sects.map(sect => `
+                <div class="legend-item ${sect.isPlayerSect ? 'player-sect' : ''}">
+                    <span class="legend-swatch owner-color-${colorIndex.get(sect.id)}"></span>
+                    <span class="legend-name">${sect.name}</span>
+                    <span class="legend-regions">${sect.regionCount} regions</span>
+                    <span class="legend-income">
+                        ${Object.entries(sect.incomePerHour).map(([type, amount]) => `
+                            <span class="reward-item"><span class="icon-${type}"></span>${this.formatNumber(Math.floor(amount))}/h</span>
+                        `).join('')}
+                    </span>
+                </div>
+            `).join('')}
+        `;
+
+        this.renderTerritoryDetails();
+    }
+
+    /**
+     * Render the details and actions of the selected region
+     */
+    renderTerritoryDetails() {
+        const details = this.territoryPanel.querySelector('.territory-details');
+        const region = this.territoryMap.regions.find(r => r.id === this.selectedRegionId);
+
+        if (!region) {
+            details.innerHTML = '<div class="empty-state">Select a region to see its owner and yields</div>';
+            return;
+        }
+
+        details.innerHTML = `
+            <div class="region-header">
+                <div class="region-name">${region.name}</div>
+                <div class="region-type">${region.typeName}</div>
+            </div>
+            <div class="stat-row">
+                <span class="stat-label">Held by:</span>
+                <span class="stat-value">${region.ownerName || 'Unclaimed'}</span>
+            </div>
+            <div class="region-yields">
+                <span class="rewards-label">Yield per hour:</span>
+                ${Object.entries(region.yields).map(([type, amount]) => `
+                    <span class="reward-item">
+                        <span class="icon-${type}"></span>
+                        <span>${this.formatNumber(Math.floor(amount))}</span>
+                    </span>
+                `).join('')}
+            </div>
+            <div class="region-bonuses">
+                <span class="rewards-label">Holder bonus:</span>
+                ${Object.entries(region.bonuses).map(([bonus, value]) => `
+                    <span class="reward-item">+${Math.round(value * 1000) / 10}% ${this.formatBonusName(bonus)}</span>
+                `).join('')}
+            </div>
+            <div class="region-actions">
+                ${region.canClaim ? '<button class="btn btn-primary btn-sm claim-region-btn">Claim Region</button>' : ''}
+                ${region.canAttack ? `<button class="btn btn-danger btn-sm attack-region-btn">Declare War on ${region.ownerName}</button>` : ''}
+            </div>
+        `;
+
+        details.querySelector('.claim-region-btn')
+            ?.addEventListener('click', () => this.claimRegion(region));
+        details.querySelector('.attack-region-btn')
+            ?.addEventListener('click', () => this.attackRegion(region));
+    }
+
+    selectRegion(regionId) {
+        this.selectedRegionId = regionId;
+        this.renderTerritoryMap();
+    }
+
+    /**
+     * Render the sect's wars and the reports of past wars
+     */
+    renderWars() {
+        const activeWars = this.warPanel.querySelector('.active-wars');
+        const warReports = this.warPanel.querySelector('.war-reports');
+
+        if (!this.inSect || !this.warData) {
+            activeWars.innerHTML = '<div class="empty-state">Join a sect to take part in its wars</div>';
+            warReports.innerHTML = '';
+            return;
+        }
+
+        const { wars, reports } = this.warData;
+        activeWars.innerHTML = wars.length === 0
+            ? '<div class="empty-state">Your sect is at peace. Declare war from the World Map.</div>'
+            : '';
+        wars.forEach(war => activeWars.appendChild(this.createWarCard(war)));
+
+        warReports.innerHTML = `
+            <h4>War Reports</h4>
+            ${reports.length === 0 ? '<div class="empty-state">No wars fought yet</div>' : ''}
+            ${reports.map(report => `
+                <details class="war-report">
+                    <summary>
+                        <span class="war-title">${report.aggressorName} vs ${report.defenderName}</span>
+                        <span class="war-result">${this.formatWarOutcome(report)}</span>
+                    </summary>
+                    <ul class="war-log">
+                        ${report.log.map(entry => `<li class="log-${entry.type}">${entry.message}</li>`).join('')}
+                    </ul>
+                </details>
+            `).join('')}
+        `;
+    }
+
+    /**
+     * Create the card of a declared or active war
+     */
+    createWarCard(war) {
+        const card = document.createElement('div');
+        card.className = `war-card war-${war.status}`;
+
+        if (war.status === 'declared') {
+            const startsIn = Math.max(0, Math.ceil((war.startsAt - Date.now()) / 1000));
+            card.innerHTML = `
+                <div class="war-header">
+                    <span class="war-title">${war.aggressor.name} vs ${war.defender.name}</span>
+                    <span class="war-phase">Fighting begins in ${this.formatTime(startsIn)}</span>
+                </div>
+            `;
+            return card;
+        }
+
+        const nextRound = Math.max(0, Math.ceil((war.nextRoundAt - Date.now()) / 1000));
+        card.innerHTML = `
+            <div class="war-header">
+                <span class="war-title">${war.aggressor.name} vs ${war.defender.name}</span>
+                <span class="war-phase">${war.phase} - Round ${war.round}/${war.maxRounds}</span>
+            </div>
+            <div class="war-sides">
+                ${war.sides.map(side => `
+                    <div class="war-side ${side.isPlayerSect ? 'player-side' : ''}">
+                        <div class="side-name">${side.name}</div>
+                        <div class="stat-row">
+                            <span class="stat-label">Score:</span>
+                            <span class="stat-value">${side.score}</span>
+                        </div>
+                        <div class="morale-bar" title="Morale ${side.morale}">
+                            <div class="morale-fill" style="width: ${side.morale}%"></div>
+                        </div>
+                        <div class="side-losses">${side.casualties.killed} fallen, ${side.wounded} recovering</div>
+                    </div>
+                `).join('')}
+            </div>
+            <div class="war-next-round">Next battle in ${this.formatTime(nextRound)}</div>
+            ${war.isPlayerWar ? `
+                <div class="war-effort">
+                    <span class="rewards-label">War effort for the next battle: ${this.formatNumber(war.sides.find(side => side.isPlayerSect).effort)}</span>
+                    <button class="btn btn-sm effort-btn" data-resource="jade" data-amount="10000">Donate 10K Jade</button>
+                    <button class="btn btn-sm effort-btn" data-resource="spiritCrystals" data-amount="500">Donate 500 Crystals</button>
+                </div>
+                <div class="war-actions">
+                    <button class="btn btn-primary btn-sm peace-btn">Offer Peace</button>
+                    <button class="btn btn-danger btn-sm surrender-btn">Surrender</button>
+                </div>
+            ` : ''}
+        `;
+
+        card.querySelectorAll('.effort-btn').forEach(button => {
+            button.addEventListener('click', () =>
+                this.contributeWarEffort(war.warId, button.dataset.resource, Number(button.dataset.amount)));
+        });
+        card.querySelector('.peace-btn')?.addEventListener('click', () => this.offerPeace(war));
+        card.querySelector('.surrender-btn')?.addEventListener('click', () => this.surrender(war));
+
+        return card;
+    }
+
+    formatWarOutcome(report) {
+        const outcome = report.outcome;
+        if (!outcome) return 'In progress';
+        if (!outcome.winnerId) return 'Peace';
+
+        const winnerName = outcome.winnerId === report.aggressorSectId ? report.aggressorName : report.defenderName;
+        return outcome.type === 'surrender' ? `Surrendered to ${winnerName}` : `${winnerName} victorious`;
+    }
+
     /**
      * Action methods
      */
-    async makeContribution(method, amount) {
-        if (amount <= 0) return;
+    async makeContribution(resource, amount) {
+        if (amount <= 0 || !this.viewModel) return;
 
         try {
-            console.log(`Making contribution: ${method}, amount: ${amount}`);
-            // This would call the actual sect system
-            this.showNotification(`Contributed ${amount} successfully!`, 'success');
-            this.refresh();
+            const result = await this.viewModel.contribute(resource, amount);
+
+            if (result.success) {
+                this.showNotification(`Contributed ${amount} for ${result.contributionValue} contribution`, 'success');
+            } else {
+                this.showNotification(result.error || 'Contribution failed', 'error');
+            }
         } catch (error) {
             console.error('SectView: Contribution failed', error);
             this.showNotification('Contribution failed: ' + error.message, 'error');
         }
     }
 
-    async purchaseItem(itemId, category) {
-        try {
-            console.log(`Purchasing item: ${itemId} from category: ${category}`);
-            // This would call the actual sect shop system
-            this.showNotification('Item purchased successfully!', 'success');
-            this.refresh();
-        } catch (error) {
-            console.error('SectView: Purchase failed', error);
-            this.showNotification('Purchase failed: ' + error.message, 'error');
-        }
+    purchaseItem(itemId, category) {
+        // No sect shop system exists yet, so there is nothing to buy from
+        this.showNotification('The sect shop is not open yet', 'warning');
+    }
+
+    async joinSect(sectId) {
+        await this.runSectAction(() => this.viewModel.joinSect(sectId), 'Joined sect!');
+    }
+
+    async promoteMember(member) {
+        await this.runSectAction(() => this.viewModel.promoteMember(member.id), `${member.name} promoted to ${member.promotion}!`);
     }
 
     sortMembers(sortBy) {
-        console.log(`Sorting members by: ${sortBy}`);
-        // Implementation would sort and re-render members
+        this.viewModel?.setMemberSort(sortBy);
+        this.syncFromViewModel();
         this.renderMembers();
     }
 
@@ -1133,29 +1388,59 @@ class SectView extends GameView {
         // Implementation would open messaging interface
     }
 
-    startMission(missionId) {
-        console.log(`Starting mission: ${missionId}`);
-        this.showNotification('Mission started!', 'success');
+    async startActivity(activityId) {
+        await this.runSectAction(() => this.viewModel.startActivity(activityId), 'Activity started!');
+    }
+
+    async participateInEvent(instanceId) {
+        await this.runSectAction(() => this.viewModel.joinActivity(instanceId), 'Joined activity!');
+    }
+
+    async joinCompetition(competitionId) {
+        await this.runSectAction(() => this.viewModel.joinCompetition(competitionId), 'Joined competition!');
+    }
+
+    async claimRegion(region) {
+        await this.runSectAction(() => this.viewModel.claimTerritory(region.id), `${region.name} claimed!`);
     }
 
-    claimMissionReward(missionId) {
-        console.log(`Claiming reward for mission: ${missionId}`);
-        this.showNotification('Rewards claimed!', 'success');
+    async attackRegion(region) {
+        await this.runSectAction(() => this.viewModel.declareWar(region.ownerSectId, region.id), `War declared on ${region.ownerName}!`);
     }
 
-    participateInEvent(eventId) {
-        console.log(`Participating in event: ${eventId}`);
-        this.showNotification('Joined event!', 'success');
+    async contributeWarEffort(warId, resource, amount) {
+        await this.runSectAction(() => this.viewModel.contributeWarEffort(warId, resource, amount), 'War effort contributed!');
     }
 
-    joinCompetition(competitionId) {
-        console.log(`Joining competition: ${competitionId}`);
-        this.showNotification('Joined competition!', 'success');
+    async offerPeace(war) {
+        const enemy = war.sides.find(side => !side.isPlayerSect);
+        await this.runSectAction(() => this.viewModel.offerPeace(war.warId), `${enemy.name} accepted peace`);
     }
 
-    checkItemRequirements(item) {
-        // Mock implementation - would check actual player stats
-        return true;
+    async surrender(war) {
+        if (!confirm('Surrender the war? The enemy will take reparations from the sect treasury.')) return;
+        const enemy = war.sides.find(side => !side.isPlayerSect);
+        await this.runSectAction(() => this.viewModel.surrender(war.warId), `Surrendered to ${enemy.name}`);
+    }
+
+    /**
+     * Run a sect system action and report its result
+     */
+    async runSectAction(action, successMessage) {
+        if (!this.viewModel) return;
+
+        try {
+            const result = await action();
+
+            if (result?.success) {
+                this.showNotification(successMessage, 'success');
+            } else {
+                this.showNotification(result?.error || 'Action failed', 'error');
+            }
+        } catch (error) {
+            console.error('SectView: Action failed', error);
+            this.showNotification('Action failed: ' + error.message, 'error');
+        }
     }
 
     /**
@@ -1177,6 +1462,10 @@ class SectView extends GameView {
         return `${minutes}m`;
     }
 
+    formatBonusName(bonus) {
+        return bonus.replace(/([A-Z])/g, ' $1').toLowerCase();
+    }
+
     capitalizeFirst(str) {
         return str.charAt(0).toUpperCase() + str.slice(1);
     }
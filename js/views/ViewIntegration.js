@@ -9,6 +9,7 @@ class ViewIntegration {
         this.isInitialized = false;
         this.gameInterface = null;
         this.characterCreation = null;
+        this.viewModels = new Map();
     }
 
     /**
@@ -128,6 +129,9 @@ class ViewIntegration {
             // Setup character creation integration
             this.setupCharacterCreation();
 
+            // Bind views to the game systems
+            this.createViewModels();
+
             // Setup game state integration
             this.setupGameStateIntegration();
 
@@ -193,7 +197,8 @@ class ViewIntegration {
             'ScriptureView',
             'CombatView',
             'SectView',
-            'QuestView'
+            'QuestView',
+            'AutomationView'
         ];
 
         viewClasses.forEach(className => {
@@ -239,9 +244,12 @@ class ViewIntegration {
             // Check if character already exists with error handling
             let hasCharacter = false;
             try {
-                // Check multiple sources for character existence
+                // Check multiple sources for character existence; the localStorage flag
+                // predates profiles and only speaks for the first profile's character
+                const profile = window.profileManager?.isLoaded ? window.profileManager.getActiveProfile() : null;
+                const isLegacyProfile = !profile || profile.saveKey === window.profileManager.legacySaveKey;
                 hasCharacter = window.gameState?.get('player.character.created') ||
-                              localStorage.getItem('idleCultivation_hasCharacter') === 'true' ||
+                              (isLegacyProfile && localStorage.getItem('idleCultivation_hasCharacter') === 'true') ||
                               false;
             } catch (error) {
                 console.warn('ViewIntegration: Error checking character existence, assuming no character:', error);
@@ -350,6 +358,34 @@ class ViewIntegration {
         }
     }
 
+    /**
+     * Create the view-models that bind views to the live game systems
+     */
+    createViewModels() {
+        const viewModelClasses = [
+            window.CombatViewModel,
+            window.QuestViewModel,
+            window.SectViewModel,
+            window.ScriptureViewModel,
+            window.DaoScriptViewModel
+        ];
+
+        viewModelClasses.filter(Boolean).forEach(ViewModelClass => {
+            const viewModel = new ViewModelClass();
+            viewModel.attach();
+            this.viewModels.set(viewModel.viewId, viewModel);
+        });
+    }
+
+    /**
+     * Get the view-model bound to a view
+     * @param {string} viewId - View ID
+     * @returns {ViewModel|null} View-model or null
+     */
+    getViewModel(viewId) {
+        return this.viewModels.get(viewId) || null;
+    }
+
     /**
      * Setup game state integration
      */
@@ -387,57 +423,16 @@ class ViewIntegration {
             this.notifyView('cultivation', 'onRealmChanged', data);
         });
 
-        // Scripture system events
-        window.eventManager?.on('scripture:acquired', (data) => {
-            this.notifyView('scripture', 'onDataUpdate', data);
-        });
-
-        window.eventManager?.on('scripture:enhanced', (data) => {
-            this.notifyView('scripture', 'onDataUpdate', data);
-        });
-
-        window.eventManager?.on('gacha:result', (data) => {
-            this.notifyView('scripture', 'onGachaResult', data);
-        });
-
-        // Combat system events
-        window.eventManager?.on('combat:start', (data) => {
-            this.notifyView('combat', 'onCombatStart', data);
-        });
-
-        window.eventManager?.on('combat:end', (data) => {
-            this.notifyView('combat', 'onCombatEnd', data);
-        });
-
-        window.eventManager?.on('ranking:updated', (data) => {
-            this.notifyView('combat', 'onRankingUpdate', data);
-        });
-
-        // Sect system events
-        window.eventManager?.on('sect:joined', (data) => {
-            this.notifyView('sect', 'onDataUpdate', data);
-        });
-
-        window.eventManager?.on('sect:contribution', (data) => {
-            this.notifyView('sect', 'onContributionUpdate', data);
-        });
-
-        window.eventManager?.on('sect:mission', (data) => {
-            this.notifyView('sect', 'onMissionUpdate', data);
-        });
-
-        // Quest system events
-        window.eventManager?.on('quest:started', (data) => {
-            this.notifyView('quest', 'onQuestUpdate', data);
-        });
-
-        window.eventManager?.on('quest:completed', (data) => {
-            this.notifyView('quest', 'onQuestUpdate', data);
-        });
-
-        window.eventManager?.on('achievement:unlocked', (data) => {
-            this.notifyView('quest', 'onAchievementUpdate', data);
-        });
+        // Views backed by a view-model resync on their systems' events
+        for (const [viewId, viewModel] of this.viewModels) {
+            viewModel.liveEvents.forEach(eventType => {
+                window.eventManager?.on(eventType, (event) => {
+                    if (this.viewManager?.views?.has(viewId)) {
+                        this.notifyView(viewId, 'onDataUpdate', event?.data);
+                    }
+                });
+            });
+        }
     }
 
     /**
@@ -775,6 +770,9 @@ class ViewIntegration {
                 this.viewManager.destroy();
             }
 
+            this.viewModels.forEach(viewModel => viewModel.detach());
+            this.viewModels.clear();
+
             // Clear references
             this.viewManager = null;
             this.uiManager = null;
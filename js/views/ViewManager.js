@@ -198,6 +198,18 @@ class ViewManager {
             route: '/quest',
             description: 'Track quests and achievements'
         });
+
+        // Automation View
+        this.registerView('automation', {
+            title: 'Dao Scripts',
+            component: 'AutomationView',
+            preload: false,
+            cache: true,
+            showInNavigation: true,
+            icon: 'scroll',
+            route: '/automation',
+            description: 'Write rules that cultivate while you are away'
+        });
     }
 
     /**
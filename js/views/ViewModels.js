@@ -0,0 +1,1244 @@
+/**
+ * ViewModels - Bind the game views to the live game systems
+ * Each view-model resolves its systems when asked, shapes their data for one view
+ * and lists the EventManager events after which that view should resync
+ */
+class ViewModel {
+    constructor(options = {}) {
+        this.viewId = options.viewId || 'unknown';
+        this.eventManager = options.eventManager || window.eventManager || null;
+        this.gameState = options.gameState || window.gameState || null;
+
+        // Events after which the bound view reloads its snapshot
+        this.liveEvents = [];
+
+        this.unsubscribers = [];
+    }
+
+    /**
+     * Subscribe to events the view-model tracks itself
+     * Override in subclasses that keep state between snapshots
+     */
+    attach() {
+    }
+
+    /**
+     * Remove every subscription made through listen()
+     */
+    detach() {
+        this.unsubscribers.forEach(unsubscribe => unsubscribe());
+        this.unsubscribers = [];
+    }
+
+    /**
+     * Whether the systems behind this view-model are running
+     * @returns {boolean} Availability
+     */
+    isAvailable() {
+        return true;
+    }
+
+    /**
+     * Get the data the view renders
+     * @returns {Object} View data
+     */
+    getSnapshot() {
+        return {};
+    }
+
+    /**
+     * Get a loaded game module
+     * @param {string} moduleName - Module name
+     * @returns {Object|null} Module instance
+     */
+    getModule(moduleName) {
+        return window.game?.moduleManager?.getModule(moduleName) || null;
+    }
+
+    /**
+     * Find a system on a loaded module, on the module's integration, or as a global
+     * @param {string} moduleName - Module name
+     * @param {string} field - System field name
+     * @param {string} globalName - Global fallback name (defaults to field)
+     * @returns {Object|null} System instance
+     */
+    resolve(moduleName, field, globalName = field) {
+        const module = this.getModule(moduleName);
+
+        return module?.[field] ||
+            module?.combatIntegration?.[field] ||
+            module?.scriptureIntegration?.[field] ||
+            window[globalName] ||
+            null;
+    }
+
+    /**
+     * Subscribe to an event, keeping the handle for detach()
+     * @param {string} eventType - Event name
+     * @param {Function} callback - Receives the event data
+     */
+    listen(eventType, callback) {
+        if (!this.eventManager) return;
+
+        const unsubscribe = this.eventManager.on(eventType, (event) => callback(event?.data));
+        if (typeof unsubscribe === 'function') {
+            this.unsubscribers.push(unsubscribe);
+        }
+    }
+
+    /**
+     * Read from a system without letting one broken call blank the whole view
+     * @param {Function} read - Read callback
+     * @param {*} fallback - Value returned on failure
+     * @returns {*} Read value or fallback
+     */
+    _safe(read, fallback) {
+        try {
+            const value = read();
+            return value === undefined || value === null ? fallback : value;
+        } catch (error) {
+            console.warn(`${this.constructor.name}: Read failed`, error);
+            return fallback;
+        }
+    }
+
+    /**
+     * Convert an end timestamp into whole seconds remaining
+     * @param {number} endTime - Timestamp
+     * @returns {number} Seconds left
+     */
+    _secondsUntil(endTime) {
+        return endTime ? Math.max(0, Math.floor((endTime - Date.now()) / 1000)) : 0;
+    }
+}
+
+/**
+ * CombatViewModel - Player combat stats, AI opponents, league standings and tournaments
+ */
+class CombatViewModel extends ViewModel {
+    constructor(options = {}) {
+        super({ viewId: 'combat', ...options });
+
+        this.difficulty = 'all';
+        this.rankingType = 'power';
+        this.combatLog = [];
+        this.maxLogEntries = 100;
+
+        this.liveEvents = [
+            'combat:started',
+            'combat:action_executed',
+            'combat:ai_action_executed',
+            'combat:retreat_failed',
+            'combat:ended',
+            'combat:rewards_received',
+            'combat:replay_imported',
+            'duel:ai_pool_refreshed',
+            'ranking:updated',
+            'ranking:league_simulated',
+            'tournament:created',
+            'tournament:joined',
+            'tournament:started',
+            'tournament:completed'
+        ];
+    }
+
+    get powerCalculator() { return this.resolve('combat', 'powerCalculator'); }
+    get combatSystem() { return this.resolve('combat', 'combatSystem'); }
+    get duelManager() { return this.resolve('combat', 'duelManager'); }
+    get rankingSystem() { return this.resolve('combat', 'rankingSystem'); }
+    get tournamentSystem() { return this.resolve('combat', 'tournamentSystem'); }
+
+    /**
+     * Record combat events into the view's log
+     * Simulated fights (AI matches, previews) can run beside a live one and stay out of its log
+     */
+    attach() {
+        const listenLive = (eventType, callback) => {
+            this.listen(eventType, (data) => {
+                if (!data?.simulated) {
+                    callback(data);
+                }
+            });
+        };
+
+        listenLive('combat:started', (data) => {
+            this._log('combat-start', `Combat started against ${data?.opponent?.name || 'an opponent'}`);
+        });
+
+        listenLive('combat:action_executed', (data) => {
+            this._logAction('You', data?.result);
+        });
+
+        listenLive('combat:ai_action_executed', (data) => {
+            const name = data?.combatState?.opponent?.name || 'Opponent';
+            this._logAction(name, data?.result);
+        });
+
+        listenLive('combat:retreat_failed', () => {
+            this._log('retreat', 'Retreat failed');
+        });
+
+        listenLive('combat:ended', (data) => {
+            const messages = {
+                victory: 'Victory!',
+                defeat: 'Defeat!',
+                retreated: 'Retreated from combat',
+                timeout: 'Combat timed out'
+            };
+            const type = data?.result === 'victory' ? 'victory' : data?.result === 'defeat' ? 'defeat' : 'retreat';
+            this._log(type, messages[data?.result] || `Combat ended: ${data?.result}`);
+        });
+
+        listenLive('combat:rewards_received', (data) => {
+            const rewards = data?.rewards || {};
+            const parts = [];
+            if (rewards.jade) parts.push(`${rewards.jade} Jade`);
+            if (rewards.spiritCrystals) parts.push(`${rewards.spiritCrystals} Spirit Crystals`);
+            if (rewards.item) parts.push(rewards.item.name || 'an item');
+            if (parts.length > 0) {
+                this._log('reward', `Received ${parts.join(', ')}`);
+            }
+        });
+    }
+
+    isAvailable() {
+        return !!(this.powerCalculator && this.duelManager);
+    }
+
+    getSnapshot() {
+        const combat = this._safe(() => this.combatSystem?.getCurrentCombat(), null);
+
+        return {
+            playerStats: this.getPlayerStats(),
+            opponents: this.getOpponents(),
+            rankings: this.getRankings(),
+            tournaments: this.getTournaments(),
+            combat: combat,
+            isInCombat: !!combat && combat.state === 'in_progress',
+            combatLog: [...this.combatLog],
+            replays: this._safe(() => this.combatSystem.getReplays(), [])
+        };
+    }
+
+    /**
+     * Player stats from the power calculator and the league record
+     * @returns {Object} Player stats
+     */
+    getPlayerStats() {
+        const calculator = this.powerCalculator;
+        const playerData = this._safe(() => calculator._getPlayerData(), {});
+        const combatStats = this._safe(() => calculator.calculateCombatStats(playerData), {});
+        const ranking = this._safe(() => this.rankingSystem.getPlayerRanking(), {});
+        const placement = this._safe(() => this.rankingSystem.getPlayerPlacement(), {});
+        const cultivation = this.gameState?.get('cultivation') || {};
+        const qiLevel = cultivation.qi?.level || 0;
+        const bodyLevel = cultivation.body?.level || 0;
+        const combat = this._safe(() => this.combatSystem?.getCurrentCombat(), null);
+
+        return {
+            name: this.gameState?.get('player.name') || 'Player',
+            level: Math.floor((qiLevel + bodyLevel) / 2),
+            attack: qiLevel,
+            defense: bodyLevel,
+            speed: Math.round(combatStats.initiative || 0),
+            power: Math.round(this._safe(() => calculator.calculatePlayerPower(), 0)),
+            health: Math.round(combat ? combat.player.currentHealth : (combatStats.currentHealth || 0)),
+            maxHealth: Math.round(combat ? combat.player.maxHealth : (combatStats.maxHealth || 0)),
+            rating: ranking.currentRating || 0,
+            tier: placement.tier?.name || ranking.currentTier || '',
+            rank: placement.rank || '-',
+            wins: ranking.wins || 0,
+            losses: ranking.losses || 0,
+            winStreak: ranking.winStreak || 0
+        };
+    }
+
+    /**
+     * AI opponents for the selected difficulty
+     * @returns {Array} Opponents
+     */
+    getOpponents() {
+        const powerLevels = { all: 'any', easy: 'weak', medium: 'medium', hard: 'strong', extreme: 'legendary' };
+        const duelManager = this.duelManager;
+        const opponents = this._safe(() => duelManager.getAvailableOpponents({
+            powerLevel: powerLevels[this.difficulty] || 'any',
+            maxResults: 10
+        }), []);
+
+        return opponents.map(opponent => {
+            const loot = duelManager.aiOpponents?.get(opponent.id)?.loot || {};
+            const cultivation = opponent.cultivation || {};
+
+            return {
+                ...opponent,
+                difficulty: String(opponent.difficulty || 'balanced').toLowerCase().replace(/\s+/g, '-'),
+                level: Math.floor(((cultivation.qi?.level || 0) + (cultivation.body?.level || 0)) / 2),
+                power: Math.round(opponent.power),
+                reward: {
+                    jade: this._average(loot.jade),
+                    spiritCrystals: this._average(loot.spiritCrystals)
+                }
+            };
+        });
+    }
+
+    /**
+     * League standings sorted for the selected ranking type
+     * @returns {Array} Ranking entries
+     */
+    getRankings() {
+        const entries = this._safe(() => this.rankingSystem.getLeaderboard({ limit: 50 }), []);
+        const sorters = {
+            wins: (a, b) => b.winRate - a.winRate,
+            streak: (a, b) => b.winStreak - a.winStreak
+        };
+
+        const rankings = entries.filter(Boolean).map(entry => ({
+            ...entry,
+            power: entry.rating,
+            level: entry.realm || entry.tier?.name || ''
+        }));
+
+        if (sorters[this.rankingType]) {
+            rankings.sort(sorters[this.rankingType]);
+        }
+
+        return rankings;
+    }
+
+    /**
+     * Tournaments open for registration, running or recently finished
+     * @returns {Array} Tournaments
+     */
+    getTournaments() {
+        const statuses = { registration: 'registration', in_progress: 'active' };
+        const tournaments = this._safe(() => this.tournamentSystem.getAvailableTournaments({ state: 'all' }), []);
+
+        return tournaments.map(tournament => ({
+            ...tournament,
+            status: statuses[tournament.state] || 'ended',
+            participants: tournament.participantCount || 0,
+            timeLeft: this._secondsUntil(tournament.state === 'registration' ?
+                tournament.registrationDeadline : tournament.endTime),
+            reward: tournament.rewards?.first || {}
+        }));
+    }
+
+    setDifficulty(difficulty) {
+        this.difficulty = difficulty;
+    }
+
+    setRankingType(type) {
+        this.rankingType = type;
+    }
+
+    clearLog() {
+        this.combatLog = [];
+    }
+
+    /**
+     * Refresh the AI opponent pool
+     */
+    async refreshOpponents() {
+        await this.duelManager?.refreshAIOpponents();
+    }
+
+    /**
+     * Challenge an AI opponent
+     * @param {string} opponentId - Opponent ID
+     * @returns {Object} Challenge result
+     */
+    challengeOpponent(opponentId) {
+        if (!this.duelManager) {
+            return { success: false, reason: 'combat_unavailable' };
+        }
+        return this.duelManager.challengeAIOpponent(opponentId);
+    }
+
+    /**
+     * Take the player's turn in the current combat
+     * @param {string} action - 'attack', 'defend' or 'technique'
+     * @returns {Object|null} Action result, null when it is not the player's turn
+     */
+    takeTurn(action = 'attack') {
+        const combat = this.combatSystem?.getCurrentCombat();
+        if (!combat || combat.state !== 'in_progress' || combat.currentTurn !== 'player') {
+            return null;
+        }
+        return this.combatSystem.executeAction(action);
+    }
+
+    /**
+     * Try to retreat from the current combat
+     * @returns {Object} Retreat result
+     */
+    retreat() {
+        if (!this.combatSystem?.getCurrentCombat()) {
+            return { success: false, reason: 'no_combat' };
+        }
+        return this.combatSystem.attemptRetreat();
+    }
+
+    /**
+     * Register for a tournament
+     * @param {string} tournamentId - Tournament ID
+     * @returns {Object} Join result
+     */
+    joinTournament(tournamentId) {
+        if (!this.tournamentSystem) {
+            return { success: false, reason: 'combat_unavailable' };
+        }
+        return this.tournamentSystem.joinTournament(tournamentId);
+    }
+
+    /**
+     * Get a recorded fight for playback
+     * @param {string} replayId - Replay ID
+     * @returns {Object|null} Replay
+     */
+    getReplay(replayId) {
+        return this._safe(() => this.combatSystem.getReplay(replayId), null);
+    }
+
+    /**
+     * Encode a recorded fight as a shareable string
+     * @param {string} replayId - Replay ID
+     * @returns {Object} Export result
+     */
+    exportReplay(replayId) {
+        if (!this.combatSystem) {
+            return { success: false, reason: 'combat_unavailable' };
+        }
+        return this.combatSystem.exportReplay(replayId);
+    }
+
+    /**
+     * Add a fight shared by another player
+     * @param {string} code - Exported replay string
+     * @returns {Object} Import result
+     */
+    importReplay(code) {
+        if (!this.combatSystem) {
+            return { success: false, reason: 'combat_unavailable' };
+        }
+        return this.combatSystem.importReplay(code);
+    }
+
+    // Private methods
+
+    _logAction(actor, result) {
+        if (!result) return;
+
+        const hit = result.type === 'hit' || result.type === 'critical_hit';
+        this._log(actor === 'You' ? 'attack' : 'defense',
+            result.message || `${actor} ${hit ? 'hit' : 'missed'}`,
+            hit ? result.damage : 0);
+    }
+
+    _log(type, message, damage = 0) {
+        this.combatLog.push({ type, message, damage, timestamp: Date.now() });
+        if (this.combatLog.length > this.maxLogEntries) {
+            this.combatLog.shift();
+        }
+    }
+
+    _average(range) {
+        return range ? Math.round((range.min + range.max) / 2) : 0;
+    }
+}
+
+/**
+ * QuestViewModel - Active and completed quests, achievements and quest progress
+ */
+class QuestViewModel extends ViewModel {
+    constructor(options = {}) {
+        super({ viewId: 'quest', ...options });
+
+        this.liveEvents = [
+            'questSystem:questReady',
+            'questSystem:questCompleted',
+            'questSystem:questAbandoned',
+            'questSystem:dailyQuestsGenerated',
+            'questSystem:weeklyQuestsGenerated',
+            'questSystem:allQuestsRefreshed',
+            'achievementManager:achievementUnlocked',
+            'achievementManager:batchUnlock'
+        ];
+    }
+
+    get questSystem() { return this.resolve('quest', 'questSystem'); }
+    get achievementManager() { return this.resolve('quest', 'achievementManager'); }
+
+    isAvailable() {
+        return !!this.questSystem;
+    }
+
+    getSnapshot() {
+        const activeQuests = this.getActiveQuests();
+
+        return {
+            activeQuests: activeQuests,
+            completedQuests: this.getCompletedQuests(),
+            achievements: this.getAchievements(),
+            pendingRewards: activeQuests.filter(quest => quest.ready).map(quest => ({
+                id: quest.id,
+                source: quest.name,
+                type: 'Quest',
+                items: quest.rewards
+            })),
+            questProgress: this.getQuestProgress(activeQuests)
+        };
+    }
+
+    /**
+     * Active quests of every type, flattened
+     * @returns {Array} Quests
+     */
+    getActiveQuests() {
+        const questSystem = this.questSystem;
+        const active = this._safe(() => questSystem.getActiveQuests(), {});
+
+        return Object.values(active).flat().map(quest => this._mapQuest(quest,
+            this._safe(() => questSystem.getQuestRewards(quest.id), quest.rewards)));
+    }
+
+    /**
+     * Quests turned in during the current cycle, newest first
+     * @returns {Array} Quests
+     */
+    getCompletedQuests() {
+        const completed = this.questSystem?.questState?.completedQuests || [];
+
+        return completed.slice(-20).reverse().map(quest => this._mapQuest(quest,
+            this._safe(() => this.questSystem.getQuestRewards(quest.id), quest.rewards)));
+    }
+
+    /**
+     * Unlocked, in-progress and remaining visible achievements
+     * @returns {Array} Achievements
+     */
+    getAchievements() {
+        const manager = this.achievementManager;
+        const definitions = window.ACHIEVEMENTS || {};
+        if (!manager) return [];
+
+        const unlocked = this._safe(() => manager.getUnlockedAchievements(), []);
+        const inProgress = this._safe(() => manager.getAchievementProgress(), []);
+        const seen = new Set();
+        const achievements = [];
+
+        unlocked.forEach(achievement => {
+            seen.add(achievement.id);
+            achievements.push(this._mapAchievement(achievement, achievement.conditions?.value || 1, true));
+        });
+
+        inProgress.forEach(achievement => {
+            seen.add(achievement.id);
+            achievements.push(this._mapAchievement(achievement, achievement.progress, false));
+        });
+
+        Object.values(definitions)
+            .filter(achievement => !achievement.hidden && !seen.has(achievement.id))
+            .forEach(achievement => {
+                achievements.push(this._mapAchievement(achievement, 0, false));
+            });
+
+        return achievements;
+    }
+
+    /**
+     * Daily and weekly completion against the configured quest slots
+     * @param {Array} activeQuests - Mapped active quests
+     * @returns {Object} Quest progress summary
+     */
+    getQuestProgress(activeQuests) {
+        const summary = this._safe(() => this.achievementManager.getAchievementSummary(), {});
+        const countDone = (type) => activeQuests.filter(quest => quest.type === type && quest.ready).length +
+            this.getCompletedQuests().filter(quest => quest.type === type).length;
+
+        return {
+            dailyQuestsCompleted: countDone('daily'),
+            dailyQuestsTotal: window.DAILY_QUEST_CONFIG?.maxActiveQuests || 3,
+            weeklyQuestsCompleted: countDone('weekly'),
+            weeklyQuestsTotal: window.WEEKLY_QUEST_CONFIG?.maxActiveQuests || 2,
+            achievementsUnlocked: summary.overview?.unlockedAchievements || 0,
+            achievementsTotal: summary.overview?.totalAchievements || 0
+        };
+    }
+
+    /**
+     * Turn in a quest whose objective is met
+     * @param {string} questId - Quest ID
+     * @returns {Object|null} Completion result
+     */
+    completeQuest(questId) {
+        return this.questSystem?.completeQuest(questId) || null;
+    }
+
+    /**
+     * Abandon an active quest
+     * @param {string} questId - Quest ID
+     * @returns {boolean} Success status
+     */
+    abandonQuest(questId) {
+        return this.questSystem?.abandonQuest(questId) || false;
+    }
+
+    /**
+     * Turn in every quest whose objective is met
+     * @returns {number} Quests completed
+     */
+    completeReadyQuests() {
+        return this.getActiveQuests()
+            .filter(quest => quest.ready)
+            .filter(quest => this.completeQuest(quest.id))
+            .length;
+    }
+
+    // Private methods
+
+    _mapQuest(quest, rewards) {
+        const objective = quest.objective || { current: 0, target: 1 };
+
+        return {
+            id: quest.id,
+            name: quest.name,
+            description: quest.description,
+            type: quest.type,
+            category: quest.category,
+            difficulty: String(quest.difficulty || 'normal').toLowerCase(),
+            objectives: [{
+                description: quest.description,
+                progress: Math.min(objective.current, objective.target),
+                target: objective.target,
+                unit: ''
+            }],
+            rewards: this._rewardList(rewards),
+            timeLeft: this._secondsUntil(quest.expiresAt),
+            ready: objective.current >= objective.target,
+            completedAt: quest.progress?.completionTime || null,
+            canAbandon: quest.type !== window.QUEST_TYPES?.MILESTONE && !quest.unAbandonable
+        };
+    }
+
+    _mapAchievement(achievement, progress, completed) {
+        const target = achievement.conditions?.value || 1;
+        const current = typeof progress === 'object' ? progress.current : progress;
+
+        return {
+            id: achievement.id,
+            name: achievement.name,
+            description: achievement.description,
+            category: achievement.category,
+            rarity: achievement.rarity?.name || '',
+            progress: completed ? target : Math.min(current || 0, target),
+            target: target,
+            completed: completed,
+            rewards: this._rewardList(achievement.rewards)
+        };
+    }
+
+    _rewardList(rewards = {}) {
+        return Object.entries(rewards || {}).map(([type, value]) => (
+            typeof value === 'number' ? { type, amount: value } : { type, name: String(value) }
+        ));
+    }
+}
+
+/**
+ * SectViewModel - Current sect, members, contribution, activities and competitions
+ */
+class SectViewModel extends ViewModel {
+    constructor(options = {}) {
+        super({ viewId: 'sect', ...options });
+
+        this.memberSort = 'rank';
+
+        this.liveEvents = [
+            'sect:created',
+            'sect:memberJoined',
+            'sect:memberLeft',
+            'sect:memberPromoted',
+            'sect:memberDemoted',
+            'sect:memberKicked',
+            'sect:resourceContributed',
+            'sectActivity:started',
+            'sectActivity:memberJoined',
+            'sectActivity:completed',
+            'sectActivity:cancelled',
+            'sectRoster:discipleJoined',
+            'sectRoster:discipleLeft',
+            'sectRoster:promotionReady',
+            'sectRoster:updated',
+            'sectWar:declared',
+            'sectWar:started',
+            'sectWar:round',
+            'sectWar:effortContributed',
+            'sectWar:completed',
+            'diplomacy:expired',
+            'sectTerritory:changed',
+            'sectTerritory:income'
+        ];
+    }
+
+    get sectSystem() { return this.resolve('sect', 'sectSystem'); }
+    get sectManager() { return this.resolve('sect', 'sectManager'); }
+    get sectActivities() { return this.resolve('sect', 'sectActivities'); }
+    get sectCompetition() { return this.resolve('sect', 'sectCompetition'); }
+    get sectRoster() { return this.resolve('sect', 'sectRoster'); }
+    get sectWarfare() { return this.resolve('sect', 'sectWarfare'); }
+
+    isAvailable() {
+        return !!this.sectSystem;
+    }
+
+    getSnapshot() {
+        const sect = this._safe(() => this.sectSystem.getCurrentSect(), null);
+        const members = sect ? this.getMembers() : [];
+
+        return {
+            inSect: !!sect,
+            sectData: sect ? this._mapSect(sect) : null,
+            memberData: members,
+            playerContribution: sect ? this._mapContribution(sect, members) : null,
+            sectActivitiesData: sect ? this.getActivities() : null,
+            availableSects: sect ? [] : this._safe(() => this.sectSystem.getAvailableSects(), []),
+            territoryMap: this._safe(() => this.sectCompetition.getTerritoryMap(), { regions: [], sects: [] }),
+            warData: sect ? this.getWars(sect.id) : null,
+            shopData: {}
+        };
+    }
+
+    /**
+     * Sect members sorted by the selected field
+     * @returns {Array} Members
+     */
+    getMembers() {
+        const sortFields = { rank: 'role', contribution: 'contribution', level: 'cultivationLevel' };
+        const members = this._safe(() => this.sectManager.getMemberList({
+            sortBy: sortFields[this.memberSort] || 'joinedAt'
+        }), []);
+        const candidates = new Map(this._safe(() => this.sectRoster.getPromotionCandidates(), [])
+            .map(candidate => [candidate.memberId, candidate]));
+
+        const mapped = members.map(member => ({
+            id: member.id,
+            name: member.id === 'player' ? (this.gameState?.get('player.name') || member.name) : member.name,
+            isPlayer: member.id === 'player',
+            isNPC: !!member.isNPC,
+            rank: this._roleName(member.role),
+            level: Math.floor(member.cultivationLevel || 0),
+            realm: member.realm || null,
+            loyalty: member.isNPC ? Math.round(member.loyalty || 0) : null,
+            power: Math.round(member.power || 0),
+            contribution: member.contribution || 0,
+            joinDate: new Date(member.joinedAt || Date.now()),
+            online: member.isOnline ?? member.id === 'player',
+            promotion: candidates.get(member.id)?.nextRoleName || null
+        }));
+
+        if (this.memberSort === 'power') {
+            mapped.sort((a, b) => b.power - a.power);
+        }
+
+        return mapped;
+    }
+
+    /**
+     * Sect activities, active instances and competitions
+     * @returns {Object} Activities data
+     */
+    getActivities() {
+        const available = this._safe(() => this.sectActivities.getAvailableActivities(), []);
+        const active = this._safe(() => this.sectActivities.getActiveActivities(), []);
+        const competitions = this._safe(() => this.sectCompetition.getAvailableCompetitions(), []);
+
+        return {
+            available: available.map(activity => ({
+                id: activity.id,
+                name: activity.name,
+                description: activity.description,
+                available: activity.available && activity.canAfford !== false,
+                cooldownRemaining: Math.ceil((activity.cooldownRemaining || 0) / 1000),
+                reward: this._flatten(activity.benefits?.participants),
+                cost: this._flatten(activity.cost)
+            })),
+            active: active.map(instance => ({
+                id: instance.instanceId,
+                name: instance.activityData?.name || instance.activityId,
+                description: instance.activityData?.description || '',
+                timeLeft: Math.ceil((instance.timeRemaining || 0) / 1000),
+                participants: instance.participants?.length || 0,
+                isParticipating: !!instance.isParticipating,
+                reward: this._flatten(instance.activityData?.benefits?.participants)
+            })),
+            competitions: competitions.map(competition => ({
+                id: competition.id,
+                name: competition.name,
+                type: competition.type,
+                status: competition.canJoin || competition.canDeclare ? 'open' : 'closed',
+                canJoin: competition.type === 'tournament' && !!competition.canJoin,
+                participants: competition.participants ?? '-',
+                entryFee: this._flatten(competition.entryFee)
+            }))
+        };
+    }
+
+    /**
+     * The player's wars and the reports of wars the sect has fought
+     * @param {string} sectId - Player's sect ID
+     * @returns {Object} War data
+     */
+    getWars(sectId) {
+        return {
+            wars: this._safe(() => this.sectWarfare.getPlayerWars(), []),
+            reports: this._safe(() => this.sectWarfare.getWarReports(sectId), [])
+                .filter(report => report.status === 'completed')
+        };
+    }
+
+    setMemberSort(sortBy) {
+        this.memberSort = sortBy;
+    }
+
+    /**
+     * Donate a resource to the sect treasury
+     * @param {string} resource - 'jade' or 'spiritCrystals'
+     * @param {number} amount - Amount to donate
+     * @returns {Promise<Object>} Contribution result
+     */
+    async contribute(resource, amount) {
+        if (!this.sectSystem) {
+            return { success: false, error: 'Sect system not available' };
+        }
+        return this.sectSystem.contributeResources({ [resource]: amount });
+    }
+
+    /**
+     * Promote an NPC disciple to the next role
+     * @param {string} memberId - Disciple to promote
+     * @returns {Promise<Object>} Promotion result
+     */
+    async promoteMember(memberId) {
+        if (!this.sectRoster) {
+            return { success: false, error: 'Sect roster not available' };
+        }
+        return this.sectRoster.promoteDisciple(memberId);
+    }
+
+    async joinSect(sectId) {
+        if (!this.sectSystem) {
+            return { success: false, error: 'Sect system not available' };
+        }
+        return this.sectSystem.joinSect(sectId);
+    }
+
+    async startActivity(activityId) {
+        if (!this.sectActivities) {
+            return { success: false, error: 'Sect activities not available' };
+        }
+        return this.sectActivities.startActivity(activityId);
+    }
+
+    async joinActivity(instanceId) {
+        if (!this.sectActivities) {
+            return { success: false, error: 'Sect activities not available' };
+        }
+        return this.sectActivities.joinActivity(instanceId);
+    }
+
+    async joinCompetition(competitionId) {
+        if (!this.sectCompetition) {
+            return { success: false, error: 'Sect competitions not available' };
+        }
+        return this.sectCompetition.joinTournament(competitionId);
+    }
+
+    async claimTerritory(regionId) {
+        if (!this.sectCompetition) {
+            return { success: false, error: 'Sect competitions not available' };
+        }
+        return this.sectCompetition.claimTerritory(regionId);
+    }
+
+    /**
+     * Declare war on the sect holding a region, staking that region
+     * @param {string} sectId - Sect holding the region
+     * @param {string} regionId - Region to fight over
+     * @returns {Promise<Object>} Declaration result
+     */
+    async declareWar(sectId, regionId) {
+        if (!this.sectCompetition) {
+            return { success: false, error: 'Sect competitions not available' };
+        }
+        return this.sectCompetition.declareWar(sectId, 'Territorial dispute', { territoryId: regionId });
+    }
+
+    async contributeWarEffort(warId, resource, amount) {
+        if (!this.sectWarfare) {
+            return { success: false, error: 'Sect warfare not available' };
+        }
+        return this.sectWarfare.contributeWarEffort(warId, { [resource]: amount });
+    }
+
+    async offerPeace(warId) {
+        if (!this.sectWarfare) {
+            return { success: false, error: 'Sect warfare not available' };
+        }
+        return this.sectWarfare.offerPeace(warId);
+    }
+
+    async surrender(warId) {
+        if (!this.sectWarfare) {
+            return { success: false, error: 'Sect warfare not available' };
+        }
+        return this.sectWarfare.surrender(warId);
+    }
+
+    // Private methods
+
+    _mapSect(sect) {
+        const sectType = window.SECT_TYPES?.[sect.type];
+        const leader = Array.from(sect.members?.values?.() || []).find(member => member.role === 'sect_master');
+        const ageDays = Math.floor((Date.now() - (sect.createdAt || Date.now())) / 86400000);
+
+        return {
+            name: sect.name,
+            level: sect.level || 1,
+            rank: this._prestigeRank(sect),
+            prestige: sect.prestige || 0,
+            memberCount: sect.memberCount,
+            maxMembers: sect.maxMembers,
+            totalContribution: sect.statistics?.totalContributions || 0,
+            description: sect.description || sectType?.description || '',
+            benefits: (sect.activeBuffs || []).map(([type, buff]) => ({
+                type: type,
+                value: buff?.description || buff?.name || type
+            })),
+            leader: leader ? (leader.id === 'player' ? 'You' : leader.name) : (sect.founder?.name || '-'),
+            founded: ageDays > 0 ? `${ageDays} days ago` : 'Today'
+        };
+    }
+
+    _prestigeRank(sect) {
+        const sects = Array.from(this.sectSystem?.sectRegistry?.values() || []);
+        return sects.filter(other => (other.prestige || 0) > (sect.prestige || 0)).length + 1;
+    }
+
+    _mapContribution(sect, members) {
+        const byContribution = [...members].sort((a, b) => b.contribution - a.contribution);
+        const rank = byContribution.findIndex(member => member.isPlayer) + 1;
+
+        return {
+            total: sect.playerContribution || 0,
+            points: sect.playerContribution || 0,
+            rank: rank || '-'
+        };
+    }
+
+    _roleName(roleId) {
+        return window.SECT_ROLES?.[roleId]?.name || roleId || 'Member';
+    }
+
+    _flatten(values = {}) {
+        const flat = {};
+        for (const [key, value] of Object.entries(values || {})) {
+            if (typeof value === 'number' || typeof value === 'string') {
+                flat[key] = value;
+            }
+        }
+        return flat;
+    }
+}
+
+/**
+ * ScriptureViewModel - Scripture collection, loadout, gacha pools and enhancement
+ */
+class ScriptureViewModel extends ViewModel {
+    constructor(options = {}) {
+        super({ viewId: 'scripture', ...options });
+
+        // View pull types mapped onto gacha pools
+        this.pullTypes = {
+            single: { pool: 'Standard', count: 1 },
+            ten: { pool: 'Standard', count: 10 },
+            premium: { pool: 'Premium', count: 1 }
+        };
+
+        this.liveEvents = [
+            'scripture:added',
+            'scripture:removed',
+            'scripture:equipped',
+            'scripture:unequipped',
+            'scripture:auto_equipped',
+            'scripture:loadout_applied',
+            'scripture:preset_saved',
+            'scripture:preset_deleted',
+            'scripture:enhanced',
+            'scripture:enhancement_failed',
+            'scripture:awakened',
+            'gacha:pull_complete',
+            'gacha:multi_pull_complete'
+        ];
+    }
+
+    get scriptureManager() { return this.resolve('gacha', 'scriptureManager'); }
+    get gachaSystem() { return this.resolve('gacha', 'gachaSystem'); }
+    get enhancementSystem() { return this.resolve('gacha', 'enhancementSystem'); }
+
+    isAvailable() {
+        return !!this.scriptureManager;
+    }
+
+    getSnapshot() {
+        const equipped = this._safe(() => this.scriptureManager.getEquippedScriptures(), {});
+        const equippedScriptures = {};
+        for (const [slot, scripture] of Object.entries(equipped)) {
+            equippedScriptures[slot] = scripture ? this._mapScripture(scripture) : null;
+        }
+
+        return {
+            scriptureCollection: this._safe(() => this.scriptureManager.getScriptures(), [])
+                .map(scripture => this._mapScripture(scripture)),
+            equippedScriptures: equippedScriptures,
+            activeEffects: this._safe(() => this.scriptureManager.getActiveEffects(), null),
+            setProgress: this._safe(() => this.scriptureManager.getSetProgress(), []),
+            presets: this._safe(() => this.scriptureManager.getPresets(), []),
+            objectives: Object.values(window.SCRIPTURE_LOADOUT_OBJECTIVES || {}),
+            presetPurposes: Object.values(window.SCRIPTURE_PRESET_PURPOSES || {}),
+            resources: {
+                jade: this.gameState?.get('player.jade') || 0,
+                crystals: this.gameState?.get('player.spiritCrystals') || 0
+            },
+            gachaCosts: this.getGachaCosts(),
+            gachaRates: this._safe(() => this.gachaSystem.getPoolInfo('Standard').rates, null)
+        };
+    }
+
+    /**
+     * Cost of each pull type from the pool definitions, with the multi-pull discount
+     * @returns {Object} Costs keyed by pull type
+     */
+    getGachaCosts() {
+        const costs = {};
+
+        for (const [pullType, { pool, count }] of Object.entries(this.pullTypes)) {
+            const poolCost = window.GACHA_POOLS?.[pool]?.cost || {};
+            const currency = poolCost.crystals ? 'crystals' : 'jade';
+            const discount = count === 10 ? 0.9 : 1;
+            costs[pullType] = {
+                amount: Math.floor((poolCost[currency] || 0) * count * discount),
+                currency: currency
+            };
+        }
+
+        return costs;
+    }
+
+    /**
+     * Pull from the gacha
+     * @param {string} pullType - 'single', 'ten' or 'premium'
+     * @returns {Promise<Object>} Pull result with mapped scriptures
+     */
+    async pull(pullType) {
+        const gachaSystem = this.gachaSystem;
+        const pullConfig = this.pullTypes[pullType] || this.pullTypes.single;
+
+        if (!gachaSystem) {
+            return { success: false, reason: 'gacha_unavailable' };
+        }
+
+        const result = pullConfig.count === 1 ?
+            await gachaSystem.pullSingle(pullConfig.pool) :
+            await gachaSystem.pullMultiple(pullConfig.count, pullConfig.pool);
+
+        if (!result.success) {
+            return result;
+        }
+
+        const pulled = result.results || [result.result];
+        return {
+            ...result,
+            scriptures: pulled.filter(Boolean).map(scripture => this._mapScripture(scripture))
+        };
+    }
+
+    equip(scriptureId, slot) {
+        return this.scriptureManager?.equipScripture(scriptureId, slot);
+    }
+
+    unequip(scriptureId) {
+        return this.scriptureManager?.unequipScripture(scriptureId);
+    }
+
+    /**
+     * Optimized loadout for an objective and what equipping it would change
+     * @param {string} objective - SCRIPTURE_LOADOUT_OBJECTIVES key
+     * @returns {Object|null} autoEquip preview { target, diff }
+     */
+    previewAutoEquip(objective) {
+        return this._safe(() => this.scriptureManager.autoEquip({ objective, preview: true }), null);
+    }
+
+    /**
+     * What equipping a preset would change
+     * @param {string} presetId - Preset ID
+     * @returns {Object|null} applyPreset preview { preset, diff }
+     */
+    previewPreset(presetId) {
+        return this._safe(() => this.scriptureManager.applyPreset(presetId, { preview: true }), null);
+    }
+
+    applyLoadout(equipped) {
+        return this.scriptureManager?.applyLoadout(equipped);
+    }
+
+    applyPreset(presetId) {
+        return this.scriptureManager?.applyPreset(presetId);
+    }
+
+    savePreset(name, purpose) {
+        return this.scriptureManager?.savePreset(name, { purpose });
+    }
+
+    deletePreset(presetId) {
+        return this.scriptureManager?.deletePreset(presetId);
+    }
+
+    /**
+     * Level up or awaken a scripture
+     * @param {string} scriptureId - Scripture ID
+     * @param {string} enhanceType - 'levelup' or 'awaken'
+     * @returns {Promise<Object>} Enhancement result
+     */
+    async enhance(scriptureId, enhanceType) {
+        const enhancementSystem = this.enhancementSystem;
+        if (!enhancementSystem) {
+            return { success: false, reason: 'enhancement_unavailable' };
+        }
+
+        return enhanceType === 'awaken' ?
+            enhancementSystem.awakenScripture(scriptureId) :
+            enhancementSystem.enhanceScripture(scriptureId);
+    }
+
+    /**
+     * Cost and success rate of the next level for a scripture
+     * @param {string} scriptureId - Scripture ID
+     * @returns {Object|null} Enhancement preview
+     */
+    getEnhancementPreview(scriptureId) {
+        return this._safe(() => this.enhancementSystem.getEnhancementPreview(scriptureId), null);
+    }
+
+    // Private methods
+
+    _mapScripture(scripture) {
+        const rarity = window.SCRIPTURE_RARITIES?.[scripture.rarity];
+        const stats = scripture.stats || {};
+        const effectLabels = {
+            qi: 'Qi Bonus',
+            body: 'Body Bonus',
+            cultivation: 'Cultivation Speed'
+        };
+
+        return {
+            ...scripture,
+            rarity: rarity?.id || String(scripture.rarity || 'common').toLowerCase(),
+            rarityName: scripture.rarity,
+            maxLevel: rarity?.maxLevel || scripture.maxLevel || scripture.level,
+            power: Math.round(scripture.power || 0),
+            category: scripture.category || 'general',
+            effects: Object.entries(stats)
+                .filter(([, value]) => typeof value === 'number' && value > 0)
+                .map(([type, value]) => ({
+                    type: type,
+                    amount: value,
+                    value: `+${(value * 100).toFixed(1)}% ${effectLabels[type] || type}`
+                }))
+        };
+    }
+}
+
+/**
+ * DaoScriptViewModel - Automation rules, what the current realm unlocks and recent firings
+ */
+class DaoScriptViewModel extends ViewModel {
+    constructor(options = {}) {
+        super({ viewId: 'automation', ...options });
+
+        this.liveEvents = [
+            'daoScripts:ruleFired',
+            'daoScripts:rulesChanged',
+            'daoScripts:unlocked'
+        ];
+    }
+
+    get daoScriptEngine() { return window.daoScriptEngine || window.game?.daoScriptEngine || null; }
+
+    isAvailable() {
+        return !!this.daoScriptEngine;
+    }
+
+    getSnapshot() {
+        const engine = this.daoScriptEngine;
+
+        return {
+            enabled: this._safe(() => engine.isEnabled(), false),
+            rules: this._safe(() => engine.getRules(), []),
+            unlocks: this._safe(() => engine.getUnlocks(), { maxRules: 0, metrics: [], actions: [], next: null }),
+            log: this._safe(() => engine.getLog(), []),
+            catalogue: {
+                metrics: window.DAO_SCRIPT_METRICS || {},
+                actions: window.DAO_SCRIPT_ACTIONS || {},
+                operators: window.DAO_SCRIPT_OPERATORS || [],
+                maxConditions: engine?.config.maxConditions || 0,
+                minCooldown: engine?.config.minCooldown || 0,
+                defaultCooldown: engine?.config.defaultCooldown || 0
+            }
+        };
+    }
+
+    /**
+     * Save a rule from the editor, adding it when it has no ID yet
+     * @param {Object} rule - Rule definition
+     * @returns {Object} Engine result
+     */
+    saveRule(rule) {
+        const engine = this.daoScriptEngine;
+        if (!engine) {
+            return { success: false, reason: 'automation_unavailable' };
+        }
+
+        const { id, ...definition } = rule;
+        return id ? engine.updateRule(id, definition) : engine.addRule(definition);
+    }
+
+    removeRule(ruleId) {
+        return this._safe(() => this.daoScriptEngine.removeRule(ruleId), false);
+    }
+
+    moveRule(ruleId, offset) {
+        return this._safe(() => this.daoScriptEngine.moveRule(ruleId, offset), false);
+    }
+
+    setRuleEnabled(ruleId, enabled) {
+        return this._safe(() => this.daoScriptEngine.setRuleEnabled(ruleId, enabled), false);
+    }
+
+    setEnabled(enabled) {
+        this._safe(() => this.daoScriptEngine.setEnabled(enabled), null);
+    }
+}
+
+// Export for ES6 modules and global usage
+if (typeof module !== 'undefined' && module.exports) {
+    module.exports = { ViewModel, CombatViewModel, QuestViewModel, SectViewModel, ScriptureViewModel, DaoScriptViewModel };
+} else if (typeof window !== 'undefined') {
+    window.ViewModel = ViewModel;
+    window.CombatViewModel = CombatViewModel;
+    window.QuestViewModel = QuestViewModel;
+    window.SectViewModel = SectViewModel;
+    window.ScriptureViewModel = ScriptureViewModel;
+    window.DaoScriptViewModel = DaoScriptViewModel;
+}
@@ -0,0 +1,235 @@
+/**
+ * BalanceSimulation - Runs a scripted player through N days of play
+ *
+ * Each simulated day the policy logs in for its session windows; the gaps in
+ * between (including overnight) are applied through the OfflineCalculator on
+ * the next login. A row of metrics is recorded after the last session of every
+ * day, so overnight gains land in the following day's row.
+ */
+
+import { HeadlessGame } from './headless-game.js';
+import { getSessionWindows } from './policies.js';
+
+const MINUTE = 60 * 1000;
+const HOUR = 60 * MINUTE;
+const DAY = 24 * HOUR;
+
+export const DAILY_COLUMNS = [
+    'day', 'preset', 'policy', 'realm', 'stage', 'qiLevel', 'bodyLevel',
+    'jade', 'spiritCrystals', 'spiritStones', 'jadeIncome', 'crystalIncome',
+    'pulls', 'jadeSpent', 'crystalsSpent', 'questsCompleted', 'onlineHours', 'offlineHours'
+];
+
+export const REALM_COLUMNS = ['preset', 'policy', 'realm', 'day', 'elapsedHours', 'onlineHours'];
+
+export class BalanceSimulation {
+    /**
+     * @param {Object} options
+     * @param {Object} options.policy - Policy definition from policies.js
+     * @param {string|null} options.preset - BalanceManager preset, null for defaults
+     * @param {number} options.days - Days to simulate
+     * @param {number|string} options.seed - Master RNG seed
+     * @param {number} options.stepMinutes - Online tick size in minutes
+     * @param {boolean} options.verbose - Forward game console output
+     */
+    constructor(options = {}) {
+        this.options = {
+            policy: null,
+            preset: null,
+            days: 30,
+            seed: 1,
+            stepMinutes: 5,
+            verbose: false,
+            ...options
+        };
+
+        if (!this.options.policy) {
+            throw new Error('BalanceSimulation requires a policy');
+        }
+
+        this.game = null;
+        this.daily = [];
+        this.realmTimeline = [];
+        this.onlineMs = 0;
+        this.offlineMs = 0;
+    }
+
+    /**
+     * Run the simulation
+     * @returns {Promise<Object>} { summary, daily, realmTimeline }
+     */
+    async run() {
+        const { policy, preset, days, seed, stepMinutes, verbose } = this.options;
+        const stepMs = stepMinutes * MINUTE;
+
+        this.game = new HeadlessGame({ seed, preset, verbose });
+        await this.game.boot();
+
+        const startTime = this.game.now();
+        this._trackRealms(startTime);
+
+        const windows = getSessionWindows(policy);
+        let previous = this._snapshot();
+
+        for (let day = 1; day <= days; day++) {
+            const dayStart = startTime + (day - 1) * DAY;
+            let dayOnlineMs = 0;
+            let dayOfflineMs = 0;
+
+            for (const window of windows) {
+                const gap = dayStart + window.start - this.game.now();
+                if (gap > 0) {
+                    await this.game.goOffline(gap);
+                    dayOfflineMs += gap;
+                }
+
+                await policy.onLogin(this.game);
+                await this.game.playOnline(window.duration, stepMs, policy.onTick);
+                dayOnlineMs += window.duration;
+            }
+
+            this.onlineMs += dayOnlineMs;
+            this.offlineMs += dayOfflineMs;
+
+            const current = this._snapshot();
+            this.daily.push(this._buildDailyRow(day, previous, current, dayOnlineMs, dayOfflineMs));
+            previous = current;
+        }
+
+        return {
+            summary: this._buildSummary(),
+            daily: this.daily,
+            realmTimeline: this.realmTimeline
+        };
+    }
+
+    // Private methods
+
+    /**
+     * Record when every new realm is reached
+     * @param {number} startTime - Simulation start time
+     */
+    _trackRealms(startTime) {
+        this.realmTimeline.push(this._realmEntry(this.game.realmManager.getCurrentRealm(), startTime));
+
+        this.game.on('realm:advancement', (event) => {
+            this.realmTimeline.push(this._realmEntry(event.data.newRealm, startTime));
+        });
+    }
+
+    _realmEntry(realm, startTime) {
+        const elapsedMs = this.game.now() - startTime;
+        return {
+            preset: this.options.preset || 'default',
+            policy: this.options.policy.name,
+            realm: realm,
+            day: Math.floor(elapsedMs / DAY) + 1,
+            elapsedHours: this._hours(elapsedMs),
+            onlineHours: this._hours(this.onlineMs)
+        };
+    }
+
+    /**
+     * Capture the counters the daily rows are built from
+     * @returns {Object} Snapshot
+     */
+    _snapshot() {
+        const stats = this.game.gachaSystem.statistics;
+        const spent = stats.totalSpent || {};
+
+        return {
+            jade: this.game.get('player.jade') || 0,
+            spiritCrystals: this.game.get('player.spiritCrystals') || 0,
+            spiritStones: this.game.get('player.spiritStones') || 0,
+            pulls: stats.totalPulls || 0,
+            jadeSpent: spent.jade || 0,
+            crystalsSpent: spent.crystals || 0,
+            questsCompleted: this.game.questSystem.statistics.totalCompleted || 0
+        };
+    }
+
+    _buildDailyRow(day, previous, current, onlineMs, offlineMs) {
+        const cultivation = this.game.get('cultivation');
+        const jadeSpent = current.jadeSpent - previous.jadeSpent;
+        const crystalsSpent = current.crystalsSpent - previous.crystalsSpent;
+
+        return {
+            day: day,
+            preset: this.options.preset || 'default',
+            policy: this.options.policy.name,
+            realm: this.game.realmManager.getCurrentRealm(),
+            stage: this.game.realmManager.getCurrentStage(),
+            qiLevel: cultivation.qi.level,
+            bodyLevel: cultivation.body.level,
+            jade: current.jade,
+            spiritCrystals: current.spiritCrystals,
+            spiritStones: current.spiritStones,
+            // Income is what came in before gacha spending took it back out
+            jadeIncome: current.jade - previous.jade + jadeSpent,
+            crystalIncome: current.spiritCrystals - previous.spiritCrystals + crystalsSpent,
+            pulls: current.pulls - previous.pulls,
+            jadeSpent: jadeSpent,
+            crystalsSpent: crystalsSpent,
+            questsCompleted: current.questsCompleted - previous.questsCompleted,
+            onlineHours: this._hours(onlineMs),
+            offlineHours: this._hours(offlineMs)
+        };
+    }
+
+    _buildSummary() {
+        const last = this.daily[this.daily.length - 1] || {};
+        const totals = this.daily.reduce((sum, row) => {
+            sum.jadeIncome += row.jadeIncome;
+            sum.crystalIncome += row.crystalIncome;
+            sum.pulls += row.pulls;
+            sum.jadeSpent += row.jadeSpent;
+            sum.crystalsSpent += row.crystalsSpent;
+            sum.questsCompleted += row.questsCompleted;
+            return sum;
+        }, { jadeIncome: 0, crystalIncome: 0, pulls: 0, jadeSpent: 0, crystalsSpent: 0, questsCompleted: 0 });
+
+        const days = this.daily.length || 1;
+
+        return {
+            preset: this.options.preset || 'default',
+            policy: this.options.policy.name,
+            seed: this.options.seed,
+            days: this.daily.length,
+            finalRealm: last.realm,
+            finalStage: last.stage,
+            qiLevel: last.qiLevel,
+            bodyLevel: last.bodyLevel,
+            onlineHours: this._hours(this.onlineMs),
+            offlineHours: this._hours(this.offlineMs),
+            totals: totals,
+            averagePerDay: {
+                jadeIncome: Math.round(totals.jadeIncome / days),
+                crystalIncome: Math.round(totals.crystalIncome / days),
+                pulls: Math.round((totals.pulls / days) * 100) / 100
+            },
+            realmsReached: this.realmTimeline.map(entry => ({ realm: entry.realm, day: entry.day, elapsedHours: entry.elapsedHours })),
+            balanceAnalysis: this.game.balanceManager.analyzeBalance()
+        };
+    }
+
+    _hours(ms) {
+        return Math.round((ms / HOUR) * 100) / 100;
+    }
+}
+
+/**
+ * Render rows as CSV with the given columns
+ * @param {Array} rows - Row objects
+ * @param {Array} columns - Column names
+ * @returns {string} CSV text
+ */
+export function toCsv(rows, columns) {
+    const escape = (value) => {
+        const text = value === undefined || value === null ? '' : String(value);
+        return /[",\n]/.test(text) ? `"${text.replace(/"/g, '""')}"` : text;
+    };
+
+    const lines = [columns.join(',')];
+    rows.forEach(row => lines.push(columns.map(column => escape(row[column])).join(',')));
+    return lines.join('\n') + '\n';
+}
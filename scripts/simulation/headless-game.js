@@ -0,0 +1,532 @@
+/**
+ * HeadlessGame - Boots the browser game systems inside a Node VM context
+ *
+ * The game scripts are classic browser scripts that publish themselves on
+ * `window`. Here they are evaluated in a sandbox whose `window` is the sandbox
+ * itself, with no DOM, in-memory storage and a virtual clock, so days of play
+ * can be simulated in seconds.
+ */
+
+import fs from 'fs';
+import path from 'path';
+import vm from 'vm';
+import { fileURLToPath } from 'url';
+
+const __dirname = path.dirname(fileURLToPath(import.meta.url));
+const JS_ROOT = path.resolve(__dirname, '../../js');
+
+// Load order mirrors index.html for the scripts the simulation needs
+export const GAME_SCRIPTS = [
+    'core/EventManager.js',
+    'core/RandomManager.js',
+    'core/ResourceLedger.js',
+    'core/GameState.js',
+    'core/BalanceManager.js',
+    'core/DataValidator.js',
+    'core/ContentPackLoader.js',
+    'core/EventCalendar.js',
+    'core/JobScheduler.js',
+    'core/MigrationManager.js',
+    'data/cultivation-data.js',
+    'data/scripture-data.js',
+    'data/quest-data.js',
+    'data/dao-script-data.js',
+    'data/job-data.js',
+    'systems/CultivationSystem.js',
+    'systems/RealmManager.js',
+    'systems/TechniqueManager.js',
+    'systems/OfflineCalculator.js',
+    'systems/ReincarnationManager.js',
+    'systems/MountSystem.js',
+    'systems/WingSystem.js',
+    'systems/RuneSystem.js',
+    'systems/AccessorySystem.js',
+    'systems/SoulSystem.js',
+    'systems/MeridianSystem.js',
+    'systems/DantianSystem.js',
+    'systems/CraftingSystem.js',
+    'systems/GachaSystem.js',
+    'systems/QuestSystem.js',
+    'systems/DaoScriptEngine.js'
+];
+
+// Scripts are compiled once and re-evaluated in every new context
+const compiledScripts = new Map();
+
+function getCompiledScript(relativePath) {
+    if (!compiledScripts.has(relativePath)) {
+        const filename = path.join(JS_ROOT, relativePath);
+        const source = fs.readFileSync(filename, 'utf8');
+        compiledScripts.set(relativePath, new vm.Script(source, { filename }));
+    }
+    return compiledScripts.get(relativePath);
+}
+
+/**
+ * VirtualClock - Simulated wall clock with its own timer queue
+ * Interval timers that fall due several times within one advance() fire once,
+ * the way a throttled background tab drops missed ticks.
+ */
+export class VirtualClock {
+    constructor(startTime = Date.UTC(2025, 0, 1)) {
+        this.now = startTime;
+        this.timers = new Map(); // id -> { due, callback, args, interval }
+        this.nextTimerId = 1;
+    }
+
+    setTimer(callback, delay, args, repeat) {
+        const id = this.nextTimerId++;
+        const interval = Math.max(1, Number(delay) || 0);
+        this.timers.set(id, {
+            due: this.now + interval,
+            callback,
+            args,
+            interval: repeat ? interval : null
+        });
+        return id;
+    }
+
+    clearTimer(id) {
+        this.timers.delete(id);
+    }
+
+    /**
+     * Move time forward, firing due timers in order
+     * @param {number} ms - Milliseconds to advance
+     */
+    advance(ms) {
+        const target = this.now + ms;
+
+        for (;;) {
+            let nextId = null;
+            let nextTimer = null;
+            for (const [id, timer] of this.timers) {
+                if (timer.due <= target && (!nextTimer || timer.due < nextTimer.due)) {
+                    nextId = id;
+                    nextTimer = timer;
+                }
+            }
+            if (!nextTimer) break;
+
+            this.now = Math.max(this.now, nextTimer.due);
+
+            if (nextTimer.interval) {
+                nextTimer.due += nextTimer.interval;
+                if (nextTimer.due <= target) {
+                    nextTimer.due = target + nextTimer.interval;
+                }
+            } else {
+                this.timers.delete(nextId);
+            }
+
+            try {
+                nextTimer.callback(...nextTimer.args);
+            } catch (error) {
+                console.error('VirtualClock: Timer callback failed:', error);
+            }
+        }
+
+        this.now = target;
+    }
+}
+
+function createMemoryStorage() {
+    const data = new Map();
+    return {
+        getItem: (key) => (data.has(key) ? data.get(key) : null),
+        setItem: (key, value) => data.set(key, String(value)),
+        removeItem: (key) => data.delete(key),
+        clear: () => data.clear(),
+        key: (index) => Array.from(data.keys())[index] ?? null,
+        get length() {
+            return data.size;
+        }
+    };
+}
+
+function createVirtualDate(clock) {
+    return class VirtualDate extends Date {
+        constructor(...args) {
+            if (args.length === 0) {
+                super(clock.now);
+            } else {
+                super(...args);
+            }
+        }
+
+        static now() {
+            return clock.now;
+        }
+    };
+}
+
+function createQuietConsole(verbose) {
+    const noop = () => {};
+    return {
+        log: verbose ? console.log : noop,
+        info: verbose ? console.info : noop,
+        debug: noop,
+        warn: verbose ? console.warn : noop,
+        error: console.error,
+        group: noop,
+        groupEnd: noop,
+        table: noop
+    };
+}
+
+function createSandbox(clock, verbose) {
+    const noop = () => {};
+    const sandbox = {
+        console: createQuietConsole(verbose),
+        Date: createVirtualDate(clock),
+        setTimeout: (callback, delay = 0, ...args) => {
+            // Zero-delay timers are yields, not waits - run them on the real event loop
+            if (!delay || delay <= 0) {
+                return setImmediate(() => callback(...args));
+            }
+            return clock.setTimer(callback, delay, args, false);
+        },
+        clearTimeout: (id) => {
+            if (typeof id === 'number') {
+                clock.clearTimer(id);
+            } else if (id) {
+                clearImmediate(id);
+            }
+        },
+        setInterval: (callback, delay = 0, ...args) => clock.setTimer(callback, delay, args, true),
+        clearInterval: (id) => clock.clearTimer(id),
+        requestAnimationFrame: noop,
+        cancelAnimationFrame: noop,
+        performance: { now: () => clock.now, mark: noop, measure: noop },
+        localStorage: createMemoryStorage(),
+        sessionStorage: createMemoryStorage(),
+        navigator: { userAgent: 'node-headless' },
+        location: { search: '', href: 'headless://simulation' },
+        document: {
+            hidden: true,
+            addEventListener: noop,
+            removeEventListener: noop,
+            getElementById: () => null,
+            querySelector: () => null,
+            querySelectorAll: () => []
+        },
+        addEventListener: noop,
+        removeEventListener: noop
+    };
+
+    sandbox.window = sandbox;
+    sandbox.self = sandbox;
+    return sandbox;
+}
+
+/**
+ * HeadlessGame - One simulated player with the game systems wired together
+ */
+export class HeadlessGame {
+    /**
+     * @param {Object} options
+     * @param {number|string} options.seed - Master RNG seed
+     * @param {string|null} options.preset - BalanceManager preset to apply
+     * @param {Object|null} options.balanceConfig - Custom balance config to apply on top
+     * @param {boolean} options.verbose - Forward game console output
+     * @param {number} options.startTime - Virtual clock start time
+     * @param {Object|null} options.initialState - Save to start from: { state, rng } or a GameState.save() payload
+     * @param {Array<Object>} options.contentPacks - Parsed content packs to register before the systems start
+     * @param {Array<Object>} options.events - Event definitions to schedule; the seasonal calendar is left out so runs do not depend on the date
+     */
+    constructor(options = {}) {
+        this.options = {
+            seed: 1,
+            preset: null,
+            balanceConfig: null,
+            verbose: false,
+            initialState: null,
+            contentPacks: [],
+            events: [],
+            ...options
+        };
+
+        this.clock = new VirtualClock(this.options.startTime);
+        this.context = null;
+
+        // Core systems
+        this.eventManager = null;
+        this.gameState = null;
+        this.randomManager = null;
+        this.balanceManager = null;
+
+        // Game systems
+        this.realmManager = null;
+        this.techniqueManager = null;
+        this.cultivationSystem = null;
+        this.offlineCalculator = null;
+        this.reincarnationManager = null;
+        this.gachaSystem = null;
+        this.questSystem = null;
+        this.jobScheduler = null;
+        this.idleSystems = {};
+        this.craftingSystem = null;
+        this.eventCalendar = null;
+        this.daoScriptEngine = null;
+
+        this.isBooted = false;
+    }
+
+    /**
+     * Evaluate the game scripts and initialize every system
+     */
+    async boot() {
+        const sandbox = createSandbox(this.clock, this.options.verbose);
+        this.context = vm.createContext(sandbox);
+
+        for (const script of GAME_SCRIPTS) {
+            getCompiledScript(script).runInContext(this.context);
+        }
+
+        const win = this.context;
+
+        this.eventManager = win.eventManager;
+        this.gameState = win.gameState;
+        this.randomManager = win.randomManager;
+
+        this.gameState.setEventManager(this.eventManager);
+        this.randomManager.setEventManager(this.eventManager);
+        this.randomManager.setSeed(this.options.seed);
+
+        // Systems read their state on initialize, so a starting save goes in first
+        if (this.options.initialState) {
+            this.restoreState(this.options.initialState);
+        }
+
+        // Balance configuration is read by the formulas through window.balanceManager
+        this.balanceManager = new win.BalanceManager();
+        this.balanceManager.initialize({ eventManager: this.eventManager, gameState: this.gameState });
+        win.balanceManager = this.balanceManager;
+
+        if (this.options.preset) {
+            this.balanceManager.applyPreset(this.options.preset);
+        }
+        if (this.options.balanceConfig) {
+            this.balanceManager.applyCustomConfig(this.options.balanceConfig);
+        }
+
+        // Packs go in before any system reads its definitions
+        win.contentPackLoader.initialize({ eventManager: this.eventManager });
+        for (const pack of this.options.contentPacks) {
+            const result = win.contentPackLoader.registerPack(this.importValue(pack), 'simulation');
+            if (!result.success) {
+                throw new Error(`Content pack rejected: ${result.errors.join('; ')}`);
+            }
+        }
+
+        // Same order as CultivationIntegration._initializeCultivationSystems
+        this.realmManager = new win.RealmManager(this.gameState, this.eventManager);
+        await this.realmManager.initialize();
+
+        this.techniqueManager = new win.TechniqueManager(this.gameState, this.eventManager);
+        await this.techniqueManager.initialize();
+
+        this.cultivationSystem = new win.CultivationSystem(
+            this.gameState,
+            this.eventManager,
+            this.realmManager,
+            this.techniqueManager
+        );
+        await this.cultivationSystem.initialize();
+
+        this.offlineCalculator = new win.OfflineCalculator(
+            this.gameState,
+            this.eventManager,
+            this.cultivationSystem,
+            this.realmManager,
+            this.techniqueManager
+        );
+        await this.offlineCalculator.initialize();
+
+        this.reincarnationManager = new win.ReincarnationManager(
+            this.gameState,
+            this.eventManager,
+            this.realmManager,
+            this.cultivationSystem,
+            this.techniqueManager
+        );
+        await this.reincarnationManager.initialize();
+
+        // The idle subsystems register their job handlers on construction
+        this.jobScheduler = win.jobScheduler;
+        this.jobScheduler.initialize({ gameState: this.gameState, eventManager: this.eventManager });
+
+        // Idle subsystems, registered with the offline calculator as in CultivationIntegration._initializeIdleSystems
+        this.idleSystems = {
+            mounts: new win.MountSystem(this.gameState, this.eventManager),
+            wings: new win.WingSystem(this.gameState, this.eventManager),
+            runes: new win.RuneSystem(this.gameState, this.eventManager),
+            accessories: new win.AccessorySystem(this.gameState, this.eventManager),
+            soul: new win.SoulSystem(this.gameState, this.eventManager),
+            meridians: new win.MeridianSystem(this.gameState, this.eventManager),
+            dantian: new win.DantianSystem(this.gameState, this.eventManager)
+        };
+        for (const [name, system] of Object.entries(this.idleSystems)) {
+            this.offlineCalculator.registerIdleSystem(name, system);
+        }
+
+        this.craftingSystem = new win.CraftingSystem(this.gameState, this.eventManager);
+        await this.craftingSystem.initialize();
+        this.offlineCalculator.registerIdleSystem('crafting', this.craftingSystem, 'Crafting');
+
+        this.gachaSystem = new win.GachaSystem(this.gameState, this.eventManager);
+        await this.gachaSystem.initialize();
+
+        this.questSystem = new win.QuestSystem(this.gameState, this.eventManager, null);
+        await this.questSystem.initialize();
+
+        this.eventCalendar = new win.EventCalendar();
+        this.eventCalendar.initialize({
+            gameState: this.gameState,
+            eventManager: this.eventManager,
+            events: this.importValue(this.options.events)
+        });
+        win.eventCalendar = this.eventCalendar;
+        this.eventCalendar.connect({
+            gachaSystem: this.gachaSystem,
+            questSystem: this.questSystem,
+            balanceManager: this.balanceManager
+        });
+
+        // Dao Script rules, wired as in IdleCultivationGame._connectDaoScripts
+        this.daoScriptEngine = new win.DaoScriptEngine(this.gameState, this.eventManager);
+        this.daoScriptEngine.initialize();
+        this.daoScriptEngine.connect({
+            cultivationSystem: this.cultivationSystem,
+            realmManager: this.realmManager,
+            craftingSystem: this.craftingSystem,
+            questSystem: this.questSystem,
+            mountSystem: this.idleSystems.mounts,
+            runeSystem: this.idleSystems.runes,
+            dantianSystem: this.idleSystems.dantian
+        });
+        this.offlineCalculator.registerIdleSystem('daoScripts', this.daoScriptEngine, 'Dao Scripts');
+
+        this.isBooted = true;
+        return this;
+    }
+
+    /**
+     * Replace the game state and RNG positions with a saved snapshot
+     * Only takes full effect before boot() initializes the systems
+     * @param {Object} snapshot - { state, rng }, a GameState.save() payload or a bare state
+     */
+    restoreState(snapshot) {
+        const state = snapshot.state || snapshot;
+        const rng = snapshot.rng || state.rng || null;
+
+        this.gameState.update(() => this.importValue(state), {
+            validate: false,
+            emit: false,
+            source: 'simulation:restore'
+        });
+
+        if (rng) {
+            this.randomManager.setState(rng);
+        }
+    }
+
+    /**
+     * Copy plain data into the game context
+     * Objects built out here fail instanceof checks inside the sandbox (e.g. Array validators)
+     * @param {*} value - JSON-serializable value
+     * @returns {*} Equivalent value owned by the sandbox
+     */
+    importValue(value) {
+        if (value === undefined) {
+            return undefined;
+        }
+        return vm.runInContext('JSON', this.context).parse(JSON.stringify(value));
+    }
+
+    /**
+     * Current virtual time
+     * @returns {number} Timestamp in milliseconds
+     */
+    now() {
+        return this.clock.now;
+    }
+
+    /**
+     * Read a value from the game state
+     * @param {string} statePath - Dot notation path
+     * @returns {*} Value
+     */
+    get(statePath) {
+        return this.gameState.get(statePath);
+    }
+
+    /**
+     * Subscribe to a game event
+     * @param {string} eventType - Event name
+     * @param {Function} callback - Receives the event data
+     */
+    on(eventType, callback) {
+        this.eventManager.on(eventType, callback);
+    }
+
+    /**
+     * Play online for a stretch of time, ticking the systems like the game loop does
+     * @param {number} ms - Milliseconds to play
+     * @param {number} stepMs - Tick size
+     * @param {Function} onTick - Optional callback after every tick
+     */
+    async playOnline(ms, stepMs, onTick = null) {
+        let remaining = ms;
+
+        while (remaining > 0) {
+            const delta = Math.min(stepMs, remaining);
+            this.clock.advance(delta);
+
+            this.cultivationSystem.update(delta);
+            this.techniqueManager.update(delta);
+            this.craftingSystem.update(delta);
+            this.eventCalendar.update(this.clock.now);
+            this.jobScheduler.update(this.clock.now);
+            this.daoScriptEngine.update(delta);
+            this.saveAllSystems();
+
+            if (onTick) {
+                await onTick(this);
+            }
+
+            remaining -= delta;
+        }
+    }
+
+    /**
+     * Leave the game for a stretch of time and apply offline progression on return
+     * @param {number} ms - Milliseconds offline
+     * @returns {Promise<Object|null>} Offline results
+     */
+    async goOffline(ms) {
+        this.saveAllSystems();
+        this.clock.advance(ms);
+
+        let results = null;
+        if (this.cultivationSystem.isActive) {
+            results = await this.offlineCalculator.calculateOfflineProgress(ms);
+            this.cultivationSystem.reloadState();
+        }
+
+        this.eventCalendar.update(this.clock.now, true);
+        this.gameState.set('meta.lastPlayed', this.clock.now, { source: 'simulation:login' });
+        return results;
+    }
+
+    /**
+     * Persist every system into the game state
+     */
+    saveAllSystems() {
+        this.cultivationSystem.saveState();
+        this.realmManager.saveState();
+        this.techniqueManager.saveState();
+        this.reincarnationManager.saveState();
+        this.craftingSystem.saveData();
+    }
+}
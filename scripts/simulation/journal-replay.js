@@ -0,0 +1,221 @@
+/**
+ * JournalReplay - Re-runs an ActionJournal recording in the headless game
+ *
+ * The game boots from the journal's baseline save on a virtual clock set to the
+ * moment recording started. Time is fast-forwarded to each entry, the command is
+ * invoked on the same system with the recorded arguments, and the resulting state
+ * is diffed against the state captured when the journal was exported.
+ */
+
+import { HeadlessGame } from './headless-game.js';
+
+// Paths that drift with wall-clock session handling rather than game logic
+export const DEFAULT_IGNORED_PATHS = ['meta.lastPlayed', 'meta.totalPlayTime', 'rng'];
+
+const MAX_REPORTED_DIFFERENCES = 200;
+
+export class JournalReplay {
+    /**
+     * @param {Object} journal - Parsed ActionJournal export
+     * @param {Object} options
+     * @param {Object|null} options.save - Starting save overriding the journal baseline
+     * @param {number} options.stepMs - Online tick size while fast-forwarding
+     * @param {boolean} options.syncRng - Restore the recorded RNG state before every command
+     * @param {Array<string>} options.ignorePaths - State paths left out of the diff
+     * @param {boolean} options.verbose - Forward game console output
+     */
+    constructor(journal, options = {}) {
+        if (!journal || !Array.isArray(journal.entries) || !journal.baseline) {
+            throw new Error('Not an action journal: missing baseline or entries');
+        }
+
+        this.journal = journal;
+        this.options = {
+            save: null,
+            stepMs: 1000,
+            syncRng: false,
+            ignorePaths: DEFAULT_IGNORED_PATHS,
+            verbose: false,
+            ...options
+        };
+
+        this.game = null;
+    }
+
+    /**
+     * Replay every entry and compare the outcome
+     * @returns {Promise<Object>} { journal, commands, rng, differences, summary }
+     */
+    async run() {
+        const { journal } = this;
+        const baseline = this.options.save || journal.baseline;
+
+        this.game = new HeadlessGame({
+            seed: baseline.rng ? baseline.rng.seed : 1,
+            startTime: journal.baseline.takenAt,
+            initialState: baseline,
+            verbose: this.options.verbose
+        });
+        await this.game.boot();
+
+        const commands = [];
+        let firstRngDivergence = null;
+
+        for (const entry of journal.entries) {
+            await this._fastForwardTo(entry.at);
+
+            const rngMatched = entry.rng ? rngStatesMatch(entry.rng, this.game.randomManager.getState()) : null;
+            if (rngMatched === false && firstRngDivergence === null) {
+                firstRngDivergence = entry.seq;
+            }
+            if (entry.rng && this.options.syncRng) {
+                this.game.randomManager.setState(entry.rng);
+            }
+
+            commands.push({
+                seq: entry.seq,
+                system: entry.system,
+                command: entry.command,
+                rngMatched,
+                recorded: entry.error ? { error: entry.error } : (entry.result ?? null),
+                ...(await this._invoke(entry))
+            });
+        }
+
+        const expected = journal.final;
+        let differences = [];
+        let rngMatchedAtEnd = null;
+
+        if (expected) {
+            await this._fastForwardTo(expected.takenAt);
+            this.game.saveAllSystems();
+
+            differences = diffStates(expected.state, this.game.gameState.getState(), this.options.ignorePaths);
+            if (expected.rng) {
+                rngMatchedAtEnd = rngStatesMatch(expected.rng, this.game.randomManager.getState());
+            }
+        }
+
+        const failed = commands.filter(command => command.status === 'error').length;
+        const unsupported = commands.filter(command => command.status === 'unsupported').length;
+
+        return {
+            journal: {
+                label: journal.label || null,
+                gameVersion: journal.gameVersion || null,
+                startedAt: journal.startedAt,
+                endedAt: journal.endedAt,
+                entries: journal.entries.length,
+                truncated: !!journal.truncated
+            },
+            commands,
+            rng: {
+                firstDivergence: firstRngDivergence,
+                matchedAtEnd: rngMatchedAtEnd
+            },
+            differences: differences.slice(0, MAX_REPORTED_DIFFERENCES),
+            summary: {
+                comparedFinalState: !!expected,
+                reproduced: !!expected && differences.length === 0,
+                differences: differences.length,
+                commandsRun: commands.length - unsupported,
+                commandsFailed: failed,
+                commandsUnsupported: unsupported,
+                replayedMs: this.game.now() - journal.baseline.takenAt
+            }
+        };
+    }
+
+    // Private methods
+
+    async _fastForwardTo(time) {
+        const gap = time - this.game.now();
+        if (gap > 0) {
+            await this.game.playOnline(gap, this.options.stepMs);
+        }
+    }
+
+    /**
+     * Call the recorded command on the matching headless system
+     */
+    async _invoke(entry) {
+        const system = this.game[entry.system];
+        if (!system || typeof system[entry.command] !== 'function') {
+            return { status: 'unsupported' };
+        }
+
+        try {
+            const result = await system[entry.command](...this.game.importValue(entry.args || []));
+            this.game.saveAllSystems();
+            return { status: 'ok', result: summarizeResult(result) };
+        } catch (error) {
+            return { status: 'error', error: error.message };
+        }
+    }
+}
+
+/**
+ * Compare two RandomManager states, treating untouched streams as equal to missing ones
+ * @param {Object} recorded - RNG state from the journal
+ * @param {Object} current - RNG state from the replay
+ * @returns {boolean} Whether every drawn-from stream is at the same position
+ */
+export function rngStatesMatch(recorded, current) {
+    if (!recorded || !current || recorded.seed !== current.seed) {
+        return false;
+    }
+
+    const recordedStreams = recorded.streams || {};
+    const currentStreams = current.streams || {};
+    const names = new Set([...Object.keys(recordedStreams), ...Object.keys(currentStreams)]);
+
+    for (const name of names) {
+        const a = recordedStreams[name];
+        const b = currentStreams[name];
+        if ((!a || a.draws === 0) && (!b || b.draws === 0)) {
+            continue;
+        }
+        if (!a || !b || a.state !== b.state) {
+            return false;
+        }
+    }
+    return true;
+}
+
+/**
+ * List every leaf that differs between two states
+ * @param {*} expected - Recorded value
+ * @param {*} actual - Replayed value
+ * @param {Array<string>} ignorePaths - Dot paths (and their children) to skip
+ * @param {string} path - Current path
+ * @returns {Array<Object>} [{ path, expected, actual }]
+ */
+export function diffStates(expected, actual, ignorePaths = [], path = '') {
+    if (path && ignorePaths.some(ignored => path === ignored || path.startsWith(`${ignored}.`))) {
+        return [];
+    }
+
+    const bothObjects = expected && actual && typeof expected === 'object' && typeof actual === 'object' &&
+        Array.isArray(expected) === Array.isArray(actual);
+
+    if (!bothObjects) {
+        return Object.is(expected, actual) ? [] : [{ path: path || '(root)', expected, actual }];
+    }
+
+    const differences = [];
+    const keys = new Set([...Object.keys(expected), ...Object.keys(actual)]);
+    for (const key of keys) {
+        differences.push(...diffStates(expected[key], actual[key], ignorePaths, path ? `${path}.${key}` : key));
+    }
+    return differences;
+}
+
+function summarizeResult(value) {
+    if (value === undefined || value === null || typeof value !== 'object') {
+        return value ?? null;
+    }
+    if ('success' in value) {
+        return { success: value.success, reason: value.reason || value.error || null };
+    }
+    return Array.isArray(value) ? { count: value.length } : { type: 'object' };
+}
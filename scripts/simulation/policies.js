@@ -0,0 +1,169 @@
+/**
+ * Scripted player policies for the balance simulation
+ *
+ * A policy decides when the simulated player is online and what they do
+ * while they are. Every policy has:
+ *   - sessions: daily login windows as { startHour, hours }
+ *   - onLogin(game): called at the start of every session
+ *   - onTick(game): called after every online tick
+ */
+
+const HOUR = 60 * 60 * 1000;
+
+/**
+ * Keep cultivating on the given path, starting it if needed
+ * @param {HeadlessGame} game - Simulated game
+ * @param {string} path - 'qi', 'body' or 'dual'
+ */
+export function ensureCultivating(game, path) {
+    const cultivation = game.cultivationSystem;
+    if (cultivation.isActive && cultivation.activePath === path) {
+        return;
+    }
+    if (path === 'dual' && !cultivation.cultivationState.dual.unlocked) {
+        return;
+    }
+    cultivation.startCultivation(path);
+}
+
+/**
+ * Pick the lagging path so qi and body stay level, or dual once unlocked
+ * @param {HeadlessGame} game - Simulated game
+ * @returns {string} Path to cultivate
+ */
+export function balancedPath(game) {
+    const state = game.cultivationSystem.cultivationState;
+    if (state.dual.unlocked) {
+        return 'dual';
+    }
+    return state.qi.level <= state.body.level ? 'qi' : 'body';
+}
+
+/**
+ * Attempt realm and stage breakthroughs while they are worth trying
+ * Stage breakthroughs are only tried once the average level clears the stage requirement
+ * @param {HeadlessGame} game - Simulated game
+ * @param {number} maxAttempts - Attempts per call
+ */
+export function tryBreakthroughs(game, maxAttempts = 3) {
+    const realm = game.realmManager;
+
+    for (let attempt = 0; attempt < maxAttempts; attempt++) {
+        const advancement = realm.checkRealmAdvancement();
+        const progress = realm.getRealmProgress();
+        const cultivation = game.get('cultivation');
+        const averageLevel = (cultivation.qi.level + cultivation.body.level) / 2;
+        const stageReady = !progress.isMaxStage && averageLevel >= progress.currentStage * 10;
+
+        if (!advancement.canAdvance && !stageReady) {
+            return;
+        }
+
+        const result = realm.attemptBreakthrough({ targetType: advancement.canAdvance ? 'realm' : 'stage' });
+        if (!result.success) {
+            return;
+        }
+    }
+}
+
+/**
+ * Turn in every quest whose objective is met
+ * @param {HeadlessGame} game - Simulated game
+ */
+export function completeReadyQuests(game) {
+    const active = game.questSystem.getActiveQuests();
+
+    Object.values(active).flat().forEach(quest => {
+        if (quest.objective && quest.objective.current >= quest.objective.target) {
+            game.questSystem.completeQuest(quest.id);
+        }
+    });
+}
+
+/**
+ * Spend jade on a jade-priced pool, keeping a reserve
+ * @param {HeadlessGame} game - Simulated game
+ * @param {Object} options - { reserve, preferMulti, pool }
+ */
+export async function spendJadeOnGacha(game, options = {}) {
+    const { reserve = 0, preferMulti = true, pool = 'Standard' } = options;
+    const singleCost = game.context.GACHA_POOLS[pool].cost.jade;
+
+    for (;;) {
+        const jade = (game.get('player.jade') || 0) - reserve;
+
+        if (preferMulti && jade >= singleCost * 9) {
+            const result = await game.gachaSystem.pullMultiple(10, pool, { showAnimation: false });
+            if (!result.success) return;
+        } else if (jade >= singleCost) {
+            const result = await game.gachaSystem.pullSingle(pool, { showAnimation: false });
+            if (!result.success) return;
+        } else {
+            return;
+        }
+    }
+}
+
+export const POLICIES = {
+    idle: {
+        name: 'idle',
+        description: 'Logs in once a day for ten minutes, keeps qi cultivation running, never spends',
+        sessions: [{ startHour: 20, hours: 1 / 6 }],
+        onLogin(game) {
+            ensureCultivating(game, 'qi');
+        },
+        onTick(game) {
+            tryBreakthroughs(game, 1);
+        }
+    },
+
+    casual: {
+        name: 'casual',
+        description: 'Two short sessions a day, balances qi and body, saves jade for single pulls',
+        sessions: [
+            { startHour: 8, hours: 0.5 },
+            { startHour: 20, hours: 1 }
+        ],
+        onLogin(game) {
+            ensureCultivating(game, balancedPath(game));
+            completeReadyQuests(game);
+        },
+        async onTick(game) {
+            tryBreakthroughs(game);
+            completeReadyQuests(game);
+            await spendJadeOnGacha(game, { reserve: 500, preferMulti: false });
+        }
+    },
+
+    dedicated: {
+        name: 'dedicated',
+        description: 'Four one-hour sessions a day, always on the best path, spends all jade on 10-pulls',
+        sessions: [
+            { startHour: 7, hours: 1 },
+            { startHour: 12, hours: 1 },
+            { startHour: 18, hours: 1 },
+            { startHour: 22, hours: 1 }
+        ],
+        onLogin(game) {
+            ensureCultivating(game, balancedPath(game));
+            completeReadyQuests(game);
+        },
+        async onTick(game) {
+            ensureCultivating(game, balancedPath(game));
+            tryBreakthroughs(game, 5);
+            completeReadyQuests(game);
+            await spendJadeOnGacha(game, { preferMulti: true });
+        }
+    }
+};
+
+/**
+ * Convert a policy's daily sessions into sorted millisecond offsets within a day
+ * @param {Object} policy - Policy definition
+ * @returns {Array} [{ start, duration }] in milliseconds
+ */
+export function getSessionWindows(policy) {
+    return policy.sessions
+        .map(session => ({ start: session.startHour * HOUR, duration: session.hours * HOUR }))
+        .sort((a, b) => a.start - b.start);
+}
@@ -0,0 +1,116 @@
+#!/usr/bin/env node
+
+/**
+ * Action journal replay CLI
+ *
+ * Replays a journal exported from the game (actionJournal.download(), or play with
+ * ?journal=1) against its baseline save in fast-forward and diffs the resulting
+ * GameState against the state recorded at export time.
+ *
+ * Usage:
+ *   node scripts/simulation/replay-journal.js bug-1234-journal.json
+ *   node scripts/simulation/replay-journal.js journal.json --save other-save.json --sync-rng -f text
+ */
+
+import { program } from 'commander';
+import fs from 'fs';
+import { DEFAULT_IGNORED_PATHS, JournalReplay } from './journal-replay.js';
+
+function parseList(value) {
+    return value.split(',').map(item => item.trim()).filter(Boolean);
+}
+
+function readJson(file) {
+    return JSON.parse(fs.readFileSync(file, 'utf8'));
+}
+
+function formatValue(value) {
+    const text = JSON.stringify(value);
+    return text === undefined ? 'undefined' : (text.length > 80 ? `${text.slice(0, 77)}...` : text);
+}
+
+function formatText(report) {
+    const lines = [];
+    const { journal, summary, rng } = report;
+
+    lines.push(`Journal: ${journal.label || '(unlabelled)'} - ${journal.entries} commands over ${(summary.replayedMs / 1000).toFixed(1)}s${journal.truncated ? ' (earlier play was dropped)' : ''}`);
+    lines.push('');
+
+    for (const command of report.commands) {
+        const rngNote = command.rngMatched === false ? '  [rng diverged]' : '';
+        const detail = command.status === 'error' ? ` - ${command.error}` : '';
+        lines.push(`  #${command.seq} ${command.system}.${command.command}: ${command.status}${detail}${rngNote}`);
+    }
+
+    lines.push('');
+    if (rng.firstDivergence !== null) {
+        lines.push(`RNG first diverged before command #${rng.firstDivergence}`);
+    }
+
+    if (!summary.comparedFinalState) {
+        lines.push('Journal has no final state to compare against');
+    } else if (summary.reproduced) {
+        lines.push('Final state matches the recording');
+    } else {
+        lines.push(`Final state differs in ${summary.differences} place(s):`);
+        for (const difference of report.differences) {
+            lines.push(`  ${difference.path}: recorded ${formatValue(difference.expected)}, replayed ${formatValue(difference.actual)}`);
+        }
+        if (summary.differences > report.differences.length) {
+            lines.push(`  ... and ${summary.differences - report.differences.length} more`);
+        }
+    }
+
+    return lines.join('\n') + '\n';
+}
+
+program
+    .name('replay-journal')
+    .description('Replay an action journal headlessly and diff the resulting game state')
+    .argument('<journal>', 'Journal JSON file')
+    .option('--save <file>', 'Start from this save ({ state } or a bare state) instead of the journal baseline')
+    .option('--step <seconds>', 'Online tick size while fast-forwarding', '1')
+    .option('--sync-rng', 'Restore the recorded RNG state before every command')
+    .option('--ignore <paths>', 'Comma-separated state paths left out of the diff', DEFAULT_IGNORED_PATHS.join(','))
+    .option('-f, --format <format>', 'Output format: json or text', 'json')
+    .option('-o, --out <file>', 'Write the JSON report to a file')
+    .option('--verbose', 'Forward game console output')
+    .action(async (journalFile, options) => {
+        try {
+            const stepMs = parseFloat(options.step) * 1000;
+            if (!Number.isFinite(stepMs) || stepMs <= 0) {
+                throw new Error('--step must be a positive number');
+            }
+            if (!['json', 'text'].includes(options.format)) {
+                throw new Error('--format must be json or text');
+            }
+
+            const replay = new JournalReplay(readJson(journalFile), {
+                save: options.save ? readJson(options.save) : null,
+                stepMs: stepMs,
+                syncRng: !!options.syncRng,
+                ignorePaths: parseList(options.ignore),
+                verbose: !!options.verbose
+            });
+            const report = await replay.run();
+
+            if (options.out) {
+                fs.writeFileSync(options.out, JSON.stringify(report, null, 2));
+                process.stderr.write(`Report written to ${options.out}\n`);
+            }
+
+            if (options.format === 'text') {
+                process.stdout.write(formatText(report));
+            } else if (!options.out) {
+                process.stdout.write(JSON.stringify(report, null, 2) + '\n');
+            }
+
+            // Game systems leave intervals on the virtual clock only, but quit explicitly regardless
+            process.exit(0);
+        } catch (error) {
+            console.error('Replay failed:', error.message);
+            process.exit(1);
+        }
+    });
+
+program.parse();
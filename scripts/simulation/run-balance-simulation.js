@@ -0,0 +1,107 @@
+#!/usr/bin/env node
+
+/**
+ * Balance simulation CLI
+ *
+ * Simulates scripted players for N days against one or more BalanceManager
+ * presets and reports time-to-realm, resource income and gacha spending.
+ *
+ * Usage:
+ *   node scripts/simulation/run-balance-simulation.js --days 30 --presets casual,balanced,hardcore
+ *   node scripts/simulation/run-balance-simulation.js -p dedicated -f csv -o simulation-reports
+ */
+
+import { program } from 'commander';
+import fs from 'fs';
+import path from 'path';
+import { BalanceSimulation, DAILY_COLUMNS, REALM_COLUMNS, toCsv } from './balance-simulation.js';
+import { POLICIES } from './policies.js';
+
+function parseList(value) {
+    return value.split(',').map(item => item.trim()).filter(Boolean);
+}
+
+program
+    .name('simulate-balance')
+    .description('Headless balance simulation of scripted players across BalanceManager presets')
+    .option('-d, --days <n>', 'Days to simulate', '30')
+    .option('-p, --policies <list>', `Comma-separated policies (${Object.keys(POLICIES).join(', ')})`, Object.keys(POLICIES).join(','))
+    .option('--presets <list>', 'Comma-separated BalanceManager presets, "none" for the defaults', 'balanced')
+    .option('-s, --seed <seed>', 'Master RNG seed', '1')
+    .option('--step <minutes>', 'Online tick size in minutes', '5')
+    .option('-f, --format <format>', 'Output format for stdout: json or csv', 'json')
+    .option('-o, --out <dir>', 'Write simulation-report.json, daily.csv and realms.csv to a directory')
+    .option('--verbose', 'Forward game console output')
+    .action(async (options) => {
+        try {
+            const days = parseInt(options.days, 10);
+            const stepMinutes = parseFloat(options.step);
+            const policyNames = parseList(options.policies);
+            const presets = parseList(options.presets).map(preset => (preset === 'none' ? null : preset));
+
+            const unknown = policyNames.filter(name => !POLICIES[name]);
+            if (unknown.length > 0) {
+                throw new Error(`Unknown policies: ${unknown.join(', ')}`);
+            }
+            if (!Number.isFinite(days) || days < 1) {
+                throw new Error('--days must be a positive number');
+            }
+            if (!['json', 'csv'].includes(options.format)) {
+                throw new Error('--format must be json or csv');
+            }
+
+            const report = {
+                generatedAt: new Date().toISOString(),
+                days: days,
+                seed: options.seed,
+                runs: []
+            };
+            const dailyRows = [];
+            const realmRows = [];
+
+            for (const preset of presets) {
+                for (const policyName of policyNames) {
+                    const startedAt = Date.now();
+                    process.stderr.write(`Simulating ${policyName} on ${preset || 'default'} for ${days} days... `);
+
+                    const simulation = new BalanceSimulation({
+                        policy: POLICIES[policyName],
+                        preset: preset,
+                        days: days,
+                        seed: options.seed,
+                        stepMinutes: stepMinutes,
+                        verbose: !!options.verbose
+                    });
+                    const result = await simulation.run();
+
+                    process.stderr.write(`${result.summary.finalRealm} ${result.summary.finalStage} (${Date.now() - startedAt}ms)\n`);
+
+                    report.runs.push(result);
+                    dailyRows.push(...result.daily);
+                    realmRows.push(...result.realmTimeline);
+                }
+            }
+
+            if (options.out) {
+                fs.mkdirSync(options.out, { recursive: true });
+                fs.writeFileSync(path.join(options.out, 'simulation-report.json'), JSON.stringify(report, null, 2));
+                fs.writeFileSync(path.join(options.out, 'daily.csv'), toCsv(dailyRows, DAILY_COLUMNS));
+                fs.writeFileSync(path.join(options.out, 'realms.csv'), toCsv(realmRows, REALM_COLUMNS));
+                process.stderr.write(`Reports written to ${options.out}\n`);
+            } else if (options.format === 'csv') {
+                process.stdout.write(toCsv(dailyRows, DAILY_COLUMNS));
+                process.stdout.write('\n');
+                process.stdout.write(toCsv(realmRows, REALM_COLUMNS));
+            } else {
+                process.stdout.write(JSON.stringify(report, null, 2) + '\n');
+            }
+
+            // Game systems leave intervals on the virtual clock only, but quit explicitly regardless
+            process.exit(0);
+        } catch (error) {
+            console.error('Simulation failed:', error.message);
+            process.exit(1);
+        }
+    });
+
+program.parse();